@@ -0,0 +1,13 @@
+import { AdminDashboard } from './lib/client/AdminDashboard.js';
+
+// Same server resolution as the configurator (see main.js loadServerConfiguration)
+const serverProtocol = import.meta.env.VITE_SERVER_PROTOCOL || import.meta.env.VITE_DEFAULT_SERVER_PROTOCOL || 'http';
+const serverHost = import.meta.env.VITE_SERVER_HOST || import.meta.env.VITE_DEFAULT_SERVER_HOST || 'localhost';
+const serverPort = import.meta.env.VITE_SERVER_PORT || import.meta.env.VITE_DEFAULT_SERVER_PORT || '3030';
+
+document.addEventListener('DOMContentLoaded', () => {
+    const dashboard = new AdminDashboard({
+        serverUrl: `${serverProtocol}://${serverHost}:${serverPort}`
+    });
+    dashboard.init();
+});
@@ -18,8 +18,11 @@ export default [
         localStorage: 'readonly',
         sessionStorage: 'readonly',
         URL: 'readonly',
+        URLSearchParams: 'readonly',
         FormData: 'readonly',
         FileReader: 'readonly',
+        DOMParser: 'readonly',
+        XMLSerializer: 'readonly',
         HTMLCanvasElement: 'readonly',
         HTMLElement: 'readonly',
         Element: 'readonly',
@@ -45,6 +48,7 @@ export default [
         __dirname: 'readonly',
         __filename: 'readonly',
         global: 'readonly',
+        AbortController: 'readonly',
 
         // Testing globals
         describe: 'readonly',
@@ -222,7 +226,7 @@ export default [
 
   // Configuration for legacy CommonJS files
   {
-    files: ['lib/OrderParser.js', 'accessibility-validator.js'],
+    files: ['lib/OrderParser.js', 'lib/catalogService.js', 'lib/printExporter.js', 'lib/svgSanitizer.js', 'lib/rosterImporter.js', 'lib/patternLibrary.js', 'lib/patternFill.js', 'lib/inkLibrary.js', 'lib/fileValidator.js', 'lib/jobQueue.js', 'lib/jobStore.js', 'lib/jobEvents.js', 'lib/workerPool.js', 'lib/imageWorker.js', 'lib/renderStore.js', 'lib/xlsxImages.js', 'accessibility-validator.js'],
     languageOptions: {
       sourceType: 'script',
       globals: {
@@ -236,7 +240,8 @@ export default [
         setTimeout: 'readonly',
         setInterval: 'readonly',
         clearTimeout: 'readonly',
-        clearInterval: 'readonly'
+        clearInterval: 'readonly',
+        setImmediate: 'readonly'
       }
     },
     rules: {
@@ -1,42 +1,134 @@
 const XLSX = require('xlsx');
+const sharp = require('sharp');
 const path = require('path');
 const fs = require('fs').promises;
+const CatalogService = require('./catalogService');
+const InkLibrary = require('./inkLibrary');
+const XlsxImages = require('./xlsxImages');
+
+// Production lifecycle an order moves through, in order; orders only ever move forward
+const ORDER_STATUSES = ['received', 'approved', 'in_production', 'printed', 'shipped'];
+const EMAIL_PATTERN = /^[^\s@<>"]+@[^\s@<>"]+\.[^\s@<>"]+$/;
+const PNG_DATA_URL_PREFIX = 'data:image/png;base64,';
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Player sheet columns (the XLSX export adds a price column; the roster import template uses these as-is)
+const PLAYER_COLUMNS = ['번호', '선수명', '구성', '소매타입', '상의사이즈', '하의사이즈'];
+
+// Color zones sent with an order (pattern-color-N and text layers are labelled in describeColorZone)
+const COLOR_ZONE_LABELS = {
+    'neck-color-1': '넥 1',
+    'neck-color-2': '넥 2',
+    'pants-color-1': '하의 1',
+    'pants-color-2': '하의 2',
+    'names-texture-color': '이름 채움',
+    'names-outline-color': '이름 외곽선',
+    'numbers-texture-color': '번호 채움',
+    'numbers-outline-color': '번호 외곽선'
+};
+const MAX_ORDER_COLORS = 40;
+
+// Product shots placed on the 디자인 sheet (RenderStore presets), side by side
+const DESIGN_RENDERS = [
+    { preset: 'front', label: '앞면', col: 0 },
+    { preset: 'back', label: '뒷면', col: 6 }
+];
+const DESIGN_IMAGE_WIDTH = 360;
+// Name/number preview next to each row of the player sheet, in px
+const PLAYER_PREVIEW_WIDTH = 150;
+const PLAYER_PREVIEW_HEIGHT = 90;
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
 
 class OrderParser {
     constructor(options = {}) {
         this.sessionsDir = options.sessionsDir || './sessions';
-        this.orderPrices = {
-            set: 45000,
-            top: 25000,
-            bottom: 20000
-        };
+        this.catalogService = options.catalogService || new CatalogService({ catalogPath: options.catalogPath });
+        this.inkLibrary = options.inkLibrary || new InkLibrary({ tablePath: options.inkTablePath });
+        this.maxSnapshotBytes = options.maxSnapshotBytes || 5 * 1024 * 1024;
+        // Each player gets a rendered preview in the XLSX; matches the roster import limit
+        this.maxPlayers = options.maxPlayers || 500;
+        // Order file updates queued per order, so concurrent changes don't overwrite each other
+        this.pendingUpdates = new Map();
+    }
+
+    static get STATUSES() {
+        return ORDER_STATUSES;
+    }
+
+    static get PLAYER_COLUMNS() {
+        return PLAYER_COLUMNS;
     }
 
     /**
      * Parse order data into structured format
      */
     parseOrderData(rawOrderData) {
+        const players = rawOrderData.players || [];
+        const selectedOptions = rawOrderData.selectedOptions || {};
+        const pricing = this.catalogService.quoteOrder(players, selectedOptions);
+        const receivedAt = new Date().toISOString();
+        const customerEmail = String(rawOrderData.customerEmail || '').trim();
+
         return {
             orderNumber: rawOrderData.orderNumber,
             customerName: rawOrderData.customerName,
             customerPhone: rawOrderData.customerPhone,
+            customerEmail: EMAIL_PATTERN.test(customerEmail) && customerEmail.length <= 254 ? customerEmail : '',
             teamName: rawOrderData.teamName || '',
-            selectedOptions: rawOrderData.selectedOptions || {},
-            players: rawOrderData.players || [],
+            selectedOptions: selectedOptions,
+            players: players,
             specialRequests: rawOrderData.specialRequests || '',
             timestamp: rawOrderData.timestamp || new Date().toISOString(),
-            totalPrice: this.calculateTotalPrice(rawOrderData.players || []),
-            summary: this.generateOrderSummary(rawOrderData.players || [])
+            pricing: pricing,
+            totalPrice: pricing.total,
+            summary: this.generateOrderSummary(players),
+            colors: this.matchOrderColors(rawOrderData.colors),
+            status: ORDER_STATUSES[0],
+            statusUpdatedAt: receivedAt,
+            statusHistory: [{ status: ORDER_STATUSES[0], from: null, changedAt: receivedAt, changedBy: 'customer' }],
+            notifications: []
         };
     }
 
     /**
-     * Calculate total price for all players
+     * Match the design's zone colors to the nearest printable inks
+     * @param {Array} colors - [{ zone, hex, label? }] as sent by the client
+     * @returns {Array} [{ zone, label, hex, ink: { code, name, hex, deltaE, inGamut } }]
      */
-    calculateTotalPrice(players) {
-        return players.reduce((total, player) => {
-            return total + (this.orderPrices[player.type] || 0);
-        }, 0);
+    matchOrderColors(colors) {
+        if (!Array.isArray(colors)) {
+            return [];
+        }
+
+        return colors
+            .slice(0, MAX_ORDER_COLORS)
+            .filter(color => color && HEX_COLOR.test(color.hex || ''))
+            .map(color => ({ ...color, label: this.describeColorZone(color) }))
+            .filter(color => color.label)
+            .map(color => ({
+                zone: color.zone,
+                label: color.label,
+                hex: color.hex.toLowerCase(),
+                ink: this.inkLibrary.match(color.hex)
+            }));
+    }
+
+    describeColorZone({ zone, label }) {
+        const patternZone = /^pattern-color-(\d)$/.exec(zone || '');
+        if (patternZone) {
+            return `패턴 ${patternZone[1]}`;
+        }
+        if (zone === 'text') {
+            return `텍스트: ${String(label || '').trim().slice(0, 50)}`;
+        }
+        return COLOR_ZONE_LABELS[zone] || null;
+    }
+
+    /**
+     * Calculate total price for all players using the catalog pricing rules
+     */
+    calculateTotalPrice(players, selectedOptions = {}) {
+        return this.catalogService.quoteOrder(players, selectedOptions).total;
     }
 
     /**
@@ -56,8 +148,13 @@ class OrderParser {
 
     /**
      * Generate XLSX file from order data
+     * @param {Object} options - { renders }: latest stills of the session (RenderStore.getLatestStills),
+     *   shown on a 디자인 sheet; the order's own snapshot is used when there are none
      */
-    async generateXLSX(orderData, filename) {
+    async generateXLSX(orderData, filename, options = {}) {
+        if (Array.isArray(orderData.players) && orderData.players.length > this.maxPlayers) {
+            throw new Error(`Orders are limited to ${this.maxPlayers} players`);
+        }
         const parsedData = this.parseOrderData(orderData);
         
         // Order info sheet data
@@ -67,6 +164,7 @@ class OrderParser {
             ['주문번호', parsedData.orderNumber],
             ['주문자', parsedData.customerName],
             ['연락처', parsedData.customerPhone],
+            ['이메일', parsedData.customerEmail],
             ['팀명', parsedData.teamName],
             ['주문일시', new Date(parsedData.timestamp).toLocaleString('ko-KR')],
             [''],
@@ -82,11 +180,11 @@ class OrderParser {
         const playerData = [
             ['선수 정보'],
             [''],
-            ['번호', '선수명', '구성', '소매타입', '상의사이즈', '하의사이즈', '가격']
+            [...PLAYER_COLUMNS, '가격', '미리보기']
         ];
 
-        parsedData.players.forEach((player) => {
-            const price = this.orderPrices[player.type] || 0;
+        parsedData.players.forEach((player, index) => {
+            const price = parsedData.pricing.players[index].unitPrice;
             playerData.push([
                 player.number,
                 player.name,
@@ -100,6 +198,14 @@ class OrderParser {
         });
 
         // Add totals
+        if (parsedData.pricing.discount > 0) {
+            playerData.push(['', '', '', '', '', '소계', parsedData.pricing.subtotal.toLocaleString() + '원']);
+            playerData.push([
+                '', '', '', '', '',
+                `수량 할인 (${parsedData.pricing.discountPercent}%)`,
+                '-' + parsedData.pricing.discount.toLocaleString() + '원'
+            ]);
+        }
         playerData.push(['', '', '', '', '', '총 가격', parsedData.totalPrice.toLocaleString() + '원']);
 
         // Order summary sheet
@@ -114,6 +220,8 @@ class OrderParser {
             ['반소매', parsedData.summary.shortSleeveCount + '개'],
             ['긴소매', parsedData.summary.longSleeveCount + '개'],
             [''],
+            ['소계', parsedData.pricing.subtotal.toLocaleString() + '원'],
+            ['수량 할인', parsedData.pricing.discount.toLocaleString() + '원'],
             ['총 금액', parsedData.totalPrice.toLocaleString() + '원']
         ];
 
@@ -130,6 +238,21 @@ class OrderParser {
         const ws3 = XLSX.utils.aoa_to_sheet(summaryData);
         XLSX.utils.book_append_sheet(wb, ws3, '주문요약');
 
+        // Color sheet with the matched ink codes (orders from older clients carry no colors)
+        if (parsedData.colors.length > 0) {
+            const ws4 = XLSX.utils.aoa_to_sheet(this.createColorSheetData(parsedData.colors));
+            ws4['!cols'] = [
+                { width: 15 }, // 부위
+                { width: 12 }, // 선택 색상
+                { width: 24 }, // 잉크 코드
+                { width: 15 }, // 잉크 이름
+                { width: 12 }, // 잉크 색상
+                { width: 10 }, // ΔE2000
+                { width: 10 }  // 인쇄 가능
+            ];
+            XLSX.utils.book_append_sheet(wb, ws4, '색상정보');
+        }
+
         // Set column widths for better formatting
         ws1['!cols'] = [{ width: 15 }, { width: 30 }];
         ws2['!cols'] = [
@@ -139,12 +262,44 @@ class OrderParser {
             { width: 10 }, // 소매타입
             { width: 10 }, // 상의사이즈
             { width: 10 }, // 하의사이즈
-            { width: 12 }  // 가격
+            { width: 12 }, // 가격
+            { wpx: PLAYER_PREVIEW_WIDTH + 8 } // 미리보기
         ];
         ws3['!cols'] = [{ width: 15 }, { width: 15 }];
 
+        // Images are added to the written workbook (SheetJS only writes cell data)
+        const images = [];
+        const playerSheet = wb.SheetNames.indexOf('선수정보');
+        const playerRowOffset = 3; // title, blank row, header
+        ws2['!rows'] = [];
+        for (const [index, player] of parsedData.players.entries()) {
+            ws2['!rows'][playerRowOffset + index] = { hpx: PLAYER_PREVIEW_HEIGHT + 6 };
+            images.push({
+                sheet: playerSheet,
+                buffer: await this.createPlayerPreview(player, parsedData.colors),
+                col: PLAYER_COLUMNS.length + 1,
+                row: playerRowOffset + index,
+                width: PLAYER_PREVIEW_WIDTH,
+                height: PLAYER_PREVIEW_HEIGHT,
+                name: `${player.number || ''} ${player.name || ''}`.trim()
+            });
+        }
+
+        const designImages = await this.loadDesignImages(options.renders, orderData.snapshot);
+        if (designImages.length > 0) {
+            const labels = [];
+            designImages.forEach(image => { labels[image.col] = image.label; });
+            const ws5 = XLSX.utils.aoa_to_sheet([['디자인'], [''], Array.from(labels, label => label || '')]);
+            XLSX.utils.book_append_sheet(wb, ws5, '디자인');
+
+            const designSheet = wb.SheetNames.indexOf('디자인');
+            designImages.forEach(image => {
+                images.push({ sheet: designSheet, buffer: image.buffer, col: image.col, row: 3, width: image.width, height: image.height, name: image.label });
+            });
+        }
+
         // Generate buffer
-        const xlsxBuffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+        const xlsxBuffer = XlsxImages.embed(XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' }), images);
         
         return {
             buffer: xlsxBuffer,
@@ -153,10 +308,102 @@ class OrderParser {
         };
     }
 
+    /**
+     * Front/back stills for the 디자인 sheet, falling back to the snapshot sent with the order
+     * @param {Array} renders - [{ preset, path }] (RenderStore.getLatestStills)
+     * @param {string} snapshot - PNG data URL from the order
+     * @returns {Promise<Array>} [{ label, col, buffer, width, height }], width/height as placed
+     */
+    async loadDesignImages(renders = [], snapshot = null) {
+        const images = [];
+        for (const { preset, label, col } of DESIGN_RENDERS) {
+            const render = (renders || []).find(item => item.preset === preset);
+            if (!render) {
+                continue;
+            }
+            try {
+                images.push({ label, col, buffer: await fs.readFile(render.path) });
+            } catch (error) {
+                console.warn(`⚠️ Could not read ${preset} render for the order sheet:`, error.message);
+            }
+        }
+
+        if (images.length === 0) {
+            const buffer = this.decodeSnapshot(snapshot);
+            if (buffer) {
+                images.push({ label: '3D 미리보기', col: 0, buffer });
+            }
+        }
+
+        const placed = [];
+        for (const image of images) {
+            try {
+                const { width, height } = await sharp(image.buffer).metadata();
+                const scale = Math.min(1, DESIGN_IMAGE_WIDTH / width);
+                placed.push({ ...image, width: Math.round(width * scale), height: Math.round(height * scale) });
+            } catch (error) {
+                console.warn(`⚠️ Skipping unreadable design image (${image.label}):`, error.message);
+            }
+        }
+        return placed;
+    }
+
+    /**
+     * Name over number on the jersey color, in the order's name/number colors
+     * @returns {Promise<Buffer>} PNG
+     */
+    async createPlayerPreview(player, colors = []) {
+        const colorOf = (zone, fallback) => (colors.find(color => color.zone === zone) || {}).hex || fallback;
+        const escape = value => String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        const text = (value, y, size, fill, stroke) =>
+            `<text x="50%" y="${y}" font-family="Arial, 'Noto Sans KR', 'Malgun Gothic', sans-serif" font-weight="bold" font-size="${size}" text-anchor="middle" ` +
+            `fill="${fill}" stroke="${stroke}" stroke-width="${Math.max(1, Math.round(size / 16))}" paint-order="stroke">${escape(value)}</text>`;
+
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${PLAYER_PREVIEW_WIDTH}" height="${PLAYER_PREVIEW_HEIGHT}">` +
+            `<rect width="100%" height="100%" fill="${colorOf('pattern-color-1', '#ffffff')}"/>` +
+            text(String(player.name || '').slice(0, 20), 24, 18,
+                colorOf('names-texture-color', '#ffffff'), colorOf('names-outline-color', '#000000')) +
+            text(String(player.number ?? '').slice(0, 3), 80, 52,
+                colorOf('numbers-texture-color', '#ffffff'), colorOf('numbers-outline-color', '#000000')) +
+            '</svg>';
+
+        return await sharp(Buffer.from(svg)).png().toBuffer();
+    }
+
+    createColorSheetData(colors) {
+        const table = this.inkLibrary.getTable();
+        const rows = [
+            ['색상 정보'],
+            [''],
+            ['부위', '선택 색상', '잉크 코드', '잉크 이름', '잉크 색상', 'ΔE2000', '인쇄 가능']
+        ];
+
+        colors.forEach(color => {
+            rows.push([
+                color.label,
+                color.hex,
+                color.ink.code,
+                color.ink.name,
+                color.ink.hex,
+                color.ink.deltaE,
+                color.ink.inGamut ? '가능' : '범위 밖'
+            ]);
+        });
+
+        rows.push(['']);
+        rows.push(['기준', `${table.name || '잉크 테이블'} (ΔE ${this.inkLibrary.getMaxDeltaE()} 이하 인쇄 가능)`]);
+        return rows;
+    }
+
     /**
      * Save XLSX file to sessions directory
+     * @param {Object} options - Passed to generateXLSX
      */
-    async saveToSession(orderData, sessionId) {
+    async saveToSession(orderData, sessionId, options = {}) {
         try {
             const sessionDir = path.join(this.sessionsDir, sessionId);
             
@@ -168,7 +415,7 @@ class OrderParser {
             }
 
             const filename = `주문서_${orderData.orderNumber || Date.now()}.xlsx`;
-            const { buffer, parsedData } = await this.generateXLSX(orderData, filename);
+            const { buffer, parsedData } = await this.generateXLSX(orderData, filename, options);
             
             // Save XLSX file
             const filePath = path.join(sessionDir, filename);
@@ -178,9 +425,18 @@ class OrderParser {
             const jsonFilePath = path.join(sessionDir, `주문정보_${orderData.orderNumber || Date.now()}.json`);
             await fs.writeFile(jsonFilePath, JSON.stringify(parsedData, null, 2));
 
+            // Save the 3D preview captured at submission time, if the client sent one
+            let snapshotPath = null;
+            const snapshot = this.decodeSnapshot(orderData.snapshot);
+            if (snapshot) {
+                snapshotPath = path.join(sessionDir, `주문스냅샷_${orderData.orderNumber || Date.now()}.png`);
+                await fs.writeFile(snapshotPath, snapshot);
+            }
+
             return {
                 xlsxPath: filePath,
                 jsonPath: jsonFilePath,
+                snapshotPath: snapshotPath,
                 filename: filename,
                 sessionId: sessionId,
                 parsedData: parsedData
@@ -191,6 +447,25 @@ class OrderParser {
         }
     }
 
+    /**
+     * Decode a PNG data URL sent with an order; anything else is ignored
+     * @param {string} dataUrl - data:image/png;base64,... string
+     * @returns {Buffer|null}
+     */
+    decodeSnapshot(dataUrl) {
+        if (typeof dataUrl !== 'string' || !dataUrl.startsWith(PNG_DATA_URL_PREFIX)) {
+            return null;
+        }
+
+        const buffer = Buffer.from(dataUrl.slice(PNG_DATA_URL_PREFIX.length), 'base64');
+        if (buffer.length > this.maxSnapshotBytes || !buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+            console.warn('⚠️ Ignoring invalid order snapshot');
+            return null;
+        }
+
+        return buffer;
+    }
+
     /**
      * List all order files in a session
      */
@@ -207,17 +482,26 @@ class OrderParser {
                     const orderData = JSON.parse(jsonData);
                     
                     const xlsxFilename = file.replace('주문정보_', '주문서_').replace('.json', '.xlsx');
-                    const xlsxPath = path.join(sessionDir, xlsxFilename);
+                    const snapshotFilename = file.replace('주문정보_', '주문스냅샷_').replace('.json', '.png');
                     
-                    const xlsxExists = await fs.access(xlsxPath).then(() => true).catch(() => false);
+                    const xlsxExists = files.includes(xlsxFilename);
+                    const snapshotExists = files.includes(snapshotFilename);
                     
                     orders.push({
                         orderNumber: orderData.orderNumber,
                         customerName: orderData.customerName,
+                        customerPhone: orderData.customerPhone,
+                        customerEmail: orderData.customerEmail || '',
+                        teamName: orderData.teamName || '',
                         timestamp: orderData.timestamp,
                         totalPrice: orderData.totalPrice,
+                        status: orderData.status || ORDER_STATUSES[0],
+                        statusUpdatedAt: orderData.statusUpdatedAt || orderData.timestamp,
+                        statusHistory: orderData.statusHistory || [],
+                        sessionId: sessionId,
                         jsonFile: file,
                         xlsxFile: xlsxExists ? xlsxFilename : null,
+                        snapshotFile: snapshotExists ? snapshotFilename : null,
                         summary: orderData.summary
                     });
                 }
@@ -230,6 +514,176 @@ class OrderParser {
         }
     }
 
+    /**
+     * List orders across every session, newest first
+     * @param {Object} filters - See filterOrders
+     */
+    async listAllOrders(filters = {}) {
+        let entries;
+        try {
+            entries = await fs.readdir(this.sessionsDir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const orders = [];
+        for (const entry of entries) {
+            if (entry.isDirectory()) {
+                orders.push(...await this.listSessionOrders(entry.name));
+            }
+        }
+
+        orders.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        return this.filterOrders(orders, filters);
+    }
+
+    /**
+     * Filter order summaries
+     * @param {Array} orders - Results of listSessionOrders
+     * @param {Object} filters - { q, from, to, team, customer, status }; from/to are YYYY-MM-DD (inclusive)
+     */
+    filterOrders(orders, filters = {}) {
+        const contains = (value, term) => String(value || '').toLowerCase().includes(term);
+        const q = (filters.q || '').trim().toLowerCase();
+        const team = (filters.team || '').trim().toLowerCase();
+        const customer = (filters.customer || '').trim().toLowerCase();
+        const from = filters.from ? new Date(`${filters.from}T00:00:00`) : null;
+        const to = filters.to ? new Date(`${filters.to}T23:59:59.999`) : null;
+
+        return orders.filter(order => {
+            const placedAt = new Date(order.timestamp);
+
+            if (q && ![order.orderNumber, order.customerName, order.customerPhone, order.teamName, order.sessionId]
+                .some(value => contains(value, q))) {
+                return false;
+            }
+            if (team && !contains(order.teamName, team)) {
+                return false;
+            }
+            if (customer && !contains(order.customerName, customer) && !contains(order.customerPhone, customer)) {
+                return false;
+            }
+            if (filters.status && order.status !== filters.status) {
+                return false;
+            }
+            if (from && !(placedAt >= from)) {
+                return false;
+            }
+            if (to && !(placedAt <= to)) {
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Read the stored order data
+     */
+    async getOrder(sessionId, orderNumber) {
+        const jsonPath = path.join(this.sessionsDir, sessionId, `주문정보_${orderNumber}.json`);
+        try {
+            return JSON.parse(await fs.readFile(jsonPath, 'utf8'));
+        } catch {
+            throw new Error('Order file not found');
+        }
+    }
+
+    /**
+     * Order data as shown to the customer: staff notes, actors and the notification log stay internal
+     */
+    toCustomerView(orderData) {
+        const order = { ...orderData };
+        delete order.notifications;
+        if (Array.isArray(order.statusHistory)) {
+            order.statusHistory = order.statusHistory.map(({ status, changedAt }) => ({ status, changedAt }));
+        }
+        return order;
+    }
+
+    /**
+     * Check whether an order may move from one status to another (forward only, steps may be skipped)
+     */
+    canTransition(from, to) {
+        return ORDER_STATUSES.indexOf(to) > ORDER_STATUSES.indexOf(from || ORDER_STATUSES[0]);
+    }
+
+    /**
+     * Move an order to a new production status and record it in the audit trail
+     * @param {string} note - Optional staff note stored with the history entry
+     * @param {string} changedBy - Who made the change
+     * @returns {Object} Updated order data
+     */
+    async updateOrderStatus(sessionId, orderNumber, status, note = '', changedBy = 'staff') {
+        if (!ORDER_STATUSES.includes(status)) {
+            throw new Error(`Invalid order status: ${status}`);
+        }
+
+        return this.updateOrder(sessionId, orderNumber, orderData => {
+            const previousStatus = orderData.status || ORDER_STATUSES[0];
+
+            if (!this.canTransition(previousStatus, status)) {
+                throw new Error(`Invalid status transition: ${previousStatus} → ${status}`);
+            }
+
+            const changedAt = new Date().toISOString();
+            orderData.status = status;
+            orderData.statusUpdatedAt = changedAt;
+            orderData.statusHistory = [
+                ...(orderData.statusHistory || []),
+                {
+                    status,
+                    from: previousStatus,
+                    changedAt,
+                    changedBy: String(changedBy || 'staff').slice(0, 100),
+                    ...(note ? { note: String(note).slice(0, 500) } : {})
+                }
+            ];
+        });
+    }
+
+    /**
+     * Append a customer notification attempt (sent or failed) to the order's audit trail
+     */
+    async recordNotification(sessionId, orderNumber, entry) {
+        return this.updateOrder(sessionId, orderNumber, orderData => {
+            orderData.notifications = [...(orderData.notifications || []), entry];
+        });
+    }
+
+    /**
+     * Read, change and write back an order; updates to the same order run one after another
+     * @param {Function} change - Changes the order data in place; may throw to cancel the update
+     * @returns {Promise<Object>} Updated order data
+     */
+    updateOrder(sessionId, orderNumber, change) {
+        const key = `${sessionId}/${orderNumber}`;
+        const previous = this.pendingUpdates.get(key) || Promise.resolve();
+        const next = previous.then(async () => {
+            const orderData = await this.getOrder(sessionId, orderNumber);
+            change(orderData);
+            await this.writeOrder(sessionId, orderNumber, orderData);
+            return orderData;
+        });
+
+        // A failed update rejects for its caller only; the next one still runs
+        const settled = next.catch(() => {});
+        this.pendingUpdates.set(key, settled);
+        settled.then(() => {
+            if (this.pendingUpdates.get(key) === settled) {
+                this.pendingUpdates.delete(key);
+            }
+        });
+        return next;
+    }
+
+    async writeOrder(sessionId, orderNumber, orderData) {
+        const jsonPath = path.join(this.sessionsDir, sessionId, `주문정보_${orderNumber}.json`);
+        await fs.writeFile(jsonPath, JSON.stringify(orderData, null, 2));
+    }
+
     /**
      * Get order file path for download
      */
@@ -254,14 +708,17 @@ class OrderParser {
             
             const jsonFile = `주문정보_${orderNumber}.json`;
             const xlsxFile = `주문서_${orderNumber}.xlsx`;
+            const snapshotFile = `주문스냅샷_${orderNumber}.png`;
             
             const jsonPath = path.join(sessionDir, jsonFile);
             const xlsxPath = path.join(sessionDir, xlsxFile);
+            const snapshotPath = path.join(sessionDir, snapshotFile);
             
-            // Delete both files
+            // Delete all order files
             await Promise.allSettled([
                 fs.unlink(jsonPath),
-                fs.unlink(xlsxPath)
+                fs.unlink(xlsxPath),
+                fs.unlink(snapshotPath)
             ]);
             
             return true;
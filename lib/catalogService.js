@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Catalog Service - Product catalog and pricing rules
+ * Single source of truth for order prices (order form quotes, XLSX and order JSON)
+ */
+class CatalogService {
+    constructor(options = {}) {
+        this.catalogPath = path.resolve(options.catalogPath || './config/catalog.json');
+        this.catalog = null;
+        this.loadedMtimeMs = 0;
+
+        this.reload();
+    }
+
+    /**
+     * Load (or re-load) the catalog file, validating it before it replaces the current one
+     */
+    reload() {
+        const raw = fs.readFileSync(this.catalogPath, 'utf8');
+        const catalog = JSON.parse(raw);
+
+        this.validateCatalog(catalog);
+
+        this.catalog = catalog;
+        this.loadedMtimeMs = fs.statSync(this.catalogPath).mtimeMs;
+
+        console.log(`✅ Catalog loaded: ${Object.keys(catalog.products).length} products (v${catalog.version})`);
+        return this.catalog;
+    }
+
+    /**
+     * Get the current catalog, picking up edits to the catalog file without a restart
+     */
+    getCatalog() {
+        try {
+            const { mtimeMs } = fs.statSync(this.catalogPath);
+            if (mtimeMs !== this.loadedMtimeMs) {
+                this.reload();
+            }
+        } catch (error) {
+            // Keep serving the last valid catalog if the file is mid-edit or broken
+            console.error('⚠️ Failed to reload catalog, using previous version:', error.message);
+        }
+
+        return this.catalog;
+    }
+
+    validateCatalog(catalog) {
+        if (!catalog || typeof catalog !== 'object') {
+            throw new Error('Catalog must be a JSON object');
+        }
+
+        if (!catalog.products || Object.keys(catalog.products).length === 0) {
+            throw new Error('Catalog must define at least one product');
+        }
+
+        for (const [productId, product] of Object.entries(catalog.products)) {
+            if (typeof product.basePrice !== 'number' || product.basePrice < 0) {
+                throw new Error(`Product "${productId}" has an invalid basePrice`);
+            }
+            if (!Array.isArray(product.pieces) || product.pieces.length === 0) {
+                throw new Error(`Product "${productId}" must list its pieces`);
+            }
+        }
+
+        if (!catalog.sizes || !Array.isArray(catalog.sizes.range)) {
+            throw new Error('Catalog must define a size range');
+        }
+
+        (catalog.quantityBreaks || []).forEach((tier, index) => {
+            if (typeof tier.minQuantity !== 'number' || typeof tier.discountPercent !== 'number') {
+                throw new Error(`Quantity break #${index + 1} needs numeric minQuantity and discountPercent`);
+            }
+        });
+    }
+
+    /**
+     * Find a fabric option by id or display name (orders store the display name)
+     */
+    findFabric(fabric) {
+        const fabrics = this.getCatalog().options?.fabrics || [];
+        return fabrics.find(option => option.id === fabric || option.name === fabric) || null;
+    }
+
+    findSleeveType(sleeveType) {
+        const sleeveTypes = this.getCatalog().options?.sleeveTypes || [];
+        return sleeveTypes.find(option => option.id === sleeveType) || null;
+    }
+
+    /**
+     * Price a single player's garments
+     * @param {Object} player - { type, sleeveType, topSize, bottomSize }
+     * @param {Object} selectedOptions - Order-wide options ({ fabric })
+     * @returns {Object} { unitPrice, breakdown: [{ label, amount }] }
+     */
+    calculatePlayerPrice(player, selectedOptions = {}) {
+        const catalog = this.getCatalog();
+        const product = catalog.products[player.type];
+
+        if (!product) {
+            return { unitPrice: 0, breakdown: [] };
+        }
+
+        const breakdown = [{ label: product.name, amount: product.basePrice }];
+        const hasTop = product.pieces.includes('top');
+        const hasBottom = product.pieces.includes('bottom');
+
+        // Long sleeves only change the price of tops
+        const sleeve = this.findSleeveType(player.sleeveType);
+        if (hasTop && sleeve && sleeve.surcharge) {
+            breakdown.push({ label: sleeve.name, amount: sleeve.surcharge });
+        }
+
+        const sizeSurcharges = catalog.sizes.surcharges || {};
+        if (hasTop && sizeSurcharges[player.topSize]) {
+            breakdown.push({ label: `상의 ${player.topSize}`, amount: sizeSurcharges[player.topSize] });
+        }
+        if (hasBottom && sizeSurcharges[player.bottomSize]) {
+            breakdown.push({ label: `하의 ${player.bottomSize}`, amount: sizeSurcharges[player.bottomSize] });
+        }
+
+        const fabric = this.findFabric(selectedOptions.fabric);
+        if (fabric && fabric.upchargePerPiece) {
+            breakdown.push({ label: fabric.name, amount: fabric.upchargePerPiece * product.pieces.length });
+        }
+
+        const unitPrice = breakdown.reduce((sum, item) => sum + item.amount, 0);
+        return { unitPrice, breakdown };
+    }
+
+    /**
+     * Best quantity-break tier for the number of players ordered
+     */
+    getQuantityBreak(quantity) {
+        const tiers = this.getCatalog().quantityBreaks || [];
+        return tiers
+            .filter(tier => quantity >= tier.minQuantity)
+            .sort((a, b) => b.minQuantity - a.minQuantity)[0] || null;
+    }
+
+    /**
+     * Players sent with a quote or order must be a list of objects
+     */
+    validatePlayers(players) {
+        if (!Array.isArray(players)) {
+            throw new Error('players must be an array');
+        }
+        players.forEach((player, index) => {
+            if (!player || typeof player !== 'object' || Array.isArray(player)) {
+                throw new Error(`players[${index}] must be an object`);
+            }
+        });
+    }
+
+    /**
+     * Quote a whole order: per-player prices, quantity discount and total
+     * @param {Array} players - Players to price (see validatePlayers)
+     * @param {Object} selectedOptions - Order-wide options ({ fabric })
+     */
+    quoteOrder(players = [], selectedOptions = {}) {
+        this.validatePlayers(players);
+
+        const lines = players.map(player => ({
+            id: player.id,
+            ...this.calculatePlayerPrice(player, selectedOptions)
+        }));
+
+        const subtotal = lines.reduce((sum, line) => sum + line.unitPrice, 0);
+        const quantityBreak = this.getQuantityBreak(lines.length);
+        const discount = quantityBreak ? Math.round(subtotal * quantityBreak.discountPercent / 100) : 0;
+
+        return {
+            currency: this.getCatalog().currency || 'KRW',
+            players: lines,
+            quantity: lines.length,
+            subtotal,
+            discountPercent: quantityBreak ? quantityBreak.discountPercent : 0,
+            discount,
+            total: subtotal - discount
+        };
+    }
+}
+
+module.exports = CatalogService;
@@ -0,0 +1,345 @@
+import { SecureDOM } from './SecureDOM.js';
+import { PROOF_STATUS_LABELS } from './ProofManager.js';
+
+const TOKEN_STORAGE_KEY = 'st-admin-token';
+
+export const ORDER_STATUS_LABELS = {
+    received: '접수',
+    approved: '디자인 승인',
+    in_production: '제작 중',
+    printed: '인쇄 완료',
+    shipped: '발송 완료'
+};
+
+/**
+ * AdminDashboard - Staff view of orders across all sessions
+ * Lists, filters and moves orders through the production lifecycle via /api/admin
+ */
+export class AdminDashboard {
+    constructor(options = {}) {
+        this.serverUrl = options.serverUrl || '';
+        this.storage = options.storage || sessionStorage;
+        this.appOrigin = options.appOrigin || window.location.origin;
+        this.orders = [];
+
+        this.elements = {
+            login: document.getElementById('admin-login'),
+            loginForm: document.getElementById('admin-login-form'),
+            tokenInput: document.getElementById('admin-token'),
+            dashboard: document.getElementById('admin-dashboard'),
+            filters: document.getElementById('admin-filters'),
+            logoutButton: document.getElementById('admin-logout'),
+            ordersBody: document.getElementById('admin-orders-body'),
+            count: document.getElementById('admin-order-count'),
+            message: document.getElementById('admin-message')
+        };
+    }
+
+    init() {
+        this.elements.loginForm?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.setToken(this.elements.tokenInput.value.trim());
+            this.elements.tokenInput.value = '';
+            this.loadOrders();
+        });
+
+        this.elements.filters?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.loadOrders();
+        });
+
+        this.elements.filters?.addEventListener('reset', () => {
+            // Reset fires before the fields are cleared
+            setTimeout(() => this.loadOrders(), 0);
+        });
+
+        this.elements.logoutButton?.addEventListener('click', () => {
+            this.setToken(null);
+            this.showLogin();
+        });
+
+        if (this.getToken()) {
+            this.loadOrders();
+        } else {
+            this.showLogin();
+        }
+    }
+
+    getToken() {
+        return this.storage.getItem(TOKEN_STORAGE_KEY);
+    }
+
+    setToken(token) {
+        if (token) {
+            this.storage.setItem(TOKEN_STORAGE_KEY, token);
+        } else {
+            this.storage.removeItem(TOKEN_STORAGE_KEY);
+        }
+    }
+
+    showLogin(message = '') {
+        this.elements.login.hidden = false;
+        this.elements.dashboard.hidden = true;
+        this.showMessage(message, true);
+    }
+
+    showDashboard() {
+        this.elements.login.hidden = true;
+        this.elements.dashboard.hidden = false;
+    }
+
+    showMessage(message, isError = false) {
+        if (!this.elements.message) {
+            return;
+        }
+        SecureDOM.setText(this.elements.message, message);
+        this.elements.message.classList.toggle('error', isError);
+    }
+
+    /**
+     * Call the admin API with the stored token; a 401 sends the user back to the login form
+     * @returns {Promise<Response>}
+     */
+    async request(path, options = {}) {
+        const response = await fetch(`${this.serverUrl}${path}`, {
+            ...options,
+            headers: {
+                ...(options.headers || {}),
+                'Authorization': `Bearer ${this.getToken()}`
+            }
+        });
+
+        if (response.status === 401) {
+            this.setToken(null);
+            this.showLogin('토큰이 올바르지 않습니다.');
+            throw new Error('Admin authentication required');
+        }
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.error || `Request failed: ${response.status}`);
+        }
+
+        return response;
+    }
+
+    /**
+     * Build the /api/admin/orders query string from the filter form
+     */
+    getFilterQuery() {
+        const params = new URLSearchParams();
+        if (this.elements.filters) {
+            for (const [key, value] of new FormData(this.elements.filters)) {
+                if (String(value).trim() !== '') {
+                    params.set(key, String(value).trim());
+                }
+            }
+        }
+        return params.toString();
+    }
+
+    async loadOrders() {
+        try {
+            const query = this.getFilterQuery();
+            const response = await this.request(`/api/admin/orders${query ? `?${query}` : ''}`);
+            const result = await response.json();
+
+            this.orders = result.orders;
+            this.showDashboard();
+            this.renderOrders(this.orders);
+            this.showMessage('');
+        } catch (error) {
+            console.error('❌ Failed to load orders:', error);
+            if (!this.elements.dashboard.hidden) {
+                this.showMessage(`주문 목록을 불러오지 못했습니다: ${error.message}`, true);
+            }
+        }
+    }
+
+    renderOrders(orders) {
+        SecureDOM.setText(this.elements.count, `${orders.length}건`);
+
+        if (orders.length === 0) {
+            const row = document.createElement('tr');
+            const cell = SecureDOM.createElement('td', '조건에 맞는 주문이 없습니다.', { colspan: '8', class: 'admin-empty' });
+            row.appendChild(cell);
+            SecureDOM.replaceContent(this.elements.ordersBody, row);
+            return;
+        }
+
+        SecureDOM.replaceContent(this.elements.ordersBody, ...orders.map(order => this.createOrderRow(order)));
+    }
+
+    createOrderRow(order) {
+        const row = document.createElement('tr');
+        row.dataset.sessionId = order.sessionId;
+        row.dataset.orderNumber = order.orderNumber;
+
+        const placedAt = order.timestamp ? new Date(order.timestamp).toLocaleString('ko-KR') : '';
+        const totalPrice = typeof order.totalPrice === 'number' ? `${order.totalPrice.toLocaleString()}원` : '';
+
+        row.append(
+            SecureDOM.createElement('td', order.orderNumber),
+            SecureDOM.createElement('td', placedAt),
+            SecureDOM.createElement('td', order.teamName || '-'),
+            SecureDOM.createElement('td', `${order.customerName || ''} ${order.customerPhone || ''}`.trim()),
+            SecureDOM.createElement('td', order.summary ? `${order.summary.totalPlayers}명` : ''),
+            SecureDOM.createElement('td', totalPrice),
+            this.createStatusCell(order),
+            this.createLinksCell(order)
+        );
+
+        return row;
+    }
+
+    createStatusCell(order) {
+        const cell = document.createElement('td');
+        const select = SecureDOM.createElement('select', '', { 'aria-label': `${order.orderNumber} 상태` });
+
+        Object.entries(ORDER_STATUS_LABELS).forEach(([status, label]) => {
+            select.appendChild(SecureDOM.createOption(status, label, status === order.status));
+        });
+        this.lockPastStatuses(select, order.status);
+
+        select.addEventListener('change', async () => {
+            select.disabled = true;
+            const updated = await this.updateStatus(order, select.value);
+            if (!updated) {
+                select.value = order.status;
+            }
+            this.lockPastStatuses(select, order.status);
+            select.disabled = false;
+        });
+
+        cell.appendChild(select);
+        return cell;
+    }
+
+    // Orders only move forward, so earlier statuses can't be picked
+    lockPastStatuses(select, currentStatus) {
+        const statuses = Object.keys(ORDER_STATUS_LABELS);
+        const currentIndex = statuses.indexOf(currentStatus);
+        Array.from(select.options).forEach(option => {
+            option.disabled = statuses.indexOf(option.value) < currentIndex;
+        });
+    }
+
+    createLinksCell(order) {
+        const cell = SecureDOM.createElement('td', '', { class: 'admin-links' });
+
+        const sessionLink = SecureDOM.createElement('a', '세션', {
+            href: this.getSessionUrl(order.sessionId),
+            target: '_blank',
+            rel: 'noopener'
+        });
+        cell.appendChild(sessionLink);
+
+        if (order.xlsxFile) {
+            cell.appendChild(this.createDownloadButton(order, 'xlsx', 'XLSX'));
+        }
+        if (order.snapshotFile) {
+            cell.appendChild(this.createDownloadButton(order, 'snapshot', '3D 스냅샷'));
+        }
+        cell.appendChild(this.createProofButton(order));
+
+        return cell;
+    }
+
+    createProofButton(order) {
+        const proof = order.proof;
+        const label = proof?.locked
+            ? `시안 잠금 해제 (v${proof.version} ${PROOF_STATUS_LABELS[proof.status]}, 의견 ${proof.commentCount})`
+            : '시안 잠금';
+        const button = SecureDOM.createElement('button', label, { type: 'button', class: 'admin-link-btn' });
+        button.addEventListener('click', () => this.toggleProof(order));
+        return button;
+    }
+
+    createDownloadButton(order, kind, label) {
+        const button = SecureDOM.createElement('button', label, { type: 'button', class: 'admin-link-btn' });
+        button.addEventListener('click', () => this.openFile(order, kind));
+        return button;
+    }
+
+    getSessionUrl(sessionId) {
+        return `${this.appOrigin}/${encodeURIComponent(sessionId)}`;
+    }
+
+    /**
+     * Update an order's status on the server
+     * @returns {Promise<boolean>} Whether the update succeeded
+     */
+    async updateStatus(order, status) {
+        try {
+            const response = await this.request(
+                `/api/admin/orders/${encodeURIComponent(order.sessionId)}/${encodeURIComponent(order.orderNumber)}/status`,
+                {
+                    method: 'PATCH',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ status })
+                }
+            );
+            const result = await response.json();
+
+            order.status = result.status;
+            order.statusHistory = result.statusHistory;
+
+            const emailNote = result.notification?.sent ? ' 고객에게 안내 메일을 보냈습니다.' : '';
+            this.showMessage(`${order.orderNumber}: ${ORDER_STATUS_LABELS[result.status]}(으)로 변경되었습니다.${emailNote}`);
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to update order status:', error);
+            this.showMessage(`상태 변경 실패: ${error.message}`, true);
+            return false;
+        }
+    }
+
+    /**
+     * Lock the session's design for customer review, or unlock it so it can be edited again
+     */
+    async toggleProof(order) {
+        const locking = !order.proof?.locked;
+
+        try {
+            await this.request(`/api/admin/sessions/${encodeURIComponent(order.sessionId)}/proof`, {
+                method: locking ? 'POST' : 'DELETE',
+                headers: { 'Content-Type': 'application/json' },
+                body: locking ? JSON.stringify({ lockedBy: 'staff' }) : undefined
+            });
+
+            await this.loadOrders();
+            this.showMessage(locking
+                ? `${order.orderNumber}: 시안이 잠겼습니다. 고객에게 세션 링크를 보내 확인을 요청하세요.`
+                : `${order.orderNumber}: 시안 잠금이 해제되었습니다.`);
+        } catch (error) {
+            console.error('❌ Failed to update proof lock:', error);
+            this.showMessage(`시안 잠금 변경 실패: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * Files need the Authorization header, so they are fetched as blobs instead of plain links
+     */
+    async openFile(order, kind) {
+        try {
+            const response = await this.request(
+                `/api/admin/orders/${encodeURIComponent(order.sessionId)}/${encodeURIComponent(order.orderNumber)}/files/${kind}`
+            );
+            const url = URL.createObjectURL(await response.blob());
+
+            if (kind === 'snapshot') {
+                window.open(url, '_blank', 'noopener');
+            } else {
+                const link = SecureDOM.createElement('a', '', { href: url, download: order.xlsxFile });
+                document.body.appendChild(link);
+                link.click();
+                link.remove();
+            }
+
+            setTimeout(() => URL.revokeObjectURL(url), 60000);
+        } catch (error) {
+            console.error('❌ Failed to open order file:', error);
+            this.showMessage(`파일을 열 수 없습니다: ${error.message}`, true);
+        }
+    }
+}
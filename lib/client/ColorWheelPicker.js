@@ -15,6 +15,8 @@ export class ColorWheelPicker {
         this.handleElement = options.handleElement || null;
         this.brightnessSlider = options.brightnessSlider || null;
         this.brightnessHandle = options.brightnessHandle || null;
+        // Optional hex -> hex filter, e.g. snapping to the nearest printable ink
+        this.snapColor = options.snapColor || null;
 
         this.isDragging = false;
         this.isDraggingBrightness = false;
@@ -258,7 +260,12 @@ export class ColorWheelPicker {
     
     getCurrentHexColor() {
         const rgb = this.hsvToRgb(this.currentHue / 360, this.currentSaturation, this.currentBrightness);
-        return this.rgbToHex(rgb.r, rgb.g, rgb.b);
+        const hex = this.rgbToHex(rgb.r, rgb.g, rgb.b);
+        return this.snapColor ? this.snapColor(hex) : hex;
+    }
+
+    setSnapColor(snapColor) {
+        this.snapColor = snapColor;
     }
     
     setColor(color) {
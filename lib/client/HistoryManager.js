@@ -0,0 +1,247 @@
+/**
+ * HistoryManager - Command-based undo/redo history
+ *
+ * Commands are plain JSON-friendly objects ({ type, label, ... }) so the stacks can be
+ * stored in the session next to `configuration`. Each command type prefix ('layer',
+ * 'control', 'option') is applied by a handler registered with registerHandler().
+ */
+export class HistoryManager {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 100;
+        this.maxPersistedEntries = options.maxPersistedEntries || 50;
+        this.mergeWindowMs = options.mergeWindowMs || 1000;
+
+        this.undoStack = [];
+        this.redoStack = [];
+        this.handlers = new Map();
+
+        // Set while a command is being undone/redone so the handlers' own changes are not recorded
+        this.isApplying = false;
+        this.suspendCount = 0;
+        this.activeGroup = null;
+
+        this.onHistoryChange = null;
+    }
+
+    /**
+     * Register the object that applies commands of a given type prefix
+     * @param {string} prefix - Command type prefix, e.g. 'layer' for 'layer.update'
+     * @param {Object} handler - Object with applyHistoryCommand(command, direction)
+     */
+    registerHandler(prefix, handler) {
+        this.handlers.set(prefix, handler);
+    }
+
+    isRecording() {
+        return !this.isApplying && this.suspendCount === 0;
+    }
+
+    /**
+     * Record a new command. Commands sharing a mergeKey inside the merge window are
+     * coalesced (first `before`, latest `after`), so slider drags and typing undo in one step.
+     */
+    record(command) {
+        if (!this.isRecording() || !command || !command.type) {
+            return;
+        }
+
+        const entry = { ...command, timestamp: Date.now() };
+
+        if (this.activeGroup) {
+            this.mergeInto(this.activeGroup.commands, entry);
+            return;
+        }
+
+        this.mergeInto(this.undoStack, entry);
+
+        if (this.undoStack.length > this.maxEntries) {
+            this.undoStack.splice(0, this.undoStack.length - this.maxEntries);
+        }
+
+        this.redoStack = [];
+        this.notifyChange();
+    }
+
+    mergeInto(stack, entry) {
+        const last = stack[stack.length - 1];
+        const canMerge = last && entry.mergeKey && last.mergeKey === entry.mergeKey &&
+            entry.timestamp - last.timestamp <= this.mergeWindowMs;
+
+        if (canMerge) {
+            last.after = entry.after;
+            last.timestamp = entry.timestamp;
+        } else {
+            stack.push(entry);
+        }
+    }
+
+    /**
+     * Start collecting commands into one undo step (e.g. a whole drag gesture)
+     */
+    beginGroup(label) {
+        if (this.activeGroup || !this.isRecording()) {
+            return;
+        }
+        this.activeGroup = { type: 'group', label, commands: [] };
+    }
+
+    endGroup() {
+        const group = this.activeGroup;
+        this.activeGroup = null;
+
+        if (!group || group.commands.length === 0) {
+            return;
+        }
+
+        // A group with a single command is stored as that command
+        this.record(group.commands.length === 1 ? group.commands[0] : group);
+    }
+
+    /**
+     * Run changes that should not show up in the history (restores, generated layers)
+     */
+    withoutRecording(fn) {
+        this.suspendCount++;
+        try {
+            return fn();
+        } finally {
+            this.suspendCount--;
+        }
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    undo() {
+        if (!this.canUndo()) {
+            return null;
+        }
+
+        const command = this.undoStack.pop();
+        this.apply(command, 'undo');
+        this.redoStack.push(command);
+        this.notifyChange();
+
+        console.log(`↩️ Undo: ${command.label || command.type}`);
+        return command;
+    }
+
+    redo() {
+        if (!this.canRedo()) {
+            return null;
+        }
+
+        const command = this.redoStack.pop();
+        this.apply(command, 'redo');
+        this.undoStack.push(command);
+        this.notifyChange();
+
+        console.log(`↪️ Redo: ${command.label || command.type}`);
+        return command;
+    }
+
+    apply(command, direction) {
+        this.isApplying = true;
+        try {
+            if (command.type === 'group') {
+                const commands = direction === 'undo' ? [...command.commands].reverse() : command.commands;
+                commands.forEach(child => this.applyOne(child, direction));
+            } else {
+                this.applyOne(command, direction);
+            }
+        } finally {
+            this.isApplying = false;
+        }
+    }
+
+    applyOne(command, direction) {
+        const prefix = command.type.split('.')[0];
+        const handler = this.handlers.get(prefix);
+
+        if (!handler) {
+            console.warn(`⚠️ No history handler registered for command type: ${command.type}`);
+            return;
+        }
+
+        try {
+            handler.applyHistoryCommand(command, direction);
+        } catch (error) {
+            console.error(`❌ Failed to ${direction} ${command.type}:`, error);
+        }
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.activeGroup = null;
+        this.notifyChange();
+    }
+
+    /**
+     * Serialize the stacks for the session. Layer images are replaced by their URL when
+     * they have one that can be fetched again; in-memory images are dropped.
+     */
+    serialize() {
+        const limit = (stack) => stack.slice(-this.maxPersistedEntries).map(command => this.serializeCommand(command));
+
+        return {
+            undo: limit(this.undoStack),
+            redo: limit(this.redoStack)
+        };
+    }
+
+    serializeCommand(command) {
+        const { timestamp: _timestamp, ...rest } = command;
+
+        if (rest.type === 'group') {
+            return { ...rest, commands: rest.commands.map(child => this.serializeCommand(child)) };
+        }
+
+        if (rest.layer) {
+            const { image, ...layer } = rest.layer;
+            const src = image && typeof image.src === 'string' ? image.src : null;
+            if (src && !src.startsWith('data:') && !src.startsWith('blob:')) {
+                layer.imageUrl = src;
+            }
+            return { ...rest, layer };
+        }
+
+        // Replaced layer images (logo cleanup) cannot be stored; the rest of the edit still can
+        if (rest.before && typeof rest.before === 'object' && 'image' in rest.before) {
+            const { image: _before, ...before } = rest.before;
+            const { image: _after, ...after } = rest.after;
+            return { ...rest, before, after };
+        }
+
+        return rest;
+    }
+
+    /**
+     * Restore stacks previously produced by serialize()
+     */
+    load(data) {
+        if (!data || !Array.isArray(data.undo) || !Array.isArray(data.redo)) {
+            this.clear();
+            return;
+        }
+
+        // Restored entries must never merge with the first new edit
+        this.undoStack = data.undo.map(command => ({ ...command, timestamp: 0 }));
+        this.redoStack = data.redo.map(command => ({ ...command, timestamp: 0 }));
+        this.activeGroup = null;
+        this.notifyChange();
+
+        console.log(`✅ Restored history: ${this.undoStack.length} undo / ${this.redoStack.length} redo steps`);
+    }
+
+    notifyChange() {
+        if (this.onHistoryChange) {
+            this.onHistoryChange({ canUndo: this.canUndo(), canRedo: this.canRedo() });
+        }
+    }
+}
@@ -2,6 +2,9 @@ import { validateFile, createStandardizedError } from './ErrorHandlingUtils.js';
 import { errorManager, FileProcessingError } from './ErrorManager.js';
 import { i18n } from './I18nManager.js';
 
+const SVG_MIME_TYPE = 'image/svg+xml';
+const DEFAULT_VECTOR_SIZE = 512;
+
 export class ImageProcessor {
     constructor(config = {}) {
         this.maxFileSize = config.maxFileSize;
@@ -16,6 +19,10 @@ export class ImageProcessor {
     }
     
     async processImage(file) {
+        if (file.type === SVG_MIME_TYPE) {
+            return this.processVectorImage(file);
+        }
+
         return new Promise((resolve, reject) => {
             try {
                 validateFile(file, {
@@ -96,6 +103,53 @@ export class ImageProcessor {
         });
     }
     
+    /**
+     * Keep SVG logos as vector markup instead of rasterizing them to a fixed size.
+     * The server sanitizes the markup again when the layer is uploaded.
+     */
+    async processVectorImage(file) {
+        validateFile(file, {
+            maxSize: this.maxFileSize,
+            allowedTypes: [SVG_MIME_TYPE]
+        });
+
+        const markup = await file.text();
+        const doc = new DOMParser().parseFromString(markup, SVG_MIME_TYPE);
+        const root = doc.documentElement;
+
+        if (doc.getElementsByTagName('parsererror').length > 0 || root.localName !== 'svg') {
+            throw new Error(`"${file.name}" is not a valid SVG file`);
+        }
+
+        // Give viewBox-only SVGs an intrinsic size, otherwise browsers fall back to 300x150
+        const viewBox = (root.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+        const hasViewBox = viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0;
+        const width = parseFloat(root.getAttribute('width')) || (hasViewBox ? viewBox[2] : DEFAULT_VECTOR_SIZE);
+        const height = parseFloat(root.getAttribute('height')) || (hasViewBox ? viewBox[3] : DEFAULT_VECTOR_SIZE);
+        const scale = Math.max(1, DEFAULT_VECTOR_SIZE / Math.max(width, height));
+
+        root.setAttribute('width', String(Math.round(width * scale)));
+        root.setAttribute('height', String(Math.round(height * scale)));
+        if (!hasViewBox) {
+            root.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        }
+
+        const svgSource = new XMLSerializer().serializeToString(doc);
+        const size = { width: Math.round(width * scale), height: Math.round(height * scale) };
+
+        return {
+            processedImageData: `data:${SVG_MIME_TYPE};charset=utf-8,${encodeURIComponent(svgSource)}`,
+            svgSource,
+            isVector: true,
+            wasResized: false,
+            originalSize: size,
+            newSize: size,
+            fileSizeReduced: false,
+            originalFileSize: file.size,
+            compressedFileSize: svgSource.length
+        };
+    }
+    
     calculateOptimalDimensions(originalWidth, originalHeight) {
         const maxWidth = this.maxImageDimensions.width;
         const maxHeight = this.maxImageDimensions.height;
@@ -0,0 +1,296 @@
+import { SecureDOM } from './SecureDOM.js';
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+// lib/inkLibrary.js applies the same default when the table has no maxDeltaE
+const DEFAULT_MAX_DELTA_E = 5;
+const WHITE_POINT = [0.95047, 1, 1.08883];
+
+// Color inputs whose colors end up printed: zone pickers and text layer fill and outline colors
+const PRINTED_COLOR_INPUTS = '.custom-color-section input[type="color"], input[data-prop="color"], ' +
+    '.text-style-controls input[data-style-group="outlines"][type="color"]';
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+/**
+ * InkMatcher - Matches picked colors to the print vendor's ink table (ΔE2000, same math as
+ * lib/inkLibrary.js), flags out-of-gamut picks and optionally snaps them to the nearest ink
+ */
+export class InkMatcher {
+    constructor(options = {}) {
+        this.serverUrl = options.serverUrl || null;
+        this.table = null;
+        this.labs = [];
+        this.snapEnabled = false;
+        this.lastInput = null;
+
+        this.elements = {
+            panel: document.getElementById('ink-match-panel'),
+            swatch: document.getElementById('ink-match-swatch'),
+            label: document.getElementById('ink-match-label'),
+            snapButton: document.getElementById('ink-match-snap-btn'),
+            autoSnap: document.getElementById('ink-auto-snap')
+        };
+    }
+
+    /**
+     * sRGB hex to CIELAB (D65)
+     */
+    static hexToLab(hex) {
+        const [r, g, b] = [1, 3, 5].map(index => {
+            const channel = parseInt(hex.slice(index, index + 2), 16) / 255;
+            return channel <= 0.04045 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+        });
+
+        const xyz = [
+            r * 0.4124564 + g * 0.3575761 + b * 0.1804375,
+            r * 0.2126729 + g * 0.7151522 + b * 0.0721750,
+            r * 0.0193339 + g * 0.1191920 + b * 0.9503041
+        ];
+        const [fx, fy, fz] = xyz.map((value, index) => {
+            const ratio = value / WHITE_POINT[index];
+            return ratio > 216 / 24389 ? Math.cbrt(ratio) : (24389 / 27 * ratio + 16) / 116;
+        });
+
+        return { L: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+    }
+
+    /**
+     * CIEDE2000 color difference (Sharma, Wu & Dalal 2005) with kL = kC = kH = 1
+     */
+    static deltaE2000(lab1, lab2) {
+        const meanC = (Math.hypot(lab1.a, lab1.b) + Math.hypot(lab2.a, lab2.b)) / 2;
+        const g = 0.5 * (1 - Math.sqrt(Math.pow(meanC, 7) / (Math.pow(meanC, 7) + Math.pow(25, 7))));
+
+        const a1 = lab1.a * (1 + g);
+        const a2 = lab2.a * (1 + g);
+        const c1 = Math.hypot(a1, lab1.b);
+        const c2 = Math.hypot(a2, lab2.b);
+        const h1 = c1 === 0 ? 0 : (toDegrees(Math.atan2(lab1.b, a1)) + 360) % 360;
+        const h2 = c2 === 0 ? 0 : (toDegrees(Math.atan2(lab2.b, a2)) + 360) % 360;
+
+        const deltaL = lab2.L - lab1.L;
+        const deltaC = c2 - c1;
+        let deltaH = 0;
+        if (c1 * c2 !== 0) {
+            deltaH = h2 - h1;
+            if (deltaH > 180) {
+                deltaH -= 360;
+            } else if (deltaH < -180) {
+                deltaH += 360;
+            }
+        }
+        const deltaHue = 2 * Math.sqrt(c1 * c2) * Math.sin(toRadians(deltaH / 2));
+
+        const meanL = (lab1.L + lab2.L) / 2;
+        const meanCPrime = (c1 + c2) / 2;
+        let meanH = h1 + h2;
+        if (c1 * c2 !== 0) {
+            if (Math.abs(h1 - h2) <= 180) {
+                meanH = (h1 + h2) / 2;
+            } else {
+                meanH = h1 + h2 < 360 ? (h1 + h2 + 360) / 2 : (h1 + h2 - 360) / 2;
+            }
+        }
+
+        const t = 1 -
+            0.17 * Math.cos(toRadians(meanH - 30)) +
+            0.24 * Math.cos(toRadians(2 * meanH)) +
+            0.32 * Math.cos(toRadians(3 * meanH + 6)) -
+            0.20 * Math.cos(toRadians(4 * meanH - 63));
+        const lightnessOffset = Math.pow(meanL - 50, 2);
+        const sl = 1 + 0.015 * lightnessOffset / Math.sqrt(20 + lightnessOffset);
+        const sc = 1 + 0.045 * meanCPrime;
+        const sh = 1 + 0.015 * meanCPrime * t;
+        const rotation = -2 * Math.sqrt(Math.pow(meanCPrime, 7) / (Math.pow(meanCPrime, 7) + Math.pow(25, 7))) *
+            Math.sin(toRadians(60 * Math.exp(-Math.pow((meanH - 275) / 25, 2))));
+
+        return Math.sqrt(
+            Math.pow(deltaL / sl, 2) +
+            Math.pow(deltaC / sc, 2) +
+            Math.pow(deltaHue / sh, 2) +
+            rotation * (deltaC / sc) * (deltaHue / sh)
+        );
+    }
+
+    async initialize() {
+        await this.loadTable();
+
+        if (!this.table || !this.elements.panel) {
+            return;
+        }
+
+        this.elements.panel.hidden = false;
+
+        // Mark picks as they are dragged, snap once they are committed
+        document.addEventListener('input', (e) => {
+            const input = e.target.closest?.(PRINTED_COLOR_INPUTS);
+            if (input) {
+                this.showMatch(input);
+            }
+        });
+        document.addEventListener('change', (e) => {
+            const input = e.target.closest?.(PRINTED_COLOR_INPUTS);
+            if (input) {
+                this.checkInput(input);
+            }
+        });
+
+        this.elements.snapButton?.addEventListener('click', () => this.snapInput(this.lastInput));
+        this.elements.autoSnap?.addEventListener('change', () => {
+            this.snapEnabled = this.elements.autoSnap.checked;
+            console.log(`🎨 Ink auto-snap ${this.snapEnabled ? 'enabled' : 'disabled'}`);
+        });
+
+        this.refreshAll();
+    }
+
+    /**
+     * Load the ink table from the server; without one, matching stays off
+     */
+    async loadTable() {
+        if (!this.serverUrl) {
+            console.log('📋 Ink matching disabled (no server)');
+            return null;
+        }
+
+        try {
+            const response = await fetch(`${this.serverUrl}/api/inks`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const result = await response.json();
+            this.setTable(result.inks);
+            console.log(`✅ Ink table loaded: ${this.table.inks.length} inks`);
+        } catch (error) {
+            console.warn('⚠️ Failed to load ink table, ink matching disabled:', error);
+        }
+
+        return this.table;
+    }
+
+    setTable(table) {
+        this.table = table;
+        this.labs = table.inks.map(ink => InkMatcher.hexToLab(ink.hex));
+    }
+
+    isEnabled() {
+        return Boolean(this.table);
+    }
+
+    /**
+     * Nearest printable ink for a color
+     * @param {string} hex - #rrggbb color
+     * @returns {Object|null} { code, name, hex, deltaE, inGamut }
+     */
+    match(hex) {
+        if (!this.table || !HEX_COLOR.test(hex || '')) {
+            return null;
+        }
+
+        const lab = InkMatcher.hexToLab(hex);
+        let bestIndex = 0;
+        let bestDeltaE = Infinity;
+        this.labs.forEach((inkLab, index) => {
+            const deltaE = InkMatcher.deltaE2000(lab, inkLab);
+            if (deltaE < bestDeltaE) {
+                bestDeltaE = deltaE;
+                bestIndex = index;
+            }
+        });
+
+        const ink = this.table.inks[bestIndex];
+        return {
+            code: ink.code,
+            name: ink.name || '',
+            hex: ink.hex.toLowerCase(),
+            deltaE: Math.round(bestDeltaE * 100) / 100,
+            inGamut: bestDeltaE <= (this.table.maxDeltaE || DEFAULT_MAX_DELTA_E)
+        };
+    }
+
+    /**
+     * Color filter for ColorWheelPicker: the nearest ink while auto-snap is on
+     */
+    snap(hex) {
+        return this.snapEnabled ? this.match(hex)?.hex || hex : hex;
+    }
+
+    /**
+     * Flag an input whose color is outside the printable gamut
+     */
+    markInput(input) {
+        const match = this.match(input.value);
+        if (!match) {
+            return null;
+        }
+
+        input.classList.toggle('out-of-gamut', !match.inGamut);
+        input.dataset.inkCode = match.code;
+        input.title = match.inGamut
+            ? `${match.code} ${match.name}`.trim()
+            : `Out of print gamut - nearest ink ${match.code} (ΔE ${match.deltaE.toFixed(1)})`;
+        return match;
+    }
+
+    showMatch(input) {
+        const match = this.markInput(input);
+        if (match) {
+            this.lastInput = input;
+            this.renderMatch(match, input.value.toLowerCase());
+        }
+        return match;
+    }
+
+    checkInput(input) {
+        const match = this.showMatch(input);
+
+        if (match && this.snapEnabled && match.hex !== input.value.toLowerCase()) {
+            this.snapInput(input);
+        }
+        return match;
+    }
+
+    /**
+     * Replace an input's color with its nearest ink through the normal change handlers
+     */
+    snapInput(input) {
+        const match = input ? this.match(input.value) : null;
+        if (!match) {
+            return;
+        }
+
+        input.value = match.hex;
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+        input.dispatchEvent(new Event('change', { bubbles: true }));
+        console.log(`🎨 Snapped ${input.id || 'color'} to ${match.code}`);
+    }
+
+    /**
+     * Re-check every printed color input (after restores or a new pattern's pickers)
+     */
+    refreshAll() {
+        if (!this.table) {
+            return;
+        }
+        document.querySelectorAll(PRINTED_COLOR_INPUTS).forEach(input => this.markInput(input));
+    }
+
+    renderMatch(match, pickedHex) {
+        const { swatch, label, snapButton } = this.elements;
+
+        if (swatch) {
+            swatch.style.backgroundColor = match.hex;
+        }
+        if (label) {
+            SecureDOM.setText(label, match.inGamut
+                ? `${match.code} ${match.name} (ΔE ${match.deltaE.toFixed(1)})`
+                : `⚠️ Out of print gamut - nearest ${match.code} ${match.name} (ΔE ${match.deltaE.toFixed(1)})`);
+            label.classList.toggle('out-of-gamut', !match.inGamut);
+        }
+        if (snapButton) {
+            snapButton.disabled = match.hex === pickedHex;
+        }
+    }
+}
@@ -1,3 +1,5 @@
+import { TransformGizmo, CORNER_HANDLES } from './TransformGizmo.js';
+
 export class InteractionManager {
     constructor(sceneManager, layerManager) {
         this.sceneManager = sceneManager;
@@ -10,6 +12,16 @@ export class InteractionManager {
         this.isDragging = false;
         this.dragLayer = null;
         this.dragOffset = { x: 0, y: 0 };
+        this.dragStartPosition = null;
+
+        // Transform gizmo: 'move', 'rotate' or a corner handle while dragging
+        this.dragHandle = null;
+        this.transformStart = null;
+        this.aspectLocked = true;
+        this.snapEnabled = true;
+        this.snapTargets = null;
+        // Other selected layers and their start state; they follow the dragged layer
+        this.groupStart = [];
 
         // Touch support properties
         this.isTouch = false;
@@ -138,11 +150,21 @@ export class InteractionManager {
 
         if (intersection) {
             const uv = intersection.uv;
+
+            // Handles of the selected layer win over layers underneath them
+            const handle = this.getGizmoHandleAt(uv);
+            if (handle && handle !== 'move') {
+                this.startTransform(this.layerManager.getSelectedLayer(), handle, uv);
+                return;
+            }
+
             const clickedLayer = this.layerManager.getLayerAtPosition(uv.x, uv.y);
 
             if (clickedLayer) {
-                this.layerManager.selectLayer(clickedLayer.id);
-                this.startDrag(clickedLayer, uv);
+                this.selectClickedLayer(clickedLayer, event);
+                if (this.layerManager.isLayerSelected(clickedLayer)) {
+                    this.startDrag(clickedLayer, uv);
+                }
 
                 if (this.onLayerClicked) {
                     this.onLayerClicked(clickedLayer);
@@ -153,11 +175,35 @@ export class InteractionManager {
         }
     }
     
+    /**
+     * Ctrl/Cmd/Shift-click toggles a layer in the selection. A plain click keeps a multi-selection
+     * the layer is part of (so they are dragged together) and selects the whole group of a grouped layer.
+     */
+    selectClickedLayer(layer, event = {}) {
+        const layerManager = this.layerManager;
+
+        if (event.ctrlKey || event.metaKey || event.shiftKey) {
+            layerManager.selectLayer(layer.id, 'toggle');
+        } else if (layerManager.isLayerSelected(layer) && layerManager.getSelectedLayers().length > 1) {
+            layerManager.setSelection(layerManager.getSelectedLayers(), layer);
+        } else if (layer.group) {
+            layerManager.selectGroup(layer.group.id, layer.id);
+        } else {
+            layerManager.selectLayer(layer.id);
+        }
+    }
+
+    getGroupStart(layer) {
+        return this.layerManager.getSelectedLayers()
+            .filter(other => other !== layer && !other.locked)
+            .map(other => ({ layer: other, position: { ...other.position }, scale: other.scale || 1, rotation: other.rotation || 0 }));
+    }
+
     onMouseMove(event) {
         if (!this.isDragging || this.isTouch) return;
 
         const mouseCoords = this.getMouseCoordinates(event);
-        this.handlePointerMove(mouseCoords);
+        this.handlePointerMove(mouseCoords, event);
     }
 
     onTouchMove(event) {
@@ -170,10 +216,13 @@ export class InteractionManager {
         if (!touch) return;
 
         const touchCoords = this.getTouchCoordinates(touch);
-        this.handlePointerMove(touchCoords);
+        this.handlePointerMove(touchCoords, event);
     }
 
-    handlePointerMove(coords) {
+    /**
+     * @param {Object} event - Mouse or touch event; Shift toggles aspect lock and fine rotation snapping
+     */
+    handlePointerMove(coords, event = {}) {
         // Skip if layer movement is disabled
         if (!this.moveLayerEnabled) {
             return;
@@ -183,7 +232,11 @@ export class InteractionManager {
 
         if (intersection && this.dragLayer) {
             const uv = intersection.uv;
-            this.updateDrag(uv);
+            if (this.dragHandle === 'move') {
+                this.updateDrag(uv);
+            } else {
+                this.updateTransform(uv, event.shiftKey);
+            }
         }
     }
     
@@ -216,13 +269,22 @@ export class InteractionManager {
     startDrag(layer, uv) {
         this.isDragging = true;
         this.dragLayer = layer;
+        this.dragHandle = 'move';
         this.dragOffset = {
             x: uv.x - layer.position.x,
             y: uv.y - layer.position.y
         };
+        this.dragStartPosition = { ...layer.position };
+        this.groupStart = this.getGroupStart(layer);
+        this.snapTargets = this.snapEnabled ? this.getSnapTargets(layer) : null;
         
         this.sceneManager.setControlsEnabled(false);
         this.canvas.style.cursor = 'grabbing';
+
+        // The whole drag gesture undoes as a single step
+        if (this.layerManager.history) {
+            this.layerManager.history.beginGroup(`Move ${layer.name}`);
+        }
         
         if (this.onLayerDragStart) {
             this.onLayerDragStart(layer);
@@ -232,11 +294,29 @@ export class InteractionManager {
     updateDrag(uv) {
         if (!this.dragLayer) return;
         
-        const newX = Math.max(0, Math.min(1, uv.x - this.dragOffset.x));
-        const newY = Math.max(0, Math.min(1, uv.y - this.dragOffset.y));
+        let position = {
+            x: Math.max(0, Math.min(1, uv.x - this.dragOffset.x)),
+            y: Math.max(0, Math.min(1, uv.y - this.dragOffset.y))
+        };
+
+        const gizmo = this.layerManager.selectionGizmo;
+        if (this.snapTargets && gizmo) {
+            const frame = this.layerManager.getLayerFrame({ ...this.dragLayer, position });
+            if (frame) {
+                const snap = gizmo.snapPosition(position, TransformGizmo.getUvBounds(frame, this.getTextureSize()), this.snapTargets);
+                position = snap.position;
+                gizmo.guides = snap.guides;
+            }
+        }
         
-        this.layerManager.updateLayer(this.dragLayer.id, {
-            position: { x: newX, y: newY }
+        this.layerManager.updateLayer(this.dragLayer.id, { position });
+        this.groupStart.forEach(start => {
+            this.layerManager.updateLayer(start.layer.id, {
+                position: {
+                    x: start.position.x + position.x - this.dragStartPosition.x,
+                    y: start.position.y + position.y - this.dragStartPosition.y
+                }
+            });
         });
         
         if (this.onLayerDrag) {
@@ -244,12 +324,123 @@ export class InteractionManager {
         }
     }
     
+    /**
+     * Start a corner scale or knob rotation drag on the selected layer
+     */
+    startTransform(layer, handle, uv) {
+        const frame = this.layerManager.getLayerFrame(layer);
+        if (!layer || !frame) {
+            return;
+        }
+
+        this.isDragging = true;
+        this.dragLayer = layer;
+        this.dragHandle = handle;
+        this.transformStart = {
+            frame,
+            position: { ...layer.position },
+            scale: layer.scale || 1,
+            aspect: layer.aspect || 1,
+            rotation: layer.rotation || 0,
+            local: TransformGizmo.toLocal(frame, this.uvToTexture(uv))
+        };
+        this.groupStart = this.getGroupStart(layer);
+
+        this.sceneManager.setControlsEnabled(false);
+        this.canvas.style.cursor = handle === 'rotate' ? 'crosshair' : 'nwse-resize';
+
+        if (this.layerManager.history) {
+            this.layerManager.history.beginGroup(`${handle === 'rotate' ? 'Rotate' : 'Scale'} ${layer.name}`);
+        }
+
+        if (this.onLayerDragStart) {
+            this.onLayerDragStart(layer);
+        }
+    }
+
+    /**
+     * @param {boolean} modifier - Shift: flips the aspect lock while scaling, 15° steps while rotating
+     */
+    updateTransform(uv, modifier = false) {
+        if (!this.dragLayer || !this.transformStart) return;
+
+        const point = this.uvToTexture(uv);
+        const { frame } = this.transformStart;
+        const update = this.dragHandle === 'rotate'
+            ? { rotation: TransformGizmo.rotationFromDrag(frame.center, point, modifier) }
+            : TransformGizmo.scaleFromDrag(this.transformStart, TransformGizmo.toLocal(frame, point), this.aspectLocked !== modifier);
+
+        this.layerManager.updateLayer(this.dragLayer.id, update);
+
+        // The rest of the selection scales and turns around the handle layer's center
+        const start = this.transformStart;
+        const factor = (update.scale ?? start.scale) / start.scale;
+        const degrees = (update.rotation ?? start.rotation) - start.rotation;
+        this.groupStart.forEach(other => {
+            this.layerManager.updateLayer(other.layer.id, TransformGizmo.transformAround(other, start.position, factor, degrees));
+        });
+
+        if (this.onLayerDrag) {
+            this.onLayerDrag(this.dragLayer);
+        }
+    }
+
+    /**
+     * Gizmo part of the selected layer under a UV point
+     * @returns {string|null} 'rotate', a corner handle, 'move' or null
+     */
+    getGizmoHandleAt(uv) {
+        const layer = this.layerManager.getSelectedLayer();
+        const gizmo = this.layerManager.selectionGizmo;
+        if (!layer || layer.locked || !layer.visible || !gizmo?.visible) {
+            return null;
+        }
+
+        const frame = this.layerManager.getLayerFrame(layer);
+        // Fingers are less precise than a mouse pointer
+        return frame ? gizmo.hitTest(frame, this.uvToTexture(uv), this.getTextureSize(), this.isTouch ? 2 : 1) : null;
+    }
+
+    /**
+     * Piece centerlines and the other visible layers' centers and edges
+     */
+    getSnapTargets(movingLayer) {
+        const size = this.getTextureSize();
+        const otherBounds = this.layerManager.getLayers()
+            .filter(layer => layer.id !== movingLayer.id && layer.visible)
+            .map(layer => this.layerManager.getLayerFrame(layer))
+            .filter(Boolean)
+            .map(frame => TransformGizmo.getUvBounds(frame, size));
+
+        return TransformGizmo.getSnapTargets(otherBounds);
+    }
+
+    getTextureSize() {
+        return this.layerManager.textureCanvas?.width || 1;
+    }
+
+    uvToTexture(uv) {
+        const size = this.getTextureSize();
+        return { x: uv.x * size, y: uv.y * size };
+    }
+    
     endDrag() {
         this.isDragging = false;
         const layer = this.dragLayer;
+        const hadGuides = this.layerManager.selectionGizmo?.guides.length > 0;
         this.dragLayer = null;
+        this.dragHandle = null;
+        this.transformStart = null;
+        this.snapTargets = null;
+        this.groupStart = [];
+        this.dragStartPosition = null;
         this.dragOffset = { x: 0, y: 0 };
 
+        if (hadGuides) {
+            this.layerManager.selectionGizmo.guides = [];
+            this.layerManager.updateTexture();
+        }
+
         this.sceneManager.setControlsEnabled(true);
         this.canvas.style.cursor = 'default';
 
@@ -258,6 +449,10 @@ export class InteractionManager {
             console.log(`Logo drag ended - Final coordinates: x=${layer.position.x.toFixed(4)}, y=${layer.position.y.toFixed(4)}`);
         }
 
+        if (this.layerManager.history) {
+            this.layerManager.history.endGroup();
+        }
+
         if (this.onLayerDragEnd) {
             this.onLayerDragEnd(layer);
         }
@@ -290,9 +485,14 @@ export class InteractionManager {
 
         if (intersection) {
             const uv = intersection.uv;
+            const handle = this.getGizmoHandleAt(uv);
             const layer = this.layerManager.getLayerAtPosition(uv.x, uv.y);
 
-            if (layer) {
+            if (handle === 'rotate') {
+                this.canvas.style.cursor = 'crosshair';
+            } else if (CORNER_HANDLES.includes(handle)) {
+                this.canvas.style.cursor = handle === 'nw' || handle === 'se' ? 'nwse-resize' : 'nesw-resize';
+            } else if (layer) {
                 this.canvas.style.cursor = 'grab';
             } else {
                 this.canvas.style.cursor = 'default';
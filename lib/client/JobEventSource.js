@@ -0,0 +1,165 @@
+// Statuses after which a job won't change any more
+const FINAL_STATUSES = ['completed', 'failed', 'not_found'];
+// Status is fetched again this often while waiting, in case an event was missed
+const RECHECK_MS = 15000;
+
+const streamClosedError = () => Object.assign(new Error('Job event stream is not connected'), { code: 'STREAM_CLOSED' });
+
+/**
+ * JobEventSource - Job updates pushed by the server over Server-Sent Events
+ * (GET /api/sessions/:sessionId/events, see lib/jobEvents.js). Callers wait for jobs with
+ * waitFor() and poll as before when it rejects with code STREAM_CLOSED.
+ */
+export class JobEventSource {
+    constructor(options = {}) {
+        this.serverUrl = options.serverUrl || null;
+        this.sessionId = null;
+        this.source = null;
+        this.connected = false;
+        this.waiters = new Map(); // jobId -> Set of waiters
+        this.listeners = new Set();
+    }
+
+    /**
+     * Open the session's stream; without EventSource support everything keeps polling
+     */
+    connect(sessionId) {
+        if (this.source && this.sessionId === sessionId) {
+            return;
+        }
+        this.disconnect();
+        if (!sessionId || !this.serverUrl || typeof window.EventSource === 'undefined') {
+            return;
+        }
+
+        this.sessionId = sessionId;
+        this.source = new window.EventSource(`${this.serverUrl}/api/sessions/${sessionId}/events`);
+        this.source.addEventListener('open', () => {
+            this.connected = true;
+            console.log(`📡 Job event stream connected for session ${sessionId}`);
+        });
+        this.source.addEventListener('job', (event) => {
+            try {
+                this.handleEvent(JSON.parse(event.data));
+            } catch (error) {
+                console.warn('⚠️ Ignoring malformed job event:', error.message);
+            }
+        });
+        this.source.addEventListener('error', () => {
+            // EventSource reconnects by itself; jobs waiting meanwhile go back to polling
+            if (this.connected) {
+                console.warn('⚠️ Job event stream lost, falling back to polling');
+            }
+            this.connected = false;
+            this.closeWaiters();
+        });
+    }
+
+    disconnect() {
+        this.source?.close();
+        this.source = null;
+        this.sessionId = null;
+        this.connected = false;
+        this.closeWaiters();
+    }
+
+    isConnected() {
+        return this.connected;
+    }
+
+    /**
+     * Listen to every job event of the session
+     * @returns {Function} - Removes the listener
+     */
+    onJobEvent(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    handleEvent(event) {
+        this.listeners.forEach(listener => listener(event));
+        this.waiters.get(event.jobId)?.forEach(waiter => waiter.handle(event));
+    }
+
+    closeWaiters() {
+        this.waiters.forEach(waiters => waiters.forEach(waiter => waiter.close()));
+    }
+
+    /**
+     * Wait until a job is done. The status is fetched once up front (the job may have
+     * finished before we listen), when the stream reports the job done and every RECHECK_MS.
+     * @param {string} jobId - Job ID
+     * @param {Function} fetchStatus - async () => status object with a `status` field
+     * @param {Object} options - { onEvent, timeoutMs }
+     * @returns {Promise<Object>} - The final status from fetchStatus
+     */
+    waitFor(jobId, fetchStatus, { onEvent = null, timeoutMs = 10 * 60 * 1000 } = {}) {
+        if (!this.connected) {
+            return Promise.reject(streamClosedError());
+        }
+
+        return new Promise((resolve, reject) => {
+            let done = false;
+            let fetching = false;
+            let fetchAgain = false;
+
+            const finish = (error, status) => {
+                if (done) return;
+                done = true;
+                clearTimeout(timeout);
+                clearInterval(recheck);
+                const waiters = this.waiters.get(jobId);
+                waiters.delete(waiter);
+                if (waiters.size === 0) {
+                    this.waiters.delete(jobId);
+                }
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(status);
+                }
+            };
+
+            // One request at a time: fetching a finished layer job adds the layer to the session
+            const check = async () => {
+                if (fetching) {
+                    fetchAgain = true;
+                    return;
+                }
+                fetching = true;
+                try {
+                    do {
+                        fetchAgain = false;
+                        const status = await fetchStatus();
+                        if (FINAL_STATUSES.includes(status?.status)) {
+                            finish(null, status);
+                        }
+                    } while (fetchAgain && !done);
+                } catch (error) {
+                    console.warn(`⚠️ Failed to fetch status of job ${jobId}: ${error.message}`);
+                } finally {
+                    fetching = false;
+                }
+            };
+
+            const waiter = {
+                handle: (event) => {
+                    onEvent?.(event);
+                    if (event.type === 'completed' || event.type === 'failed') {
+                        check();
+                    }
+                },
+                close: () => finish(streamClosedError())
+            };
+
+            const timeout = setTimeout(() => finish(new Error(`Job ${jobId} timed out after ${timeoutMs}ms`)), timeoutMs);
+            const recheck = setInterval(check, RECHECK_MS);
+
+            if (!this.waiters.has(jobId)) {
+                this.waiters.set(jobId, new Set());
+            }
+            this.waiters.get(jobId).add(waiter);
+            check();
+        });
+    }
+}
@@ -7,6 +7,12 @@ export class KeyboardManager {
         this.layerManager = layerManager;
         this.sceneManager = sceneManager;
         this.uiManager = uiManager;
+        this.historyManager = null;
+
+        // (action) for Ctrl+D (duplicate), Ctrl+G (group) and Ctrl+Shift+G (ungroup)
+        this.onLayerShortcut = null;
+        // ('copy' | 'paste', clipboardData) => boolean: whether layers were copied or pasted
+        this.onLayerClipboard = null;
 
         this.focusedElement = null;
         this.focusedLayerId = null;
@@ -22,6 +28,24 @@ export class KeyboardManager {
         document.addEventListener('keydown', (e) => this.handleGlobalKeydown(e));
         document.addEventListener('focusin', (e) => this.handleFocusIn(e));
         document.addEventListener('focusout', (e) => this.handleFocusOut(e));
+        document.addEventListener('copy', (e) => this.handleClipboard(e));
+        document.addEventListener('paste', (e) => this.handleClipboard(e));
+    }
+
+    /**
+     * Copy and paste layers with the system clipboard when no text field has focus
+     */
+    handleClipboard(e) {
+        if (e.target.matches?.('input, textarea, select, [contenteditable]') || !this.onLayerClipboard || !e.clipboardData) {
+            return;
+        }
+        if (e.type === 'copy' && this.layerManager.getSelectedLayers().length === 0) {
+            return;
+        }
+
+        if (this.onLayerClipboard(e.type, e.clipboardData)) {
+            e.preventDefault();
+        }
     }
 
     handleGlobalKeydown(e) {
@@ -125,9 +149,48 @@ export class KeyboardManager {
                     this.selectLayerByIndex(layerIndex);
                 }
                 break;
+
+            default:
+                this.handleEditShortcut(e);
         }
     }
 
+    /**
+     * Ctrl/Cmd shortcuts: Z undo (Shift+Z redo), Y redo, D duplicate the selection,
+     * G group it and Shift+G ungroup
+     * @returns {boolean} Whether the key was handled
+     */
+    handleEditShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey)) {
+            return false;
+        }
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' || key === 'y') {
+            e.preventDefault();
+            if (key === 'y' || e.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+            return true;
+        }
+        if (!this.onLayerShortcut) {
+            return false;
+        }
+        if (key === 'd' && this.layerManager.getSelectedLayers().length > 0) {
+            e.preventDefault();
+            this.onLayerShortcut('duplicate');
+            return true;
+        }
+        if (key === 'g') {
+            e.preventDefault();
+            this.onLayerShortcut(e.shiftKey ? 'ungroup' : 'group');
+            return true;
+        }
+        return false;
+    }
+
     handleModalKeydown(e) {
         if (e.key === 'Escape') {
             e.preventDefault();
@@ -369,10 +432,25 @@ export class KeyboardManager {
         const selectedLayer = this.layerManager.getSelectedLayer();
         if (selectedLayer) {
             this.announce(`Deleting layer ${selectedLayer.name || 'unnamed'}`);
-            this.layerManager.deleteLayer(selectedLayer.id);
+            this.layerManager.removeLayer(selectedLayer.id);
         }
     }
 
+    // History methods
+    undo() {
+        if (!this.historyManager) return;
+
+        const command = this.historyManager.undo();
+        this.announce(command ? `Undone: ${command.label || 'last change'}` : 'Nothing to undo');
+    }
+
+    redo() {
+        if (!this.historyManager) return;
+
+        const command = this.historyManager.redo();
+        this.announce(command ? `Redone: ${command.label || 'last change'}` : 'Nothing to redo');
+    }
+
     moveLayerUp() {
         const selectedLayer = this.layerManager.getSelectedLayer();
         if (selectedLayer) {
@@ -601,7 +679,8 @@ export class KeyboardManager {
         setTimeout(() => {
             this.announce(
                 'Keyboard controls available: Arrow keys to navigate, Enter to activate, ' +
-                'Delete to remove layers, Ctrl+Arrow to reorder layers, Tab to move between sections'
+                'Delete to remove layers, Ctrl+Arrow to reorder layers, Ctrl+Z to undo, Ctrl+Shift+Z to redo, ' +
+                'Tab to move between sections'
             );
         }, 2000);
     }
@@ -619,6 +698,10 @@ export class KeyboardManager {
         this.uiManager = uiManager;
     }
 
+    setHistoryManager(historyManager) {
+        this.historyManager = historyManager;
+    }
+
     // Cleanup
     destroy() {
         document.removeEventListener('keydown', this.handleGlobalKeydown);
@@ -1,11 +1,60 @@
 import * as THREE from 'three';
 import { errorManager, LayerError, ApplicationError } from './ErrorManager.js';
 import { i18n } from './I18nManager.js';
+import { TextRenderer } from './TextRenderer.js';
+import { TransformGizmo, MIN_LAYER_SCALE, MAX_LAYER_SCALE } from './TransformGizmo.js';
+import { UvIslands, PLACEMENT_PRESETS } from './UvIslands.js';
+
+// Properties a mirrored clone shares with its source layer (position and rotation are mirrored)
+const MIRROR_SYNC_KEYS = ['position', 'anchor', 'rotation', 'scale', 'aspect', 'color', 'opacity', 'visible', 'flippedHorizontally',
+    'image', 'palette', 'assetId', 'serverImageUrl'];
+
+// Clipboard payload marker, so pasting unrelated text is ignored
+const CLIPBOARD_FORMAT = 'uniform-configurator/layers';
+
+// UV offset of duplicated and re-pasted layers, so the copy does not hide the original
+const COPY_OFFSET = 0.02;
+
+const ALIGN_EDGES = {
+    left: { axis: 'x', at: bounds => bounds.left },
+    center: { axis: 'x', at: bounds => (bounds.left + bounds.right) / 2 },
+    right: { axis: 'x', at: bounds => bounds.right },
+    top: { axis: 'y', at: bounds => bounds.top },
+    middle: { axis: 'y', at: bounds => (bounds.top + bounds.bottom) / 2 },
+    bottom: { axis: 'y', at: bounds => bounds.bottom }
+};
+
+const createId = prefix => `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+const hexToRgb = color => [1, 3, 5].map(index => parseInt(color.slice(index, index + 2), 16));
+
+/**
+ * Replace each palette source color with its chosen color; pixels take the nearest source
+ * (same mapping as ImageProcessor.recolorPixels in lib/imageProcessor.js for print exports)
+ */
+const recolorPixels = (data, palette) => {
+    const sources = palette.map(entry => hexToRgb(entry.source));
+    const targets = palette.map(entry => hexToRgb(entry.color));
+    const cache = new Map();
+
+    for (let offset = 0; offset < data.length; offset += 4) {
+        if (data[offset + 3] === 0) continue;
+
+        const key = (data[offset] << 16) | (data[offset + 1] << 8) | data[offset + 2];
+        if (!cache.has(key)) {
+            const distances = sources.map(([r, g, b]) => (data[offset] - r) ** 2 + (data[offset + 1] - g) ** 2 + (data[offset + 2] - b) ** 2);
+            cache.set(key, distances.indexOf(Math.min(...distances)));
+        }
+        [data[offset], data[offset + 1], data[offset + 2]] = targets[cache.get(key)];
+    }
+};
 
 export class LayerManager {
     constructor() {
         this.layers = [];
         this.selectedLayer = null;
+        // Multi-selection (Shift/Ctrl-click, groups); includes selectedLayer, which gets the handles
+        this.selectedLayers = [];
         this.textureCanvas = null;
         this.textureContext = null;
         this.baseTextureImage = null;
@@ -21,12 +70,26 @@ export class LayerManager {
         this.onLayerUpdated = null;
         this.onTextureUpdated = null;
 
+        // Undo/redo history (HistoryManager), injected by main.js
+        this.history = null;
+
         // Hybrid GLB System Integration
         this.modelCache = null; // Will be injected by SceneManager
         
         // Smart texture update system
         this.textureUpdateTimeout = null;
         this.textMetricsCache = new Map();
+        // Logos with a recolored palette: layer id -> { image, key, canvas }
+        this.recoloredImages = new Map();
+        this.textRenderer = new TextRenderer();
+        this.selectionGizmo = new TransformGizmo();
+        this.gizmoBackup = null;
+        // Garment UV islands; replaced by the master GLB's islands once it is loaded
+        this.uvIslands = UvIslands.fromRegions();
+        this.clipCanvas = null;
+        // Re-entry guards while a mirrored pair is synced or deleted
+        this.syncingMirror = false;
+        this.removingMirrorPair = false;
         this.lastUpdateTime = 0;
         this.pendingUpdate = false;
         this.updateThrottleMs = 16; // 60 FPS max
@@ -228,6 +291,8 @@ export class LayerManager {
                 this.drawLayer(layer);
             }
 
+            this.drawSelectionGizmo();
+
             // Note: Don't set texture.needsUpdate here - it will be set once in performOptimizedTextureUpdate
             // This prevents multiple needsUpdate calls that can cause Three.js texture issues
 
@@ -376,11 +441,17 @@ export class LayerManager {
         });
     }
     
-    drawLayer(layer) {
-        if (!this.textureContext) return;
+    drawLayer(layer, ctx = this.textureContext) {
+        if (!ctx) return;
+
+        // Anchored layers are clipped to their island so they never print across a seam
+        const island = ctx === this.textureContext ? this.getLayerIsland(layer) : null;
+        if (island) {
+            this.drawClippedLayer(layer, island);
+            return;
+        }
 
         const canvas = this.textureCanvas;
-        const ctx = this.textureContext;
 
         ctx.save();
 
@@ -398,24 +469,24 @@ export class LayerManager {
         
         ctx.translate(centerX, centerY);
         ctx.rotate((layer.rotation || 0) * Math.PI / 180);
-        ctx.scale(layer.scale || 1.0, layer.scale || 1.0);
+
+        if (layer.type === 'logo' && layer.isVector && layer.image) {
+            // Vector logos are rasterized at their on-canvas size instead of being scaled as a bitmap
+            this.drawVectorLogo(ctx, layer);
+            ctx.restore();
+            return;
+        }
+
+        ctx.scale((layer.scale || 1.0) * (layer.aspect || 1), layer.scale || 1.0);
         
         if (layer.type === 'text') {
-            // Draw text layer
-            const fontSize = layer.fontSize || 24;
-            const text = layer.text || 'Text';
-            const color = layer.color || '#ffffff';
-
-            // Ensure clean text drawing state
-            ctx.fillStyle = color;
-            ctx.strokeStyle = color; // Also set stroke in case it's used elsewhere
-            ctx.font = `${fontSize}px Arial`;
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'middle';
-            ctx.fillText(text, 0, 0);
+            // Styled text (fonts, outlines, shadow, warps) is rendered once and cached by style
+            const rendered = this.textRenderer.render(layer);
+            ctx.drawImage(rendered, -rendered.width / 2, -rendered.height / 2);
+            this.ensureTextFont(layer);
         } else if (layer.type === 'logo' && layer.image) {
             // Draw image layer with color multiplication that preserves alpha
-            const img = layer.image;
+            const img = this.getRecoloredImage(layer);
             const color = layer.color || '#ffffff';
 
             // If color is not white (#ffffff), apply color multiplication preserving alpha
@@ -455,7 +526,802 @@ export class LayerManager {
         ctx.restore();
     }
     
-    addLayer(type, image, name = null) {
+    /**
+     * Draw a layer into the scratch canvas, mask it with its island and copy the result over
+     */
+    drawClippedLayer(layer, island) {
+        const frame = this.getLayerFrame(layer);
+        if (!frame) {
+            return;
+        }
+
+        const { width, height } = this.textureCanvas;
+        if (!this.clipCanvas || this.clipCanvas.width !== width || this.clipCanvas.height !== height) {
+            this.clipCanvas = document.createElement('canvas');
+            this.clipCanvas.width = width;
+            this.clipCanvas.height = height;
+        }
+        const clipContext = this.clipCanvas.getContext('2d');
+
+        // Only the layer's bounding box is touched
+        const bounds = TransformGizmo.getUvBounds(frame, width);
+        const x = Math.max(0, Math.floor(bounds.left * width));
+        const y = Math.max(0, Math.floor(bounds.top * width));
+        const regionWidth = Math.min(width, Math.ceil(bounds.right * width)) - x;
+        const regionHeight = Math.min(height, Math.ceil(bounds.bottom * width)) - y;
+        if (regionWidth <= 0 || regionHeight <= 0) {
+            return;
+        }
+
+        clipContext.clearRect(x, y, regionWidth, regionHeight);
+        this.drawLayer(layer, clipContext);
+
+        clipContext.save();
+        clipContext.globalCompositeOperation = 'destination-in';
+        clipContext.drawImage(this.uvIslands.getMask(island, width, height), x, y, regionWidth, regionHeight, x, y, regionWidth, regionHeight);
+        clipContext.restore();
+
+        this.textureContext.drawImage(this.clipCanvas, x, y, regionWidth, regionHeight, x, y, regionWidth, regionHeight);
+    }
+
+    /**
+     * Logo image with its palette recolors applied, cached until the image or palette changes
+     */
+    getRecoloredImage(layer) {
+        const image = layer.image;
+        if (!image || !layer.palette?.some(entry => entry.color !== entry.source)) {
+            return image;
+        }
+
+        const key = JSON.stringify(layer.palette);
+        const cached = this.recoloredImages.get(layer.id);
+        if (cached && cached.image === image && cached.key === key) {
+            return cached.canvas;
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = image.naturalWidth || image.width;
+        canvas.height = image.naturalHeight || image.height;
+        const context = canvas.getContext('2d');
+        context.drawImage(image, 0, 0);
+
+        try {
+            const pixels = context.getImageData(0, 0, canvas.width, canvas.height);
+            recolorPixels(pixels.data, layer.palette);
+            context.putImageData(pixels, 0, 0);
+        } catch (error) {
+            // Cross-origin images cannot be read back; draw them as they are
+            console.warn(`⚠️ Cannot recolor layer ${layer.id}:`, error);
+            return image;
+        }
+
+        this.recoloredImages.set(layer.id, { image, key, canvas });
+        return canvas;
+    }
+
+    /**
+     * Change one color of a posterized logo
+     * @param {number} index - Palette entry
+     * @param {string} color - New #rrggbb color (the entry's source color resets it)
+     */
+    setPaletteColor(layerId, index, color) {
+        const layer = this.layers.find(layer => layer.id === layerId);
+        if (!layer?.palette?.[index]) {
+            return false;
+        }
+
+        const palette = layer.palette.map((entry, entryIndex) => (entryIndex === index ? { ...entry, color } : { ...entry }));
+        return this.updateLayer(layerId, { palette });
+    }
+
+    /**
+     * Island an anchored layer is clipped to, or null for free layers
+     */
+    getLayerIsland(layer) {
+        return layer.anchor ? this.uvIslands.getIsland(layer.anchor.piece, layer.anchor.island) : null;
+    }
+
+    /**
+     * Replace the UV islands (after the visible garment pieces change). Anchored layers move
+     * to the same spot on their piece's new island, e.g. from short to long sleeves.
+     */
+    setUvIslands(uvIslands) {
+        this.uvIslands = uvIslands;
+
+        this.layers.forEach(layer => {
+            const position = uvIslands.fromAnchor(layer.anchor);
+            if (position) {
+                layer.position = position;
+            }
+        });
+
+        this.markBaseDirty();
+        this.updateTexture();
+    }
+
+    /**
+     * Anchor a layer to a garment piece, or free it with a null piece. A layer that is not on
+     * the piece yet moves to the center of the piece's first island.
+     */
+    anchorLayer(layerId, piece) {
+        const layer = this.getLayer(layerId);
+        if (!layer) return false;
+
+        if (!piece) {
+            return this.updateLayer(layerId, { anchor: null });
+        }
+
+        const island = this.uvIslands.islandAt(layer.position, piece) || this.uvIslands.getIsland(piece);
+        if (!island) {
+            console.warn(`⚠️ Garment piece not shown: ${piece}`);
+            return false;
+        }
+
+        const position = UvIslands.contains(island, layer.position) ? { ...layer.position } : {
+            x: (island.bounds.left + island.bounds.right) / 2,
+            y: (island.bounds.top + island.bounds.bottom) / 2
+        };
+        return this.updateLayer(layerId, { position, anchor: this.uvIslands.toAnchor(island, position) });
+    }
+
+    /**
+     * Move, size and anchor a layer with a placement preset (left chest, center back, ...)
+     */
+    applyPlacementPreset(layerId, presetId) {
+        const layer = this.getLayer(layerId);
+        const preset = PLACEMENT_PRESETS[presetId];
+        const island = preset ? this.uvIslands.getIsland(preset.piece, preset.island) : null;
+        const size = layer ? this.getLayerSize({ ...layer, scale: 1, aspect: 1 }) : null;
+        if (!island || !size || !this.textureCanvas) {
+            return false;
+        }
+
+        const anchor = { piece: island.piece, island: island.index, x: preset.x, y: preset.y };
+        const targetWidth = (island.bounds.right - island.bounds.left) * preset.width * this.textureCanvas.width;
+        const scale = Math.min(MAX_LAYER_SCALE, Math.max(MIN_LAYER_SCALE, targetWidth / ((layer.aspect || 1) * size.width)));
+
+        return this.updateLayer(layerId, {
+            position: this.uvIslands.fromAnchor(anchor),
+            scale: Math.round(scale * 1000) / 1000,
+            rotation: 0,
+            anchor
+        });
+    }
+
+    /**
+     * Whether a layer's box leaves the island under it, i.e. would print across a seam
+     */
+    crossesSeam(layer) {
+        const frame = layer.visible !== false ? this.getLayerFrame(layer) : null;
+        const island = frame ? this.getLayerIsland(layer) || this.uvIslands.islandAt(layer.position) : null;
+        if (!island) {
+            return false;
+        }
+
+        // Corners and edge midpoints of the layer box
+        const size = this.textureCanvas.width;
+        const halfWidth = frame.width / 2;
+        const halfHeight = frame.height / 2;
+        return [-1, 0, 1].some(sx => [-1, 0, 1].some(sy => {
+            const point = TransformGizmo.toWorld(frame, { x: sx * halfWidth, y: sy * halfHeight });
+            return !UvIslands.contains(island, { x: point.x / size, y: point.y / size });
+        }));
+    }
+
+    // ================================
+    // MIRRORED LAYERS
+    // ================================
+
+    /**
+     * The other layer of a mirrored pair, or null
+     */
+    getMirrorPartner(layer) {
+        return layer?.mirror ? this.getLayer(layer.mirror.linkedId) : null;
+    }
+
+    /**
+     * Turn symmetry on or off for a layer. On adds a linked clone on the paired island (the
+     * other sleeve or leg, the other side of the chest); off removes the clone.
+     * @returns {Object|null} The mirrored clone, or null when symmetry is off
+     */
+    setLayerMirror(layerId, enabled) {
+        const layer = this.getLayer(layerId);
+        if (!layer) return null;
+
+        const partner = this.getMirrorPartner(layer);
+        if (partner) {
+            const clone = layer.mirror.isClone ? layer : partner;
+            if (!enabled) {
+                this.withHistoryGroup(`Remove mirror of ${layer.name}`, () => this.removeLayer(clone.id));
+                return null;
+            }
+            return clone;
+        }
+        if (!enabled) {
+            return null;
+        }
+
+        const island = this.getLayerIsland(layer) || this.uvIslands.islandAt(layer.position);
+        if (!island) {
+            console.warn(`⚠️ Layer ${layer.name} is not on a garment piece and cannot be mirrored`);
+            return null;
+        }
+
+        let clone = null;
+        this.withHistoryGroup(`Mirror ${layer.name}`, () => {
+            if (!layer.anchor) {
+                this.updateLayer(layerId, { anchor: this.uvIslands.toAnchor(island, layer.position) });
+            }
+
+            clone = {
+                ...this.snapshotLayer(layer),
+                id: `layer_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+                name: `${layer.name} (mirror)`,
+                sessionUploaded: false,
+                mirror: { linkedId: layerId, isClone: true },
+                ...this.getMirroredValues(layer, MIRROR_SYNC_KEYS)
+            };
+            const index = this.layers.indexOf(layer) + 1;
+            this.layers.splice(index, 0, clone);
+            this.recordHistory({
+                type: 'layer.add',
+                label: `Add ${clone.name}`,
+                layer: this.snapshotLayer(clone),
+                index
+            });
+
+            this.updateLayer(layerId, { mirror: { linkedId: clone.id, isClone: false } });
+        });
+
+        this.markBaseDirty();
+        this.updateTexture();
+
+        if (this.onLayerAdded) {
+            this.onLayerAdded(clone);
+        }
+
+        return clone;
+    }
+
+    /**
+     * Values of the given keys as the mirror partner of a layer should have them
+     */
+    getMirroredValues(layer, keys) {
+        const values = {};
+
+        keys.filter(key => MIRROR_SYNC_KEYS.includes(key)).forEach(key => {
+            if (key === 'position' || key === 'anchor') {
+                const anchor = layer.anchor ? this.uvIslands.getMirrorAnchor(layer.anchor) : null;
+                const position = anchor ? this.uvIslands.fromAnchor(anchor) : null;
+                if (position) {
+                    values.anchor = anchor;
+                    values.position = position;
+                }
+            } else if (key === 'rotation') {
+                values.rotation = (360 - (layer.rotation || 0)) % 360;
+            } else if (key in layer) {
+                values[key] = layer[key];
+            }
+        });
+
+        return values;
+    }
+
+    /**
+     * Copy changed properties of a mirrored layer to its partner. The partner is derived from
+     * the edited layer, so the copy is not recorded: undoing the edit syncs the partner again.
+     */
+    syncMirrorPartner(layer, keys) {
+        const partner = this.syncingMirror ? null : this.getMirrorPartner(layer);
+        const values = partner ? this.getMirroredValues(layer, keys) : {};
+        if (Object.keys(values).length === 0) {
+            return;
+        }
+
+        const update = () => this.updateLayer(partner.id, values);
+        this.syncingMirror = true;
+        try {
+            if (this.history) {
+                this.history.withoutRecording(update);
+            } else {
+                update();
+            }
+        } finally {
+            this.syncingMirror = false;
+        }
+    }
+
+    /**
+     * Run changes as one undo step, unless they are already part of an open group
+     */
+    withHistoryGroup(label, callback) {
+        const ownsGroup = Boolean(this.history && !this.history.activeGroup && this.history.isRecording());
+        if (ownsGroup) {
+            this.history.beginGroup(label);
+        }
+
+        try {
+            return callback();
+        } finally {
+            if (ownsGroup) {
+                this.history.endGroup();
+            }
+        }
+    }
+
+    // ================================
+    // GROUPS, ARRANGING AND CLIPBOARD
+    // ================================
+
+    /**
+     * Groups in stack order ({ id, name }, shared by the member layers' `group` property)
+     */
+    getGroups() {
+        const groups = new Map();
+        this.layers.forEach(layer => {
+            if (layer.group && !groups.has(layer.group.id)) {
+                groups.set(layer.group.id, layer.group);
+            }
+        });
+        return [...groups.values()];
+    }
+
+    /**
+     * Layers of a group, in stack order
+     */
+    getGroupMembers(groupId) {
+        return groupId ? this.layers.filter(layer => layer.group?.id === groupId) : [];
+    }
+
+    /**
+     * Replace the selection; the primary layer gets the transform handles
+     */
+    setSelection(layers, primary = layers.at(-1)) {
+        this.selectedLayers = [...layers];
+        this.selectedLayer = primary || null;
+        this.updateTexture();
+
+        if (this.onLayerSelected) {
+            this.onLayerSelected(this.selectedLayer);
+        }
+    }
+
+    selectGroup(groupId, primaryId = null) {
+        const members = this.getGroupMembers(groupId);
+        if (members.length > 0) {
+            this.setSelection(members, members.find(layer => layer.id === primaryId));
+        }
+    }
+
+    /**
+     * Group layers under one name. The members are moved next to each other in the stack, where
+     * the topmost of them was.
+     * @returns {Object|null} The group ({ id, name })
+     */
+    groupLayers(layerIds, name = null) {
+        const members = this.layers.filter(layer => layerIds.includes(layer.id));
+        if (members.length < 2) {
+            return null;
+        }
+
+        const group = { id: createId('group'), name: name || `Group ${this.getGroups().length + 1}` };
+        const others = this.layers.filter(layer => !members.includes(layer));
+        const below = others.filter(layer => this.layers.indexOf(layer) < this.layers.indexOf(members.at(-1))).length;
+
+        this.withHistoryGroup(`Group ${group.name}`, () => {
+            this.setLayerOrder([...others.slice(0, below), ...members, ...others.slice(below)].map(layer => layer.id));
+            members.forEach(layer => this.updateLayer(layer.id, { group }));
+        });
+
+        return group;
+    }
+
+    ungroupLayers(groupId) {
+        const members = this.getGroupMembers(groupId);
+        this.withHistoryGroup('Ungroup layers', () => {
+            members.forEach(layer => this.updateLayer(layer.id, { group: null }));
+        });
+        return members.length > 0;
+    }
+
+    /**
+     * Reorder the stack by layer id; layers missing from the list keep their order on top
+     */
+    setLayerOrder(layerIds) {
+        const ordered = layerIds.map(id => this.getLayer(id)).filter(Boolean);
+        const next = [...ordered, ...this.layers.filter(layer => !ordered.includes(layer))];
+        if (next.every((layer, index) => layer === this.layers[index])) {
+            return false;
+        }
+
+        this.recordHistory({
+            type: 'layer.reorder',
+            label: 'Reorder layers',
+            before: this.layers.map(layer => layer.id),
+            after: next.map(layer => layer.id)
+        });
+        this.layers.splice(0, this.layers.length, ...next);
+
+        this.markBaseDirty();
+        this.updateTexture();
+        return true;
+    }
+
+    /**
+     * UV bounds of a layer's drawn box, or null when it draws nothing
+     */
+    getLayerUvBounds(layer) {
+        const frame = this.getLayerFrame(layer);
+        return frame ? TransformGizmo.getUvBounds(frame, this.textureCanvas.width) : null;
+    }
+
+    /**
+     * Unlocked layers with their UV bounds, in stack order
+     */
+    getArrangeItems(layerIds) {
+        return this.layers
+            .filter(layer => layerIds.includes(layer.id) && !layer.locked)
+            .map(layer => ({ layer, bounds: this.getLayerUvBounds(layer) }))
+            .filter(item => item.bounds);
+    }
+
+    /**
+     * Line up layers with the edge or center of their combined bounds. A single layer lines up
+     * with the garment piece it is on.
+     * @param {string} edge - 'left', 'center', 'right', 'top', 'middle' or 'bottom'
+     */
+    alignLayers(layerIds, edge) {
+        const align = ALIGN_EDGES[edge];
+        const items = align ? this.getArrangeItems(layerIds) : [];
+        if (items.length === 0) {
+            return false;
+        }
+
+        let target = null;
+        if (items.length > 1) {
+            const all = items.map(item => item.bounds);
+            target = {
+                left: Math.min(...all.map(bounds => bounds.left)),
+                top: Math.min(...all.map(bounds => bounds.top)),
+                right: Math.max(...all.map(bounds => bounds.right)),
+                bottom: Math.max(...all.map(bounds => bounds.bottom))
+            };
+        } else {
+            const [{ layer }] = items;
+            target = (this.getLayerIsland(layer) || this.uvIslands.islandAt(layer.position))?.bounds;
+        }
+        if (!target) {
+            return false;
+        }
+
+        this.withHistoryGroup(`Align ${edge}`, () => {
+            items.forEach(({ layer, bounds }) => this.offsetLayer(layer, align.axis, align.at(target) - align.at(bounds)));
+        });
+        return true;
+    }
+
+    /**
+     * Spread layers so the gaps between their boxes are equal, keeping the outermost two in place
+     * @param {string} axis - 'x' (horizontal) or 'y' (vertical)
+     */
+    distributeLayers(layerIds, axis) {
+        const [start, end] = axis === 'y' ? ['top', 'bottom'] : ['left', 'right'];
+        const items = this.getArrangeItems(layerIds)
+            .sort((a, b) => (a.bounds[start] + a.bounds[end]) - (b.bounds[start] + b.bounds[end]));
+        if (items.length < 3) {
+            return false;
+        }
+
+        const sizes = items.map(item => item.bounds[end] - item.bounds[start]);
+        const min = Math.min(...items.map(item => item.bounds[start]));
+        const max = Math.max(...items.map(item => item.bounds[end]));
+        const gap = (max - min - sizes.reduce((sum, size) => sum + size, 0)) / (items.length - 1);
+
+        this.withHistoryGroup(`Distribute ${axis === 'y' ? 'vertically' : 'horizontally'}`, () => {
+            let cursor = min;
+            items.forEach((item, index) => {
+                this.offsetLayer(item.layer, axis === 'y' ? 'y' : 'x', cursor - item.bounds[start]);
+                cursor += sizes[index] + gap;
+            });
+        });
+        return true;
+    }
+
+    offsetLayer(layer, axis, delta) {
+        if (Math.abs(delta) > 1e-6) {
+            this.updateLayer(layer.id, { position: { ...layer.position, [axis]: layer.position[axis] + delta } });
+        }
+    }
+
+    /**
+     * Copy layers just above the topmost of them, offset a little
+     * @returns {Array} The copies, which become the selection
+     */
+    duplicateLayers(layerIds) {
+        const sources = this.layers.filter(layer => layerIds.includes(layer.id));
+        if (sources.length === 0) {
+            return [];
+        }
+
+        return this.insertLayerCopies(
+            sources.map(layer => ({ ...this.snapshotLayer(layer), name: `${layer.name} copy` })),
+            this.layers.indexOf(sources.at(-1)) + 1,
+            COPY_OFFSET,
+            `Duplicate ${sources.length === 1 ? sources[0].name : `${sources.length} layers`}`
+        );
+    }
+
+    /**
+     * Clipboard text for layers: their session data plus each image as a data URL, so they can
+     * be pasted into another session or browser tab
+     */
+    copyLayers(layerIds) {
+        const layers = this.layers.filter(layer => layerIds.includes(layer.id));
+        if (layers.length === 0) {
+            return null;
+        }
+
+        return JSON.stringify({
+            format: CLIPBOARD_FORMAT,
+            version: 1,
+            layers: layers.map(layer => ({ ...this.toSessionData(layer), imageUrl: this.getPortableImageUrl(layer) }))
+        });
+    }
+
+    /**
+     * Add the layers in clipboard text from copyLayers() on top of the stack. Layers pasted into
+     * the design they were copied from are offset so the copy shows.
+     * @returns {Array} The pasted layers; empty when the text holds no layers
+     */
+    pasteLayers(text) {
+        let payload = null;
+        try {
+            payload = JSON.parse(text);
+        } catch {
+            return [];
+        }
+        if (payload?.format !== CLIPBOARD_FORMAT || !Array.isArray(payload.layers) || payload.layers.length === 0) {
+            return [];
+        }
+
+        const layers = payload.layers.map(data => ({
+            ...this.snapshotLayer(this.layerFromSessionData(data)),
+            imageUrl: data.imageUrl || null
+        }));
+        const copies = this.insertLayerCopies(
+            layers,
+            this.layers.length,
+            layers.some(layer => this.getLayer(layer.id)) ? COPY_OFFSET : 0,
+            `Paste ${layers.length === 1 ? layers[0].name : `${layers.length} layers`}`
+        );
+
+        copies.filter(copy => copy.imageUrl).forEach(copy => {
+            this.loadLayerImage(copy, copy.imageUrl).catch(error => {
+                console.warn(`⚠️ Failed to load pasted image for layer ${copy.id}:`, error);
+            });
+        });
+        return copies;
+    }
+
+    /**
+     * Layer image as a URL another page can load: a data URL unless the image is cross-origin
+     */
+    getPortableImageUrl(layer) {
+        if (!layer.image) {
+            return layer.imageUrl || null;
+        }
+        if (layer.svgSource) {
+            return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(layer.svgSource)}`;
+        }
+
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = layer.image.naturalWidth || layer.image.width;
+            canvas.height = layer.image.naturalHeight || layer.image.height;
+            canvas.getContext('2d').drawImage(layer.image, 0, 0);
+            return canvas.toDataURL('image/png');
+        } catch (error) {
+            // A tainted canvas cannot be read back; the original URL still works in this browser
+            console.warn(`⚠️ Copying image URL of layer ${layer.id} instead of its pixels:`, error);
+            return layer.serverImageUrl || layer.image.src || null;
+        }
+    }
+
+    /**
+     * Insert copies of layers with new ids as one undo step. A group copied whole becomes a new
+     * group and a mirrored pair copied together stays linked; other links are dropped.
+     * @param {Array} layers - Layer data with the original ids
+     * @param {number} index - Stack position of the first copy
+     * @param {number} offset - UV offset from the originals
+     */
+    insertLayerCopies(layers, index, offset, label) {
+        const ids = new Map(layers.map(layer => [layer.id, createId('layer')]));
+        const groups = new Map();
+        const copyGroup = group => {
+            if (!group || this.getGroupMembers(group.id).some(member => !ids.has(member.id))) {
+                return group || null;
+            }
+            if (!groups.has(group.id)) {
+                groups.set(group.id, { ...group, id: createId('group') });
+            }
+            return groups.get(group.id);
+        };
+
+        const copies = layers.map(layer => {
+            const position = {
+                x: Math.min(1, (layer.position?.x || 0) + offset),
+                y: Math.min(1, (layer.position?.y || 0) + offset)
+            };
+            const island = layer.anchor ? this.uvIslands.islandAt(position) || this.getLayerIsland(layer) : null;
+            return {
+                ...layer,
+                id: ids.get(layer.id),
+                position,
+                anchor: island ? this.uvIslands.toAnchor(island, position) : layer.anchor || null,
+                group: copyGroup(layer.group),
+                mirror: layer.mirror && ids.has(layer.mirror.linkedId)
+                    ? { ...layer.mirror, linkedId: ids.get(layer.mirror.linkedId) }
+                    : null,
+                sessionUploaded: false
+            };
+        });
+
+        this.withHistoryGroup(label, () => {
+            copies.forEach((copy, offsetIndex) => {
+                this.layers.splice(index + offsetIndex, 0, copy);
+                this.recordHistory({
+                    type: 'layer.add',
+                    label: `Add ${copy.name}`,
+                    layer: this.snapshotLayer(copy),
+                    index: index + offsetIndex
+                });
+            });
+        });
+
+        this.markBaseDirty();
+        this.updateTexture();
+
+        if (this.onLayerAdded) {
+            copies.forEach(copy => this.onLayerAdded(copy));
+        }
+        this.setSelection(copies);
+
+        return copies;
+    }
+
+    /**
+     * Drawn size of a layer in texture pixels (scale and aspect applied), or null when it draws nothing
+     */
+    getLayerSize(layer) {
+        const scale = layer.scale || 1.0;
+        const aspect = layer.aspect || 1;
+
+        if (layer.type === 'text') {
+            // Text layers use their rendered (outlined, warped) bounds
+            const rendered = this.textRenderer.render(layer);
+            return { width: rendered.width * scale * aspect, height: rendered.height * scale };
+        }
+        if (layer.image) {
+            return { width: layer.image.width * scale * aspect, height: layer.image.height * scale };
+        }
+        return null;
+    }
+
+    /**
+     * Selection frame of a layer for the transform gizmo, in texture pixels
+     */
+    getLayerFrame(layer) {
+        const size = layer && this.textureCanvas ? this.getLayerSize(layer) : null;
+        return size ? TransformGizmo.getFrame(layer, size, this.textureCanvas.width) : null;
+    }
+
+    /**
+     * Draw the transform handles of the selected layer on top of all layers
+     */
+    drawSelectionGizmo() {
+        this.gizmoBackup = null;
+
+        const layer = this.selectedLayer;
+        if (!this.selectionGizmo.visible || !layer || !layer.visible || layer.locked || !this.textureContext) {
+            return;
+        }
+
+        const frame = this.getLayerFrame(layer);
+        if (!frame) {
+            return;
+        }
+
+        // Keep the pixels under the handles so snapshots can hide them without a full redraw
+        const size = this.textureCanvas.width;
+        const bounds = TransformGizmo.getUvBounds(frame, size);
+        const margin = this.selectionGizmo.getHandleSize(size) * 6;
+        const guides = this.selectionGizmo.guides.length > 0;
+        const x = guides ? 0 : Math.max(0, Math.floor(bounds.left * size - margin));
+        const y = guides ? 0 : Math.max(0, Math.floor(bounds.top * size - margin));
+        const width = guides ? size : Math.min(size, Math.ceil(bounds.right * size + margin)) - x;
+        const height = guides ? this.textureCanvas.height : Math.min(this.textureCanvas.height, Math.ceil(bounds.bottom * size + margin)) - y;
+
+        if (width > 0 && height > 0) {
+            this.gizmoBackup = { x, y, imageData: this.textureContext.getImageData(x, y, width, height) };
+        }
+
+        this.selectionGizmo.draw(this.textureContext, frame, size);
+    }
+
+    /**
+     * Run fn (e.g. a screenshot) with the selection handles removed from the texture
+     */
+    withoutSelectionGizmo(fn) {
+        const backup = this.gizmoBackup;
+        if (!backup || !this.textureContext) {
+            return fn();
+        }
+
+        this.textureContext.putImageData(backup.imageData, backup.x, backup.y);
+        this.refreshTextureNow();
+        try {
+            return fn();
+        } finally {
+            this.drawSelectionGizmo();
+            this.refreshTextureNow();
+        }
+    }
+
+    refreshTextureNow() {
+        if (this.texture) {
+            this.texture.needsUpdate = true;
+        }
+        if (this.modelCache) {
+            this.modelCache.updateSharedTextureForAll();
+        }
+    }
+
+    /**
+     * Redraw once a text layer's web font has loaded; until then the fallback font is shown
+     */
+    ensureTextFont(layer) {
+        this.textRenderer.loadFont(layer.fontFamily).then(loaded => {
+            if (loaded) {
+                this.markLayerDirty(layer.id);
+                this.updateTexture();
+            }
+        });
+    }
+    
+    /**
+     * Draw an SVG logo at its scaled size so it stays crisp at any zoom.
+     * The context is already translated and rotated to the layer center.
+     */
+    drawVectorLogo(ctx, layer) {
+        const img = layer.image;
+        const scale = layer.scale || 1.0;
+        const width = Math.max(1, Math.round(img.width * scale * (layer.aspect || 1)));
+        const height = Math.max(1, Math.round(img.height * scale));
+        const color = layer.color || '#ffffff';
+
+        if (color === '#ffffff') {
+            ctx.drawImage(img, -width / 2, -height / 2, width, height);
+            return;
+        }
+
+        // Same multiply tint as bitmap logos, done at the target resolution
+        const tempCanvas = document.createElement('canvas');
+        tempCanvas.width = width;
+        tempCanvas.height = height;
+        const tempCtx = tempCanvas.getContext('2d');
+
+        tempCtx.drawImage(img, 0, 0, width, height);
+        tempCtx.globalCompositeOperation = 'multiply';
+        tempCtx.fillStyle = color;
+        tempCtx.fillRect(0, 0, width, height);
+        tempCtx.globalCompositeOperation = 'destination-in';
+        tempCtx.drawImage(img, 0, 0, width, height);
+
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.drawImage(tempCanvas, -width / 2, -height / 2);
+    }
+    
+    addLayer(type, image, name = null, properties = {}) {
         const id = `layer_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
         
         const layer = {
@@ -466,9 +1332,12 @@ export class LayerManager {
             locked: false,
             position: { x: 0.0, y: 0.0 },
             scale: 1.0,
+            // Width multiplier on top of scale; 1 keeps the natural aspect ratio
+            aspect: 1.0,
             rotation: 0,
             opacity: 1.0,
-            image: image
+            image: image,
+            ...properties
         };
         
         // Add type-specific properties
@@ -477,6 +1346,12 @@ export class LayerManager {
         }
         
         this.layers.push(layer);
+        this.recordHistory({
+            type: 'layer.add',
+            label: `Add ${layer.name}`,
+            layer: this.snapshotLayer(layer),
+            index: this.layers.length - 1
+        });
         this.updateTexture();
         
         if (this.onLayerAdded) {
@@ -502,14 +1377,22 @@ export class LayerManager {
             locked: false,
             position: { x: offsetX, y: offsetY },
             scale: 1.0,
+            aspect: 1.0,
             rotation: 0,
             opacity: 1.0,
             color: color,
             fontSize: fontSize,
-            fontFamily: fontFamily
+            fontFamily: fontFamily,
+            ...TextRenderer.getDefaultStyle()
         };
 
         this.layers.push(layer);
+        this.recordHistory({
+            type: 'layer.add',
+            label: `Add ${layer.name}`,
+            layer: this.snapshotLayer(layer),
+            index: this.layers.length - 1
+        });
         this.updateTexture();
 
         if (this.onLayerAdded) {
@@ -519,8 +1402,13 @@ export class LayerManager {
         return layer;
     }
     
-    addLogoLayer(image, name = null) {
-        return this.addLayer('logo', image, name || 'Logo Layer');
+    /**
+     * @param {HTMLImageElement} image - Logo image
+     * @param {string} name - Layer name
+     * @param {Object} properties - Extra layer properties, e.g. { isVector, svgSource } for SVG logos
+     */
+    addLogoLayer(image, name = null, properties = {}) {
+        return this.addLayer('logo', image, name || 'Logo Layer', properties);
     }
     
     removeLayer(layerId) {
@@ -528,6 +1416,34 @@ export class LayerManager {
         if (index === -1) return false;
         
         const layer = this.layers[index];
+
+        // A source layer takes its mirrored clone with it; deleting a clone turns symmetry off
+        const partner = this.removingMirrorPair ? null : this.getMirrorPartner(layer);
+        if (partner) {
+            return this.withHistoryGroup(`Delete ${layer.name}`, () => {
+                this.removingMirrorPair = true;
+                try {
+                    this.removeLayer(layerId);
+                } finally {
+                    this.removingMirrorPair = false;
+                }
+
+                if (layer.mirror.isClone) {
+                    this.updateLayer(partner.id, { mirror: null });
+                } else {
+                    this.removeLayer(partner.id);
+                }
+                return true;
+            });
+        }
+
+        // Snapshot before cleanup clears the image reference
+        this.recordHistory({
+            type: 'layer.remove',
+            label: `Delete ${layer.name}`,
+            layer: this.snapshotLayer(layer),
+            index
+        });
         
         // Proper memory cleanup for layer resources
         this.cleanupLayerResources(layer);
@@ -537,6 +1453,7 @@ export class LayerManager {
         if (this.selectedLayer && this.selectedLayer.id === layerId) {
             this.selectedLayer = null;
         }
+        this.selectedLayers = this.selectedLayers.filter(selected => selected !== layer);
         
         // Mark base as dirty since layer removal affects entire texture
         this.markBaseDirty();
@@ -554,6 +1471,7 @@ export class LayerManager {
         if (layer.type === 'text' && layer.id) {
             this.textMetricsCache.delete(layer.id);
         }
+        this.recoloredImages.delete(layer.id);
         
         // Clean up image references to help garbage collection
         if (layer.image && typeof layer.image === 'object') {
@@ -571,14 +1489,33 @@ export class LayerManager {
         console.log('🧹 Cleaned up resources for layer:', layer.id);
     }
     
-    selectLayer(layerId) {
+    /**
+     * @param {string|null} layerId
+     * @param {string} mode - 'replace', 'toggle' (Ctrl/Cmd-click) or 'range' (Shift-click, from the current layer)
+     */
+    selectLayer(layerId, mode = 'replace') {
         console.log('🎯 selectLayer called with:', layerId);
-        if (layerId === null) {
-            this.selectedLayer = null;
+        const layer = layerId === null ? null : this.getLayer(layerId);
+
+        if (layer && mode === 'toggle' && this.selectedLayers.includes(layer)) {
+            this.selectedLayers = this.selectedLayers.filter(selected => selected !== layer);
+            this.selectedLayer = this.selectedLayers.at(-1) || null;
+        } else if (layer && mode === 'toggle') {
+            this.selectedLayers = [...this.selectedLayers, layer];
+            this.selectedLayer = layer;
+        } else if (layer && mode === 'range' && this.selectedLayer) {
+            const from = this.layers.indexOf(this.selectedLayer);
+            const to = this.layers.indexOf(layer);
+            this.selectedLayers = this.layers.slice(Math.min(from, to), Math.max(from, to) + 1);
+            this.selectedLayer = layer;
         } else {
-            this.selectedLayer = this.layers.find(layer => layer.id === layerId) || null;
+            this.selectedLayer = layer;
+            this.selectedLayers = layer ? [layer] : [];
         }
         console.log('🎯 selectedLayer is now:', this.selectedLayer);
+
+        // Move the transform handles to the new selection
+        this.updateTexture();
         
         if (this.onLayerSelected) {
             this.onLayerSelected(this.selectedLayer);
@@ -588,9 +1525,32 @@ export class LayerManager {
     updateLayer(layerId, properties) {
         const layer = this.layers.find(layer => layer.id === layerId);
         if (!layer) return false;
+
+        // Anchored layers follow the island they are moved onto
+        if (properties.position && layer.anchor && !('anchor' in properties)) {
+            const island = this.uvIslands.islandAt(properties.position) || this.getLayerIsland(layer);
+            if (island) {
+                properties = { ...properties, anchor: this.uvIslands.toAnchor(island, properties.position) };
+            }
+        }
+
+        const keys = Object.keys(properties);
+        this.recordHistory({
+            type: 'layer.update',
+            label: `Edit ${layer.name}`,
+            layerId,
+            before: this.cloneLayerValues(layer, keys),
+            after: this.cloneLayerValues(properties, keys),
+            mergeKey: `layer.update:${layerId}:${keys.sort().join(',')}`
+        });
         
         // Update layer properties
         Object.assign(layer, properties);
+        if ('image' in properties) {
+            // The server copy is replaced on the next upload
+            layer.sessionUploaded = false;
+        }
+        this.syncMirrorPartner(layer, keys);
         
         // Invalidate cached metrics if text properties changed
         if (layer.type === 'text' && (properties.text || properties.fontSize || properties.fontFamily)) {
@@ -621,6 +1581,13 @@ export class LayerManager {
             return false;
         }
         
+        this.recordHistory({
+            type: 'layer.move',
+            label: `Reorder ${this.layers[index].name}`,
+            layerId,
+            direction
+        });
+
         // Swap layers
         [this.layers[index], this.layers[newIndex]] = [this.layers[newIndex], this.layers[index]];
         
@@ -631,8 +1598,17 @@ export class LayerManager {
     setLayerVisibility(layerId, visible) {
         const layer = this.layers.find(layer => layer.id === layerId);
         if (!layer) return false;
+
+        this.recordHistory({
+            type: 'layer.update',
+            label: `${visible ? 'Show' : 'Hide'} ${layer.name}`,
+            layerId,
+            before: { visible: layer.visible },
+            after: { visible }
+        });
         
         layer.visible = visible;
+        this.syncMirrorPartner(layer, ['visible']);
         this.updateTexture();
         
         if (this.onLayerUpdated) {
@@ -661,6 +1637,124 @@ export class LayerManager {
     getLayers() {
         return [...this.layers];
     }
+
+    // ================================
+    // UNDO/REDO HISTORY
+    // ================================
+
+    setHistoryManager(history) {
+        this.history = history;
+        if (history) {
+            history.registerHandler('layer', this);
+        }
+    }
+
+    recordHistory(command) {
+        if (this.history) {
+            this.history.record(command);
+        }
+    }
+
+    /**
+     * Copy of a layer for the history stack (the image is kept by reference)
+     */
+    snapshotLayer(layer) {
+        const { sessionData: _sessionData, onUpdate: _onUpdate, ...rest } = layer;
+        return {
+            ...rest,
+            position: layer.position ? { ...layer.position } : undefined
+        };
+    }
+
+    cloneLayerValues(source, keys) {
+        const values = {};
+        keys.forEach(key => {
+            const value = source[key];
+            if (Array.isArray(value)) {
+                values[key] = value.map(item => item && typeof item === 'object' ? { ...item } : item);
+                return;
+            }
+            values[key] = value && typeof value === 'object' && !(value instanceof HTMLCanvasElement) &&
+                !(value instanceof Image) ? { ...value } : value;
+        });
+        return values;
+    }
+
+    /**
+     * Apply an undo/redo command recorded by this manager
+     * @param {Object} command - History command ('layer.add' | 'layer.remove' | 'layer.update' | 'layer.move' | 'layer.reorder')
+     * @param {string} direction - 'undo' or 'redo'
+     */
+    applyHistoryCommand(command, direction) {
+        const isUndo = direction === 'undo';
+
+        switch (command.type) {
+            case 'layer.add':
+                if (isUndo) {
+                    this.removeLayer(command.layer.id);
+                } else {
+                    this.insertLayerSnapshot(command.layer, command.index);
+                }
+                break;
+            case 'layer.remove':
+                if (isUndo) {
+                    this.insertLayerSnapshot(command.layer, command.index);
+                } else {
+                    this.removeLayer(command.layer.id);
+                }
+                break;
+            case 'layer.update':
+                this.updateLayer(command.layerId, this.cloneLayerValues(
+                    isUndo ? command.before : command.after,
+                    Object.keys(command.before)
+                ));
+                break;
+            case 'layer.move': {
+                const opposite = command.direction === 'up' ? 'down' : 'up';
+                this.moveLayer(command.layerId, isUndo ? opposite : command.direction);
+                break;
+            }
+            case 'layer.reorder':
+                this.setLayerOrder(isUndo ? command.before : command.after);
+                break;
+            default:
+                console.warn(`⚠️ Unknown layer history command: ${command.type}`);
+        }
+    }
+
+    /**
+     * Re-create a layer from a history snapshot at its original stack position
+     */
+    insertLayerSnapshot(snapshot, index) {
+        if (this.layers.some(layer => layer.id === snapshot.id)) {
+            return null;
+        }
+
+        const layer = {
+            ...snapshot,
+            position: snapshot.position ? { ...snapshot.position } : { x: 0, y: 0 },
+            // The server copy may have been deleted with the layer, so upload it again on submit
+            sessionUploaded: false
+        };
+        const insertAt = Math.max(0, Math.min(index ?? this.layers.length, this.layers.length));
+        this.layers.splice(insertAt, 0, layer);
+
+        // Snapshots restored from a saved session only carry the image URL
+        if (!layer.image && layer.imageUrl) {
+            this.loadLayerImage(layer, layer.imageUrl).catch(error => {
+                console.warn(`⚠️ Failed to reload image for layer ${layer.id}:`, error);
+            });
+        }
+
+        this.markBaseDirty();
+        this.updateTexture();
+
+        if (this.onLayerAdded) {
+            this.onLayerAdded(layer);
+        }
+
+        return layer;
+    }
     
     getLayer(layerId) {
         return this.layers.find(layer => layer.id === layerId) || null;
@@ -669,6 +1763,17 @@ export class LayerManager {
     getSelectedLayer() {
         return this.selectedLayer;
     }
+
+    /**
+     * Selected layers in stack order
+     */
+    getSelectedLayers() {
+        return this.layers.filter(layer => this.selectedLayers.includes(layer));
+    }
+
+    isLayerSelected(layer) {
+        return this.selectedLayers.includes(layer);
+    }
     
     exportTexture() {
         if (!this.textureCanvas) return null;
@@ -700,6 +1805,7 @@ export class LayerManager {
     clearLayers() {
         this.layers = [];
         this.selectedLayer = null;
+        this.selectedLayers = [];
         this.updateBaseTexture(); // Redraw base texture without layers
         this.updateTexture(); // Update the Three.js texture
     }
@@ -720,6 +1826,20 @@ export class LayerManager {
     
     // Session-related methods
     createLayerFromSessionData(sessionLayerData) {
+        const layer = this.layerFromSessionData(sessionLayerData);
+        this.layers.push(layer);
+        
+        if (this.onLayerAdded) {
+            this.onLayerAdded(layer);
+        }
+        
+        return layer;
+    }
+
+    /**
+     * Layer object for session data (as saved by getLayerSessionData() or the server), not yet added
+     */
+    layerFromSessionData(sessionLayerData) {
         const layer = {
             id: sessionLayerData.id,
             type: sessionLayerData.type,
@@ -734,6 +1854,11 @@ export class LayerManager {
             scale: sessionLayerData.properties.scale || 1,
             rotation: sessionLayerData.properties.rotation || 0,
             opacity: sessionLayerData.properties.opacity || 1,
+            aspect: sessionLayerData.properties.aspect || 1,
+            anchor: sessionLayerData.properties.anchor || null,
+            mirror: sessionLayerData.properties.mirror || null,
+            group: sessionLayerData.properties.group || null,
+            isVector: !!sessionLayerData.properties.isVector,
             image: null,
             sessionData: sessionLayerData,
             sessionUploaded: true  // Mark as already uploaded since it came from server
@@ -745,15 +1870,14 @@ export class LayerManager {
             layer.color = sessionLayerData.properties.color || '#000000';
             layer.fontSize = sessionLayerData.properties.fontSize || 24;
             layer.fontFamily = sessionLayerData.properties.fontFamily || 'Arial';
+            Object.entries(TextRenderer.getDefaultStyle()).forEach(([key, value]) => {
+                layer[key] = sessionLayerData.properties[key] ?? value;
+            });
+        } else if (sessionLayerData.type === 'logo') {
+            layer.color = sessionLayerData.properties.color || '#ffffff';
+            layer.palette = sessionLayerData.properties.palette || null;
         }
-        
-        
-        this.layers.push(layer);
-        
-        if (this.onLayerAdded) {
-            this.onLayerAdded(layer);
-        }
-        
+
         return layer;
     }
     
@@ -782,19 +1906,46 @@ export class LayerManager {
     }
     
     getLayerSessionData() {
-        return this.layers.map(layer => ({
+        return this.layers.map(layer => this.toSessionData(layer));
+    }
+
+    /**
+     * Session data of one layer, as read by createLayerFromSessionData()
+     */
+    toSessionData(layer) {
+        const properties = {
+            x: layer.position?.x ?? layer.x ?? 0,
+            y: layer.position?.y ?? layer.y ?? 0,
+            scale: layer.scale,
+            aspect: layer.aspect || 1,
+            rotation: layer.rotation,
+            opacity: layer.opacity,
+            anchor: layer.anchor || null,
+            mirror: layer.mirror || null,
+            group: layer.group || null,
+            isVector: !!layer.isVector,
+            color: layer.color,
+            palette: layer.palette || null
+        };
+
+        if (layer.type === 'text') {
+            Object.assign(properties, {
+                text: layer.text,
+                fontSize: layer.fontSize,
+                fontFamily: layer.fontFamily
+            });
+            Object.keys(TextRenderer.getDefaultStyle()).forEach(key => {
+                properties[key] = layer[key];
+            });
+        }
+
+        return {
             id: layer.id,
             type: layer.type,
             name: layer.name,
             visible: layer.visible,
-            properties: {
-                x: layer.x,
-                y: layer.y,
-                scale: layer.scale,
-                rotation: layer.rotation,
-                opacity: layer.opacity
-            }
-        }));
+            properties
+        };
     }
     
     // Missing methods needed for layer interaction
@@ -830,31 +1981,14 @@ export class LayerManager {
             
             const layerX = (layer.position?.x || 0) * this.textureCanvas.width;
             const layerY = (layer.position?.y || 0) * this.textureCanvas.height;
-            const scale = layer.scale || 1.0;
             const rotation = (layer.rotation || 0) * Math.PI / 180; // Convert to radians
             
-            let layerWidth, layerHeight;
-            
-            if (layer.type === 'text') {
-                // For text layers, get more accurate bounds using canvas measureText
-                const fontSize = layer.fontSize || 24;
-                const text = layer.text || 'Text';
-                
-                // Create temporary canvas context to measure text
-                const tempCanvas = document.createElement('canvas');
-                const tempCtx = tempCanvas.getContext('2d');
-                tempCtx.font = `${fontSize}px ${layer.fontFamily || 'Arial'}`;
-                
-                const textMetrics = tempCtx.measureText(text);
-                layerWidth = textMetrics.width * scale;
-                layerHeight = fontSize * 1.2 * scale; // Add some padding above/below
-            } else if (layer.image) {
-                // For image layers
-                layerWidth = layer.image.width * scale;
-                layerHeight = layer.image.height * scale;
-            } else {
+            const size = this.getLayerSize(layer);
+            if (!size) {
                 continue; // Skip layers without image or text
             }
+            const layerWidth = size.width;
+            const layerHeight = size.height;
             
             // Transform click point to layer's local coordinate system
             // First, translate to layer center
@@ -902,8 +2036,11 @@ export class LayerManager {
         // Clear arrays and caches
         this.layers.length = 0;
         this.textMetricsCache.clear();
+        this.recoloredImages.clear();
+        this.textRenderer.clearCache();
         this.dirtyRegions.clear();
         this.selectedLayer = null;
+        this.selectedLayers = [];
 
         // Clean up canvas and texture
         if (this.texture) {
@@ -1133,6 +2270,7 @@ export class LayerManager {
 
         // Clear LayerManager caches
         this.textMetricsCache.clear();
+        this.textRenderer.clearCache();
         this.dirtyRegions.add('all');
     }
 
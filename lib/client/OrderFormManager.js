@@ -12,6 +12,10 @@ window.orderFormManagerInstances.forEach(instance => {
 });
 window.orderFormManagerInstances = [];
 
+// Used until the server catalog has been loaded
+const DEFAULT_SIZE_RANGE = ['XS', 'S', 'M', 'L', 'XL', 'XXL'];
+const QUOTE_DEBOUNCE_MS = 250;
+
 export class OrderFormManager {
     constructor(options = {}) {
         console.log('🟡 OrderFormManager constructor called');
@@ -22,12 +26,22 @@ export class OrderFormManager {
         this.isOpen = false;
         this.customerName = '';
         this.customerPhone = '';
+        this.customerEmail = '';
         this.teamName = '';
         this.orderNumber = '';
         this.specialRequests = '';
         this.sessionManager = options.sessionManager;
         this.serverApiClient = options.serverApiClient;
         this.showNotification = options.showNotification;
+        this.onPlayersChanged = options.onPlayersChanged || null;
+        this.captureSnapshot = options.captureSnapshot || null;
+        this.captureRenders = options.captureRenders || null;
+        this.captureColors = options.captureColors || null;
+        this.catalog = null;
+        this.quote = null;
+        this.quoteTimer = null;
+        this.quoteRequestId = 0;
+        this.rosterImport = null; // { file, result } of the roster file being reviewed
         this.eventsBound = false; // Flag to prevent duplicate event binding
         this.lastClickTime = 0; // Timestamp-based debounce for clicks
         this.clickDebounceMs = 100; // Minimum time between clicks
@@ -58,9 +72,95 @@ export class OrderFormManager {
     init() {
         this.bindEvents();
         this.bindFormEvents(); // Bind form events once during initialization
+        this.loadCatalog();
         this.preloadOrderData();
     }
 
+    /**
+     * Load the product catalog (sizes and pricing rules) from the server
+     */
+    async loadCatalog() {
+        if (!this.serverApiClient) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`${this.serverApiClient.serverUrl}/api/catalog`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const result = await response.json();
+            this.catalog = result.catalog;
+            console.log('✅ Product catalog loaded');
+
+            if (this.isOpen) {
+                this.updatePlayerListDOM();
+            }
+        } catch (error) {
+            console.warn('⚠️ Failed to load product catalog:', error);
+        }
+    }
+
+    getSizeRange() {
+        return this.catalog?.sizes?.range || DEFAULT_SIZE_RANGE;
+    }
+
+    /**
+     * Players that are included in the order (and therefore in the quote)
+     */
+    getOrderedPlayers() {
+        return this.players.filter(p => p.name || p.number);
+    }
+
+    /**
+     * Re-quote the order shortly after the last edit
+     */
+    scheduleQuote() {
+        clearTimeout(this.quoteTimer);
+        this.quoteTimer = setTimeout(() => this.requestQuote(), QUOTE_DEBOUNCE_MS);
+    }
+
+    /**
+     * Ask the server to price the current players with the catalog rules
+     */
+    async requestQuote() {
+        if (!this.serverApiClient) {
+            return null;
+        }
+
+        // Responses can arrive out of order while the user is typing
+        const requestId = ++this.quoteRequestId;
+
+        try {
+            const response = await fetch(`${this.serverApiClient.serverUrl}/api/catalog/quote`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    players: this.getOrderedPlayers(),
+                    selectedOptions: this.selectedOptions
+                })
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const result = await response.json();
+            if (requestId !== this.quoteRequestId) {
+                return null;
+            }
+
+            this.quote = result.quote;
+            this.updatePriceDisplays();
+            this.updateOrderSummary();
+            return this.quote;
+        } catch (error) {
+            console.warn('⚠️ Failed to quote order:', error);
+            return null;
+        }
+    }
+
     async preloadOrderData() {
         if (!this.serverApiClient || !this.sessionManager) {
             return;
@@ -93,6 +193,7 @@ export class OrderFormManager {
     loadOrderData(orderData) {
         this.customerName = orderData.customerName || '';
         this.customerPhone = orderData.customerPhone || '';
+        this.customerEmail = orderData.customerEmail || '';
         this.teamName = orderData.teamName || '';
         this.specialRequests = orderData.specialRequests || '';
         
@@ -112,6 +213,7 @@ export class OrderFormManager {
             this.selectedOptions = { ...this.selectedOptions, ...orderData.selectedOptions };
         }
 
+        this.notifyPlayersChanged();
         console.log('Preloaded order data:', orderData);
     }
     
@@ -142,6 +244,7 @@ export class OrderFormManager {
         this.loadPlayerData(); // Restore player data from localStorage
         await this.updateOrderNumber(); // Generate initial order number
         this.renderForm();
+        this.requestQuote();
         const modal = document.getElementById('order-modal');
         if (modal) {
             modal.style.display = 'flex';
@@ -172,6 +275,7 @@ export class OrderFormManager {
             const savedPlayers = localStorage.getItem('orderFormPlayers');
             if (savedPlayers) {
                 this.players = JSON.parse(savedPlayers);
+                this.notifyPlayersChanged();
             }
         } catch (e) {
             console.warn('Failed to load player data from localStorage:', e);
@@ -228,6 +332,8 @@ export class OrderFormManager {
         this.updatePlayerListDOM();
         this.updateOrderSummary();
         this.savePlayerData(); // Save data after adding player
+        this.notifyPlayersChanged();
+        this.scheduleQuote();
     }
     
     removePlayer(id) {
@@ -236,6 +342,8 @@ export class OrderFormManager {
             this.updatePlayerListDOM();
             this.updateOrderSummary();
             this.savePlayerData(); // Save data after removing player
+            this.notifyPlayersChanged();
+            this.scheduleQuote();
         }
     }
     
@@ -244,6 +352,25 @@ export class OrderFormManager {
         if (player) {
             player[field] = value;
             this.updateOrderSummary();
+            this.scheduleQuote();
+
+            // Only name/number edits change what is printed on the model
+            if (field === 'name' || field === 'number') {
+                this.notifyPlayersChanged();
+            }
+        }
+    }
+
+    /**
+     * Players that have something to print (a name or a number)
+     */
+    getRosterPlayers() {
+        return this.players.filter(p => (p.name && p.name.trim() !== '') || (p.number && String(p.number).trim() !== ''));
+    }
+
+    notifyPlayersChanged() {
+        if (this.onPlayersChanged) {
+            this.onPlayersChanged(this.getRosterPlayers());
         }
     }
     
@@ -337,6 +464,17 @@ export class OrderFormManager {
             placeholder: '연락처를 입력해주세요'
         }));
 
+        // Customer email field (optional, used for order status updates)
+        const emailGroup = SecureDOM.createElement('div', '', { class: 'form-group' });
+        emailGroup.appendChild(SecureDOM.createElement('label', '이메일', { class: 'form-label' }));
+        emailGroup.appendChild(SecureDOM.createElement('input', '', {
+            type: 'email',
+            id: 'customer-email',
+            class: 'form-input',
+            value: SecureDOM.sanitizeInput(this.customerEmail),
+            placeholder: '주문 진행 상황을 받을 이메일'
+        }));
+
         // Team name field
         const teamGroup = SecureDOM.createElement('div', '', { class: 'form-group' });
         teamGroup.appendChild(SecureDOM.createElement('label', '팀명', { class: 'form-label' }));
@@ -361,6 +499,7 @@ export class OrderFormManager {
 
         formGrid.appendChild(nameGroup);
         formGrid.appendChild(phoneGroup);
+        formGrid.appendChild(emailGroup);
         formGrid.appendChild(teamGroup);
         formGrid.appendChild(orderGroup);
 
@@ -388,10 +527,183 @@ export class OrderFormManager {
 
         section.appendChild(title);
         section.appendChild(addBtn);
+        if (this.serverApiClient) {
+            section.appendChild(this.createRosterImportTools());
+        }
         section.appendChild(playersContainer);
 
         return section;
     }
+
+    /**
+     * Roster file upload, template download and the (initially hidden) import review panel
+     */
+    createRosterImportTools() {
+        const tools = SecureDOM.createElement('div', '', { class: 'roster-import-tools' });
+
+        tools.append(
+            SecureDOM.createElement('button', '명단 가져오기 (CSV/XLSX)', {
+                type: 'button',
+                class: 'roster-import-btn',
+                id: 'roster-import-btn'
+            }),
+            SecureDOM.createElement('input', '', {
+                type: 'file',
+                id: 'roster-file-input',
+                accept: '.csv,.xlsx,.xls',
+                hidden: 'hidden'
+            }),
+            SecureDOM.createElement('a', '양식 다운로드', {
+                href: `${this.serverApiClient.serverUrl}/api/roster/template`,
+                class: 'roster-template-link',
+                download: 'roster_template.xlsx'
+            }),
+            SecureDOM.createElement('div', '', {
+                class: 'roster-import-panel',
+                id: 'roster-import-panel',
+                hidden: 'hidden'
+            })
+        );
+
+        return tools;
+    }
+
+    /**
+     * Send a roster file to the server for parsing and show the result for review
+     * @param {File} file - CSV/XLSX roster
+     * @param {Object} [mapping] - Field → column header overrides
+     */
+    async importRoster(file, mapping = null) {
+        const formData = new FormData();
+        formData.append('file', file);
+        if (mapping) {
+            formData.append('mapping', JSON.stringify(mapping));
+        }
+
+        try {
+            const response = await fetch(`${this.serverApiClient.serverUrl}/api/roster/import`, {
+                method: 'POST',
+                body: formData
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+
+            this.rosterImport = { file, result };
+            this.renderRosterImportPanel();
+        } catch (error) {
+            console.error('❌ Failed to import roster:', error);
+            if (this.showNotification) {
+                this.showNotification(`명단을 읽지 못했습니다: ${error.message}`, 5000);
+            }
+        }
+    }
+
+    renderRosterImportPanel() {
+        const panel = document.getElementById('roster-import-panel');
+        if (!panel || !this.rosterImport) {
+            return;
+        }
+
+        const { fields, columns, mapping, players, errors, totalRows } = this.rosterImport.result;
+
+        const summary = SecureDOM.createElement('p', `${totalRows}명 중 ${players.length}명을 가져올 수 있습니다.`, {
+            class: 'roster-import-summary'
+        });
+
+        // Column mapping: one select per roster field
+        const mappingGrid = SecureDOM.createElement('div', '', { class: 'roster-mapping' });
+        fields.forEach(({ field, header }) => {
+            const group = SecureDOM.createElement('label', header, { class: 'form-label' });
+            const select = SecureDOM.createElement('select', '', { class: 'form-select roster-mapping-select' });
+            select.dataset.field = field;
+            select.appendChild(SecureDOM.createOption('', '(사용 안 함)', !mapping[field]));
+            columns.filter(Boolean).forEach(column => {
+                const option = SecureDOM.createOption('', column, column === mapping[field]);
+                // Headers go back to the server verbatim, so the value must not be HTML-escaped
+                option.value = column;
+                select.appendChild(option);
+            });
+            group.appendChild(select);
+            mappingGrid.appendChild(group);
+        });
+
+        const errorList = SecureDOM.createElement('ul', '', { class: 'roster-import-errors' });
+        errors.forEach(({ row, message }) => {
+            errorList.appendChild(SecureDOM.createElement('li', `${row}행: ${message}`));
+        });
+
+        const appendLabel = SecureDOM.createElement('label', '', { class: 'roster-import-append' });
+        appendLabel.append(
+            SecureDOM.createElement('input', '', { type: 'checkbox', id: 'roster-append' }),
+            document.createTextNode(' 기존 선수 뒤에 추가')
+        );
+
+        const actions = SecureDOM.createElement('div', '', { class: 'roster-import-actions' });
+        const applyBtn = SecureDOM.createElement('button', `${players.length}명 적용`, {
+            type: 'button',
+            class: 'btn-primary',
+            id: 'roster-apply-btn'
+        });
+        applyBtn.disabled = players.length === 0;
+        actions.append(
+            applyBtn,
+            SecureDOM.createElement('button', '취소', { type: 'button', class: 'btn-secondary', id: 'roster-cancel-btn' })
+        );
+
+        SecureDOM.replaceContent(panel, summary, mappingGrid, ...(errors.length > 0 ? [errorList] : []), appendLabel, actions);
+        panel.hidden = false;
+    }
+
+    getRosterMapping() {
+        const mapping = {};
+        document.querySelectorAll('.roster-mapping-select').forEach(select => {
+            mapping[select.dataset.field] = select.value;
+        });
+        return mapping;
+    }
+
+    /**
+     * Replace (or extend) the player list with the imported roster
+     */
+    applyRosterImport(append = false) {
+        const imported = this.rosterImport?.result.players || [];
+        if (imported.length === 0) {
+            return;
+        }
+
+        const newPlayers = imported.map((player, index) => ({
+            ...player,
+            id: `player-${Date.now()}-${index}-${Math.random().toString(36).substr(2, 5)}`
+        }));
+        this.players = append ? [...this.getRosterPlayers(), ...newPlayers] : newPlayers;
+
+        this.closeRosterImport();
+        this.updatePlayerListDOM();
+        this.updateOrderSummary();
+        this.savePlayerData();
+        this.notifyPlayersChanged();
+        this.scheduleQuote();
+
+        if (this.showNotification) {
+            this.showNotification(`선수 ${newPlayers.length}명을 명단에서 가져왔습니다.`, 3000);
+        }
+    }
+
+    closeRosterImport() {
+        this.rosterImport = null;
+        const panel = document.getElementById('roster-import-panel');
+        const fileInput = document.getElementById('roster-file-input');
+        if (panel) {
+            SecureDOM.replaceContent(panel);
+            panel.hidden = true;
+        }
+        if (fileInput) {
+            fileInput.value = '';
+        }
+    }
     
     getPlayerListHTML() {
         return this.players.map(player => `
@@ -423,29 +735,19 @@ export class OrderFormManager {
                     <label class="form-label">상의사이즈</label>
                     <select class="form-select player-top-size">
                         <option value="">사이즈 선택</option>
-                        <option value="XS" ${player.topSize === 'XS' ? 'selected' : ''}>XS</option>
-                        <option value="S" ${player.topSize === 'S' ? 'selected' : ''}>S</option>
-                        <option value="M" ${player.topSize === 'M' ? 'selected' : ''}>M</option>
-                        <option value="L" ${player.topSize === 'L' ? 'selected' : ''}>L</option>
-                        <option value="XL" ${player.topSize === 'XL' ? 'selected' : ''}>XL</option>
-                        <option value="XXL" ${player.topSize === 'XXL' ? 'selected' : ''}>XXL</option>
+                        ${this.getSizeOptionsHTML(player.topSize)}
                     </select>
                 </div>
                 <div class="form-group">
                     <label class="form-label">하의사이즈</label>
                     <select class="form-select player-bottom-size">
                         <option value="">사이즈 선택</option>
-                        <option value="XS" ${player.bottomSize === 'XS' ? 'selected' : ''}>XS</option>
-                        <option value="S" ${player.bottomSize === 'S' ? 'selected' : ''}>S</option>
-                        <option value="M" ${player.bottomSize === 'M' ? 'selected' : ''}>M</option>
-                        <option value="L" ${player.bottomSize === 'L' ? 'selected' : ''}>L</option>
-                        <option value="XL" ${player.bottomSize === 'XL' ? 'selected' : ''}>XL</option>
-                        <option value="XXL" ${player.bottomSize === 'XXL' ? 'selected' : ''}>XXL</option>
+                        ${this.getSizeOptionsHTML(player.bottomSize)}
                     </select>
                 </div>
                 <div class="form-group">
                     <label class="form-label">가격</label>
-                    <input type="text" class="form-input" value="${this.getPlayerPrice(player.type).toLocaleString()}원" readonly>
+                    <input type="text" class="form-input player-price" value="${this.formatPrice(this.getPlayerPrice(player))}" readonly>
                 </div>
                 <div class="form-group">
                     <label class="form-label">삭제</label>
@@ -477,9 +779,61 @@ export class OrderFormManager {
         return playerDiv;
     }
     
-    getPlayerPrice(type) {
-        const prices = { set: 45000, top: 25000, bottom: 20000 };
-        return prices[type] || 0;
+    getSizeOptionsHTML(selectedSize) {
+        return this.getSizeRange()
+            .map(size => `<option value="${size}" ${selectedSize === size ? 'selected' : ''}>${size}</option>`)
+            .join('');
+    }
+
+    /**
+     * Unit price for a player from the latest server quote, or null if not quoted yet
+     */
+    getPlayerPrice(player) {
+        const line = this.quote?.players.find(item => item.id === player.id);
+        return line ? line.unitPrice : null;
+    }
+
+    formatPrice(price) {
+        return price === null ? '-' : `${price.toLocaleString()}원`;
+    }
+
+    /**
+     * Refresh the per-player price fields in place (re-rendering would drop input focus)
+     */
+    updatePriceDisplays() {
+        document.querySelectorAll('#players-list .player-entry').forEach(entry => {
+            const player = this.players.find(p => p.id === entry.dataset.playerId);
+            const priceInput = entry.querySelector('.player-price');
+            if (player && priceInput) {
+                priceInput.value = this.formatPrice(this.getPlayerPrice(player));
+            }
+        });
+    }
+
+    /**
+     * Summary rows as [label, value, isTotal]
+     */
+    getSummaryRows() {
+        const validPlayers = this.getOrderedPlayers();
+        const rows = [
+            ['총 선수 수:', `${validPlayers.length}명`],
+            ['상하의 세트:', `${validPlayers.filter(p => p.type === 'set').length}개`],
+            ['상의만:', `${validPlayers.filter(p => p.type === 'top').length}개`],
+            ['하의만:', `${validPlayers.filter(p => p.type === 'bottom').length}개`]
+        ];
+
+        if (!this.quote) {
+            rows.push(['총 가격:', '-', true]);
+            return rows;
+        }
+
+        if (this.quote.discount > 0) {
+            rows.push(['소계:', this.formatPrice(this.quote.subtotal)]);
+            rows.push([`수량 할인 (${this.quote.discountPercent}%):`, `-${this.formatPrice(this.quote.discount)}`]);
+        }
+        rows.push(['총 가격:', this.formatPrice(this.quote.total), true]);
+
+        return rows;
     }
     
     createSpecialRequests() {
@@ -501,9 +855,6 @@ export class OrderFormManager {
     }
     
     createOrderSummary() {
-        const validPlayers = this.players.filter(p => p.name || p.number);
-        const totalPrice = validPlayers.reduce((sum, player) => sum + this.getPlayerPrice(player.type), 0);
-
         const section = SecureDOM.createElement('div', '', { class: 'form-section' });
         const title = SecureDOM.createElement('h3', '주문 요약', { class: 'section-title' });
         const summaryContainer = SecureDOM.createElement('div', '', { class: 'order-summary' });
@@ -518,11 +869,9 @@ export class OrderFormManager {
             return row;
         };
 
-        summaryContainer.appendChild(createSummaryRow('총 선수 수:', `${validPlayers.length}명`));
-        summaryContainer.appendChild(createSummaryRow('상하의 세트:', `${validPlayers.filter(p => p.type === 'set').length}개`));
-        summaryContainer.appendChild(createSummaryRow('상의만:', `${validPlayers.filter(p => p.type === 'top').length}개`));
-        summaryContainer.appendChild(createSummaryRow('하의만:', `${validPlayers.filter(p => p.type === 'bottom').length}개`));
-        summaryContainer.appendChild(createSummaryRow('총 가격:', `${totalPrice.toLocaleString()}원`, true));
+        this.getSummaryRows().forEach(([label, value, isTotal]) => {
+            summaryContainer.appendChild(createSummaryRow(label, value, isTotal));
+        });
 
         section.appendChild(title);
         section.appendChild(summaryContainer);
@@ -556,9 +905,6 @@ export class OrderFormManager {
     updateOrderSummary() {
         const summarySection = document.querySelector('.order-summary');
         if (summarySection) {
-            const validPlayers = this.players.filter(p => p.name || p.number);
-            const totalPrice = validPlayers.reduce((sum, player) => sum + this.getPlayerPrice(player.type), 0);
-
             // Clear existing content and recreate summary rows securely
             SecureDOM.replaceContent(summarySection);
 
@@ -572,11 +918,9 @@ export class OrderFormManager {
                 return row;
             };
 
-            summarySection.appendChild(createSummaryRow('총 선수 수:', `${validPlayers.length}명`));
-            summarySection.appendChild(createSummaryRow('상하의 세트:', `${validPlayers.filter(p => p.type === 'set').length}개`));
-            summarySection.appendChild(createSummaryRow('상의만:', `${validPlayers.filter(p => p.type === 'top').length}개`));
-            summarySection.appendChild(createSummaryRow('하의만:', `${validPlayers.filter(p => p.type === 'bottom').length}개`));
-            summarySection.appendChild(createSummaryRow('총 가격:', `${totalPrice.toLocaleString()}원`, true));
+            this.getSummaryRows().forEach(([label, value, isTotal]) => {
+                summarySection.appendChild(createSummaryRow(label, value, isTotal));
+            });
         }
 
         this.updateSubmitButton();
@@ -628,6 +972,7 @@ export class OrderFormManager {
                 document.removeEventListener('change', this.boundHandlers.change);
                 this.boundHandlers = null;
             }
+            clearTimeout(this.quoteTimer);
             this.eventsBound = false;
         };
         
@@ -656,6 +1001,15 @@ export class OrderFormManager {
             e.preventDefault();
             const playerId = e.target.dataset.playerId;
             this.removePlayer(playerId);
+        } else if (e.target.id === 'roster-import-btn') {
+            e.preventDefault();
+            document.getElementById('roster-file-input')?.click();
+        } else if (e.target.id === 'roster-apply-btn') {
+            e.preventDefault();
+            this.applyRosterImport(document.getElementById('roster-append')?.checked);
+        } else if (e.target.id === 'roster-cancel-btn') {
+            e.preventDefault();
+            this.closeRosterImport();
         } else if (e.target.id === 'form-cancel-btn') {
             e.preventDefault();
             this.closeModal();
@@ -679,6 +1033,8 @@ export class OrderFormManager {
             this.customerPhone = e.target.value;
             this.updateOrderNumber();
             this.updateSubmitButton();
+        } else if (e.target.id === 'customer-email') {
+            this.customerEmail = e.target.value.trim();
         } else if (e.target.id === 'team-name') {
             this.teamName = e.target.value;
         } else if (e.target.id === 'special-requests') {
@@ -701,7 +1057,6 @@ export class OrderFormManager {
         if (e.target.classList.contains('player-type')) {
             const playerId = e.target.closest('.player-entry').dataset.playerId;
             this.updatePlayer(playerId, 'type', e.target.value);
-            this.renderPlayerList();
         } else if (e.target.classList.contains('player-sleeve')) {
             const playerId = e.target.closest('.player-entry').dataset.playerId;
             this.updatePlayer(playerId, 'sleeveType', e.target.value);
@@ -711,6 +1066,10 @@ export class OrderFormManager {
         } else if (e.target.classList.contains('player-bottom-size')) {
             const playerId = e.target.closest('.player-entry').dataset.playerId;
             this.updatePlayer(playerId, 'bottomSize', e.target.value);
+        } else if (e.target.id === 'roster-file-input' && e.target.files[0]) {
+            this.importRoster(e.target.files[0]);
+        } else if (e.target.classList.contains('roster-mapping-select') && this.rosterImport) {
+            this.importRoster(this.rosterImport.file, this.getRosterMapping());
         }
     }
 
@@ -727,6 +1086,10 @@ export class OrderFormManager {
             missingFields.push('연락처');
         }
         
+        if (this.customerEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(this.customerEmail)) {
+            missingFields.push('올바른 이메일 주소');
+        }
+        
         // Check if there's at least one valid player
         const validPlayers = this.players.filter(p => p.name && p.name.trim() !== '' && p.number && p.number.trim() !== '');
         if (validPlayers.length === 0) {
@@ -910,6 +1273,7 @@ export class OrderFormManager {
             orderNumber: this.orderNumber,
             customerName: this.customerName,
             customerPhone: this.customerPhone,
+            customerEmail: this.customerEmail,
             teamName: this.teamName,
             selectedOptions: this.selectedOptions,
             players: validPlayers,
@@ -919,6 +1283,29 @@ export class OrderFormManager {
         
         console.log('주문서 저장:', orderData);
         
+        // Zone colors are matched to printable ink codes for the production sheet
+        if (this.captureColors) {
+            orderData.colors = this.captureColors();
+        }
+        
+        // Attach a 3D preview so staff can see the design from the admin dashboard
+        if (this.captureSnapshot) {
+            try {
+                orderData.snapshot = this.captureSnapshot();
+            } catch (error) {
+                console.warn('⚠️ Failed to capture order snapshot:', error);
+            }
+        }
+        
+        // Product shots are stored in the session before the order, so its email shows them
+        if (this.captureRenders) {
+            try {
+                await this.captureRenders();
+            } catch (error) {
+                console.warn('⚠️ Failed to capture product shots:', error);
+            }
+        }
+        
         try {
             // Save to server session
             if (this.serverApiClient && this.sessionManager) {
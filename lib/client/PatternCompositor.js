@@ -1,4 +1,8 @@
 import * as THREE from 'three';
+import { PatternFill } from './PatternFill.js';
+
+// Mask channels in pattern layer order
+const MASK_CHANNELS = ['r', 'g', 'b', 'a'];
 
 export class PatternCompositor {
     constructor() {
@@ -6,6 +10,28 @@ export class PatternCompositor {
         this.ctx = this.canvas.getContext('2d');
         this.textureCache = new Map();
         this.compositeCache = new Map();
+        this.fillTextures = new Map();
+    }
+
+    /**
+     * Register the tileable images texture fills refer to by id
+     * @param {Array} textures - [{ id, file }] from the pattern manifest
+     */
+    setFillTextures(textures = []) {
+        this.fillTextures = new Map(textures.map(texture => [texture.id, texture.file]));
+    }
+
+    async loadFillImage(fill) {
+        if (PatternFill.isSolid(fill) || fill.type !== 'texture') {
+            return null;
+        }
+
+        const file = this.fillTextures.get(fill.texture);
+        if (!file) {
+            console.warn(`⚠️ Unknown fill texture: ${fill.texture}`);
+            return null;
+        }
+        return this.loadTexture(file);
     }
 
     async loadTexture(imagePath) {
@@ -50,7 +76,7 @@ export class PatternCompositor {
 
         // Create cache key including additional textures
         const additionalKey = additionalTextures ? JSON.stringify(additionalTextures) : 'none';
-        const cacheKey = `${patternData.name}_${colors.join('_')}_${additionalKey}`;
+        const cacheKey = `${patternData.name}_${JSON.stringify(colors)}_${additionalKey}`;
 
         console.log('🔍 Checking cache for:', cacheKey);
 
@@ -109,25 +135,34 @@ export class PatternCompositor {
             maskCtx.mozImageSmoothingEnabled = false;
         }
 
-        // Draw mask texture to extract RGB channels (preserve source resolution)
-        maskCtx.drawImage(maskTexture, 0, 0, textureSize, textureSize);
-        const maskImageData = maskCtx.getImageData(0, 0, textureSize, textureSize);
-
         // Create layers bottom to top (layer 1 = bottom, layer N = top)
-        // PATTERN LAYERS - using 1_2_3.png RGB channels
-        for (let layerIndex = 1; layerIndex <= patternData.layerCount; layerIndex++) {
-            const colorHex = colors[layerIndex - 1];
-            if (!colorHex) continue;
-
-            const layerTexture = this.createLayerTexture(
-                maskImageData,
-                layerIndex,
-                colorHex,
-                textureSize
-            );
-
-            // Composite layer using "over" blend mode (default)
-            this.ctx.drawImage(layerTexture, 0, 0);
+        // PATTERN LAYERS - each mask file carries up to four layers in its R, G, B and A channels
+        for (const [fileIndex, file] of patternData.files.entries()) {
+            const fileTexture = fileIndex === 0
+                ? maskTexture
+                : await this.loadTexture(`${patternData.texturePath}${file.filename}`);
+
+            // Draw mask texture to extract its channels (preserve source resolution)
+            maskCtx.clearRect(0, 0, textureSize, textureSize);
+            maskCtx.drawImage(fileTexture, 0, 0, textureSize, textureSize);
+            const maskImageData = maskCtx.getImageData(0, 0, textureSize, textureSize);
+
+            for (const layerIndex of file.layers) {
+                const fill = colors[layerIndex - 1];
+                if (!fill) continue;
+
+                const layerTexture = this.createLayerTexture(
+                    maskImageData,
+                    layerIndex,
+                    fill,
+                    textureSize,
+                    file.channels?.[layerIndex],
+                    await this.loadFillImage(fill)
+                );
+
+                // Composite layer using "over" blend mode (default)
+                this.ctx.drawImage(layerTexture, 0, 0);
+            }
         }
 
         // ADDITIONAL TEXTURE LAYERS - using pants/neck textures
@@ -146,34 +181,46 @@ export class PatternCompositor {
         return compositeTexture;
     }
 
-    createLayerTexture(maskImageData, layerIndex, colorHex, textureSize) {
+    /**
+     * Color one pattern layer through its mask channel
+     * @param {string|Object} fill - #rrggbb color or a gradient/texture fill definition
+     */
+    createLayerTexture(maskImageData, layerIndex, fill, textureSize, channel = null, fillImage = null) {
         const layerCanvas = document.createElement('canvas');
         const layerCtx = layerCanvas.getContext('2d');
         layerCanvas.width = textureSize;
         layerCanvas.height = textureSize;
 
         // Parse color
+        const colorHex = PatternFill.getBaseColor(fill);
         const color = this.hexToRgb(colorHex);
         if (!color) {
             console.error('Invalid color:', colorHex);
             return layerCanvas;
         }
 
+        // Gradient and texture fills are painted once, then cut out by the mask like a flat color
+        const fillData = PatternFill.isSolid(fill) ? null : this.renderFill(fill, textureSize, fillImage);
+
         // Create layer image data
         const layerImageData = layerCtx.createImageData(textureSize, textureSize);
         const layerData = layerImageData.data;
         const maskData = maskImageData.data;
 
         // Determine which channel to use for this layer
-        const channelIndex = this.getChannelIndex(layerIndex);
+        const channelIndex = channel ? MASK_CHANNELS.indexOf(channel) : this.getChannelIndex(layerIndex);
+        // The alpha channel marks its layer where the mask is transparent (the browser
+        // premultiplies alpha, so color channels are unusable under transparent pixels)
+        const invert = channelIndex === 3;
 
         for (let i = 0; i < maskData.length; i += 4) {
-            const maskValue = maskData[i + channelIndex] / 255; // Get channel value (0-1)
+            const channelValue = maskData[i + channelIndex] / 255; // Get channel value (0-1)
+            const maskValue = invert ? 1 - channelValue : channelValue;
 
             // Set pixel color with mask as alpha
-            layerData[i] = color.r;     // R
-            layerData[i + 1] = color.g; // G
-            layerData[i + 2] = color.b; // B
+            layerData[i] = fillData ? fillData[i] : color.r;         // R
+            layerData[i + 1] = fillData ? fillData[i + 1] : color.g; // G
+            layerData[i + 2] = fillData ? fillData[i + 2] : color.b; // B
             layerData[i + 3] = Math.round(maskValue * 255); // A (alpha from mask)
         }
 
@@ -181,6 +228,16 @@ export class PatternCompositor {
         return layerCanvas;
     }
 
+    renderFill(fill, textureSize, fillImage) {
+        const fillCanvas = document.createElement('canvas');
+        const fillCtx = fillCanvas.getContext('2d');
+        fillCanvas.width = textureSize;
+        fillCanvas.height = textureSize;
+
+        PatternFill.paint(fillCtx, fill, textureSize, fillImage);
+        return fillCtx.getImageData(0, 0, textureSize, textureSize).data;
+    }
+
     getChannelIndex(layerIndex) {
         // Map layer numbers to RGB channels
         // Layer 1 -> R (index 0)
@@ -315,7 +372,7 @@ export class PatternCompositor {
         return layerCanvas;
     }
 
-    // Get current colors from UI
+    // Get current colors from UI (zones with a gradient/texture fill return the fill definition)
     getCurrentColors(patternName = null) {
         const colors = [];
         // Use pattern-color pickers for all patterns
@@ -326,7 +383,7 @@ export class PatternCompositor {
         colorPickers.forEach((picker, index) => {
             if (picker && picker.offsetParent !== null) { // Check if visible
                 console.log(`🎨 Color picker ${index + 1}: ${picker.value}`);
-                colors.push(picker.value);
+                colors.push(picker.dataset.fill ? JSON.parse(picker.dataset.fill) : picker.value);
             } else {
                 console.log(`🎨 Color picker ${index + 1}: not visible or not found`);
             }
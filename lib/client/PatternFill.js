@@ -0,0 +1,113 @@
+// Pattern zone fills; lib/patternFill.js renders the same geometry for print exports
+export const FILL_TYPES = ['solid', 'linear', 'radial', 'texture'];
+
+export const FILL_TYPE_LABELS = {
+    solid: 'Solid',
+    linear: 'Linear gradient',
+    radial: 'Radial gradient',
+    texture: 'Texture'
+};
+
+// Texture tiles are sized against a 2048px atlas so previews and print exports match
+const FILL_REFERENCE_SIZE = 2048;
+
+export class PatternFill {
+    static isSolid(fill) {
+        return !fill || typeof fill === 'string' || fill.type === 'solid';
+    }
+
+    /**
+     * The flat color a fill starts from (the zone's color picker value)
+     */
+    static getBaseColor(fill) {
+        if (typeof fill === 'string') {
+            return fill;
+        }
+        return fill?.stops?.[0]?.color || fill?.color || '#ffffff';
+    }
+
+    /**
+     * Fill of another type keeping the current colors where they carry over
+     * @param {string} type - One of FILL_TYPES
+     * @param {string} color - Zone color picker value
+     * @param {Object} [previous] - Fill being replaced
+     */
+    static create(type, color, previous = null) {
+        const endColor = previous?.stops?.[previous.stops.length - 1]?.color || '#000000';
+        const stops = [{ offset: 0, color }, { offset: 1, color: endColor }];
+
+        switch (type) {
+            case 'linear':
+                return { type, angle: 90, stops };
+            case 'radial':
+                return { type, center: { x: 0.5, y: 0.5 }, radius: 0.5, stops };
+            case 'texture':
+                return { type, texture: previous?.texture || null, color, scale: 1, rotation: 0 };
+            default:
+                return { type: 'solid', color };
+        }
+    }
+
+    /**
+     * Copy of the fill with its base color replaced (first gradient stop or texture tint)
+     */
+    static withBaseColor(fill, color) {
+        if (fill.stops) {
+            return { ...fill, stops: fill.stops.map((stop, index) => (index === 0 ? { ...stop, color } : stop)) };
+        }
+        return { ...fill, color };
+    }
+
+    /**
+     * Paint a fill over the whole canvas
+     * @param {CanvasRenderingContext2D} ctx - Target context (size x size)
+     * @param {Object} fill - Fill definition
+     * @param {number} size - Canvas size in pixels
+     * @param {HTMLImageElement} [image] - Loaded tile for texture fills
+     */
+    static paint(ctx, fill, size, image = null) {
+        ctx.save();
+
+        if (fill.type === 'linear') {
+            // Gradient line through the center, long enough to reach the corners at any angle
+            const radians = fill.angle * Math.PI / 180;
+            const dx = Math.cos(radians);
+            const dy = Math.sin(radians);
+            const half = (Math.abs(dx) + Math.abs(dy)) * size / 2;
+            const center = size / 2;
+            ctx.fillStyle = PatternFill.addStops(
+                ctx.createLinearGradient(center - dx * half, center - dy * half, center + dx * half, center + dy * half),
+                fill.stops
+            );
+        } else if (fill.type === 'radial') {
+            const cx = fill.center.x * size;
+            const cy = fill.center.y * size;
+            ctx.fillStyle = PatternFill.addStops(ctx.createRadialGradient(cx, cy, 0, cx, cy, fill.radius * size), fill.stops);
+        } else if (fill.type === 'texture' && image) {
+            if (fill.color) {
+                // Tinted textures multiply over the tint color
+                ctx.fillStyle = fill.color;
+                ctx.fillRect(0, 0, size, size);
+                ctx.globalCompositeOperation = 'multiply';
+            }
+            const pattern = ctx.createPattern(image, 'repeat');
+            // rotate(rotation) · scale(tileScale)
+            const tileScale = fill.scale * size / FILL_REFERENCE_SIZE;
+            const radians = fill.rotation * Math.PI / 180;
+            const cos = Math.cos(radians) * tileScale;
+            const sin = Math.sin(radians) * tileScale;
+            pattern.setTransform({ a: cos, b: sin, c: -sin, d: cos, e: 0, f: 0 });
+            ctx.fillStyle = pattern;
+        } else {
+            ctx.fillStyle = PatternFill.getBaseColor(fill);
+        }
+
+        ctx.fillRect(0, 0, size, size);
+        ctx.restore();
+    }
+
+    static addStops(gradient, stops) {
+        stops.forEach(stop => gradient.addColorStop(stop.offset, stop.color));
+        return gradient;
+    }
+}
@@ -1,113 +1,202 @@
+import { SecureDOM } from './SecureDOM.js';
+import { PatternFill, FILL_TYPES, FILL_TYPE_LABELS } from './PatternFill.js';
+
+// Mask channels in pattern layer order (the alpha channel marks its layer where the mask is transparent)
+const MASK_CHANNELS = ['r', 'g', 'b', 'a'];
+
+// Bundled copy of config/patterns.json for running without the server
+export const DEFAULT_PATTERN_MANIFEST = {
+    version: 1,
+    basePath: 'assets/textures/customPatterns',
+    defaultLanguage: 'ko',
+    defaults: { regulan: 'reg_custom-1-2', setin: 'setin_custom-1-1' },
+    fillTextures: [
+        { id: 'fabric-noise', file: 'assets/RTT_Noise_B01.002_512.jpg', names: { ko: '원단 노이즈', en: 'Fabric noise' } }
+    ],
+    patterns: [
+        ['reg_custom-1-2', 'regulan', '커스텀 1-2', 'Custom-1-2'],
+        ['setin_custom-1-1', 'setin', '커스텀 1-1', 'Custom-1-1'],
+        ['setin_custom-1-3', 'setin', '커스텀 1-3', 'Custom-1-3']
+    ].map(([id, designType, ko, en]) => ({
+        id,
+        designTypes: [designType],
+        names: { ko, en },
+        masks: [{ file: '1_2_3.png', file4k: '1_2_3.4k.png', channels: 3 }],
+        defaultColors: ['#ffffff', '#000000', '#ff0000']
+    }))
+};
+
 export class PatternManager {
-    constructor(patternCompositor = null) {
+    constructor(patternCompositor = null, options = {}) {
         this.patterns = new Map();
         this.currentPattern = null;
         this.onPatternChange = null;
         this.currentDesignType = 'regulan'; // default to regulan
         this.patternCompositor = patternCompositor;
+        this.serverUrl = options.serverUrl || null;
+        this.language = options.language || document.documentElement.lang || 'ko';
+        this.manifest = null;
     }
 
     async initialize(designType = 'regulan') {
         this.currentDesignType = designType;
-        await this.scanPatternFolders();
+        await this.loadManifest();
+        this.patternCompositor?.setFillTextures(this.getFillTextures());
+        this.registerPatterns();
         this.setupPatternButtons();
         this.setupAdditionalColorPickers(); // Add event listeners for pants/neck colors
         this.updatePatternVisibility();
 
         // Set default pattern based on design type after initialization
         setTimeout(() => {
-            const defaultPattern = designType === 'setin' ? 'setin_custom-1-1' : 'reg_custom-1-2';
-            this.selectPattern(defaultPattern);
+            this.selectPattern(this.getDefaultPattern(designType));
 
             // Ensure additional color picker event listeners are set up after DOM is ready
             this.setupAdditionalColorPickers();
         }, 100);
     }
 
-    async scanPatternFolders() {
-        const patternFolders = ['setin_custom-1-1', 'reg_custom-1-2', 'setin_custom-1-3'];
+    /**
+     * Load the pattern manifest from the server, falling back to the bundled copy
+     */
+    async loadManifest() {
+        this.manifest = DEFAULT_PATTERN_MANIFEST;
+
+        if (!this.serverUrl) {
+            console.log('📋 Using bundled pattern manifest (no server)');
+            return this.manifest;
+        }
 
-        for (const folder of patternFolders) {
-            try {
-                const patternData = await this.analyzePattern(folder);
-                this.patterns.set(folder, patternData);
-                console.log(`Pattern ${folder}:`, patternData);
-            } catch (error) {
-                console.error(`Failed to analyze pattern ${folder}:`, error);
+        try {
+            const response = await fetch(`${this.serverUrl}/api/patterns`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
             }
+
+            const result = await response.json();
+            this.manifest = result.manifest;
+            console.log(`✅ Pattern manifest loaded: ${this.manifest.patterns.length} patterns`);
+        } catch (error) {
+            console.warn('⚠️ Failed to load pattern manifest, using bundled patterns:', error);
         }
+
+        return this.manifest;
     }
 
-    async analyzePattern(patternName) {
-        // Determine texture files based on pattern name
-        let textureFiles;
-        let texturePath;
+    registerPatterns() {
+        this.patterns.clear();
 
-        // All custom patterns have 1_2_3.png (3 layers)
-        textureFiles = [`1_2_3.png`];
-        texturePath = `assets/textures/customPatterns/${patternName}/`;
+        for (const entry of this.manifest.patterns) {
+            const patternData = this.createPatternData(entry, this.manifest.basePath);
+            this.patterns.set(entry.id, patternData);
+            console.log(`Pattern ${entry.id}:`, patternData);
+        }
+    }
 
-        // Parse layer count from filenames
-        let maxLayer = 0;
-        const fileMapping = [];
+    /**
+     * Turn a manifest entry into the pattern data PatternCompositor renders
+     * Layers are numbered across the entry's masks in channel order
+     */
+    createPatternData(entry, basePath) {
+        let layerCount = 0;
 
-        for (const filename of textureFiles) {
-            const layers = this.parseLayerNumbers(filename);
-            const channelMapping = this.createChannelMapping(layers);
+        const files = entry.masks.map(mask => {
+            const layers = Array.from({ length: mask.channels }, (_, index) => layerCount + index + 1);
+            layerCount += mask.channels;
 
-            fileMapping.push({
-                filename,
+            return {
+                filename: mask.file,
+                hiResFilename: mask.file4k || null,
                 layers,
-                channels: channelMapping
-            });
-
-            maxLayer = Math.max(maxLayer, ...layers);
-        }
+                channels: this.createChannelMapping(layers)
+            };
+        });
 
         return {
-            name: patternName,
-            layerCount: maxLayer,
-            files: fileMapping,
-            texturePath: texturePath
+            name: entry.id,
+            displayName: this.getDisplayName(entry),
+            designTypes: entry.designTypes,
+            layerCount,
+            files,
+            texturePath: `${basePath}/${entry.id}/`,
+            thumbnail: entry.thumbnail ? `${basePath}/${entry.id}/${entry.thumbnail}` : null,
+            defaultColors: entry.defaultColors || []
         };
     }
 
-    parseLayerNumbers(filename) {
-        // Extract numbers from filename like "1_2_3.png" -> [1, 2, 3]
-        const nameWithoutExt = filename.replace('.png', '');
-        return nameWithoutExt.split('_').map(num => parseInt(num));
-    }
-
     createChannelMapping(layers) {
-        // Map layer numbers to RGB channels
-        const channels = ['r', 'g', 'b'];
+        // Map layer numbers to RGBA channels
         const mapping = {};
 
         layers.forEach((layerNum, index) => {
-            if (index < channels.length) {
-                mapping[layerNum] = channels[index];
+            if (index < MASK_CHANNELS.length) {
+                mapping[layerNum] = MASK_CHANNELS[index];
             }
         });
 
         return mapping;
     }
 
+    getDisplayName(entry) {
+        const names = entry.names || {};
+        return names[this.language] || names[this.manifest?.defaultLanguage] || names.en || entry.id;
+    }
+
+    /**
+     * Relabel the pattern buttons with display names for another language
+     */
+    setLanguage(language) {
+        this.language = language;
+
+        (this.manifest?.patterns || []).forEach(entry => {
+            const pattern = this.patterns.get(entry.id);
+            if (pattern) {
+                pattern.displayName = this.getDisplayName(entry);
+            }
+        });
+
+        document.querySelectorAll('.custom-pattern-btn').forEach(button => {
+            const pattern = this.patterns.get(button.dataset.pattern);
+            if (pattern) {
+                SecureDOM.setText(button.querySelector('span'), pattern.displayName);
+                button.title = pattern.displayName;
+            }
+        });
+    }
+
+    getDefaultPattern(designType) {
+        const fallback = this.getAllPatterns().find(pattern => pattern.designTypes.includes(designType));
+        return this.manifest?.defaults?.[designType] || fallback?.name;
+    }
+
     setupPatternButtons() {
-        const buttons = [
-            { id: 'custom-1-1-btn', pattern: 'setin_custom-1-1', type: 'setin' },
-            { id: 'custom-1-2-btn', pattern: 'reg_custom-1-2', type: 'regulan' },
-            { id: 'custom-1-3-btn', pattern: 'setin_custom-1-3', type: 'setin' }
-        ];
+        const container = document.querySelector('.custom-pattern-buttons');
+        if (!container) {
+            console.warn('⚠️ Pattern button container not found');
+            return;
+        }
+
+        const buttons = this.getAllPatterns().map(pattern => {
+            const button = SecureDOM.createElement('button', '', {
+                type: 'button',
+                class: 'custom-pattern-btn',
+                title: pattern.displayName
+            });
+            button.dataset.pattern = pattern.name;
+            button.dataset.designTypes = pattern.designTypes.join(' ');
 
-        buttons.forEach(({ id, pattern, type }) => {
-            const button = document.getElementById(id);
-            if (button) {
-                button.setAttribute('data-design-type', type);
-                button.addEventListener('click', () => {
-                    this.selectPattern(pattern);
-                });
+            if (pattern.thumbnail) {
+                button.appendChild(SecureDOM.createElement('img', '', { src: pattern.thumbnail, alt: '', loading: 'lazy' }));
             }
+            button.appendChild(SecureDOM.createElement('span', pattern.displayName));
+
+            button.addEventListener('click', () => {
+                this.selectPattern(pattern.name);
+            });
+            return button;
         });
+
+        SecureDOM.replaceContent(container, ...buttons);
     }
 
     selectPattern(patternName) {
@@ -155,17 +244,8 @@ export class PatternManager {
     }
 
     updateButtonStates(selectedPattern) {
-        const buttons = [
-            { id: 'custom-1-1-btn', pattern: 'setin_custom-1-1' },
-            { id: 'custom-1-2-btn', pattern: 'reg_custom-1-2' },
-            { id: 'custom-1-3-btn', pattern: 'setin_custom-1-3' }
-        ];
-
-        buttons.forEach(({ id, pattern }) => {
-            const button = document.getElementById(id);
-            if (button) {
-                button.classList.toggle('active', pattern === selectedPattern);
-            }
+        document.querySelectorAll('.custom-pattern-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.pattern === selectedPattern);
         });
     }
 
@@ -191,13 +271,18 @@ export class PatternManager {
             colorInput.id = `${idPrefix}-${i}`;
             colorInput.className = 'custom-color-picker';
 
-            // Set default colors
+            // Set default colors from the manifest
             const defaultColors = ['#ffffff', '#000000', '#ff0000', '#00ff00', '#0000ff'];
-            colorInput.value = defaultColors[(i - 1) % defaultColors.length];
+            colorInput.value = this.currentPattern.defaultColors[i - 1] || defaultColors[(i - 1) % defaultColors.length];
 
             // Add change listener for real-time updates
             const changeHandler = (event) => {
                 console.log(`🎨 Color input changed: Layer ${i}, Color: ${event.target.value}`);
+                // The picker color is the start of a gradient or the tint of a texture fill
+                const fill = this.getLayerFill(colorInput);
+                if (fill) {
+                    colorInput.dataset.fill = JSON.stringify(PatternFill.withBaseColor(fill, event.target.value));
+                }
                 // Use arrow function to preserve 'this' context
                 this.onColorChange(i, event.target.value);
             };
@@ -212,7 +297,13 @@ export class PatternManager {
 
             console.log(`✅ Added event listeners to color picker ${i} (ID: ${colorInput.id})`);
 
-            colorSection.appendChild(colorInput);
+            const row = SecureDOM.createElement('div', '', { class: 'pattern-fill-row' });
+            row.append(
+                colorInput,
+                this.createFillTypeSelect(colorInput),
+                SecureDOM.createElement('div', '', { class: 'pattern-fill-options', hidden: '' })
+            );
+            colorSection.appendChild(row);
 
             // Verify the element was added and test event binding
             setTimeout(() => {
@@ -228,6 +319,135 @@ export class PatternManager {
         console.log(`Created ${this.currentPattern.layerCount} color pickers for pattern ${this.currentPattern.name}`);
     }
 
+    getFillTextures() {
+        return (this.manifest?.fillTextures || []).map(texture => ({ ...texture, displayName: this.getDisplayName(texture) }));
+    }
+
+    createFillTypeSelect(colorInput) {
+        const select = SecureDOM.createElement('select', '', { class: 'pattern-fill-type', title: 'Fill' });
+        const hasTextures = this.getFillTextures().length > 0;
+
+        FILL_TYPES
+            .filter(type => type !== 'texture' || hasTextures)
+            .forEach(type => select.appendChild(SecureDOM.createOption(type, FILL_TYPE_LABELS[type])));
+
+        select.addEventListener('change', () => {
+            const fill = PatternFill.create(select.value, colorInput.value, this.getLayerFill(colorInput));
+            if (fill.type === 'texture' && !fill.texture) {
+                fill.texture = this.getFillTextures()[0].id;
+            }
+            this.updateLayerFill(colorInput.id, fill);
+        });
+
+        return select;
+    }
+
+    /**
+     * Gradient/texture fill of a pattern zone, null for a flat color
+     */
+    getLayerFill(colorInput) {
+        return colorInput?.dataset.fill ? JSON.parse(colorInput.dataset.fill) : null;
+    }
+
+    /**
+     * Non-solid fills keyed by color picker id (same keys as the saved patternColors)
+     */
+    getLayerFills() {
+        const fills = {};
+        document.querySelectorAll('input[id^="pattern-color-"]').forEach(colorInput => {
+            const fill = this.getLayerFill(colorInput);
+            if (fill) {
+                fills[colorInput.id] = fill;
+            }
+        });
+        return fills;
+    }
+
+    /**
+     * Set a zone's fill without re-rendering (session restore)
+     * @param {string} colorId - Color picker id, e.g. 'pattern-color-2'
+     * @param {string|Object|null} fill - Fill definition; solid/empty clears it
+     */
+    setLayerFill(colorId, fill) {
+        const colorInput = document.getElementById(colorId);
+        if (!colorInput) {
+            return;
+        }
+
+        if (PatternFill.isSolid(fill)) {
+            delete colorInput.dataset.fill;
+        } else {
+            colorInput.dataset.fill = JSON.stringify(fill);
+            colorInput.value = PatternFill.getBaseColor(fill);
+        }
+        this.renderFillControls(colorInput);
+    }
+
+    updateLayerFill(colorId, fill) {
+        this.setLayerFill(colorId, fill);
+
+        const layerIndex = Number(colorId.split('-').pop());
+        this.onColorChange(layerIndex, PatternFill.getBaseColor(fill));
+    }
+
+    renderFillControls(colorInput) {
+        const row = colorInput.closest('.pattern-fill-row');
+        if (!row) {
+            return;
+        }
+
+        const fill = this.getLayerFill(colorInput);
+        row.querySelector('.pattern-fill-type').value = fill?.type || 'solid';
+
+        const options = row.querySelector('.pattern-fill-options');
+        options.hidden = !fill;
+        if (!fill) {
+            SecureDOM.replaceContent(options);
+            return;
+        }
+
+        const update = (changes) => this.updateLayerFill(colorInput.id, { ...this.getLayerFill(colorInput), ...changes });
+        const controls = [];
+
+        if (fill.stops) {
+            const lastIndex = fill.stops.length - 1;
+            const endColor = SecureDOM.createElement('input', '', { type: 'color', class: 'pattern-fill-end', title: 'Gradient end color' });
+            endColor.value = fill.stops[lastIndex].color;
+            endColor.addEventListener('change', () => update({
+                stops: fill.stops.map((stop, index) => (index === lastIndex ? { ...stop, color: endColor.value } : stop))
+            }));
+            controls.push(endColor);
+        }
+
+        if (fill.type === 'linear') {
+            controls.push(this.createFillRange('Angle', 0, 345, 15, fill.angle, angle => update({ angle })));
+        } else if (fill.type === 'radial') {
+            controls.push(this.createFillRange('Radius', 0.1, 1.5, 0.05, fill.radius, radius => update({ radius })));
+        } else if (fill.type === 'texture') {
+            const textureSelect = SecureDOM.createElement('select', '', { class: 'pattern-fill-texture', title: 'Texture' });
+            this.getFillTextures().forEach(texture => {
+                textureSelect.appendChild(SecureDOM.createOption(texture.id, texture.displayName, texture.id === fill.texture));
+            });
+            textureSelect.addEventListener('change', () => update({ texture: textureSelect.value }));
+
+            controls.push(
+                textureSelect,
+                this.createFillRange('Scale', 0.25, 4, 0.25, fill.scale, scale => update({ scale })),
+                this.createFillRange('Rotation', 0, 345, 15, fill.rotation, rotation => update({ rotation }))
+            );
+        }
+
+        SecureDOM.replaceContent(options, ...controls);
+    }
+
+    createFillRange(title, min, max, step, value, onChange) {
+        const range = SecureDOM.createElement('input', '', { type: 'range', min, max, step, title });
+        range.value = value;
+        // Recompositing is expensive, so only apply when the slider is released
+        range.addEventListener('change', () => onChange(Number(range.value)));
+        return range;
+    }
+
     setupAdditionalColorPickers() {
         console.log('🎨 Setting up additional color pickers (pants/neck)');
 
@@ -335,7 +555,7 @@ export class PatternManager {
         console.log('🔧 Manual initialization of color listeners...');
 
         // Note: Body color pickers have been removed - using pattern colors and keeping neck/pants
-        const colorPickers = document.querySelectorAll('#pattern-color-1, #pattern-color-2, #pattern-color-3');
+        const colorPickers = document.querySelectorAll('input[id^="pattern-color-"]');
         console.log(`Found ${colorPickers.length} pattern color pickers`);
 
         colorPickers.forEach((picker, index) => {
@@ -354,8 +574,7 @@ export class PatternManager {
         });
 
         // Select default pattern based on design type
-        const defaultPattern = this.currentDesignType === 'setin' ? 'setin_custom-1-1' : 'reg_custom-1-2';
-        this.selectPattern(defaultPattern);
+        this.selectPattern(this.getDefaultPattern(this.currentDesignType));
 
         console.log('✅ Manual initialization complete');
     }
@@ -364,8 +583,8 @@ export class PatternManager {
         const buttons = document.querySelectorAll('.custom-pattern-btn');
 
         buttons.forEach(button => {
-            const buttonType = button.getAttribute('data-design-type');
-            if (buttonType === this.currentDesignType || buttonType === 'both') {
+            const designTypes = (button.dataset.designTypes || '').split(' ');
+            if (designTypes.includes(this.currentDesignType)) {
                 button.style.display = 'block';
                 button.disabled = false;
             } else {
@@ -406,7 +625,7 @@ export class PatternManager {
         }
 
         // Auto-select default pattern for the new design type
-        const defaultPattern = newDesignType === 'setin' ? 'setin_custom-1-1' : 'reg_custom-1-2';
+        const defaultPattern = this.getDefaultPattern(newDesignType);
 
         // Always assign default texture when geometry changes (as per user requirements)
         console.log(`🎯 Assigning default texture for ${newDesignType}: ${defaultPattern}`);
@@ -429,7 +648,7 @@ export class PatternManager {
     forceAttachEventListeners() {
         console.log('🔧 Force re-attaching event listeners to pattern color pickers...');
 
-        const colorPickers = document.querySelectorAll('#pattern-color-1, #pattern-color-2, #pattern-color-3');
+        const colorPickers = document.querySelectorAll('input[id^="pattern-color-"]');
         console.log(`Found ${colorPickers.length} existing pattern color pickers`);
 
         colorPickers.forEach((picker, index) => {
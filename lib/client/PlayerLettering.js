@@ -0,0 +1,222 @@
+/**
+ * PlayerLettering - Renders per-player names and numbers as vector text
+ * Replaces the pre-baked name/number PNGs with canvas-drawn lettering so every
+ * player on the roster gets their own name and number on the model.
+ */
+
+export const LETTERING_STYLES = {
+    'block-outline': {
+        label: 'Block Outline',
+        fontFamily: '"Arial Black", "Helvetica Neue", Arial, sans-serif',
+        fontWeight: '900',
+        fontStyle: 'normal',
+        strokeStyle: 'outline',
+        outlineWidth: 0.08
+    },
+    'block-double': {
+        label: 'Block Double Outline',
+        fontFamily: '"Arial Black", "Helvetica Neue", Arial, sans-serif',
+        fontWeight: '900',
+        fontStyle: 'normal',
+        strokeStyle: 'double',
+        outlineWidth: 0.07
+    },
+    'athletic-shadow': {
+        label: 'Athletic Shadow',
+        fontFamily: 'Impact, "Arial Narrow", sans-serif',
+        fontWeight: '700',
+        fontStyle: 'normal',
+        strokeStyle: 'shadow',
+        outlineWidth: 0.06
+    },
+    'serif-outline': {
+        label: 'Serif Outline',
+        fontFamily: 'Georgia, "Times New Roman", serif',
+        fontWeight: '700',
+        fontStyle: 'normal',
+        strokeStyle: 'outline',
+        outlineWidth: 0.06
+    },
+    'italic-sport': {
+        label: 'Italic Sport',
+        fontFamily: '"Arial Black", Arial, sans-serif',
+        fontWeight: '900',
+        fontStyle: 'italic',
+        strokeStyle: 'outline',
+        outlineWidth: 0.07
+    },
+    'plain': {
+        label: 'Plain',
+        fontFamily: 'Arial, sans-serif',
+        fontWeight: '700',
+        fontStyle: 'normal',
+        strokeStyle: 'none',
+        outlineWidth: 0
+    }
+};
+
+export const DEFAULT_LETTERING_STYLE = 'block-outline';
+
+// Base glyph heights in texture pixels (the layer scale is applied on top)
+const FONT_SIZES = {
+    number: 360,
+    name: 120
+};
+
+// Extra tracking between name characters, as a fraction of the font size
+const NAME_LETTER_SPACING = 0.08;
+
+export class PlayerLettering {
+    constructor(options = {}) {
+        this.fontSizes = { ...FONT_SIZES, ...(options.fontSizes || {}) };
+        this.padding = options.padding || 16;
+        this.maxCacheSize = options.maxCacheSize || 32;
+        this.cache = new Map();
+    }
+
+    /**
+     * Look up a style definition, falling back to the default style
+     */
+    static getStyle(styleId) {
+        return LETTERING_STYLES[styleId] || LETTERING_STYLES[DEFAULT_LETTERING_STYLE];
+    }
+
+    /**
+     * Normalize the text for a kind of lettering ('name' or 'number')
+     */
+    static normalizeText(kind, text) {
+        const value = String(text ?? '').trim();
+        if (kind === 'number') {
+            return value.replace(/[^0-9]/g, '').slice(0, 3);
+        }
+        return value.toUpperCase();
+    }
+
+    /**
+     * Render lettering onto a new canvas sized to the text
+     * @param {Object} options - { kind, text, styleId, fillColor, outlineColor }
+     * @returns {HTMLCanvasElement|null} Canvas with the lettering, or null when there is nothing to draw
+     */
+    render({ kind = 'number', text = '', styleId = DEFAULT_LETTERING_STYLE, fillColor = '#ffffff', outlineColor = '#000000' } = {}) {
+        const value = PlayerLettering.normalizeText(kind, text);
+        if (!value) {
+            return null;
+        }
+
+        const cacheKey = [kind, value, styleId, fillColor, outlineColor].join('|');
+        if (this.cache.has(cacheKey)) {
+            return this.cache.get(cacheKey);
+        }
+
+        const style = PlayerLettering.getStyle(styleId);
+        const fontSize = this.fontSizes[kind] || FONT_SIZES.number;
+        const letterSpacing = kind === 'name' ? fontSize * NAME_LETTER_SPACING : 0;
+        const outlineWidth = Math.round(fontSize * style.outlineWidth);
+        const font = `${style.fontStyle} ${style.fontWeight} ${fontSize}px ${style.fontFamily}`;
+
+        // Measure with a scratch context so the final canvas can be sized exactly
+        const measureCtx = document.createElement('canvas').getContext('2d');
+        measureCtx.font = font;
+        const glyphs = this.layoutGlyphs(measureCtx, value, letterSpacing);
+
+        const strokeExtent = this.getStrokeExtent(style, outlineWidth);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(glyphs.width + (strokeExtent + this.padding) * 2);
+        canvas.height = Math.ceil(fontSize * 1.2 + (strokeExtent + this.padding) * 2);
+
+        const ctx = canvas.getContext('2d');
+        ctx.font = font;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.lineJoin = 'round';
+        ctx.miterLimit = 2;
+
+        const originX = (canvas.width - glyphs.width) / 2;
+        const originY = canvas.height / 2;
+
+        this.drawStyled(ctx, glyphs, originX, originY, style, outlineWidth, fillColor, outlineColor);
+
+        this.remember(cacheKey, canvas);
+        return canvas;
+    }
+
+    /**
+     * Compute per-character x offsets so letter spacing works in every browser
+     */
+    layoutGlyphs(ctx, text, letterSpacing) {
+        const chars = Array.from(text);
+        const offsets = [];
+        let x = 0;
+
+        chars.forEach((char, index) => {
+            offsets.push(x);
+            x += ctx.measureText(char).width;
+            if (index < chars.length - 1) {
+                x += letterSpacing;
+            }
+        });
+
+        return { chars, offsets, width: Math.max(x, 1) };
+    }
+
+    /**
+     * How far strokes and shadows reach beyond the glyph outline
+     */
+    getStrokeExtent(style, outlineWidth) {
+        switch (style.strokeStyle) {
+            case 'double':
+                return outlineWidth * 2;
+            case 'shadow':
+                return outlineWidth * 2;
+            case 'outline':
+                return outlineWidth;
+            default:
+                return 0;
+        }
+    }
+
+    drawStyled(ctx, glyphs, originX, originY, style, outlineWidth, fillColor, outlineColor) {
+        const strokePass = (width, color, dx = 0, dy = 0) => {
+            ctx.lineWidth = width;
+            ctx.strokeStyle = color;
+            this.forEachGlyph(glyphs, originX + dx, originY + dy, (char, x, y) => ctx.strokeText(char, x, y));
+        };
+        const fillPass = (color, dx = 0, dy = 0) => {
+            ctx.fillStyle = color;
+            this.forEachGlyph(glyphs, originX + dx, originY + dy, (char, x, y) => ctx.fillText(char, x, y));
+        };
+
+        // Strokes are centered on the glyph edge, so the visible outline is half the line width
+        if (style.strokeStyle === 'double') {
+            strokePass(outlineWidth * 4, fillColor);
+            strokePass(outlineWidth * 2, outlineColor);
+        } else if (style.strokeStyle === 'shadow') {
+            const offset = outlineWidth * 1.5;
+            fillPass(outlineColor, offset, offset);
+            strokePass(outlineWidth * 2, outlineColor, offset, offset);
+            strokePass(outlineWidth, outlineColor);
+        } else if (style.strokeStyle === 'outline') {
+            strokePass(outlineWidth * 2, outlineColor);
+        }
+
+        fillPass(fillColor);
+    }
+
+    forEachGlyph(glyphs, originX, originY, draw) {
+        glyphs.chars.forEach((char, index) => {
+            draw(char, originX + glyphs.offsets[index], originY);
+        });
+    }
+
+    remember(key, canvas) {
+        if (this.cache.size >= this.maxCacheSize) {
+            const oldestKey = this.cache.keys().next().value;
+            this.cache.delete(oldestKey);
+        }
+        this.cache.set(key, canvas);
+    }
+
+    clearCache() {
+        this.cache.clear();
+    }
+}
@@ -0,0 +1,244 @@
+import { SecureDOM } from './SecureDOM.js';
+
+export const PROOF_STATUS_LABELS = {
+    pending: '검토 대기',
+    changes_requested: '수정 요청됨',
+    approved: '승인 완료'
+};
+
+// Pointer movement (px) above which a click on the viewer counts as an orbit drag
+const CLICK_TOLERANCE = 5;
+
+/**
+ * ProofManager - Read-only customer review of a design locked by staff
+ * Customers approve the proof or pin comments to UV positions on the 3D model
+ */
+export class ProofManager {
+    constructor(options = {}) {
+        this.sceneManager = options.sceneManager;
+        this.serverUrl = options.serverUrl || '';
+        this.sessionId = options.sessionId;
+        this.showNotification = options.showNotification || (() => {});
+        this.proof = null;
+        this.pendingPin = null;
+        this.pointerStart = null;
+
+        this.elements = {
+            panel: document.getElementById('proof-panel'),
+            status: document.getElementById('proof-status'),
+            approveButton: document.getElementById('proof-approve-btn'),
+            commentButton: document.getElementById('proof-comment-btn'),
+            comments: document.getElementById('proof-comments'),
+            commentForm: document.getElementById('proof-comment-form'),
+            commentText: document.getElementById('proof-comment-text'),
+            commentAuthor: document.getElementById('proof-comment-author'),
+            pins: document.getElementById('proof-pins')
+        };
+    }
+
+    /**
+     * Build the comment request body from a model intersection
+     * @returns {Object|null} null when the hit has no UV coordinates
+     */
+    static createCommentPayload(intersection, text, author = '') {
+        if (!intersection?.uv) {
+            return null;
+        }
+
+        const clamp = value => Math.min(1, Math.max(0, value));
+        const { point, object } = intersection;
+
+        return {
+            uv: { u: clamp(intersection.uv.x), v: clamp(intersection.uv.y) },
+            ...(point ? { position: { x: point.x, y: point.y, z: point.z } } : {}),
+            ...(object?.name ? { meshName: object.name } : {}),
+            text: text.trim(),
+            author: author.trim()
+        };
+    }
+
+    enter(proof) {
+        this.proof = proof;
+        document.body.classList.add('proof-mode');
+        this.elements.panel.hidden = false;
+
+        this.bindEvents();
+        this.render();
+        console.log(`🔍 Proof mode: v${proof.version} (${proof.status})`);
+    }
+
+    bindEvents() {
+        const canvas = this.sceneManager.renderer?.domElement;
+
+        canvas?.addEventListener('pointerdown', (e) => {
+            this.pointerStart = { x: e.clientX, y: e.clientY };
+        });
+        canvas?.addEventListener('pointerup', (e) => this.handleCanvasClick(e));
+
+        // Keep pins attached to the model while the camera orbits
+        this.sceneManager.controls?.addEventListener('change', () => this.positionPins());
+        window.addEventListener('resize', () => this.positionPins());
+
+        this.elements.approveButton?.addEventListener('click', () => this.approve());
+        this.elements.commentButton?.addEventListener('click', () => {
+            this.showNotification('모델에서 의견을 남길 위치를 클릭하세요.', 3000);
+        });
+        this.elements.commentForm?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitComment();
+        });
+        this.elements.commentForm?.addEventListener('reset', () => this.cancelComment());
+    }
+
+    isOpen() {
+        return Boolean(this.proof?.locked) && this.proof.status !== 'approved';
+    }
+
+    handleCanvasClick(event) {
+        const start = this.pointerStart;
+        this.pointerStart = null;
+
+        if (!start || !this.isOpen()) {
+            return;
+        }
+        if (Math.hypot(event.clientX - start.x, event.clientY - start.y) > CLICK_TOLERANCE) {
+            return;
+        }
+
+        const rect = event.target.getBoundingClientRect();
+        const x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        const y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+
+        const intersection = this.sceneManager.getIntersection(x, y, { force: true });
+        if (!intersection?.uv) {
+            return;
+        }
+
+        this.pendingPin = intersection;
+        this.elements.commentForm.hidden = false;
+        this.elements.commentText.focus();
+        this.renderPins();
+    }
+
+    cancelComment() {
+        this.pendingPin = null;
+        this.elements.commentForm.hidden = true;
+        this.renderPins();
+    }
+
+    async submitComment() {
+        const payload = ProofManager.createCommentPayload(
+            this.pendingPin,
+            this.elements.commentText.value,
+            this.elements.commentAuthor.value
+        );
+        if (!payload || !payload.text) {
+            return;
+        }
+
+        try {
+            const result = await this.request('/proof/comments', payload);
+            this.proof = result.proof;
+            this.elements.commentForm.reset();
+            this.render();
+            this.showNotification('의견이 등록되었습니다.', 3000);
+        } catch (error) {
+            console.error('❌ Failed to add proof comment:', error);
+            this.showNotification(`의견 등록 실패: ${error.message}`, 5000);
+        }
+    }
+
+    async approve() {
+        if (!window.confirm('이 디자인으로 승인하시겠습니까? 승인 후에는 의견을 남길 수 없습니다.')) {
+            return;
+        }
+
+        try {
+            const result = await this.request('/proof/approval', {});
+            this.proof = result.proof;
+            this.cancelComment();
+            this.render();
+            this.showNotification('디자인이 승인되었습니다. 감사합니다!', 5000);
+        } catch (error) {
+            console.error('❌ Failed to approve proof:', error);
+            this.showNotification(`승인 실패: ${error.message}`, 5000);
+        }
+    }
+
+    async request(path, body) {
+        const response = await fetch(`${this.serverUrl}/api/sessions/${this.sessionId}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.error || `Request failed: ${response.status}`);
+        }
+        return result;
+    }
+
+    render() {
+        const { status, version, note } = this.proof;
+        const label = `v${version} · ${PROOF_STATUS_LABELS[status] || status}`;
+        SecureDOM.setText(this.elements.status, note ? `${label} — ${note}` : label);
+        this.elements.status.dataset.status = status;
+
+        const open = this.isOpen();
+        this.elements.approveButton.disabled = !open;
+        this.elements.commentButton.disabled = !open;
+
+        const items = this.proof.comments.map((comment, index) => {
+            const item = SecureDOM.createElement('li', '', { class: 'proof-comment' });
+            item.append(
+                SecureDOM.createElement('span', String(index + 1), { class: 'proof-comment-number' }),
+                SecureDOM.createElement('span', comment.text, { class: 'proof-comment-text' }),
+                SecureDOM.createElement('span', comment.author, { class: 'proof-comment-author' })
+            );
+            return item;
+        });
+        SecureDOM.replaceContent(this.elements.comments, ...items);
+
+        this.renderPins();
+    }
+
+    renderPins() {
+        const pins = this.proof.comments
+            .filter(comment => comment.position)
+            .map(comment => this.createPin(comment.position, String(this.proof.comments.indexOf(comment) + 1), comment.text));
+
+        if (this.pendingPin?.point) {
+            pins.push(this.createPin(this.pendingPin.point, '+', '새 의견', 'proof-pin pending'));
+        }
+
+        SecureDOM.replaceContent(this.elements.pins, ...pins);
+        this.positionPins();
+    }
+
+    createPin(position, label, title, className = 'proof-pin') {
+        const pin = SecureDOM.createElement('span', label, { class: className, title: title });
+        pin.dataset.x = position.x;
+        pin.dataset.y = position.y;
+        pin.dataset.z = position.z;
+        return pin;
+    }
+
+    positionPins() {
+        if (!this.elements.pins) {
+            return;
+        }
+
+        Array.from(this.elements.pins.children).forEach(pin => {
+            const screen = this.sceneManager.worldToScreen({
+                x: Number(pin.dataset.x),
+                y: Number(pin.dataset.y),
+                z: Number(pin.dataset.z)
+            });
+            pin.hidden = !screen?.visible;
+            if (screen) {
+                pin.style.transform = `translate(${screen.x}px, ${screen.y}px)`;
+            }
+        });
+    }
+}
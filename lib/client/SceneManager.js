@@ -7,6 +7,19 @@ import { errorManager, ApplicationError } from './ErrorManager.js';
 import { i18n } from './I18nManager.js';
 // REMOVED: ModelCache - now using simple master.glb approach
 
+// Product shot cameras: orbit angles in degrees (azimuth 0 faces the front of the model),
+// zoom relative to the framing of centerCameraOnModel, focus offset as a share of the model size.
+// The server keeps the same names (lib/renderStore.js)
+export const CAMERA_PRESETS = {
+    front: { label: 'Front', azimuth: 0, elevation: 8, zoom: 1 },
+    back: { label: 'Back', azimuth: 180, elevation: 8, zoom: 1 },
+    threeQuarter: { label: '3/4', azimuth: 40, elevation: 12, zoom: 1 },
+    sleeve: { label: 'Sleeve close-up', azimuth: 75, elevation: 5, zoom: 2.5, focus: { x: 0.3, y: 0.2 } }
+};
+
+const MAX_CAPTURE_SIZE = 4096;
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
 export class SceneManager {
     constructor(container) {
         this.container = container;
@@ -33,6 +46,8 @@ export class SceneManager {
 
         this.onCameraStart = null;
         this.onModelLoaded = null;
+        // Called with the model whenever the set of visible garment pieces changes
+        this.onPieceVisibilityChange = null;
         this.onModelError = null;
 
         // REMOVED: Hybrid GLB System properties - now using simple master.glb
@@ -58,7 +73,8 @@ export class SceneManager {
         // Default state will be set after model loads and camera is positioned
         this.defaultState = null;
 
-        this.renderer = new THREE.WebGLRenderer({ antialias: true });
+        // Alpha lets captures drop the background; the live view keeps scene.background
+        this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
         this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
         this.renderer.shadowMap.enabled = true;
         this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
@@ -442,9 +458,13 @@ export class SceneManager {
         console.log(`🎨 Updated ${this.modelCache.size} ModelCache materials with new texture`);
     }
 
-    getIntersection(mouseX, mouseY) {
+    /**
+     * Raycast the model at normalized device coordinates
+     * @param {Object} [options] - `force` raycasts even when layer movement is disabled (proof comments)
+     */
+    getIntersection(mouseX, mouseY, options = {}) {
         // Skip expensive raycasting if layer movement is disabled
-        if (!this.moveLayerEnabled) {
+        if (!this.moveLayerEnabled && !options.force) {
             return null;
         }
 
@@ -560,6 +580,171 @@ export class SceneManager {
         this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
     }
 
+    /**
+     * Project a world position to pixel coordinates inside the viewer container
+     * @returns {{x: number, y: number, visible: boolean}|null}
+     */
+    worldToScreen(position) {
+        if (!this.camera || !this.container) {
+            return null;
+        }
+
+        const projected = new THREE.Vector3(position.x, position.y, position.z).project(this.camera);
+
+        return {
+            x: (projected.x + 1) / 2 * this.container.clientWidth,
+            y: (1 - projected.y) / 2 * this.container.clientHeight,
+            visible: projected.z >= -1 && projected.z <= 1
+        };
+    }
+
+    /**
+     * Capture the current view as a PNG data URL.
+     * Renders synchronously first so the drawing buffer is still valid when read.
+     */
+    captureSnapshot() {
+        if (!this.renderer || !this.scene || !this.camera) {
+            return null;
+        }
+
+        this.renderer.render(this.scene, this.camera);
+        return this.renderer.domElement.toDataURL('image/png');
+    }
+
+    /**
+     * Camera position and target of a named preset, framed on the loaded model
+     * @param {string} presetName - Key of CAMERA_PRESETS
+     * @param {number} azimuthOffset - Extra orbit in degrees
+     * @returns {{position: THREE.Vector3, target: THREE.Vector3}}
+     */
+    getPresetView(presetName, azimuthOffset = 0) {
+        const preset = CAMERA_PRESETS[presetName];
+        if (!preset) {
+            throw new Error(`Unknown camera preset: ${presetName}`);
+        }
+
+        const box = this.model ? new THREE.Box3().setFromObject(this.model) : null;
+        const hasModel = box && !box.isEmpty();
+        const center = hasModel ? box.getCenter(new THREE.Vector3()) : this.controls.target.clone();
+        const size = hasModel ? box.getSize(new THREE.Vector3()) : new THREE.Vector3(1, 1, 1);
+
+        const focus = preset.focus || { x: 0, y: 0 };
+        const target = center.clone().add(new THREE.Vector3(size.x * focus.x, size.y * focus.y, 0));
+
+        // Same framing distance as centerCameraOnModel
+        const fov = this.camera.fov * (Math.PI / 180);
+        const distance = Math.abs(Math.max(size.x, size.y, size.z) / 2 / Math.tan(fov / 2)) * 1.5 / preset.zoom;
+        const azimuth = THREE.MathUtils.degToRad(preset.azimuth + azimuthOffset);
+        const elevation = THREE.MathUtils.degToRad(preset.elevation);
+
+        const position = new THREE.Vector3(
+            target.x + distance * Math.cos(elevation) * Math.sin(azimuth),
+            target.y + distance * Math.sin(elevation),
+            target.z + distance * Math.cos(elevation) * Math.cos(azimuth)
+        );
+
+        return { position, target };
+    }
+
+    /**
+     * Render with a temporary drawing buffer size and background, then put the live view back.
+     * The on-screen canvas keeps its CSS size, so the viewer doesn't move
+     */
+    withCaptureSettings({ width, height, background }, capture) {
+        if (background !== 'transparent' && !HEX_COLOR.test(background)) {
+            throw new Error(`Invalid capture background: ${background}`);
+        }
+
+        const maxSize = Math.min(MAX_CAPTURE_SIZE, this.renderer.capabilities.maxTextureSize || MAX_CAPTURE_SIZE);
+        const clampSize = value => Math.min(maxSize, Math.max(16, Math.round(Number(value) || 0)));
+        const captureWidth = clampSize(width);
+        const captureHeight = clampSize(height);
+
+        const previous = {
+            size: this.renderer.getSize(new THREE.Vector2()),
+            pixelRatio: this.renderer.getPixelRatio(),
+            background: this.scene.background,
+            clearColor: this.renderer.getClearColor(new THREE.Color()),
+            clearAlpha: this.renderer.getClearAlpha()
+        };
+
+        const camera = this.camera.clone();
+        camera.aspect = captureWidth / captureHeight;
+        camera.updateProjectionMatrix();
+
+        this.renderer.setPixelRatio(1);
+        this.renderer.setSize(captureWidth, captureHeight, false);
+        if (background === 'transparent') {
+            this.scene.background = null;
+            this.renderer.setClearColor(0x000000, 0);
+        } else {
+            this.scene.background = new THREE.Color(background);
+        }
+
+        try {
+            return capture(camera);
+        } finally {
+            this.scene.background = previous.background;
+            this.renderer.setClearColor(previous.clearColor, previous.clearAlpha);
+            this.renderer.setPixelRatio(previous.pixelRatio);
+            this.renderer.setSize(previous.size.x, previous.size.y, false);
+            // Repaint now so the capture never shows on screen
+            this.renderer.render(this.scene, this.camera);
+        }
+    }
+
+    renderCameraView(camera, view) {
+        camera.position.copy(view.position);
+        camera.lookAt(view.target);
+        this.renderer.render(this.scene, camera);
+        return this.renderer.domElement.toDataURL('image/png');
+    }
+
+    /**
+     * Render the design from a camera preset as a PNG data URL
+     * @param {Object} options - { preset, width, height, background: 'transparent' or '#rrggbb' }
+     * @returns {string} - data:image/png;base64,...
+     */
+    captureView({ preset = 'front', width = 1024, height = 1024, background = 'transparent' } = {}) {
+        const view = this.getPresetView(preset);
+        return this.withCaptureSettings({ width, height, background }, camera => this.renderCameraView(camera, view));
+    }
+
+    /**
+     * Render a 360° turntable: the model turns around its center under fixed lights and camera
+     * @param {Object} options - { preset (camera), frames, width, height, background }
+     * @returns {Array<string>} - One PNG data URL per frame
+     */
+    captureTurntable({ preset = 'front', frames = 36, width = 512, height = 512, background = 'transparent' } = {}) {
+        if (!this.model) {
+            throw new Error('No model loaded');
+        }
+
+        const view = this.getPresetView(preset);
+        const center = new THREE.Box3().setFromObject(this.model).getCenter(new THREE.Vector3());
+        const basePosition = this.model.position.clone();
+        const baseQuaternion = this.model.quaternion.clone();
+        const turn = new THREE.Quaternion();
+        const axis = new THREE.Vector3(0, 1, 0);
+        const frameCount = Math.max(2, Math.round(frames));
+
+        return this.withCaptureSettings({ width, height, background }, camera => {
+            const images = [];
+            try {
+                for (let frame = 0; frame < frameCount; frame++) {
+                    turn.setFromAxisAngle(axis, (frame / frameCount) * Math.PI * 2);
+                    this.model.quaternion.copy(turn).multiply(baseQuaternion);
+                    this.model.position.copy(basePosition).sub(center).applyQuaternion(turn).add(center);
+                    images.push(this.renderCameraView(camera, view));
+                }
+            } finally {
+                this.model.position.copy(basePosition);
+                this.model.quaternion.copy(baseQuaternion);
+            }
+            return images;
+        });
+    }
+
     requestRender() {
         this.needsRender = true;
         if (!this.isRendering) {
@@ -971,6 +1156,10 @@ export class SceneManager {
         console.log(`📊 Visibility Summary: ${visibleCount} visible, ${hiddenCount} hidden out of ${allMeshes.length} total meshes`);
         console.log(`📝 All meshes found:`, allMeshes);
 
+        if (this.onPieceVisibilityChange) {
+            this.onPieceVisibilityChange(this.model);
+        }
+
         // Request render to update the view
         this.requestRender();
     }
@@ -1043,6 +1232,10 @@ export class SceneManager {
         });
 
         console.log(`✅ Initial visibility set: ${visibleCount} visible, ${hiddenCount} hidden`);
+
+        if (this.onPieceVisibilityChange) {
+            this.onPieceVisibilityChange(this.model);
+        }
     }
 
     dispose() {
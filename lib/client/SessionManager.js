@@ -1,6 +1,21 @@
 import { errorManager, ApplicationError } from './ErrorManager.js';
 import { i18n } from './I18nManager.js';
 import { safeNetworkRequest, withErrorHandling } from './ErrorHandlingUtils.js';
+import { TextRenderer, DEFAULT_TEXT_STYLE } from './TextRenderer.js';
+import { JobEventSource } from './JobEventSource.js';
+
+// Layer jobs give up after this long, pushed or polled
+const LAYER_JOB_TIMEOUT_MS = 3 * 60 * 1000;
+
+const dataUrlToBlob = (dataUrl) => {
+    const [header, base64] = dataUrl.split(',');
+    const binary = window.atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: header.slice(5, header.indexOf(';')) });
+};
 
 export class SessionManager {
     constructor(options = {}) {
@@ -15,6 +30,9 @@ export class SessionManager {
         this.onSessionSaved = options.onSessionSaved || (() => {});
         this.onSessionError = options.onSessionError || (() => {});
         
+        // Job updates of the current session are pushed by the server
+        this.jobEvents = new JobEventSource({ serverUrl: this.serverUrl });
+        
         this.checkForExistingSession();
     }
     
@@ -64,6 +82,7 @@ export class SessionManager {
             // Update URL without refreshing the page
             const newUrl = `${window.location.origin}${data.url}`;
             window.history.pushState({}, '', newUrl);
+            this.jobEvents.connect(this.currentSessionId);
             
             console.log(`✅ Created new session: ${this.currentSessionId}`);
             this.onSessionCreated(this.sessionData);
@@ -91,6 +110,7 @@ export class SessionManager {
             const data = await response.json();
             this.currentSessionId = sessionId;
             this.sessionData = data.session;
+            this.jobEvents.connect(sessionId);
 
             console.log('🔧 SessionManager: Raw data from server:', data);
             console.log('🔧 SessionManager: Session data configuration:', this.sessionData?.configuration);
@@ -128,39 +148,7 @@ export class SessionManager {
             
             // Upload all layers with images to the session
             if (layerManager) {
-                const layers = layerManager.getLayers();
-                console.log(`🔍 Submitting session with ${layers.length} layers`);
-                
-                let imageCount = 0;
-                
-                for (const layer of layers) {
-                    console.log(`🔍 DEBUG: Layer ${layer.id || layer.name} - sessionUploaded: ${layer.sessionUploaded}`);
-                    
-                    if (!layer.sessionUploaded) {
-                        console.log(`🔄 Uploading new layer: ${layer.id || layer.name}`);
-                        
-                        try {
-                            const success = await this.addLayerToFormData(layer);
-                            if (success) {
-                                imageCount++;
-                                console.log(`✅ Successfully processed layer ${layer.id || layer.name}`);
-                            } else {
-                                console.warn(`⚠️ Failed to process layer ${layer.id || layer.name}, continuing with others`);
-                            }
-                        } catch (layerError) {
-                            console.error(`❌ Error processing layer ${layer.id || layer.name}:`, layerError);
-                            // Continue processing other layers instead of failing completely
-                            continue;
-                        }
-                    } else {
-                        console.log(`🔍 DEBUG: Skipping layer upload - already uploaded`);
-                    }
-                }
-                
-                console.log(`Successfully added ${imageCount}/${layers.length} layer images to submission`);
-                
-                // Validate all layer images were included
-                this.validateLayerSubmission(layers, imageCount);
+                await this.uploadPendingLayers(layerManager);
             }
             
             // Save configuration and model settings - continue with existing logic
@@ -168,6 +156,11 @@ export class SessionManager {
                 configuration: this.sessionData?.configuration || {},
                 modelSettings: this.sessionData?.modelSettings || {}
             };
+
+            // Undo/redo stacks are stored next to the configuration
+            if (this.sessionData?.history) {
+                updates.history = this.sessionData.history;
+            }
             
             const response = await fetch(`${this.serverUrl}/api/sessions/${this.currentSessionId}`, {
                 method: 'PUT',
@@ -186,6 +179,14 @@ export class SessionManager {
             this.hasUnsavedChanges = false;
             
             console.log(`💾 Session submitted: ${this.currentSessionId}`);
+
+            // Every submit is kept as an immutable version; a failed snapshot doesn't fail the submit
+            try {
+                await this.createVersion();
+            } catch (versionError) {
+                console.warn(`⚠️ Failed to save version snapshot:`, versionError.message);
+            }
+
             this.onSessionSaved(this.sessionData);
             
             // Send session notification via email using working endpoint
@@ -224,11 +225,55 @@ export class SessionManager {
         }
     }
     
+    /**
+     * Upload every layer that is not on the server yet
+     * @param {LayerManager} layerManager - Layer source
+     * @returns {Promise<number>} Number of uploaded layers that had an image
+     */
+    async uploadPendingLayers(layerManager) {
+        const layers = layerManager.getLayers();
+        console.log(`🔍 Submitting session with ${layers.length} layers`);
+        
+        let imageCount = 0;
+        
+        for (const layer of layers) {
+            console.log(`🔍 DEBUG: Layer ${layer.id || layer.name} - sessionUploaded: ${layer.sessionUploaded}`);
+            
+            if (!layer.sessionUploaded) {
+                console.log(`🔄 Uploading new layer: ${layer.id || layer.name}`);
+                
+                try {
+                    const success = await this.addLayerToFormData(layer);
+                    if (success) {
+                        imageCount++;
+                        console.log(`✅ Successfully processed layer ${layer.id || layer.name}`);
+                    } else {
+                        console.warn(`⚠️ Failed to process layer ${layer.id || layer.name}, continuing with others`);
+                    }
+                } catch (layerError) {
+                    console.error(`❌ Error processing layer ${layer.id || layer.name}:`, layerError);
+                    // Continue processing other layers instead of failing completely
+                    continue;
+                }
+            } else {
+                console.log(`🔍 DEBUG: Skipping layer upload - already uploaded`);
+            }
+        }
+        
+        console.log(`Successfully added ${imageCount}/${layers.length} layer images to submission`);
+        
+        // Validate all layer images were included
+        this.validateLayerSubmission(layers, imageCount);
+        return imageCount;
+    }
+    
     async addLayerToFormData(layer) {
         try {
             console.log(`Processing layer: ${layer.id || layer.name}, type: ${layer.type}`);
             
             const layerData = {
+                // Keep the client ID so the server copy can be referenced later (e.g. print exports)
+                id: layer.id,
                 type: layer.type || 'unknown',
                 name: layer.name,
                 visible: layer.visible,
@@ -236,8 +281,14 @@ export class SessionManager {
                     x: layer.x || layer.position?.x || 0,
                     y: layer.y || layer.position?.y || 0,
                     scale: layer.scale || 1,
+                    aspect: layer.aspect || 1,
+                    anchor: layer.anchor || null,
+                    mirror: layer.mirror || null,
+                    group: layer.group || null,
+                    palette: layer.palette || null,
                     rotation: layer.rotation || 0,
-                    opacity: layer.opacity || 1
+                    opacity: layer.opacity || 1,
+                    isVector: !!layer.isVector
                 }
             };
             
@@ -247,6 +298,9 @@ export class SessionManager {
                 layerData.properties.color = layer.color;
                 layerData.properties.fontSize = layer.fontSize;
                 layerData.properties.fontFamily = layer.fontFamily;
+                Object.keys(DEFAULT_TEXT_STYLE).forEach(key => {
+                    layerData.properties[key] = layer[key] ?? DEFAULT_TEXT_STYLE[key];
+                });
             }
             
             let file = null;
@@ -254,8 +308,13 @@ export class SessionManager {
             
             // If layer has an image or is a text layer that needs to be rendered as image, handle it
             if (layer.image || layer.type === 'text') {
-                // Check if this is a server-processed image (would cause CORS taint issues)
-                if (layer.serverImageUrl && (layer.image || layer.type === 'text')) {
+                if (layer.isVector) {
+                    // Upload the SVG markup itself so the server copy stays vector
+                    const svgSource = await this.getVectorSource(layer);
+                    file = new File([svgSource], `${this.getSafeLayerFileName(layer)}.svg`, { type: 'image/svg+xml' });
+                    hasImage = true;
+                } else if (layer.serverImageUrl && (layer.image || layer.type === 'text')) {
+                    // Check if this is a server-processed image (would cause CORS taint issues)
                     // For server-processed images, pass the server URL instead of re-exporting
                     // The server can handle copying the existing processed image
                     layerData.serverImageUrl = layer.serverImageUrl;
@@ -310,10 +369,7 @@ export class SessionManager {
                         });
                         
                         // Create a File object from the blob with a safe filename
-                        const safeFileName = typeof layer.name === 'string' && layer.name.trim() 
-                            ? layer.name.trim().replace(/[^a-zA-Z0-9\-_.]/g, '_')
-                            : `layer_${layer.id}`;
-                        file = new File([blob], `${safeFileName}.png`, { type: 'image/png' });
+                        file = new File([blob], `${this.getSafeLayerFileName(layer)}.png`, { type: 'image/png' });
                         console.log(`✅ Exported client image as blob for layer ${layer.id}, size: ${blob.size} bytes`);
                         hasImage = true;
                     } catch (error) {
@@ -418,32 +474,60 @@ export class SessionManager {
         }
     }
     
+    /**
+     * Status of a layer processing job; once completed the server adds the layer to the session
+     */
+    async fetchLayerJobStatus(jobId) {
+        const response = await fetch(`${this.serverUrl}/api/sessions/${this.currentSessionId}/layers/job/${jobId}`);
+        // Failed jobs come back as a 500 with { status: 'failed', error }
+        const data = await response.json().catch(() => null);
+        if (!response.ok && data?.status !== 'failed') {
+            throw new Error(`Polling failed: ${response.statusText}`);
+        }
+        return data;
+    }
+    
+    addProcessedLayer(layer) {
+        // Add layer to local session data
+        this.sessionData.layers.push(layer);
+        this.markAsModified();
+        
+        console.log(`✅ Layer processing completed: ${layer.id}`);
+        return layer;
+    }
+    
+    /**
+     * Wait for a layer job, from the session's event stream when it is connected
+     */
     async pollJobCompletion(jobId) {
-        const maxAttempts = 90; // 90 attempts = ~3 minutes max
+        if (this.jobEvents.isConnected()) {
+            try {
+                const data = await this.jobEvents.waitFor(jobId, () => this.fetchLayerJobStatus(jobId), {
+                    timeoutMs: LAYER_JOB_TIMEOUT_MS
+                });
+                if (data.status === 'completed') {
+                    return this.addProcessedLayer(data.layer);
+                }
+                throw new Error(data.error || 'Layer processing failed');
+            } catch (error) {
+                if (error.code !== 'STREAM_CLOSED') {
+                    throw error;
+                }
+            }
+        }
+        
         const pollInterval = 2000; // 2 seconds
+        const maxAttempts = LAYER_JOB_TIMEOUT_MS / pollInterval;
         let attempts = 0;
         
         while (attempts < maxAttempts) {
             try {
-                const pollUrl = `${this.serverUrl}/api/sessions/${this.currentSessionId}/layers/job/${jobId}`;
                 console.log(`🔄 Polling job ${jobId}, attempt ${attempts + 1}/${maxAttempts}`);
                 
-                const response = await fetch(pollUrl);
-                if (!response.ok) {
-                    throw new Error(`Polling failed: ${response.statusText}`);
-                }
-                
-                const data = await response.json();
+                const data = await this.fetchLayerJobStatus(jobId);
                 
                 if (data.status === 'completed') {
-                    const layer = data.layer;
-                    
-                    // Add layer to local session data
-                    this.sessionData.layers.push(layer);
-                    this.markAsModified();
-                    
-                    console.log(`✅ Layer processing completed: ${layer.id}`);
-                    return layer;
+                    return this.addProcessedLayer(data.layer);
                 }
                 
                 if (data.status === 'failed') {
@@ -536,6 +620,107 @@ export class SessionManager {
         }
     }
     
+    /**
+     * Call a version history endpoint of the current session
+     * @returns {Promise<Object>} Parsed JSON response
+     */
+    async requestVersions(path = '', method = 'GET', body = null) {
+        const response = await fetch(`${this.serverUrl}/api/sessions/${this.currentSessionId}/versions${path}`, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : {},
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `Version request failed: ${response.statusText}`);
+        }
+        return data;
+    }
+
+    async createVersion(label = '') {
+        const data = await this.requestVersions('', 'POST', { label });
+        console.log(`🗂️ Saved version v${data.version.version}`);
+        return data.version;
+    }
+
+    async listVersions() {
+        const data = await this.requestVersions();
+        return data.versions;
+    }
+
+    async diffVersions(version, compareTo) {
+        const data = await this.requestVersions(`/${version}/diff/${compareTo}`);
+        return data.diff;
+    }
+
+    /**
+     * Make an earlier version current and reload it into the editor
+     */
+    async restoreVersion(version) {
+        await this.requestVersions(`/${version}/restore`, 'POST', {});
+        return this.loadSession(this.currentSessionId);
+    }
+
+    /**
+     * Copy a version into a new session
+     * @returns {Promise<string>} URL of the new session
+     */
+    async forkVersion(version) {
+        const data = await this.requestVersions(`/${version}/fork`, 'POST', {});
+        return `${window.location.origin}${data.url}`;
+    }
+
+    /**
+     * Store captured product shots in the session (order emails and spreadsheets use them)
+     * @param {Object} render - { kind: 'still' | 'turntable', preset, format, frameDelayMs, images }
+     *   with images as PNG data URLs from SceneManager.captureView / captureTurntable
+     * @returns {Promise<Object>} The stored render manifest
+     */
+    async uploadRender({ kind = 'still', preset, format = null, frameDelayMs = null, images }) {
+        if (!this.currentSessionId) {
+            throw new Error('No active session');
+        }
+
+        const formData = new FormData();
+        formData.append('kind', kind);
+        formData.append('preset', preset);
+        if (format) {
+            formData.append('format', format);
+        }
+        if (frameDelayMs) {
+            formData.append('frameDelayMs', String(frameDelayMs));
+        }
+        images.forEach((image, index) => {
+            formData.append('images', dataUrlToBlob(image), `${preset}_${index + 1}.png`);
+        });
+
+        const response = await fetch(`${this.serverUrl}/api/sessions/${this.currentSessionId}/renders`, {
+            method: 'POST',
+            body: formData
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.details || data.error || `Render upload failed: ${response.statusText}`);
+        }
+
+        console.log(`📸 Stored ${kind} render ${data.render.renderId} (${preset})`);
+        return data.render;
+    }
+
+    async listRenders() {
+        const response = await fetch(`${this.serverUrl}/api/sessions/${this.currentSessionId}/renders`);
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `Failed to list renders: ${response.statusText}`);
+        }
+        return data.renders;
+    }
+
+    getRenderUrl(render, filename = render.files[0].filename) {
+        return `${this.serverUrl}/api/sessions/${this.currentSessionId}/renders/${render.renderId}/${filename}`;
+    }
+    
     getLayerImageUrl(layerId) {
         if (!this.currentSessionId) {
             return null;
@@ -563,6 +748,15 @@ export class SessionManager {
         this.markAsModified();
     }
     
+    updateHistory(history) {
+        if (!this.sessionData) {
+            return;
+        }
+
+        this.sessionData.history = history;
+        this.markAsModified();
+    }
+    
     updateModelSettings(settings) {
         if (!this.sessionData) {
             return;
@@ -604,6 +798,28 @@ export class SessionManager {
         return this.currentSessionId;
     }
     
+    getSafeLayerFileName(layer) {
+        return typeof layer.name === 'string' && layer.name.trim()
+            ? layer.name.trim().replace(/\.svg$/i, '').replace(/[^a-zA-Z0-9\-_.]/g, '_')
+            : `layer_${layer.id}`;
+    }
+
+    /**
+     * SVG markup of a vector layer; layers restored from a session only have the image URL
+     */
+    async getVectorSource(layer) {
+        if (layer.svgSource) {
+            return layer.svgSource;
+        }
+
+        const response = await fetch(layer.image.src);
+        if (!response.ok) {
+            throw new Error(`Failed to read SVG for layer ${layer.id}: ${response.status}`);
+        }
+        layer.svgSource = await response.text();
+        return layer.svgSource;
+    }
+
     getLayerCanvas(layer) {
         // Try multiple canvas sources
         if (layer.canvas) return layer.canvas;
@@ -646,33 +862,22 @@ export class SessionManager {
             // Clear canvas with transparent background
             ctx.clearRect(0, 0, canvas.width, canvas.height);
 
-            // Set up text properties
-            const fontSize = layer.fontSize || 48;
-            const color = layer.color || '#000000';
-            const text = layer.text || 'Sample Text';
-            const fontFamily = layer.fontFamily || 'Arial, sans-serif';
-
-            console.log('🎨 Text properties:', { fontSize, color, text, fontFamily });
+            // Render with the same styling as the texture (outlines, shadow, warps)
+            const rendered = new TextRenderer().render({ ...layer, text: layer.text || 'Sample Text', color: layer.color || '#000000' });
 
-            // Configure text rendering
-            ctx.font = `${fontSize}px ${fontFamily}`;
-            ctx.fillStyle = color;
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'middle';
+            console.log('🎨 Text properties:', { text: layer.text, fontFamily: layer.fontFamily, size: [rendered.width, rendered.height] });
 
             // Add optional background for debugging
             if (process.env.NODE_ENV === 'development') {
                 ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
                 ctx.fillRect(0, 0, canvas.width, canvas.height);
-                ctx.fillStyle = color; // Reset to text color
             }
 
-            // Draw text in center of canvas
-            const x = canvas.width / 2;
-            const y = canvas.height / 2;
-
-            console.log('🎨 Drawing text at position:', { x, y });
-            ctx.fillText(text, x, y);
+            // Draw the rendered text in the center of the canvas, shrunk to fit
+            const fit = Math.min(1, canvas.width / rendered.width, canvas.height / rendered.height);
+            const width = rendered.width * fit;
+            const height = rendered.height * fit;
+            ctx.drawImage(rendered, (canvas.width - width) / 2, (canvas.height - height) / 2, width, height);
 
             // Verify canvas has content by checking image data
             const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
@@ -723,6 +928,7 @@ export class SessionManager {
     }
 
     destroy() {
+        this.jobEvents.disconnect();
         this.currentSessionId = null;
         this.sessionData = null;
     }
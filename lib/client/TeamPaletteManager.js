@@ -0,0 +1,385 @@
+import { SecureDOM } from './SecureDOM.js';
+
+// Built-in brand color library (first color is the team's primary)
+export const PALETTE_PRESETS = [
+    { id: 'classic-navy', name: 'Classic Navy', colors: ['#1b2a4a', '#ffffff', '#c8102e'] },
+    { id: 'royal-gold', name: 'Royal & Gold', colors: ['#1d428a', '#ffc72c', '#ffffff'] },
+    { id: 'crimson', name: 'Crimson', colors: ['#a6192e', '#ffffff', '#000000'] },
+    { id: 'forest', name: 'Forest', colors: ['#154734', '#ffffff', '#b9975b'] },
+    { id: 'sky-white', name: 'Sky & White', colors: ['#6cace4', '#ffffff', '#003087'] },
+    { id: 'black-orange', name: 'Black & Orange', colors: ['#000000', '#ff6900', '#ffffff'] },
+    { id: 'purple-gold', name: 'Purple & Gold', colors: ['#552583', '#fdb927', '#ffffff'] },
+    { id: 'monochrome', name: 'Monochrome', colors: ['#ffffff', '#000000', '#8a8d8f'] }
+];
+
+export const MAX_PALETTE_COLORS = 5;
+const MAX_SAVED_PALETTES = 20;
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// Logo analysis: downscaled sample size, quantization bits per channel and minimum
+// RGB distance between suggested colors
+const LOGO_SAMPLE_SIZE = 64;
+const QUANTIZE_BITS = 4;
+const MIN_COLOR_DISTANCE = 60;
+
+const hexToRgb = color => [1, 3, 5].map(index => parseInt(color.slice(index, index + 2), 16));
+
+const rgbToHex = rgb => `#${rgb.map(value => value.toString(16).padStart(2, '0')).join('')}`;
+
+const luminance = color => {
+    const [r, g, b] = hexToRgb(color).map(value => {
+        const channel = value / 255;
+        return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+const contrastRatio = (a, b) => {
+    const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+    return (light + 0.05) / (dark + 0.05);
+};
+
+/**
+ * TeamPaletteManager - Named team palettes (built-in presets, palettes saved in the session
+ * and suggestions from a logo) applied across every color zone in one undoable step
+ */
+export class TeamPaletteManager {
+    constructor(options = {}) {
+        this.historyManager = options.historyManager || null;
+        this.getPatternLayerCount = options.getPatternLayerCount || (() => 3);
+        this.getLogoLayer = options.getLogoLayer || (() => null);
+        this.showNotification = options.showNotification || (() => {});
+        this.savedPalettes = [];
+        this.suggestedPalette = null;
+
+        this.elements = {
+            select: document.getElementById('team-palette-select'),
+            swatches: document.getElementById('team-palette-swatches'),
+            applyButton: document.getElementById('team-palette-apply-btn'),
+            suggestButton: document.getElementById('team-palette-suggest-btn'),
+            nameInput: document.getElementById('team-palette-name'),
+            saveButton: document.getElementById('team-palette-save-btn'),
+            deleteButton: document.getElementById('team-palette-delete-btn')
+        };
+    }
+
+    /**
+     * Control id -> color for every zone a palette covers
+     * Body pattern starts on the primary color, trims take the secondary and lettering
+     * uses the palette colors that read best against the body
+     * @param {Object} palette - { colors: ['#rrggbb', ...] }
+     * @param {number} patternLayerCount - Color zones of the current pattern
+     */
+    static getAssignments(palette, patternLayerCount) {
+        const colors = palette.colors;
+        const primary = colors[0];
+        const secondary = colors[1] || primary;
+        const accent = colors[2] || secondary;
+
+        const assignments = {};
+        for (let i = 1; i <= patternLayerCount; i++) {
+            assignments[`pattern-color-${i}`] = colors[(i - 1) % colors.length];
+        }
+
+        const letteringFill = TeamPaletteManager.pickContrasting(colors, primary);
+        const letteringOutline = TeamPaletteManager.pickContrasting(
+            colors.filter(color => color !== letteringFill), letteringFill
+        );
+
+        return {
+            ...assignments,
+            'neck-color-1': secondary,
+            'neck-color-2': accent,
+            'pants-color-1': primary,
+            'pants-color-2': secondary,
+            'names-texture-color': letteringFill,
+            'names-outline-color': letteringOutline,
+            'numbers-texture-color': letteringFill,
+            'numbers-outline-color': letteringOutline
+        };
+    }
+
+    /**
+     * Palette color with the highest contrast against a background, black or white if none reads
+     */
+    static pickContrasting(colors, background) {
+        const candidates = colors.length > 0 ? colors : ['#ffffff', '#000000'];
+        const best = candidates.reduce((a, b) => (contrastRatio(b, background) > contrastRatio(a, background) ? b : a));
+
+        if (contrastRatio(best, background) >= 3) {
+            return best;
+        }
+        return contrastRatio('#ffffff', background) >= contrastRatio('#000000', background) ? '#ffffff' : '#000000';
+    }
+
+    /**
+     * Dominant colors of an image, most common first
+     * @param {Object} imageData - { data, width, height } RGBA pixels
+     * @param {number} count - Maximum number of colors
+     * @returns {string[]} #rrggbb colors
+     */
+    static extractDominantColors(imageData, count = MAX_PALETTE_COLORS) {
+        const shift = 8 - QUANTIZE_BITS;
+        const buckets = new Map();
+        const { data } = imageData;
+
+        for (let offset = 0; offset < data.length; offset += 4) {
+            // Transparent logo backgrounds are not team colors
+            if (data[offset + 3] < 128) {
+                continue;
+            }
+
+            const r = data[offset];
+            const g = data[offset + 1];
+            const b = data[offset + 2];
+            const key = ((r >> shift) << (QUANTIZE_BITS * 2)) | ((g >> shift) << QUANTIZE_BITS) | (b >> shift);
+            const bucket = buckets.get(key) || { count: 0, sum: [0, 0, 0] };
+            bucket.count++;
+            bucket.sum[0] += r;
+            bucket.sum[1] += g;
+            bucket.sum[2] += b;
+            buckets.set(key, bucket);
+        }
+
+        const picked = [];
+        [...buckets.values()]
+            .sort((a, b) => b.count - a.count)
+            .forEach(bucket => {
+                if (picked.length >= count) {
+                    return;
+                }
+                const rgb = bucket.sum.map(sum => Math.round(sum / bucket.count));
+                // Anti-aliased edges land in neighbouring buckets; keep only distinct colors
+                const distinct = picked.every(other => Math.hypot(...rgb.map((value, i) => value - other[i])) >= MIN_COLOR_DISTANCE);
+                if (distinct) {
+                    picked.push(rgb);
+                }
+            });
+
+        return picked.map(rgbToHex);
+    }
+
+    /**
+     * Saved palettes from the session configuration, dropping malformed entries
+     */
+    static normalizePalettes(palettes) {
+        if (!Array.isArray(palettes)) {
+            return [];
+        }
+
+        return palettes
+            .filter(palette => palette && typeof palette.name === 'string' && Array.isArray(palette.colors))
+            .map(palette => ({
+                id: String(palette.id || `saved-${palette.name}`),
+                name: palette.name.trim().slice(0, 40),
+                colors: palette.colors.filter(color => HEX_COLOR.test(color)).slice(0, MAX_PALETTE_COLORS)
+            }))
+            .filter(palette => palette.name && palette.colors.length > 0)
+            .slice(0, MAX_SAVED_PALETTES);
+    }
+
+    initialize() {
+        const { select, applyButton, suggestButton, saveButton, deleteButton } = this.elements;
+        if (!select) {
+            return;
+        }
+
+        select.addEventListener('change', () => this.renderSwatches());
+        applyButton?.addEventListener('click', () => this.applySelectedPalette());
+        suggestButton?.addEventListener('click', () => this.suggestFromLogo());
+        saveButton?.addEventListener('click', () => this.saveCurrentColors());
+        deleteButton?.addEventListener('click', () => this.deleteSelectedPalette());
+
+        this.render();
+        console.log('✅ Team palettes initialized');
+    }
+
+    getPalettes() {
+        return [
+            ...PALETTE_PRESETS,
+            ...this.savedPalettes,
+            ...(this.suggestedPalette ? [this.suggestedPalette] : [])
+        ];
+    }
+
+    getPalette(paletteId) {
+        return this.getPalettes().find(palette => palette.id === paletteId) || null;
+    }
+
+    getSavedPalettes() {
+        return this.savedPalettes.map(palette => ({ ...palette, colors: [...palette.colors] }));
+    }
+
+    setSavedPalettes(palettes) {
+        this.savedPalettes = TeamPaletteManager.normalizePalettes(palettes);
+        this.render();
+    }
+
+    /**
+     * Set every zone control to the palette colors as one history step
+     */
+    applyPalette(palette) {
+        const assignments = TeamPaletteManager.getAssignments(palette, this.getPatternLayerCount());
+        const changes = Object.entries(assignments)
+            .map(([controlId, color]) => ({ control: document.getElementById(controlId), color }))
+            .filter(({ control, color }) => control && control.value !== color);
+
+        this.historyManager?.beginGroup(`Apply palette ${palette.name}`);
+        changes.forEach(({ control, color }) => {
+            this.historyManager?.record({
+                type: 'control.value',
+                label: `Change ${control.id}`,
+                controlId: control.id,
+                before: control.value,
+                after: color
+            });
+        });
+        this.historyManager?.endGroup();
+
+        // Replay through the normal control handlers so textures and lettering update
+        const dispatch = () => changes.forEach(({ control, color }) => {
+            control.value = color;
+            control.dispatchEvent(new Event('input', { bubbles: true }));
+            control.dispatchEvent(new Event('change', { bubbles: true }));
+        });
+        if (this.historyManager) {
+            this.historyManager.withoutRecording(dispatch);
+        } else {
+            dispatch();
+        }
+
+        console.log(`🎨 Applied palette "${palette.name}" to ${changes.length} color zones`);
+        return changes.length;
+    }
+
+    applySelectedPalette() {
+        const palette = this.getPalette(this.elements.select.value);
+        if (palette) {
+            this.applyPalette(palette);
+            this.showNotification(`Applied palette: ${palette.name}`);
+        }
+    }
+
+    /**
+     * Current zone colors in order of use (pattern, neck, pants), without duplicates
+     */
+    getCurrentColors() {
+        const ids = [];
+        for (let i = 1; i <= this.getPatternLayerCount(); i++) {
+            ids.push(`pattern-color-${i}`);
+        }
+        ids.push('neck-color-1', 'neck-color-2', 'pants-color-1', 'pants-color-2');
+
+        const colors = ids
+            .map(id => document.getElementById(id)?.value?.toLowerCase())
+            .filter(color => HEX_COLOR.test(color || ''));
+
+        return [...new Set(colors)].slice(0, MAX_PALETTE_COLORS);
+    }
+
+    saveCurrentColors() {
+        const name = (this.elements.nameInput?.value || '').trim().slice(0, 40);
+        if (!name) {
+            this.showNotification('Enter a palette name first');
+            this.elements.nameInput?.focus();
+            return null;
+        }
+
+        const palette = { id: `saved-${Date.now().toString(36)}`, name, colors: this.getCurrentColors() };
+        // Saving under an existing name replaces that palette
+        this.savedPalettes = [...this.savedPalettes.filter(saved => saved.name !== name), palette].slice(-MAX_SAVED_PALETTES);
+        this.elements.nameInput.value = '';
+
+        this.render(palette.id);
+        this.showNotification(`Saved palette: ${name}`);
+        return palette;
+    }
+
+    deleteSelectedPalette() {
+        const paletteId = this.elements.select.value;
+        if (!this.savedPalettes.some(palette => palette.id === paletteId)) {
+            return;
+        }
+
+        this.savedPalettes = this.savedPalettes.filter(palette => palette.id !== paletteId);
+        this.render();
+    }
+
+    /**
+     * Suggest a palette from the selected logo layer (or the first uploaded logo)
+     */
+    suggestFromLogo() {
+        const layer = this.getLogoLayer();
+        if (!layer?.image) {
+            this.showNotification('Upload a logo to suggest a palette');
+            return null;
+        }
+
+        let colors;
+        try {
+            colors = TeamPaletteManager.extractDominantColors(this.readImagePixels(layer.image));
+        } catch (error) {
+            // Cross-origin images without CORS headers taint the canvas
+            console.error('Failed to read logo colors:', error);
+            this.showNotification('Could not read colors from this logo');
+            return null;
+        }
+
+        if (colors.length === 0) {
+            this.showNotification('No colors found in this logo');
+            return null;
+        }
+
+        this.suggestedPalette = { id: 'logo-suggestion', name: `From logo: ${layer.name || 'Logo'}`, colors };
+        this.render(this.suggestedPalette.id);
+        console.log(`🎨 Suggested palette from ${layer.name}:`, colors);
+        return this.suggestedPalette;
+    }
+
+    readImagePixels(image) {
+        const canvas = document.createElement('canvas');
+        const scale = Math.min(1, LOGO_SAMPLE_SIZE / Math.max(image.width, image.height));
+        canvas.width = Math.max(1, Math.round(image.width * scale));
+        canvas.height = Math.max(1, Math.round(image.height * scale));
+
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+        return ctx.getImageData(0, 0, canvas.width, canvas.height);
+    }
+
+    render(selectedId = this.elements.select?.value) {
+        const { select } = this.elements;
+        if (!select) {
+            return;
+        }
+
+        const createGroup = (label, palettes) => {
+            const group = SecureDOM.createElement('optgroup', '', { label });
+            palettes.forEach(palette => group.appendChild(SecureDOM.createOption(palette.id, palette.name, palette.id === selectedId)));
+            return group;
+        };
+
+        SecureDOM.replaceContent(
+            select,
+            createGroup('Presets', PALETTE_PRESETS),
+            ...(this.savedPalettes.length > 0 ? [createGroup('Saved', this.savedPalettes)] : []),
+            ...(this.suggestedPalette ? [createGroup('Suggested', [this.suggestedPalette])] : [])
+        );
+
+        this.renderSwatches();
+    }
+
+    renderSwatches() {
+        const { select, swatches, deleteButton } = this.elements;
+        const palette = this.getPalette(select.value);
+
+        if (deleteButton) {
+            deleteButton.disabled = !this.savedPalettes.some(saved => saved.id === select.value);
+        }
+        SecureDOM.replaceContent(swatches, ...(palette?.colors || []).map(color => SecureDOM.createElement('span', '', {
+            class: 'team-palette-swatch',
+            title: color,
+            style: { backgroundColor: color }
+        })));
+    }
+}
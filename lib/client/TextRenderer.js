@@ -0,0 +1,385 @@
+/**
+ * TextRenderer - Renders styled text layers (web fonts, stacked outlines, drop shadow,
+ * letter spacing, multi-line text and arc/bridge/vertical-arch warps) onto a canvas
+ * sized to the result. LayerManager draws the canvas centered on the layer position.
+ */
+
+// Web fonts are served from Google Fonts like the Korean UI font (see I18nManager)
+const WEB_FONT_STYLESHEET_ID = 'text-layer-fonts';
+const FALLBACK_STACK = '"Noto Sans KR", sans-serif';
+
+export const TEXT_FONTS = [
+    { family: 'Arial', label: 'Arial', weight: 'normal', web: false },
+    { family: 'Arial Black', label: 'Arial Black', weight: '900', web: false },
+    { family: 'Impact', label: 'Impact', weight: 'normal', web: false },
+    { family: 'Georgia', label: 'Georgia', weight: '700', web: false },
+    { family: 'Oswald', label: 'Oswald', weight: '700', web: true, query: 'Oswald:wght@700' },
+    { family: 'Bebas Neue', label: 'Bebas Neue', weight: 'normal', web: true, query: 'Bebas+Neue' },
+    { family: 'Anton', label: 'Anton', weight: 'normal', web: true, query: 'Anton' },
+    { family: 'Graduate', label: 'Graduate (College Block)', weight: 'normal', web: true, query: 'Graduate' },
+    { family: 'Alfa Slab One', label: 'Alfa Slab One', weight: 'normal', web: true, query: 'Alfa+Slab+One' },
+    { family: 'Teko', label: 'Teko', weight: '600', web: true, query: 'Teko:wght@600' },
+    { family: 'Black Ops One', label: 'Black Ops One', weight: 'normal', web: true, query: 'Black+Ops+One' },
+    { family: 'Noto Sans KR', label: 'Noto Sans KR (한글)', weight: '700', web: true, query: 'Noto+Sans+KR:wght@700' }
+];
+
+export const TEXT_WARP_LABELS = {
+    none: 'None',
+    arc: 'Arc',
+    bridge: 'Bridge',
+    'vertical-arch': 'Vertical Arch'
+};
+
+export const MAX_TEXT_OUTLINES = 3;
+
+export const DEFAULT_TEXT_STYLE = {
+    letterSpacing: 0,
+    lineHeight: 1.2,
+    outlines: [],
+    shadow: null,
+    warp: { type: 'none', amount: 0 }
+};
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+const clamp = (value, min, max, fallback) => {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+};
+
+export class TextRenderer {
+    constructor(options = {}) {
+        this.padding = options.padding || 4;
+        this.maxCacheSize = options.maxCacheSize || 32;
+        this.cache = new Map();
+        this.loadedFonts = new Set();
+        this.pendingFonts = new Map();
+    }
+
+    /**
+     * Fresh copy of the default style for a new text layer
+     */
+    static getDefaultStyle() {
+        return { ...DEFAULT_TEXT_STYLE, outlines: [], warp: { ...DEFAULT_TEXT_STYLE.warp } };
+    }
+
+    /**
+     * Font definition for a family; unknown families (older sessions) are used as-is
+     */
+    static getFont(family) {
+        return TEXT_FONTS.find(font => font.family === family) ||
+            { family: family || 'Arial', label: family || 'Arial', weight: 'normal', web: false };
+    }
+
+    static getFontString(family, fontSize) {
+        const font = TextRenderer.getFont(family);
+        return `${font.weight} ${fontSize}px "${font.family}", ${FALLBACK_STACK}`;
+    }
+
+    /**
+     * Clamp a layer's text style to values the renderer (and the print exporter) accept
+     * @param {Object} layer - Text layer
+     * @returns {Object} { text, color, fontSize, fontFamily, letterSpacing, lineHeight, outlines, shadow, warp }
+     */
+    static normalizeStyle(layer = {}) {
+        const fontSize = clamp(layer.fontSize, 4, 512, 24);
+
+        const outlines = (Array.isArray(layer.outlines) ? layer.outlines : [])
+            .filter(outline => HEX_COLOR.test(outline?.color || '') && Number(outline.width) > 0)
+            .slice(0, MAX_TEXT_OUTLINES)
+            .map(outline => ({ color: outline.color.toLowerCase(), width: clamp(outline.width, 0, fontSize, 0) }));
+
+        const shadow = layer.shadow && HEX_COLOR.test(layer.shadow.color || '') ? {
+            color: layer.shadow.color.toLowerCase(),
+            offsetX: clamp(layer.shadow.offsetX, -fontSize, fontSize, 0),
+            offsetY: clamp(layer.shadow.offsetY, -fontSize, fontSize, 0),
+            blur: clamp(layer.shadow.blur, 0, fontSize, 0)
+        } : null;
+
+        const warpType = TEXT_WARP_LABELS[layer.warp?.type] ? layer.warp.type : 'none';
+
+        return {
+            text: String(layer.text || 'Text').replace(/\r\n?/g, '\n'),
+            color: HEX_COLOR.test(layer.color || '') ? layer.color.toLowerCase() : '#ffffff',
+            fontSize,
+            fontFamily: TextRenderer.getFont(layer.fontFamily).family,
+            letterSpacing: clamp(layer.letterSpacing, -0.2, 1, DEFAULT_TEXT_STYLE.letterSpacing),
+            lineHeight: clamp(layer.lineHeight, 0.7, 3, DEFAULT_TEXT_STYLE.lineHeight),
+            outlines,
+            shadow,
+            warp: {
+                type: warpType,
+                amount: warpType === 'none' ? 0 : clamp(layer.warp.amount, -100, 100, 0)
+            }
+        };
+    }
+
+    /**
+     * Per-character widths and x offsets for each line so letter spacing works in every browser
+     */
+    static layoutLines(ctx, text, letterSpacing) {
+        return text.split('\n').map(line => {
+            const chars = Array.from(line);
+            const widths = chars.map(char => ctx.measureText(char).width);
+            const offsets = [];
+            let x = 0;
+
+            widths.forEach((width, index) => {
+                offsets.push(x);
+                x += width + (index < chars.length - 1 ? letterSpacing : 0);
+            });
+
+            return { chars, widths, offsets, width: x };
+        });
+    }
+
+    /**
+     * Glyph centers and rotations relative to the text center
+     * @returns {Array} [{ char, width, x, y, angle }]
+     */
+    static placeGlyphs(lines, style) {
+        const lineAdvance = style.fontSize * style.lineHeight;
+        const isArc = style.warp.type === 'arc' && style.warp.amount !== 0;
+        const longest = Math.max(1, ...lines.map(line => line.width));
+
+        // Positive arcs bend upward around a circle below the text, negative ones downward
+        const direction = Math.sign(style.warp.amount);
+        const sweep = Math.abs(style.warp.amount) / 100 * Math.PI;
+        const radius = isArc ? longest / sweep : 0;
+
+        const glyphs = [];
+        lines.forEach((line, lineIndex) => {
+            const lineOffset = (lineIndex - (lines.length - 1) / 2) * lineAdvance;
+
+            line.chars.forEach((char, index) => {
+                const along = line.offsets[index] + line.widths[index] / 2 - line.width / 2;
+
+                if (!isArc) {
+                    glyphs.push({ char, width: line.widths[index], x: along, y: lineOffset, angle: 0 });
+                    return;
+                }
+
+                const lineRadius = Math.max(style.fontSize, radius - direction * lineOffset);
+                const theta = along / lineRadius;
+                glyphs.push({
+                    char,
+                    width: line.widths[index],
+                    x: lineRadius * Math.sin(theta),
+                    y: direction * (radius - lineRadius * Math.cos(theta)),
+                    angle: direction * theta
+                });
+            });
+        });
+
+        return glyphs;
+    }
+
+    /**
+     * Bounding box of the placed glyphs, including outlines and the shadow
+     */
+    static measureBounds(glyphs, style) {
+        const halfHeight = style.fontSize * 0.6;
+        const outlineExtent = style.outlines.reduce((sum, outline) => sum + outline.width, 0);
+        const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+
+        glyphs.forEach(glyph => {
+            const cos = Math.abs(Math.cos(glyph.angle));
+            const sin = Math.abs(Math.sin(glyph.angle));
+            const extentX = cos * glyph.width / 2 + sin * halfHeight + outlineExtent;
+            const extentY = sin * glyph.width / 2 + cos * halfHeight + outlineExtent;
+
+            bounds.minX = Math.min(bounds.minX, glyph.x - extentX);
+            bounds.maxX = Math.max(bounds.maxX, glyph.x + extentX);
+            bounds.minY = Math.min(bounds.minY, glyph.y - extentY);
+            bounds.maxY = Math.max(bounds.maxY, glyph.y + extentY);
+        });
+
+        if (glyphs.length === 0) {
+            Object.assign(bounds, { minX: -1, maxX: 1, minY: -halfHeight, maxY: halfHeight });
+        }
+
+        if (style.shadow) {
+            const { offsetX, offsetY, blur } = style.shadow;
+            bounds.minX += Math.min(0, offsetX) - blur;
+            bounds.maxX += Math.max(0, offsetX) + blur;
+            bounds.minY += Math.min(0, offsetY) - blur;
+            bounds.maxY += Math.max(0, offsetY) + blur;
+        }
+
+        return bounds;
+    }
+
+    /**
+     * Render a text layer onto a new canvas sized to the text
+     * @param {Object} layer - Text layer
+     * @returns {HTMLCanvasElement} Canvas with the text centered on it
+     */
+    render(layer) {
+        const style = TextRenderer.normalizeStyle(layer);
+        const cacheKey = JSON.stringify(style);
+        if (this.cache.has(cacheKey)) {
+            return this.cache.get(cacheKey);
+        }
+
+        const font = TextRenderer.getFontString(style.fontFamily, style.fontSize);
+
+        // Measure with a scratch context so the final canvas can be sized exactly
+        const measureCtx = document.createElement('canvas').getContext('2d');
+        measureCtx.font = font;
+        const lines = TextRenderer.layoutLines(measureCtx, style.text, style.letterSpacing * style.fontSize);
+        const glyphs = TextRenderer.placeGlyphs(lines, style);
+        const bounds = TextRenderer.measureBounds(glyphs, style);
+
+        let canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.ceil(bounds.maxX - bounds.minX + this.padding * 2));
+        canvas.height = Math.max(1, Math.ceil(bounds.maxY - bounds.minY + this.padding * 2));
+
+        const ctx = canvas.getContext('2d');
+        ctx.font = font;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.lineJoin = 'round';
+        ctx.miterLimit = 2;
+
+        this.drawStyled(ctx, glyphs, this.padding - bounds.minX, this.padding - bounds.minY, style);
+
+        if (style.warp.type === 'bridge' || style.warp.type === 'vertical-arch') {
+            canvas = TextRenderer.warpColumns(canvas, style.warp);
+        }
+
+        this.remember(cacheKey, canvas);
+        return canvas;
+    }
+
+    drawStyled(ctx, glyphs, originX, originY, style) {
+        const forEachGlyph = (draw) => glyphs.forEach(glyph => {
+            ctx.save();
+            ctx.translate(originX + glyph.x, originY + glyph.y);
+            ctx.rotate(glyph.angle);
+            draw(glyph.char);
+            ctx.restore();
+        });
+
+        // Outlines stack outward from the fill; strokes are centered on the glyph edge,
+        // so each pass is twice the combined width of the outlines inside it
+        const passes = [];
+        let extent = 0;
+        style.outlines.forEach(outline => {
+            extent += outline.width;
+            passes.unshift({ color: outline.color, lineWidth: extent * 2 });
+        });
+        passes.push({ color: style.color, lineWidth: 0 });
+
+        passes.forEach((pass, index) => {
+            // The outermost pass casts the shadow for the whole stack
+            if (index === 0 && style.shadow) {
+                ctx.shadowColor = style.shadow.color;
+                ctx.shadowOffsetX = style.shadow.offsetX;
+                ctx.shadowOffsetY = style.shadow.offsetY;
+                ctx.shadowBlur = style.shadow.blur;
+            }
+
+            if (pass.lineWidth > 0) {
+                ctx.lineWidth = pass.lineWidth;
+                ctx.strokeStyle = pass.color;
+                ctx.fillStyle = pass.color;
+                forEachGlyph(char => {
+                    ctx.strokeText(char, 0, 0);
+                    ctx.fillText(char, 0, 0);
+                });
+            } else {
+                ctx.fillStyle = pass.color;
+                forEachGlyph(char => ctx.fillText(char, 0, 0));
+            }
+
+            ctx.shadowColor = 'transparent';
+            ctx.shadowBlur = 0;
+            ctx.shadowOffsetX = 0;
+            ctx.shadowOffsetY = 0;
+        });
+    }
+
+    /**
+     * Bridge and vertical-arch warps redraw the flat text one pixel column at a time:
+     * vertical arch shifts columns along a parabola, bridge stretches them so only the
+     * top edge curves while the baseline stays straight
+     */
+    static warpColumns(source, warp) {
+        const rise = Math.round(Math.abs(warp.amount) / 100 * source.height * 0.5);
+        if (rise === 0) {
+            return source;
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = source.width;
+        canvas.height = source.height + rise;
+        const ctx = canvas.getContext('2d');
+
+        for (let x = 0; x < source.width; x++) {
+            const t = (x + 0.5) / source.width * 2 - 1;
+            const curve = 1 - t * t;
+            const top = warp.amount > 0 ? rise * (1 - curve) : rise * curve;
+            const height = warp.type === 'bridge' ? canvas.height - top : source.height;
+            ctx.drawImage(source, x, 0, 1, source.height, x, top, 1, height);
+        }
+
+        return canvas;
+    }
+
+    /**
+     * Load a web font once; resolves true when the font became available
+     */
+    loadFont(family) {
+        const font = TextRenderer.getFont(family);
+        if (!font.web || this.loadedFonts.has(font.family) || typeof document === 'undefined' || !document.fonts) {
+            return Promise.resolve(false);
+        }
+        if (this.pendingFonts.has(font.family)) {
+            return this.pendingFonts.get(font.family);
+        }
+
+        TextRenderer.ensureFontStylesheet();
+
+        const pending = document.fonts.load(TextRenderer.getFontString(font.family, 48))
+            .then(faces => {
+                this.loadedFonts.add(font.family);
+                // Canvases drawn with the fallback font are stale now
+                this.clearCache();
+                console.log(`🔤 Loaded text font: ${font.family}`);
+                return faces.length > 0;
+            })
+            .catch(error => {
+                console.warn(`⚠️ Failed to load text font ${font.family}:`, error);
+                return false;
+            })
+            .finally(() => this.pendingFonts.delete(font.family));
+
+        this.pendingFonts.set(font.family, pending);
+        return pending;
+    }
+
+    static ensureFontStylesheet() {
+        if (document.getElementById(WEB_FONT_STYLESHEET_ID)) {
+            return;
+        }
+
+        const families = TEXT_FONTS.filter(font => font.web).map(font => `family=${font.query}`).join('&');
+        const link = document.createElement('link');
+        link.id = WEB_FONT_STYLESHEET_ID;
+        link.rel = 'stylesheet';
+        link.href = `https://fonts.googleapis.com/css2?${families}&display=swap`;
+        document.head.appendChild(link);
+    }
+
+    remember(key, canvas) {
+        if (this.cache.size >= this.maxCacheSize) {
+            const oldestKey = this.cache.keys().next().value;
+            this.cache.delete(oldestKey);
+        }
+        this.cache.set(key, canvas);
+    }
+
+    clearCache() {
+        this.cache.clear();
+    }
+}
@@ -0,0 +1,312 @@
+/**
+ * TransformGizmo - Selection handles for the selected layer. The handles are drawn into the
+ * layer texture so they follow the garment surface, and hit-testing, scaling, rotation and
+ * snapping all work in texture pixels (the space LayerManager draws layers in).
+ */
+
+// Body pieces whose centerlines layers snap to, in texture space (0-1) like PIECE_REGIONS in lib/printExporter.js
+export const SNAP_PIECES = {
+    front: [0.006, 0.090, 0.286, 0.458],
+    back: [0.311, 0.048, 0.591, 0.458]
+};
+
+export const CORNER_HANDLES = ['nw', 'ne', 'se', 'sw'];
+
+// Same range as the scale slider
+export const MIN_LAYER_SCALE = 0.1;
+export const MAX_LAYER_SCALE = 3;
+
+const ROTATION_SNAP_STEP = 45;
+const ROTATION_SNAP_TOLERANCE = 4;
+const FINE_ROTATION_STEP = 15;
+
+const CORNER_SIGNS = {
+    nw: { x: -1, y: -1 },
+    ne: { x: 1, y: -1 },
+    se: { x: 1, y: 1 },
+    sw: { x: -1, y: 1 }
+};
+
+const clampScale = scale => Math.min(MAX_LAYER_SCALE, Math.max(MIN_LAYER_SCALE, scale));
+
+export class TransformGizmo {
+    constructor(options = {}) {
+        this.visible = true;
+        // Handle size as a fraction of the texture width
+        this.handleScale = options.handleScale || 0.008;
+        // Snap distance in UV units
+        this.snapThreshold = options.snapThreshold || 0.006;
+        // Snap lines shown while dragging: [{ axis: 'x' | 'y', value }]
+        this.guides = [];
+    }
+
+    getHandleSize(textureSize) {
+        return Math.max(6, Math.round(textureSize * this.handleScale));
+    }
+
+    /**
+     * Layer frame in texture pixels
+     * @param {Object} layer - Layer with position (0-1) and rotation (degrees)
+     * @param {Object} size - { width, height } of the drawn layer in texture pixels
+     * @param {number} textureSize - Texture width/height in pixels
+     */
+    static getFrame(layer, size, textureSize) {
+        return {
+            center: { x: (layer.position?.x || 0) * textureSize, y: (layer.position?.y || 0) * textureSize },
+            width: size.width,
+            height: size.height,
+            angle: (layer.rotation || 0) * Math.PI / 180
+        };
+    }
+
+    static toWorld(frame, local) {
+        const cos = Math.cos(frame.angle);
+        const sin = Math.sin(frame.angle);
+        return {
+            x: frame.center.x + local.x * cos - local.y * sin,
+            y: frame.center.y + local.x * sin + local.y * cos
+        };
+    }
+
+    static toLocal(frame, point) {
+        const dx = point.x - frame.center.x;
+        const dy = point.y - frame.center.y;
+        const cos = Math.cos(-frame.angle);
+        const sin = Math.sin(-frame.angle);
+        return { x: dx * cos - dy * sin, y: dx * sin + dy * cos };
+    }
+
+    /**
+     * Corner handles and the rotate knob (above the top edge) in texture pixels
+     */
+    getHandlePoints(frame, textureSize) {
+        const halfWidth = frame.width / 2;
+        const halfHeight = frame.height / 2;
+        const points = {};
+
+        CORNER_HANDLES.forEach(handle => {
+            const sign = CORNER_SIGNS[handle];
+            points[handle] = TransformGizmo.toWorld(frame, { x: sign.x * halfWidth, y: sign.y * halfHeight });
+        });
+        points.rotate = TransformGizmo.toWorld(frame, { x: 0, y: -halfHeight - this.getHandleSize(textureSize) * 4 });
+
+        return points;
+    }
+
+    /**
+     * Which part of the gizmo a point is on
+     * @param {number} tolerance - Hit radius multiplier (touch uses a larger one)
+     * @returns {string|null} 'rotate', a corner ('nw', 'ne', 'se', 'sw'), 'move' or null
+     */
+    hitTest(frame, point, textureSize, tolerance = 1) {
+        const radius = this.getHandleSize(textureSize) * tolerance;
+        const points = this.getHandlePoints(frame, textureSize);
+
+        const hit = ['rotate', ...CORNER_HANDLES]
+            .find(handle => Math.hypot(point.x - points[handle].x, point.y - points[handle].y) <= radius);
+        if (hit) {
+            return hit;
+        }
+
+        const local = TransformGizmo.toLocal(frame, point);
+        return Math.abs(local.x) <= frame.width / 2 && Math.abs(local.y) <= frame.height / 2 ? 'move' : null;
+    }
+
+    /**
+     * Scale from dragging a corner. Locked drags scale uniformly by the distance from the center;
+     * unlocked drags stretch width and height separately through the layer's aspect factor.
+     * @param {Object} start - { scale, aspect, local } at the start of the drag (local = pointer in layer space)
+     * @param {Object} local - Current pointer in layer space
+     * @returns {{scale: number, aspect: number}}
+     */
+    static scaleFromDrag(start, local, aspectLocked) {
+        if (aspectLocked) {
+            const ratio = Math.hypot(local.x, local.y) / Math.max(1, Math.hypot(start.local.x, start.local.y));
+            return { scale: clampScale(start.scale * ratio), aspect: start.aspect };
+        }
+
+        const ratioX = Math.abs(local.x) / Math.max(1, Math.abs(start.local.x));
+        const ratioY = Math.abs(local.y) / Math.max(1, Math.abs(start.local.y));
+        const scale = clampScale(start.scale * ratioY);
+        const aspect = Math.min(10, Math.max(0.1, start.scale * start.aspect * ratioX / scale));
+        return { scale, aspect: Math.round(aspect * 1000) / 1000 };
+    }
+
+    /**
+     * Rotation (degrees, 0-359) that points the knob at the pointer. Angles near a multiple of
+     * 45° snap to it; fine snapping (Shift) rounds to 15° steps.
+     */
+    static rotationFromDrag(center, point, fineSnap = false) {
+        let degrees = Math.atan2(point.x - center.x, center.y - point.y) * 180 / Math.PI;
+
+        if (fineSnap) {
+            degrees = Math.round(degrees / FINE_ROTATION_STEP) * FINE_ROTATION_STEP;
+        } else {
+            const nearest = Math.round(degrees / ROTATION_SNAP_STEP) * ROTATION_SNAP_STEP;
+            if (Math.abs(degrees - nearest) <= ROTATION_SNAP_TOLERANCE) {
+                degrees = nearest;
+            }
+        }
+
+        return Math.round((degrees % 360 + 360) % 360);
+    }
+
+    /**
+     * Scale and turn a layer around a pivot, for the other layers of a group transform
+     * @param {Object} start - { position, scale, rotation } of the layer when the drag started
+     * @param {Object} pivot - UV point the group scales and turns around
+     * @returns {{position: Object, scale: number, rotation: number}}
+     */
+    static transformAround(start, pivot, factor, degrees) {
+        const angle = degrees * Math.PI / 180;
+        const dx = (start.position.x - pivot.x) * factor;
+        const dy = (start.position.y - pivot.y) * factor;
+        return {
+            position: {
+                x: pivot.x + dx * Math.cos(angle) - dy * Math.sin(angle),
+                y: pivot.y + dx * Math.sin(angle) + dy * Math.cos(angle)
+            },
+            scale: clampScale(start.scale * factor),
+            rotation: ((start.rotation + degrees) % 360 + 360) % 360
+        };
+    }
+
+    /**
+     * Axis-aligned bounds of a frame in UV units
+     */
+    static getUvBounds(frame, textureSize) {
+        const corners = CORNER_HANDLES.map(handle => TransformGizmo.toWorld(frame, {
+            x: CORNER_SIGNS[handle].x * frame.width / 2,
+            y: CORNER_SIGNS[handle].y * frame.height / 2
+        }));
+        const xs = corners.map(corner => corner.x / textureSize);
+        const ys = corners.map(corner => corner.y / textureSize);
+        return { left: Math.min(...xs), right: Math.max(...xs), top: Math.min(...ys), bottom: Math.max(...ys) };
+    }
+
+    /**
+     * Lines a moving layer snaps to: body piece centerlines plus other layers' centers and edges
+     * @param {Array} otherBounds - UV bounds of the other visible layers
+     * @returns {{x: number[], y: number[]}}
+     */
+    static getSnapTargets(otherBounds = []) {
+        const targets = { x: [], y: [] };
+
+        Object.values(SNAP_PIECES).forEach(([left, top, right, bottom]) => {
+            targets.x.push((left + right) / 2);
+            targets.y.push((top + bottom) / 2);
+        });
+
+        otherBounds.forEach(bounds => {
+            targets.x.push(bounds.left, (bounds.left + bounds.right) / 2, bounds.right);
+            targets.y.push(bounds.top, (bounds.top + bounds.bottom) / 2, bounds.bottom);
+        });
+
+        return targets;
+    }
+
+    /**
+     * Snap a layer position so its center or an edge lines up with the nearest target per axis
+     * @param {Object} position - Proposed { x, y } in UV units
+     * @param {Object} bounds - UV bounds of the layer at that position
+     * @param {Object} targets - From getSnapTargets()
+     * @returns {{position: Object, guides: Array}}
+     */
+    snapPosition(position, bounds, targets) {
+        const snapped = { ...position };
+        const guides = [];
+
+        const anchors = {
+            x: [bounds.left, (bounds.left + bounds.right) / 2, bounds.right],
+            y: [bounds.top, (bounds.top + bounds.bottom) / 2, bounds.bottom]
+        };
+
+        ['x', 'y'].forEach(axis => {
+            let best = null;
+            anchors[axis].forEach(anchor => {
+                targets[axis].forEach(target => {
+                    const delta = target - anchor;
+                    if (Math.abs(delta) <= this.snapThreshold && (!best || Math.abs(delta) < Math.abs(best.delta))) {
+                        best = { delta, target };
+                    }
+                });
+            });
+
+            if (best) {
+                snapped[axis] = position[axis] + best.delta;
+                guides.push({ axis, value: best.target });
+            }
+        });
+
+        return { position: snapped, guides };
+    }
+
+    /**
+     * Draw the selection box, corner handles, rotate knob and active snap guides
+     */
+    draw(ctx, frame, textureSize) {
+        const handleSize = this.getHandleSize(textureSize);
+        const points = this.getHandlePoints(frame, textureSize);
+        const lineWidth = Math.max(1, handleSize / 4);
+
+        ctx.save();
+        ctx.globalAlpha = 1;
+        ctx.globalCompositeOperation = 'source-over';
+
+        // Snap guides span the whole texture
+        ctx.strokeStyle = '#ff3d9a';
+        ctx.lineWidth = lineWidth;
+        ctx.setLineDash([handleSize, handleSize / 2]);
+        this.guides.forEach(guide => {
+            ctx.beginPath();
+            if (guide.axis === 'x') {
+                ctx.moveTo(guide.value * textureSize, 0);
+                ctx.lineTo(guide.value * textureSize, textureSize);
+            } else {
+                ctx.moveTo(0, guide.value * textureSize);
+                ctx.lineTo(textureSize, guide.value * textureSize);
+            }
+            ctx.stroke();
+        });
+
+        // Box and knob stem, with a white halo so they read on dark and light fabrics
+        const outline = () => {
+            ctx.beginPath();
+            CORNER_HANDLES.forEach((handle, index) => {
+                const point = points[handle];
+                if (index === 0) {
+                    ctx.moveTo(point.x, point.y);
+                } else {
+                    ctx.lineTo(point.x, point.y);
+                }
+            });
+            ctx.closePath();
+            const topCenter = TransformGizmo.toWorld(frame, { x: 0, y: -frame.height / 2 });
+            ctx.moveTo(topCenter.x, topCenter.y);
+            ctx.lineTo(points.rotate.x, points.rotate.y);
+            ctx.stroke();
+        };
+        ctx.setLineDash([]);
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = lineWidth * 3;
+        outline();
+        ctx.strokeStyle = '#1e90ff';
+        ctx.lineWidth = lineWidth;
+        outline();
+
+        ctx.fillStyle = '#ffffff';
+        ctx.strokeStyle = '#1e90ff';
+        CORNER_HANDLES.forEach(handle => {
+            const point = points[handle];
+            ctx.fillRect(point.x - handleSize / 2, point.y - handleSize / 2, handleSize, handleSize);
+            ctx.strokeRect(point.x - handleSize / 2, point.y - handleSize / 2, handleSize, handleSize);
+        });
+
+        ctx.beginPath();
+        ctx.arc(points.rotate.x, points.rotate.y, handleSize * 0.6, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+
+        ctx.restore();
+    }
+}
@@ -3,6 +3,8 @@ import { DesignSystem } from './DesignSystem.js';
 import { errorManager, ApplicationError } from './ErrorManager.js';
 import { i18n } from './I18nManager.js';
 import { SecureDOM } from './SecureDOM.js';
+import { TEXT_FONTS, TEXT_WARP_LABELS, MAX_TEXT_OUTLINES } from './TextRenderer.js';
+import { PIECE_LABELS, PLACEMENT_PRESETS } from './UvIslands.js';
 import { designTokens, theme } from '../../assets/design-tokens.js';
 
 export class UIManager {
@@ -16,12 +18,15 @@ export class UIManager {
             addLogoBtn: document.getElementById('add-logo-btn'),
             submitBtn: document.getElementById('submit-btn'),
             layersList: document.getElementById('layers-list'),
+            layerArrangeToolbar: document.getElementById('layer-arrange-toolbar'),
             scaleSliderOverlay: document.getElementById('scale-slider-overlay'),
             scaleSlider: document.getElementById('scale-slider'),
             scaleValue: document.getElementById('scale-value'),
             rotateSlider: document.getElementById('rotate-slider'),
             rotateValue: document.getElementById('rotate-value'),
             flipHorizontalCheckbox: document.getElementById('flip-horizontal-checkbox'),
+            aspectLockCheckbox: document.getElementById('aspect-lock-checkbox'),
+            snapCheckbox: document.getElementById('snap-checkbox'),
             fovSliderOverlay: document.getElementById('fov-slider-overlay'),
             fovSlider: document.getElementById('fov-slider'),
             fovValue: document.getElementById('fov-value'),
@@ -51,14 +56,29 @@ export class UIManager {
         this.onScaleChange = null;
         this.onRotateChange = null;
         this.onFlipChange = null;
+        this.onAspectLockChange = null;
+        this.onSnapChange = null;
         this.onFovChange = null;
         this.onLayerControl = null;
+        // (action, groupId) for group headers: 'select' or 'ungroup'
+        this.onLayerGroupControl = null;
+        // (action) from the arrange toolbar: 'align-left', 'distribute-x', 'group', 'copy', ...
+        this.onArrangeAction = null;
         this.onLayerColorChange = null;
         this.onResetView = null;
+        // (layer) => boolean; set by the app to flag layers that print across a seam
+        this.layerCrossesSeam = null;
         
         this.colorWheelPicker = null;
         this.layerColorWheelPicker = null;
         this.currentLayerColorInput = null;
+
+        // Layer list items are reused across updates; this tracks the layer each one shows
+        this.layerElementLayers = new WeakMap();
+        this.layerClickHandlers = new WeakMap();
+        // Multi-selection shown in the layer list, and groups folded shut
+        this.selectedLayers = [];
+        this.collapsedGroups = new Set();
         
         this.setupEventListeners();
         this.hideScaleSlider();
@@ -95,6 +115,15 @@ export class UIManager {
         
         
         
+        }
+
+        if (this.elements.layerArrangeToolbar) {
+            this.elements.layerArrangeToolbar.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-arrange]');
+                if (button && !button.disabled && this.onArrangeAction) {
+                    this.onArrangeAction(button.dataset.arrange);
+                }
+            });
         }
 
         if (this.elements.submitBtn) {
@@ -138,6 +167,22 @@ export class UIManager {
         
         }
 
+        if (this.elements.aspectLockCheckbox) {
+            this.elements.aspectLockCheckbox.addEventListener('change', (e) => {
+                if (this.onAspectLockChange) {
+                    this.onAspectLockChange(e.target.checked);
+                }
+            });
+        }
+
+        if (this.elements.snapCheckbox) {
+            this.elements.snapCheckbox.addEventListener('change', (e) => {
+                if (this.onSnapChange) {
+                    this.onSnapChange(e.target.checked);
+                }
+            });
+        }
+
         if (this.elements.fovSlider) {
             this.elements.fovSlider.addEventListener('input', (e) => {
             const newFov = parseFloat(e.target.value);
@@ -332,7 +377,12 @@ export class UIManager {
         }
     }
     
-    updateLayersList(layers, selectedLayer) {
+    /**
+     * @param {Array} selectedLayers - Whole multi-selection; defaults to the selected layer alone
+     */
+    updateLayersList(layers, selectedLayer, selectedLayers = selectedLayer ? [selectedLayer] : []) {
+        this.selectedLayers = selectedLayers;
+
         // Get existing layer elements
         const existingElements = this.elements.layersList.querySelectorAll('.layer-item');
         const existingMap = new Map();
@@ -348,6 +398,17 @@ export class UIManager {
         // Clear the list
         SecureDOM.replaceContent(this.elements.layersList);
         
+        // Grouped layers go into their group's container, placed where the first member is
+        const groupBodies = new Map();
+        const getGroupBody = group => {
+            if (!groupBodies.has(group.id)) {
+                const { container, body } = this.createGroupElement(group, layers.filter(layer => layer.group?.id === group.id));
+                this.elements.layersList.appendChild(container);
+                groupBodies.set(group.id, body);
+            }
+            return groupBodies.get(group.id);
+        };
+
         // Recreate layer elements, preserving input values where possible
         layers.forEach((layer, index) => {
             const existingElement = existingMap.get(layer.id);
@@ -361,14 +422,91 @@ export class UIManager {
                 layerElement = this.createLayerElement(layer, selectedLayer);
             }
             
-            this.elements.layersList.appendChild(layerElement);
+            (layer.group ? getGroupBody(layer.group) : this.elements.layersList).appendChild(layerElement);
+        });
+
+        this.updateArrangeToolbar(selectedLayers.length);
+    }
+
+    /**
+     * Collapsible container for a layer group. Clicking the header selects the whole group.
+     * @returns {{container: HTMLElement, body: HTMLElement}} body takes the member layer items
+     */
+    createGroupElement(group, members) {
+        const collapsed = this.collapsedGroups.has(group.id);
+        const container = SecureDOM.createElement('div', '', {
+            class: collapsed ? 'layer-group collapsed' : 'layer-group',
+            'data-group-id': group.id,
+            role: 'group',
+            'aria-label': group.name
+        });
+
+        const header = SecureDOM.createElement('div', '', { class: 'layer-group-header' });
+        if (members.length > 0 && members.every(member => this.selectedLayers.includes(member))) {
+            header.classList.add('selected');
+        }
+        const toggle = SecureDOM.createElement('button', collapsed ? '▸' : '▾', {
+            class: 'layer-group-toggle',
+            title: collapsed ? 'Expand group' : 'Collapse group',
+            'aria-expanded': String(!collapsed)
+        });
+        const ungroupBtn = SecureDOM.createElement('button', '⊟', {
+            class: 'layer-control-btn ungroup',
+            title: 'Ungroup'
+        });
+        header.appendChild(toggle);
+        header.appendChild(SecureDOM.createElement('span', `${group.name} (${members.length})`, { class: 'layer-group-name' }));
+        header.appendChild(ungroupBtn);
+
+        const body = SecureDOM.createElement('div', '', { class: 'layer-group-body' });
+        container.appendChild(header);
+        container.appendChild(body);
+
+        toggle.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const isCollapsed = container.classList.toggle('collapsed');
+            if (isCollapsed) {
+                this.collapsedGroups.add(group.id);
+            } else {
+                this.collapsedGroups.delete(group.id);
+            }
+            SecureDOM.setText(toggle, isCollapsed ? '▸' : '▾');
+            toggle.title = isCollapsed ? 'Expand group' : 'Collapse group';
+            toggle.setAttribute('aria-expanded', String(!isCollapsed));
+        });
+        ungroupBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (this.onLayerGroupControl) {
+                this.onLayerGroupControl('ungroup', group.id);
+            }
+        });
+        header.addEventListener('click', () => {
+            if (this.onLayerGroupControl) {
+                this.onLayerGroupControl('select', group.id);
+            }
+        });
+
+        return { container, body };
+    }
+
+    /**
+     * Enable the arrange buttons that make sense for the number of selected layers
+     */
+    updateArrangeToolbar(selectedCount) {
+        if (!this.elements.layerArrangeToolbar) {
+            return;
+        }
+
+        this.elements.layerArrangeToolbar.querySelectorAll('[data-arrange]').forEach(button => {
+            const minimum = Number(button.dataset.minSelected || 0);
+            button.disabled = selectedCount < minimum;
         });
     }
     
     updateExistingLayerElement(element, layer, selectedLayer) {
         // Preserve current input values before updating
         const inputValues = {};
-        const inputs = element.querySelectorAll('input');
+        const inputs = element.querySelectorAll('input, textarea, select');
         inputs.forEach(input => {
             const prop = input.dataset.prop;
             if (prop) {
@@ -380,7 +518,7 @@ export class UIManager {
         element.className = 'layer-item';
         element.dataset.layerId = layer.id;
         
-        if (selectedLayer === layer) {
+        if (selectedLayer === layer || this.selectedLayers.includes(layer)) {
             element.classList.add('selected');
         }
         
@@ -393,25 +531,48 @@ export class UIManager {
         if (layerHeader) {
             // Create secure layer header content
             const layerNameSpan = SecureDOM.createElement('span', layer.name, { class: 'layer-name' });
+            const seamIndicator = this.createSeamIndicator(layer);
+            if (seamIndicator) {
+                layerNameSpan.appendChild(seamIndicator);
+            }
             const layerControls = SecureDOM.createElement('div', '', { class: 'layer-controls' });
 
             const lockBtn = SecureDOM.createElement('button', layer.locked ? '🔒' : '🔓', {
                 class: 'layer-control-btn lock',
                 title: layer.locked ? 'Unlock layer' : 'Lock layer'
             });
+            const duplicateBtn = SecureDOM.createElement('button', '⧉', {
+                class: 'layer-control-btn duplicate',
+                title: 'Duplicate layer'
+            });
             const deleteBtn = SecureDOM.createElement('button', '×', {
                 class: 'layer-control-btn delete-x',
                 title: 'Delete layer'
             });
 
             layerControls.appendChild(lockBtn);
+            layerControls.appendChild(duplicateBtn);
             layerControls.appendChild(deleteBtn);
 
             SecureDOM.replaceContent(layerHeader, layerNameSpan, layerControls);
         }
         
+        this.layerElementLayers.set(element, layer);
+        const placementControls = element.querySelector('.layer-placement-controls');
+        if (placementControls) {
+            this.syncPlacementControls(placementControls, layer);
+        }
+        const cleanupControls = element.querySelector('.layer-cleanup-controls');
+        if (cleanupControls) {
+            this.syncCleanupControls(cleanupControls, layer);
+        }
+        element.querySelectorAll('.text-style-controls input, .text-style-controls select, .text-style-controls button')
+            .forEach(control => {
+                control.disabled = layer.locked;
+            });
+
         // Update input states (disabled/enabled) and restore values
-        const newInputs = element.querySelectorAll('input');
+        const newInputs = element.querySelectorAll('input, textarea, select');
         newInputs.forEach(input => {
             const prop = input.dataset.prop;
             if (prop) {
@@ -438,7 +599,7 @@ export class UIManager {
         div.className = 'layer-item';
         div.dataset.layerId = layer.id;
         
-        if (selectedLayer === layer) {
+        if (selectedLayer === layer || this.selectedLayers.includes(layer)) {
             div.classList.add('selected');
         }
         
@@ -451,6 +612,28 @@ export class UIManager {
             div.classList.add('image-error');
         }
         
+        // Create layer properties
+        const layerProperties = SecureDOM.createElement('div', '', { class: 'layer-properties' });
+
+        if (layer.type === 'text') {
+            this.appendTextProperties(layerProperties, div, layer);
+        } else if (layer.type === 'logo') {
+            this.appendLogoProperties(layerProperties, div, layer);
+        }
+        layerProperties.appendChild(this.createPlacementControls(div, layer));
+
+        div.appendChild(this.createLayerHeader(layer));
+        div.appendChild(layerProperties);
+        
+        this.layerElementLayers.set(div, layer);
+        this.setupLayerElementEvents(div, layer);
+        return div;
+    }
+
+    /**
+     * Layer name with its image error and seam indicators, plus lock, duplicate and delete buttons
+     */
+    createLayerHeader(layer) {
         // Create image error indicator safely
         const imageErrorIndicator = layer.hasImageError ?
             SecureDOM.createElement('span', '⚠️', {
@@ -467,6 +650,10 @@ export class UIManager {
         if (imageErrorIndicator) {
             layerNameContainer.appendChild(imageErrorIndicator);
         }
+        const seamIndicator = this.createSeamIndicator(layer);
+        if (seamIndicator) {
+            layerNameContainer.appendChild(seamIndicator);
+        }
 
         // Create layer controls
         const layerControls = SecureDOM.createElement('div', '', { class: 'layer-controls' });
@@ -474,82 +661,443 @@ export class UIManager {
             class: 'layer-control-btn lock',
             title: layer.locked ? 'Unlock layer' : 'Lock layer'
         });
+        const duplicateBtn = SecureDOM.createElement('button', '⧉', {
+            class: 'layer-control-btn duplicate',
+            title: 'Duplicate layer'
+        });
         const deleteBtn = SecureDOM.createElement('button', '×', {
             class: 'layer-control-btn delete-x',
             title: 'Delete layer'
         });
 
         layerControls.appendChild(lockBtn);
+        layerControls.appendChild(duplicateBtn);
         layerControls.appendChild(deleteBtn);
         layerHeader.appendChild(layerNameContainer);
         layerHeader.appendChild(layerControls);
+        return layerHeader;
+    }
 
-        // Create layer properties
-        const layerProperties = SecureDOM.createElement('div', '', { class: 'layer-properties' });
+    /**
+     * Text layer properties (multi-line text, one line per row), followed by the outline,
+     * shadow and warp controls
+     */
+    appendTextProperties(layerProperties, element, layer) {
+        const textProp = SecureDOM.createElement('div', '', { class: 'layer-property' });
+        textProp.appendChild(SecureDOM.createElement('span', 'Text:'));
+        const textInput = SecureDOM.createElement('textarea', '', {
+            rows: 2,
+            'data-prop': 'text'
+        });
+        textInput.value = layer.text || '';
+        textProp.appendChild(textInput);
 
-        if (layer.type === 'text') {
-            // Text layer properties
-            const textProp = SecureDOM.createElement('div', '', { class: 'layer-property' });
-            textProp.appendChild(SecureDOM.createElement('span', 'Text:'));
-            const textInput = SecureDOM.createElement('input', '', {
-                type: 'text',
-                value: SecureDOM.sanitizeInput(layer.text),
-                'data-prop': 'text'
-            });
-            textProp.appendChild(textInput);
-
-            const sizeProp = SecureDOM.createElement('div', '', { class: 'layer-property' });
-            sizeProp.appendChild(SecureDOM.createElement('span', 'Size:'));
-            const sizeInput = SecureDOM.createElement('input', '', {
-                type: 'number',
-                value: SecureDOM.sanitizeInput(layer.fontSize),
-                'data-prop': 'fontSize'
-            });
-            sizeProp.appendChild(sizeInput);
+        const fontProp = SecureDOM.createElement('div', '', { class: 'layer-property' });
+        fontProp.appendChild(SecureDOM.createElement('span', 'Font:'));
+        const fontSelect = SecureDOM.createElement('select', '', { 'data-prop': 'fontFamily' });
+        const fonts = TEXT_FONTS.some(font => font.family === layer.fontFamily)
+            ? TEXT_FONTS
+            : [{ family: layer.fontFamily || 'Arial', label: layer.fontFamily || 'Arial' }, ...TEXT_FONTS];
+        fonts.forEach(font => {
+            const option = SecureDOM.createOption(font.family, font.label, font.family === layer.fontFamily);
+            option.style.fontFamily = `"${font.family}"`;
+            fontSelect.appendChild(option);
+        });
+        fontProp.appendChild(fontSelect);
 
-            const colorProp = SecureDOM.createElement('div', '', { class: 'layer-property' });
-            colorProp.appendChild(SecureDOM.createElement('span', 'Color:'));
-            const colorInput = SecureDOM.createElement('input', '', {
-                type: 'color',
-                value: SecureDOM.sanitizeInput(layer.color),
-                'data-prop': 'color'
-            });
-            colorProp.appendChild(colorInput);
+        const sizeProp = SecureDOM.createElement('div', '', { class: 'layer-property' });
+        sizeProp.appendChild(SecureDOM.createElement('span', 'Size:'));
+        const sizeInput = SecureDOM.createElement('input', '', {
+            type: 'number',
+            value: SecureDOM.sanitizeInput(layer.fontSize),
+            'data-prop': 'fontSize'
+        });
+        sizeProp.appendChild(sizeInput);
 
-            layerProperties.appendChild(textProp);
-            layerProperties.appendChild(sizeProp);
-            layerProperties.appendChild(colorProp);
-        } else if (layer.type === 'logo') {
-            // Logo layer properties
-            const colorProp = SecureDOM.createElement('div', '', { class: 'layer-property' });
-            colorProp.appendChild(SecureDOM.createElement('span', 'Color:'));
-            const colorInput = SecureDOM.createElement('input', '', {
+        const colorProp = SecureDOM.createElement('div', '', { class: 'layer-property' });
+        colorProp.appendChild(SecureDOM.createElement('span', 'Color:'));
+        const colorInput = SecureDOM.createElement('input', '', {
+            type: 'color',
+            value: SecureDOM.sanitizeInput(layer.color),
+            'data-prop': 'color'
+        });
+        colorProp.appendChild(colorInput);
+
+        const spacingProp = SecureDOM.createElement('div', '', { class: 'layer-property' });
+        spacingProp.appendChild(SecureDOM.createElement('span', 'Spacing:'));
+        spacingProp.appendChild(SecureDOM.createElement('input', '', {
+            type: 'range',
+            min: -0.2,
+            max: 1,
+            step: 0.01,
+            value: layer.letterSpacing || 0,
+            'data-prop': 'letterSpacing'
+        }));
+
+        const lineHeightProp = SecureDOM.createElement('div', '', { class: 'layer-property' });
+        lineHeightProp.appendChild(SecureDOM.createElement('span', 'Line height:'));
+        lineHeightProp.appendChild(SecureDOM.createElement('input', '', {
+            type: 'number',
+            min: 0.7,
+            max: 3,
+            step: 0.1,
+            value: layer.lineHeight || 1.2,
+            'data-prop': 'lineHeight'
+        }));
+
+        layerProperties.appendChild(textProp);
+        layerProperties.appendChild(fontProp);
+        layerProperties.appendChild(sizeProp);
+        layerProperties.appendChild(colorProp);
+        layerProperties.appendChild(spacingProp);
+        layerProperties.appendChild(lineHeightProp);
+        layerProperties.appendChild(this.createTextStyleControls(element, layer));
+    }
+
+    /**
+     * Logo layer color, and background removal/posterize for raster logos
+     */
+    appendLogoProperties(layerProperties, element, layer) {
+        const colorProp = SecureDOM.createElement('div', '', { class: 'layer-property' });
+        colorProp.appendChild(SecureDOM.createElement('span', 'Color:'));
+        const colorInput = SecureDOM.createElement('input', '', {
+            type: 'color',
+            value: SecureDOM.sanitizeInput(layer.color || '#ffffff'),
+            'data-prop': 'color'
+        });
+        colorProp.appendChild(colorInput);
+        layerProperties.appendChild(colorProp);
+        if (!layer.isVector) {
+            layerProperties.appendChild(this.createCleanupControls(element, layer));
+        }
+    }
+    
+    createSeamIndicator(layer) {
+        if (!this.layerCrossesSeam || !this.layerCrossesSeam(layer)) {
+            return null;
+        }
+        return SecureDOM.createElement('span', '✂️', {
+            class: 'seam-warning-indicator',
+            title: 'Crosses a seam: part of this layer would print on another piece'
+        });
+    }
+
+    /**
+     * Garment piece anchor and placement preset selects plus the symmetry toggle, reported
+     * through onLayerControl('anchor' | 'placement' | 'mirror', layer, value)
+     */
+    createPlacementControls(element, layer) {
+        const container = SecureDOM.createElement('div', '', { class: 'layer-placement-controls' });
+
+        const pieceProp = SecureDOM.createElement('div', '', { class: 'layer-property' });
+        pieceProp.appendChild(SecureDOM.createElement('span', 'Piece:'));
+        const pieceSelect = SecureDOM.createElement('select', '', { 'data-layer-action': 'anchor', title: 'Clip the layer to a garment piece' });
+        pieceSelect.appendChild(SecureDOM.createOption('', 'Free', !layer.anchor));
+        Object.entries(PIECE_LABELS).forEach(([piece, label]) => {
+            pieceSelect.appendChild(SecureDOM.createOption(piece, label, layer.anchor?.piece === piece));
+        });
+        pieceProp.appendChild(pieceSelect);
+
+        const placeProp = SecureDOM.createElement('div', '', { class: 'layer-property' });
+        placeProp.appendChild(SecureDOM.createElement('span', 'Place:'));
+        const placeSelect = SecureDOM.createElement('select', '', { 'data-layer-action': 'placement' });
+        placeSelect.appendChild(SecureDOM.createOption('', 'Choose…', true));
+        Object.entries(PLACEMENT_PRESETS).forEach(([id, preset]) => {
+            placeSelect.appendChild(SecureDOM.createOption(id, preset.label, false));
+        });
+        placeProp.appendChild(placeSelect);
+
+        const mirrorProp = SecureDOM.createElement('div', '', { class: 'layer-property' });
+        mirrorProp.appendChild(SecureDOM.createElement('span', 'Mirror:'));
+        mirrorProp.appendChild(SecureDOM.createElement('input', '', {
+            type: 'checkbox',
+            'data-layer-action': 'mirror',
+            title: 'Keep a mirrored copy on the other sleeve, leg or side of the chest'
+        }));
+
+        container.appendChild(pieceProp);
+        container.appendChild(placeProp);
+        container.appendChild(mirrorProp);
+        this.syncPlacementControls(container, layer);
+
+        container.addEventListener('change', (e) => {
+            const action = e.target.dataset.layerAction;
+            const current = this.layerElementLayers.get(element) || layer;
+            if (!action || current.locked) {
+                return;
+            }
+
+            const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+            if (action === 'placement') {
+                // Presets are one-shot actions, not a layer property
+                e.target.value = '';
+                if (!value) {
+                    return;
+                }
+            }
+
+            if (this.onLayerControl) {
+                this.onLayerControl(action, current, value || null);
+            }
+        });
+
+        return container;
+    }
+
+    /**
+     * Server-side background removal and color reduction for raster logos, plus one swatch per
+     * color once the logo is posterized. Reported through onLayerControl('remove-background',
+     * layer, tolerance), ('posterize', layer, colors) and ('palette', layer, { index, color }).
+     */
+    createCleanupControls(element, layer) {
+        const container = SecureDOM.createElement('div', '', { class: 'layer-cleanup-controls' });
+
+        const backgroundProp = SecureDOM.createElement('div', '', { class: 'layer-property' });
+        backgroundProp.appendChild(SecureDOM.createElement('span', 'Background:'));
+        const toleranceInput = SecureDOM.createElement('input', '', {
+            type: 'range',
+            min: 4,
+            max: 96,
+            step: 4,
+            value: 32,
+            'data-cleanup-option': 'tolerance',
+            title: 'How far colors may differ from the background and still be removed'
+        });
+        const removeButton = SecureDOM.createElement('button', 'Remove', {
+            class: 'layer-cleanup-btn',
+            'data-layer-action': 'remove-background',
+            title: 'Remove a solid background (e.g. the white around a JPG crest)'
+        });
+        backgroundProp.appendChild(toleranceInput);
+        backgroundProp.appendChild(removeButton);
+
+        const colorsProp = SecureDOM.createElement('div', '', { class: 'layer-property' });
+        colorsProp.appendChild(SecureDOM.createElement('span', 'Colors:'));
+        const colorsSelect = SecureDOM.createElement('select', '', {
+            'data-layer-action': 'posterize',
+            title: 'Reduce the logo to a few colors that can each be recolored'
+        });
+        colorsSelect.appendChild(SecureDOM.createOption('', 'Reduce to…', true));
+        for (let count = 2; count <= 8; count++) {
+            colorsSelect.appendChild(SecureDOM.createOption(String(count), `${count} colors`, false));
+        }
+        colorsProp.appendChild(colorsSelect);
+
+        container.appendChild(backgroundProp);
+        container.appendChild(colorsProp);
+        container.appendChild(SecureDOM.createElement('div', '', { class: 'layer-palette' }));
+        this.syncCleanupControls(container, layer);
+
+        const report = (action, value) => {
+            const current = this.layerElementLayers.get(element) || layer;
+            if (!current.locked && this.onLayerControl) {
+                this.onLayerControl(action, current, value);
+            }
+        };
+
+        removeButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            report('remove-background', Number(toleranceInput.value));
+        });
+        colorsSelect.addEventListener('change', () => {
+            const colors = colorsSelect.value;
+            // A one-shot action, like the placement presets
+            colorsSelect.value = '';
+            if (colors) {
+                report('posterize', Number(colors));
+            }
+        });
+        container.addEventListener('input', (e) => {
+            const index = e.target.dataset.paletteIndex;
+            if (index !== undefined) {
+                report('palette', { index: Number(index), color: e.target.value });
+            }
+        });
+
+        return container;
+    }
+
+    syncCleanupControls(container, layer) {
+        const palette = layer.palette || [];
+        const swatches = container.querySelector('.layer-palette');
+        const inputs = swatches.querySelectorAll('input');
+
+        // Rebuild only when the colors themselves change, so an open color picker stays open
+        const sources = Array.from(inputs, input => input.dataset.source);
+        if (sources.join() !== palette.map(entry => entry.source).join()) {
+            const items = palette.map((entry, index) => SecureDOM.createElement('input', '', {
                 type: 'color',
-                value: SecureDOM.sanitizeInput(layer.color || '#ffffff'),
-                'data-prop': 'color'
+                value: SecureDOM.sanitizeInput(entry.color),
+                'data-palette-index': index,
+                'data-source': SecureDOM.sanitizeInput(entry.source),
+                title: `Recolor ${entry.source}`
+            }));
+            SecureDOM.replaceContent(swatches, ...items);
+        } else {
+            inputs.forEach((input, index) => {
+                input.value = palette[index].color;
             });
-            colorProp.appendChild(colorInput);
-            layerProperties.appendChild(colorProp);
         }
 
-        div.appendChild(layerHeader);
-        div.appendChild(layerProperties);
-        
-        this.setupLayerElementEvents(div, layer);
-        return div;
+        container.querySelectorAll('select, input, button').forEach(control => {
+            control.disabled = Boolean(layer.locked);
+        });
+    }
+
+    syncPlacementControls(container, layer) {
+        container.querySelector('[data-layer-action="anchor"]').value = layer.anchor?.piece || '';
+        container.querySelector('[data-layer-action="mirror"]').checked = Boolean(layer.mirror);
+        container.querySelectorAll('select, input').forEach(control => {
+            control.disabled = Boolean(layer.locked);
+        });
+    }
+
+    /**
+     * Outline, drop shadow and warp controls for a text layer. Each group is reported as
+     * one property value ({ outlines }, { shadow }, { warp }) through onLayerPropertyChange.
+     */
+    createTextStyleControls(element, layer) {
+        const container = SecureDOM.createElement('div', '', { class: 'text-style-controls' });
+        this.renderTextStyleControls(container, layer);
+
+        const report = (prop, value) => {
+            const current = this.layerElementLayers.get(element) || layer;
+            if (!current.locked && this.onLayerPropertyChange) {
+                this.onLayerPropertyChange(current, prop, value);
+            }
+        };
+
+        container.addEventListener('input', (e) => {
+            const group = e.target.dataset.styleGroup;
+            if (group) {
+                report(group, this.readTextStyleControls(container)[group]);
+            }
+        });
+
+        container.addEventListener('click', (e) => {
+            const action = e.target.dataset.styleAction;
+            const current = this.layerElementLayers.get(element) || layer;
+            if (!action || current.locked) {
+                return;
+            }
+
+            const { outlines } = this.readTextStyleControls(container);
+            if (action === 'add-outline' && outlines.length < MAX_TEXT_OUTLINES) {
+                // New outlines go outside the existing ones
+                outlines.push({ color: outlines.length % 2 ? '#ffffff' : '#000000', width: Math.max(1, Math.round((current.fontSize || 24) * 0.06)) });
+            } else if (action === 'remove-outline') {
+                outlines.splice(Number(e.target.dataset.index), 1);
+            } else {
+                return;
+            }
+
+            report('outlines', outlines);
+            this.renderTextStyleControls(container, { ...current, outlines });
+        });
+
+        return container;
+    }
+
+    renderTextStyleControls(container, layer) {
+        const outlines = Array.isArray(layer.outlines) ? layer.outlines : [];
+        const shadow = layer.shadow || null;
+        const warp = layer.warp || { type: 'none', amount: 0 };
+        const input = (attributes) => SecureDOM.createElement('input', '', attributes);
+
+        const outlineRows = outlines.map((outline, index) => {
+            const row = SecureDOM.createElement('div', '', { class: 'layer-property text-outline-row' });
+            row.appendChild(SecureDOM.createElement('span', `Outline ${index + 1}:`));
+            row.appendChild(input({ type: 'color', value: outline.color, 'data-style-group': 'outlines', 'data-field': 'color', title: 'Outline color' }));
+            row.appendChild(input({ type: 'number', min: 1, max: 64, value: outline.width, 'data-style-group': 'outlines', 'data-field': 'width', title: 'Outline width' }));
+            row.appendChild(SecureDOM.createElement('button', '×', {
+                type: 'button',
+                class: 'layer-control-btn text-outline-remove',
+                title: 'Remove outline',
+                'data-style-action': 'remove-outline',
+                'data-index': index
+            }));
+            return row;
+        });
+
+        const addOutline = SecureDOM.createElement('button', '+ Outline', {
+            type: 'button',
+            class: 'text-outline-add',
+            'data-style-action': 'add-outline'
+        });
+        addOutline.disabled = outlines.length >= MAX_TEXT_OUTLINES;
+
+        const shadowRow = SecureDOM.createElement('div', '', { class: 'layer-property text-shadow-row' });
+        shadowRow.appendChild(SecureDOM.createElement('span', 'Shadow:'));
+        const shadowToggle = input({ type: 'checkbox', 'data-style-group': 'shadow', 'data-field': 'enabled', title: 'Drop shadow' });
+        shadowToggle.checked = Boolean(shadow);
+        shadowRow.appendChild(shadowToggle);
+        shadowRow.appendChild(input({ type: 'color', value: shadow?.color || '#000000', 'data-style-group': 'shadow', 'data-field': 'color', title: 'Shadow color' }));
+        [['offsetX', 'Shadow X offset', 4], ['offsetY', 'Shadow Y offset', 4], ['blur', 'Shadow blur', 0]].forEach(([field, title, fallback]) => {
+            shadowRow.appendChild(input({ type: 'number', value: shadow?.[field] ?? fallback, 'data-style-group': 'shadow', 'data-field': field, title }));
+        });
+
+        const warpRow = SecureDOM.createElement('div', '', { class: 'layer-property text-warp-row' });
+        warpRow.appendChild(SecureDOM.createElement('span', 'Warp:'));
+        const warpSelect = SecureDOM.createElement('select', '', { 'data-style-group': 'warp', 'data-field': 'type' });
+        Object.entries(TEXT_WARP_LABELS).forEach(([type, label]) => {
+            warpSelect.appendChild(SecureDOM.createOption(type, label, type === warp.type));
+        });
+        warpRow.appendChild(warpSelect);
+        warpRow.appendChild(input({ type: 'range', min: -100, max: 100, value: warp.amount || 0, 'data-style-group': 'warp', 'data-field': 'amount', title: 'Warp amount' }));
+
+        SecureDOM.replaceContent(container, ...outlineRows, addOutline, shadowRow, warpRow);
+
+        container.querySelectorAll('input, select, button').forEach(control => {
+            control.disabled = control.disabled || Boolean(layer.locked);
+        });
+    }
+
+    /**
+     * Current { outlines, shadow, warp } values from the text style controls
+     */
+    readTextStyleControls(container) {
+        const field = (row, name) => row.querySelector(`[data-field="${name}"]`);
+
+        const outlines = Array.from(container.querySelectorAll('.text-outline-row')).map(row => ({
+            color: field(row, 'color').value,
+            width: parseFloat(field(row, 'width').value) || 0
+        }));
+
+        const shadowRow = container.querySelector('.text-shadow-row');
+        const shadow = field(shadowRow, 'enabled').checked ? {
+            color: field(shadowRow, 'color').value,
+            offsetX: parseFloat(field(shadowRow, 'offsetX').value) || 0,
+            offsetY: parseFloat(field(shadowRow, 'offsetY').value) || 0,
+            blur: parseFloat(field(shadowRow, 'blur').value) || 0
+        } : null;
+
+        const warpRow = container.querySelector('.text-warp-row');
+        const warp = {
+            type: field(warpRow, 'type').value,
+            amount: parseFloat(field(warpRow, 'amount').value) || 0
+        };
+
+        return { outlines, shadow, warp };
     }
     
     setupLayerElementEvents(element, layer) {
         let clickTimeout = null;
         
-        element.addEventListener('click', (e) => {
+        // Items are reused across list updates, so replace the previous click handler instead of adding another
+        if (this.layerClickHandlers.has(element)) {
+            element.removeEventListener('click', this.layerClickHandlers.get(element));
+        }
+        const handleClick = (e) => {
+            // Shift-click selects a range, Ctrl/Cmd-click adds or removes one layer
+            const mode = e.shiftKey ? 'range' : (e.ctrlKey || e.metaKey ? 'toggle' : 'replace');
+
             // If clicking on the layer name span, handle differently
             if (e.target.classList.contains('layer-name')) {
                 // Delay the selection to allow for double-click detection
                 clearTimeout(clickTimeout);
                 clickTimeout = setTimeout(() => {
                     if (this.onLayerControl) {
-                        this.onLayerControl('select', layer);
+                        this.onLayerControl('select', layer, mode);
                     }
                 }, 300);
                 return;
@@ -557,9 +1105,11 @@ export class UIManager {
             
             // Immediate selection for other areas
             if (this.onLayerControl) {
-                this.onLayerControl('select', layer);
+                this.onLayerControl('select', layer, mode);
             }
-        });
+        };
+        this.layerClickHandlers.set(element, handleClick);
+        element.addEventListener('click', handleClick);
         
         // Add double-click rename functionality for layer name
         const layerNameSpan = element.querySelector('.layer-name');
@@ -580,14 +1130,18 @@ export class UIManager {
             this.startLayerNameEdit(layerNameSpan, layer);
         });
         
-        element.querySelectorAll('input').forEach(input => {
+        element.querySelectorAll('input, textarea, select').forEach(input => {
             input.addEventListener('input', (e) => {
                 if (layer.locked) {
                     e.preventDefault();
                     return;
                 }
 
+                // Outline, shadow and warp controls report through createTextStyleControls()
                 const prop = e.target.dataset.prop;
+                if (!prop) {
+                    return;
+                }
                 const value = e.target.value;
 
                 // If this is a color change, also update the 3D widget color picker
@@ -630,6 +1184,13 @@ export class UIManager {
             }
         });
         
+        element.querySelector('.duplicate').addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (this.onLayerControl) {
+                this.onLayerControl('duplicate', layer);
+            }
+        });
+        
         element.querySelector('.delete-x').addEventListener('click', (e) => {
             e.stopPropagation();
             if (this.onLayerControl) {
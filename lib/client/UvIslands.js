@@ -0,0 +1,297 @@
+/**
+ * UvIslands - UV islands of the visible garment meshes. Layer positions are UV coordinates
+ * (the layer texture is drawn with flipY off), so the islands tell which piece a layer prints
+ * on, give the mask an anchored layer is clipped to and show when a layer crosses a seam.
+ */
+
+export const PIECE_LABELS = {
+    front: 'Front body',
+    back: 'Back body',
+    arms: 'Sleeves',
+    neck: 'Neck',
+    pants: 'Pants'
+};
+
+// Islands used until the master GLB is loaded: TEXCOORD_0 bounds of the default pieces
+// (regulan U body, short arms, std_a neck), as in PIECE_REGIONS of lib/printExporter.js
+const DEFAULT_ISLANDS = [
+    { piece: 'front', bounds: [0.006, 0.090, 0.286, 0.458] },
+    { piece: 'back', bounds: [0.311, 0.048, 0.591, 0.458] },
+    { piece: 'arms', bounds: [0.511, 0.612, 0.738, 0.812] },
+    { piece: 'arms', bounds: [0.755, 0.612, 0.984, 0.812] },
+    { piece: 'neck', bounds: [0.619, 0.952, 0.867, 0.967] },
+    { piece: 'pants', bounds: [0.605, 0.000, 0.998, 0.641] }
+];
+
+/**
+ * Placement presets, positioned relative to an island's bounds (0-1). `island` is the index
+ * within the piece, left to right in UV space (-1 = last). The front body is laid out as seen
+ * from the outside, so the wearer's left is the right side of the island; the sleeve islands
+ * follow the same order.
+ * `width` is the layer width as a fraction of the island width.
+ */
+export const PLACEMENT_PRESETS = {
+    'left-chest': { label: 'Left chest', piece: 'front', island: 0, x: 0.7, y: 0.32, width: 0.22 },
+    'right-chest': { label: 'Right chest', piece: 'front', island: 0, x: 0.3, y: 0.32, width: 0.22 },
+    'center-chest': { label: 'Center chest', piece: 'front', island: 0, x: 0.5, y: 0.38, width: 0.5 },
+    'upper-back': { label: 'Upper back (name)', piece: 'back', island: 0, x: 0.5, y: 0.22, width: 0.6 },
+    'center-back': { label: 'Center back', piece: 'back', island: 0, x: 0.5, y: 0.48, width: 0.55 },
+    'left-sleeve': { label: 'Left sleeve', piece: 'arms', island: -1, x: 0.5, y: 0.6, width: 0.35 },
+    'right-sleeve': { label: 'Right sleeve', piece: 'arms', island: 0, x: 0.5, y: 0.6, width: 0.35 }
+};
+
+const PIECE_ORDER = Object.keys(PIECE_LABELS);
+
+// Unwelded vertices split a piece into fragments; fragments this close (UV units) are one island
+const ISLAND_MERGE_DISTANCE = 0.002;
+
+const boundsOverlap = (a, b, margin) =>
+    a.left <= b.right + margin && b.left <= a.right + margin &&
+    a.top <= b.bottom + margin && b.top <= a.bottom + margin;
+
+export class UvIslands {
+    /**
+     * @param {Array} islands - [{ piece, bounds: { left, top, right, bottom }, triangles }] where
+     *   triangles is a flat list of UV coordinates, six numbers per triangle
+     */
+    constructor(islands = []) {
+        this.islands = islands
+            .filter(island => PIECE_LABELS[island.piece])
+            .sort((a, b) => PIECE_ORDER.indexOf(a.piece) - PIECE_ORDER.indexOf(b.piece) || a.bounds.left - b.bounds.left);
+
+        // Index within the piece, left to right
+        const counts = {};
+        this.islands.forEach(island => {
+            island.index = counts[island.piece] || 0;
+            counts[island.piece] = island.index + 1;
+        });
+
+        this.masks = new Map();
+    }
+
+    /**
+     * Rectangular islands from [left, top, right, bottom] bounds
+     */
+    static fromRegions(regions = DEFAULT_ISLANDS) {
+        return new UvIslands(regions.map(({ piece, bounds: [left, top, right, bottom] }) => ({
+            piece,
+            bounds: { left, top, right, bottom },
+            triangles: [left, top, right, top, right, bottom, left, top, right, bottom, left, bottom]
+        })));
+    }
+
+    /**
+     * Islands of the visible meshes of the master GLB; falls back to the default layout when
+     * no garment mesh with UVs is visible
+     */
+    static fromModel(model) {
+        const islands = [];
+
+        model?.traverse(child => {
+            const piece = child.isMesh && child.visible ? UvIslands.getMeshPiece(child.name) : null;
+            if (piece && child.geometry?.attributes?.uv) {
+                UvIslands.splitIslands(child.geometry).forEach(island => islands.push({ piece, ...island }));
+            }
+        });
+
+        return islands.length > 0 ? new UvIslands(islands) : UvIslands.fromRegions();
+    }
+
+    /**
+     * Garment piece of a master GLB mesh (reg_u_body, setin_back_body, reg_short_arms, reg_cft_b, pants, ...)
+     */
+    static getMeshPiece(meshName = '') {
+        const name = meshName.toLowerCase();
+        if (name.includes('back_body')) return 'back';
+        if (/_(u|v|u_v)_body/.test(name)) return 'front';
+        if (name.includes('arms')) return 'arms';
+        if (/_(std|cft)_[a-d]/.test(name)) return 'neck';
+        if (name.includes('pants')) return 'pants';
+        return null;
+    }
+
+    /**
+     * Split a geometry into UV islands: triangles connected through shared vertices, with
+     * fragments whose bounds touch merged back together
+     * @returns {Array} [{ bounds, triangles }]
+     */
+    static splitIslands(geometry) {
+        const uv = geometry.attributes.uv;
+        const index = geometry.index;
+        const vertexCount = index ? index.count : uv.count;
+        const vertexAt = i => (index ? index.getX(i) : i);
+
+        const parent = Int32Array.from({ length: uv.count }, (_, i) => i);
+        const find = (vertex) => {
+            while (parent[vertex] !== vertex) {
+                parent[vertex] = parent[parent[vertex]];
+                vertex = parent[vertex];
+            }
+            return vertex;
+        };
+
+        for (let i = 0; i + 2 < vertexCount; i += 3) {
+            const root = find(vertexAt(i));
+            parent[find(vertexAt(i + 1))] = root;
+            parent[find(vertexAt(i + 2))] = root;
+        }
+
+        const groups = new Map();
+        for (let i = 0; i + 2 < vertexCount; i += 3) {
+            const root = find(vertexAt(i));
+            if (!groups.has(root)) {
+                groups.set(root, { bounds: { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity }, triangles: [] });
+            }
+            const group = groups.get(root);
+            for (let corner = 0; corner < 3; corner++) {
+                const vertex = vertexAt(i + corner);
+                const u = uv.getX(vertex);
+                const v = uv.getY(vertex);
+                group.triangles.push(u, v);
+                group.bounds.left = Math.min(group.bounds.left, u);
+                group.bounds.right = Math.max(group.bounds.right, u);
+                group.bounds.top = Math.min(group.bounds.top, v);
+                group.bounds.bottom = Math.max(group.bounds.bottom, v);
+            }
+        }
+
+        const islands = [];
+        const findTouching = bounds => islands.find(island => boundsOverlap(island.bounds, bounds, ISLAND_MERGE_DISTANCE));
+        groups.forEach(group => {
+            let merged = group;
+            let touching = findTouching(merged.bounds);
+            while (touching) {
+                islands.splice(islands.indexOf(touching), 1);
+                merged = {
+                    bounds: {
+                        left: Math.min(merged.bounds.left, touching.bounds.left),
+                        top: Math.min(merged.bounds.top, touching.bounds.top),
+                        right: Math.max(merged.bounds.right, touching.bounds.right),
+                        bottom: Math.max(merged.bounds.bottom, touching.bounds.bottom)
+                    },
+                    triangles: merged.triangles.concat(touching.triangles)
+                };
+                touching = findTouching(merged.bounds);
+            }
+            islands.push(merged);
+        });
+
+        return islands.map(island => ({ bounds: island.bounds, triangles: Float32Array.from(island.triangles) }));
+    }
+
+    /**
+     * Islands of a piece, left to right
+     */
+    getPieceIslands(piece) {
+        return this.islands.filter(island => island.piece === piece);
+    }
+
+    /**
+     * Island by piece and index (-1 = last); the piece's first island when the index is out of range
+     */
+    getIsland(piece, index = 0) {
+        const islands = this.getPieceIslands(piece);
+        return islands.at(index) || islands[0] || null;
+    }
+
+    /**
+     * Island under a UV point, optionally limited to one piece
+     */
+    islandAt(point, piece = null) {
+        return this.islands.find(island => (!piece || island.piece === piece) && UvIslands.contains(island, point)) || null;
+    }
+
+    static contains(island, point) {
+        const { bounds, triangles } = island;
+        if (point.x < bounds.left || point.x > bounds.right || point.y < bounds.top || point.y > bounds.bottom) {
+            return false;
+        }
+
+        for (let i = 0; i < triangles.length; i += 6) {
+            const [ax, ay, bx, by, cx, cy] = [triangles[i], triangles[i + 1], triangles[i + 2], triangles[i + 3], triangles[i + 4], triangles[i + 5]];
+            const d1 = (point.x - bx) * (ay - by) - (ax - bx) * (point.y - by);
+            const d2 = (point.x - cx) * (by - cy) - (bx - cx) * (point.y - cy);
+            const d3 = (point.x - ax) * (cy - ay) - (cx - ax) * (point.y - ay);
+            if (!((d1 < 0 || d2 < 0 || d3 < 0) && (d1 > 0 || d2 > 0 || d3 > 0))) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Anchor of a UV point: the island plus the point relative to the island bounds
+     * @returns {{piece: string, island: number, x: number, y: number}}
+     */
+    toAnchor(island, point) {
+        const { left, top, right, bottom } = island.bounds;
+        const round = value => Math.round(value * 10000) / 10000;
+        return {
+            piece: island.piece,
+            island: island.index,
+            x: round((point.x - left) / Math.max(1e-6, right - left)),
+            y: round((point.y - top) / Math.max(1e-6, bottom - top))
+        };
+    }
+
+    /**
+     * UV point of an anchor in the current islands, or null when its piece is not shown
+     */
+    fromAnchor(anchor) {
+        const island = anchor ? this.getIsland(anchor.piece, anchor.island) : null;
+        if (!island) {
+            return null;
+        }
+
+        const { left, top, right, bottom } = island.bounds;
+        return { x: left + anchor.x * (right - left), y: top + anchor.y * (bottom - top) };
+    }
+
+    /**
+     * Anchor mirrored onto the paired island: the opposite sleeve or leg when the piece has
+     * two islands, otherwise the other side of the same island (left/right chest)
+     */
+    getMirrorAnchor(anchor) {
+        const count = this.getPieceIslands(anchor.piece).length;
+        if (count === 0) {
+            return null;
+        }
+
+        const index = ((anchor.island % count) + count) % count;
+        return {
+            piece: anchor.piece,
+            island: count - 1 - index,
+            x: Math.round((1 - anchor.x) * 10000) / 10000,
+            y: anchor.y
+        };
+    }
+
+    /**
+     * White-on-transparent mask of an island at texture size, cached
+     */
+    getMask(island, width, height) {
+        const key = `${island.piece}:${island.index}:${width}x${height}`;
+        if (this.masks.has(key)) {
+            return this.masks.get(key);
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const { triangles } = island;
+
+        ctx.fillStyle = '#ffffff';
+        ctx.beginPath();
+        for (let i = 0; i < triangles.length; i += 6) {
+            ctx.moveTo(triangles[i] * width, triangles[i + 1] * height);
+            ctx.lineTo(triangles[i + 2] * width, triangles[i + 3] * height);
+            ctx.lineTo(triangles[i + 4] * width, triangles[i + 5] * height);
+            ctx.closePath();
+        }
+        ctx.fill();
+
+        this.masks.set(key, canvas);
+        return canvas;
+    }
+}
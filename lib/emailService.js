@@ -3,6 +3,33 @@ const fs = require('fs').promises;
 const path = require('path');
 const archiver = require('archiver');
 
+// Customer-facing copy for each order status change
+const ORDER_STATUS_EMAILS = {
+    received: {
+        title: '주문이 접수되었습니다',
+        message: '디자인 검토 후 승인되면 다시 안내해 드리겠습니다.'
+    },
+    approved: {
+        title: '디자인이 승인되었습니다',
+        message: '승인된 디자인으로 제작 준비를 시작합니다.'
+    },
+    in_production: {
+        title: '제작이 시작되었습니다',
+        message: '유니폼 제작이 진행 중입니다. 인쇄가 끝나면 알려드리겠습니다.'
+    },
+    printed: {
+        title: '인쇄가 완료되었습니다',
+        message: '인쇄와 검수를 마쳤습니다. 곧 발송해 드리겠습니다.'
+    },
+    shipped: {
+        title: '주문이 발송되었습니다',
+        message: '주문하신 유니폼이 발송되었습니다. 이용해 주셔서 감사합니다.'
+    }
+};
+
+// Renders shown inline in the session email to production
+const SESSION_EMAIL_RENDER_PRESETS = ['front', 'back'];
+
 class EmailService {
     constructor() {
         this.transporter = null;
@@ -91,12 +118,16 @@ class EmailService {
         const smtpConfig = {
             host: config.host,
             port: config.port,
-            secure: config.secure,
-            auth: {
+            secure: config.secure
+        };
+
+        // Relays without authentication (e.g. a local SMTP stand-in) are allowed
+        if (config.user) {
+            smtpConfig.auth = {
                 user: config.user,
                 pass: config.pass
-            }
-        };
+            };
+        }
 
         this.transporter = nodemailer.createTransport(smtpConfig);
     }
@@ -107,14 +138,50 @@ class EmailService {
         return await this.sendEmail(to, title, html);
     }
 
+    /**
+     * Tell a customer their order moved to a new status
+     * @param {string} to - Customer email
+     * @param {Object} order - Stored order data (orderNumber, customerName, teamName, status)
+     * @param {string} actionUrl - Link back to the design session
+     * @param {Array} renders - Product shots shown inline ({ preset, filename, path }, see RenderStore)
+     */
+    async sendOrderStatusUpdate(to, order, actionUrl = null, renders = []) {
+        const copy = ORDER_STATUS_EMAILS[order.status];
+        if (!copy) {
+            throw new Error(`No email template for order status: ${order.status}`);
+        }
+
+        const subject = `[ST Configurator] ${copy.title} (${order.orderNumber})`;
+        const html = this.createOrderStatusTemplate(order, actionUrl, renders);
+        const attachments = renders.map(render => ({
+            filename: render.filename,
+            path: render.path,
+            cid: `render-${render.preset}`
+        }));
+        return await this.sendEmail(to, subject, html, null, attachments);
+    }
+
     async sendWelcome(to, name) {
         const subject = 'Welcome to ST Configurator';
         const html = this.createWelcomeTemplate(name);
         return await this.sendEmail(to, subject, html);
     }
 
+    getSessionUrl(sessionId) {
+        return `${process.env.SERVER_PROTOCOL || 'http'}://${process.env.SERVER_HOST || 'localhost'}:${process.env.PORT}/${sessionId}`;
+    }
+
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     // HTML Email Templates
-    createNotificationTemplate(title, message, actionUrl = null) {
+    createNotificationTemplate(title, message, actionUrl = null, actionLabel = 'Take Action') {
         return `
 <!DOCTYPE html>
 <html>
@@ -136,7 +203,7 @@ class EmailService {
     </div>
     <div class="content">
         <p>${message}</p>
-        ${actionUrl ? `<a href="${actionUrl}" class="button">Take Action</a>` : ''}
+        ${actionUrl ? `<a href="${actionUrl}" class="button">${actionLabel}</a>` : ''}
     </div>
     <div class="footer">
         <p>Sent by ST Configurator - 3D Uniform Configuration Tool</p>
@@ -145,6 +212,27 @@ class EmailService {
 </html>`;
     }
 
+    // Order status update built on the notification layout; order fields are customer input, so escape them
+    createOrderStatusTemplate(order, actionUrl = null, renders = []) {
+        const copy = ORDER_STATUS_EMAILS[order.status];
+        const team = order.teamName ? ` (${this.escapeHtml(order.teamName)})` : '';
+        const images = renders
+            .map(render => `<img src="cid:render-${this.escapeHtml(render.preset)}" alt="${this.escapeHtml(render.preset)}" width="260" style="max-width:48%;margin:4px;">`)
+            .join('');
+        const message = [
+            `${this.escapeHtml(order.customerName) || '고객'}님, 주문번호 <strong>${this.escapeHtml(order.orderNumber)}</strong>${team}의 진행 상황을 알려드립니다.`,
+            this.escapeHtml(copy.message),
+            images
+        ].filter(Boolean).join('<br><br>');
+
+        return this.createNotificationTemplate(
+            this.escapeHtml(copy.title),
+            message,
+            actionUrl ? this.escapeHtml(actionUrl) : null,
+            '디자인 보기'
+        );
+    }
+
     createWelcomeTemplate(name) {
         return `
 <!DOCTYPE html>
@@ -193,7 +281,11 @@ class EmailService {
 </html>`;
     }
 
-    async sendSessionFiles(sessionId, sessionData, recipient = null) {
+    /**
+     * Email the session's files as a zip to production
+     * @param {Array} renders - Product shots ({ preset, filename, path }, see RenderStore); front and back are shown inline
+     */
+    async sendSessionFiles(sessionId, sessionData, recipient = null, renders = []) {
         try {
             const emailRecipient = recipient || process.env.EMAIL_RECIPIENT;
             if (!emailRecipient) {
@@ -207,14 +299,19 @@ class EmailService {
 
             // Create email with session details
             const subject = `ST Configurator Session: ${sessionId}`;
-            const html = this.createSessionEmailTemplate(sessionId, sessionData);
+            const designRenders = renders.filter(render => SESSION_EMAIL_RENDER_PRESETS.includes(render.preset));
+            const html = this.createSessionEmailTemplate(sessionId, sessionData, designRenders);
 
             // Prepare attachment
             const attachments = [{
                 filename: `session_${sessionId}.zip`,
                 path: zipPath,
                 contentType: 'application/zip'
-            }];
+            }, ...designRenders.map(render => ({
+                filename: render.filename,
+                path: render.path,
+                cid: `render-${render.preset}`
+            }))];
 
             // Send email with zip attachment
             const result = await this.sendEmail(emailRecipient, subject, html, null, attachments);
@@ -342,7 +439,7 @@ class EmailService {
         });
     }
 
-    createSessionEmailTemplate(sessionId, sessionData) {
+    createSessionEmailTemplate(sessionId, sessionData, renders = []) {
         const layerCount = sessionData?.layers?.length || 0;
         const timestamp = new Date().toISOString();
         
@@ -391,6 +488,13 @@ class EmailService {
         </div>
         ` : ''}
 
+        ${renders.length > 0 ? `
+        <div class="info-box">
+            <h3>🖼️ Design</h3>
+            ${renders.map(render => `<img src="cid:render-${this.escapeHtml(render.preset)}" alt="${this.escapeHtml(render.preset)}" width="260" style="max-width:48%;margin:4px;">`).join('')}
+        </div>
+        ` : ''}
+
         <div class="info-box">
             <h3>📦 Attached Files</h3>
             <p>This email includes a ZIP file containing:</p>
@@ -406,7 +510,7 @@ class EmailService {
         <div class="info-box">
             <h3>🔗 Session Access</h3>
             <p>This session can be accessed online at:</p>
-            <p><strong>${process.env.SERVER_PROTOCOL || 'http'}://${process.env.SERVER_HOST || 'localhost'}:${process.env.PORT}/${sessionId}</strong></p>
+            <p><strong>${this.getSessionUrl(sessionId)}</strong></p>
         </div>
     </div>
     <div class="footer">
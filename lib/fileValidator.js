@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const SvgSanitizer = require('./svgSanitizer');
 
 /**
  * Secure File Validator - Magic Byte and Content Verification
@@ -32,6 +33,10 @@ class FileValidator {
             ]
         };
 
+        // SVG is text, so it is detected by its root element instead of magic bytes
+        this.svgMimeType = 'image/svg+xml';
+        this.svgSanitizer = new SvgSanitizer();
+
         // Dangerous file signatures to block
         this.dangerousSignatures = [
             // Executables
@@ -78,11 +83,22 @@ class FileValidator {
             /\.\.\/+/g, // Path traversal
             /\0/g,      // Null bytes
         ];
+
+        // Anything the SVG sanitizer should have removed; a match after sanitizing means it was bypassed
+        this.svgThreatPatterns = [
+            /<script[\s>/]/i,
+            /<foreignObject[\s>/]/i,
+            /<!ENTITY/i,
+            /\son[a-z]+\s*=/i,
+            /href\s*=\s*["']\s*(?!#|data:image\/(png|jpe?g|gif|webp);base64,)/i,
+            /url\(\s*(?!['"]?\s*#)/i,
+            /@import/i
+        ];
     }
 
     /**
      * Comprehensive file validation
-     * @param {Object} file - Multer file object with buffer
+     * @param {Object} file - Multer file object with buffer (SVG buffers are replaced with sanitized markup)
      * @returns {Object} - Validation result
      */
     validateFile(file) {
@@ -128,6 +144,17 @@ class FileValidator {
                 results.errors.push(magicByteResult.error);
             }
 
+            // 3b. SVG sanitization - the sanitized markup replaces the upload for everything downstream
+            if (magicByteResult.valid && magicByteResult.detectedType === this.svgMimeType) {
+                const sanitizeResult = this.sanitizeSvgFile(file);
+                if (!sanitizeResult.valid) {
+                    results.errors.push(sanitizeResult.error);
+                } else if (sanitizeResult.removed.length > 0) {
+                    results.warnings.push(`SVG sanitized, removed: ${sanitizeResult.removed.join(', ')}`);
+                }
+                results.fileInfo.size = file.size;
+            }
+
             // 4. Dangerous signature detection
             if (this.containsDangerousSignatures(file.buffer)) {
                 results.errors.push('File contains dangerous executable signatures');
@@ -185,6 +212,12 @@ class FileValidator {
             };
         }
 
+        if (claimedMimeType === this.svgMimeType) {
+            return this.svgSanitizer.isSvg(buffer)
+                ? { valid: true, detectedType: this.svgMimeType }
+                : { valid: false, error: 'File content is not an SVG document', detectedType: null };
+        }
+
         // Check against claimed MIME type
         if (this.magicBytes[claimedMimeType]) {
             for (const signature of this.magicBytes[claimedMimeType]) {
@@ -229,6 +262,14 @@ class FileValidator {
             }
         }
 
+        if (this.svgSanitizer.isSvg(buffer)) {
+            return {
+                valid: false,
+                error: `Content is ${this.svgMimeType}, but MIME type is ${claimedMimeType}`,
+                detectedType: this.svgMimeType
+            };
+        }
+
         return {
             valid: false,
             error: 'Unrecognized file format - magic bytes do not match any supported image type',
@@ -236,6 +277,22 @@ class FileValidator {
         };
     }
 
+    /**
+     * Replace an SVG upload's buffer with sanitized markup
+     * @param {Object} file - Multer file object, updated in place
+     * @returns {Object} - { valid, removed, error }
+     */
+    sanitizeSvgFile(file) {
+        try {
+            const { svg, removed } = this.svgSanitizer.sanitize(file.buffer);
+            file.buffer = Buffer.from(svg, 'utf8');
+            file.size = file.buffer.length;
+            return { valid: true, removed };
+        } catch (error) {
+            return { valid: false, removed: [], error: `SVG rejected: ${error.message}` };
+        }
+    }
+
     /**
      * Check if buffer matches signature at offset
      */
@@ -294,6 +351,18 @@ class FileValidator {
                 }
             }
 
+            // SVG is scanned in full - markup past the first 64KB is just as live
+            if (fileInfo.detectedType === this.svgMimeType) {
+                // CSS escapes could hide url( from the patterns
+                const svgContent = this.svgSanitizer.unescapeCss(buffer.toString('utf8'));
+                for (const pattern of this.svgThreatPatterns) {
+                    if (pattern.test(svgContent)) {
+                        result.safe = false;
+                        result.threats.push(`Unsafe SVG content detected: ${pattern.source}`);
+                    }
+                }
+            }
+
             // Check for high entropy (possible encrypted/compressed payload)
             const entropy = this.calculateEntropy(buffer.slice(0, 1024));
             if (entropy > 7.5) {
@@ -355,7 +424,8 @@ class FileValidator {
             'image/jpeg',
             'image/png',
             'image/webp',
-            'image/gif'
+            'image/gif',
+            this.svgMimeType
         ];
 
         return supportedTypes.includes(mimeType);
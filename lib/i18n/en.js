@@ -26,6 +26,8 @@ export default {
         scale: "Scale",
         rotation: "Rotation",
         flipHorizontal: "Flip Horizontal",
+        aspectLock: "Keep Aspect Ratio",
+        snap: "Snap",
         color: "Color",
         opacity: "Opacity",
         position: "Position",
@@ -81,7 +83,24 @@ export default {
         unlocked: "Unlocked",
         textLayer: "Text Layer",
         logoLayer: "Logo Layer",
-        imageLayer: "Image Layer"
+        imageLayer: "Image Layer",
+        arrange: "Arrange layers",
+        alignLeft: "Align left",
+        alignCenter: "Align center",
+        alignRight: "Align right",
+        alignTop: "Align top",
+        alignMiddle: "Align middle",
+        alignBottom: "Align bottom",
+        distributeX: "Distribute horizontally",
+        distributeY: "Distribute vertically",
+        group: "Group",
+        ungroup: "Ungroup",
+        copy: "Copy",
+        paste: "Paste",
+        copied: "Copied {count} layers",
+        pasted: "Pasted {count} layers",
+        crossesSeam: "⚠️ Layer \"{name}\" crosses a seam. Move it within one panel or make it smaller",
+        outlineColor: "{label} outline {index}"
     },
 
     // ========================================
@@ -134,7 +153,8 @@ export default {
         sleeveType: "Sleeve Type",
         topSize: "Top Size",
         bottomSize: "Bottom Size",
-        price: "Price"
+        price: "Price",
+        rosterPreviewEmpty: "Add players to the order form to preview them"
     },
 
     // ========================================
@@ -521,6 +541,42 @@ export default {
         loadSession: "Load saved session"
     },
 
+    // ========================================
+    // Print Export
+    // ========================================
+    printExport: {
+        serverRequired: "❌ Print export needs the server. Server may be offline.",
+        generating: "🖨️ Generating print files...",
+        skippedLayers: "⚠️ {count} layers could not be placed in the print files",
+        ready: "✅ {count} print files are ready",
+        failed: "Print file export failed: {error}"
+    },
+
+    // ========================================
+    // Image Cleanup
+    // ========================================
+    imageCleanup: {
+        serverRequired: "❌ Background removal and color reduction require the server. The server may be offline.",
+        noBackground: "No solid background color was found",
+        reduced: "🎨 Reduced to {count} colors",
+        backgroundRemoved: "✅ Background removed",
+        failed: "❌ Image cleanup failed: {error}"
+    },
+
+    // ========================================
+    // Version History
+    // ========================================
+    versions: {
+        restoredFrom: " (restored from v{version})",
+        current: " · current",
+        sameAsCurrent: "v{version} is the same as the current design.",
+        diff: "v{version} → current: {settings} settings changed, layers +{added} / -{removed} / {changed} edited",
+        confirmRestore: "Restore v{version} as the current design? The current design stays in the version history.",
+        restored: "✅ Restored v{version}",
+        restoreFailed: "Failed to restore the version: {error}",
+        forkFailed: "Failed to create a new session: {error}"
+    },
+
     // ========================================
     // Language Settings
     // ========================================
@@ -26,6 +26,8 @@ export default {
         scale: "크기",
         rotation: "회전",
         flipHorizontal: "좌우반전",
+        aspectLock: "비율 고정",
+        snap: "스냅",
         color: "색상",
         opacity: "투명도",
         position: "위치",
@@ -81,7 +83,24 @@ export default {
         unlocked: "잠금 해제",
         textLayer: "텍스트 레이어",
         logoLayer: "로고 레이어",
-        imageLayer: "이미지 레이어"
+        imageLayer: "이미지 레이어",
+        arrange: "레이어 정렬",
+        alignLeft: "왼쪽 정렬",
+        alignCenter: "가운데 정렬",
+        alignRight: "오른쪽 정렬",
+        alignTop: "위쪽 정렬",
+        alignMiddle: "세로 가운데 정렬",
+        alignBottom: "아래쪽 정렬",
+        distributeX: "가로 간격 균등",
+        distributeY: "세로 간격 균등",
+        group: "그룹 만들기",
+        ungroup: "그룹 해제",
+        copy: "복사",
+        paste: "붙여넣기",
+        copied: "레이어 {count}개를 복사했습니다",
+        pasted: "레이어 {count}개를 붙여넣었습니다",
+        crossesSeam: "⚠️ \"{name}\" 레이어가 봉제선을 넘어갑니다. 한 부위 안으로 옮기거나 크기를 줄여 주세요",
+        outlineColor: "{label} 외곽선 {index}"
     },
 
     // ========================================
@@ -134,7 +153,8 @@ export default {
         sleeveType: "소매 타입",
         topSize: "상의 사이즈",
         bottomSize: "하의 사이즈",
-        price: "가격"
+        price: "가격",
+        rosterPreviewEmpty: "주문서에 선수를 추가하면 미리보기가 표시됩니다"
     },
 
     // ========================================
@@ -521,6 +541,42 @@ export default {
         loadSession: "저장된 세션 불러오기"
     },
 
+    // ========================================
+    // 인쇄용 파일
+    // ========================================
+    printExport: {
+        serverRequired: "❌ 인쇄용 파일은 서버가 필요합니다. 서버가 오프라인일 수 있습니다.",
+        generating: "🖨️ 인쇄용 파일을 생성하는 중...",
+        skippedLayers: "⚠️ {count}개 레이어를 인쇄 파일에 넣지 못했습니다",
+        ready: "✅ 인쇄용 파일 {count}개가 준비되었습니다",
+        failed: "인쇄용 파일 생성에 실패했습니다: {error}"
+    },
+
+    // ========================================
+    // 이미지 정리
+    // ========================================
+    imageCleanup: {
+        serverRequired: "❌ 배경 제거와 색상 줄이기는 서버가 필요합니다. 서버가 오프라인일 수 있습니다.",
+        noBackground: "단색 배경을 찾지 못했습니다",
+        reduced: "🎨 {count}가지 색상으로 줄였습니다",
+        backgroundRemoved: "✅ 배경을 제거했습니다",
+        failed: "❌ 이미지 정리 실패: {error}"
+    },
+
+    // ========================================
+    // 버전 기록
+    // ========================================
+    versions: {
+        restoredFrom: " (v{version} 복원)",
+        current: " · 현재",
+        sameAsCurrent: "v{version}은(는) 현재 디자인과 같습니다.",
+        diff: "v{version} → 현재: 설정 {settings}개 변경, 레이어 +{added} / -{removed} / 수정 {changed}",
+        confirmRestore: "v{version}을(를) 현재 디자인으로 복원할까요? 지금 디자인도 버전 기록에 남아 있습니다.",
+        restored: "✅ v{version}을(를) 복원했습니다",
+        restoreFailed: "버전 복원에 실패했습니다: {error}",
+        forkFailed: "새 세션 만들기에 실패했습니다: {error}"
+    },
+
     // ========================================
     // 언어 설정
     // ========================================
@@ -3,15 +3,59 @@ const fs = require('fs').promises;
 const path = require('path');
 const FileValidator = require('./fileValidator');
 
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+// Background removal works on RGB distance (0-255): pixels within `tolerance` of the background
+// become transparent, the next `feather` steps fade out so anti-aliased edges keep no halo
+const CLEANUP_DEFAULTS = { tolerance: 32, feather: 24 };
+// Share of the border the background color must cover to count as a (near) solid background
+const BACKGROUND_MIN_SHARE = 0.6;
+const MAX_POSTERIZE_COLORS = 8;
+// Pixels sampled when clustering colors; the result is then applied to every pixel
+const POSTERIZE_SAMPLE_SIZE = 20000;
+const POSTERIZE_ITERATIONS = 8;
+
+const clampNumber = (value, min, max, fallback) => {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+};
+
+const toHex = ({ r, g, b }) => `#${[r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+
+const fromHex = color => ({
+    r: parseInt(color.slice(1, 3), 16),
+    g: parseInt(color.slice(3, 5), 16),
+    b: parseInt(color.slice(5, 7), 16)
+});
+
+// Euclidean RGB distance scaled back to 0-255
+const colorDistance = (data, offset, color) => Math.sqrt(
+    ((data[offset] - color.r) ** 2 + (data[offset + 1] - color.g) ** 2 + (data[offset + 2] - color.b) ** 2) / 3
+);
+
+const nearestColor = (data, offset, colors) => {
+    let nearest = 0;
+    let nearestDistance = Infinity;
+    colors.forEach((color, index) => {
+        const distance = colorDistance(data, offset, color);
+        if (distance < nearestDistance) {
+            nearest = index;
+            nearestDistance = distance;
+        }
+    });
+    return nearest;
+};
+
 class ImageProcessor {
     constructor(options = {}) {
         this.maxWidth = options.maxWidth || 1024;
         this.maxHeight = options.maxHeight || 1024;
         this.maxInputWidth = options.maxInputWidth || 8192;
         this.maxInputHeight = options.maxInputHeight || 8192;
+        // Decoding stops beyond this many pixels, so a small file can't expand into gigabytes
+        this.maxInputPixels = options.maxInputPixels || this.maxInputWidth * this.maxInputHeight;
         this.quality = options.quality || 80;
         this.imageConversionThreshold = options.imageConversionThreshold || 2;
-        this.supportedFormats = options.supportedFormats || ['jpeg', 'png', 'webp', 'gif'];
+        this.supportedFormats = options.supportedFormats || ['jpeg', 'png', 'webp', 'gif', 'svg'];
         this.processedDir = options.processedDir || './processed';
 
         // Initialize secure file validator
@@ -40,6 +84,11 @@ class ImageProcessor {
         console.log(`Processing image ${fileData.originalname} for job ${jobId}`);
         
         try {
+            // Vector logos stay vector - resizing or re-encoding would rasterize them
+            if (fileData.mimetype === 'image/svg+xml') {
+                return await this.processVectorImage(fileData, startTime);
+            }
+
             // Check if image size is below conversion threshold
             const fileSizeMB = fileData.buffer.length / (1024 * 1024);
             const thresholdMB = this.imageConversionThreshold;
@@ -72,7 +121,7 @@ class ImageProcessor {
             console.log(`Image ${fileData.originalname} (${fileSizeMB.toFixed(2)}MB) exceeds threshold (${thresholdMB}MB) - processing`);
             
             // Get image metadata
-            const image = sharp(fileData.buffer);
+            const image = sharp(fileData.buffer, { limitInputPixels: this.maxInputPixels });
             const metadata = await image.metadata();
             
             console.log(`Original image: ${metadata.width}x${metadata.height}, ${metadata.format}, ${Math.round(fileData.buffer.length / 1024)}KB`);
@@ -213,6 +262,354 @@ class ImageProcessor {
         }
     }
     
+    /**
+     * Pass a (sanitized) SVG through unchanged, reporting its intrinsic size
+     * @param {Object} fileData - File data with the sanitized SVG buffer
+     * @param {number} startTime - Processing start timestamp
+     * @returns {Object} - Processing result in the small-image (processedData) format
+     */
+    async processVectorImage(fileData, startTime) {
+        const metadata = await sharp(fileData.buffer).metadata();
+        const size = {
+            width: metadata.width || null,
+            height: metadata.height || null,
+            fileSize: Math.round(fileData.buffer.length / 1024)
+        };
+
+        console.log(`Vector image ${fileData.originalname} kept as SVG (${size.width}x${size.height})`);
+
+        return {
+            success: true,
+            originalName: fileData.originalname,
+            processedData: fileData.buffer.toString('base64'),
+            mimeType: 'image/svg+xml',
+            processingTime: Date.now() - startTime,
+            message: 'Vector image kept as SVG',
+            originalSize: size,
+            newSize: size,
+            format: 'svg',
+            isVector: true
+        };
+    }
+
+    /**
+     * Validate background removal / color reduction options
+     * @param {Object} options - { removeBackground, tolerance, feather, colors } (form fields are strings)
+     * @returns {Object} - Normalized options
+     */
+    static normalizeCleanupOptions(options = {}) {
+        const removeBackground = options.removeBackground === true || options.removeBackground === 'true';
+        const colors = options.colors === undefined || options.colors === null || options.colors === ''
+            ? null
+            : Math.round(Number(options.colors));
+
+        if (colors !== null && !(colors >= 2 && colors <= MAX_POSTERIZE_COLORS)) {
+            throw new Error(`colors must be between 2 and ${MAX_POSTERIZE_COLORS}`);
+        }
+        if (!removeBackground && colors === null) {
+            throw new Error('Nothing to do: set removeBackground and/or colors');
+        }
+
+        return {
+            removeBackground,
+            tolerance: clampNumber(options.tolerance, 0, 255, CLEANUP_DEFAULTS.tolerance),
+            feather: clampNumber(options.feather, 0, 128, CLEANUP_DEFAULTS.feather),
+            colors
+        };
+    }
+
+    /**
+     * Remove a solid background and/or reduce a logo to a few recolorable colors (job processor)
+     * @param {Object} fileData - File data with buffer, originalname and the cleanup options
+     * @param {string} jobId - Job ID for tracking
+     * @returns {Object} - Result in the small-image (processedData) format plus the detected
+     *   background color and, when posterized, the palette (most used color first)
+     */
+    async cleanupImage(fileData, jobId) {
+        const startTime = Date.now();
+        const options = ImageProcessor.normalizeCleanupOptions(fileData.cleanup);
+        console.log(`🧽 Cleaning up ${fileData.originalname} for job ${jobId}:`, options);
+
+        try {
+            const { data, info } = await sharp(fileData.buffer, { limitInputPixels: this.maxInputPixels })
+                .rotate()
+                .resize(this.maxWidth, this.maxHeight, { fit: 'inside', withoutEnlargement: true })
+                .ensureAlpha()
+                .raw()
+                .toBuffer({ resolveWithObject: true });
+            const { width, height } = info;
+
+            let background = null;
+            if (options.removeBackground) {
+                background = ImageProcessor.detectBackground(data, width, height, options.tolerance);
+                if (background) {
+                    ImageProcessor.removeBackground(data, width, height, background, options);
+                }
+            }
+
+            const palette = options.colors ? ImageProcessor.posterize(data, options.colors) : null;
+
+            const outputBuffer = await sharp(data, { raw: { width, height, channels: 4 } }).png().toBuffer();
+            const size = { width, height, fileSize: Math.round(outputBuffer.length / 1024) };
+            const messages = [];
+            if (options.removeBackground) {
+                messages.push(background ? `Removed ${toHex(background)} background` : 'No solid background found');
+            }
+            if (palette) {
+                messages.push(`Reduced to ${palette.length} colors`);
+            }
+
+            console.log(`✅ Cleanup completed for job ${jobId}: ${messages.join(', ')} (${Date.now() - startTime}ms)`);
+
+            return {
+                success: true,
+                originalName: fileData.originalname,
+                processedData: outputBuffer.toString('base64'),
+                mimeType: 'image/png',
+                processingTime: Date.now() - startTime,
+                message: messages.join(', '),
+                originalSize: { width, height, fileSize: Math.round(fileData.buffer.length / 1024) },
+                newSize: size,
+                format: 'png',
+                background: background ? toHex(background) : null,
+                palette
+            };
+        } catch (error) {
+            console.error(`Image cleanup failed for job ${jobId}:`, error);
+            throw new Error(`Image cleanup failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Background color of a logo: the dominant color of its border, if it is (near) solid
+     * @param {Buffer} data - RGBA pixels
+     * @returns {Object|null} - { r, g, b }, or null when the border is transparent or mixed
+     */
+    static detectBackground(data, width, height, tolerance = CLEANUP_DEFAULTS.tolerance) {
+        const border = [];
+        for (let x = 0; x < width; x++) {
+            border.push(x, (height - 1) * width + x);
+        }
+        for (let y = 1; y < height - 1; y++) {
+            border.push(y * width, y * width + width - 1);
+        }
+
+        const opaque = border.filter(pixel => data[pixel * 4 + 3] >= 128);
+        // Already cut out
+        if (opaque.length < border.length / 2) {
+            return null;
+        }
+
+        // Most common color, bucketed to 4 bits per channel, then averaged
+        const buckets = new Map();
+        opaque.forEach(pixel => {
+            const offset = pixel * 4;
+            const key = ((data[offset] >> 4) << 8) | ((data[offset + 1] >> 4) << 4) | (data[offset + 2] >> 4);
+            if (!buckets.has(key)) {
+                buckets.set(key, []);
+            }
+            buckets.get(key).push(offset);
+        });
+        const dominant = [...buckets.values()].reduce((best, offsets) => (offsets.length > best.length ? offsets : best));
+        const average = channel => dominant.reduce((sum, offset) => sum + data[offset + channel], 0) / dominant.length;
+        const color = { r: average(0), g: average(1), b: average(2) };
+
+        const matching = opaque.filter(pixel => colorDistance(data, pixel * 4, color) <= tolerance).length;
+        return matching >= opaque.length * BACKGROUND_MIN_SHARE ? color : null;
+    }
+
+    /**
+     * Flood-fill the background from the image border and make it transparent. Pixels within
+     * the feather range fade out and have the background color taken out of them, so edges
+     * anti-aliased against white don't keep a light fringe on dark fabric. Enclosed areas
+     * (the inside of an "O") are not connected to the border and are kept.
+     * @param {Buffer} data - RGBA pixels, changed in place
+     */
+    static removeBackground(data, width, height, background, { tolerance, feather }) {
+        const visited = new Uint8Array(width * height);
+        const stack = [];
+        const visit = pixel => {
+            if (!visited[pixel]) {
+                visited[pixel] = 1;
+                stack.push(pixel);
+            }
+        };
+
+        for (let x = 0; x < width; x++) {
+            visit(x);
+            visit((height - 1) * width + x);
+        }
+        for (let y = 0; y < height; y++) {
+            visit(y * width);
+            visit(y * width + width - 1);
+        }
+
+        while (stack.length > 0) {
+            const pixel = stack.pop();
+            const offset = pixel * 4;
+            const distance = colorDistance(data, offset, background);
+
+            if (distance > tolerance + feather) {
+                continue;
+            }
+
+            if (distance <= tolerance) {
+                data[offset + 3] = 0;
+            } else {
+                const alpha = (distance - tolerance) / Math.max(1, feather);
+                data[offset] = Math.min(255, Math.max(0, background.r + (data[offset] - background.r) / alpha));
+                data[offset + 1] = Math.min(255, Math.max(0, background.g + (data[offset + 1] - background.g) / alpha));
+                data[offset + 2] = Math.min(255, Math.max(0, background.b + (data[offset + 2] - background.b) / alpha));
+                data[offset + 3] = Math.round(data[offset + 3] * alpha);
+                // The fill stops at the edge
+                continue;
+            }
+
+            const x = pixel % width;
+            if (x > 0) visit(pixel - 1);
+            if (x < width - 1) visit(pixel + 1);
+            if (pixel >= width) visit(pixel - width);
+            if (pixel < width * (height - 1)) visit(pixel + width);
+        }
+    }
+
+    /**
+     * Reduce the visible pixels to at most `count` colors (k-means, seeded with the farthest
+     * colors so small accent colors survive)
+     * @param {Buffer} data - RGBA pixels, changed in place
+     * @returns {string[]} - The remaining colors, most used first
+     */
+    static posterize(data, count) {
+        const pixelCount = data.length / 4;
+        let opaqueCount = 0;
+        for (let pixel = 0; pixel < pixelCount; pixel++) {
+            if (data[pixel * 4 + 3] >= 128) opaqueCount++;
+        }
+        if (opaqueCount === 0) {
+            return [];
+        }
+
+        const step = Math.max(1, Math.floor(opaqueCount / POSTERIZE_SAMPLE_SIZE));
+        const samples = [];
+        for (let pixel = 0, seen = 0; pixel < pixelCount; pixel++) {
+            if (data[pixel * 4 + 3] >= 128 && seen++ % step === 0) {
+                samples.push(pixel * 4);
+            }
+        }
+
+        const centers = ImageProcessor.findPosterizeColors(data, samples, count);
+
+        const usage = centers.map(() => 0);
+        for (let offset = 0; offset < data.length; offset += 4) {
+            if (data[offset + 3] > 0) {
+                const index = nearestColor(data, offset, centers);
+                data[offset] = centers[index].r;
+                data[offset + 1] = centers[index].g;
+                data[offset + 2] = centers[index].b;
+                usage[index]++;
+            }
+        }
+
+        return [...new Set(centers
+            .map((center, index) => ({ color: toHex(center), used: usage[index] }))
+            .filter(entry => entry.used > 0)
+            .sort((a, b) => b.used - a.used)
+            .map(entry => entry.color))];
+    }
+
+    /**
+     * Pick up to `count` colors for the sampled pixels: farthest-point seeds, then k-means
+     * @param {number[]} samples - Byte offsets of the sampled opaque pixels
+     * @returns {Array<{r: number, g: number, b: number}>}
+     */
+    static findPosterizeColors(data, samples, count) {
+        const mean = channel => samples.reduce((sum, offset) => sum + data[offset + channel], 0) / samples.length;
+        let centers = [{ r: mean(0), g: mean(1), b: mean(2) }];
+        while (centers.length < count) {
+            let farthest = -1;
+            let farthestDistance = 0;
+            for (const offset of samples) {
+                const distance = colorDistance(data, offset, centers[nearestColor(data, offset, centers)]);
+                if (distance > farthestDistance) {
+                    farthest = offset;
+                    farthestDistance = distance;
+                }
+            }
+            if (farthest === -1) {
+                break; // Fewer distinct colors than requested
+            }
+            centers.push({ r: data[farthest], g: data[farthest + 1], b: data[farthest + 2] });
+        }
+
+        for (let iteration = 0; iteration < POSTERIZE_ITERATIONS; iteration++) {
+            const sums = centers.map(() => ({ r: 0, g: 0, b: 0, count: 0 }));
+            for (const offset of samples) {
+                const sum = sums[nearestColor(data, offset, centers)];
+                sum.r += data[offset];
+                sum.g += data[offset + 1];
+                sum.b += data[offset + 2];
+                sum.count++;
+            }
+            centers = sums
+                .filter(sum => sum.count > 0)
+                .map(sum => ({ r: Math.round(sum.r / sum.count), g: Math.round(sum.g / sum.count), b: Math.round(sum.b / sum.count) }));
+        }
+
+        return centers;
+    }
+
+    /**
+     * Validate a layer palette: [{ source, color }] pairs of #rrggbb colors
+     * @returns {Array|null} - The palette, or null when it is missing or invalid
+     */
+    static normalizePalette(palette) {
+        if (!Array.isArray(palette)) {
+            return null;
+        }
+        const entries = palette
+            .filter(entry => HEX_COLOR.test(entry?.source || '') && HEX_COLOR.test(entry?.color || ''))
+            .slice(0, MAX_POSTERIZE_COLORS)
+            .map(({ source, color }) => ({ source: source.toLowerCase(), color: color.toLowerCase() }));
+        return entries.length > 0 ? entries : null;
+    }
+
+    /**
+     * Replace each palette source color with its chosen color; pixels take the entry nearest
+     * to them (same mapping as LayerManager on the client)
+     * @param {Buffer} data - RGBA pixels, changed in place
+     */
+    static recolorPixels(data, palette) {
+        const sources = palette.map(entry => fromHex(entry.source));
+        const targets = palette.map(entry => fromHex(entry.color));
+        const cache = new Map();
+
+        for (let offset = 0; offset < data.length; offset += 4) {
+            if (data[offset + 3] === 0) continue;
+
+            const key = (data[offset] << 16) | (data[offset + 1] << 8) | data[offset + 2];
+            if (!cache.has(key)) {
+                cache.set(key, nearestColor(data, offset, sources));
+            }
+            const target = targets[cache.get(key)];
+            data[offset] = target.r;
+            data[offset + 1] = target.g;
+            data[offset + 2] = target.b;
+        }
+    }
+
+    /**
+     * Recolored PNG of a posterized logo; the buffer is returned unchanged when no color was changed
+     */
+    static async recolorImage(buffer, palette) {
+        if (!palette || palette.every(entry => entry.source === entry.color)) {
+            return buffer;
+        }
+
+        const { data, info } = await sharp(buffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+        ImageProcessor.recolorPixels(data, palette);
+        return sharp(data, { raw: { width: info.width, height: info.height, channels: 4 } }).png().toBuffer();
+    }
+
     /**
      * Comprehensive secure image validation
      * @param {Object} fileData - File data
@@ -243,7 +640,22 @@ class ImageProcessor {
 
         return validation.isValid;
     }
-    
+
+    /**
+     * Join equally sized frames (e.g. a turntable render) into a looping animation
+     * @param {Object} animation - { frames: [Buffer], format: 'webp' | 'gif', delayMs, quality,
+     *   limitInputPixels (per frame) }
+     * @returns {Promise<Buffer>} - Encoded animation
+     */
+    static async encodeAnimation({ frames, format = 'webp', delayMs = 80, quality = 80, limitInputPixels = 4096 * 4096 }) {
+        const image = sharp(frames, { join: { animated: true }, limitInputPixels });
+        const timing = { delay: frames.map(() => delayMs), loop: 0 };
+
+        return format === 'gif'
+            ? image.gif(timing).toBuffer()
+            : image.webp({ ...timing, quality, alphaQuality: 90 }).toBuffer();
+    }
+
     /**
      * Get estimated processing time based on file size and dimensions
      * @param {Object} fileData - File data
@@ -0,0 +1,49 @@
+/**
+ * Worker thread entry for WorkerPool: runs image tasks off the main thread.
+ * Messages are { method, args }, e.g. the job's (fileData, jobId) for processImage.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const sharp = require('sharp');
+const ImageProcessor = require('./imageProcessor');
+const PrintExporter = require('./printExporter');
+
+// Every worker would otherwise keep its own libvips cache
+sharp.cache(false);
+
+const imageProcessor = new ImageProcessor(workerData?.imageProcessor);
+
+const TASKS = {
+    processImage: (fileData, jobId) => imageProcessor.processImage(fileData, jobId),
+    cleanupImage: (fileData, jobId) => imageProcessor.cleanupImage(fileData, jobId),
+    encodeAnimation: animation => ImageProcessor.encodeAnimation(animation),
+    blendMaskPasses: (size, passes) => PrintExporter.blendPasses(size, passes)
+};
+
+// Buffers arrive as plain Uint8Arrays after postMessage
+const reviveBuffers = value => {
+    if (value instanceof Uint8Array) {
+        return Buffer.isBuffer(value) ? value : Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+    }
+    if (Array.isArray(value)) {
+        return value.map(reviveBuffers);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, reviveBuffers(item)]));
+    }
+    return value;
+};
+
+parentPort.on('message', async ({ taskId, message }) => {
+    try {
+        const task = Object.hasOwn(TASKS, message.method) ? TASKS[message.method] : null;
+        if (!task) {
+            throw new Error(`Unknown image worker method: ${message.method}`);
+        }
+
+        const result = await task(...reviveBuffers(message.args));
+        parentPort.postMessage({ taskId, result });
+    } catch (error) {
+        parentPort.postMessage({ taskId, error: { message: error.message, code: error.code } });
+    }
+});
@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+// Default ΔE2000 above which a color counts as outside the printable gamut
+const DEFAULT_MAX_DELTA_E = 5;
+
+// D65 reference white for sRGB -> CIELAB
+const WHITE_POINT = [0.95047, 1, 1.08883];
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+/**
+ * Ink Library - Printable ink/Pantone reference table and perceptual (ΔE2000) color matching
+ * Customer colors are matched to the nearest ink; colors too far from every ink are out of gamut
+ */
+class InkLibrary {
+    constructor(options = {}) {
+        this.tablePath = path.resolve(options.tablePath || './config/inks.json');
+        this.table = null;
+        this.labs = [];
+        this.loadedMtimeMs = 0;
+
+        this.reload();
+    }
+
+    /**
+     * Load (or re-load) the ink table, validating it before it replaces the current one
+     */
+    reload() {
+        const table = JSON.parse(fs.readFileSync(this.tablePath, 'utf8'));
+
+        this.validateTable(table);
+
+        this.table = table;
+        this.labs = table.inks.map(ink => InkLibrary.hexToLab(ink.hex));
+        this.loadedMtimeMs = fs.statSync(this.tablePath).mtimeMs;
+
+        console.log(`✅ Ink table loaded: ${table.inks.length} inks (v${table.version})`);
+        return this.table;
+    }
+
+    /**
+     * Get the current ink table, picking up edits to the table file without a restart
+     */
+    getTable() {
+        try {
+            const { mtimeMs } = fs.statSync(this.tablePath);
+            if (mtimeMs !== this.loadedMtimeMs) {
+                this.reload();
+            }
+        } catch (error) {
+            // Keep matching against the last valid table if the file is mid-edit or broken
+            console.error('⚠️ Failed to reload ink table, using previous version:', error.message);
+        }
+
+        return this.table;
+    }
+
+    validateTable(table) {
+        if (!table || typeof table !== 'object') {
+            throw new Error('Ink table must be a JSON object');
+        }
+        if (!Array.isArray(table.inks) || table.inks.length === 0) {
+            throw new Error('Ink table must define at least one ink');
+        }
+        if (table.maxDeltaE !== undefined && !(Number.isFinite(table.maxDeltaE) && table.maxDeltaE > 0)) {
+            throw new Error('Ink table maxDeltaE must be a positive number');
+        }
+
+        const codes = new Set();
+        table.inks.forEach(ink => {
+            if (!ink || typeof ink.code !== 'string' || !ink.code.trim() || ink.code.length > 50) {
+                throw new Error(`Invalid ink code: ${ink && ink.code}`);
+            }
+            if (!HEX_COLOR.test(ink.hex || '')) {
+                throw new Error(`Ink "${ink.code}" needs a #rrggbb hex color`);
+            }
+            if (codes.has(ink.code)) {
+                throw new Error(`Ink "${ink.code}" is defined twice`);
+            }
+            codes.add(ink.code);
+        });
+    }
+
+    getMaxDeltaE() {
+        return this.getTable().maxDeltaE || DEFAULT_MAX_DELTA_E;
+    }
+
+    /**
+     * Nearest printable ink for a color
+     * @param {string} hex - #rrggbb color
+     * @returns {Object} { code, name, hex, deltaE, inGamut }
+     */
+    match(hex) {
+        const table = this.getTable();
+        const lab = InkLibrary.hexToLab(hex);
+
+        let bestIndex = 0;
+        let bestDeltaE = Infinity;
+        this.labs.forEach((inkLab, index) => {
+            const deltaE = InkLibrary.deltaE2000(lab, inkLab);
+            if (deltaE < bestDeltaE) {
+                bestDeltaE = deltaE;
+                bestIndex = index;
+            }
+        });
+
+        const ink = table.inks[bestIndex];
+        return {
+            code: ink.code,
+            name: ink.name || '',
+            hex: ink.hex.toLowerCase(),
+            deltaE: Math.round(bestDeltaE * 100) / 100,
+            inGamut: bestDeltaE <= this.getMaxDeltaE()
+        };
+    }
+
+    /**
+     * sRGB hex to CIELAB (D65)
+     */
+    static hexToLab(hex) {
+        const [r, g, b] = [1, 3, 5].map(index => {
+            const channel = parseInt(hex.slice(index, index + 2), 16) / 255;
+            return channel <= 0.04045 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+        });
+
+        const xyz = [
+            r * 0.4124564 + g * 0.3575761 + b * 0.1804375,
+            r * 0.2126729 + g * 0.7151522 + b * 0.0721750,
+            r * 0.0193339 + g * 0.1191920 + b * 0.9503041
+        ];
+        const [fx, fy, fz] = xyz.map((value, index) => {
+            const ratio = value / WHITE_POINT[index];
+            return ratio > 216 / 24389 ? Math.cbrt(ratio) : (24389 / 27 * ratio + 16) / 116;
+        });
+
+        return { L: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+    }
+
+    /**
+     * CIEDE2000 color difference (Sharma, Wu & Dalal 2005) with kL = kC = kH = 1
+     */
+    static deltaE2000(lab1, lab2) {
+        const meanC = (Math.hypot(lab1.a, lab1.b) + Math.hypot(lab2.a, lab2.b)) / 2;
+        const g = 0.5 * (1 - Math.sqrt(Math.pow(meanC, 7) / (Math.pow(meanC, 7) + Math.pow(25, 7))));
+
+        const a1 = lab1.a * (1 + g);
+        const a2 = lab2.a * (1 + g);
+        const c1 = Math.hypot(a1, lab1.b);
+        const c2 = Math.hypot(a2, lab2.b);
+        const h1 = c1 === 0 ? 0 : (toDegrees(Math.atan2(lab1.b, a1)) + 360) % 360;
+        const h2 = c2 === 0 ? 0 : (toDegrees(Math.atan2(lab2.b, a2)) + 360) % 360;
+
+        const deltaL = lab2.L - lab1.L;
+        const deltaC = c2 - c1;
+        let deltaH = 0;
+        if (c1 * c2 !== 0) {
+            deltaH = h2 - h1;
+            if (deltaH > 180) {
+                deltaH -= 360;
+            } else if (deltaH < -180) {
+                deltaH += 360;
+            }
+        }
+        const deltaHue = 2 * Math.sqrt(c1 * c2) * Math.sin(toRadians(deltaH / 2));
+
+        const meanL = (lab1.L + lab2.L) / 2;
+        const meanCPrime = (c1 + c2) / 2;
+        let meanH = h1 + h2;
+        if (c1 * c2 !== 0) {
+            if (Math.abs(h1 - h2) <= 180) {
+                meanH = (h1 + h2) / 2;
+            } else {
+                meanH = h1 + h2 < 360 ? (h1 + h2 + 360) / 2 : (h1 + h2 - 360) / 2;
+            }
+        }
+
+        const t = 1 -
+            0.17 * Math.cos(toRadians(meanH - 30)) +
+            0.24 * Math.cos(toRadians(2 * meanH)) +
+            0.32 * Math.cos(toRadians(3 * meanH + 6)) -
+            0.20 * Math.cos(toRadians(4 * meanH - 63));
+        const lightnessOffset = Math.pow(meanL - 50, 2);
+        const sl = 1 + 0.015 * lightnessOffset / Math.sqrt(20 + lightnessOffset);
+        const sc = 1 + 0.045 * meanCPrime;
+        const sh = 1 + 0.015 * meanCPrime * t;
+        const rotation = -2 * Math.sqrt(Math.pow(meanCPrime, 7) / (Math.pow(meanCPrime, 7) + Math.pow(25, 7))) *
+            Math.sin(toRadians(60 * Math.exp(-Math.pow((meanH - 275) / 25, 2))));
+
+        return Math.sqrt(
+            Math.pow(deltaL / sl, 2) +
+            Math.pow(deltaC / sc, 2) +
+            Math.pow(deltaHue / sh, 2) +
+            rotation * (deltaC / sc) * (deltaHue / sh)
+        );
+    }
+}
+
+module.exports = InkLibrary;
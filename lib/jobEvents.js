@@ -0,0 +1,108 @@
+/**
+ * JobEvents - pushes a session's job updates to its clients over Server-Sent Events, so they
+ * don't have to poll. Every message is an `event: job` whose data has a `type` of queued,
+ * started, progress, completed or failed. Results are not pushed: clients fetch them once
+ * from the usual status endpoint when a job is done.
+ */
+
+const HEARTBEAT_MS = 25000;
+// Open streams per session (a few tabs); each one holds a socket
+const MAX_CLIENTS_PER_SESSION = 4;
+
+class JobEvents {
+    constructor(jobQueue, options = {}) {
+        this.jobQueue = jobQueue;
+        this.clients = new Map(); // sessionId -> Set of responses
+        this.maxClientsPerSession = options.maxClientsPerSession || MAX_CLIENTS_PER_SESSION;
+
+        // Any change to the queue can move the queued jobs of every session
+        jobQueue.on('jobQueued', () => this.publishPositions());
+        jobQueue.on('jobStarted', (job) => {
+            this.publish(job, { type: 'started' });
+            this.publishPositions();
+        });
+        jobQueue.on('jobProgress', (job, progress) => this.publish(job, { type: 'progress', progress }));
+        jobQueue.on('jobCompleted', (job) => this.publish(job, { type: 'completed', processingTime: job.processingTime }));
+        jobQueue.on('jobFailed', (job) => this.publish(job, { type: 'failed', error: job.error.message }));
+
+        // Comments keep proxies from closing idle streams
+        this.heartbeat = setInterval(() => {
+            this.clients.forEach(responses => responses.forEach(res => res.write(': ping\n\n')));
+        }, options.heartbeatMs || HEARTBEAT_MS);
+    }
+
+    /**
+     * Start streaming a session's job events to a response. Jobs already queued or running
+     * are sent first
+     * @returns {boolean} - False (nothing written) when the session already has
+     *   maxClientsPerSession streams open
+     */
+    subscribe(sessionId, req, res) {
+        if ((this.clients.get(sessionId)?.size || 0) >= this.maxClientsPerSession) {
+            console.warn(`⚠️ Job events: too many streams for session ${sessionId}`);
+            return false;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 5000\n\n');
+
+        if (!this.clients.has(sessionId)) {
+            this.clients.set(sessionId, new Set());
+        }
+        this.clients.get(sessionId).add(res);
+        console.log(`📡 Job events: client subscribed to session ${sessionId}`);
+
+        this.jobQueue.getSessionJobs(sessionId).forEach(({ jobId, status, position, estimatedWaitTime, progress }) => {
+            this.send(res, status === 'queued'
+                ? { type: 'queued', jobId, position, estimatedWaitTime }
+                : { type: 'started', jobId, progress });
+        });
+
+        const unsubscribe = () => {
+            const responses = this.clients.get(sessionId);
+            responses?.delete(res);
+            if (responses?.size === 0) {
+                this.clients.delete(sessionId);
+            }
+        };
+        req.on('close', unsubscribe);
+        res.on('close', unsubscribe);
+        res.on('error', unsubscribe);
+        return true;
+    }
+
+    send(res, event) {
+        res.write(`event: job\ndata: ${JSON.stringify(event)}\n\n`);
+    }
+
+    publish(job, event) {
+        const responses = this.clients.get(job.options?.sessionId);
+        responses?.forEach(res => this.send(res, { jobId: job.id, ...event }));
+    }
+
+    /**
+     * Current queue positions of the queued jobs of every subscribed session
+     */
+    publishPositions() {
+        this.clients.forEach((responses, sessionId) => {
+            this.jobQueue.getSessionJobs(sessionId)
+                .filter(job => job.status === 'queued')
+                .forEach(({ jobId, position, estimatedWaitTime }) => {
+                    responses.forEach(res => this.send(res, { type: 'queued', jobId, position, estimatedWaitTime }));
+                });
+        });
+    }
+
+    close() {
+        clearInterval(this.heartbeat);
+        this.clients.forEach(responses => responses.forEach(res => res.end()));
+        this.clients.clear();
+    }
+}
+
+module.exports = JobEvents;
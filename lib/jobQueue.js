@@ -1,5 +1,6 @@
 const { v4: uuidv4 } = require('uuid');
 const EventEmitter = require('events');
+const JobStore = require('./jobStore');
 
 class JobQueue extends EventEmitter {
     constructor(options = {}) {
@@ -11,9 +12,18 @@ class JobQueue extends EventEmitter {
         this.maxQueueSize = options.maxQueueSize || 100;
         this.cleanupIntervalMs = options.cleanupIntervalMs || 60000;
         this.defaultProcessingTime = options.defaultProcessingTime || 5000;
+        this.retryDelayMs = options.retryDelayMs || 1000;
+        this.maxRetryDelayMs = options.maxRetryDelayMs || 60000;
+        this.maxRecoveries = options.maxRecoveries ?? 2; // restarts a running job may survive
+        
+        // Jobs are only persisted with a store directory and a named processor
+        this.store = options.storeDir ? new JobStore({ dir: options.storeDir }) : null;
+        this.processors = new Map(); // type -> function(data, jobId, onProgress, signal)
         
         // Queue state
-        this.queue = [];
+        this.queue = []; // highest priority first, then oldest first
+        this.sequence = 0;
+        this.wakeTimer = null;
         this.processing = new Map(); // jobId -> { job, startTime, timeout }
         this.completed = new Map(); // jobId -> { result, completedAt, expiresAt }
         this.failed = new Map(); // jobId -> { error, failedAt, expiresAt }
@@ -33,11 +43,23 @@ class JobQueue extends EventEmitter {
         console.log(`JobQueue initialized: maxConcurrent=${this.maxConcurrentJobs}, timeout=${this.jobTimeoutMs}ms`);
     }
     
+    /**
+     * Register a named processor. Jobs added by name are persisted and run again after a
+     * restart, so register every processor before calling recover()
+     * @param {string} type - Job type
+     * @param {Function} processor - async function(data, jobId, onProgress, signal); the
+     *   AbortSignal fires when the job times out, so work running elsewhere can be stopped
+     */
+    registerProcessor(type, processor) {
+        this.processors.set(type, processor);
+    }
+    
     /**
      * Add a job to the queue
-     * @param {Function} processor - Function that processes the job
+     * @param {string|Function} processor - Registered job type, or a function (not persisted)
      * @param {Object} data - Job data
-     * @param {Object} options - Job options (priority, delay, etc.)
+     * @param {Object} options - Job options (priority, maxRetries, timeoutMs, metadata, and
+     *   sessionId to publish the job's events to that session)
      * @returns {string} - Job ID
      */
     addJob(processor, data, options = {}) {
@@ -45,32 +67,34 @@ class JobQueue extends EventEmitter {
             throw new Error(`Queue is full (max: ${this.maxQueueSize})`);
         }
         
+        const type = typeof processor === 'string' ? processor : null;
+        if (type && !this.processors.has(type)) {
+            throw new Error(`Unknown job type: ${type}`);
+        }
+        
         const job = {
             id: uuidv4(),
-            processor,
+            type,
+            processor: type ? this.processors.get(type) : processor,
             data,
             options: {
-                priority: options.priority || 0,
+                ...options,
+                priority: Number(options.priority) || 0,
                 maxRetries: options.maxRetries || 0,
-                retryCount: 0,
-                ...options
+                retryCount: 0
             },
             createdAt: Date.now(),
+            sequence: this.sequence++,
+            runAfter: 0,
             status: 'queued'
         };
         
-        // Insert job based on priority (higher priority first)
-        const insertIndex = this.queue.findIndex(queuedJob => queuedJob.options.priority < job.options.priority);
-        if (insertIndex === -1) {
-            this.queue.push(job);
-        } else {
-            this.queue.splice(insertIndex, 0, job);
-        }
-        
+        this.enqueue(job);
+        this.persist(job);
         this.stats.totalJobs++;
-        this.stats.currentQueueSize = this.queue.length;
         
-        console.log(`Job ${job.id} added to queue (position: ${this.queue.length}, priority: ${job.options.priority})`);
+        console.log(`Job ${job.id} added to queue (position: ${this.queue.indexOf(job) + 1}, priority: ${job.options.priority})`);
+        this.emit('jobQueued', job);
         
         // Try to process immediately
         this.processNext();
@@ -79,29 +103,60 @@ class JobQueue extends EventEmitter {
     }
     
     /**
-     * Process the next job in the queue
+     * Insert a job by priority (higher first), keeping insertion order within a priority
+     */
+    enqueue(job) {
+        const insertIndex = this.queue.findIndex(queuedJob =>
+            queuedJob.options.priority < job.options.priority ||
+            (queuedJob.options.priority === job.options.priority && queuedJob.sequence > job.sequence));
+        if (insertIndex === -1) {
+            this.queue.push(job);
+        } else {
+            this.queue.splice(insertIndex, 0, job);
+        }
+        this.stats.currentQueueSize = this.queue.length;
+    }
+    
+    persist(job) {
+        if (this.store && job.type) {
+            this.store.save(job);
+        }
+    }
+    
+    /**
+     * Process the next job in the queue that is not waiting out a retry delay
      */
     async processNext() {
         if (this.processing.size >= this.maxConcurrentJobs || this.queue.length === 0) {
             return;
         }
         
-        const job = this.queue.shift();
+        const now = Date.now();
+        const index = this.queue.findIndex(queuedJob => queuedJob.runAfter <= now);
+        if (index === -1) {
+            this.scheduleWake();
+            return;
+        }
+        
+        const [job] = this.queue.splice(index, 1);
         this.stats.currentQueueSize = this.queue.length;
         
         job.status = 'processing';
-        job.startedAt = Date.now();
+        job.startedAt = now;
+        this.persist(job);
         
-        // Set up timeout
+        // Set up timeout (long-running jobs such as print exports can set their own)
         const timeout = setTimeout(() => {
             this.handleJobTimeout(job.id);
-        }, this.jobTimeoutMs);
+        }, job.options.timeoutMs || this.jobTimeoutMs);
         
-        this.processing.set(job.id, {
+        const run = {
             job,
-            startTime: Date.now(),
-            timeout
-        });
+            startTime: now,
+            timeout,
+            controller: new AbortController()
+        };
+        this.processing.set(job.id, run);
         
         this.stats.currentProcessingCount = this.processing.size;
         
@@ -109,16 +164,63 @@ class JobQueue extends EventEmitter {
         this.emit('jobStarted', job);
         
         try {
-            const result = await job.processor(job.data, job.id);
-            this.handleJobSuccess(job.id, result);
+            const result = await job.processor(job.data, job.id, progress => {
+                if (this.processing.get(job.id) === run) {
+                    this.reportProgress(job.id, progress);
+                }
+            }, run.controller.signal);
+            // A timed out run may finish after its retry has started
+            if (this.processing.get(job.id) === run) {
+                this.handleJobSuccess(job.id, result);
+            }
         } catch (error) {
-            this.handleJobError(job.id, error);
+            if (this.processing.get(job.id) === run) {
+                this.handleJobError(job.id, error);
+            }
         }
         
         // Process next job if available
         setImmediate(() => this.processNext());
     }
     
+    /**
+     * Progress of a running job, as reported by its processor (e.g. { percent, message })
+     */
+    reportProgress(jobId, progress) {
+        const processingInfo = this.processing.get(jobId);
+        if (!processingInfo) return;
+        
+        processingInfo.progress = progress;
+        this.emit('jobProgress', processingInfo.job, progress);
+    }
+    
+    /**
+     * Start queued jobs until all slots are used
+     */
+    drain() {
+        const freeSlots = this.maxConcurrentJobs - this.processing.size;
+        for (let i = 0; i < freeSlots; i++) {
+            this.processNext();
+        }
+    }
+    
+    /**
+     * Wake up when the earliest delayed retry is due
+     */
+    scheduleWake() {
+        clearTimeout(this.wakeTimer);
+        this.wakeTimer = null;
+        if (this.queue.length === 0) {
+            return;
+        }
+        
+        const runAfter = Math.min(...this.queue.map(job => job.runAfter));
+        this.wakeTimer = setTimeout(() => {
+            this.wakeTimer = null;
+            this.drain();
+        }, Math.max(0, runAfter - Date.now()));
+    }
+    
     /**
      * Handle successful job completion
      */
@@ -131,6 +233,7 @@ class JobQueue extends EventEmitter {
         
         const completedJob = {
             ...processingInfo.job,
+            status: 'completed',
             result,
             completedAt: Date.now(),
             expiresAt: Date.now() + (24 * 60 * 60 * 1000), // 24 hours
@@ -138,6 +241,7 @@ class JobQueue extends EventEmitter {
         };
         
         this.completed.set(jobId, completedJob);
+        this.persist(completedJob);
         this.stats.completedJobs++;
         this.stats.currentProcessingCount = this.processing.size;
         
@@ -155,43 +259,103 @@ class JobQueue extends EventEmitter {
         clearTimeout(processingInfo.timeout);
         const job = processingInfo.job;
         
+        this.processing.delete(jobId);
+        this.stats.currentProcessingCount = this.processing.size;
+        
         // Check if we should retry
         if (job.options.retryCount < job.options.maxRetries) {
             job.options.retryCount++;
             job.status = 'retrying';
             
-            console.log(`Job ${jobId} failed, retrying (${job.options.retryCount}/${job.options.maxRetries}): ${error.message}`);
+            // Back in the queue at its priority, once the exponential backoff has passed
+            const delay = Math.min(this.maxRetryDelayMs, this.retryDelayMs * 2 ** (job.options.retryCount - 1));
+            job.runAfter = Date.now() + delay;
             
-            // Add back to queue with delay
-            setTimeout(() => {
-                this.queue.unshift(job); // Add to front for immediate retry
-                this.stats.currentQueueSize = this.queue.length;
-                this.processNext();
-            }, 1000 * job.options.retryCount); // Exponential backoff
+            console.log(`Job ${jobId} failed, retrying in ${delay}ms (${job.options.retryCount}/${job.options.maxRetries}): ${error.message}`);
             
+            this.enqueue(job);
+            this.persist(job);
+            this.emit('jobQueued', job);
+            this.scheduleWake();
         } else {
-            // Job failed permanently
-            this.processing.delete(jobId);
-            
-            const failedJob = {
-                ...job,
-                error: {
-                    message: error.message,
-                    stack: error.stack,
-                    code: error.code
-                },
-                failedAt: Date.now(),
-                expiresAt: Date.now() + (24 * 60 * 60 * 1000), // 24 hours
-                processingTime: Date.now() - processingInfo.startTime
-            };
+            this.failJob(job, error, processingInfo.startTime);
+        }
+    }
+    
+    /**
+     * Mark a job as failed permanently
+     */
+    failJob(job, error, startTime = Date.now()) {
+        const failedJob = {
+            ...job,
+            status: 'failed',
+            error: {
+                message: error.message,
+                stack: error.stack,
+                code: error.code
+            },
+            failedAt: Date.now(),
+            expiresAt: Date.now() + (24 * 60 * 60 * 1000), // 24 hours
+            processingTime: Date.now() - startTime
+        };
+        
+        this.failed.set(job.id, failedJob);
+        this.persist(failedJob);
+        this.stats.failedJobs++;
+        
+        console.error(`Job ${job.id} failed permanently: ${error.message}`);
+        this.emit('jobFailed', failedJob);
+    }
+    
+    /**
+     * Load persisted jobs after a restart: finished jobs stay pollable until they expire,
+     * queued jobs are queued again and jobs that were running start over
+     * @returns {Promise<number>} - Number of jobs queued again
+     */
+    async recover() {
+        if (!this.store) {
+            return 0;
+        }
+        
+        const jobs = await this.store.loadAll();
+        const now = Date.now();
+        let requeued = 0;
+        
+        jobs.sort((a, b) => a.createdAt - b.createdAt).forEach(job => {
+            if (job.status === 'completed' || job.status === 'failed') {
+                if (now > job.expiresAt) {
+                    this.store.remove(job.id);
+                } else {
+                    (job.status === 'completed' ? this.completed : this.failed).set(job.id, job);
+                }
+                return;
+            }
             
-            this.failed.set(jobId, failedJob);
-            this.stats.failedJobs++;
-            this.stats.currentProcessingCount = this.processing.size;
+            if (job.status === 'processing') {
+                job.recoveries = (job.recoveries || 0) + 1;
+            }
             
-            console.error(`Job ${jobId} failed permanently: ${error.message}`);
-            this.emit('jobFailed', failedJob);
+            if (!this.processors.has(job.type)) {
+                this.failJob(job, new Error(`Unknown job type: ${job.type}`));
+            } else if (job.recoveries > this.maxRecoveries) {
+                this.failJob(job, new Error(`Job was interrupted by ${job.recoveries} restarts`));
+            } else {
+                job.processor = this.processors.get(job.type);
+                job.status = 'queued';
+                job.sequence = this.sequence++;
+                job.runAfter = job.runAfter || 0;
+                this.enqueue(job);
+                this.persist(job);
+                requeued++;
+            }
+        });
+        
+        if (jobs.length > 0) {
+            console.log(`♻️ Recovered ${jobs.length} persisted jobs (${requeued} queued again)`);
         }
+        
+        this.drain();
+        return requeued;
     }
     
     /**
@@ -201,8 +365,11 @@ class JobQueue extends EventEmitter {
         const processingInfo = this.processing.get(jobId);
         if (!processingInfo) return;
         
-        console.warn(`Job ${jobId} timed out after ${this.jobTimeoutMs}ms`);
-        this.handleJobError(jobId, new Error(`Job timed out after ${this.jobTimeoutMs}ms`));
+        const timeoutMs = processingInfo.job.options.timeoutMs || this.jobTimeoutMs;
+        const error = new Error(`Job timed out after ${timeoutMs}ms`);
+        console.warn(`Job ${jobId} timed out after ${timeoutMs}ms`);
+        processingInfo.controller.abort(error);
+        this.handleJobError(jobId, error);
     }
     
     /**
@@ -215,7 +382,7 @@ class JobQueue extends EventEmitter {
             return {
                 status: 'processing',
                 startedAt: info.job.startedAt,
-                progress: null // Could be enhanced to track progress
+                progress: info.progress ?? null
             };
         }
         
@@ -256,6 +423,30 @@ class JobQueue extends EventEmitter {
         return { status: 'not_found' };
     }
     
+    /**
+     * A job in any state, if it was added for the session (routes scoped to a session use this
+     * so one session can't read another's job)
+     * @returns {Object|null}
+     */
+    getSessionJob(jobId, sessionId) {
+        const job = this.processing.get(jobId)?.job ||
+            this.completed.get(jobId) ||
+            this.failed.get(jobId) ||
+            this.queue.find(queuedJob => queuedJob.id === jobId);
+
+        return job && sessionId && job.options.sessionId === sessionId ? job : null;
+    }
+    
+    /**
+     * Running and queued jobs added for a session, with their status
+     * @returns {Array} - [{ jobId, status, ... }], running jobs first
+     */
+    getSessionJobs(sessionId) {
+        return [...Array.from(this.processing.values(), info => info.job), ...this.queue]
+            .filter(job => job.options.sessionId === sessionId)
+            .map(job => ({ jobId: job.id, ...this.getJobStatus(job.id) }));
+    }
+    
     /**
      * Estimate wait time for queued job
      */
@@ -308,6 +499,7 @@ class JobQueue extends EventEmitter {
         for (const [jobId, job] of this.completed.entries()) {
             if (now > job.expiresAt) {
                 this.completed.delete(jobId);
+                this.store?.remove(jobId);
                 cleanedCount++;
             }
         }
@@ -316,6 +508,7 @@ class JobQueue extends EventEmitter {
         for (const [jobId, job] of this.failed.entries()) {
             if (now > job.expiresAt) {
                 this.failed.delete(jobId);
+                this.store?.remove(jobId);
                 cleanedCount++;
             }
         }
@@ -332,6 +525,7 @@ class JobQueue extends EventEmitter {
         console.log('Shutting down job queue...');
         
         clearInterval(this.cleanupInterval);
+        clearTimeout(this.wakeTimer);
         
         // Wait for current jobs to complete (with timeout)
         const shutdownTimeout = 30000; // 30 seconds
@@ -341,12 +535,16 @@ class JobQueue extends EventEmitter {
             await new Promise(resolve => setTimeout(resolve, 100));
         }
         
-        // Cancel remaining jobs
+        // Cancel remaining jobs; persisted ones run again after the restart
         for (const [jobId, processingInfo] of this.processing.entries()) {
             clearTimeout(processingInfo.timeout);
             console.log(`Cancelled job ${jobId} during shutdown`);
         }
         
+        if (this.store) {
+            await this.store.flush();
+        }
+        
         console.log(`Job queue shutdown complete. ${this.processing.size} jobs were cancelled.`);
     }
 }
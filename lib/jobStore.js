@@ -0,0 +1,167 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const JOB_FILE_PATTERN = /^[a-zA-Z0-9-]{1,100}\.json$/;
+const BUFFER_FILE_PATTERN = /^[a-zA-Z0-9-]{1,100}\.\d{1,4}\.bin$/;
+
+/**
+ * JobStore - one JSON file per job, so queued and running jobs survive a restart.
+ * Writes to the same job are chained and go through a temp file + rename, so a crash
+ * mid-write leaves the previous state on disk.
+ *
+ * Buffers (uploads, original images in job metadata) are written once as binary files
+ * next to the record ({jobId}.{n}.bin) and the record only keeps the file name, so state
+ * changes rewrite a small JSON file. The same Buffer referenced twice is stored once.
+ */
+class JobStore {
+    constructor(options = {}) {
+        this.dir = options.dir || './jobs';
+        this.pending = new Map(); // jobId -> promise of the last write
+        this.bufferFiles = new Map(); // jobId -> Map(buffer -> file name) of buffers already written
+    }
+
+    async ensureDirectory() {
+        await fs.mkdir(this.dir, { recursive: true });
+    }
+
+    getJobPath(jobId) {
+        if (!JOB_FILE_PATTERN.test(`${jobId}.json`)) {
+            throw new Error(`Invalid job ID: ${jobId}`);
+        }
+        return path.join(this.dir, `${jobId}.json`);
+    }
+
+    /**
+     * Queue a write of the job's persistent fields; the processor function is never stored
+     */
+    save(job) {
+        const { processor, ...record } = job;
+        const written = this.bufferFiles.get(job.id) || new Map();
+        const newFiles = [];
+
+        const encodeValue = value => {
+            if (Buffer.isBuffer(value)) {
+                if (!written.has(value)) {
+                    const fileName = `${job.id}.${written.size}.bin`;
+                    written.set(value, fileName);
+                    newFiles.push({ fileName, buffer: value });
+                }
+                return { $file: written.get(value) };
+            }
+            if (Array.isArray(value)) {
+                return value.map(encodeValue);
+            }
+            if (value && typeof value === 'object' && !(value instanceof Date)) {
+                return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, encodeValue(item)]));
+            }
+            return value;
+        };
+
+        const json = JSON.stringify(encodeValue(record));
+        this.bufferFiles.set(job.id, written);
+
+        return this.enqueue(job.id, async () => {
+            const filePath = this.getJobPath(job.id);
+            await this.ensureDirectory();
+            for (const { fileName, buffer } of newFiles) {
+                await fs.writeFile(path.join(this.dir, fileName), buffer);
+            }
+            await fs.writeFile(`${filePath}.tmp`, json);
+            await fs.rename(`${filePath}.tmp`, filePath);
+        });
+    }
+
+    remove(jobId) {
+        this.bufferFiles.delete(jobId);
+        return this.enqueue(jobId, async () => {
+            const filePath = this.getJobPath(jobId);
+            const files = await fs.readdir(this.dir).catch(() => []);
+            await Promise.all(files
+                .filter(file => file.startsWith(`${jobId}.`) && BUFFER_FILE_PATTERN.test(file))
+                .map(file => fs.rm(path.join(this.dir, file), { force: true })));
+            await fs.rm(filePath, { force: true });
+        });
+    }
+
+    enqueue(jobId, write) {
+        const previous = this.pending.get(jobId) || Promise.resolve();
+        const next = previous
+            .then(write)
+            .catch(error => console.error(`❌ Failed to persist job ${jobId}:`, error.message));
+
+        this.pending.set(jobId, next);
+        next.then(() => {
+            if (this.pending.get(jobId) === next) {
+                this.pending.delete(jobId);
+            }
+        });
+        return next;
+    }
+
+    /**
+     * Wait for all queued writes
+     */
+    async flush() {
+        while (this.pending.size > 0) {
+            await Promise.all(this.pending.values());
+        }
+    }
+
+    /**
+     * All stored jobs; unreadable files are skipped
+     */
+    async loadAll() {
+        await this.ensureDirectory();
+
+        const files = (await fs.readdir(this.dir)).filter(file => JOB_FILE_PATTERN.test(file));
+        const jobs = [];
+
+        for (const file of files) {
+            try {
+                jobs.push(await this.load(JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8'))));
+            } catch (error) {
+                console.warn(`⚠️ Skipping unreadable job file ${file}: ${error.message}`);
+            }
+        }
+
+        return jobs;
+    }
+
+    /**
+     * Read a stored record's buffer files back; they are remembered as written, so saving
+     * the recovered job again does not rewrite them
+     */
+    async load(record) {
+        const written = new Map();
+        const buffers = new Map(); // file name -> buffer, so shared references stay shared
+
+        const decodeValue = async value => {
+            if (Array.isArray(value)) {
+                return Promise.all(value.map(decodeValue));
+            }
+            if (value && typeof value === 'object') {
+                if (typeof value.$file === 'string' && Object.keys(value).length === 1) {
+                    if (!BUFFER_FILE_PATTERN.test(value.$file) || !value.$file.startsWith(`${record.id}.`)) {
+                        throw new Error(`Invalid buffer file: ${value.$file}`);
+                    }
+                    if (!buffers.has(value.$file)) {
+                        const buffer = await fs.readFile(path.join(this.dir, value.$file));
+                        buffers.set(value.$file, buffer);
+                        written.set(buffer, value.$file);
+                    }
+                    return buffers.get(value.$file);
+                }
+                const entries = await Promise.all(Object.entries(value)
+                    .map(async ([key, item]) => [key, await decodeValue(item)]));
+                return Object.fromEntries(entries);
+            }
+            return value;
+        };
+
+        const job = await decodeValue(record);
+        this.bufferFiles.set(job.id, written);
+        return job;
+    }
+}
+
+module.exports = JobStore;
@@ -0,0 +1,182 @@
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+const TEXTURE_ID = /^[a-zA-Z0-9_-]{1,50}$/;
+const FILL_TYPES = ['solid', 'linear', 'radial', 'texture'];
+const MAX_STOPS = 8;
+// Texture tiles are sized against a 2048px atlas so previews and print exports match
+const FILL_REFERENCE_SIZE = 2048;
+
+const hexToRgb = color => [1, 3, 5].map(index => parseInt(color.slice(index, index + 2), 16));
+
+const finiteNumber = (value, fallback) => (Number.isFinite(Number(value)) ? Number(value) : fallback);
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Pattern Fill - Validates pattern zone fills (solid, linear/radial gradient, tiled texture)
+ * and samples them per pixel for print exports (same geometry as the client canvas fills)
+ */
+class PatternFill {
+    static get TYPES() {
+        return FILL_TYPES;
+    }
+
+    static get REFERENCE_SIZE() {
+        return FILL_REFERENCE_SIZE;
+    }
+
+    /**
+     * Validate a fill and fill in defaults
+     * @param {string|Object} fill - A #rrggbb color or { type, ... }
+     * @returns {Object} Normalized fill
+     */
+    static normalize(fill) {
+        if (typeof fill === 'string') {
+            fill = { type: 'solid', color: fill };
+        }
+        if (!fill || typeof fill !== 'object' || !FILL_TYPES.includes(fill.type)) {
+            throw new Error(`Invalid fill: type must be one of ${FILL_TYPES.join(', ')}`);
+        }
+
+        switch (fill.type) {
+            case 'solid':
+                if (!HEX_COLOR.test(fill.color || '')) {
+                    throw new Error('Invalid fill: color must be #rrggbb');
+                }
+                return { type: 'solid', color: fill.color };
+
+            case 'linear':
+                return {
+                    type: 'linear',
+                    angle: finiteNumber(fill.angle, 90) % 360,
+                    stops: PatternFill.normalizeStops(fill.stops)
+                };
+
+            case 'radial':
+                return {
+                    type: 'radial',
+                    center: {
+                        x: clamp(finiteNumber(fill.center?.x, 0.5), 0, 1),
+                        y: clamp(finiteNumber(fill.center?.y, 0.5), 0, 1)
+                    },
+                    radius: clamp(finiteNumber(fill.radius, 0.5), 0.01, 2),
+                    stops: PatternFill.normalizeStops(fill.stops)
+                };
+
+            default:
+                if (!TEXTURE_ID.test(fill.texture || '')) {
+                    throw new Error('Invalid fill: texture id');
+                }
+                if (fill.color && !HEX_COLOR.test(fill.color)) {
+                    throw new Error('Invalid fill: color must be #rrggbb');
+                }
+                return {
+                    type: 'texture',
+                    texture: fill.texture,
+                    ...(fill.color ? { color: fill.color } : {}),
+                    scale: clamp(finiteNumber(fill.scale, 1), 0.1, 10),
+                    rotation: finiteNumber(fill.rotation, 0) % 360
+                };
+        }
+    }
+
+    static normalizeStops(stops) {
+        if (!Array.isArray(stops) || stops.length < 2 || stops.length > MAX_STOPS) {
+            throw new Error(`Invalid fill: gradients need 2-${MAX_STOPS} stops`);
+        }
+
+        return stops
+            .map(stop => {
+                if (!stop || !HEX_COLOR.test(stop.color || '')) {
+                    throw new Error('Invalid fill: stop color must be #rrggbb');
+                }
+                return { offset: clamp(finiteNumber(stop.offset, 0), 0, 1), color: stop.color };
+            })
+            .sort((a, b) => a.offset - b.offset);
+    }
+
+    /**
+     * Per-pixel color lookup for a normalized fill
+     * @param {Object} fill - Normalized fill
+     * @param {number} size - Atlas size in pixels
+     * @param {Object} [texture] - { data, width, height, channels } raw pixels for texture fills
+     * @returns {Function} (x, y) => [r, g, b]
+     */
+    static createSampler(fill, size, texture = null) {
+        if (fill.type === 'solid') {
+            const rgb = hexToRgb(fill.color);
+            return () => rgb;
+        }
+
+        if (fill.type === 'linear' || fill.type === 'radial') {
+            const stops = fill.stops.map(stop => ({ offset: stop.offset, rgb: hexToRgb(stop.color) }));
+            const position = fill.type === 'linear'
+                ? PatternFill.linearPosition(fill, size)
+                : PatternFill.radialPosition(fill, size);
+            return (x, y) => PatternFill.interpolateStops(stops, position(x + 0.5, y + 0.5));
+        }
+
+        if (!texture) {
+            throw new Error(`Fill texture not loaded: ${fill.texture}`);
+        }
+
+        // Inverse of the canvas pattern transform rotate(rotation) · scale(tileScale)
+        const tileScale = fill.scale * size / FILL_REFERENCE_SIZE;
+        const radians = -fill.rotation * Math.PI / 180;
+        const cos = Math.cos(radians) / tileScale;
+        const sin = Math.sin(radians) / tileScale;
+        const tint = fill.color ? hexToRgb(fill.color) : null;
+
+        return (x, y) => {
+            const u = (x + 0.5) * cos - (y + 0.5) * sin;
+            const v = (x + 0.5) * sin + (y + 0.5) * cos;
+            const tx = ((Math.floor(u) % texture.width) + texture.width) % texture.width;
+            const ty = ((Math.floor(v) % texture.height) + texture.height) % texture.height;
+            const offset = (ty * texture.width + tx) * texture.channels;
+            const rgb = [texture.data[offset], texture.data[offset + 1], texture.data[offset + 2]];
+
+            // Tinted textures multiply over the tint color
+            return tint ? rgb.map((value, index) => Math.round(value * tint[index] / 255)) : rgb;
+        };
+    }
+
+    /**
+     * Gradient line through the atlas center, long enough to reach the corners at any angle
+     */
+    static linearPosition(fill, size) {
+        const radians = fill.angle * Math.PI / 180;
+        const dx = Math.cos(radians);
+        const dy = Math.sin(radians);
+        const length = (Math.abs(dx) + Math.abs(dy)) * size;
+        const center = size / 2;
+
+        return (x, y) => ((x - center) * dx + (y - center) * dy) / length + 0.5;
+    }
+
+    static radialPosition(fill, size) {
+        const cx = fill.center.x * size;
+        const cy = fill.center.y * size;
+        const radius = fill.radius * size;
+
+        return (x, y) => Math.hypot(x - cx, y - cy) / radius;
+    }
+
+    static interpolateStops(stops, t) {
+        if (t <= stops[0].offset) {
+            return stops[0].rgb;
+        }
+
+        for (let i = 1; i < stops.length; i++) {
+            const next = stops[i];
+            if (t <= next.offset) {
+                const previous = stops[i - 1];
+                const span = next.offset - previous.offset;
+                const ratio = span > 0 ? (t - previous.offset) / span : 1;
+                return previous.rgb.map((value, index) => Math.round(value + (next.rgb[index] - value) * ratio));
+            }
+        }
+
+        return stops[stops.length - 1].rgb;
+    }
+}
+
+module.exports = PatternFill;
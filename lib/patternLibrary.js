@@ -0,0 +1,181 @@
+const fs = require('fs');
+const path = require('path');
+
+const DESIGN_TYPES = ['regulan', 'setin'];
+// Mask channels in layer order; the alpha channel marks its layer where the mask is transparent
+const MASK_CHANNELS = ['r', 'g', 'b', 'a'];
+// The client composites at most five pattern colors
+const MAX_PATTERN_LAYERS = 5;
+
+const PATTERN_ID = /^[a-zA-Z0-9_-]{1,50}$/;
+const ASSET_FILE = /^[a-zA-Z0-9_][a-zA-Z0-9_.-]{0,99}\.(png|jpe?g|webp)$/i;
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Pattern Library - Custom pattern manifest (masks, channels, default colors, names, fill textures)
+ * Adding a design is a manifest edit plus its mask files, no code change
+ */
+class PatternLibrary {
+    constructor(options = {}) {
+        this.manifestPath = path.resolve(options.manifestPath || './config/patterns.json');
+        // Manifest basePath is relative to the app root, which is also where the assets live on disk
+        this.rootDir = path.resolve(options.rootDir || '.');
+        this.manifest = null;
+        this.loadedMtimeMs = 0;
+
+        this.reload();
+    }
+
+    static get MASK_CHANNELS() {
+        return MASK_CHANNELS;
+    }
+
+    /**
+     * Load (or re-load) the manifest file, validating it before it replaces the current one
+     */
+    reload() {
+        const manifest = JSON.parse(fs.readFileSync(this.manifestPath, 'utf8'));
+
+        this.validateManifest(manifest);
+
+        this.manifest = manifest;
+        this.loadedMtimeMs = fs.statSync(this.manifestPath).mtimeMs;
+
+        console.log(`✅ Pattern manifest loaded: ${manifest.patterns.length} patterns (v${manifest.version})`);
+        return this.manifest;
+    }
+
+    /**
+     * Get the current manifest, picking up edits to the manifest file without a restart
+     */
+    getManifest() {
+        try {
+            const { mtimeMs } = fs.statSync(this.manifestPath);
+            if (mtimeMs !== this.loadedMtimeMs) {
+                this.reload();
+            }
+        } catch (error) {
+            // Keep serving the last valid manifest if the file is mid-edit or broken
+            console.error('⚠️ Failed to reload pattern manifest, using previous version:', error.message);
+        }
+
+        return this.manifest;
+    }
+
+    validateManifest(manifest) {
+        if (!manifest || typeof manifest !== 'object') {
+            throw new Error('Pattern manifest must be a JSON object');
+        }
+        if (typeof manifest.basePath !== 'string' || manifest.basePath.split(/[\\/]/).includes('..')) {
+            throw new Error('Pattern manifest needs a basePath inside the app');
+        }
+        if (!Array.isArray(manifest.patterns) || manifest.patterns.length === 0) {
+            throw new Error('Pattern manifest must define at least one pattern');
+        }
+
+        const ids = new Set();
+        manifest.patterns.forEach(pattern => {
+            this.validatePattern(pattern, manifest.basePath);
+            if (ids.has(pattern.id)) {
+                throw new Error(`Pattern "${pattern.id}" is defined twice`);
+            }
+            ids.add(pattern.id);
+        });
+
+        (manifest.fillTextures || []).forEach(texture => this.validateFillTexture(texture));
+
+        Object.entries(manifest.defaults || {}).forEach(([designType, patternId]) => {
+            const pattern = manifest.patterns.find(candidate => candidate.id === patternId);
+            if (!pattern || !pattern.designTypes.includes(designType)) {
+                throw new Error(`Default pattern for ${designType} must be a ${designType} pattern`);
+            }
+        });
+    }
+
+    validatePattern(pattern, basePath) {
+        if (!pattern || !PATTERN_ID.test(pattern.id || '')) {
+            throw new Error(`Invalid pattern id: ${pattern && pattern.id}`);
+        }
+
+        const { id } = pattern;
+        if (!Array.isArray(pattern.designTypes) || pattern.designTypes.length === 0 ||
+            !pattern.designTypes.every(type => DESIGN_TYPES.includes(type))) {
+            throw new Error(`Pattern "${id}" designTypes must list ${DESIGN_TYPES.join(' and/or ')}`);
+        }
+        if (!pattern.names || typeof pattern.names !== 'object' || Object.keys(pattern.names).length === 0) {
+            throw new Error(`Pattern "${id}" needs at least one display name`);
+        }
+        if (!Array.isArray(pattern.masks) || pattern.masks.length === 0) {
+            throw new Error(`Pattern "${id}" needs at least one mask`);
+        }
+
+        pattern.masks.forEach(mask => {
+            if (!ASSET_FILE.test(mask.file || '') || (mask.file4k && !ASSET_FILE.test(mask.file4k))) {
+                throw new Error(`Pattern "${id}" has an invalid mask filename`);
+            }
+            if (!Number.isInteger(mask.channels) || mask.channels < 1 || mask.channels > MASK_CHANNELS.length) {
+                throw new Error(`Pattern "${id}" mask ${mask.file} channels must be 1-${MASK_CHANNELS.length}`);
+            }
+            if (!fs.existsSync(path.join(this.rootDir, basePath, id, mask.file))) {
+                throw new Error(`Pattern "${id}" mask not found: ${mask.file}`);
+            }
+        });
+
+        const layerCount = pattern.masks.reduce((sum, mask) => sum + mask.channels, 0);
+        if (layerCount > MAX_PATTERN_LAYERS) {
+            throw new Error(`Pattern "${id}" has ${layerCount} layers, the limit is ${MAX_PATTERN_LAYERS}`);
+        }
+        if (!Array.isArray(pattern.defaultColors) || pattern.defaultColors.length !== layerCount ||
+            !pattern.defaultColors.every(color => HEX_COLOR.test(color))) {
+            throw new Error(`Pattern "${id}" needs ${layerCount} #rrggbb defaultColors`);
+        }
+        if (pattern.thumbnail && !ASSET_FILE.test(pattern.thumbnail)) {
+            throw new Error(`Pattern "${id}" has an invalid thumbnail filename`);
+        }
+    }
+
+    /**
+     * Tileable images for texture fills, referenced by id from a fill's `texture`
+     */
+    validateFillTexture(texture) {
+        if (!texture || !PATTERN_ID.test(texture.id || '')) {
+            throw new Error(`Invalid fill texture id: ${texture && texture.id}`);
+        }
+
+        const segments = String(texture.file || '').split(/[\\/]/);
+        if (!ASSET_FILE.test(segments[segments.length - 1]) || segments.includes('..') || path.isAbsolute(texture.file)) {
+            throw new Error(`Fill texture "${texture.id}" has an invalid file path`);
+        }
+        if (!fs.existsSync(path.join(this.rootDir, texture.file))) {
+            throw new Error(`Fill texture "${texture.id}" not found: ${texture.file}`);
+        }
+    }
+
+    getFillTexturePath(textureId) {
+        const texture = (this.getManifest().fillTextures || []).find(candidate => candidate.id === textureId);
+        return texture ? path.join(this.rootDir, texture.file) : null;
+    }
+
+    getPattern(patternId) {
+        return this.getManifest().patterns.find(pattern => pattern.id === patternId) || null;
+    }
+
+    /**
+     * Mask files for production rendering, 4K variant first
+     * @returns {Array|null} [{ candidates: [absolute paths], channels: ['r', 'g', ...] }] in layer order
+     */
+    getMaskFiles(patternId) {
+        const pattern = this.getPattern(patternId);
+        if (!pattern) {
+            return null;
+        }
+
+        const patternDir = path.join(this.rootDir, this.manifest.basePath, pattern.id);
+        return pattern.masks.map(mask => ({
+            candidates: [mask.file4k, mask.file].filter(Boolean).map(file => path.join(patternDir, file)),
+            channels: MASK_CHANNELS.slice(0, mask.channels)
+        }));
+    }
+}
+
+module.exports = PatternLibrary;
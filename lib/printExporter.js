@@ -0,0 +1,785 @@
+const sharp = require('sharp');
+const fs = require('fs').promises;
+const path = require('path');
+const PatternFill = require('./patternFill');
+const ImageProcessor = require('./imageProcessor');
+
+// Garment piece regions in texture space (0-1, origin top-left like the atlas images).
+// Shirt pieces come from the TEXCOORD_0 bounds of the GLB pieces; pants and neck from their masks.
+const PIECE_REGIONS = {
+    front: { label: 'Front body', rect: [0.006, 0.090, 0.286, 0.458] },
+    back: { label: 'Back body', rect: [0.311, 0.048, 0.591, 0.458] },
+    arms: {
+        label: 'Arms',
+        variants: {
+            long: [0.029, 0.490, 0.501, 0.905],
+            short: [0.510, 0.612, 0.984, 0.812]
+        }
+    },
+    neck: {
+        label: 'Neck',
+        variants: {
+            std_a: [0.619, 0.952, 0.867, 0.967],
+            std_b: [0.338, 0.955, 0.595, 0.970],
+            cft_b: [0.040, 0.956, 0.313, 0.971],
+            cft_c: [0.473, 0.900, 0.752, 0.913],
+            cft_d: [0.762, 0.900, 0.986, 0.924]
+        }
+    },
+    pants: { label: 'Pants', rect: [0.605, 0.000, 0.998, 0.641] }
+};
+
+const SHIRT_PIECES = ['front', 'back', 'arms', 'neck'];
+
+const MASK_FILES = {
+    pants: ['customPatterns/pants/1_2.4k.png', 'pants/1_2.png'],
+    neck: ['neck/1_2.4k.png', 'neck/1_2.png']
+};
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+const SESSION_ID = /^[a-zA-Z0-9_-]{1,50}$/;
+const LAYER_ID = /^[a-zA-Z0-9_-]{1,100}$/;
+
+// Text layer styling, clamped like lib/client/TextRenderer.js normalizeStyle()
+const TEXT_WARPS = ['none', 'arc', 'bridge', 'vertical-arch'];
+const MAX_TEXT_OUTLINES = 3;
+const clampNumber = (value, min, max, fallback) => {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+};
+const PATTERN_NAME = /^[a-zA-Z0-9_-]{1,50}$/;
+
+// Client texture canvas sizes, layer scale and font size limits (LayerManager.setLayerScale, TextRenderer)
+const MIN_TEXTURE_SIZE = 256;
+const MAX_TEXTURE_SIZE = 4096;
+const MIN_LAYER_SCALE = 0.1;
+const MAX_LAYER_SCALE = 5;
+const MIN_FONT_SIZE = 4;
+const MAX_FONT_SIZE = 512;
+const clampFontSize = layer => clampNumber(layer.fontSize, MIN_FONT_SIZE, MAX_FONT_SIZE, 24);
+
+/**
+ * Print Exporter - Re-composites a design at production resolution and writes
+ * one print-ready file per garment piece into the session's exports folder
+ */
+class PrintExporter {
+    constructor(options = {}) {
+        this.sessionManager = options.sessionManager;
+        this.sessionsDir = options.sessionsDir || './sessions';
+        this.texturesDir = options.texturesDir || './assets/textures';
+        this.patternLibrary = options.patternLibrary || null;
+        this.defaultResolution = options.defaultResolution || 4096;
+        this.maxResolution = options.maxResolution || 8192;
+        this.defaultDpi = options.defaultDpi || 150;
+        this.maxBleedMm = options.maxBleedMm || 20;
+        // The per-pixel blend runs on the server's image workers when it passes its pool
+        // ((size, passes, signal) => Promise<Buffer>, cancelled with the job's signal)
+        this.blendPasses = options.blendPasses || ((size, passes) => PrintExporter.blendPasses(size, passes));
+    }
+
+    /**
+     * Validate an export request and fill in defaults
+     * @param {Object} design - Pattern, colors, set options and layers captured by the client
+     * @param {Object} options - { resolution, format, dpi, bleedMm, pieces }
+     * @returns {Object} { design, options } ready for exportDesign()
+     */
+    normalizeRequest(design = {}, options = {}) {
+        if (!design || typeof design !== 'object') {
+            throw new Error('Missing design');
+        }
+
+        if (!PATTERN_NAME.test(design.pattern || '')) {
+            throw new Error('Invalid pattern name');
+        }
+        if (this.patternLibrary && !this.patternLibrary.getPattern(design.pattern)) {
+            throw new Error(`Unknown pattern: ${design.pattern}`);
+        }
+
+        const patternColors = Array.isArray(design.patternColors) ? design.patternColors : [];
+        if (patternColors.length === 0 || !patternColors.every(color => HEX_COLOR.test(color))) {
+            throw new Error('patternColors must be a list of #rrggbb colors');
+        }
+
+        // Gradient/texture fills per pattern layer (null keeps the flat pattern color)
+        const patternFills = (Array.isArray(design.patternFills) ? design.patternFills : [])
+            .slice(0, patternColors.length)
+            .map(fill => (fill ? PatternFill.normalize(fill) : null));
+
+        const optionalColors = (colors) => (Array.isArray(colors) ? colors : []).filter(color => HEX_COLOR.test(color));
+
+        const resolution = parseInt(options.resolution, 10) || this.defaultResolution;
+        if (resolution < 1024 || resolution > this.maxResolution) {
+            throw new Error(`resolution must be between 1024 and ${this.maxResolution}`);
+        }
+
+        const format = (options.format || 'png').toLowerCase();
+        if (!['png', 'tiff'].includes(format)) {
+            throw new Error('format must be png or tiff');
+        }
+
+        const dpi = parseInt(options.dpi, 10) || this.defaultDpi;
+        if (dpi < 72 || dpi > 1200) {
+            throw new Error('dpi must be between 72 and 1200');
+        }
+
+        const bleedMm = Number(options.bleedMm) || 0;
+        if (bleedMm < 0 || bleedMm > this.maxBleedMm) {
+            throw new Error(`bleedMm must be between 0 and ${this.maxBleedMm}`);
+        }
+
+        const setOption = design.setOption || 'short-shirt-set';
+        const pieces = Array.isArray(options.pieces) && options.pieces.length > 0
+            ? options.pieces
+            : this.getPiecesForSet(setOption);
+
+        const unknownPiece = pieces.find(piece => !PIECE_REGIONS[piece]);
+        if (unknownPiece) {
+            throw new Error(`Unknown garment piece: ${unknownPiece}`);
+        }
+
+        const layers = (Array.isArray(design.layers) ? design.layers : [])
+            .filter(layer => layer && layer.visible !== false && ['logo', 'text'].includes(layer.type))
+            .map(layer => this.normalizeLayer(layer));
+
+        return {
+            design: {
+                pattern: design.pattern,
+                patternColors,
+                patternFills,
+                pantsColors: optionalColors(design.pantsColors),
+                neckColors: optionalColors(design.neckColors),
+                setOption,
+                neckType: PIECE_REGIONS.neck.variants[design.neckType] ? design.neckType : 'std_a',
+                textureSize: Math.round(clampNumber(design.textureSize, MIN_TEXTURE_SIZE, MAX_TEXTURE_SIZE, 512)),
+                layers
+            },
+            options: { resolution, format, dpi, bleedMm, pieces }
+        };
+    }
+
+    normalizeLayer(layer) {
+        if (layer.type === 'logo' && !LAYER_ID.test(layer.id || '')) {
+            throw new Error('Invalid layer ID in design');
+        }
+
+        return {
+            id: layer.id,
+            type: layer.type,
+            position: {
+                x: Number(layer.position?.x) || 0,
+                y: Number(layer.position?.y) || 0
+            },
+            scale: clampNumber(layer.scale, MIN_LAYER_SCALE, MAX_LAYER_SCALE, 1),
+            aspect: clampNumber(layer.aspect, 0.1, 10, 1),
+            rotation: Number(layer.rotation) || 0,
+            opacity: Math.min(1, Math.max(0, layer.opacity === undefined ? 1 : Number(layer.opacity))),
+            color: HEX_COLOR.test(layer.color || '') ? layer.color : null,
+            palette: ImageProcessor.normalizePalette(layer.palette),
+            text: typeof layer.text === 'string' ? layer.text.slice(0, 200) : '',
+            fontSize: clampFontSize(layer),
+            fontFamily: typeof layer.fontFamily === 'string' ? layer.fontFamily.replace(/[^a-zA-Z0-9 ,-]/g, '') : 'Arial',
+            ...this.normalizeTextStyle(layer)
+        };
+    }
+
+    normalizeTextStyle(layer) {
+        const fontSize = clampFontSize(layer);
+        const outlines = (Array.isArray(layer.outlines) ? layer.outlines : [])
+            .filter(outline => HEX_COLOR.test(outline?.color || '') && Number(outline.width) > 0)
+            .slice(0, MAX_TEXT_OUTLINES)
+            .map(outline => ({ color: outline.color, width: clampNumber(outline.width, 0, fontSize, 0) }));
+        const shadow = layer.shadow && HEX_COLOR.test(layer.shadow.color || '') ? {
+            color: layer.shadow.color,
+            offsetX: clampNumber(layer.shadow.offsetX, -fontSize, fontSize, 0),
+            offsetY: clampNumber(layer.shadow.offsetY, -fontSize, fontSize, 0),
+            blur: clampNumber(layer.shadow.blur, 0, fontSize, 0)
+        } : null;
+        const warpType = TEXT_WARPS.includes(layer.warp?.type) ? layer.warp.type : 'none';
+
+        return {
+            letterSpacing: clampNumber(layer.letterSpacing, -0.2, 1, 0),
+            lineHeight: clampNumber(layer.lineHeight, 0.7, 3, 1.2),
+            outlines,
+            shadow,
+            warp: { type: warpType, amount: warpType === 'none' ? 0 : clampNumber(layer.warp.amount, -100, 100, 0) }
+        };
+    }
+
+    getPiecesForSet(setOption) {
+        if (setOption === 'pants') {
+            return ['pants'];
+        }
+        if (setOption.endsWith('-set')) {
+            return [...SHIRT_PIECES, 'pants'];
+        }
+        return [...SHIRT_PIECES];
+    }
+
+    /**
+     * Job processor: render the atlas and write one file per piece
+     * @param {Object} data - { sessionId, design, options } from normalizeRequest()
+     * @param {string} jobId - Job ID, also used as the export ID
+     * @param {Function} onProgress - Called with { percent, message } as the export advances
+     * @param {AbortSignal} signal - Aborted by the job queue on timeout; checked between passes, layers and pieces
+     */
+    async exportDesign(data, jobId, onProgress = () => {}, signal = null) {
+        const startTime = Date.now();
+        const { sessionId, design, options } = data;
+
+        if (!SESSION_ID.test(sessionId || '')) {
+            throw new Error('Invalid session ID');
+        }
+
+        console.log(`🖨️ Print export ${jobId}: ${design.pattern} at ${options.resolution}px, pieces: ${options.pieces.join(', ')}`);
+
+        const size = options.resolution;
+        onProgress({ percent: 0, message: 'Rendering colors' });
+        const base = await this.renderBaseAtlas(design, size, signal);
+        onProgress({ percent: 20, message: 'Rendering layers' });
+        const { overlays, skippedLayers } = await this.renderLayerOverlays(sessionId, design, size, signal);
+        signal?.throwIfAborted();
+
+        const atlas = await sharp(base, { raw: { width: size, height: size, channels: 4 } })
+            .composite(overlays)
+            .raw()
+            .toBuffer();
+
+        const exportDir = path.join(this.sessionsDir, sessionId, 'exports', jobId);
+        await fs.mkdir(exportDir, { recursive: true });
+
+        const bleedPx = Math.round(options.bleedMm / 25.4 * options.dpi);
+        const files = [];
+
+        for (const piece of options.pieces) {
+            signal?.throwIfAborted();
+            onProgress({ percent: 40 + Math.round(60 * files.length / options.pieces.length), message: `Writing ${piece}` });
+            const file = await this.writePiece(atlas, size, piece, design, options, bleedPx, exportDir);
+            files.push({ ...file, url: `/api/sessions/${sessionId}/exports/${jobId}/${file.filename}` });
+        }
+
+        const manifest = {
+            exportId: jobId,
+            sessionId,
+            createdAt: new Date().toISOString(),
+            pattern: design.pattern,
+            resolution: size,
+            format: options.format,
+            dpi: options.dpi,
+            bleedMm: options.bleedMm,
+            files,
+            skippedLayers,
+            processingTime: Date.now() - startTime
+        };
+
+        await fs.writeFile(path.join(exportDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+        console.log(`✅ Print export ${jobId} finished: ${files.length} files in ${manifest.processingTime}ms`);
+        return manifest;
+    }
+
+    /**
+     * Colorize the pattern, pants and neck masks into one RGBA atlas
+     * (same layer order as the client PatternCompositor)
+     */
+    async renderBaseAtlas(design, size, signal = null) {
+        const passes = [];
+
+        // Layers are numbered across the pattern's masks in channel order
+        let layerIndex = 0;
+        for (const maskFile of this.getPatternMaskFiles(design.pattern)) {
+            signal?.throwIfAborted();
+            const keepAlpha = maskFile.channels.includes('a');
+            const mask = await this.loadMask(maskFile.candidates, size, keepAlpha);
+
+            for (const [index, channel] of maskFile.channels.entries()) {
+                const color = design.patternColors[layerIndex];
+                const fill = design.patternFills?.[layerIndex];
+                layerIndex++;
+                if (!color) continue;
+
+                // Alpha marks its layer where the mask is transparent
+                const sampled = fill && fill.type !== 'solid';
+                passes.push({
+                    mask,
+                    channel: index,
+                    color,
+                    invert: channel === 'a',
+                    fill: sampled ? fill : null,
+                    texture: sampled ? await this.loadFillTexture(fill) : null
+                });
+            }
+        }
+
+        for (const [type, colors] of [['pants', design.pantsColors], ['neck', design.neckColors]]) {
+            if (colors.length === 0) continue;
+
+            signal?.throwIfAborted();
+            const mask = await this.loadMask(MASK_FILES[type], size);
+            colors.slice(0, 2).forEach((color, index) => {
+                passes.push({ mask, channel: index, color });
+            });
+        }
+
+        signal?.throwIfAborted();
+        const pixels = await this.blendPasses(size, passes, signal);
+        return Buffer.from(pixels.buffer, pixels.byteOffset, pixels.byteLength);
+    }
+
+    /**
+     * Raw tile of a texture fill (gradients are sampled without one)
+     */
+    async loadFillTexture(fill) {
+        if (fill.type !== 'texture') {
+            return null;
+        }
+
+        const texturePath = this.patternLibrary && this.patternLibrary.getFillTexturePath(fill.texture);
+        if (!texturePath) {
+            throw new Error(`Unknown fill texture: ${fill.texture}`);
+        }
+
+        const { data, info } = await sharp(texturePath).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+        return { data, width: info.width, height: info.height, channels: info.channels };
+    }
+
+    /**
+     * Blend mask passes into a blank RGBA atlas. Plain data in and out, so it can run on a worker thread.
+     * @param {number} size - Atlas width and height
+     * @param {Array} passes - [{ mask: { data, channels }, channel, color, invert, fill, texture }]
+     * @returns {Buffer} RGBA pixels
+     */
+    static blendPasses(size, passes) {
+        const pixels = Buffer.alloc(size * size * 4);
+        passes.forEach(({ fill, texture, ...pass }) => {
+            const sampler = fill ? PatternFill.createSampler(fill, size, texture) : null;
+            PrintExporter.blendMaskPass(pixels, { ...pass, sampler });
+        });
+        return pixels;
+    }
+
+    /**
+     * Pattern masks from the manifest, or the single RGB 1_2_3 mask when no library is configured
+     */
+    getPatternMaskFiles(patternName) {
+        const maskFiles = this.patternLibrary && this.patternLibrary.getMaskFiles(patternName);
+        if (maskFiles) {
+            return maskFiles;
+        }
+
+        return [{
+            candidates: [`customPatterns/${patternName}/1_2_3.4k.png`, `customPatterns/${patternName}/1_2_3.png`],
+            channels: ['r', 'g', 'b']
+        }];
+    }
+
+    async loadMask(candidates, size, keepAlpha = false) {
+        for (const candidate of candidates) {
+            const maskPath = path.resolve(this.texturesDir, candidate);
+            try {
+                await fs.access(maskPath);
+            } catch {
+                continue;
+            }
+
+            const image = sharp(maskPath);
+            const { data, info } = await (keepAlpha ? image.ensureAlpha() : image.removeAlpha())
+                .resize(size, size, { kernel: 'lanczos3' })
+                .raw()
+                .toBuffer({ resolveWithObject: true });
+
+            return { data, channels: info.channels };
+        }
+
+        throw new Error(`Mask not found: ${candidates[0]}`);
+    }
+
+    /**
+     * Draw a solid color (or a fill sampled per pixel) over the atlas using one mask channel as alpha ("source-over")
+     */
+    static blendMaskPass(pixels, { mask, channel, color, invert = false, sampler = null }) {
+        let r = parseInt(color.slice(1, 3), 16);
+        let g = parseInt(color.slice(3, 5), 16);
+        let b = parseInt(color.slice(5, 7), 16);
+        const pixelCount = pixels.length / 4;
+        const size = Math.round(Math.sqrt(pixelCount));
+
+        for (let i = 0; i < pixelCount; i++) {
+            const value = mask.data[i * mask.channels + channel];
+            const srcA = invert ? 255 - value : value;
+            if (srcA === 0) continue;
+
+            if (sampler) {
+                [r, g, b] = sampler(i % size, Math.floor(i / size));
+            }
+
+            const o = i * 4;
+            const dstA = pixels[o + 3];
+
+            if (srcA === 255 || dstA === 0) {
+                pixels[o] = r;
+                pixels[o + 1] = g;
+                pixels[o + 2] = b;
+                pixels[o + 3] = srcA === 255 ? 255 : Math.max(srcA, dstA);
+                continue;
+            }
+
+            const a = srcA / 255;
+            const keep = (dstA / 255) * (1 - a);
+            const outA = a + keep;
+
+            pixels[o] = Math.round((r * a + pixels[o] * keep) / outA);
+            pixels[o + 1] = Math.round((g * a + pixels[o + 1] * keep) / outA);
+            pixels[o + 2] = Math.round((b * a + pixels[o + 2] * keep) / outA);
+            pixels[o + 3] = Math.round(outA * 255);
+        }
+    }
+
+    /**
+     * Render logo and text layers as sharp composite inputs at atlas scale
+     */
+    async renderLayerOverlays(sessionId, design, size, signal = null) {
+        const overlays = [];
+        const skippedLayers = [];
+
+        // Layer transforms were authored on the client's texture canvas
+        const pixelScale = size / design.textureSize;
+
+        for (const layer of design.layers) {
+            // Outside the try: a cancelled export stops instead of skipping the layer
+            signal?.throwIfAborted();
+            try {
+                const image = layer.type === 'text'
+                    ? await this.renderTextLayer(layer, pixelScale, size)
+                    : await this.renderLogoLayer(sessionId, layer, pixelScale, size);
+
+                const overlay = await this.placeOverlay(image, layer, size);
+                if (overlay) {
+                    overlays.push(overlay);
+                }
+            } catch (error) {
+                console.warn(`⚠️ Skipping layer ${layer.id || layer.type} in print export: ${error.message}`);
+                skippedLayers.push({ id: layer.id, reason: error.message });
+            }
+        }
+
+        return { overlays, skippedLayers };
+    }
+
+    /**
+     * A layer can't usefully be larger than the atlas; refusing it keeps sharp from allocating
+     * canvases far beyond the export resolution
+     */
+    checkLayerSize(width, height, maxSize) {
+        if (width > maxSize || height > maxSize) {
+            throw new Error('Layer is larger than the print area');
+        }
+    }
+
+    async renderLogoLayer(sessionId, layer, pixelScale, maxSize = this.maxResolution) {
+        const processed = await this.sessionManager.getLayerImage(sessionId, layer.id);
+        const { width, height } = await sharp(processed).metadata();
+
+        // The client draws the processed image at its natural size times the layer scale;
+        // resample from the original upload when there is one for sharper print output
+        const original = await this.sessionManager.getLayerOriginalImage(sessionId, layer.id).catch(() => null);
+        // Posterized logos carry their recolored palette; the colors are swapped before resampling
+        const source = await ImageProcessor.recolorImage(original || processed, layer.palette);
+        const targetWidth = Math.max(1, Math.round(width * layer.scale * layer.aspect * pixelScale));
+        const targetHeight = Math.max(1, Math.round(height * layer.scale * pixelScale));
+        this.checkLayerSize(targetWidth, targetHeight, maxSize);
+
+        // Tint (multiply) and opacity in one pass, alpha stays as authored
+        const tint = this.hexToRgb(layer.color || '#ffffff');
+
+        return sharp(source, await this.getRasterizeOptions(source, targetWidth))
+            .ensureAlpha()
+            .resize(targetWidth, targetHeight, { fit: 'fill', kernel: 'lanczos3' })
+            .linear([tint.r / 255, tint.g / 255, tint.b / 255, layer.opacity], [0, 0, 0, 0])
+            .png()
+            .toBuffer();
+    }
+
+    /**
+     * Vector logos are rasterized at the target size instead of being upscaled from 72 DPI
+     */
+    async getRasterizeOptions(source, targetWidth) {
+        const { format, width } = await sharp(source).metadata();
+        if (format !== 'svg' || !width) {
+            return {};
+        }
+        return { density: Math.min(72 * Math.max(1, targetWidth / width), 100000) };
+    }
+
+    async renderTextLayer(layer, pixelScale, maxSize = this.maxResolution) {
+        if (!layer.text) {
+            throw new Error('Empty text layer');
+        }
+
+        const unit = layer.scale * pixelScale;
+        const fontSize = layer.fontSize * unit;
+        const outlineExtent = layer.outlines.reduce((sum, outline) => sum + outline.width, 0) * unit;
+        const shadow = layer.shadow && {
+            dx: layer.shadow.offsetX * unit,
+            dy: layer.shadow.offsetY * unit,
+            blur: layer.shadow.blur * unit,
+            color: layer.shadow.color
+        };
+        const margin = outlineExtent + fontSize * 0.25 +
+            (shadow ? Math.max(Math.abs(shadow.dx), Math.abs(shadow.dy)) + shadow.blur * 2 : 0);
+
+        const glyphs = this.placeTextGlyphs(layer, fontSize);
+        const extentX = Math.max(...glyphs.map(glyph => Math.abs(glyph.x) + fontSize * 0.6));
+        const extentY = Math.max(...glyphs.map(glyph => Math.abs(glyph.y) + fontSize * 0.6 * glyph.scaleY));
+        const width = Math.ceil((extentX + margin) * 2);
+        const height = Math.ceil((extentY + margin) * 2);
+        this.checkLayerSize(width * layer.aspect, height, maxSize);
+
+        // One <text> per glyph so warps can move, rotate and stretch each character
+        const glyphMarkup = glyphs.map(glyph =>
+            `<text transform="translate(${width / 2 + glyph.x} ${height / 2 + glyph.y}) rotate(${glyph.angle}) scale(1 ${glyph.scaleY})">` +
+            `${this.escapeXml(glyph.char)}</text>`
+        ).join('');
+
+        const defs = shadow
+            ? `<filter id="shadow" x="-50%" y="-50%" width="200%" height="200%">` +
+                `<feDropShadow dx="${shadow.dx}" dy="${shadow.dy}" stdDeviation="${shadow.blur / 2}" flood-color="${shadow.color}"/></filter>`
+            : '';
+
+        // Outlines stack outward from the fill (outermost drawn first), as on the client
+        const passes = [];
+        let extent = 0;
+        layer.outlines.forEach(outline => {
+            extent += outline.width * unit;
+            passes.unshift(`fill="${outline.color}" stroke="${outline.color}" stroke-width="${extent * 2}" stroke-linejoin="round"`);
+        });
+        passes.push(`fill="${layer.color || '#ffffff'}"`);
+
+        const groups = passes.map((paint, index) =>
+            `<g ${paint}${index === 0 && shadow ? ' filter="url(#shadow)"' : ''}>${glyphMarkup}</g>`
+        ).join('');
+
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+            `<defs>${defs}</defs><g opacity="${layer.opacity}" text-anchor="middle" dominant-baseline="central" ` +
+            `font-family="${layer.fontFamily}" font-size="${fontSize}">${groups}</g></svg>`;
+
+        // The box is centered on the text, matching the client's centered text rendering;
+        // an unlocked aspect stretches it horizontally like the client's drawLayer
+        const image = sharp(Buffer.from(svg));
+        if (layer.aspect !== 1) {
+            image.resize(Math.max(1, Math.round(width * layer.aspect)), height, { fit: 'fill' });
+        }
+        return image.png().toBuffer();
+    }
+
+    /**
+     * Glyph centers for a text layer, following lib/client/TextRenderer.js. The server has no
+     * font metrics, so advances are estimated from character classes.
+     * @returns {Array} [{ char, x, y, angle (degrees), scaleY }]
+     */
+    placeTextGlyphs(layer, fontSize) {
+        const estimateWidth = (char) => {
+            if (/[\u1100-\u11ff\u3000-\u9fff\uac00-\ud7af]/.test(char)) return fontSize;
+            if (/[MW@]/.test(char)) return fontSize * 0.85;
+            if (/[iIl1.,:;'!| ]/.test(char)) return fontSize * 0.32;
+            return fontSize * 0.62;
+        };
+        const spacing = layer.letterSpacing * fontSize;
+        const lineAdvance = fontSize * layer.lineHeight;
+
+        const lines = layer.text.split(/\r\n?|\n/).map(line => {
+            const chars = Array.from(line);
+            const widths = chars.map(estimateWidth);
+            const width = widths.reduce((sum, charWidth) => sum + charWidth, 0) + spacing * Math.max(0, chars.length - 1);
+            return { chars, widths, width };
+        });
+        const longest = Math.max(1, ...lines.map(line => line.width));
+
+        const { type, amount } = layer.warp;
+        const direction = Math.sign(amount);
+        const sweep = Math.abs(amount) / 100 * Math.PI;
+        const radius = type === 'arc' && amount !== 0 ? longest / sweep : 0;
+        const rise = Math.abs(amount) / 100 * (lines.length * lineAdvance) * 0.5;
+
+        const glyphs = [];
+        lines.forEach((line, lineIndex) => {
+            const lineOffset = (lineIndex - (lines.length - 1) / 2) * lineAdvance;
+            let cursor = -line.width / 2;
+
+            line.chars.forEach((char, index) => {
+                const along = cursor + line.widths[index] / 2;
+                cursor += line.widths[index] + spacing;
+                const glyph = { char, x: along, y: lineOffset, angle: 0, scaleY: 1 };
+
+                if (radius) {
+                    const lineRadius = Math.max(fontSize, radius - direction * lineOffset);
+                    const theta = along / lineRadius;
+                    glyph.x = lineRadius * Math.sin(theta);
+                    glyph.y = direction * (radius - lineRadius * Math.cos(theta));
+                    glyph.angle = direction * theta * 180 / Math.PI;
+                } else if (type === 'vertical-arch' || type === 'bridge') {
+                    const t = along / (longest / 2);
+                    const curve = 1 - t * t;
+                    const lift = direction > 0 ? rise * curve : rise * (1 - curve);
+                    if (type === 'vertical-arch') {
+                        glyph.y -= lift;
+                    } else {
+                        // Bridge stretches glyphs upward from a straight baseline
+                        const textHeight = lines.length * lineAdvance;
+                        glyph.scaleY = 1 + lift / textHeight;
+                        glyph.y = glyph.y * glyph.scaleY - lift / 2;
+                    }
+                }
+
+                glyphs.push(glyph);
+            });
+        });
+
+        return glyphs.length > 0 ? glyphs : [{ char: '', x: 0, y: 0, angle: 0, scaleY: 1 }];
+    }
+
+    /**
+     * Rotate an overlay around its center and clip it to the atlas
+     */
+    async placeOverlay(image, layer, size) {
+        const rotated = layer.rotation
+            ? await sharp(image).rotate(layer.rotation, { background: { r: 0, g: 0, b: 0, alpha: 0 } }).png().toBuffer()
+            : image;
+
+        const { width, height } = await sharp(rotated).metadata();
+        const left = Math.round(layer.position.x * size - width / 2);
+        const top = Math.round(layer.position.y * size - height / 2);
+
+        const clipLeft = Math.max(0, left);
+        const clipTop = Math.max(0, top);
+        const clipRight = Math.min(size, left + width);
+        const clipBottom = Math.min(size, top + height);
+
+        if (clipRight <= clipLeft || clipBottom <= clipTop) {
+            return null;
+        }
+
+        const input = await sharp(rotated)
+            .extract({
+                left: clipLeft - left,
+                top: clipTop - top,
+                width: clipRight - clipLeft,
+                height: clipBottom - clipTop
+            })
+            .png()
+            .toBuffer();
+
+        return { input, left: clipLeft, top: clipTop };
+    }
+
+    getPieceRect(piece, design) {
+        const region = PIECE_REGIONS[piece];
+
+        if (piece === 'arms') {
+            return region.variants[design.setOption.startsWith('long') ? 'long' : 'short'];
+        }
+        if (piece === 'neck') {
+            return region.variants[design.neckType];
+        }
+        return region.rect;
+    }
+
+    /**
+     * Crop one piece (plus bleed) out of the atlas and write it to disk
+     */
+    async writePiece(atlas, size, piece, design, options, bleedPx, exportDir) {
+        const [u0, v0, u1, v1] = this.getPieceRect(piece, design);
+
+        const left = Math.floor(u0 * size) - bleedPx;
+        const top = Math.floor(v0 * size) - bleedPx;
+        const right = Math.ceil(u1 * size) + bleedPx;
+        const bottom = Math.ceil(v1 * size) + bleedPx;
+
+        // Bleed that falls outside the atlas is padded with transparency
+        const extract = {
+            left: Math.max(0, left),
+            top: Math.max(0, top),
+            width: Math.min(size, right) - Math.max(0, left),
+            height: Math.min(size, bottom) - Math.max(0, top)
+        };
+
+        let image = sharp(atlas, { raw: { width: size, height: size, channels: 4 } })
+            .extract(extract)
+            .extend({
+                top: extract.top - top,
+                left: extract.left - left,
+                bottom: bottom - (extract.top + extract.height),
+                right: right - (extract.left + extract.width),
+                background: { r: 0, g: 0, b: 0, alpha: 0 }
+            })
+            .withMetadata({ density: options.dpi });
+
+        image = options.format === 'tiff'
+            ? image.tiff({ compression: 'lzw' })
+            : image.png({ compressionLevel: 6 });
+
+        const filename = `${piece}.${options.format === 'tiff' ? 'tif' : 'png'}`;
+        await image.toFile(path.join(exportDir, filename));
+
+        const width = right - left;
+        const height = bottom - top;
+
+        return {
+            piece,
+            label: PIECE_REGIONS[piece].label,
+            filename,
+            width,
+            height,
+            widthMm: Math.round(width / options.dpi * 25.4),
+            heightMm: Math.round(height / options.dpi * 25.4)
+        };
+    }
+
+    /**
+     * List finished exports for a session (newest first)
+     */
+    async listExports(sessionId) {
+        const exportsDir = path.join(this.sessionsDir, sessionId, 'exports');
+
+        let entries;
+        try {
+            entries = await fs.readdir(exportsDir);
+        } catch {
+            return [];
+        }
+
+        const manifests = [];
+        for (const exportId of entries) {
+            try {
+                const data = await fs.readFile(path.join(exportsDir, exportId, 'manifest.json'), 'utf8');
+                manifests.push(JSON.parse(data));
+            } catch {
+                // Export still running or incomplete
+            }
+        }
+
+        return manifests.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    getExportFilePath(sessionId, exportId, filename) {
+        return path.resolve(this.sessionsDir, sessionId, 'exports', exportId, filename);
+    }
+
+    hexToRgb(hex) {
+        return {
+            r: parseInt(hex.slice(1, 3), 16),
+            g: parseInt(hex.slice(3, 5), 16),
+            b: parseInt(hex.slice(5, 7), 16)
+        };
+    }
+
+    escapeXml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
+
+module.exports = PrintExporter;
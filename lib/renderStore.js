@@ -0,0 +1,201 @@
+const sharp = require('sharp');
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const ImageProcessor = require('./imageProcessor');
+
+// Camera presets of the client capture API (SceneManager CAMERA_PRESETS), in display order
+const RENDER_PRESETS = ['front', 'back', 'threeQuarter', 'sleeve'];
+const RENDER_KINDS = ['still', 'turntable'];
+const TURNTABLE_FORMATS = ['webp', 'gif', 'sequence'];
+const DEFAULT_FRAME_DELAY_MS = 80;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * RenderStore - product shots captured by the client (camera preset stills and 360°
+ * turntables), kept per session under renders/<renderId>/ with a manifest.json, so order
+ * emails and spreadsheets can show the design
+ */
+class RenderStore {
+    constructor(options = {}) {
+        this.sessionsDir = options.sessionsDir || './sessions';
+        this.maxFrames = options.maxFrames || 72;
+        this.maxDimension = options.maxDimension || 4096;
+        // Decoded pixels across all frames of one render (animations hold every frame in memory)
+        this.maxTotalPixels = options.maxTotalPixels || 64 * 1024 * 1024;
+        // Animated output is encoded off the main thread when the server passes its worker pool
+        this.encodeAnimation = options.encodeAnimation || (animation => ImageProcessor.encodeAnimation(animation));
+    }
+
+    /**
+     * Validate an upload (multipart fields + PNG files)
+     * @param {Object} fields - { kind, preset, format, frameDelayMs } (form fields are strings)
+     * @param {Array} files - Uploaded PNG frames in order
+     * @returns {Object} - { kind, preset, format, frameDelayMs, frames: [Buffer] }
+     */
+    normalizeRequest(fields = {}, files = []) {
+        const kind = fields.kind || 'still';
+        if (!RENDER_KINDS.includes(kind)) {
+            throw new Error(`kind must be one of: ${RENDER_KINDS.join(', ')}`);
+        }
+        if (!RENDER_PRESETS.includes(fields.preset)) {
+            throw new Error(`preset must be one of: ${RENDER_PRESETS.join(', ')}`);
+        }
+
+        const frames = files.map(file => file.buffer);
+        if (frames.some(frame => !frame || !frame.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE))) {
+            throw new Error('Renders must be PNG images');
+        }
+
+        if (kind === 'still') {
+            if (frames.length !== 1) {
+                throw new Error('A still render takes exactly one image');
+            }
+            return { kind, preset: fields.preset, format: 'png', frameDelayMs: null, frames };
+        }
+
+        const format = fields.format || 'webp';
+        if (!TURNTABLE_FORMATS.includes(format)) {
+            throw new Error(`format must be one of: ${TURNTABLE_FORMATS.join(', ')}`);
+        }
+        if (frames.length < 2 || frames.length > this.maxFrames) {
+            throw new Error(`A turntable takes 2 to ${this.maxFrames} frames`);
+        }
+
+        const delay = Math.round(Number(fields.frameDelayMs));
+        const frameDelayMs = Number.isFinite(delay) ? Math.min(1000, Math.max(20, delay)) : DEFAULT_FRAME_DELAY_MS;
+
+        return { kind, preset: fields.preset, format, frameDelayMs, frames };
+    }
+
+    /**
+     * All frames must decode and share one size within maxDimension, and stay within
+     * maxTotalPixels together
+     */
+    async readFrameSize(frames) {
+        const sizes = await Promise.all(frames.map(frame => sharp(frame).metadata()));
+        const [{ width, height }] = sizes;
+
+        if (sizes.some(size => size.format !== 'png' || size.width !== width || size.height !== height)) {
+            throw new Error('All frames must be PNG images of the same size');
+        }
+        if (width > this.maxDimension || height > this.maxDimension) {
+            throw new Error(`Renders are limited to ${this.maxDimension}x${this.maxDimension}`);
+        }
+        if (width * height * frames.length > this.maxTotalPixels) {
+            throw new Error(`Renders are limited to ${this.maxTotalPixels} pixels across all frames`);
+        }
+        return { width, height };
+    }
+
+    /**
+     * Store a normalized render
+     * @param {string} sessionId - Session ID
+     * @param {Object} request - From normalizeRequest
+     * @returns {Promise<Object>} - The render manifest
+     */
+    async saveRender(sessionId, request) {
+        const { width, height } = await this.readFrameSize(request.frames);
+        const renderId = uuidv4();
+        const renderDir = path.join(this.sessionsDir, sessionId, 'renders', renderId);
+
+        let outputs;
+        if (request.kind === 'still') {
+            outputs = [{ filename: `${request.preset}.png`, buffer: request.frames[0] }];
+        } else if (request.format === 'sequence') {
+            outputs = request.frames.map((buffer, index) => ({
+                filename: `frame_${String(index + 1).padStart(3, '0')}.png`,
+                buffer
+            }));
+        } else {
+            const animation = await this.encodeAnimation({
+                frames: request.frames,
+                format: request.format,
+                delayMs: request.frameDelayMs,
+                limitInputPixels: this.maxDimension * this.maxDimension
+            });
+            outputs = [{ filename: `turntable.${request.format}`, buffer: Buffer.from(animation) }];
+        }
+
+        await fs.mkdir(renderDir, { recursive: true });
+        try {
+            for (const output of outputs) {
+                await fs.writeFile(path.join(renderDir, output.filename), output.buffer);
+            }
+
+            const manifest = {
+                renderId,
+                sessionId,
+                createdAt: new Date().toISOString(),
+                kind: request.kind,
+                preset: request.preset,
+                format: request.format,
+                width,
+                height,
+                frameCount: request.frames.length,
+                frameDelayMs: request.frameDelayMs,
+                files: outputs.map(output => ({ filename: output.filename, size: output.buffer.length }))
+            };
+            await fs.writeFile(path.join(renderDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+            console.log(`📸 Saved ${request.kind} render ${renderId} (${request.preset}, ${request.format}) for session ${sessionId}`);
+            return manifest;
+        } catch (error) {
+            await fs.rm(renderDir, { recursive: true, force: true });
+            throw error;
+        }
+    }
+
+    /**
+     * Renders of a session, newest first
+     */
+    async listRenders(sessionId) {
+        const rendersDir = path.join(this.sessionsDir, sessionId, 'renders');
+
+        let entries;
+        try {
+            entries = await fs.readdir(rendersDir);
+        } catch {
+            return [];
+        }
+
+        const manifests = [];
+        for (const renderId of entries) {
+            try {
+                const data = await fs.readFile(path.join(rendersDir, renderId, 'manifest.json'), 'utf8');
+                manifests.push(JSON.parse(data));
+            } catch {
+                // Incomplete render
+            }
+        }
+
+        return manifests.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * The latest still of each preset, in preset order (order emails and spreadsheets)
+     * @returns {Promise<Array>} - [{ preset, renderId, filename, path, width, height }]
+     */
+    async getLatestStills(sessionId) {
+        const stills = (await this.listRenders(sessionId)).filter(render => render.kind === 'still');
+
+        return RENDER_PRESETS
+            .map(preset => stills.find(render => render.preset === preset))
+            .filter(Boolean)
+            .map(render => ({
+                preset: render.preset,
+                renderId: render.renderId,
+                filename: render.files[0].filename,
+                path: this.getRenderFilePath(sessionId, render.renderId, render.files[0].filename),
+                width: render.width,
+                height: render.height
+            }));
+    }
+
+    getRenderFilePath(sessionId, renderId, filename) {
+        return path.resolve(this.sessionsDir, sessionId, 'renders', renderId, filename);
+    }
+}
+
+module.exports = RenderStore;
@@ -0,0 +1,279 @@
+const XLSX = require('xlsx');
+const OrderParser = require('./OrderParser');
+const CatalogService = require('./catalogService');
+
+// Roster fields in player sheet column order, with other header spellings we accept
+const ROSTER_FIELDS = [
+    { field: 'number', aliases: ['등번호', '백넘버', 'no', 'number', '#'] },
+    { field: 'name', aliases: ['이름', '성명', '선수', 'name', 'player'] },
+    { field: 'type', aliases: ['구성', '종류', 'type'] },
+    { field: 'sleeveType', aliases: ['소매', 'sleeve', 'sleevetype'] },
+    { field: 'topSize', aliases: ['상의', 'top', 'topsize'] },
+    { field: 'bottomSize', aliases: ['하의', 'bottom', 'bottomsize'] }
+].map((column, index) => ({ ...column, header: OrderParser.PLAYER_COLUMNS[index] }));
+
+// Short forms people type instead of the catalog names
+const VALUE_ALIASES = {
+    type: { '세트': 'set', '상하의': 'set', '상의': 'top', '하의': 'bottom' },
+    sleeveType: { '반팔': 'short', '긴팔': 'long' }
+};
+
+const SUPPORTED_EXTENSIONS = ['.csv', '.xlsx', '.xls'];
+const HEADER_SEARCH_ROWS = 10;
+const PLAYER_NUMBER = /^\d{1,3}$/;
+
+const normalizeHeader = value => String(value || '').replace(/\s+/g, '').toLowerCase();
+
+/**
+ * Roster Importer - Reads a team roster from CSV/XLSX into order form players,
+ * reporting validation errors per spreadsheet row
+ */
+class RosterImporter {
+    constructor(options = {}) {
+        this.catalogService = options.catalogService || new CatalogService({ catalogPath: options.catalogPath });
+        this.maxRows = options.maxRows || 500;
+    }
+
+    static get SUPPORTED_EXTENSIONS() {
+        return SUPPORTED_EXTENSIONS;
+    }
+
+    static get FIELDS() {
+        return ROSTER_FIELDS.map(({ field, header }) => ({ field, header }));
+    }
+
+    /**
+     * Parse a roster file
+     * @param {Buffer} buffer - File contents
+     * @param {string} filename - Original filename (decides CSV vs. workbook parsing)
+     * @param {Object} [mapping] - Field → column header overrides, e.g. { number: '등번호' }
+     * @returns {Object} { columns, mapping, players, errors: [{ row, field, message }], totalRows }
+     */
+    parse(buffer, filename, mapping = {}) {
+        const rows = this.readRows(buffer, filename);
+        const headerIndex = this.findHeaderRow(rows);
+        if (headerIndex === -1) {
+            throw new Error('Invalid roster: no header row found');
+        }
+
+        const columns = rows[headerIndex].map(value => String(value).trim());
+        const columnIndexes = this.resolveMapping(columns, mapping);
+        if (columnIndexes.number === -1 && columnIndexes.name === -1) {
+            throw new Error('Invalid roster: map at least the number or name column');
+        }
+
+        const dataRows = rows.slice(headerIndex + 1);
+        if (dataRows.length > this.maxRows) {
+            throw new Error(`Invalid roster: more than ${this.maxRows} rows`);
+        }
+
+        const players = [];
+        const errors = [];
+        const seenNumbers = new Map();
+        let totalRows = 0;
+
+        dataRows.forEach((cells, index) => {
+            // Spreadsheet row number as shown in Excel
+            const row = headerIndex + index + 2;
+            const values = Object.fromEntries(ROSTER_FIELDS.map(({ field }) => [
+                field,
+                columnIndexes[field] === -1 ? '' : String(cells[columnIndexes[field]] ?? '').trim()
+            ]));
+
+            // Blank lines and export total rows have neither number nor name
+            if (!values.number && !values.name) {
+                return;
+            }
+            totalRows++;
+
+            const { player, rowErrors } = this.validateRow(values);
+            if (player.number && seenNumbers.has(player.number)) {
+                rowErrors.push({ field: 'number', message: `번호 ${player.number}이(가) ${seenNumbers.get(player.number)}행과 중복됩니다` });
+            }
+
+            if (rowErrors.length > 0) {
+                errors.push(...rowErrors.map(error => ({ row, ...error })));
+            } else {
+                seenNumbers.set(player.number, row);
+                players.push(player);
+            }
+        });
+
+        const resolvedMapping = Object.fromEntries(ROSTER_FIELDS.map(({ field }) => [
+            field,
+            columnIndexes[field] === -1 ? null : columns[columnIndexes[field]]
+        ]));
+
+        return { columns, mapping: resolvedMapping, players, errors, totalRows };
+    }
+
+    readRows(buffer, filename) {
+        const extension = String(filename || '').toLowerCase().match(/\.[a-z]+$/)?.[0];
+        if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+            throw new Error(`Invalid roster: supported formats are ${SUPPORTED_EXTENSIONS.join(', ')}`);
+        }
+
+        let workbook;
+        try {
+            workbook = extension === '.csv'
+                // Read CSV as UTF-8 text so Korean names survive (xlsx would guess a codepage from raw bytes)
+                ? XLSX.read(buffer.toString('utf8').replace(/^\uFEFF/, ''), { type: 'string', raw: true })
+                : XLSX.read(buffer, { type: 'buffer' });
+        } catch (error) {
+            throw new Error(`Invalid roster: could not read file (${error.message})`);
+        }
+
+        const sheetName = workbook.SheetNames.find(name => name === '선수정보') || workbook.SheetNames[0];
+        const sheet = sheetName && workbook.Sheets[sheetName];
+        if (!sheet) {
+            throw new Error('Invalid roster: the file has no sheets');
+        }
+
+        return XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: false, blankrows: true });
+    }
+
+    /**
+     * The header is the first row naming at least two roster columns (exports start with a title row)
+     */
+    findHeaderRow(rows) {
+        return rows.slice(0, HEADER_SEARCH_ROWS).findIndex(cells =>
+            cells.filter(cell => this.matchField(cell)).length >= 2
+        );
+    }
+
+    matchField(header) {
+        const normalized = normalizeHeader(header);
+        if (!normalized) {
+            return null;
+        }
+        const column = ROSTER_FIELDS.find(({ header: canonical, aliases }) =>
+            normalizeHeader(canonical) === normalized || aliases.includes(normalized)
+        );
+        return column ? column.field : null;
+    }
+
+    /**
+     * Column index per field: explicit mapping first, then header matching
+     */
+    resolveMapping(columns, mapping) {
+        const indexes = {};
+
+        ROSTER_FIELDS.forEach(({ field }) => {
+            if (Object.prototype.hasOwnProperty.call(mapping, field)) {
+                // An empty mapping deliberately ignores the field
+                indexes[field] = mapping[field] ? columns.indexOf(String(mapping[field]).trim()) : -1;
+                if (mapping[field] && indexes[field] === -1) {
+                    throw new Error(`Invalid roster: column "${mapping[field]}" not found`);
+                }
+            } else {
+                indexes[field] = columns.findIndex(column => this.matchField(column) === field);
+            }
+        });
+
+        return indexes;
+    }
+
+    /**
+     * Normalize one row's values to a player and collect what is wrong with it
+     */
+    validateRow(values) {
+        const catalog = this.catalogService.getCatalog();
+        const sizes = catalog.sizes.range;
+        const rowErrors = [];
+
+        const type = values.type ? this.matchOption(values.type, catalog.products, VALUE_ALIASES.type) : 'set';
+        const sleeveType = values.sleeveType
+            ? this.matchOption(values.sleeveType, catalog.options?.sleeveTypes || [], VALUE_ALIASES.sleeveType)
+            : 'short';
+        const topSize = values.topSize.toUpperCase();
+        const bottomSize = values.bottomSize.toUpperCase();
+
+        if (!values.number) {
+            rowErrors.push({ field: 'number', message: '번호가 없습니다' });
+        } else if (!PLAYER_NUMBER.test(values.number)) {
+            rowErrors.push({ field: 'number', message: `번호 "${values.number}"은(는) 숫자 1~3자리여야 합니다` });
+        }
+        if (!values.name) {
+            rowErrors.push({ field: 'name', message: '선수명이 없습니다' });
+        }
+        if (!type) {
+            rowErrors.push({ field: 'type', message: `알 수 없는 구성 "${values.type}"` });
+        }
+        if (!sleeveType) {
+            rowErrors.push({ field: 'sleeveType', message: `알 수 없는 소매타입 "${values.sleeveType}"` });
+        }
+
+        const pieces = catalog.products[type]?.pieces || [];
+        [['topSize', topSize, 'top', '상의'], ['bottomSize', bottomSize, 'bottom', '하의']].forEach(([field, size, piece, label]) => {
+            if (size && !sizes.includes(size)) {
+                rowErrors.push({ field, message: `${label} 사이즈 "${size}"은(는) ${sizes.join('/')} 중 하나여야 합니다` });
+            } else if (!size && pieces.includes(piece)) {
+                rowErrors.push({ field, message: `${label} 사이즈가 없습니다` });
+            }
+        });
+
+        return {
+            player: {
+                number: values.number,
+                name: values.name,
+                type: type || 'set',
+                sleeveType: sleeveType || 'short',
+                topSize: pieces.includes('top') ? topSize : '',
+                bottomSize: pieces.includes('bottom') ? bottomSize : ''
+            },
+            rowErrors
+        };
+    }
+
+    /**
+     * Match a cell against catalog options by id or display name
+     * @param {Object|Array} options - Catalog products (keyed by id) or an option list
+     * @returns {string|null} Option id
+     */
+    matchOption(value, options, aliases = {}) {
+        const normalized = normalizeHeader(value);
+        const entries = Array.isArray(options)
+            ? options.map(option => [option.id, option.name])
+            : Object.entries(options).map(([id, option]) => [id, option.name]);
+
+        const match = entries.find(([id, name]) => normalizeHeader(id) === normalized || normalizeHeader(name) === normalized);
+        if (match) {
+            return match[0];
+        }
+        const alias = Object.entries(aliases).find(([label]) => normalizeHeader(label) === normalized);
+        return alias ? alias[1] : null;
+    }
+
+    /**
+     * Roster template: the export's player columns, an example row and a sheet listing accepted values
+     * @returns {Buffer} XLSX file
+     */
+    generateTemplate() {
+        const catalog = this.catalogService.getCatalog();
+        const sleeveTypes = catalog.options?.sleeveTypes || [];
+        const sizes = catalog.sizes.range;
+
+        const rosterSheet = XLSX.utils.aoa_to_sheet([
+            OrderParser.PLAYER_COLUMNS,
+            ['10', '홍길동', catalog.products.set?.name || 'set', sleeveTypes[0]?.name || 'short', sizes[2] || sizes[0], sizes[2] || sizes[0]]
+        ]);
+        rosterSheet['!cols'] = OrderParser.PLAYER_COLUMNS.map(() => ({ wch: 12 }));
+
+        const guideSheet = XLSX.utils.aoa_to_sheet([
+            ['항목', '입력 가능한 값'],
+            ['번호', '숫자 1~3자리 (중복 불가)'],
+            ['구성', Object.values(catalog.products).map(product => product.name).join(', ')],
+            ['소매타입', sleeveTypes.map(option => option.name).join(', ')],
+            ['상의사이즈 / 하의사이즈', sizes.join(', ')]
+        ]);
+        guideSheet['!cols'] = [{ wch: 24 }, { wch: 40 }];
+
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, rosterSheet, '선수정보');
+        XLSX.utils.book_append_sheet(workbook, guideSheet, '입력안내');
+
+        return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+    }
+}
+
+module.exports = RosterImporter;
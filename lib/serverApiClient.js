@@ -7,6 +7,22 @@ class ServerApiClient {
         // Track active jobs
         this.activeJobs = new Map();
         this.jobCallbacks = new Map();
+        
+        // Pushed job updates (lib/client/JobEventSource.js); polling is used without them
+        this.jobEvents = options.jobEvents || null;
+    }
+    
+    setJobEvents(jobEvents) {
+        this.jobEvents = jobEvents;
+    }
+    
+    /**
+     * Ask the server to publish the job's updates on the session's event stream
+     */
+    appendEventSession(formData) {
+        if (this.jobEvents?.isConnected()) {
+            formData.append('sessionId', this.jobEvents.sessionId);
+        }
     }
     
     /**
@@ -26,6 +42,7 @@ class ServerApiClient {
             if (options.priority) {
                 formData.append('priority', options.priority.toString());
             }
+            this.appendEventSession(formData);
             
             // Submit job to server
             const response = await fetch(`${this.serverUrl}/api/process/single`, {
@@ -59,6 +76,38 @@ class ServerApiClient {
         }
     }
     
+    /**
+     * Remove a logo's background and/or reduce it to a few colors on the server
+     * @param {Blob} file - The current layer image
+     * @param {string} filename - Name sent with the upload
+     * @param {Object} options - { removeBackground, tolerance, feather, colors }
+     * @returns {Promise} - processServerResult() output with the detected background and palette
+     */
+    async cleanupImage(file, filename, options = {}) {
+        const formData = new FormData();
+        formData.append('image', file, filename);
+        Object.entries(options).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) {
+                formData.append(key, String(value));
+            }
+        });
+        this.appendEventSession(formData);
+
+        const response = await fetch(`${this.serverUrl}/api/process/cleanup`, {
+            method: 'POST',
+            body: formData
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.details || errorData.error || `Server error: ${response.status}`);
+        }
+
+        const { jobId } = await response.json();
+        console.log(`🧽 Image cleanup queued: ${jobId}`);
+        return this.waitForJob(jobId, filename);
+    }
+    
     /**
      * Process multiple images in batch
      * @param {File[]} files - Array of image files
@@ -74,6 +123,7 @@ class ServerApiClient {
             files.forEach(file => {
                 formData.append('images', file);
             });
+            this.appendEventSession(formData);
             
             // Submit batch job to server
             const response = await fetch(`${this.serverUrl}/api/process/batch`, {
@@ -136,12 +186,46 @@ class ServerApiClient {
     }
     
     /**
-     * Wait for a job to complete by polling its status
+     * Wait for a job to complete, from the session's event stream when it is connected
      * @param {string} jobId - Job ID to monitor
      * @param {string} filename - Original filename for logging
      * @returns {Promise} - Promise that resolves with job result
      */
     async waitForJob(jobId, filename = 'unknown') {
+        if (this.jobEvents?.isConnected()) {
+            try {
+                const status = await this.jobEvents.waitFor(jobId, () => this.getJobStatus(jobId), {
+                    timeoutMs: this.maxPollTime,
+                    onEvent: (event) => {
+                        if (event.type === 'queued') {
+                            console.log(`⏳ Job ${jobId} (${filename}) is number ${event.position} in the queue`);
+                        }
+                    }
+                });
+                
+                if (status.status === 'completed') {
+                    console.log(`✅ Job ${jobId} (${filename}) completed`);
+                    return this.processServerResult(status.result);
+                }
+                console.error(`❌ Job ${jobId} (${filename}) failed:`, status.error);
+                throw new Error(status.error?.message || `Job ${jobId} ${status.status === 'not_found' ? 'not found' : 'failed'}`);
+            } catch (error) {
+                if (error.code !== 'STREAM_CLOSED') {
+                    throw error;
+                }
+            }
+        }
+        
+        return this.pollForJob(jobId, filename);
+    }
+    
+    /**
+     * Wait for a job to complete by polling its status
+     * @param {string} jobId - Job ID to monitor
+     * @param {string} filename - Original filename for logging
+     * @returns {Promise} - Promise that resolves with job result
+     */
+    async pollForJob(jobId, filename = 'unknown') {
         return new Promise((resolve, reject) => {
             const startTime = Date.now();
             
@@ -201,6 +285,77 @@ class ServerApiClient {
         }
     }
     
+    /**
+     * Render print-ready files for the session's design on the server
+     * @param {string} sessionId - Session to store the export in
+     * @param {Object} design - Pattern, colors, set options and layers
+     * @param {Object} options - { resolution, format, dpi, bleedMm, pieces }
+     * @param {number} maxWaitMs - Print exports take much longer than image jobs
+     * @returns {Promise<Object>} - Export manifest with download URLs
+     */
+    async exportPrintFiles(sessionId, design, options = {}, maxWaitMs = 10 * 60 * 1000) {
+        const response = await fetch(`${this.serverUrl}/api/sessions/${sessionId}/exports`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ design, options })
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.details || errorData.error || `Server error: ${response.status}`);
+        }
+
+        const { jobId, pollUrl } = await response.json();
+        console.log(`🖨️ Print export queued: ${jobId}`);
+
+        const fetchStatus = async () => {
+            const statusResponse = await fetch(`${this.serverUrl}${pollUrl}`);
+            if (!statusResponse.ok) {
+                throw new Error(`Failed to get export status: ${statusResponse.status}`);
+            }
+            return statusResponse.json();
+        };
+        const isDone = status => ['completed', 'failed', 'not_found'].includes(status.status);
+
+        let status = null;
+        if (this.jobEvents?.isConnected()) {
+            try {
+                status = await this.jobEvents.waitFor(jobId, fetchStatus, {
+                    timeoutMs: maxWaitMs,
+                    onEvent: (event) => {
+                        if (event.type === 'progress') {
+                            console.log(`🖨️ Print export ${jobId}: ${event.progress.percent}% ${event.progress.message}`);
+                        }
+                    }
+                });
+            } catch (error) {
+                if (error.code !== 'STREAM_CLOSED') {
+                    throw error;
+                }
+            }
+        }
+
+        const startTime = Date.now();
+        while (!status && Date.now() - startTime < maxWaitMs) {
+            await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+
+            const current = await fetchStatus();
+            if (isDone(current)) {
+                status = current;
+            }
+        }
+
+        if (!status) {
+            throw new Error(`Print export ${jobId} timed out after ${maxWaitMs}ms`);
+        }
+        if (status.status === 'completed') {
+            return status.export;
+        }
+        throw new Error(status.error || 'Print export failed');
+    }
+
     /**
      * Get multiple job statuses
      * @param {string[]} jobIds - Array of job IDs
@@ -297,7 +452,11 @@ class ServerApiClient {
             compressedFileSize,
             serverProcessed: true,
             processingTime: serverResult.processingTime || 0,
-            optimizationDetails: serverResult.optimization || null
+            optimizationDetails: serverResult.optimization || null,
+            // Cleanup jobs only
+            background: serverResult.background || null,
+            palette: serverResult.palette || null,
+            message: serverResult.message || null
         };
     }
     
@@ -71,6 +71,34 @@ class PathSecurity {
     }
 }
 
+// Immutable design snapshots live in <session>/versions; layer images are stored once by content hash
+const VERSIONS_DIR = 'versions';
+const VERSION_IMAGES_DIR = 'versions/images';
+const VERSION_FILE_PATTERN = /^v(\d+)\.json$/;
+
+// Layer fields that change on every save and say nothing about the design
+const VOLATILE_LAYER_FIELDS = ['imagePath', 'originalPath', 'createdAt', 'lastModified', 'sessionUploaded'];
+
+/**
+ * Flatten the differences between two plain values into { path, from, to } entries
+ */
+function diffValues(before, after, prefix = '', changes = []) {
+    const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+
+    if (isObject(before) && isObject(after)) {
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        keys.forEach(key => diffValues(before[key], after[key], prefix ? `${prefix}.${key}` : key, changes));
+    } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+        changes.push({ path: prefix, from: before === undefined ? null : before, to: after === undefined ? null : after });
+    }
+
+    return changes;
+}
+
+// Customer review state of a locked proof
+const PROOF_STATUSES = ['pending', 'changes_requested', 'approved'];
+const MAX_PROOF_COMMENTS = 200;
+
 class SessionManager {
     constructor(options = {}) {
         this.sessionsDir = options.sessionsDir || './sessions';
@@ -168,6 +196,15 @@ class SessionManager {
         }
     }
     
+    // Like getSession, but a missing session is an error
+    async requireSession(sessionId) {
+        const sessionData = await this.getSession(PathSecurity.validateSessionId(sessionId));
+        if (!sessionData) {
+            throw new Error('Session not found');
+        }
+        return sessionData;
+    }
+
     async updateSession(sessionId, updates) {
         try {
             const sessionData = await this.getSession(sessionId);
@@ -175,8 +212,11 @@ class SessionManager {
                 throw new Error('Session not found');
             }
             
+            // Proof state and fork origin only change through their own methods below
+            const { proof: _proof, proofHistory: _proofHistory, forkedFrom: _forkedFrom, ...designUpdates } = updates;
+
             // Deep merge updates
-            const updatedData = this.deepMerge(sessionData, updates);
+            const updatedData = this.deepMerge(sessionData, designUpdates);
             await this.saveSessionData(sessionId, updatedData);
             
             return updatedData;
@@ -200,6 +240,7 @@ class SessionManager {
                 throw new Error(`Session not found: ${validSessionId}`);
             }
 
+            const properties = layerData.properties || {};
             const layerId = layerData.id || `layer_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
 
             // Validate layerId for security
@@ -220,7 +261,7 @@ class SessionManager {
             let imagePath = null;
             if (imageBuffer) {
                 console.log(`Attempting to write image for layer ${validLayerId}, buffer size: ${imageBuffer.length} bytes`);
-                imagePath = await this.writeLayerImage(validSessionId, validLayerId, imageBuffer);
+                imagePath = await this.writeLayerImage(validSessionId, validLayerId, imageBuffer, properties.isVector);
                 if (imagePath) {
                     console.log(`✅ Successfully saved image: ${imagePath}`);
                 } else {
@@ -247,13 +288,13 @@ class SessionManager {
                 type: layerData.type || 'image',
                 name: layerData.name || `Layer ${sessionData.layers.length + 1}`,
                 visible: layerData.visible !== undefined ? layerData.visible : true,
-                properties: layerData.properties || {},
+                properties,
                 imagePath: imagePath,
                 originalPath: originalPath,
                 createdAt: new Date().toISOString()
             };
 
-            sessionData.layers.push(layer);
+            this.upsertLayer(sessionData, layer);
             await this.saveSessionData(validSessionId, sessionData);
 
             console.log(`✅ Added layer ${validLayerId} to session ${validSessionId} with ${imagePath ? 'image' : 'no image'}`);
@@ -267,6 +308,18 @@ class SessionManager {
         }
     }
     
+    /**
+     * Clients send their own layer IDs, so a re-upload (e.g. after undo) replaces the old entry
+     */
+    upsertLayer(sessionData, layer) {
+        const existingIndex = sessionData.layers.findIndex(existing => existing.id === layer.id);
+        if (existingIndex !== -1) {
+            sessionData.layers[existingIndex] = layer;
+        } else {
+            sessionData.layers.push(layer);
+        }
+    }
+    
     async updateLayer(sessionId, layerId, updates) {
         try {
             // Validate sessionId and layerId for security
@@ -384,7 +437,7 @@ class SessionManager {
             if (layer.type !== 'text') {
                 // First, try the session directory
                 const sessionDir = path.join(this.sessionsDir, sessionId);
-                const possibleExtensions = ['png', 'jpg', 'jpeg', 'webp'];
+                const possibleExtensions = ['png', 'jpg', 'jpeg', 'webp', 'svg'];
                 
                 for (const ext of possibleExtensions) {
                     const fallbackPath = path.join(sessionDir, `${layerId}.${ext}`);
@@ -444,7 +497,412 @@ class SessionManager {
             throw error;
         }
     }
-    
+
+    async getLayerOriginalImage(sessionId, layerId) {
+        // Validate sessionId and layerId for security
+        const validSessionId = PathSecurity.validateSessionId(sessionId);
+        const validLayerId = PathSecurity.validateLayerId(layerId);
+
+        const sessionData = await this.getSession(validSessionId);
+        if (!sessionData) {
+            throw new Error('Session not found');
+        }
+
+        const layer = sessionData.layers.find(layer => layer.id === validLayerId);
+        if (!layer || !layer.originalPath) {
+            throw new Error('Original image not found');
+        }
+
+        const sessionDir = path.join(this.sessionsDir, validSessionId);
+        const safeOriginalPath = PathSecurity.sanitizePath(sessionDir, layer.originalPath);
+        return await fs.readFile(safeOriginalPath);
+    }
+
+    static get PROOF_STATUSES() {
+        return PROOF_STATUSES;
+    }
+
+    isProofLocked(sessionData) {
+        return Boolean(sessionData && sessionData.proof && sessionData.proof.locked);
+    }
+
+    /**
+     * Proof state as shown to the customer (without the frozen design copy)
+     */
+    getPublicProof(sessionData) {
+        if (!sessionData || !sessionData.proof) {
+            return null;
+        }
+        const { design: _design, ...proof } = sessionData.proof;
+        return proof;
+    }
+
+    /**
+     * Proof summary for staff listings; reads session.json without touching lastAccessed
+     */
+    async getProofSummary(sessionId) {
+        try {
+            const validSessionId = PathSecurity.validateSessionId(sessionId);
+            const data = await fs.readFile(path.join(this.sessionsDir, validSessionId, 'session.json'), 'utf8');
+            const proof = this.getPublicProof(JSON.parse(data));
+
+            return proof && {
+                version: proof.version,
+                locked: proof.locked,
+                status: proof.status,
+                commentCount: proof.comments.length
+            };
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Staff lock the current design as a new proof version; edits are rejected until it is unlocked
+     */
+    async lockProof(sessionId, { lockedBy = 'staff', note = '' } = {}) {
+        const sessionData = await this.requireSession(sessionId);
+        if (this.isProofLocked(sessionData)) {
+            throw new Error('Proof is already locked');
+        }
+
+        // Earlier rounds (with their comments) are kept for reference
+        if (sessionData.proof) {
+            sessionData.proofHistory = [...(sessionData.proofHistory || []), sessionData.proof];
+        }
+
+        sessionData.proof = {
+            version: (sessionData.proof?.version || 0) + 1,
+            locked: true,
+            status: PROOF_STATUSES[0],
+            lockedAt: new Date().toISOString(),
+            lockedBy: String(lockedBy || 'staff').slice(0, 100),
+            ...(note ? { note: String(note).slice(0, 500) } : {}),
+            design: JSON.parse(JSON.stringify({
+                configuration: sessionData.configuration || {},
+                layers: sessionData.layers || []
+            })),
+            comments: []
+        };
+
+        await this.saveSessionData(sessionData.sessionId, sessionData);
+        console.log(`🔒 Locked proof v${sessionData.proof.version} for session ${sessionData.sessionId}`);
+        return sessionData.proof;
+    }
+
+    async unlockProof(sessionId) {
+        const sessionData = await this.requireSession(sessionId);
+        if (!this.isProofLocked(sessionData)) {
+            throw new Error('Proof is not locked');
+        }
+
+        sessionData.proof.locked = false;
+        sessionData.proof.unlockedAt = new Date().toISOString();
+
+        await this.saveSessionData(sessionData.sessionId, sessionData);
+        console.log(`🔓 Unlocked proof v${sessionData.proof.version} for session ${sessionData.sessionId}`);
+        return sessionData.proof;
+    }
+
+    /**
+     * Add a customer comment pinned to a UV position on the model
+     * @param {Object} comment - { uv: {u, v}, position?: {x, y, z}, meshName?, text, author? }
+     */
+    async addProofComment(sessionId, comment = {}) {
+        const sessionData = await this.requireSession(sessionId);
+        this.assertProofOpen(sessionData);
+
+        const { uv, position, meshName, text, author } = comment;
+        const isUnit = value => typeof value === 'number' && value >= 0 && value <= 1;
+        if (!uv || !isUnit(uv.u) || !isUnit(uv.v)) {
+            throw new Error('Invalid comment: uv must be { u, v } between 0 and 1');
+        }
+        if (typeof text !== 'string' || !text.trim() || text.length > 1000) {
+            throw new Error('Invalid comment: text is required (max 1000 characters)');
+        }
+        if (position && !['x', 'y', 'z'].every(axis => Number.isFinite(position[axis]))) {
+            throw new Error('Invalid comment: position must be { x, y, z }');
+        }
+        if (sessionData.proof.comments.length >= MAX_PROOF_COMMENTS) {
+            throw new Error('Invalid comment: too many comments on this proof');
+        }
+
+        const entry = {
+            id: `comment_${crypto.randomBytes(6).toString('hex')}`,
+            uv: { u: uv.u, v: uv.v },
+            ...(position ? { position: { x: position.x, y: position.y, z: position.z } } : {}),
+            ...(typeof meshName === 'string' && meshName ? { meshName: meshName.slice(0, 100) } : {}),
+            text: text.trim(),
+            author: String(author || '').trim().slice(0, 100) || 'customer',
+            createdAt: new Date().toISOString()
+        };
+
+        sessionData.proof.comments.push(entry);
+        sessionData.proof.status = 'changes_requested';
+
+        await this.saveSessionData(sessionData.sessionId, sessionData);
+        return { comment: entry, proof: this.getPublicProof(sessionData) };
+    }
+
+    async approveProof(sessionId, { approvedBy = '' } = {}) {
+        const sessionData = await this.requireSession(sessionId);
+        this.assertProofOpen(sessionData);
+
+        sessionData.proof.status = 'approved';
+        sessionData.proof.approvedAt = new Date().toISOString();
+        sessionData.proof.approvedBy = String(approvedBy || '').trim().slice(0, 100) || 'customer';
+
+        await this.saveSessionData(sessionData.sessionId, sessionData);
+        console.log(`✅ Proof v${sessionData.proof.version} approved for session ${sessionData.sessionId}`);
+        return this.getPublicProof(sessionData);
+    }
+
+    assertProofOpen(sessionData) {
+        if (!this.isProofLocked(sessionData)) {
+            throw new Error('Proof is not locked');
+        }
+        if (sessionData.proof.status === 'approved') {
+            throw new Error('Proof is already approved');
+        }
+    }
+
+    getVersionPath(sessionId, version) {
+        return path.join(this.sessionsDir, sessionId, VERSIONS_DIR, `v${version}.json`);
+    }
+
+    /**
+     * Snapshot the current design as the next immutable version
+     * @param {Object} [meta] - { label, source: 'submit' | 'restore' | 'fork', restoredFrom, forkedFrom }
+     * @returns {Promise<Object>} Version summary
+     */
+    async createVersion(sessionId, meta = {}) {
+        const sessionData = await this.requireSession(sessionId);
+        const validSessionId = sessionData.sessionId;
+
+        const layers = [];
+        for (const layer of sessionData.layers || []) {
+            layers.push(await this.snapshotLayer(validSessionId, layer));
+        }
+
+        const snapshot = {
+            createdAt: new Date().toISOString(),
+            label: String(meta.label || '').trim().slice(0, 100),
+            source: meta.source || 'submit',
+            ...(meta.restoredFrom ? { restoredFrom: meta.restoredFrom } : {}),
+            ...(meta.forkedFrom ? { forkedFrom: meta.forkedFrom } : {}),
+            configuration: sessionData.configuration || {},
+            modelSettings: sessionData.modelSettings || {},
+            layers: layers
+        };
+
+        const version = await this.writeVersion(validSessionId, snapshot);
+        console.log(`🗂️ Saved version v${version} of session ${validSessionId} (${layers.length} layers)`);
+        return this.summarizeVersion({ version, ...snapshot });
+    }
+
+    /**
+     * Copy a layer's files into the content-addressed image store and reference them by path
+     */
+    async snapshotLayer(sessionId, layer) {
+        const sessionDir = path.join(this.sessionsDir, sessionId);
+
+        const storeFile = async (relativePath) => {
+            if (!relativePath) {
+                return null;
+            }
+            try {
+                const buffer = await fs.readFile(PathSecurity.sanitizePath(sessionDir, relativePath));
+                const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+                const ref = `${VERSION_IMAGES_DIR}/${hash}${path.extname(relativePath)}`;
+
+                await fs.mkdir(path.join(sessionDir, VERSION_IMAGES_DIR), { recursive: true });
+                await fs.writeFile(path.join(sessionDir, ref), buffer, { flag: 'wx' }).catch(error => {
+                    if (error.code !== 'EEXIST') throw error;
+                });
+                return ref;
+            } catch (error) {
+                console.warn(`⚠️ Could not snapshot ${relativePath} for layer ${layer.id}: ${error.message}`);
+                return null;
+            }
+        };
+
+        return {
+            ...layer,
+            imageRef: await storeFile(layer.imagePath),
+            originalRef: await storeFile(layer.originalPath)
+        };
+    }
+
+    // Versions are never overwritten: the file is created exclusively, retrying with the next number on a clash
+    async writeVersion(sessionId, snapshot) {
+        await fs.mkdir(path.join(this.sessionsDir, sessionId, VERSIONS_DIR), { recursive: true });
+
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const versions = await this.getVersionNumbers(sessionId);
+            const version = (versions[versions.length - 1] || 0) + 1;
+
+            try {
+                await fs.writeFile(
+                    this.getVersionPath(sessionId, version),
+                    JSON.stringify({ version, ...snapshot }, null, 2),
+                    { flag: 'wx' }
+                );
+                return version;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+            }
+        }
+
+        throw new Error('Could not allocate a version number');
+    }
+
+    async getVersionNumbers(sessionId) {
+        try {
+            const files = await fs.readdir(path.join(this.sessionsDir, sessionId, VERSIONS_DIR));
+            return files
+                .map(file => VERSION_FILE_PATTERN.exec(file))
+                .filter(Boolean)
+                .map(match => parseInt(match[1], 10))
+                .sort((a, b) => a - b);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    summarizeVersion(snapshot) {
+        const { configuration: _configuration, modelSettings: _modelSettings, layers, ...summary } = snapshot;
+        return { ...summary, layerCount: layers.length };
+    }
+
+    async listVersions(sessionId) {
+        const sessionData = await this.requireSession(sessionId);
+        const versions = await this.getVersionNumbers(sessionData.sessionId);
+
+        const summaries = [];
+        for (const version of versions) {
+            summaries.push(this.summarizeVersion(await this.getVersion(sessionData.sessionId, version)));
+        }
+        return summaries;
+    }
+
+    async getVersion(sessionId, version) {
+        const validSessionId = PathSecurity.validateSessionId(sessionId);
+        const number = parseInt(version, 10);
+
+        try {
+            return JSON.parse(await fs.readFile(this.getVersionPath(validSessionId, number), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error('Version not found');
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Compare two versions: changed configuration/model settings paths and added, removed or changed layers
+     */
+    async diffVersions(sessionId, fromVersion, toVersion) {
+        const before = await this.getVersion(sessionId, fromVersion);
+        const after = await this.getVersion(sessionId, toVersion);
+
+        const comparable = layer => Object.fromEntries(
+            Object.entries(layer).filter(([key]) => !VOLATILE_LAYER_FIELDS.includes(key))
+        );
+        const beforeLayers = new Map(before.layers.map(layer => [layer.id, comparable(layer)]));
+        const afterLayers = new Map(after.layers.map(layer => [layer.id, comparable(layer)]));
+
+        return {
+            from: before.version,
+            to: after.version,
+            configuration: diffValues(before.configuration, after.configuration),
+            modelSettings: diffValues(before.modelSettings, after.modelSettings),
+            layers: {
+                added: after.layers.filter(layer => !beforeLayers.has(layer.id)).map(layer => ({ id: layer.id, name: layer.name })),
+                removed: before.layers.filter(layer => !afterLayers.has(layer.id)).map(layer => ({ id: layer.id, name: layer.name })),
+                changed: after.layers
+                    .filter(layer => beforeLayers.has(layer.id))
+                    .map(layer => ({
+                        id: layer.id,
+                        name: layer.name,
+                        changes: diffValues(beforeLayers.get(layer.id), afterLayers.get(layer.id))
+                    }))
+                    .filter(layer => layer.changes.length > 0)
+            }
+        };
+    }
+
+    /**
+     * Write a version's design (and its layer images) into a session, replacing the current design
+     */
+    async applyVersion(sessionData, snapshot, sourceSessionId) {
+        const sessionDir = path.join(this.sessionsDir, sessionData.sessionId);
+        const sourceDir = path.join(this.sessionsDir, sourceSessionId);
+
+        const restoreFile = async (ref, targetPath) => {
+            if (!ref || !targetPath) {
+                return null;
+            }
+            const target = PathSecurity.sanitizePath(sessionDir, targetPath);
+            await fs.mkdir(path.dirname(target), { recursive: true });
+            await fs.copyFile(PathSecurity.sanitizePath(sourceDir, ref), target);
+            return targetPath;
+        };
+
+        const layers = [];
+        for (const { imageRef, originalRef, ...layer } of snapshot.layers) {
+            layers.push({
+                ...layer,
+                imagePath: await restoreFile(imageRef, layer.imagePath),
+                originalPath: await restoreFile(originalRef, layer.originalPath)
+            });
+        }
+
+        sessionData.configuration = snapshot.configuration;
+        sessionData.modelSettings = snapshot.modelSettings;
+        sessionData.layers = layers;
+        // Undo history belongs to the replaced design
+        delete sessionData.history;
+
+        await this.saveSessionData(sessionData.sessionId, sessionData);
+    }
+
+    /**
+     * Make an earlier version the current design; the result is recorded as a new version
+     */
+    async restoreVersion(sessionId, version) {
+        const sessionData = await this.requireSession(sessionId);
+        const snapshot = await this.getVersion(sessionData.sessionId, version);
+
+        await this.applyVersion(sessionData, snapshot, sessionData.sessionId);
+        return this.createVersion(sessionData.sessionId, { source: 'restore', restoredFrom: snapshot.version });
+    }
+
+    /**
+     * Start a new session from a version, leaving the original session untouched
+     * @returns {Promise<{sessionId: string, version: Object}>}
+     */
+    async forkVersion(sessionId, version, clientIP = 'unknown') {
+        const sourceSessionId = PathSecurity.validateSessionId(sessionId);
+        const snapshot = await this.getVersion(sourceSessionId, version);
+
+        const forkedSessionId = await this.createSession(clientIP);
+        const forkedFrom = { sessionId: sourceSessionId, version: snapshot.version };
+        const sessionData = await this.requireSession(forkedSessionId);
+        sessionData.forkedFrom = forkedFrom;
+
+        await this.applyVersion(sessionData, snapshot, sourceSessionId);
+        const forkedVersion = await this.createVersion(forkedSessionId, { source: 'fork', forkedFrom });
+
+        console.log(`🍴 Forked session ${sourceSessionId} v${snapshot.version} into ${forkedSessionId}`);
+        return { sessionId: forkedSessionId, version: forkedVersion };
+    }
+
     async cleanupExpiredSessions() {
         try {
             console.log('🧹 Starting session cleanup...');
@@ -566,13 +1024,16 @@ class SessionManager {
         return null;
     }
     
-    async writeLayerImage(sessionId, layerId, imageBuffer) {
+    /**
+     * @param {boolean} isVector - Sanitized SVG logos are stored as .svg, everything else as .png
+     */
+    async writeLayerImage(sessionId, layerId, imageBuffer, isVector = false) {
         // Validate sessionId and layerId for security
         const validSessionId = PathSecurity.validateSessionId(sessionId);
         const validLayerId = PathSecurity.validateLayerId(layerId);
 
         const sessionDir = path.join(this.sessionsDir, validSessionId);
-        const imagePath = `${validLayerId}.png`;
+        const imagePath = `${validLayerId}.${isVector ? 'svg' : 'png'}`;
         const fullPath = path.join(sessionDir, imagePath);
         
         console.log(`🔧 Writing image for layer ${layerId} to: ${fullPath}`);
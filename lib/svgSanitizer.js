@@ -0,0 +1,265 @@
+/**
+ * SVG Sanitizer - Allowlist-based cleanup for uploaded vector logos
+ * Strips scripts, foreign objects, event handlers and external references
+ * so the markup is safe to store, serve and rasterize.
+ */
+
+// Elements a logo needs; anything else is dropped together with its children
+const ALLOWED_ELEMENTS = new Set([
+    'svg', 'g', 'defs', 'title', 'desc', 'symbol', 'use', 'style',
+    'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon',
+    'text', 'tspan', 'textpath',
+    'lineargradient', 'radialgradient', 'stop', 'pattern', 'clippath', 'mask', 'marker', 'image',
+    'filter', 'feblend', 'fecolormatrix', 'fecomponenttransfer', 'fecomposite', 'fedropshadow',
+    'feflood', 'fefunca', 'fefuncb', 'fefuncg', 'fefuncr', 'fegaussianblur', 'femerge',
+    'femergenode', 'femorphology', 'feoffset'
+]);
+
+// Namespaced attributes that are kept; other prefixes (inkscape:, sodipodi:, ...) are editor data
+const ALLOWED_NAMESPACED_ATTRIBUTES = new Set(['xlink:href', 'xml:space']);
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+const SAFE_DATA_IMAGE = /^data:image\/(png|jpe?g|gif|webp);base64,[a-z0-9+/=\s]*$/i;
+const DANGEROUS_VALUE = /(javascript|vbscript|livescript)\s*:|data\s*:\s*text|expression\s*\(/i;
+const EXTERNAL_URL = /url\(\s*(?!['"]?\s*#)[^)]*\)/gi;
+const HAS_EXTERNAL_URL = new RegExp(EXTERNAL_URL.source, 'i');
+// CSS escape: hex (\75rl) or any other escaped character (u\rl)
+const CSS_ESCAPE = /\\(?:([0-9a-f]{1,6})\s?|([\s\S]))/gi;
+
+// One markup token: comment, CDATA, doctype, processing instruction, end tag, start tag or text
+const TOKEN = new RegExp([
+    '<!--[\\s\\S]*?-->',
+    '<!\\[CDATA\\[([\\s\\S]*?)\\]\\]>',
+    '<!DOCTYPE(?:[^[>]|\\[[\\s\\S]*?\\])*>',
+    '<\\?[\\s\\S]*?\\?>',
+    '<\\/\\s*([^\\s>]+)\\s*>',
+    '<([^\\s/>!?]+)((?:\\s+[^\\s=/>]+(?:\\s*=\\s*(?:"[^"]*"|\'[^\']*\'|[^\\s"\'>]+))?)*)\\s*(\\/?)>',
+    '[^<]+'
+].join('|'), 'iy');
+
+const ATTRIBUTE = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+const ENTITY_DECLARATION = /<!ENTITY\s+([a-zA-Z_][\w.-]*)\s+(?:"([^"<&%]*)"|'([^'<&%]*)')\s*>/g;
+
+class SvgSanitizer {
+    constructor(options = {}) {
+        this.maxSize = options.maxSize || 5 * 1024 * 1024;
+    }
+
+    /**
+     * Check whether a buffer holds an SVG document (the root element is <svg>)
+     * @param {Buffer|string} input - File contents
+     * @returns {boolean}
+     */
+    isSvg(input) {
+        const head = Buffer.isBuffer(input) ? input.slice(0, 4096).toString('utf8') : String(input).slice(0, 4096);
+
+        // Skip the BOM and prolog (XML declaration, comments, doctype) before the root element
+        const prolog = /^(?:\uFEFF|\s+|<\?xml[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE(?:[^[>]|\[[\s\S]*?\])*>)/i;
+        let rest = head;
+        let match;
+        while ((match = prolog.exec(rest)) && match[0].length > 0) {
+            rest = rest.slice(match[0].length);
+        }
+
+        return /^<svg[\s>/]/i.test(rest);
+    }
+
+    /**
+     * Sanitize SVG markup
+     * @param {Buffer|string} input - Uploaded SVG
+     * @returns {Object} { svg: string, removed: string[] } - Clean markup and what was stripped
+     */
+    sanitize(input) {
+        const source = Buffer.isBuffer(input) ? input.toString('utf8') : String(input);
+
+        if (source.length > this.maxSize) {
+            throw new Error('SVG is too large');
+        }
+        if (!this.isSvg(source)) {
+            throw new Error('Not an SVG document');
+        }
+
+        const entities = { ...XML_ENTITIES };
+        const removed = new Set();
+        const output = [];
+        const openElements = [];
+        let skipDepth = 0;
+        let sawRoot = false;
+
+        TOKEN.lastIndex = 0;
+        while (TOKEN.lastIndex < source.length) {
+            const start = TOKEN.lastIndex;
+            const match = TOKEN.exec(source);
+            if (!match || match.index !== start) {
+                throw new Error('Malformed SVG markup');
+            }
+
+            const [token, cdata, endName, startName, rawAttributes, selfClosing] = match;
+
+            if (startName) {
+                const name = startName.toLowerCase();
+                const allowed = ALLOWED_ELEMENTS.has(name) && skipDepth === 0;
+
+                if (!sawRoot && name !== 'svg') {
+                    throw new Error('Not an SVG document');
+                }
+                sawRoot = true;
+
+                if (!allowed) {
+                    if (skipDepth === 0) {
+                        removed.add(`<${startName}> element`);
+                    }
+                    if (!selfClosing) {
+                        skipDepth++;
+                        openElements.push(name);
+                    }
+                    continue;
+                }
+
+                const attributes = this.sanitizeAttributes(startName, rawAttributes, entities, removed);
+                if (openElements.length === 0 && !attributes.some(attr => attr.startsWith('xmlns='))) {
+                    attributes.unshift(`xmlns="${SVG_NAMESPACE}"`);
+                }
+
+                output.push(`<${startName}${attributes.map(attr => ` ${attr}`).join('')}${selfClosing ? '/' : ''}>`);
+                if (!selfClosing) {
+                    openElements.push(name);
+                }
+            } else if (endName) {
+                if (openElements.pop() !== endName.toLowerCase()) {
+                    throw new Error('Malformed SVG markup: mismatched closing tag');
+                }
+                if (skipDepth > 0) {
+                    skipDepth--;
+                } else {
+                    output.push(`</${endName}>`);
+                }
+            } else if (token.startsWith('<!DOCTYPE') || token.startsWith('<!doctype')) {
+                // Only plain text entities survive (e.g. Illustrator's &ns_svg;); the doctype itself is dropped
+                for (const [, entityName, doubleQuoted, singleQuoted] of token.matchAll(ENTITY_DECLARATION)) {
+                    entities[entityName] = doubleQuoted ?? singleQuoted;
+                }
+            } else if (token.startsWith('<!--') || token.startsWith('<?')) {
+                continue;
+            } else if (skipDepth === 0 && openElements.length > 0) {
+                const inStyle = openElements[openElements.length - 1] === 'style';
+                const text = cdata !== undefined ? cdata : this.decodeEntities(token, entities);
+
+                if (inStyle) {
+                    output.push(`<![CDATA[${this.sanitizeCss(text, removed).replace(/\]\]>/g, '')}]]>`);
+                } else {
+                    output.push(this.escapeXml(text));
+                }
+            }
+        }
+
+        if (!sawRoot || openElements.length > 0) {
+            throw new Error('Malformed SVG markup: unclosed elements');
+        }
+
+        return { svg: output.join(''), removed: Array.from(removed) };
+    }
+
+    sanitizeAttributes(elementName, rawAttributes, entities, removed) {
+        const attributes = [];
+        const isImage = elementName.toLowerCase() === 'image';
+
+        for (const [, name, doubleQuoted, singleQuoted, unquoted] of (rawAttributes || '').matchAll(ATTRIBUTE)) {
+            const lowerName = name.toLowerCase();
+            let value = this.decodeEntities(doubleQuoted ?? singleQuoted ?? unquoted ?? '', entities);
+
+            if (lowerName.startsWith('on')) {
+                removed.add(`${name} handler`);
+                continue;
+            }
+
+            const isNamespaceDeclaration = lowerName === 'xmlns' || lowerName.startsWith('xmlns:');
+            if (lowerName.includes(':') && !isNamespaceDeclaration && !ALLOWED_NAMESPACED_ATTRIBUTES.has(lowerName)) {
+                continue;
+            }
+
+            if (lowerName === 'href' || lowerName === 'xlink:href') {
+                const reference = value.trim();
+                const internal = reference.startsWith('#');
+                if (!internal && !(isImage && SAFE_DATA_IMAGE.test(reference))) {
+                    removed.add('external reference');
+                    continue;
+                }
+            }
+
+            // Presentation attributes are parsed as CSS, so their escapes count too
+            const cssValue = this.unescapeCss(value);
+            if (!isNamespaceDeclaration && DANGEROUS_VALUE.test(cssValue)) {
+                removed.add(`${name} attribute`);
+                continue;
+            }
+
+            if (lowerName === 'style') {
+                value = this.sanitizeCss(value, removed);
+            } else if (!isNamespaceDeclaration && HAS_EXTERNAL_URL.test(cssValue)) {
+                removed.add('external reference');
+                continue;
+            }
+
+            attributes.push(`${name}="${this.escapeXml(value)}"`);
+        }
+
+        return attributes;
+    }
+
+    /**
+     * Remove imports, external url() references and script-like values from CSS; escapes are
+     * resolved first so they can't spell out url( or javascript:
+     */
+    sanitizeCss(css, removed) {
+        let clean = this.unescapeCss(css).replace(/@import[^;]*;?/gi, () => {
+            removed.add('@import rule');
+            return '';
+        });
+
+        clean = clean.replace(EXTERNAL_URL, () => {
+            removed.add('external reference');
+            return 'none';
+        });
+
+        return clean.replace(/(expression\s*\(|behavior\s*:|-moz-binding\s*:|javascript\s*:)/gi, () => {
+            removed.add('script in CSS');
+            return '';
+        });
+    }
+
+    /**
+     * Resolve CSS escapes: hex escapes become their character, any other escaped character stands for itself
+     */
+    unescapeCss(css) {
+        return css.replace(CSS_ESCAPE, (escape, hex, character) => {
+            if (hex === undefined) {
+                return character;
+            }
+            const codePoint = parseInt(hex, 16);
+            const valid = codePoint > 0 && codePoint <= 0x10FFFF && (codePoint < 0xD800 || codePoint > 0xDFFF);
+            return valid ? String.fromCodePoint(codePoint) : '\uFFFD';
+        });
+    }
+
+    decodeEntities(text, entities) {
+        return text.replace(/&(#x[0-9a-f]+|#\d+|[a-zA-Z_][\w.-]*);/gi, (entity, ref) => {
+            if (ref[0] === '#') {
+                const codePoint = ref[1].toLowerCase() === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+                return codePoint > 0 && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : '';
+            }
+            return Object.prototype.hasOwnProperty.call(entities, ref) ? entities[ref] : '';
+        });
+    }
+
+    escapeXml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+module.exports = SvgSanitizer;
@@ -0,0 +1,213 @@
+const { Worker } = require('worker_threads');
+
+const abortError = signal => signal.reason instanceof Error
+    ? signal.reason
+    : Object.assign(new Error('Task was cancelled'), { name: 'AbortError' });
+
+/**
+ * WorkerPool - runs CPU heavy tasks (sharp) on a bounded set of worker threads so they don't
+ * block the Express event loop. Each worker runs one task at a time and is started on demand.
+ * Native work can't be interrupted, so a cancelled task takes its worker down and a fresh one
+ * is started for the next task; the same happens when a worker exceeds its resourceLimits.
+ */
+class WorkerPool {
+    constructor(options = {}) {
+        this.script = options.script;
+        this.size = Math.max(1, options.size || 2);
+        this.workerData = options.workerData;
+        this.resourceLimits = options.resourceLimits;
+        this.maxQueueSize = options.maxQueueSize || 100;
+
+        this.workers = []; // { worker, task, error }
+        this.pending = []; // tasks waiting for a free worker
+        this.nextTaskId = 1;
+        this.closed = false;
+
+        // Statistics
+        this.createdAt = Date.now();
+        this.busyTime = 0;
+        this.stats = {
+            completedTasks: 0,
+            failedTasks: 0,
+            cancelledTasks: 0,
+            crashedWorkers: 0
+        };
+
+        console.log(`WorkerPool initialized: size=${this.size}, script=${this.script}`);
+    }
+
+    /**
+     * Run a task on the next free worker
+     * @param {*} message - Posted to the worker as-is
+     * @param {Object} options - { signal } aborting the task, queued or running
+     * @returns {Promise<*>} - The worker's result
+     */
+    run(message, { signal } = {}) {
+        if (this.closed) {
+            return Promise.reject(new Error('Worker pool is closed'));
+        }
+        if (signal?.aborted) {
+            return Promise.reject(abortError(signal));
+        }
+        if (this.pending.length >= this.maxQueueSize) {
+            return Promise.reject(new Error('Worker pool queue is full'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const task = { id: this.nextTaskId++, message, signal, resolve, reject, slot: null };
+            if (signal) {
+                task.onAbort = () => this.cancel(task);
+                signal.addEventListener('abort', task.onAbort, { once: true });
+            }
+            this.pending.push(task);
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Hand pending tasks to idle workers, starting workers up to the pool size
+     */
+    dispatch() {
+        while (this.pending.length > 0 && !this.closed) {
+            let slot = this.workers.find(candidate => !candidate.task);
+            if (!slot) {
+                if (this.workers.length >= this.size) return;
+                slot = this.spawn();
+            }
+
+            const task = this.pending.shift();
+            task.slot = slot;
+            task.startedAt = Date.now();
+            slot.task = task;
+            slot.worker.postMessage({ taskId: task.id, message: task.message });
+        }
+    }
+
+    spawn() {
+        const worker = new Worker(this.script, {
+            workerData: this.workerData,
+            resourceLimits: this.resourceLimits
+        });
+        const slot = { worker, task: null, error: null };
+
+        worker.on('message', ({ taskId, result, error }) => {
+            const task = slot.task;
+            if (!task || task.id !== taskId) return;
+
+            slot.task = null;
+            if (error) {
+                this.stats.failedTasks++;
+                this.finish(task, Object.assign(new Error(error.message), { code: error.code }));
+            } else {
+                this.stats.completedTasks++;
+                this.finish(task, null, result);
+            }
+            this.dispatch();
+        });
+
+        // Followed by 'exit', e.g. ERR_WORKER_OUT_OF_MEMORY when resourceLimits are exceeded
+        worker.on('error', error => {
+            slot.error = error;
+        });
+
+        worker.on('exit', code => {
+            this.removeSlot(slot);
+            if (slot.task) {
+                const task = slot.task;
+                slot.task = null;
+                this.stats.crashedWorkers++;
+                this.stats.failedTasks++;
+                console.error(`❌ Worker crashed while running task ${task.id}:`, slot.error?.message || `exit code ${code}`);
+                this.finish(task, slot.error || new Error(`Worker stopped with exit code ${code}`));
+            }
+            this.dispatch();
+        });
+
+        this.workers.push(slot);
+        return slot;
+    }
+
+    removeSlot(slot) {
+        const index = this.workers.indexOf(slot);
+        if (index !== -1) {
+            this.workers.splice(index, 1);
+        }
+    }
+
+    /**
+     * Drop a queued task, or stop the worker running it
+     */
+    cancel(task) {
+        const index = this.pending.indexOf(task);
+        if (index !== -1) {
+            this.pending.splice(index, 1);
+        } else if (task.slot?.task === task) {
+            const slot = task.slot;
+            slot.task = null;
+            this.removeSlot(slot);
+            slot.worker.terminate();
+            console.warn(`⚠️ Stopped worker running cancelled task ${task.id}`);
+        } else {
+            return;
+        }
+
+        this.stats.cancelledTasks++;
+        this.finish(task, abortError(task.signal));
+        this.dispatch();
+    }
+
+    finish(task, error, result) {
+        task.signal?.removeEventListener('abort', task.onAbort);
+        if (task.startedAt) {
+            this.busyTime += Date.now() - task.startedAt;
+        }
+        if (error) {
+            task.reject(error);
+        } else {
+            task.resolve(result);
+        }
+    }
+
+    /**
+     * Get pool statistics; utilization is the share of the pool busy right now,
+     * averageUtilization the share since the pool was created
+     */
+    getStats() {
+        const now = Date.now();
+        const running = this.workers.filter(slot => slot.task);
+        const busyTime = running.reduce((total, slot) => total + now - slot.task.startedAt, this.busyTime);
+        const capacity = this.size * Math.max(1, now - this.createdAt);
+
+        return {
+            size: this.size,
+            workers: this.workers.length,
+            busy: running.length,
+            idle: this.workers.length - running.length,
+            queued: this.pending.length,
+            utilization: Math.round((running.length / this.size) * 100) / 100,
+            averageUtilization: Math.round((busyTime / capacity) * 100) / 100,
+            ...this.stats
+        };
+    }
+
+    /**
+     * Reject queued tasks and stop all workers
+     */
+    async close() {
+        this.closed = true;
+
+        const pending = this.pending.splice(0);
+        pending.forEach(task => this.finish(task, new Error('Worker pool is closed')));
+
+        const slots = this.workers.splice(0);
+        slots.forEach(slot => {
+            if (slot.task) {
+                this.finish(slot.task, new Error('Worker pool is closed'));
+                slot.task = null;
+            }
+        });
+        await Promise.all(slots.map(slot => slot.worker.terminate()));
+    }
+}
+
+module.exports = WorkerPool;
@@ -0,0 +1,125 @@
+const XLSX = require('xlsx');
+
+const EMU_PER_PIXEL = 9525;
+const RELATIONSHIPS_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const DRAWING_REL_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/drawing';
+const IMAGE_REL_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image';
+const DRAWING_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.drawing+xml';
+
+// Worksheet elements that must follow <drawing> (SpreadsheetML schema order)
+const AFTER_DRAWING = ['<legacyDrawing', '<legacyDrawingHF', '<picture', '<oleObjects', '<controls', '<webPublishItems', '<tableParts', '<extLst', '</worksheet>'];
+
+/**
+ * XlsxImages - places PNG images on the sheets of a SheetJS-written workbook. The community
+ * build of SheetJS cannot write drawings, so the drawing parts are added to the zip afterwards.
+ */
+class XlsxImages {
+    /**
+     * @param {Buffer} xlsxBuffer - Workbook from XLSX.write(..., { bookType: 'xlsx' })
+     * @param {Array} images - [{ sheet, buffer, col, row, width, height, name }]; sheet is the
+     *   0-based index in workbook.SheetNames, col/row the 0-based top-left cell, width/height in px
+     * @returns {Buffer}
+     */
+    static embed(xlsxBuffer, images = []) {
+        if (images.length === 0) {
+            return xlsxBuffer;
+        }
+
+        const zip = XLSX.CFB.read(xlsxBuffer, { type: 'buffer' });
+        const readPart = name => {
+            const entry = XLSX.CFB.find(zip, `/${name}`);
+            return entry ? Buffer.from(entry.content).toString('utf8') : null;
+        };
+        const writePart = (name, content) => {
+            XLSX.CFB.utils.cfb_add(zip, `/${name}`, Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8'));
+        };
+
+        let contentTypes = readPart('[Content_Types].xml');
+        if (!contentTypes.includes('Extension="png"')) {
+            contentTypes = contentTypes.replace('</Types>', '<Default Extension="png" ContentType="image/png"/></Types>');
+        }
+
+        const sheets = [...new Set(images.map(image => image.sheet))].sort((a, b) => a - b);
+        let mediaCount = 0;
+
+        sheets.forEach((sheet, drawingIndex) => {
+            const sheetPath = `xl/worksheets/sheet${sheet + 1}.xml`;
+            const sheetXml = readPart(sheetPath);
+            if (!sheetXml) {
+                throw new Error(`Workbook has no sheet ${sheet}`);
+            }
+
+            const drawingName = `drawing${drawingIndex + 1}.xml`;
+            const anchors = [];
+            const imageRels = [];
+
+            images.filter(image => image.sheet === sheet).forEach((image, index) => {
+                mediaCount++;
+                const relId = `rId${index + 1}`;
+                writePart(`xl/media/image${mediaCount}.png`, image.buffer);
+                imageRels.push(`<Relationship Id="${relId}" Type="${IMAGE_REL_TYPE}" Target="../media/image${mediaCount}.png"/>`);
+                anchors.push(this.createAnchor(image, index + 1, relId));
+            });
+
+            writePart(`xl/drawings/${drawingName}`,
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+                '<xdr:wsDr xmlns:xdr="http://schemas.openxmlformats.org/drawingml/2006/spreadsheetDrawing" ' +
+                'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" ' +
+                'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                anchors.join('') +
+                '</xdr:wsDr>');
+            writePart(`xl/drawings/_rels/${drawingName}.rels`, this.createRelationships(imageRels));
+
+            // Sheets may already have relationships (hyperlinks, comments)
+            const sheetRelsPath = `xl/worksheets/_rels/sheet${sheet + 1}.xml.rels`;
+            const drawingRel = `<Relationship Id="rIdDrawing1" Type="${DRAWING_REL_TYPE}" Target="../drawings/${drawingName}"/>`;
+            const sheetRels = readPart(sheetRelsPath);
+            writePart(sheetRelsPath, sheetRels
+                ? sheetRels.replace('</Relationships>', `${drawingRel}</Relationships>`)
+                : this.createRelationships([drawingRel]));
+
+            const insertAt = Math.min(...AFTER_DRAWING
+                .map(tag => sheetXml.indexOf(tag))
+                .filter(position => position !== -1));
+            writePart(sheetPath, `${sheetXml.slice(0, insertAt)}<drawing r:id="rIdDrawing1"/>${sheetXml.slice(insertAt)}`);
+
+            contentTypes = contentTypes.replace('</Types>',
+                `<Override PartName="/xl/drawings/${drawingName}" ContentType="${DRAWING_CONTENT_TYPE}"/></Types>`);
+        });
+
+        writePart('[Content_Types].xml', contentTypes);
+        return XLSX.CFB.write(zip, { fileType: 'zip', type: 'buffer', compression: true });
+    }
+
+    static createAnchor({ col, row, width, height, name }, id, relId) {
+        const cx = Math.round(width * EMU_PER_PIXEL);
+        const cy = Math.round(height * EMU_PER_PIXEL);
+        const label = this.escapeXml(name || `Picture ${id}`);
+
+        return '<xdr:oneCellAnchor>' +
+            `<xdr:from><xdr:col>${col}</xdr:col><xdr:colOff>0</xdr:colOff><xdr:row>${row}</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:from>` +
+            `<xdr:ext cx="${cx}" cy="${cy}"/>` +
+            '<xdr:pic>' +
+            `<xdr:nvPicPr><xdr:cNvPr id="${id + 1}" name="${label}"/><xdr:cNvPicPr><a:picLocks noChangeAspect="1"/></xdr:cNvPicPr></xdr:nvPicPr>` +
+            `<xdr:blipFill><a:blip r:embed="${relId}"/><a:stretch><a:fillRect/></a:stretch></xdr:blipFill>` +
+            `<xdr:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></xdr:spPr>` +
+            '</xdr:pic>' +
+            '<xdr:clientData/>' +
+            '</xdr:oneCellAnchor>';
+    }
+
+    static createRelationships(relationships) {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            `<Relationships xmlns="${RELATIONSHIPS_NS}">${relationships.join('')}</Relationships>`;
+    }
+
+    static escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+module.exports = XlsxImages;
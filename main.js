@@ -1,5 +1,5 @@
 import * as THREE from 'three';
-import { SceneManager } from './lib/client/SceneManager.js';
+import { SceneManager, CAMERA_PRESETS } from './lib/client/SceneManager.js';
 import { LayerManager } from './lib/client/LayerManager.js';
 import { InteractionManager } from './lib/client/InteractionManager.js';
 import { UIManager } from './lib/client/UIManager.js';
@@ -7,16 +7,48 @@ import { ConfigurationManager } from './lib/client/ConfigurationManager.js';
 import { ImageProcessor } from './lib/client/ImageProcessor.js';
 import { SessionManager } from './lib/client/SessionManager.js';
 import { OrderFormManager } from './lib/client/OrderFormManager.js';
+import { ProofManager } from './lib/client/ProofManager.js';
 import UIStyleManager from './lib/client/UIStyleManager.js';
 import { PatternManager } from './lib/client/PatternManager.js';
 import { PatternCompositor } from './lib/client/PatternCompositor.js';
+import { TeamPaletteManager } from './lib/client/TeamPaletteManager.js';
+import { InkMatcher } from './lib/client/InkMatcher.js';
+import { PlayerLettering, DEFAULT_LETTERING_STYLE } from './lib/client/PlayerLettering.js';
+import { DEFAULT_TEXT_STYLE } from './lib/client/TextRenderer.js';
+import { UvIslands } from './lib/client/UvIslands.js';
 import { DesignSystem } from './lib/client/DesignSystem.js';
 import { KeyboardManager } from './lib/client/KeyboardManager.js';
+import { HistoryManager } from './lib/client/HistoryManager.js';
 import { i18n } from './lib/client/I18nManager.js';
 import { I18nUIUpdater } from './lib/client/I18nUIUpdater.js';
 import { errorManager, ApplicationError, ValidationError, NetworkError, FileProcessingError } from './lib/client/ErrorManager.js';
 import { ServerApiClient } from './lib/serverApiClient.js';
 
+// Fixed placement of the name and number lettering on the jersey back
+const LETTERING_PLACEMENTS = {
+    name: { position: { x: 0.4605, y: 0.15 }, scale: 0.4 },
+    number: { position: { x: 0.46, y: 0.25 }, scale: 0.6 }
+};
+
+// Shown on the model until the order form has at least one player
+const ROSTER_PLACEHOLDER_PLAYER = { id: null, name: 'PLAYER', number: '10' };
+
+// Form controls whose changes are undoable (pattern/neck/pants colors and lettering options)
+const HISTORY_TRACKED_CONTROLS = [
+    '[id^="pattern-color-"]',
+    '#neck-color-1', '#neck-color-2',
+    '#pants-color-1', '#pants-color-2',
+    '#names-texture-select', '#names-texture-color', '#names-outline-color',
+    '#numbers-texture-select', '#numbers-texture-color', '#numbers-outline-color'
+].join(', ');
+
+// Model option button groups whose switches are undoable
+const HISTORY_OPTION_GROUPS = {
+    setOption: { selector: '.texture-preset-btn', attribute: 'data-set-option' },
+    designType: { selector: '.set-type-btn', attribute: 'data-design-type' },
+    neckType: { selector: '.neck-btn', attribute: 'data-neck-type' }
+};
+
 class UniformConfigurator {
     constructor() {
         this.serverAvailable = false;
@@ -28,6 +60,10 @@ class UniformConfigurator {
         this.i18nUIUpdater = null;
         this.errorManager = errorManager;
         this.config = {};
+        this.playerLettering = new PlayerLettering();
+        this.activeRosterPlayerId = null;
+        // Layers last copied in this tab (clipboard text), for browsers that block clipboard reads
+        this.layerClipboard = null;
 
         this.initializeApp();
     }
@@ -233,18 +269,42 @@ class UniformConfigurator {
         // Initialize keyboard manager first
         this.keyboardManager = new KeyboardManager(this.layerManager, this.sceneManager, this.uiManager);
 
+        // Undo/redo history shared by layers, colors and model options
+        this.historyManager = new HistoryManager();
+        this.layerManager.setHistoryManager(this.historyManager);
+        this.keyboardManager.setHistoryManager(this.historyManager);
+        this.historyManager.registerHandler('control', this);
+        this.historyManager.registerHandler('option', this);
+
         // Initialize Design System and UI Style Manager
         DesignSystem.init();
         this.uiStyleManager = new UIStyleManager();
         this.uiStyleManager.unifyButtons();
 
-        // Initialize Pattern System
+        // Initialize Pattern System (patterns come from the server manifest when it is available)
         this.patternCompositor = new PatternCompositor();
-        this.patternManager = new PatternManager(this.patternCompositor);
+        this.patternManager = new PatternManager(this.patternCompositor, {
+            serverUrl: this.serverAvailable ? this.serverApiClient?.serverUrl : null,
+            language: this.i18n.getCurrentLanguage()
+        });
+        this.i18n.addLanguageChangeListener((language) => this.patternManager.setLanguage(language));
 
         // Initialize pattern system with default design type
         this.patternManager.initialize('regulan');
 
+        // Team palettes apply one color set across pattern, neck, pants and lettering
+        this.teamPaletteManager = new TeamPaletteManager({
+            historyManager: this.historyManager,
+            getPatternLayerCount: () => this.patternManager.getCurrentPattern()?.layerCount || 3,
+            getLogoLayer: () => this.getPaletteLogoLayer(),
+            showNotification: (message) => this.uiManager.showNotification(message, 'info')
+        });
+
+        // Nearest printable ink for picked colors (needs the server's ink table)
+        this.inkMatcher = new InkMatcher({
+            serverUrl: this.serverAvailable ? this.serverApiClient?.serverUrl : null
+        });
+
         // Initialize Session Manager (but don't auto-create sessions)
         if (this.serverAvailable) {
             const serverHost = import.meta.env.VITE_SERVER_HOST || import.meta.env.VITE_DEFAULT_SERVER_HOST || 'localhost';
@@ -260,16 +320,24 @@ class UniformConfigurator {
                 onSessionSaved: (sessionData) => this.handleSessionSaved(sessionData),
                 onSessionError: (error) => this.handleSessionError(error)
             });
+            this.serverApiClient?.setJobEvents(this.sessionManager.jobEvents);
 
             // Initialize Order Form Manager with all dependencies
             this.orderFormManager = new OrderFormManager({
                 sessionManager: this.sessionManager,
                 serverApiClient: this.serverApiClient,
-                showNotification: (message, duration) => this.uiManager.showNotification(message, 'info', duration)
+                showNotification: (message, duration) => this.uiManager.showNotification(message, 'info', duration),
+                onPlayersChanged: (roster) => this.handleRosterChange(roster),
+                // Selection handles are drawn into the texture, keep them out of the order snapshot
+                captureSnapshot: () => this.layerManager.withoutSelectionGizmo(() => this.sceneManager.captureSnapshot()),
+                captureRenders: () => this.captureProductShots(),
+                captureColors: () => this.captureOrderColors()
             });
         } else {
             // Initialize Order Form Manager without server dependencies
-            this.orderFormManager = new OrderFormManager();
+            this.orderFormManager = new OrderFormManager({
+                onPlayersChanged: (roster) => this.handleRosterChange(roster)
+            });
         }
 
         // DISABLED: Initialize hybrid GLB system - now using single master.glb
@@ -314,6 +382,12 @@ class UniformConfigurator {
 
             console.log('✅ Texture applied to 3D model');
         };
+
+        // Anchored layers follow their piece when the visible garment pieces change
+        this.sceneManager.onPieceVisibilityChange = (model) => {
+            this.layerManager.setUvIslands(UvIslands.fromModel(model));
+            this.updateUI();
+        };
         
         this.sceneManager.onCameraStart = () => {
             this.layerManager.selectLayer(null);
@@ -342,6 +416,9 @@ class UniformConfigurator {
         this.patternManager.onPatternChange = async (patternData) => {
             console.log('🎨 Pattern changed:', patternData);
 
+            // New patterns bring new zone pickers with their own default colors
+            this.inkMatcher.refreshAll();
+
             try {
                 // Get current colors from UI based on pattern type
                 const colors = this.patternCompositor.getCurrentColors(patternData.name);
@@ -418,6 +495,14 @@ class UniformConfigurator {
             }
         };
         
+        this.uiManager.onAspectLockChange = (locked) => {
+            this.interactionManager.aspectLocked = locked;
+        };
+
+        this.uiManager.onSnapChange = (enabled) => {
+            this.interactionManager.snapEnabled = enabled;
+        };
+        
         this.uiManager.onFovChange = (fov) => {
             this.sceneManager.setFov(fov);
         };
@@ -444,7 +529,7 @@ class UniformConfigurator {
             
             if (prop === 'x' || prop === 'y') {
                 updateData.position = {...layer.position, [prop]: parseFloat(value)};
-            } else if (prop === 'rotation' || prop === 'scale' || prop === 'fontSize') {
+            } else if (['rotation', 'scale', 'fontSize', 'letterSpacing', 'lineHeight'].includes(prop)) {
                 updateData[prop] = parseFloat(value);
             } else {
                 updateData[prop] = value;
@@ -455,31 +540,71 @@ class UniformConfigurator {
             console.log('🔧 Layer update completed');
         };
         
-        this.uiManager.onLayerControl = (action, layer) => {
+        this.uiManager.layerCrossesSeam = (layer) => this.layerManager.crossesSeam(layer);
+
+        this.uiManager.onLayerControl = (action, layer, value) => {
             switch (action) {
                 case 'select':
-                    this.layerManager.selectLayer(layer.id);
+                    this.layerManager.selectLayer(layer.id, value || 'replace');
                     break;
                 case 'lock':
                     this.layerManager.toggleLayerLock(layer.id);
                     break;
                 case 'duplicate':
-                    this.layerManager.duplicateLayer(layer);
+                    this.layerManager.duplicateLayers([layer.id]);
+                    break;
+                case 'anchor':
+                    this.layerManager.anchorLayer(layer.id, value);
+                    break;
+                case 'placement':
+                    this.layerManager.applyPlacementPreset(layer.id, value);
+                    break;
+                case 'mirror':
+                    this.layerManager.setLayerMirror(layer.id, Boolean(value));
                     break;
-                case 'delete':
+                case 'remove-background':
+                    this.cleanupLayerImage(layer, { removeBackground: true, tolerance: value });
+                    break;
+                case 'posterize':
+                    this.cleanupLayerImage(layer, { colors: value });
+                    break;
+                case 'palette':
+                    this.layerManager.setPaletteColor(layer.id, value.index, value.color);
+                    break;
+                case 'delete': {
+                    // Deleting a mirrored source layer also deletes its clone
+                    const partner = this.layerManager.getMirrorPartner(layer);
                     this.layerManager.removeLayer(layer.id);
-                    this.cleanupLayerAssets(layer);
-                    // Also remove from server session
-                    if (this.sessionManager && this.sessionManager.currentSessionId) {
-                        this.sessionManager.removeLayer(layer.id).catch(error => {
-                            console.warn('Failed to remove layer from server session:', error);
-                        });
-                    }
+                    [layer, partner].filter(removed => removed && !this.layerManager.getLayer(removed.id)).forEach(removed => {
+                        this.cleanupLayerAssets(removed);
+                        // Also remove from server session
+                        if (this.sessionManager && this.sessionManager.currentSessionId) {
+                            this.sessionManager.removeLayer(removed.id).catch(error => {
+                                console.warn('Failed to remove layer from server session:', error);
+                            });
+                        }
+                    });
                     break;
+                }
             }
             this.updateUI();
         };
         
+        this.uiManager.onLayerGroupControl = (action, groupId) => {
+            if (action === 'select') {
+                this.layerManager.selectGroup(groupId);
+            } else if (action === 'ungroup') {
+                this.layerManager.ungroupLayers(groupId);
+            }
+            this.updateUI();
+        };
+
+        this.uiManager.onArrangeAction = (action) => this.handleArrangeAction(action);
+        this.keyboardManager.onLayerShortcut = (action) => this.handleArrangeAction(action);
+        this.keyboardManager.onLayerClipboard = (type, clipboardData) => (type === 'copy'
+            ? this.copySelectedLayers(clipboardData)
+            : this.pasteLayers(clipboardData.getData('text/plain')));
+        
         // Configuration Manager Events
         this.configurationManager.onDropImages = (files) => {
             this.processMultipleImages(files);
@@ -493,6 +618,12 @@ class UniformConfigurator {
         this.interactionManager.onLayerDrag = (layer) => {
             this.updateUI();
         };
+
+        this.interactionManager.onLayerDragEnd = (layer) => {
+            if (layer && this.layerManager.crossesSeam(layer)) {
+                this.uiManager.showNotification(this.i18n.t('layers.crossesSeam', { name: layer.name }), 'warning', 5000);
+            }
+        };
         
         this.interactionManager.onLayerDeleteRequested = (layer) => {
             this.requestLayerDeletion(layer);
@@ -517,6 +648,113 @@ class UniformConfigurator {
 
         // Setup Names Texture Handlers
         this.setupNamesTextureHandlers();
+
+        this.teamPaletteManager.initialize();
+        this.inkMatcher.initialize().then(() => {
+            if (this.inkMatcher.isEnabled()) {
+                const snapColor = (hex) => this.inkMatcher.snap(hex);
+                this.uiManager.colorWheelPicker?.setSnapColor(snapColor);
+                this.uiManager.layerColorWheelPicker?.setSnapColor(snapColor);
+            }
+        });
+
+        // Show the saved roster so the model can be previewed per player
+        this.orderFormManager.loadPlayerData();
+        this.renderRosterPreviewStrip();
+        this.i18n.addLanguageChangeListener(() => this.renderRosterPreviewStrip());
+
+        // Record color and option changes for undo/redo
+        this.setupHistoryTracking();
+
+        // Server-side print file export
+        this.setupPrintExportHandlers();
+        this.setupVersionHistoryHandlers();
+    }
+
+    /**
+     * Record committed changes of the tracked form controls as history commands.
+     * The value before an edit is captured when the user starts interacting with the control.
+     */
+    setupHistoryTracking() {
+        const pendingValues = new Map();
+
+        const captureBefore = (e) => {
+            const control = e.target.closest?.(HISTORY_TRACKED_CONTROLS);
+            if (control && control.id && !pendingValues.has(control.id)) {
+                pendingValues.set(control.id, control.value);
+            }
+        };
+
+        ['pointerdown', 'focusin', 'keydown'].forEach(type => {
+            document.addEventListener(type, captureBefore, true);
+        });
+
+        document.addEventListener('change', (e) => {
+            const control = e.target.closest?.(HISTORY_TRACKED_CONTROLS);
+            if (!control || !control.id || !pendingValues.has(control.id)) {
+                return;
+            }
+
+            const before = pendingValues.get(control.id);
+            pendingValues.delete(control.id);
+
+            if (before !== control.value) {
+                this.historyManager.record({
+                    type: 'control.value',
+                    label: `Change ${control.id}`,
+                    controlId: control.id,
+                    before,
+                    after: control.value
+                });
+            }
+        }, true);
+
+        console.log('✅ History tracking initialized');
+    }
+
+    /**
+     * Record a set/design/neck switch before the new option is applied
+     */
+    recordOptionChange(group, value) {
+        const { selector, attribute } = HISTORY_OPTION_GROUPS[group];
+        const activeBtn = document.querySelector(`${selector}.active[${attribute}]`);
+        const before = activeBtn ? activeBtn.getAttribute(attribute) : null;
+
+        if (before && before !== value) {
+            this.historyManager.record({
+                type: 'option.select',
+                label: `Switch ${group} to ${value}`,
+                group,
+                before,
+                after: value
+            });
+        }
+    }
+
+    /**
+     * Apply control/option history commands by replaying them through the normal UI handlers
+     * @param {Object} command - 'control.value' or 'option.select' command
+     * @param {string} direction - 'undo' or 'redo'
+     */
+    applyHistoryCommand(command, direction) {
+        const value = direction === 'undo' ? command.before : command.after;
+
+        if (command.type === 'control.value') {
+            const control = document.getElementById(command.controlId);
+            if (control) {
+                control.value = value;
+                control.dispatchEvent(new Event('input', { bubbles: true }));
+                control.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+        } else if (command.type === 'option.select') {
+            const { selector, attribute } = HISTORY_OPTION_GROUPS[command.group] || {};
+            const button = selector ? document.querySelector(`${selector}[${attribute}="${value}"]`) : null;
+            if (button) {
+                button.click();
+            }
+        }
+
+        this.updateUI();
     }
 
     /**
@@ -531,6 +769,7 @@ class UniformConfigurator {
         setOptionButtons.forEach(button => {
             button.addEventListener('click', async () => {
                 const setOption = button.getAttribute('data-set-option');
+                this.recordOptionChange('setOption', setOption);
 
                 // Get current design type and neck type
                 const activeDesignBtn = document.querySelector('.set-type-btn.active[data-design-type]');
@@ -555,6 +794,7 @@ class UniformConfigurator {
         setTypeButtons.forEach(button => {
             button.addEventListener('click', async () => {
                 const designType = button.getAttribute('data-design-type');
+                this.recordOptionChange('designType', designType);
 
                 // Get current set option and neck type
                 const activeSetBtn = document.querySelector('.texture-preset-btn.active[data-set-option]');
@@ -582,6 +822,7 @@ class UniformConfigurator {
         neckButtons.forEach(button => {
             button.addEventListener('click', async () => {
                 const neckType = button.getAttribute('data-neck-type');
+                this.recordOptionChange('neckType', neckType);
 
                 // Get current set option and design type
                 const activeSetBtn = document.querySelector('.texture-preset-btn.active[data-set-option]');
@@ -1047,7 +1288,10 @@ class UniformConfigurator {
             const fileSizeMB = file.size / (1024 * 1024);
             const conversionThresholdMB = this.config.imageConversionThreshold;
             
-            if (this.serverAvailable && fileSizeMB >= conversionThresholdMB) {
+            // SVGs need no resizing - they stay vector and are sanitized by the server on upload
+            const isVector = file.type === 'image/svg+xml';
+
+            if (this.serverAvailable && !isVector && fileSizeMB >= conversionThresholdMB) {
                 try {
                     console.log(`🌐 Processing ${file.name} (${fileSizeMB.toFixed(2)}MB) on server (above ${conversionThresholdMB}MB threshold)...`);
                     processResult = await this.serverApiClient.processImage(file, { priority: 1 });
@@ -1176,7 +1420,10 @@ class UniformConfigurator {
                     this.configurationManager.storeUserImage(assetId, processedImageData);
                 }
                 
-                const layer = this.layerManager.addLogoLayer(img, file.name);
+                const layer = this.layerManager.addLogoLayer(img, file.name, processResult.isVector ? {
+                    isVector: true,
+                    svgSource: processResult.svgSource || null
+                } : {});
                 
                 // Set additional properties after layer creation
                 layer.assetId = assetId;
@@ -1239,9 +1486,85 @@ class UniformConfigurator {
         }
     }
     
+    /**
+     * Arrange toolbar and shortcut actions on the selected layers
+     * @param {string} action - 'align-<edge>', 'distribute-x|y', 'group', 'ungroup', 'duplicate', 'copy' or 'paste'
+     */
+    handleArrangeAction(action) {
+        const selectedLayers = this.layerManager.getSelectedLayers();
+        const layerIds = selectedLayers.map(layer => layer.id);
+
+        if (action.startsWith('align-')) {
+            this.layerManager.alignLayers(layerIds, action.slice('align-'.length));
+        } else if (action.startsWith('distribute-')) {
+            this.layerManager.distributeLayers(layerIds, action.slice('distribute-'.length));
+        } else if (action === 'group') {
+            this.layerManager.groupLayers(layerIds);
+        } else if (action === 'ungroup') {
+            new Set(selectedLayers.map(layer => layer.group?.id).filter(Boolean))
+                .forEach(groupId => this.layerManager.ungroupLayers(groupId));
+        } else if (action === 'duplicate') {
+            this.layerManager.duplicateLayers(layerIds);
+        } else if (action === 'copy') {
+            this.copySelectedLayers();
+        } else if (action === 'paste') {
+            const readClipboard = navigator.clipboard?.readText ? navigator.clipboard.readText() : Promise.resolve(null);
+            readClipboard
+                .catch(error => {
+                    console.warn('⚠️ Clipboard read failed, pasting layers copied in this tab:', error);
+                    return null;
+                })
+                .then(text => this.pasteLayers(text));
+        }
+
+        this.updateUI();
+    }
+
+    /**
+     * Put the selected layers on the clipboard: into the copy event's data when there is one,
+     * otherwise through the async clipboard API
+     * @returns {boolean} Whether anything was copied
+     */
+    copySelectedLayers(clipboardData = null) {
+        const layers = this.layerManager.getSelectedLayers();
+        const text = this.layerManager.copyLayers(layers.map(layer => layer.id));
+        if (!text) {
+            return false;
+        }
+
+        // Also kept here for browsers that block clipboard access
+        this.layerClipboard = text;
+        if (clipboardData) {
+            clipboardData.setData('text/plain', text);
+        } else if (navigator.clipboard?.writeText) {
+            navigator.clipboard.writeText(text).catch(error => {
+                console.warn('⚠️ Clipboard write failed, layers can only be pasted in this tab:', error);
+            });
+        }
+
+        this.uiManager.showNotification(this.i18n.t('layers.copied', { count: layers.length }), 'info', 2000);
+        return true;
+    }
+
+    /**
+     * Paste layers copied in this or another session
+     * @param {string|null} text - Clipboard text; null uses the layers last copied in this tab
+     * @returns {boolean} Whether the text held layers
+     */
+    pasteLayers(text) {
+        const layers = this.layerManager.pasteLayers(text ?? this.layerClipboard);
+        if (layers.length === 0) {
+            return false;
+        }
+
+        this.updateUI();
+        this.uiManager.showNotification(this.i18n.t('layers.pasted', { count: layers.length }), 'info', 2000);
+        return true;
+    }
+    
     requestLayerDeletion(layer) {
         const title = 'Delete Layer';
-        const message = `Are you sure you want to delete "${layer.name}"?\n\nThis action cannot be undone.`;
+        const message = `Are you sure you want to delete "${layer.name}"?\n\nYou can undo this with Ctrl+Z.`;
         
         this.uiManager.showConfirmationDialog(
             title,
@@ -1260,7 +1583,65 @@ class UniformConfigurator {
         );
     }
     
+    /**
+     * Remove a logo's background or reduce it to a few colors on the server, then swap the
+     * layer image (one undo step; a mirrored clone follows)
+     * @param {Object} options - { removeBackground, tolerance } or { colors }
+     */
+    async cleanupLayerImage(layer, options) {
+        if (!this.serverAvailable || !this.serverApiClient) {
+            this.uiManager.showNotification(this.i18n.t('imageCleanup.serverRequired'), 'error', 5000);
+            return;
+        }
+        if (layer.type !== 'logo' || !layer.image || layer.isVector) {
+            return;
+        }
+
+        try {
+            this.uiManager.showLoadingIndicator(`Cleaning up ${layer.name}...`);
+
+            // Always send what is on the canvas now, so the steps can be chained
+            const source = await fetch(this.layerManager.getPortableImageUrl(layer));
+            const result = await this.serverApiClient.cleanupImage(await source.blob(), `${layer.name}.png`, options);
+
+            if (options.removeBackground && !result.background) {
+                this.uiManager.showNotification(this.i18n.t('imageCleanup.noBackground'), 'warning', 4000);
+                return;
+            }
+
+            const image = await this.serverApiClient.loadImageFromUrl(result.processedImageData);
+            const assetId = `user_${Date.now()}_${layer.name}`;
+            this.imageProcessor.storeProcessedImage(assetId, result.processedImageData);
+            this.configurationManager.storeUserImage(assetId, result.processedImageData);
+
+            this.layerManager.updateLayer(layer.id, {
+                image,
+                assetId,
+                serverImageUrl: null,
+                // Background removal keeps the colors, so an earlier palette still applies
+                palette: result.palette
+                    ? result.palette.map(color => ({ source: color, color }))
+                    : layer.palette || null
+            });
+            this.updateUI();
+
+            this.uiManager.showNotification(result.palette
+                ? this.i18n.t('imageCleanup.reduced', { count: result.palette.length })
+                : this.i18n.t('imageCleanup.backgroundRemoved'), 'success', 3000);
+        } catch (error) {
+            console.error(`❌ Failed to clean up layer ${layer.id}:`, error);
+            this.uiManager.showNotification(this.i18n.t('imageCleanup.failed', { error: error.message }), 'error', 5000);
+        } finally {
+            this.uiManager.hideLoadingIndicator();
+        }
+    }
+
     cleanupLayerAssets(layer) {
+        // Mirrored clones share their source's processed image
+        if (layer.assetId && this.layerManager.getLayers().some(other => other.assetId === layer.assetId)) {
+            return;
+        }
+
         if (layer.type === 'logo' && layer.assetId) {
             this.imageProcessor.removeProcessedImage(layer.assetId);
             this.configurationManager.removeUserImage(layer.assetId);
@@ -1283,7 +1664,7 @@ class UniformConfigurator {
         console.log('🔄 updateUI - selectedLayer:', selectedLayer);
         console.log('🔄 updateUI - all layers:', layers);
 
-        this.uiManager.updateLayersList(layers, selectedLayer);
+        this.uiManager.updateLayersList(layers, selectedLayer, this.layerManager.getSelectedLayers());
         this.uiManager.updateScaleSlider(selectedLayer);
 
         // Update 3D widget color picker to match selected layer color
@@ -1341,6 +1722,106 @@ class UniformConfigurator {
         }
     }
     
+    setupPrintExportHandlers() {
+        const exportBtn = document.getElementById('print-export-btn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.handlePrintExport());
+        }
+    }
+
+    /**
+     * Current design in the shape the server print exporter expects.
+     * Layer transforms are read live because the session copy is only updated on upload.
+     */
+    capturePrintDesign() {
+        const state = this.captureCompleteCurrentState();
+
+        return {
+            pattern: this.patternManager.getCurrentPattern()?.name || state.customPattern,
+            patternColors: Object.values(state.patternColors),
+            patternFills: Object.keys(state.patternColors).map(colorId => state.patternFills[colorId] || null),
+            pantsColors: [state.pantsColor1, state.pantsColor2],
+            neckColors: [state.neckColor1, state.neckColor2],
+            setOption: state.setOption,
+            neckType: state.neckType,
+            textureSize: this.layerManager.textureCanvas?.width,
+            layers: this.layerManager.getLayers().map(layer => ({
+                id: layer.id,
+                type: layer.type,
+                visible: layer.visible,
+                position: layer.position,
+                scale: layer.scale,
+                aspect: layer.aspect || 1,
+                rotation: layer.rotation,
+                opacity: layer.opacity,
+                color: layer.color,
+                palette: layer.palette,
+                text: layer.text,
+                fontSize: layer.fontSize,
+                fontFamily: layer.fontFamily,
+                letterSpacing: layer.letterSpacing,
+                lineHeight: layer.lineHeight,
+                outlines: layer.outlines,
+                shadow: layer.shadow,
+                warp: layer.warp
+            }))
+        };
+    }
+
+    async handlePrintExport() {
+        if (!this.sessionManager || !this.serverApiClient) {
+            this.uiManager.showNotification(this.i18n.t('printExport.serverRequired'), 'error', 5000);
+            return;
+        }
+
+        const exportBtn = document.getElementById('print-export-btn');
+        const results = document.getElementById('print-export-results');
+        const options = {
+            resolution: parseInt(document.getElementById('print-export-resolution')?.value, 10) || 4096,
+            format: document.getElementById('print-export-format')?.value || 'png',
+            dpi: parseInt(document.getElementById('print-export-dpi')?.value, 10) || 150,
+            bleedMm: parseFloat(document.getElementById('print-export-bleed')?.value) || 0
+        };
+
+        try {
+            if (exportBtn) exportBtn.disabled = true;
+            this.uiManager.showNotification(this.i18n.t('printExport.generating'), 'info', 3000);
+
+            if (!this.sessionManager.currentSessionId) {
+                await this.sessionManager.createNewSession();
+            }
+
+            // Logos are composited from the server copies, so upload any new ones first
+            await this.sessionManager.uploadPendingLayers(this.layerManager);
+
+            const manifest = await this.serverApiClient.exportPrintFiles(
+                this.sessionManager.currentSessionId,
+                this.capturePrintDesign(),
+                options
+            );
+
+            if (results) {
+                results.innerHTML = manifest.files.map(file => `
+                    <li><a href="${this.serverApiClient.serverUrl}${file.url}" download="${file.filename}">
+                        ${file.label} (${file.width}×${file.height}px)
+                    </a></li>
+                `).join('');
+            }
+
+            if (manifest.skippedLayers?.length) {
+                this.uiManager.showNotification(this.i18n.t('printExport.skippedLayers', { count: manifest.skippedLayers.length }), 'warning', 5000);
+            }
+            this.uiManager.showNotification(this.i18n.t('printExport.ready', { count: manifest.files.length }), 'success', 5000);
+            this.announce('Print files are ready to download');
+
+        } catch (error) {
+            console.error('Error exporting print files:', error);
+            this.uiManager.showNotification(this.i18n.t('printExport.failed', { error: error.message }), 'error', 8000);
+        } finally {
+            if (exportBtn) exportBtn.disabled = false;
+        }
+    }
+
     // Session Management Event Handlers
     handleSessionCreated(sessionData) {
         console.log(`✅ New session created: ${sessionData.sessionId}`);
@@ -1353,11 +1834,12 @@ class UniformConfigurator {
         
         // Restore session state
         this.restoreSessionState(sessionData);
+        this.displayShareableUrl();
     }
     
     handleSessionSaved(sessionData) {
         console.log(`💾 Session saved: ${sessionData.sessionId}`);
-        // Optional: Show a subtle save indicator
+        this.displayShareableUrl();
     }
     
     handleSessionError(error) {
@@ -1558,9 +2040,17 @@ class UniformConfigurator {
             if (sessionData.configuration) {
                 this.applyConfiguration(sessionData.configuration);
             }
+
+            // Restore undo/redo history saved alongside the configuration
+            this.historyManager.load(sessionData.history);
             
             // Update UI to reflect restored state
             this.updateUI();
+
+            // A design locked by staff opens as a read-only proof for the customer
+            if (sessionData.proof?.locked) {
+                this.enterProofMode(sessionData);
+            }
             
         } catch (error) {
             const sessionError = new ApplicationError('sessionRestoreFailed', error, {
@@ -1571,6 +2061,20 @@ class UniformConfigurator {
         }
     }
 
+    enterProofMode(sessionData) {
+        // Layers can't be picked or dragged while reviewing
+        this.interactionManager.moveLayerEnabled = false;
+        this.layerManager.selectLayer(null);
+
+        this.proofManager = new ProofManager({
+            sceneManager: this.sceneManager,
+            serverUrl: this.sessionManager.serverUrl,
+            sessionId: sessionData.sessionId,
+            showNotification: (message, duration) => this.uiManager.showNotification(message, 'info', duration)
+        });
+        this.proofManager.enter(sessionData.proof);
+    }
+
     async reprocessLayerFromOriginal(layerData, layer) {
         if (!this.sessionManager || !layerData.originalPath) {
             throw new Error('No session manager or original path available');
@@ -1669,7 +2173,8 @@ class UniformConfigurator {
                 neckColor2: '#000000',
                 pantsColor1: '#ffffff',
                 pantsColor2: '#000000',
-                patternColors: {}
+                patternColors: {},
+                patternFills: {}
             };
         }
 
@@ -1716,62 +2221,78 @@ class UniformConfigurator {
             }
         }
 
-        // Restore color values
-        if (config.neckColor1) {
-            const neckColor1Input = document.getElementById('neck-color-1');
-            if (neckColor1Input) {
-                neckColor1Input.value = config.neckColor1;
-                console.log('✅ Restored neck color 1:', config.neckColor1);
-            }
-        }
+        this.applyGarmentColors(config);
+        this.applyPatternColors(config);
+        this.applyTeamPalettes(config.teamPalettes);
 
-        if (config.neckColor2) {
-            const neckColor2Input = document.getElementById('neck-color-2');
-            if (neckColor2Input) {
-                neckColor2Input.value = config.neckColor2;
-                console.log('✅ Restored neck color 2:', config.neckColor2);
-            }
+        // Restore layer colors and properties
+        if (config.layerData && Array.isArray(config.layerData)) {
+            console.log('🎨 Restoring layer colors and properties');
+            this.restoreLayerProperties(config.layerData);
         }
 
-        if (config.pantsColor1) {
-            const pantsColor1Input = document.getElementById('pants-color-1');
-            if (pantsColor1Input) {
-                pantsColor1Input.value = config.pantsColor1;
-                console.log('✅ Restored pants color 1:', config.pantsColor1);
-            }
+        this.inkMatcher?.refreshAll();
+
+        console.log('✅ Configuration restoration complete');
+
+        // Re-enable pattern auto-selection after restoration
+        if (this.patternManager && this.patternManager.setRestorationMode) {
+            this.patternManager.setRestorationMode(false);
         }
+    }
+
+    /**
+     * Restore the neck and pants color inputs
+     */
+    applyGarmentColors(config) {
+        const inputs = {
+            neckColor1: 'neck-color-1',
+            neckColor2: 'neck-color-2',
+            pantsColor1: 'pants-color-1',
+            pantsColor2: 'pants-color-2'
+        };
 
-        if (config.pantsColor2) {
-            const pantsColor2Input = document.getElementById('pants-color-2');
-            if (pantsColor2Input) {
-                pantsColor2Input.value = config.pantsColor2;
-                console.log('✅ Restored pants color 2:', config.pantsColor2);
+        Object.entries(inputs).forEach(([key, inputId]) => {
+            const colorInput = config[key] && document.getElementById(inputId);
+            if (colorInput) {
+                colorInput.value = config[key];
+                console.log(`✅ Restored ${inputId}:`, config[key]);
             }
-        }
+        });
+    }
 
-        // Restore pattern colors
-        if (config.patternColors) {
-            Object.keys(config.patternColors).forEach(colorId => {
+    /**
+     * Restore pattern zone colors, then the gradient/texture fills
+     * (zones without one keep the flat color)
+     */
+    applyPatternColors({ patternColors, patternFills }) {
+        if (patternColors) {
+            Object.keys(patternColors).forEach(colorId => {
                 const colorInput = document.getElementById(colorId);
                 if (colorInput) {
-                    colorInput.value = config.patternColors[colorId];
-                    console.log(`✅ Restored ${colorId}:`, config.patternColors[colorId]);
+                    colorInput.value = patternColors[colorId];
+                    console.log(`✅ Restored ${colorId}:`, patternColors[colorId]);
                 }
             });
         }
 
-        // Restore layer colors and properties
-        if (config.layerData && Array.isArray(config.layerData)) {
-            console.log('🎨 Restoring layer colors and properties');
-            this.restoreLayerProperties(config.layerData);
+        if (patternFills) {
+            Object.keys(patternFills).forEach(colorId => {
+                this.patternManager.setLayerFill(colorId, patternFills[colorId]);
+                console.log(`✅ Restored ${colorId} fill:`, patternFills[colorId].type);
+            });
         }
+    }
 
-        console.log('✅ Configuration restoration complete');
-
-        // Re-enable pattern auto-selection after restoration
-        if (this.patternManager && this.patternManager.setRestorationMode) {
-            this.patternManager.setRestorationMode(false);
+    /**
+     * Restore the team palettes saved with the session
+     */
+    applyTeamPalettes(teamPalettes) {
+        if (!teamPalettes) {
+            return;
         }
+        this.teamPaletteManager.setSavedPalettes(teamPalettes);
+        console.log(`✅ Restored ${teamPalettes.length} team palettes`);
     }
 
     restoreLayerProperties(layerDataArray) {
@@ -1801,6 +2322,14 @@ class UniformConfigurator {
                         currentLayer.text = savedLayerData.text;
                     }
 
+                    if (currentLayer.type === 'text') {
+                        Object.keys(DEFAULT_TEXT_STYLE).forEach(key => {
+                            if (savedLayerData[key] !== undefined) {
+                                currentLayer[key] = savedLayerData[key];
+                            }
+                        });
+                    }
+
                     // Restore transform properties
                     if (savedLayerData.position) {
                         currentLayer.x = savedLayerData.position.x;
@@ -1808,6 +2337,13 @@ class UniformConfigurator {
                     }
 
                     currentLayer.scale = savedLayerData.scale || 1;
+                    currentLayer.aspect = savedLayerData.aspect || 1;
+                    currentLayer.anchor = savedLayerData.anchor || null;
+                    currentLayer.mirror = savedLayerData.mirror || null;
+                    currentLayer.group = savedLayerData.group || null;
+                    if (savedLayerData.palette) {
+                        currentLayer.palette = savedLayerData.palette;
+                    }
                     currentLayer.rotation = savedLayerData.rotation || 0;
                     currentLayer.opacity = savedLayerData.opacity || 1;
                     currentLayer.visible = savedLayerData.visible !== undefined ? savedLayerData.visible : true;
@@ -1832,11 +2368,116 @@ class UniformConfigurator {
         if (shareElement) {
             shareElement.textContent = shareUrl;
             shareElement.href = shareUrl;
+            document.getElementById('share-panel').hidden = false;
+            this.refreshVersionPicker();
         } else {
             // If no dedicated share element, show in notification
             console.log(`🔗 Shareable URL: ${shareUrl}`);
         }
     }
+
+    setupVersionHistoryHandlers() {
+        const picker = document.getElementById('version-picker');
+        if (!picker) {
+            return;
+        }
+
+        picker.addEventListener('change', () => this.showVersionDiff(parseInt(picker.value, 10)));
+        document.getElementById('version-restore-btn')?.addEventListener('click', () => this.handleVersionRestore());
+        document.getElementById('version-fork-btn')?.addEventListener('click', () => this.handleVersionFork());
+    }
+
+    /**
+     * Fill the version picker next to the share URL, newest first
+     */
+    async refreshVersionPicker() {
+        const picker = document.getElementById('version-picker');
+        if (!picker || !this.sessionManager?.isSessionActive()) {
+            return;
+        }
+
+        try {
+            this.sessionVersions = await this.sessionManager.listVersions();
+        } catch (error) {
+            console.warn('⚠️ Failed to load version history:', error.message);
+            this.sessionVersions = [];
+        }
+
+        picker.replaceChildren(...[...this.sessionVersions].reverse().map((version, index) => {
+            const createdAt = new Date(version.createdAt).toLocaleString('ko-KR');
+            const origin = version.restoredFrom ? this.i18n.t('versions.restoredFrom', { version: version.restoredFrom }) : '';
+            const option = document.createElement('option');
+            option.value = version.version;
+            option.textContent = `v${version.version} · ${createdAt}${origin}${index === 0 ? this.i18n.t('versions.current') : ''}`;
+            return option;
+        }));
+
+        const hasVersions = this.sessionVersions.length > 0;
+        picker.disabled = !hasVersions;
+        document.getElementById('version-restore-btn').disabled = true;
+        document.getElementById('version-fork-btn').disabled = !hasVersions;
+        document.getElementById('version-diff').textContent = '';
+    }
+
+    /**
+     * Summarize what changed between the picked version and the latest one
+     */
+    async showVersionDiff(version) {
+        const diffElement = document.getElementById('version-diff');
+        const latest = this.sessionVersions[this.sessionVersions.length - 1]?.version;
+        document.getElementById('version-restore-btn').disabled = version === latest;
+
+        if (version === latest) {
+            diffElement.textContent = '';
+            return;
+        }
+
+        try {
+            const diff = await this.sessionManager.diffVersions(latest, version);
+            const { added, removed, changed } = diff.layers;
+            const settingChanges = diff.configuration.length + diff.modelSettings.length;
+
+            diffElement.textContent = settingChanges + added.length + removed.length + changed.length === 0
+                ? this.i18n.t('versions.sameAsCurrent', { version })
+                : this.i18n.t('versions.diff', {
+                    version,
+                    settings: settingChanges,
+                    added: added.length,
+                    removed: removed.length,
+                    changed: changed.length
+                });
+        } catch (error) {
+            console.warn('⚠️ Failed to diff versions:', error.message);
+            diffElement.textContent = '';
+        }
+    }
+
+    async handleVersionRestore() {
+        const version = parseInt(document.getElementById('version-picker').value, 10);
+        if (!window.confirm(this.i18n.t('versions.confirmRestore', { version }))) {
+            return;
+        }
+
+        try {
+            await this.sessionManager.restoreVersion(version);
+            this.uiManager.showNotification(this.i18n.t('versions.restored', { version }), 'success', 5000);
+        } catch (error) {
+            console.error('Error restoring version:', error);
+            this.uiManager.showNotification(this.i18n.t('versions.restoreFailed', { error: error.message }), 'error', 8000);
+        }
+    }
+
+    async handleVersionFork() {
+        const version = parseInt(document.getElementById('version-picker').value, 10);
+
+        try {
+            const forkUrl = await this.sessionManager.forkVersion(version);
+            window.location.href = forkUrl;
+        } catch (error) {
+            console.error('Error forking version:', error);
+            this.uiManager.showNotification(this.i18n.t('versions.forkFailed', { error: error.message }), 'error', 8000);
+        }
+    }
     
     // Note: Images are now processed locally until user clicks SUBMIT
     // The session system will handle image storage only when submitting
@@ -2041,6 +2682,7 @@ class UniformConfigurator {
         const completeState = this.captureCompleteCurrentState();
         console.log('🔧 DEBUG: Saving complete configuration state:', completeState);
         this.sessionManager.updateConfiguration(completeState);
+        this.sessionManager.updateHistory(this.historyManager.serialize());
     }
 
     captureCompleteCurrentState() {
@@ -2058,7 +2700,8 @@ class UniformConfigurator {
 
         // Get pattern colors
         const patternColors = {};
-        for (let i = 1; i <= 3; i++) {
+        const layerCount = this.patternManager.getCurrentPattern()?.layerCount || 3;
+        for (let i = 1; i <= layerCount; i++) {
             const colorInput = document.getElementById(`pattern-color-${i}`);
             if (colorInput) {
                 patternColors[`pattern-color-${i}`] = colorInput.value;
@@ -2074,6 +2717,10 @@ class UniformConfigurator {
             visible: layer.visible,
             position: { x: layer.x || 0, y: layer.y || 0 },
             scale: layer.scale || 1,
+            aspect: layer.aspect || 1,
+            anchor: layer.anchor || null,
+            mirror: layer.mirror || null,
+            group: layer.group || null,
             rotation: layer.rotation || 0,
             opacity: layer.opacity || 1,
             // Include layer-specific properties
@@ -2081,10 +2728,12 @@ class UniformConfigurator {
                 text: layer.text,
                 color: layer.color || '#000000',
                 fontSize: layer.fontSize || 48,
-                fontFamily: layer.fontFamily || 'Arial'
+                fontFamily: layer.fontFamily || 'Arial',
+                ...Object.fromEntries(Object.keys(DEFAULT_TEXT_STYLE).map(key => [key, layer[key] ?? DEFAULT_TEXT_STYLE[key]]))
             }),
             ...(layer.type === 'logo' && {
-                originalName: layer.originalName
+                originalName: layer.originalName,
+                palette: layer.palette || null
             })
         }));
 
@@ -2101,6 +2750,8 @@ class UniformConfigurator {
             pantsColor1,
             pantsColor2,
             patternColors,
+            patternFills: this.patternManager.getLayerFills(),
+            teamPalettes: this.teamPaletteManager.getSavedPalettes(),
 
             // Layer information
             layerData,
@@ -2219,231 +2870,291 @@ class UniformConfigurator {
     }
 
     /**
-     * Setup handlers for numbers texture functionality
+     * Setup handlers for numbers lettering (style, fill and outline color)
      */
     setupNumbersTextureHandlers() {
-        const numbersTextureSelect = document.getElementById('numbers-texture-select');
-        const numbersTextureColor = document.getElementById('numbers-texture-color');
-
-        if (numbersTextureSelect) {
-            numbersTextureSelect.addEventListener('change', () => {
-                this.handleNumbersTextureChange();
-            });
-        }
-
-        if (numbersTextureColor) {
-            numbersTextureColor.addEventListener('change', () => {
-                this.handleNumbersTextureChange();
-            });
-        }
+        ['numbers-texture-select', 'numbers-texture-color', 'numbers-outline-color'].forEach(id => {
+            const control = document.getElementById(id);
+            if (control) {
+                control.addEventListener('change', () => {
+                    this.handleNumbersTextureChange();
+                });
+            }
+        });
 
-        console.log('✅ Numbers texture handlers initialized');
+        console.log('✅ Numbers lettering handlers initialized');
 
-        // Apply initial numbers texture after a short delay to ensure everything is loaded
+        // Apply initial numbers lettering after a short delay to ensure everything is loaded
         setTimeout(() => {
             this.handleNumbersTextureChange();
         }, 500);
     }
 
     /**
-     * Handle numbers texture change (dropdown or color)
+     * Handle numbers lettering change (style dropdown, colors or active player)
      */
     handleNumbersTextureChange() {
-        const numbersTextureSelect = document.getElementById('numbers-texture-select');
-        const numbersTextureColor = document.getElementById('numbers-texture-color');
-
-        if (!numbersTextureSelect || !numbersTextureColor) {
-            return;
-        }
-
-        const selectedTexture = numbersTextureSelect.value;
-        const selectedColor = numbersTextureColor.value;
-
-        console.log(`🔢 Numbers texture changed: ${selectedTexture} with color ${selectedColor}`);
-
-        // Apply the numbers texture to the scene
-        this.applyNumbersTexture(selectedTexture, selectedColor);
+        this.applyPlayerLettering('number');
     }
 
     /**
-     * Apply numbers texture with fixed position and scale
+     * Setup handlers for names lettering (style, fill and outline color)
      */
-    applyNumbersTexture(textureFilename, color) {
-        const texturePath = `./assets/textures/numbers/${textureFilename}`;
-
-        // Fixed coordinates and scale as specified
-        const position = { x: 0.46, y: 0.25 };
-        const scale = 0.6;
-
-        console.log(`🔢 Applying numbers texture: ${texturePath} at position (${position.x}, ${position.y}) with scale ${scale}`);
-
-        // Create or update numbers texture layer
-        const img = new Image();
-        img.onload = () => {
-            // Remove existing numbers texture layer if it exists
-            const existingLayer = this.layerManager.layers.find(layer =>
-                layer.type === 'logo' && layer.isNumbersTexture
-            );
-
-            if (existingLayer) {
-                this.layerManager.removeLayer(existingLayer.id);
+    setupNamesTextureHandlers() {
+        ['names-texture-select', 'names-texture-color', 'names-outline-color'].forEach(id => {
+            const control = document.getElementById(id);
+            if (control) {
+                control.addEventListener('change', () => {
+                    this.handleNamesTextureChange();
+                });
             }
+        });
 
-            // Create new numbers texture layer
-            const layer = this.layerManager.addLogoLayer(img, textureFilename);
-
-            // Mark as numbers texture and set fixed properties
-            layer.isNumbersTexture = true;
-            layer.position = position;
-            layer.scale = scale;
-            layer.color = color;
-            layer.locked = true; // Lock the layer by default
-
-            // Update the layer with fixed properties
-            this.layerManager.updateLayer(layer.id, {
-                position: position,
-                scale: scale,
-                color: color,
-                locked: true
-            });
-
-            // Force a complete texture rebuild by triggering the onTextureUpdated event
-            setTimeout(() => {
-                // Force texture update
-                this.layerManager.updateTexture(true);
+        console.log('✅ Names lettering handlers initialized');
 
-                // Get the updated texture and manually trigger the event
-                const texture = this.layerManager.getTexture();
-                if (texture && this.layerManager.onTextureUpdated) {
-                    this.layerManager.onTextureUpdated(texture);
-                }
+        // Apply initial names lettering after a short delay to ensure everything is loaded
+        setTimeout(() => {
+            this.handleNamesTextureChange();
+        }, 600);
+    }
 
-                // Force UI update
-                this.updateUI();
-            }, 50);
+    /**
+     * Handle names lettering change (style dropdown, colors or active player)
+     */
+    handleNamesTextureChange() {
+        this.applyPlayerLettering('name');
+    }
 
-            console.log(`✅ Numbers texture applied and locked: ${textureFilename}`);
+    /**
+     * Read the lettering controls for names or numbers
+     */
+    getLetteringOptions(kind) {
+        const prefix = kind === 'name' ? 'names' : 'numbers';
+        return {
+            styleId: document.getElementById(`${prefix}-texture-select`)?.value || DEFAULT_LETTERING_STYLE,
+            fillColor: document.getElementById(`${prefix}-texture-color`)?.value || '#ffffff',
+            outlineColor: document.getElementById(`${prefix}-outline-color`)?.value || '#000000'
         };
+    }
 
-        img.onerror = () => {
-            console.error(`❌ Failed to load numbers texture: ${texturePath}`);
-        };
+    /**
+     * Render the design from camera presets (and optionally as a turntable) and store the
+     * images in the session
+     * @param {Object} options - { presets, width, height, background, turntable: { preset,
+     *   frames, width, height, format: 'webp' | 'gif' | 'sequence', frameDelayMs } | null }
+     * @returns {Promise<Array>} Stored render manifests
+     */
+    async captureProductShots({ presets = Object.keys(CAMERA_PRESETS), width = 1024, height = 1024, background = 'transparent', turntable = null } = {}) {
+        const renders = [];
+
+        // Selection handles are drawn into the texture, keep them out of the shots
+        for (const preset of presets) {
+            const image = this.layerManager.withoutSelectionGizmo(() => this.sceneManager.captureView({ preset, width, height, background }));
+            renders.push(await this.sessionManager.uploadRender({ kind: 'still', preset, images: [image] }));
+        }
+
+        if (turntable) {
+            const { format = 'webp', frameDelayMs = null, ...options } = turntable;
+            const frames = this.layerManager.withoutSelectionGizmo(() => this.sceneManager.captureTurntable({ background, ...options }));
+            renders.push(await this.sessionManager.uploadRender({
+                kind: 'turntable',
+                preset: options.preset || 'front',
+                format,
+                frameDelayMs,
+                images: frames
+            }));
+        }
 
-        img.src = texturePath;
+        return renders;
     }
 
     /**
-     * Setup handlers for names texture functionality
+     * Printed colors of the design for the order sheet: every color zone plus text layer colors
+     * @returns {Array} [{ zone, hex, label? }]
      */
-    setupNamesTextureHandlers() {
-        const namesTextureSelect = document.getElementById('names-texture-select');
-        const namesTextureColor = document.getElementById('names-texture-color');
-
-        if (namesTextureSelect) {
-            namesTextureSelect.addEventListener('change', () => {
-                this.handleNamesTextureChange();
-            });
-        }
+    captureOrderColors() {
+        const layerCount = this.patternManager.getCurrentPattern()?.layerCount || 3;
+        const zoneIds = [];
+        for (let i = 1; i <= layerCount; i++) {
+            zoneIds.push(`pattern-color-${i}`);
+        }
+        zoneIds.push(
+            'neck-color-1', 'neck-color-2', 'pants-color-1', 'pants-color-2',
+            'names-texture-color', 'names-outline-color', 'numbers-texture-color', 'numbers-outline-color'
+        );
 
-        if (namesTextureColor) {
-            namesTextureColor.addEventListener('change', () => {
-                this.handleNamesTextureChange();
+        const zoneColors = zoneIds
+            .map(id => document.getElementById(id))
+            // Single-color necks hide the second neck picker
+            .filter(input => input && input.style.display !== 'none')
+            .map(input => ({ zone: input.id, hex: input.value }));
+
+        const textColors = this.layerManager.getLayers()
+            .filter(layer => layer.type === 'text' && layer.color)
+            .flatMap(layer => {
+                const label = layer.text || layer.name;
+                return [
+                    { zone: 'text', label, hex: layer.color },
+                    ...(layer.outlines || []).map((outline, index) => ({ zone: 'text', label: this.i18n.t('layers.outlineColor', { label, index: index + 1 }), hex: outline.color }))
+                ];
             });
-        }
-
-        console.log('✅ Names texture handlers initialized');
 
-        // Apply initial names texture after a short delay to ensure everything is loaded
-        setTimeout(() => {
-            this.handleNamesTextureChange();
-        }, 600);
+        return [...zoneColors, ...textColors];
     }
 
     /**
-     * Handle names texture change (dropdown or color)
+     * Logo to suggest a palette from: the selected logo layer, else the first uploaded one
      */
-    handleNamesTextureChange() {
-        const namesTextureSelect = document.getElementById('names-texture-select');
-        const namesTextureColor = document.getElementById('names-texture-color');
-
-        if (!namesTextureSelect || !namesTextureColor) {
-            return;
-        }
+    getPaletteLogoLayer() {
+        const isUploadedLogo = layer => layer?.type === 'logo' && !layer.isNamesTexture && !layer.isNumbersTexture;
+        const selected = this.layerManager.getSelectedLayer();
 
-        const selectedTexture = namesTextureSelect.value;
-        const selectedColor = namesTextureColor.value;
+        return isUploadedLogo(selected) ? selected : this.layerManager.getLayers().find(isUploadedLogo) || null;
+    }
 
-        console.log(`📝 Names texture changed: ${selectedTexture} with color ${selectedColor}`);
+    /**
+     * Player whose name and number are currently shown on the model
+     */
+    getActiveRosterPlayer() {
+        const roster = this.orderFormManager ? this.orderFormManager.getRosterPlayers() : [];
+        const activePlayer = roster.find(player => player.id === this.activeRosterPlayerId) || roster[0];
 
-        // Apply the names texture to the scene
-        this.applyNamesTexture(selectedTexture, selectedColor);
+        return activePlayer || ROSTER_PLACEHOLDER_PLAYER;
     }
 
     /**
-     * Apply names texture with fixed position and scale
+     * Render the active player's name or number and place it on the model
+     * @param {string} kind - 'name' or 'number'
      */
-    applyNamesTexture(textureFilename, color) {
-        const texturePath = `./assets/textures/names/${textureFilename}`;
-
-        // Fixed coordinates and scale as specified (same as numbers)
-        const position = { x: 0.4605, y: 0.15 };
-        const scale = 0.4;
+    applyPlayerLettering(kind) {
+        const player = this.getActiveRosterPlayer();
+        const options = this.getLetteringOptions(kind);
+
+        const canvas = this.playerLettering.render({
+            kind,
+            text: player[kind],
+            ...options
+        });
 
-        console.log(`📝 Applying names texture: ${texturePath} at position (${position.x}, ${position.y}) with scale ${scale}`);
+        // Lettering layers are generated from the roster, so their changes stay out of the history
+        this.historyManager.withoutRecording(() => this.placeLetteringLayer(kind, canvas, player, options));
+    }
 
-        // Create or update names texture layer
-        const img = new Image();
-        img.onload = () => {
-            // Remove existing names texture layer if it exists
-            const existingLayer = this.layerManager.layers.find(layer =>
-                layer.type === 'logo' && layer.isNamesTexture
-            );
+    placeLetteringLayer(kind, canvas, player, options) {
+        const placement = LETTERING_PLACEMENTS[kind];
+        const flag = kind === 'name' ? 'isNamesTexture' : 'isNumbersTexture';
+        const existingLayer = this.layerManager.layers.find(layer => layer.type === 'logo' && layer[flag]);
 
+        // Players without a name (or number) get nothing printed in that spot
+        if (!canvas) {
             if (existingLayer) {
                 this.layerManager.removeLayer(existingLayer.id);
             }
+            return;
+        }
 
-            // Create new names texture layer
-            const layer = this.layerManager.addLogoLayer(img, textureFilename);
-
-            // Mark as names texture and set fixed properties
-            layer.isNamesTexture = true;
-            layer.position = position;
-            layer.scale = scale;
-            layer.color = color;
-            layer.locked = true; // Lock the layer by default
+        const properties = {
+            image: canvas,
+            name: `${kind === 'name' ? 'Name' : 'Number'}: ${player[kind]}`,
+            lettering: { kind, playerId: player.id, ...options },
+            // Colors are baked into the lettering canvas, so skip the logo tint
+            color: '#ffffff',
+            locked: true
+        };
 
-            // Update the layer with fixed properties
+        if (existingLayer) {
+            this.layerManager.updateLayer(existingLayer.id, properties);
+        } else {
+            const layer = this.layerManager.addLogoLayer(canvas, properties.name);
+            layer[flag] = true;
             this.layerManager.updateLayer(layer.id, {
-                position: position,
-                scale: scale,
-                color: color,
-                locked: true
+                ...properties,
+                position: { ...placement.position },
+                scale: placement.scale
             });
+        }
 
-            // Force a complete texture rebuild by triggering the onTextureUpdated event
-            setTimeout(() => {
-                // Force texture update
-                this.layerManager.updateTexture(true);
+        // Force a complete texture rebuild so the model picks up the new lettering
+        setTimeout(() => {
+            this.layerManager.updateTexture(true);
 
-                // Get the updated texture and manually trigger the event
-                const texture = this.layerManager.getTexture();
-                if (texture && this.layerManager.onTextureUpdated) {
-                    this.layerManager.onTextureUpdated(texture);
-                }
+            const texture = this.layerManager.getTexture();
+            if (texture && this.layerManager.onTextureUpdated) {
+                this.layerManager.onTextureUpdated(texture);
+            }
 
-                // Force UI update
-                this.updateUI();
-            }, 50);
+            this.updateUI();
+        }, 50);
 
-            console.log(`✅ Names texture applied and locked: ${textureFilename}`);
-        };
+        console.log(`✅ ${kind === 'name' ? 'Name' : 'Number'} lettering applied for player: ${player[kind]}`);
+    }
 
-        img.onerror = () => {
-            console.error(`❌ Failed to load names texture: ${texturePath}`);
-        };
+    /**
+     * Switch the model to a roster player's name and number
+     */
+    setActiveRosterPlayer(playerId) {
+        this.activeRosterPlayerId = playerId;
+        this.renderRosterPreviewStrip();
+        this.handleNamesTextureChange();
+        this.handleNumbersTextureChange();
+    }
+
+    /**
+     * Called by OrderFormManager whenever roster names or numbers change
+     */
+    handleRosterChange(roster) {
+        if (!roster.some(player => player.id === this.activeRosterPlayerId)) {
+            this.activeRosterPlayerId = roster.length > 0 ? roster[0].id : null;
+        }
+
+        this.renderRosterPreviewStrip();
 
-        img.src = texturePath;
+        // Skip redraws until the lettering handlers have been set up
+        if (this.layerManager && this.playerLettering) {
+            this.handleNamesTextureChange();
+            this.handleNumbersTextureChange();
+        }
+    }
+
+    /**
+     * Render the roster preview strip (one chip per player) under the lettering controls
+     */
+    renderRosterPreviewStrip() {
+        const strip = document.getElementById('roster-preview-strip');
+        if (!strip) return;
+
+        const roster = this.orderFormManager ? this.orderFormManager.getRosterPlayers() : [];
+        strip.replaceChildren();
+
+        if (roster.length === 0) {
+            const empty = document.createElement('span');
+            empty.className = 'roster-preview-empty';
+            empty.textContent = this.i18n.t('player.rosterPreviewEmpty');
+            strip.appendChild(empty);
+            return;
+        }
+
+        const activePlayer = this.getActiveRosterPlayer();
+        roster.forEach(player => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'roster-preview-chip';
+            chip.classList.toggle('active', player.id === activePlayer.id);
+            chip.setAttribute('aria-pressed', String(player.id === activePlayer.id));
+
+            const number = document.createElement('span');
+            number.className = 'roster-preview-number';
+            number.textContent = player.number || '-';
+
+            const name = document.createElement('span');
+            name.className = 'roster-preview-name';
+            name.textContent = player.name || '';
+
+            chip.appendChild(number);
+            chip.appendChild(name);
+            chip.addEventListener('click', () => this.setActiveRosterPlayer(player.id));
+            strip.appendChild(chip);
+        });
     }
 }
 
@@ -8,13 +8,23 @@ const rateLimit = require('express-rate-limit');
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const os = require('os');
 
 const JobQueue = require('./lib/jobQueue');
+const JobEvents = require('./lib/jobEvents');
+const WorkerPool = require('./lib/workerPool');
 const ImageProcessor = require('./lib/imageProcessor');
 const SessionManager = require('./lib/sessionManager');
 const EmailService = require('./lib/emailService');
 const OrderParser = require('./lib/OrderParser');
 const FileValidator = require('./lib/fileValidator');
+const CatalogService = require('./lib/catalogService');
+const PrintExporter = require('./lib/printExporter');
+const RenderStore = require('./lib/renderStore');
+const RosterImporter = require('./lib/rosterImporter');
+const PatternLibrary = require('./lib/patternLibrary');
+const InkLibrary = require('./lib/inkLibrary');
 
 const app = express();
 if (!process.env.PORT) {
@@ -28,18 +38,30 @@ const jobQueue = new JobQueue({
     jobTimeoutMs: parseInt(process.env.JOB_TIMEOUT_MS) || 30000,
     maxQueueSize: parseInt(process.env.MAX_QUEUE_SIZE) || 100,
     cleanupIntervalMs: parseInt(process.env.CLEANUP_INTERVAL_MS) || 60000,
-    defaultProcessingTime: parseInt(process.env.DEFAULT_PROCESSING_TIME_MS) || 5000
+    defaultProcessingTime: parseInt(process.env.DEFAULT_PROCESSING_TIME_MS) || 5000,
+    storeDir: process.env.JOBS_DIR || './jobs'
 });
+const jobEvents = new JobEvents(jobQueue);
 
-const imageProcessor = new ImageProcessor({
+const imageProcessorOptions = {
     maxWidth: parseInt(process.env.MAX_IMAGE_WIDTH) || 1024,
     maxHeight: parseInt(process.env.MAX_IMAGE_HEIGHT) || 1024,
     maxInputWidth: parseInt(process.env.MAX_INPUT_IMAGE_WIDTH) || 8192,
     maxInputHeight: parseInt(process.env.MAX_INPUT_IMAGE_HEIGHT) || 8192,
+    maxInputPixels: parseInt(process.env.MAX_INPUT_PIXELS, 10) || undefined,
     quality: parseInt(process.env.COMPRESSION_QUALITY * 100) || 80,
     imageConversionThreshold: parseInt(process.env.IMAGE_CONVERSION_THRESHOLD_MB) || 2,
-    supportedFormats: (process.env.SUPPORTED_FORMATS || 'jpeg,png,webp,gif').split(','),
+    supportedFormats: (process.env.SUPPORTED_FORMATS || 'jpeg,png,webp,gif,svg').split(','),
     processedDir: process.env.PROCESSED_DIR || './processed'
+};
+const imageProcessor = new ImageProcessor(imageProcessorOptions);
+
+// Image jobs run sharp on worker threads so big uploads don't stall other requests
+const imageWorkerPool = new WorkerPool({
+    script: path.join(__dirname, 'lib', 'imageWorker.js'),
+    size: parseInt(process.env.IMAGE_WORKERS, 10) || Math.max(1, Math.min(jobQueue.maxConcurrentJobs, os.cpus().length)),
+    workerData: { imageProcessor: imageProcessorOptions },
+    resourceLimits: { maxOldGenerationSizeMb: parseInt(process.env.IMAGE_WORKER_MAX_MEMORY_MB, 10) || 512 }
 });
 
 const sessionManager = new SessionManager({
@@ -50,10 +72,55 @@ const sessionManager = new SessionManager({
 
 const emailService = new EmailService();
 
+const catalogService = new CatalogService({
+    catalogPath: process.env.CATALOG_FILE || './config/catalog.json'
+});
+
+const patternLibrary = new PatternLibrary({
+    manifestPath: process.env.PATTERN_MANIFEST_FILE || './config/patterns.json'
+});
+
+const printExporter = new PrintExporter({
+    sessionManager,
+    patternLibrary,
+    sessionsDir: process.env.SESSIONS_DIR || './sessions',
+    defaultResolution: parseInt(process.env.PRINT_EXPORT_RESOLUTION, 10) || 4096,
+    maxResolution: parseInt(process.env.PRINT_EXPORT_MAX_RESOLUTION, 10) || 8192,
+    defaultDpi: parseInt(process.env.PRINT_EXPORT_DPI, 10) || 150,
+    blendPasses: (size, passes, signal) => imageWorkerPool.run({ method: 'blendMaskPasses', args: [size, passes] }, { signal })
+});
+const PRINT_EXPORT_TIMEOUT_MS = parseInt(process.env.PRINT_EXPORT_TIMEOUT_MS, 10) || 10 * 60 * 1000;
+
+const renderStore = new RenderStore({
+    sessionsDir: process.env.SESSIONS_DIR || './sessions',
+    maxFrames: parseInt(process.env.RENDER_MAX_FRAMES, 10) || 72,
+    maxDimension: parseInt(process.env.RENDER_MAX_DIMENSION, 10) || 4096,
+    maxTotalPixels: parseInt(process.env.RENDER_MAX_TOTAL_PIXELS, 10) || 64 * 1024 * 1024,
+    encodeAnimation: animation => imageWorkerPool.run({ method: 'encodeAnimation', args: [animation] })
+});
+
+// Jobs are queued by name so the ones persisted before a restart can run again
+// A timed out image job stops its worker
+jobQueue.registerProcessor('process-image', (data, id, onProgress, signal) =>
+    imageWorkerPool.run({ method: 'processImage', args: [data, id] }, { signal }));
+jobQueue.registerProcessor('cleanup-image', (data, id, onProgress, signal) =>
+    imageWorkerPool.run({ method: 'cleanupImage', args: [data, id] }, { signal }));
+jobQueue.registerProcessor('print-export', (data, id, onProgress, signal) =>
+    printExporter.exportDesign(data, id, onProgress, signal));
+
+const inkLibrary = new InkLibrary({
+    tablePath: process.env.INK_TABLE_FILE || './config/inks.json'
+});
+
 const orderParser = new OrderParser({
-    sessionsDir: process.env.SESSIONS_DIR || './sessions'
+    sessionsDir: process.env.SESSIONS_DIR || './sessions',
+    catalogService,
+    inkLibrary,
+    maxPlayers: parseInt(process.env.ORDER_MAX_PLAYERS, 10) || 500
 });
 
+const rosterImporter = new RosterImporter({ catalogService });
+
 // Initialize secure file validator
 const fileValidator = new FileValidator();
 
@@ -109,7 +176,7 @@ const upload = multer({
             }
 
             // Check mime type
-            const supportedMimeTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+            const supportedMimeTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/svg+xml'];
             if (!supportedMimeTypes.includes(file.mimetype)) {
                 return cb(new Error(`Unsupported file type: ${file.mimetype}`));
             }
@@ -129,6 +196,47 @@ const upload = multer({
     }
 });
 
+// Roster spreadsheets are small; the format is checked by the importer
+const rosterUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 1024 * 1024,
+        files: 1
+    }
+});
+
+// Captured product shots: PNG stills or turntable frames, checked by the render store
+const renderUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: maxFileSizeBytes,
+        files: renderStore.maxFrames
+    },
+    fileFilter: (req, file, cb) => {
+        if (file.mimetype !== 'image/png') {
+            return cb(new Error(`Unsupported render type: ${file.mimetype}`));
+        }
+        cb(null, true);
+    }
+});
+
+// Frames stay in memory until the render store has checked them, so each request is capped as a whole
+const maxRenderUploadBytes = (parseInt(process.env.RENDER_MAX_UPLOAD_MB, 10) || 64) * 1024 * 1024;
+const limitRenderUpload = (req, res, next) => {
+    const contentLength = parseInt(req.headers['content-length'], 10);
+    if (!Number.isFinite(contentLength)) {
+        return res.status(411).json({
+            error: 'Render uploads need a Content-Length header'
+        });
+    }
+    if (contentLength > maxRenderUploadBytes) {
+        return res.status(413).json({
+            error: `Render uploads are limited to ${Math.round(maxRenderUploadBytes / (1024 * 1024))}MB per request`
+        });
+    }
+    next();
+};
+
 // Enhanced Security Middleware with configurable CSP
 const isDevelopment = process.env.NODE_ENV !== 'production';
 const cspConfig = {
@@ -263,6 +371,30 @@ class PathSecurity {
         }
         return filename;
     }
+
+    static validateVersion(version) {
+        if (!/^[1-9][0-9]{0,5}$/.test(String(version))) {
+            throw new Error('Invalid version: must be a positive integer');
+        }
+        return parseInt(version, 10);
+    }
+
+    static validateExportId(exportId) {
+        if (!exportId || typeof exportId !== 'string') {
+            throw new Error('Invalid export ID: must be a non-empty string');
+        }
+        if (!/^[a-f0-9-]{36}$/.test(exportId)) {
+            throw new Error('Invalid export ID: must be a job UUID');
+        }
+        return exportId;
+    }
+
+    static validateRenderId(renderId) {
+        if (!renderId || typeof renderId !== 'string' || !/^[a-f0-9-]{36}$/.test(renderId)) {
+            throw new Error('Invalid render ID: must be a UUID');
+        }
+        return renderId;
+    }
 }
 
 // Path validation middleware
@@ -281,6 +413,23 @@ const validateSessionId = (req, res, next) => {
     }
 };
 
+// Session whose event stream gets a standalone processing job's updates (optional form field).
+// Runs after multer, which fills in req.body
+const validateEventSessionId = (req, res, next) => {
+    try {
+        if (req.body?.sessionId !== undefined) {
+            PathSecurity.validateSessionId(req.body.sessionId);
+        }
+        next();
+    } catch (error) {
+        console.warn(`🚨 Invalid event session ID rejected: ${error.message} - IP: ${req.ip}`);
+        res.status(400).json({
+            error: 'Invalid session ID format',
+            details: error.message
+        });
+    }
+};
+
 const validateLayerId = (req, res, next) => {
     try {
         if (req.params.layerId) {
@@ -311,6 +460,21 @@ const validateOrderNumber = (req, res, next) => {
     }
 };
 
+// Malformed player lists would otherwise fail deep inside pricing
+const validateOrderPlayers = (req, res, next) => {
+    try {
+        if (req.body?.players !== undefined) {
+            catalogService.validatePlayers(req.body.players);
+        }
+        next();
+    } catch (error) {
+        res.status(400).json({
+            error: 'Invalid order players',
+            details: error.message
+        });
+    }
+};
+
 const validateFilename = (req, res, next) => {
     try {
         if (req.params.filename) {
@@ -326,6 +490,91 @@ const validateFilename = (req, res, next) => {
     }
 };
 
+const validateExportId = (req, res, next) => {
+    try {
+        if (req.params.exportId) {
+            PathSecurity.validateExportId(req.params.exportId);
+        }
+        next();
+    } catch (error) {
+        console.warn(`🚨 Path traversal attempt blocked: ${error.message} - IP: ${req.ip}`);
+        res.status(400).json({
+            error: 'Invalid export ID format',
+            details: error.message
+        });
+    }
+};
+
+const validateRenderId = (req, res, next) => {
+    try {
+        if (req.params.renderId) {
+            PathSecurity.validateRenderId(req.params.renderId);
+        }
+        next();
+    } catch (error) {
+        console.warn(`🚨 Path traversal attempt blocked: ${error.message} - IP: ${req.ip}`);
+        res.status(400).json({
+            error: 'Invalid render ID format',
+            details: error.message
+        });
+    }
+};
+
+const validateVersion = (req, res, next) => {
+    try {
+        ['version', 'compareTo'].forEach(param => {
+            if (req.params[param]) {
+                PathSecurity.validateVersion(req.params[param]);
+            }
+        });
+        next();
+    } catch (error) {
+        res.status(400).json({
+            error: 'Invalid version',
+            details: error.message
+        });
+    }
+};
+
+// Staff authentication for the admin dashboard (Bearer token from ADMIN_TOKEN)
+const requireAdmin = (req, res, next) => {
+    const adminToken = process.env.ADMIN_TOKEN;
+    if (!adminToken) {
+        return res.status(503).json({
+            error: 'Admin dashboard is disabled. Set ADMIN_TOKEN to enable it.'
+        });
+    }
+
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    const expected = crypto.createHash('sha256').update(adminToken).digest();
+    const provided = crypto.createHash('sha256').update(token || '').digest();
+
+    if (scheme !== 'Bearer' || !crypto.timingSafeEqual(expected, provided)) {
+        console.warn(`🚨 Rejected admin request: ${req.method} ${req.path} - IP: ${req.ip}`);
+        return res.status(401).json({
+            error: 'Admin authentication required'
+        });
+    }
+
+    next();
+};
+
+// Design edits are refused while staff have the session locked for customer proof review
+const rejectWhileProofLocked = async (req, res, next) => {
+    try {
+        const sessionData = await sessionManager.getSession(req.params.sessionId);
+        if (sessionManager.isProofLocked(sessionData)) {
+            return res.status(409).json({
+                error: 'Session is locked for proof review',
+                proof: sessionManager.getPublicProof(sessionData)
+            });
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
 // CORS configuration moved above helmet middleware
 
 app.use(express.json({ limit: '10mb' }));
@@ -352,6 +601,19 @@ const uploadLimiter = rateLimit({
 // Apply rate limiting to upload endpoints
 app.use('/api/process', uploadLimiter);
 
+// Admin endpoints get their own limiter so token guessing stays slow
+const adminLimiter = rateLimit({
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 15 * 60 * 1000,
+    max: parseInt(process.env.ADMIN_RATE_LIMIT_MAX_REQUESTS, 10) || 300,
+    message: {
+        error: 'Too many admin requests from this IP, please try again later.',
+        retryAfter: '15 minutes'
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+app.use('/api/admin', adminLimiter);
+
 // Configuration endpoint for client settings
 app.get('/api/config', (req, res) => {
     res.json({
@@ -392,7 +654,7 @@ app.get('/api/health', async (req, res) => {
 });
 
 // Process single image endpoint
-app.post('/api/process/single', upload.single('image'), async (req, res) => {
+app.post('/api/process/single', upload.single('image'), validateEventSessionId, async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({
@@ -434,11 +696,12 @@ app.post('/api/process/single', upload.single('image'), async (req, res) => {
         
         // Add job to queue
         const jobId = jobQueue.addJob(
-            (data, id) => imageProcessor.processImage(data, id),
+            'process-image',
             req.file,
             {
-                priority: parseInt(req.body.priority) || 0,
-                maxRetries: 2
+                priority: 0, // Set here, never by the client, so uploads cannot jump the queue
+                maxRetries: 2,
+                sessionId: req.body.sessionId
             }
         );
         
@@ -458,7 +721,7 @@ app.post('/api/process/single', upload.single('image'), async (req, res) => {
 });
 
 // Process multiple images endpoint
-app.post('/api/process/batch', upload.array('images', 10), async (req, res) => {
+app.post('/api/process/batch', upload.array('images', 10), validateEventSessionId, async (req, res) => {
     try {
         if (!req.files || req.files.length === 0) {
             return res.status(400).json({
@@ -503,11 +766,12 @@ app.post('/api/process/batch', upload.array('images', 10), async (req, res) => {
                 
                 // Add job to queue with lower priority for batch processing
                 const jobId = jobQueue.addJob(
-                    (data, id) => imageProcessor.processImage(data, id),
+                    'process-image',
                     file,
                     {
                         priority: -1, // Lower priority for batch jobs
-                        maxRetries: 1
+                        maxRetries: 1,
+                        sessionId: req.body.sessionId
                     }
                 );
                 
@@ -540,6 +804,64 @@ app.post('/api/process/batch', upload.array('images', 10), async (req, res) => {
     }
 });
 
+// Remove a logo's background and/or reduce it to a few colors (poll /api/job/:jobId)
+app.post('/api/process/cleanup', upload.single('image'), validateEventSessionId, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                error: 'No image file provided'
+            });
+        }
+
+        const validation = imageProcessor.validateImageSecurity(req.file);
+        if (!validation.isValid) {
+            console.warn(`🚨 Image cleanup blocked for ${req.file.originalname}:`, validation.errors);
+            return res.status(400).json({
+                error: 'Image security validation failed',
+                details: validation.errors
+            });
+        }
+        if (req.file.mimetype === 'image/svg+xml') {
+            return res.status(400).json({
+                error: 'Vector logos cannot be cleaned up'
+            });
+        }
+
+        let options;
+        try {
+            options = ImageProcessor.normalizeCleanupOptions(req.body);
+        } catch (validationError) {
+            return res.status(400).json({
+                error: 'Invalid cleanup options',
+                details: validationError.message
+            });
+        }
+
+        const jobId = jobQueue.addJob(
+            'cleanup-image',
+            { ...req.file, cleanup: options },
+            {
+                priority: 1,
+                maxRetries: 1,
+                sessionId: req.body.sessionId
+            }
+        );
+
+        res.json({
+            success: true,
+            jobId,
+            estimatedTime: await imageProcessor.getEstimatedProcessingTime(req.file),
+            message: 'Image cleanup job queued successfully'
+        });
+
+    } catch (error) {
+        console.error('Error starting image cleanup:', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
 // Get job status endpoint
 app.get('/api/job/:jobId', (req, res) => {
     try {
@@ -587,6 +909,14 @@ app.post('/api/jobs/status', (req, res) => {
     }
 });
 
+/**
+ * Served SVGs are already sanitized; this keeps them inert even if opened directly
+ */
+function setSvgSecurityHeaders(res) {
+    res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; img-src data:");
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+}
+
 // Serve processed images
 app.get('/api/images/:filename', async (req, res) => {
     try {
@@ -610,11 +940,15 @@ app.get('/api/images/:filename', async (req, res) => {
             '.jpeg': 'image/jpeg',
             '.png': 'image/png',
             '.webp': 'image/webp',
-            '.gif': 'image/gif'
+            '.gif': 'image/gif',
+            '.svg': 'image/svg+xml'
         };
         
         const contentType = mimeTypes[ext] || 'application/octet-stream';
         res.setHeader('Content-Type', contentType);
+        if (ext === '.svg') {
+            setSvgSecurityHeaders(res);
+        }
         res.setHeader('Cache-Control', 'public, max-age=86400'); // Cache for 24 hours
         
         // Stream the file
@@ -642,7 +976,7 @@ app.get('/api/stats', async (req, res) => {
 
         res.json({
             timestamp: new Date().toISOString(),
-            queue: queueStats,
+            queue: { ...queueStats, workers: imageWorkerPool.getStats() },
             processor: processorStats,
             server: {
                 uptime: process.uptime(),
@@ -675,7 +1009,7 @@ app.get('/api/security/status', (req, res) => {
                 corsProtection: true
             },
             validationStats: {
-                supportedFormats: ['image/jpeg', 'image/png', 'image/webp', 'image/gif'],
+                supportedFormats: ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/svg+xml'],
                 maxFileSize: parseInt(process.env.MAX_IMAGE_FILE_SIZE_MB) || 5,
                 absoluteFileLimit: 50, // MB
                 magicByteSignatures: Object.keys(fileValidator.magicBytes).length,
@@ -746,7 +1080,7 @@ app.get('/api/sessions/:sessionId', validateSessionId, async (req, res) => {
 });
 
 // Update session data
-app.put('/api/sessions/:sessionId', validateSessionId, async (req, res) => {
+app.put('/api/sessions/:sessionId', validateSessionId, rejectWhileProofLocked, async (req, res) => {
     try {
         const { sessionId } = req.params;
         const updates = req.body;
@@ -774,7 +1108,7 @@ app.put('/api/sessions/:sessionId', validateSessionId, async (req, res) => {
 });
 
 // Add layer to session with image upload
-app.post('/api/sessions/:sessionId/layers', validateSessionId, upload.single('image'), async (req, res) => {
+app.post('/api/sessions/:sessionId/layers', validateSessionId, rejectWhileProofLocked, upload.single('image'), async (req, res) => {
     try {
         const { sessionId } = req.params;
         
@@ -883,16 +1217,23 @@ app.post('/api/sessions/:sessionId/layers', validateSessionId, upload.single('im
             if (validation.warnings.length > 0) {
                 console.warn(`⚠️  Session layer processing with warnings for ${req.file.originalname}:`, validation.warnings);
             }
+
+            // Trust the detected type, not the client, for whether the stored layer is vector
+            layerData.properties = {
+                ...layerData.properties,
+                isVector: validation.fileInfo.detectedType === 'image/svg+xml'
+            };
             
             console.log(`Processing image for session ${sessionId}: ${req.file.originalname} (${Math.round(req.file.size / 1024)}KB)`);
             
             // Process image with async pattern
             const jobId = jobQueue.addJob(
-                (data, id) => imageProcessor.processImage(data, id),
+                'process-image',
                 req.file,
                 {
-                    priority: parseInt(req.body.priority) || 0,
+                    priority: 0,
                     maxRetries: 2,
+                    sessionId,
                     metadata: {
                         layerData: layerData,
                         originalBuffer: req.file.buffer
@@ -1000,7 +1341,7 @@ app.post('/api/sessions/:sessionId/layers', validateSessionId, upload.single('im
 });
 
 // Update layer in session
-app.put('/api/sessions/:sessionId/layers/:layerId', validateSessionId, validateLayerId, async (req, res) => {
+app.put('/api/sessions/:sessionId/layers/:layerId', validateSessionId, validateLayerId, rejectWhileProofLocked, async (req, res) => {
     try {
         const { sessionId, layerId } = req.params;
         const updates = req.body;
@@ -1028,7 +1369,7 @@ app.put('/api/sessions/:sessionId/layers/:layerId', validateSessionId, validateL
 });
 
 // Remove layer from session
-app.delete('/api/sessions/:sessionId/layers/:layerId', validateSessionId, validateLayerId, async (req, res) => {
+app.delete('/api/sessions/:sessionId/layers/:layerId', validateSessionId, validateLayerId, rejectWhileProofLocked, async (req, res) => {
     try {
         const { sessionId, layerId } = req.params;
         
@@ -1053,6 +1394,33 @@ app.delete('/api/sessions/:sessionId/layers/:layerId', validateSessionId, valida
     }
 });
 
+// Stream the session's job updates (Server-Sent Events) so clients don't have to poll
+app.get('/api/sessions/:sessionId/events', validateSessionId, async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+
+        const sessionData = await sessionManager.getSession(sessionId);
+        if (!sessionData) {
+            return res.status(404).json({
+                error: 'Session not found'
+            });
+        }
+
+        if (!jobEvents.subscribe(sessionId, req, res)) {
+            // Clients fall back to polling
+            return res.status(429).json({
+                error: 'Too many event streams for this session'
+            });
+        }
+
+    } catch (error) {
+        console.error('Error opening job event stream:', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
 // Poll job status for async layer processing
 app.get('/api/sessions/:sessionId/layers/job/:jobId', validateSessionId, async (req, res) => {
     try {
@@ -1155,8 +1523,13 @@ app.get('/api/sessions/:sessionId/layers/:layerId/image', validateSessionId, val
         
         const imageBuffer = await sessionManager.getLayerImage(sessionId, layerId);
         
-        // Set appropriate headers
-        res.setHeader('Content-Type', 'image/png');
+        // Set appropriate headers (vector logos are stored as sanitized SVG)
+        if (fileValidator.svgSanitizer.isSvg(imageBuffer)) {
+            res.setHeader('Content-Type', 'image/svg+xml');
+            setSvgSecurityHeaders(res);
+        } else {
+            res.setHeader('Content-Type', 'image/png');
+        }
         res.setHeader('Cache-Control', 'public, max-age=86400');
         
         res.send(imageBuffer);
@@ -1207,7 +1580,7 @@ app.get('/api/sessions/:sessionId/original/:layerId', validateSessionId, validat
 });
 
 // Reprocess layer from original image
-app.post('/api/sessions/:sessionId/layers/:layerId/reprocess', validateSessionId, validateLayerId, upload.single('image'), async (req, res) => {
+app.post('/api/sessions/:sessionId/layers/:layerId/reprocess', validateSessionId, validateLayerId, rejectWhileProofLocked, upload.single('image'), async (req, res) => {
     try {
         const { sessionId, layerId } = req.params;
         const { layerData, async: asyncProcessing } = req.body;
@@ -1259,11 +1632,12 @@ app.post('/api/sessions/:sessionId/layers/:layerId/reprocess', validateSessionId
         if (asyncProcessing === 'true' && imageFile.buffer && imageFile.buffer.length > IMAGE_SIZE_THRESHOLD) {
             // Async processing for large images
             const jobId = jobQueue.addJob(
-                (data, id) => imageProcessor.processImage(data, id),
+                'process-image',
                 imageFile,
                 {
-                    priority: parseInt(req.body.priority) || 0,
+                    priority: 0,
                     maxRetries: 2,
+                    sessionId,
                     metadata: {
                         layerData: parsedLayerData,
                         originalBuffer: imageFile.buffer,
@@ -1281,8 +1655,8 @@ app.post('/api/sessions/:sessionId/layers/:layerId/reprocess', validateSessionId
                 message: 'Reprocessing started'
             });
         } else {
-            // Synchronous processing
-            const processedImage = await imageProcessor.processImage(imageFile);
+            // Synchronous processing (still on a worker, the request just waits for it)
+            const processedImage = await imageWorkerPool.run({ method: 'processImage', args: [imageFile] });
 
             // Create result structure similar to layer processing
             const result = {
@@ -1339,8 +1713,9 @@ app.post('/api/sessions/:sessionId/email', validateSessionId, async (req, res) =
         
         console.log(`📧 Sending session files for session: ${sessionId}`);
         
-        // Send session files via email
-        const result = await emailService.sendSessionFiles(sessionId, session, recipient);
+        // Send session files via email, with the design's product shots inline
+        const renders = await renderStore.getLatestStills(sessionId);
+        const result = await emailService.sendSessionFiles(sessionId, session, recipient, renders);
         
         res.json({
             success: true,
@@ -1481,80 +1856,358 @@ app.post('/api/email/welcome', async (req, res) => {
     }
 });
 
-// Order Processing API Endpoints
+// Version History API Endpoints
 
-// Submit order and save XLSX to session
-app.post('/api/sessions/:sessionId/orders', validateSessionId, async (req, res) => {
+// Map version errors to HTTP responses
+function sendVersionError(res, error, fallbackMessage) {
+    if (error.message === 'Session not found' || error.message === 'Version not found') {
+        return res.status(404).json({ error: error.message });
+    }
+    console.error(`${fallbackMessage}:`, error);
+    return res.status(500).json({ error: fallbackMessage });
+}
+
+// Snapshot the current design (called after each submit)
+app.post('/api/sessions/:sessionId/versions', validateSessionId, async (req, res) => {
     try {
-        const { sessionId } = req.params;
-        const orderData = req.body;
-        
-        // Validate required fields
-        if (!orderData.customerName || !orderData.customerPhone || !orderData.players || orderData.players.length === 0) {
-            return res.status(400).json({
-                error: 'Missing required order data: customerName, customerPhone, and players'
-            });
-        }
-        
-        // Generate order number if not provided
-        if (!orderData.orderNumber) {
-            const today = new Date();
-            const dateStr = today.getFullYear().toString().slice(-2) + 
-                           (today.getMonth() + 1).toString().padStart(2, '0') + 
-                           today.getDate().toString().padStart(2, '0');
-            const randomNum = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-            orderData.orderNumber = `ORD${dateStr}${randomNum}`;
-        }
-        
-        // Save order to session
-        const result = await orderParser.saveToSession(orderData, sessionId);
-        
-        res.json({
+        const version = await sessionManager.createVersion(req.params.sessionId, {
+            label: req.body?.label,
+            source: 'submit'
+        });
+
+        res.status(201).json({
             success: true,
-            orderNumber: result.parsedData.orderNumber,
-            filename: result.filename,
-            sessionId: sessionId,
-            xlsxPath: result.xlsxPath,
-            totalPrice: result.parsedData.totalPrice,
-            summary: result.parsedData.summary,
-            message: 'Order saved successfully'
+            version: version,
+            message: `Saved version ${version.version}`
         });
-        
+
     } catch (error) {
-        console.error('Error submitting order:', error);
-        res.status(500).json({
-            error: 'Failed to submit order'
-        });
+        sendVersionError(res, error, 'Failed to create version');
     }
 });
 
-// List orders for a session
-app.get('/api/sessions/:sessionId/orders', validateSessionId, async (req, res) => {
+app.get('/api/sessions/:sessionId/versions', validateSessionId, async (req, res) => {
     try {
-        const { sessionId } = req.params;
-        const orders = await orderParser.listSessionOrders(sessionId);
-        
+        const versions = await sessionManager.listVersions(req.params.sessionId);
+
         res.json({
             success: true,
-            orders: orders,
-            count: orders.length
+            versions: versions,
+            count: versions.length
         });
-        
+
     } catch (error) {
-        console.error('Error listing orders:', error);
-        res.status(500).json({
-            error: 'Failed to list orders'
-        });
+        sendVersionError(res, error, 'Failed to list versions');
     }
 });
 
-// Download order XLSX file
-app.get('/api/sessions/:sessionId/orders/:filename', validateSessionId, validateFilename, async (req, res) => {
+app.get('/api/sessions/:sessionId/versions/:version', validateSessionId, validateVersion, async (req, res) => {
     try {
-        const { sessionId, filename } = req.params;
-        
-        // Validate filename to prevent directory traversal
-        if (!filename.endsWith('.xlsx') && !filename.endsWith('.json')) {
+        const version = await sessionManager.getVersion(req.params.sessionId, req.params.version);
+
+        res.json({
+            success: true,
+            version: version
+        });
+
+    } catch (error) {
+        sendVersionError(res, error, 'Failed to get version');
+    }
+});
+
+// Changes from :compareTo to :version
+app.get('/api/sessions/:sessionId/versions/:version/diff/:compareTo', validateSessionId, validateVersion, async (req, res) => {
+    try {
+        const { sessionId, version, compareTo } = req.params;
+        const diff = await sessionManager.diffVersions(sessionId, compareTo, version);
+
+        res.json({
+            success: true,
+            diff: diff
+        });
+
+    } catch (error) {
+        sendVersionError(res, error, 'Failed to diff versions');
+    }
+});
+
+app.post('/api/sessions/:sessionId/versions/:version/restore', validateSessionId, validateVersion, rejectWhileProofLocked, async (req, res) => {
+    try {
+        const version = await sessionManager.restoreVersion(req.params.sessionId, req.params.version);
+        const session = await sessionManager.getSession(req.params.sessionId);
+
+        res.json({
+            success: true,
+            version: version,
+            session: session,
+            message: `Restored version ${req.params.version} as version ${version.version}`
+        });
+
+    } catch (error) {
+        sendVersionError(res, error, 'Failed to restore version');
+    }
+});
+
+app.post('/api/sessions/:sessionId/versions/:version/fork', validateSessionId, validateVersion, async (req, res) => {
+    try {
+        const clientIP = req.ip || req.connection.remoteAddress || 'unknown';
+        const { sessionId, version } = await sessionManager.forkVersion(req.params.sessionId, req.params.version, clientIP);
+
+        res.status(201).json({
+            success: true,
+            sessionId: sessionId,
+            version: version,
+            url: `/${sessionId}`,
+            message: `Forked version ${req.params.version} into a new session`
+        });
+
+    } catch (error) {
+        sendVersionError(res, error, 'Failed to fork version');
+    }
+});
+
+// Proof API Endpoints
+
+// Map proof errors to HTTP responses
+function sendProofError(res, error, fallbackMessage) {
+    if (error.message === 'Session not found') {
+        return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith('Invalid comment')) {
+        return res.status(400).json({ error: error.message });
+    }
+    if (error.message.startsWith('Proof is')) {
+        return res.status(409).json({ error: error.message });
+    }
+    console.error(`${fallbackMessage}:`, error);
+    return res.status(500).json({ error: fallbackMessage });
+}
+
+// Current proof state for the customer's read-only review
+app.get('/api/sessions/:sessionId/proof', validateSessionId, async (req, res) => {
+    try {
+        const sessionData = await sessionManager.requireSession(req.params.sessionId);
+
+        res.json({
+            success: true,
+            proof: sessionManager.getPublicProof(sessionData)
+        });
+
+    } catch (error) {
+        sendProofError(res, error, 'Failed to get proof');
+    }
+});
+
+// Customer comment pinned to a UV position on the model
+app.post('/api/sessions/:sessionId/proof/comments', validateSessionId, async (req, res) => {
+    try {
+        const { comment, proof } = await sessionManager.addProofComment(req.params.sessionId, req.body || {});
+
+        res.json({
+            success: true,
+            comment: comment,
+            proof: proof,
+            message: 'Comment added'
+        });
+
+    } catch (error) {
+        sendProofError(res, error, 'Failed to add proof comment');
+    }
+});
+
+// Customer approves the locked proof
+app.post('/api/sessions/:sessionId/proof/approval', validateSessionId, async (req, res) => {
+    try {
+        const proof = await sessionManager.approveProof(req.params.sessionId, { approvedBy: req.body?.approvedBy });
+
+        res.json({
+            success: true,
+            proof: proof,
+            message: 'Proof approved'
+        });
+
+    } catch (error) {
+        sendProofError(res, error, 'Failed to approve proof');
+    }
+});
+
+// Staff lock the current design as a new proof version
+app.post('/api/admin/sessions/:sessionId/proof', requireAdmin, validateSessionId, async (req, res) => {
+    try {
+        const { lockedBy, note } = req.body || {};
+        const proof = await sessionManager.lockProof(req.params.sessionId, { lockedBy, note });
+
+        res.json({
+            success: true,
+            proof: proof,
+            url: `/${req.params.sessionId}`,
+            message: 'Proof locked'
+        });
+
+    } catch (error) {
+        sendProofError(res, error, 'Failed to lock proof');
+    }
+});
+
+// Staff unlock the session so the design can be edited again
+app.delete('/api/admin/sessions/:sessionId/proof', requireAdmin, validateSessionId, async (req, res) => {
+    try {
+        const proof = await sessionManager.unlockProof(req.params.sessionId);
+
+        res.json({
+            success: true,
+            proof: proof,
+            message: 'Proof unlocked'
+        });
+
+    } catch (error) {
+        sendProofError(res, error, 'Failed to unlock proof');
+    }
+});
+
+// Email the customer about an order status change and record the attempt in the order's audit trail
+async function notifyOrderStatus(sessionId, order) {
+    if (!order.customerEmail) {
+        return { sent: false, reason: 'No customer email on order' };
+    }
+    if (!emailService.transporter) {
+        return { sent: false, reason: 'Email service not configured' };
+    }
+
+    const entry = { channel: 'email', status: order.status, to: order.customerEmail };
+    try {
+        const renders = await renderStore.getLatestStills(sessionId);
+        await emailService.sendOrderStatusUpdate(order.customerEmail, order, emailService.getSessionUrl(sessionId), renders);
+        entry.sentAt = new Date().toISOString();
+        console.log(`📧 Order ${order.orderNumber} status email (${order.status}) sent`);
+    } catch (error) {
+        entry.failedAt = new Date().toISOString();
+        entry.error = error.message;
+        console.error(`❌ Failed to send status email for order ${order.orderNumber}:`, error);
+    }
+
+    try {
+        await orderParser.recordNotification(sessionId, order.orderNumber, entry);
+    } catch (error) {
+        console.warn(`⚠️ Could not record notification for order ${order.orderNumber}:`, error.message);
+    }
+
+    return { sent: Boolean(entry.sentAt), ...(entry.error ? { reason: entry.error } : {}) };
+}
+
+// Order Processing API Endpoints
+
+// Submit order and save XLSX to session
+app.post('/api/sessions/:sessionId/orders', validateSessionId, validateOrderPlayers, async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const orderData = req.body;
+        
+        // Validate required fields
+        if (!orderData.customerName || !orderData.customerPhone || !orderData.players || orderData.players.length === 0) {
+            return res.status(400).json({
+                error: 'Missing required order data: customerName, customerPhone, and players'
+            });
+        }
+        if (orderData.players.length > orderParser.maxPlayers) {
+            return res.status(400).json({
+                error: `Orders are limited to ${orderParser.maxPlayers} players`
+            });
+        }
+        
+        // Generate order number if not provided
+        if (!orderData.orderNumber) {
+            const today = new Date();
+            const dateStr = today.getFullYear().toString().slice(-2) + 
+                           (today.getMonth() + 1).toString().padStart(2, '0') + 
+                           today.getDate().toString().padStart(2, '0');
+            const randomNum = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+            orderData.orderNumber = `ORD${dateStr}${randomNum}`;
+        }
+        
+        // Save order to session, with the session's product shots on the 디자인 sheet
+        const renders = await renderStore.getLatestStills(sessionId);
+        const result = await orderParser.saveToSession(orderData, sessionId, { renders });
+        const notification = await notifyOrderStatus(sessionId, result.parsedData);
+        
+        res.json({
+            success: true,
+            orderNumber: result.parsedData.orderNumber,
+            status: result.parsedData.status,
+            notification: notification,
+            filename: result.filename,
+            sessionId: sessionId,
+            xlsxPath: result.xlsxPath,
+            totalPrice: result.parsedData.totalPrice,
+            pricing: result.parsedData.pricing,
+            summary: result.parsedData.summary,
+            message: 'Order saved successfully'
+        });
+        
+    } catch (error) {
+        console.error('Error submitting order:', error);
+        res.status(500).json({
+            error: 'Failed to submit order'
+        });
+    }
+});
+
+// List orders for a session
+app.get('/api/sessions/:sessionId/orders', validateSessionId, async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const orders = await orderParser.listSessionOrders(sessionId);
+        
+        res.json({
+            success: true,
+            orders: orders,
+            count: orders.length
+        });
+        
+    } catch (error) {
+        console.error('Error listing orders:', error);
+        res.status(500).json({
+            error: 'Failed to list orders'
+        });
+    }
+});
+
+// Order status and history for the customer's order tracking
+app.get('/api/sessions/:sessionId/orders/:orderNumber/status', validateSessionId, validateOrderNumber, async (req, res) => {
+    try {
+        const { sessionId, orderNumber } = req.params;
+        const order = await orderParser.getOrder(sessionId, orderNumber);
+
+        res.json({
+            success: true,
+            orderNumber: order.orderNumber,
+            status: order.status || OrderParser.STATUSES[0],
+            statusUpdatedAt: order.statusUpdatedAt || order.timestamp,
+            statusHistory: orderParser.toCustomerView(order).statusHistory || [],
+            statuses: OrderParser.STATUSES
+        });
+
+    } catch (error) {
+        console.error('Error getting order status:', error);
+        if (error.message === 'Order file not found') {
+            res.status(404).json({
+                error: 'Order not found'
+            });
+        } else {
+            res.status(500).json({
+                error: 'Failed to get order status'
+            });
+        }
+    }
+});
+
+// Download order XLSX file
+app.get('/api/sessions/:sessionId/orders/:filename', validateSessionId, validateFilename, async (req, res) => {
+    try {
+        const { sessionId, filename } = req.params;
+        
+        // Validate filename to prevent directory traversal
+        if (!filename.endsWith('.xlsx') && !filename.endsWith('.json')) {
             return res.status(400).json({
                 error: 'Invalid file type. Only .xlsx and .json files are allowed'
             });
@@ -1566,7 +2219,13 @@ app.get('/api/sessions/:sessionId/orders/:filename', validateSessionId, validate
         const isXlsx = filename.endsWith('.xlsx');
         res.setHeader('Content-Type', isXlsx ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' : 'application/json');
         res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-        
+
+        if (!isXlsx) {
+            // Order records carry the staff audit trail; only the customer view leaves the server
+            const orderData = JSON.parse(await fs.readFile(filePath, 'utf8'));
+            return res.send(JSON.stringify(orderParser.toCustomerView(orderData), null, 2));
+        }
+
         // Send file
         res.sendFile(path.resolve(filePath));
         
@@ -1605,7 +2264,7 @@ app.delete('/api/sessions/:sessionId/orders/:orderNumber', validateSessionId, va
 });
 
 // Generate and download XLSX without saving to session
-app.post('/api/orders/generate-xlsx', async (req, res) => {
+app.post('/api/orders/generate-xlsx', validateOrderPlayers, async (req, res) => {
     try {
         const orderData = req.body;
         
@@ -1615,6 +2274,11 @@ app.post('/api/orders/generate-xlsx', async (req, res) => {
                 error: 'Missing required order data: customerName, customerPhone, and players'
             });
         }
+        if (orderData.players.length > orderParser.maxPlayers) {
+            return res.status(400).json({
+                error: `Orders are limited to ${orderParser.maxPlayers} players`
+            });
+        }
         
         // Generate XLSX
         const { buffer, filename } = await orderParser.generateXLSX(orderData);
@@ -1634,6 +2298,468 @@ app.post('/api/orders/generate-xlsx', async (req, res) => {
     }
 });
 
+// Admin Dashboard API Endpoints
+
+// List orders across all sessions with search and filters
+app.get('/api/admin/orders', requireAdmin, async (req, res) => {
+    try {
+        const { q, from, to, team, customer, status } = req.query;
+
+        if (status && !OrderParser.STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: `Invalid status. Expected one of: ${OrderParser.STATUSES.join(', ')}`
+            });
+        }
+        if ([from, to].some(date => date && !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+            return res.status(400).json({
+                error: 'Invalid date filter. Use YYYY-MM-DD'
+            });
+        }
+
+        const orders = await orderParser.listAllOrders({ q, from, to, team, customer, status });
+
+        // Attach each session's proof state so staff can lock/unlock from the list
+        const proofs = new Map();
+        for (const order of orders) {
+            if (!proofs.has(order.sessionId)) {
+                proofs.set(order.sessionId, await sessionManager.getProofSummary(order.sessionId));
+            }
+            order.proof = proofs.get(order.sessionId);
+        }
+
+        res.json({
+            success: true,
+            orders: orders,
+            count: orders.length,
+            statuses: OrderParser.STATUSES
+        });
+
+    } catch (error) {
+        console.error('Error listing admin orders:', error);
+        res.status(500).json({
+            error: 'Failed to list orders'
+        });
+    }
+});
+
+// Move an order forward through received → approved → in_production → printed → shipped
+app.patch('/api/admin/orders/:sessionId/:orderNumber/status', requireAdmin, validateSessionId, validateOrderNumber, async (req, res) => {
+    try {
+        const { sessionId, orderNumber } = req.params;
+        const { status, note, changedBy } = req.body || {};
+
+        if (!OrderParser.STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: `Invalid status. Expected one of: ${OrderParser.STATUSES.join(', ')}`
+            });
+        }
+
+        const order = await orderParser.updateOrderStatus(sessionId, orderNumber, status, note, changedBy);
+        console.log(`📦 Order ${orderNumber} (${sessionId}) is now ${status}`);
+
+        const notification = await notifyOrderStatus(sessionId, order);
+
+        res.json({
+            success: true,
+            orderNumber: orderNumber,
+            status: order.status,
+            statusUpdatedAt: order.statusUpdatedAt,
+            statusHistory: order.statusHistory,
+            notification: notification,
+            message: 'Order status updated'
+        });
+
+    } catch (error) {
+        console.error('Error updating order status:', error);
+        if (error.message === 'Order file not found') {
+            res.status(404).json({
+                error: 'Order not found'
+            });
+        } else if (error.message.startsWith('Invalid status transition')) {
+            res.status(409).json({
+                error: error.message
+            });
+        } else {
+            res.status(500).json({
+                error: 'Failed to update order status'
+            });
+        }
+    }
+});
+
+// Download an order's XLSX or 3D snapshot
+app.get('/api/admin/orders/:sessionId/:orderNumber/files/:kind', requireAdmin, validateSessionId, validateOrderNumber, async (req, res) => {
+    try {
+        const { sessionId, orderNumber, kind } = req.params;
+        const files = {
+            xlsx: { filename: `주문서_${orderNumber}.xlsx`, contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+            snapshot: { filename: `주문스냅샷_${orderNumber}.png`, contentType: 'image/png' }
+        };
+
+        const file = files[kind];
+        if (!file) {
+            return res.status(400).json({
+                error: 'Invalid file kind. Expected xlsx or snapshot'
+            });
+        }
+
+        const filePath = await orderParser.getOrderFilePath(sessionId, file.filename);
+
+        res.setHeader('Content-Type', file.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(file.filename)}`);
+        res.sendFile(path.resolve(filePath));
+
+    } catch (error) {
+        console.error('Error downloading admin order file:', error);
+        if (error.message === 'Order file not found') {
+            res.status(404).json({
+                error: 'Order file not found'
+            });
+        } else {
+            res.status(500).json({
+                error: 'Failed to download order file'
+            });
+        }
+    }
+});
+
+// Print Export API Endpoints
+
+// Start a print-ready export of the current design (runs through the job queue)
+app.post('/api/sessions/:sessionId/exports', validateSessionId, async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+
+        const session = await sessionManager.getSession(sessionId);
+        if (!session) {
+            return res.status(404).json({
+                error: 'Session not found'
+            });
+        }
+
+        let request;
+        try {
+            request = printExporter.normalizeRequest(req.body.design, req.body.options);
+        } catch (validationError) {
+            return res.status(400).json({
+                error: 'Invalid export request',
+                details: validationError.message
+            });
+        }
+
+        const jobId = jobQueue.addJob(
+            'print-export',
+            { sessionId, ...request },
+            { timeoutMs: PRINT_EXPORT_TIMEOUT_MS, sessionId }
+        );
+
+        res.json({
+            success: true,
+            jobId,
+            exportId: jobId,
+            pollUrl: `/api/sessions/${sessionId}/exports/job/${jobId}`,
+            message: 'Print export started'
+        });
+
+    } catch (error) {
+        console.error('Error starting print export:', error);
+        res.status(500).json({
+            error: error.message || 'Failed to start print export'
+        });
+    }
+});
+
+// Poll a print export job
+app.get('/api/sessions/:sessionId/exports/job/:jobId', validateSessionId, (req, res) => {
+    try {
+        const { sessionId, jobId } = req.params;
+        const job = jobQueue.getSessionJob(jobId, sessionId);
+        if (!job || job.type !== 'print-export') {
+            return res.status(404).json({
+                error: 'Export job not found'
+            });
+        }
+
+        const status = jobQueue.getJobStatus(jobId);
+        res.json({
+            jobId,
+            status: status.status,
+            position: status.position,
+            export: status.status === 'completed' ? status.result : undefined,
+            error: status.status === 'failed' ? status.error?.message : undefined
+        });
+
+    } catch (error) {
+        console.error('Error getting print export status:', error);
+        res.status(500).json({
+            error: 'Failed to get print export status'
+        });
+    }
+});
+
+// List finished print exports for a session
+app.get('/api/sessions/:sessionId/exports', validateSessionId, async (req, res) => {
+    try {
+        const exports = await printExporter.listExports(req.params.sessionId);
+
+        res.json({
+            success: true,
+            exports
+        });
+
+    } catch (error) {
+        console.error('Error listing print exports:', error);
+        res.status(500).json({
+            error: 'Failed to list print exports'
+        });
+    }
+});
+
+// Download a print export file
+app.get('/api/sessions/:sessionId/exports/:exportId/:filename', validateSessionId, validateExportId, validateFilename, async (req, res) => {
+    try {
+        const { sessionId, exportId, filename } = req.params;
+
+        if (!/\.(png|tif)$/.test(filename)) {
+            return res.status(400).json({
+                error: 'Invalid file type. Only .png and .tif files are allowed'
+            });
+        }
+
+        const filePath = printExporter.getExportFilePath(sessionId, exportId, filename);
+        if (!fsSync.existsSync(filePath)) {
+            return res.status(404).json({
+                error: 'Export file not found'
+            });
+        }
+
+        res.download(filePath, filename);
+
+    } catch (error) {
+        console.error('Error downloading print export:', error);
+        res.status(500).json({
+            error: 'Failed to download print export'
+        });
+    }
+});
+
+// Product Render API Endpoints
+
+// Upload a captured still or turntable (multipart: kind, preset, format, frameDelayMs + images)
+app.post('/api/sessions/:sessionId/renders', uploadLimiter, validateSessionId, limitRenderUpload, renderUpload.array('images'), async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+
+        const session = await sessionManager.getSession(sessionId);
+        if (!session) {
+            return res.status(404).json({
+                error: 'Session not found'
+            });
+        }
+
+        let request;
+        try {
+            request = renderStore.normalizeRequest(req.body, req.files || []);
+        } catch (validationError) {
+            return res.status(400).json({
+                error: 'Invalid render upload',
+                details: validationError.message
+            });
+        }
+
+        const render = await renderStore.saveRender(sessionId, request);
+
+        res.json({
+            success: true,
+            render
+        });
+
+    } catch (error) {
+        console.error('Error saving render:', error);
+        res.status(500).json({
+            error: error.message || 'Failed to save render'
+        });
+    }
+});
+
+// List a session's renders, newest first
+app.get('/api/sessions/:sessionId/renders', validateSessionId, async (req, res) => {
+    try {
+        const renders = await renderStore.listRenders(req.params.sessionId);
+
+        res.json({
+            success: true,
+            renders
+        });
+
+    } catch (error) {
+        console.error('Error listing renders:', error);
+        res.status(500).json({
+            error: 'Failed to list renders'
+        });
+    }
+});
+
+// Serve a render file
+app.get('/api/sessions/:sessionId/renders/:renderId/:filename', validateSessionId, validateRenderId, validateFilename, async (req, res) => {
+    try {
+        const { sessionId, renderId, filename } = req.params;
+
+        if (!/\.(png|webp|gif)$/.test(filename)) {
+            return res.status(400).json({
+                error: 'Invalid file type. Only .png, .webp and .gif files are allowed'
+            });
+        }
+
+        const filePath = renderStore.getRenderFilePath(sessionId, renderId, filename);
+        if (!fsSync.existsSync(filePath)) {
+            return res.status(404).json({
+                error: 'Render file not found'
+            });
+        }
+
+        res.sendFile(filePath);
+
+    } catch (error) {
+        console.error('Error serving render:', error);
+        res.status(500).json({
+            error: 'Failed to serve render'
+        });
+    }
+});
+
+// Catalog API Endpoints
+
+// Get the product catalog (products, options, sizes, quantity breaks)
+app.get('/api/catalog', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            catalog: catalogService.getCatalog()
+        });
+    } catch (error) {
+        console.error('Error getting catalog:', error);
+        res.status(500).json({
+            error: 'Failed to get catalog'
+        });
+    }
+});
+
+// Price a set of players with the catalog rules
+app.post('/api/catalog/quote', validateOrderPlayers, (req, res) => {
+    try {
+        const { players, selectedOptions } = req.body;
+
+        if (!Array.isArray(players)) {
+            return res.status(400).json({
+                error: 'players must be an array'
+            });
+        }
+
+        res.json({
+            success: true,
+            quote: catalogService.quoteOrder(players, selectedOptions || {})
+        });
+    } catch (error) {
+        console.error('Error quoting order:', error);
+        res.status(500).json({
+            error: 'Failed to quote order'
+        });
+    }
+});
+
+// Pattern Library API Endpoints
+
+// Get the custom pattern manifest (masks, channels, default colors, display names)
+app.get('/api/patterns', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            manifest: patternLibrary.getManifest()
+        });
+    } catch (error) {
+        console.error('Error getting pattern manifest:', error);
+        res.status(500).json({
+            error: 'Failed to get pattern manifest'
+        });
+    }
+});
+
+// Ink Matching API Endpoints
+
+// Get the printable ink/Pantone reference table used for color matching
+app.get('/api/inks', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            inks: inkLibrary.getTable()
+        });
+    } catch (error) {
+        console.error('Error getting ink table:', error);
+        res.status(500).json({
+            error: 'Failed to get ink table'
+        });
+    }
+});
+
+// Roster Import API Endpoints
+
+// Download the roster template (same player columns as the order XLSX)
+app.get('/api/roster/template', (req, res) => {
+    try {
+        const buffer = rosterImporter.generateTemplate();
+
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="roster_template.xlsx"; filename*=UTF-8''${encodeURIComponent('선수명단_양식.xlsx')}`);
+        res.send(buffer);
+    } catch (error) {
+        console.error('Error generating roster template:', error);
+        res.status(500).json({
+            error: 'Failed to generate roster template'
+        });
+    }
+});
+
+// Parse an uploaded CSV/XLSX roster; `mapping` (JSON) overrides the detected columns
+app.post('/api/roster/import', rosterUpload.single('file'), (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                error: 'No roster file provided'
+            });
+        }
+
+        let mapping = {};
+        if (req.body?.mapping) {
+            try {
+                mapping = JSON.parse(req.body.mapping);
+            } catch {
+                return res.status(400).json({
+                    error: 'mapping must be a JSON object'
+                });
+            }
+        }
+
+        const result = rosterImporter.parse(req.file.buffer, req.file.originalname, mapping || {});
+        console.log(`📋 Roster import: ${result.players.length}/${result.totalRows} rows valid (${req.file.originalname})`);
+
+        res.json({
+            success: true,
+            fields: RosterImporter.FIELDS,
+            ...result
+        });
+    } catch (error) {
+        if (error.message.startsWith('Invalid roster')) {
+            return res.status(400).json({
+                error: error.message
+            });
+        }
+        console.error('Error importing roster:', error);
+        res.status(500).json({
+            error: 'Failed to import roster'
+        });
+    }
+});
 
 
 // Session URL routing - serve the main app for session URLs
@@ -1707,13 +2833,15 @@ jobQueue.on('jobFailed', (job) => {
 process.on('SIGINT', async () => {
     console.log('\\n🛑 Received SIGINT, shutting down gracefully...');
     
-    // Stop accepting new connections
+    // Stop accepting new connections (event streams would keep the server open)
+    jobEvents.close();
     server.close(() => {
         console.log('📡 HTTP server closed');
     });
     
     // Shutdown job queue
     await jobQueue.shutdown();
+    await imageWorkerPool.close();
     
     // Clean up old files
     await imageProcessor.cleanupOldFiles();
@@ -1726,6 +2854,7 @@ process.on('SIGINT', async () => {
 async function startServer() {
     try {
         await ensureDirectories();
+        await jobQueue.recover();
         
         const server = app.listen(PORT, () => {
             console.log(`🚀 Image Processing Server running on port ${PORT}`);
@@ -313,6 +313,7 @@ HTMLCanvasElement.prototype.getContext = vi.fn((contextType) => {
       transform: vi.fn(),
       setTransform: vi.fn(),
       resetTransform: vi.fn(),
+      setLineDash: vi.fn(),
       globalAlpha: 1,
       globalCompositeOperation: 'source-over',
       fillStyle: '#000000',
@@ -0,0 +1,118 @@
+import { describe, test, expect, beforeEach } from 'vitest'
+import fs from 'fs'
+import path from 'path'
+import CatalogService from '../../lib/catalogService.js'
+import { useTempDir } from '@tests/utils/temp-dir.js'
+
+const testCatalog = {
+  version: 1,
+  currency: 'KRW',
+  products: {
+    set: { name: '상하의 세트', pieces: ['top', 'bottom'], basePrice: 45000 },
+    top: { name: '상의만', pieces: ['top'], basePrice: 25000 },
+    bottom: { name: '하의만', pieces: ['bottom'], basePrice: 20000 }
+  },
+  options: {
+    sleeveTypes: [
+      { id: 'short', name: '반소매', surcharge: 0 },
+      { id: 'long', name: '긴소매', surcharge: 3000 }
+    ],
+    fabrics: [
+      { id: 'proactive', name: '프로엑티브', upchargePerPiece: 0 },
+      { id: 'coolmax', name: '쿨맥스', upchargePerPiece: 2000 }
+    ]
+  },
+  sizes: {
+    range: ['S', 'M', 'L', 'XL', 'XXL'],
+    surcharges: { XXL: 2000 }
+  },
+  quantityBreaks: [
+    { minQuantity: 3, discountPercent: 5 },
+    { minQuantity: 5, discountPercent: 10 }
+  ]
+}
+
+describe('CatalogService', () => {
+  const tempDir = useTempDir('catalog-test')
+  let catalogPath
+  let catalog
+
+  const player = (overrides = {}) => ({
+    id: 'p1',
+    type: 'set',
+    sleeveType: 'short',
+    topSize: 'M',
+    bottomSize: 'M',
+    ...overrides
+  })
+
+  beforeEach(() => {
+    catalogPath = path.join(tempDir(), 'catalog.json')
+    fs.writeFileSync(catalogPath, JSON.stringify(testCatalog))
+    catalog = new CatalogService({ catalogPath })
+  })
+
+  describe('Player pricing', () => {
+    test('should use the product base price', () => {
+      expect(catalog.calculatePlayerPrice(player({ type: 'bottom' })).unitPrice).toBe(20000)
+    })
+
+    test('should add long sleeve and XXL surcharges', () => {
+      const price = catalog.calculatePlayerPrice(player({ sleeveType: 'long', topSize: 'XXL', bottomSize: 'XXL' }))
+
+      expect(price.unitPrice).toBe(45000 + 3000 + 2000 + 2000)
+      expect(price.breakdown).toHaveLength(4)
+    })
+
+    test('should not charge top surcharges on bottoms-only orders', () => {
+      const price = catalog.calculatePlayerPrice(player({ type: 'bottom', sleeveType: 'long', topSize: 'XXL' }))
+
+      expect(price.unitPrice).toBe(20000)
+    })
+
+    test('should charge the fabric upcharge per piece, looked up by name', () => {
+      expect(catalog.calculatePlayerPrice(player(), { fabric: '쿨맥스' }).unitPrice).toBe(49000)
+      expect(catalog.calculatePlayerPrice(player({ type: 'top' }), { fabric: 'coolmax' }).unitPrice).toBe(27000)
+    })
+  })
+
+  describe('Order quotes', () => {
+    test('should apply the best quantity break', () => {
+      const players = Array.from({ length: 5 }, (_, index) => player({ id: `p${index}`, type: 'top' }))
+      const quote = catalog.quoteOrder(players)
+
+      expect(quote.subtotal).toBe(125000)
+      expect(quote.discountPercent).toBe(10)
+      expect(quote.discount).toBe(12500)
+      expect(quote.total).toBe(112500)
+    })
+
+    test('should not discount below the first break', () => {
+      const quote = catalog.quoteOrder([player(), player({ id: 'p2' })])
+
+      expect(quote.discount).toBe(0)
+      expect(quote.total).toBe(90000)
+    })
+
+    test('should reject malformed player lists', () => {
+      expect(() => catalog.quoteOrder({ length: 1 })).toThrow('players must be an array')
+      expect(() => catalog.quoteOrder([player(), null])).toThrow('players[1] must be an object')
+      expect(() => catalog.validatePlayers(['p1'])).toThrow('players[0] must be an object')
+    })
+  })
+
+  describe('Loading', () => {
+    test('should reject catalogs without products', () => {
+      fs.writeFileSync(catalogPath, JSON.stringify({ ...testCatalog, products: {} }))
+
+      expect(() => new CatalogService({ catalogPath })).toThrow('at least one product')
+    })
+
+    test('should keep the last valid catalog when the file becomes invalid', () => {
+      fs.writeFileSync(catalogPath, '{ not json')
+      fs.utimesSync(catalogPath, new Date(), new Date(Date.now() + 5000))
+
+      expect(catalog.getCatalog().products.set.basePrice).toBe(45000)
+    })
+  })
+})
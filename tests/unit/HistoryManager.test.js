@@ -0,0 +1,170 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest'
+import { HistoryManager } from '@client/HistoryManager.js'
+import { LayerManager } from '@client/LayerManager.js'
+import { mockConsole } from '@tests/utils/test-helpers.js'
+
+describe('HistoryManager', () => {
+  let history
+  let handler
+  let restoreConsole
+
+  beforeEach(() => {
+    restoreConsole = mockConsole()
+    history = new HistoryManager()
+    handler = { applyHistoryCommand: vi.fn() }
+    history.registerHandler('control', handler)
+  })
+
+  afterEach(() => {
+    restoreConsole()
+  })
+
+  describe('Recording', () => {
+    test('should push commands and clear the redo stack', () => {
+      history.record({ type: 'control.value', controlId: 'a', before: '1', after: '2' })
+      history.undo()
+      expect(history.canRedo()).toBe(true)
+
+      history.record({ type: 'control.value', controlId: 'a', before: '1', after: '3' })
+      expect(history.canRedo()).toBe(false)
+      expect(history.undoStack).toHaveLength(1)
+    })
+
+    test('should merge commands with the same mergeKey inside the window', () => {
+      history.record({ type: 'control.value', before: 1, after: 2, mergeKey: 'k' })
+      history.record({ type: 'control.value', before: 2, after: 3, mergeKey: 'k' })
+
+      expect(history.undoStack).toHaveLength(1)
+      expect(history.undoStack[0].before).toBe(1)
+      expect(history.undoStack[0].after).toBe(3)
+    })
+
+    test('should not record while suspended or applying', () => {
+      history.withoutRecording(() => {
+        history.record({ type: 'control.value', before: 1, after: 2 })
+      })
+      handler.applyHistoryCommand.mockImplementation(() => {
+        history.record({ type: 'control.value', before: 5, after: 6 })
+      })
+      history.record({ type: 'control.value', before: 2, after: 3 })
+      history.undo()
+
+      expect(history.undoStack).toHaveLength(0)
+      expect(history.redoStack).toHaveLength(1)
+    })
+
+    test('should cap the stack size', () => {
+      history = new HistoryManager({ maxEntries: 3 })
+      for (let i = 0; i < 5; i++) {
+        history.record({ type: 'control.value', before: i, after: i + 1 })
+      }
+
+      expect(history.undoStack).toHaveLength(3)
+      expect(history.undoStack[0].before).toBe(2)
+    })
+  })
+
+  describe('Groups', () => {
+    test('should undo a group as one step in reverse order', () => {
+      history.beginGroup('drag')
+      history.record({ type: 'control.value', controlId: 'a', before: 1, after: 2 })
+      history.record({ type: 'control.value', controlId: 'b', before: 1, after: 2 })
+      history.endGroup()
+
+      expect(history.undoStack).toHaveLength(1)
+      history.undo()
+
+      const appliedIds = handler.applyHistoryCommand.mock.calls.map(([command]) => command.controlId)
+      expect(appliedIds).toEqual(['b', 'a'])
+    })
+
+    test('should drop empty groups', () => {
+      history.beginGroup('noop')
+      history.endGroup()
+
+      expect(history.canUndo()).toBe(false)
+    })
+  })
+
+  describe('Persistence', () => {
+    test('should serialize layer snapshots without in-memory images', () => {
+      history.record({
+        type: 'layer.remove',
+        layer: { id: 'l1', image: { src: 'data:image/png;base64,AAAA' } },
+        index: 0
+      })
+      history.record({
+        type: 'layer.remove',
+        layer: { id: 'l2', image: { src: 'http://localhost:3030/api/sessions/s/layers/l2/image' } },
+        index: 0
+      })
+
+      const data = JSON.parse(JSON.stringify(history.serialize()))
+
+      expect(data.undo[0].layer.image).toBeUndefined()
+      expect(data.undo[0].layer.imageUrl).toBeUndefined()
+      expect(data.undo[1].layer.imageUrl).toBe('http://localhost:3030/api/sessions/s/layers/l2/image')
+    })
+
+    test('should restore stacks from serialized data', () => {
+      history.record({ type: 'control.value', controlId: 'a', before: '1', after: '2' })
+      const restored = new HistoryManager()
+      restored.load(history.serialize())
+
+      expect(restored.canUndo()).toBe(true)
+      expect(restored.undoStack[0].controlId).toBe('a')
+    })
+
+    test('should clear on invalid data', () => {
+      history.record({ type: 'control.value', before: 1, after: 2 })
+      history.load(null)
+
+      expect(history.canUndo()).toBe(false)
+    })
+  })
+
+  describe('LayerManager integration', () => {
+    let layerManager
+
+    beforeEach(() => {
+      layerManager = new LayerManager()
+      layerManager.setHistoryManager(history)
+    })
+
+    afterEach(() => {
+      layerManager.dispose()
+    })
+
+    test('should undo and redo a layer removal', () => {
+      const layer = layerManager.addTextLayer('TEAM')
+      layerManager.removeLayer(layer.id)
+      expect(layerManager.getLayers()).toHaveLength(0)
+
+      history.undo()
+      expect(layerManager.getLayer(layer.id).text).toBe('TEAM')
+
+      history.redo()
+      expect(layerManager.getLayer(layer.id)).toBeNull()
+    })
+
+    test('should restore previous transform values on undo', () => {
+      const layer = layerManager.addTextLayer('TEAM')
+      const originalPosition = { ...layer.position }
+      layerManager.updateLayer(layer.id, { position: { x: 0.9, y: 0.9 } })
+
+      history.undo()
+
+      expect(layerManager.getLayer(layer.id).position).toEqual(originalPosition)
+    })
+
+    test('should undo a layer reorder', () => {
+      const first = layerManager.addTextLayer('A')
+      const second = layerManager.addTextLayer('B')
+      layerManager.moveLayer(second.id, 'up')
+
+      history.undo()
+
+      expect(layerManager.getLayers().map(layer => layer.id)).toEqual([first.id, second.id])
+    })
+  })
+})
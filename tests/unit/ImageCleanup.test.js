@@ -0,0 +1,205 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import sharp from 'sharp'
+import ImageProcessor from '../../lib/imageProcessor.js'
+import PrintExporter from '../../lib/printExporter.js'
+import { LayerManager } from '@client/LayerManager.js'
+import { HistoryManager } from '@client/HistoryManager.js'
+import { mockConsole } from '@tests/utils/test-helpers.js'
+
+const WHITE = [255, 255, 255]
+const RED = [220, 20, 20]
+const BLUE = [20, 20, 200]
+
+// 20×20 RGB image: fill() picks the color of each pixel
+const rgbImage = (fill, size = 20) => {
+  const data = Buffer.alloc(size * size * 3)
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      data.set(fill(x, y), (y * size + x) * 3)
+    }
+  }
+  return sharp(data, { raw: { width: size, height: size, channels: 3 } }).png().toBuffer()
+}
+
+const decode = async result => {
+  const { data, info } = await sharp(Buffer.from(result.processedData, 'base64')).raw().toBuffer({ resolveWithObject: true })
+  return (x, y) => Array.from(data.subarray((y * info.width + x) * 4, (y * info.width + x) * 4 + 4))
+}
+
+describe('Logo cleanup', () => {
+  let tempDir
+  let processor
+  let restoreConsole
+
+  beforeEach(async () => {
+    restoreConsole = mockConsole()
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-cleanup-test-'))
+    processor = new ImageProcessor({ processedDir: tempDir })
+    await processor.ensureDirectoryExists()
+  })
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true })
+    restoreConsole()
+  })
+
+  const cleanup = async (buffer, options) => processor.cleanupImage({ buffer, originalname: 'crest.png', cleanup: options }, 'job-1')
+
+  test('should flood-fill a white background away and feather its edge', async () => {
+    // Red square with a white hole, one light pink edge pixel left of it
+    const buffer = await rgbImage((x, y) => {
+      if (x === 5 && y === 10) return [255, 200, 200]
+      if (x >= 9 && x <= 10 && y >= 9 && y <= 10) return WHITE
+      return x >= 6 && x <= 13 && y >= 6 && y <= 13 ? RED : WHITE
+    })
+
+    const result = await cleanup(buffer, { removeBackground: true })
+    const pixel = await decode(result)
+
+    expect(result).toMatchObject({ success: true, mimeType: 'image/png', background: '#ffffff', palette: null })
+    expect(pixel(0, 0)[3]).toBe(0)
+    expect(pixel(10, 7)).toEqual([...RED, 255])
+    // Enclosed areas are not connected to the border
+    expect(pixel(9, 9)).toEqual([...WHITE, 255])
+
+    // Half way through the feather range: half transparent, with the white taken out
+    const [r, g, b, alpha] = pixel(5, 10)
+    expect(alpha).toBeGreaterThan(100)
+    expect(alpha).toBeLessThan(160)
+    expect(r).toBe(255)
+    expect(g).toBeLessThan(170)
+    expect(b).toBe(g)
+  })
+
+  test('should leave images without a solid background alone', async () => {
+    const striped = await rgbImage(x => (x % 2 ? RED : BLUE))
+    const result = await cleanup(striped, { removeBackground: true })
+
+    expect(result.background).toBeNull()
+    expect(result.message).toBe('No solid background found')
+    expect((await decode(result))(0, 0)).toEqual([...BLUE, 255])
+
+    const transparent = await sharp({ create: { width: 8, height: 8, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } }).png().toBuffer()
+    expect((await cleanup(transparent, { removeBackground: true })).background).toBeNull()
+  })
+
+  test('should reduce a logo to a palette of its most used colors', async () => {
+    // Mostly red, a blue band and a few near-red pixels that merge into red
+    const buffer = await rgbImage((x, y) => {
+      if (y < 5) return BLUE
+      return (x + y) % 7 === 0 ? [230, 30, 25] : RED
+    })
+
+    const result = await cleanup(buffer, { colors: 2 })
+    const pixel = await decode(result)
+
+    expect(result.palette).toHaveLength(2)
+    expect(result.palette[1]).toBe('#1414c8')
+    expect(result.message).toBe('Reduced to 2 colors')
+    const [red] = result.palette
+    const hex = ([r, g, b]) => `#${[r, g, b].map(channel => channel.toString(16).padStart(2, '0')).join('')}`
+    expect(hex(pixel(7, 10))).toBe(red)
+    expect(hex(pixel(7, 7))).toBe(red)
+    expect(hex(pixel(3, 2))).toBe('#1414c8')
+
+    // Fewer colors than asked for
+    const flat = await cleanup(await rgbImage(() => RED), { colors: 4 })
+    expect(flat.palette).toEqual(['#dc1414'])
+  })
+
+  test('should validate options and palettes', () => {
+    expect(ImageProcessor.normalizeCleanupOptions({ removeBackground: 'true', tolerance: '500', colors: '' }))
+      .toEqual({ removeBackground: true, tolerance: 255, feather: 24, colors: null })
+    expect(ImageProcessor.normalizeCleanupOptions({ colors: '3' })).toMatchObject({ removeBackground: false, colors: 3 })
+    expect(() => ImageProcessor.normalizeCleanupOptions({ colors: 9 })).toThrow('colors must be between 2 and 8')
+    expect(() => ImageProcessor.normalizeCleanupOptions({})).toThrow('Nothing to do')
+
+    expect(ImageProcessor.normalizePalette([{ source: '#FF0000', color: '#00ff00' }, { source: 'red', color: '#000000' }]))
+      .toEqual([{ source: '#ff0000', color: '#00ff00' }])
+    expect(ImageProcessor.normalizePalette([])).toBeNull()
+
+    const exporter = new PrintExporter({ sessionManager: {} })
+    expect(exporter.normalizeLayer({ id: 'layer_1', type: 'logo', palette: 'nope' }).palette).toBeNull()
+  })
+
+  test('should swap palette colors for print exports', async () => {
+    const buffer = await rgbImage(x => (x < 10 ? RED : BLUE))
+    const palette = [{ source: '#dc1414', color: '#00ff00' }, { source: '#1414c8', color: '#1414c8' }]
+
+    const recolored = await ImageProcessor.recolorImage(buffer, palette)
+    const { data } = await sharp(recolored).raw().toBuffer({ resolveWithObject: true })
+    expect(Array.from(data.subarray(0, 4))).toEqual([0, 255, 0, 255])
+    expect(Array.from(data.subarray(15 * 4, 15 * 4 + 4))).toEqual([...BLUE, 255])
+
+    expect(await ImageProcessor.recolorImage(buffer, palette.slice(1))).toBe(buffer)
+    expect(await ImageProcessor.recolorImage(buffer, null)).toBe(buffer)
+  })
+
+  describe('LayerManager', () => {
+    let layerManager
+    let history
+
+    beforeEach(() => {
+      layerManager = new LayerManager()
+      history = new HistoryManager()
+      layerManager.setHistoryManager(history)
+      layerManager.initializeTexture(1000, 1000)
+    })
+
+    afterEach(() => {
+      layerManager.dispose()
+    })
+
+    test('should draw recolored palettes and cache them until the palette changes', () => {
+      const layer = layerManager.addLogoLayer({ width: 3, height: 1 }, 'Crest')
+      expect(layerManager.getRecoloredImage(layer)).toBe(layer.image)
+
+      layer.palette = [{ source: '#ff0000', color: '#ff0000' }, { source: '#0000ff', color: '#0000ff' }]
+      expect(layerManager.getRecoloredImage(layer)).toBe(layer.image)
+
+      const pixels = { data: new Uint8ClampedArray([250, 5, 0, 255, 0, 0, 255, 255, 9, 9, 9, 0]), width: 3, height: 1 }
+      const context = { drawImage: vi.fn(), getImageData: vi.fn(() => pixels), putImageData: vi.fn() }
+      HTMLCanvasElement.prototype.getContext.mockImplementationOnce(() => context)
+
+      expect(layerManager.setPaletteColor(layer.id, 0, '#00ff00')).toBe(true)
+      const recolored = layerManager.getRecoloredImage(layer)
+      expect(recolored).toBeInstanceOf(HTMLCanvasElement)
+      expect(context.putImageData).toHaveBeenCalledWith(pixels, 0, 0)
+      expect(Array.from(pixels.data)).toEqual([0, 255, 0, 255, 0, 0, 255, 255, 9, 9, 9, 0])
+      expect(layerManager.getRecoloredImage(layer)).toBe(recolored)
+
+      // One undo step per color change
+      history.undo()
+      expect(layer.palette[0].color).toBe('#ff0000')
+      expect(layerManager.getRecoloredImage(layer)).toBe(layer.image)
+      expect(layerManager.setPaletteColor(layer.id, 5, '#000000')).toBe(false)
+    })
+
+    test('should swap cleaned images on mirrored pairs and keep them out of saved history', () => {
+      const layer = layerManager.addLogoLayer({ width: 3, height: 1 }, 'Crest')
+      layer.sessionUploaded = true
+      layerManager.applyPlacementPreset(layer.id, 'right-sleeve')
+      const clone = layerManager.setLayerMirror(layer.id, true)
+
+      const cleaned = { width: 3, height: 1, src: 'data:image/png;base64,AAAA' }
+      const palette = [{ source: '#ff0000', color: '#ff0000' }]
+      layerManager.updateLayer(layer.id, { image: cleaned, assetId: 'user_2', serverImageUrl: null, palette })
+
+      expect(layer.sessionUploaded).toBe(false)
+      expect(clone).toMatchObject({ image: layer.image, assetId: 'user_2', palette })
+      expect(layerManager.toSessionData(layer).properties.palette).toEqual(palette)
+      expect(layerManager.layerFromSessionData(layerManager.toSessionData(layer)).palette).toEqual(palette)
+
+      const saved = history.serialize().undo.at(-1)
+      expect(saved.before).not.toHaveProperty('image')
+      expect(saved.after).toMatchObject({ assetId: 'user_2', palette })
+
+      history.undo()
+      expect(layer.palette).toBeUndefined()
+      expect(clone.image).toBe(layer.image)
+    })
+  })
+})
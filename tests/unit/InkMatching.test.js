@@ -0,0 +1,136 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import * as XLSX from 'xlsx'
+import InkLibrary from '../../lib/inkLibrary.js'
+import OrderParser from '../../lib/OrderParser.js'
+import { InkMatcher } from '../../lib/client/InkMatcher.js'
+import { mockConsole } from '@tests/utils/test-helpers.js'
+
+const lab = (L, a, b) => ({ L, a, b })
+
+// Reference pairs from Sharma, Wu & Dalal (2005)
+const SHARMA_PAIRS = [
+  [lab(50, 2.6772, -79.7751), lab(50, 0, -82.7485), 2.0425],
+  [lab(50, 0, 0), lab(50, -1, 2), 2.3669],
+  [lab(50, 2.49, -0.001), lab(50, -2.49, 0.0011), 7.2195],
+  [lab(50, -0.001, 2.49), lab(50, 0.0011, -2.49), 4.7461],
+  [lab(50, 2.5, 0), lab(73, 25, -18), 27.1492],
+  [lab(60.2574, -34.0099, 36.2677), lab(60.4626, -34.1751, 39.4387), 1.2644],
+  [lab(2.0776, 0.0795, -1.135), lab(0.9033, -0.0636, -0.5514), 0.9082]
+]
+
+const inkTable = {
+  version: 1,
+  name: 'Test inks',
+  maxDeltaE: 3,
+  inks: [
+    { code: 'PANTONE 186 C', name: 'Red', hex: '#c8102e' },
+    { code: 'PANTONE 281 C', name: 'Navy', hex: '#00205b' },
+    { code: 'WHITE', name: 'White', hex: '#ffffff' }
+  ]
+}
+
+describe('Ink matching', () => {
+  let tempDir
+  let restoreConsole
+
+  const writeTable = (table) => {
+    const tablePath = path.join(tempDir, 'inks.json')
+    fs.writeFileSync(tablePath, JSON.stringify(table))
+    return tablePath
+  }
+
+  beforeEach(() => {
+    restoreConsole = mockConsole()
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ink-matching-test-'))
+  })
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true })
+    restoreConsole()
+  })
+
+  test('should compute ΔE2000 like the reference data on server and client', () => {
+    SHARMA_PAIRS.forEach(([lab1, lab2, expected]) => {
+      expect(InkLibrary.deltaE2000(lab1, lab2)).toBeCloseTo(expected, 4)
+      expect(InkMatcher.deltaE2000(lab1, lab2)).toBeCloseTo(expected, 4)
+      expect(InkLibrary.deltaE2000(lab2, lab1)).toBeCloseTo(expected, 4)
+    })
+
+    expect(InkLibrary.hexToLab('#ffffff').L).toBeCloseTo(100, 3)
+    expect(InkMatcher.hexToLab('#c8102e')).toEqual(InkLibrary.hexToLab('#c8102e'))
+  })
+
+  test('should match the nearest ink and reject invalid tables', () => {
+    const library = new InkLibrary({ tablePath: writeTable(inkTable) })
+
+    expect(library.match('#C9112F')).toMatchObject({ code: 'PANTONE 186 C', hex: '#c8102e', inGamut: true })
+    const neon = library.match('#00ff00')
+    expect(neon.inGamut).toBe(false)
+    expect(neon.deltaE).toBeGreaterThan(3)
+
+    expect(() => new InkLibrary({ tablePath: writeTable({ inks: [] }) })).toThrow('at least one ink')
+    expect(() => new InkLibrary({ tablePath: writeTable({ inks: [{ code: 'A', hex: 'red' }] }) })).toThrow('#rrggbb')
+    expect(() => new InkLibrary({ tablePath: writeTable({ inks: [inkTable.inks[0], inkTable.inks[0]] }) }))
+      .toThrow('defined twice')
+    expect(() => new InkLibrary({ tablePath: writeTable({ ...inkTable, maxDeltaE: -1 }) })).toThrow('maxDeltaE')
+  })
+
+  test('should write matched ink codes into the order XLSX', async () => {
+    const parser = new OrderParser({ inkLibrary: new InkLibrary({ tablePath: writeTable(inkTable) }) })
+
+    const { buffer, parsedData } = await parser.generateXLSX({
+      orderNumber: 'ORD1',
+      customerName: 'Kim',
+      customerPhone: '010',
+      players: [{ name: 'A', number: '1', type: 'set', sleeveType: 'short' }],
+      colors: [
+        { zone: 'pattern-color-1', hex: '#C9112F' },
+        { zone: 'neck-color-1', hex: '#00ff00' },
+        { zone: 'text', label: 'TIGERS', hex: '#01215c' },
+        { zone: 'unknown-zone', hex: '#ffffff' },
+        { zone: 'pants-color-1', hex: 'red' }
+      ]
+    })
+
+    expect(parsedData.colors.map(color => color.label)).toEqual(['패턴 1', '넥 1', '텍스트: TIGERS'])
+    const rows = XLSX.utils.sheet_to_json(XLSX.read(buffer).Sheets['색상정보'], { header: 1 })
+    expect(rows[2]).toEqual(['부위', '선택 색상', '잉크 코드', '잉크 이름', '잉크 색상', 'ΔE2000', '인쇄 가능'])
+    expect(rows[3]).toEqual(expect.arrayContaining(['패턴 1', '#c9112f', 'PANTONE 186 C', '가능']))
+    expect(rows[4][6]).toBe('범위 밖')
+    expect(rows[5][2]).toBe('PANTONE 281 C')
+
+    // Orders without colors keep the original three sheets
+    const { buffer: plain } = await parser.generateXLSX({ orderNumber: 'ORD2', players: [] })
+    expect(XLSX.read(plain).SheetNames).toEqual(['주문정보', '선수정보', '주문요약'])
+  })
+
+  test('should flag out-of-gamut picks and snap them when auto-snap is on', () => {
+    document.body.innerHTML = `
+      <div class="custom-color-section"><input type="color" id="neck-color-1" value="#00ff00"></div>
+      <span id="ink-match-label"></span>
+      <button id="ink-match-snap-btn"></button>
+    `
+    const matcher = new InkMatcher()
+    matcher.setTable(inkTable)
+    const input = document.getElementById('neck-color-1')
+
+    matcher.refreshAll()
+    expect(input.classList.contains('out-of-gamut')).toBe(true)
+
+    matcher.checkInput(input)
+    expect(document.getElementById('ink-match-label').textContent).toContain('Out of print gamut')
+    expect(document.getElementById('ink-match-snap-btn').disabled).toBe(false)
+    expect(input.value).toBe('#00ff00')
+
+    matcher.snapEnabled = true
+    input.value = '#c9112f'
+    matcher.checkInput(input)
+    expect(input.value).toBe('#c8102e')
+    expect(input.classList.contains('out-of-gamut')).toBe(false)
+    expect(input.dataset.inkCode).toBe('PANTONE 186 C')
+    expect(matcher.snap('#01215c')).toBe('#00205b')
+  })
+})
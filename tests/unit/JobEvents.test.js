@@ -0,0 +1,227 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest'
+import { EventEmitter } from 'events'
+import JobQueue from '../../lib/jobQueue.js'
+import JobEvents from '../../lib/jobEvents.js'
+import { JobEventSource } from '@client/JobEventSource.js'
+import { SessionManager } from '@client/SessionManager.js'
+import { ServerApiClient } from '../../lib/serverApiClient.js'
+import { mockConsole } from '@tests/utils/test-helpers.js'
+
+class FakeEventSource {
+  static instances = []
+
+  constructor(url) {
+    this.url = url
+    this.listeners = {}
+    this.closed = false
+    FakeEventSource.instances.push(this)
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] ||= []).push(listener)
+  }
+
+  emit(type, data) {
+    this.listeners[type]?.forEach(listener => listener(data === undefined ? {} : { data: JSON.stringify(data) }))
+  }
+
+  close() {
+    this.closed = true
+  }
+}
+
+const jsonResponse = (body, ok = true) => Promise.resolve({ ok, status: ok ? 200 : 500, json: () => Promise.resolve(body) })
+
+describe('Job events', () => {
+  let restoreConsole
+
+  beforeEach(() => {
+    restoreConsole = mockConsole()
+    FakeEventSource.instances = []
+    vi.stubGlobal('EventSource', FakeEventSource)
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    restoreConsole()
+  })
+
+  describe('server stream', () => {
+    let queue
+    let hub
+
+    beforeEach(() => {
+      queue = new JobQueue({ maxConcurrentJobs: 1 })
+      hub = new JobEvents(queue)
+    })
+
+    afterEach(() => {
+      hub.close()
+      clearInterval(queue.cleanupInterval)
+    })
+
+    const subscribe = sessionId => {
+      const req = new EventEmitter()
+      const res = Object.assign(new EventEmitter(), { chunks: [], writeHead: vi.fn(), write: chunk => res.chunks.push(chunk), end: vi.fn() })
+      const subscribed = hub.subscribe(sessionId, req, res)
+      return { req, res, subscribed, events: () => res.chunks.filter(chunk => chunk.startsWith('event: job')).map(chunk => JSON.parse(chunk.split('data: ')[1])) }
+    }
+
+    test('should push queue positions, progress and results of the session\'s jobs only', async () => {
+      const finish = {}
+      queue.registerProcessor('render', (data, jobId, onProgress) => new Promise((resolve, reject) => {
+        onProgress({ percent: 50, message: 'Half way' })
+        finish[data.name] = { resolve, reject }
+      }))
+
+      const running = queue.addJob('render', { name: 'running' }, { sessionId: 'team1' })
+      const waiting = queue.addJob('render', { name: 'waiting' }, { sessionId: 'team1' })
+      queue.addJob('render', { name: 'other' }, { sessionId: 'team2' })
+
+      // Jobs already queued or running come first
+      const client = subscribe('team1')
+      expect(client.res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ 'Content-Type': 'text/event-stream' }))
+      expect(client.events()).toEqual([
+        { type: 'started', jobId: running, progress: { percent: 50, message: 'Half way' } },
+        { type: 'queued', jobId: waiting, position: 1, estimatedWaitTime: expect.any(Number) }
+      ])
+
+      // A more urgent job moves the waiting one back
+      const urgent = queue.addJob('render', { name: 'urgent' }, { priority: 1, sessionId: 'team1' })
+      expect(client.events().slice(2)).toEqual([
+        { type: 'queued', jobId: urgent, position: 1, estimatedWaitTime: expect.any(Number) },
+        { type: 'queued', jobId: waiting, position: 2, estimatedWaitTime: expect.any(Number) }
+      ])
+
+      finish.running.resolve('done')
+      await vi.waitFor(() => expect(finish.urgent).toBeDefined())
+      finish.urgent.reject(new Error('Bad image'))
+      await vi.waitFor(() => expect(finish.waiting).toBeDefined())
+
+      const types = client.events().slice(4).map(event => [event.type, event.jobId])
+      expect(types).toEqual([
+        ['completed', running],
+        ['started', urgent],
+        ['queued', waiting],
+        ['progress', urgent],
+        ['failed', urgent],
+        ['started', waiting],
+        ['progress', waiting]
+      ])
+      expect(client.events()[8].error).toBe('Bad image')
+
+      client.req.emit('close')
+      expect(hub.clients.size).toBe(0)
+    })
+
+    test('should cap the streams of a session and free a slot when one closes', () => {
+      const open = Array.from({ length: 4 }, () => subscribe('team1'))
+      expect(open.every(client => client.subscribed)).toBe(true)
+
+      const rejected = subscribe('team1')
+      expect(rejected.subscribed).toBe(false)
+      expect(rejected.res.writeHead).not.toHaveBeenCalled()
+      expect(subscribe('team2').subscribed).toBe(true)
+
+      // A response that errors or closes on its own side is dropped as well
+      open[0].res.emit('error', new Error('socket hang up'))
+      open[1].res.emit('close')
+      expect(hub.clients.get('team1').size).toBe(2)
+      expect(subscribe('team1').subscribed).toBe(true)
+    })
+  })
+
+  describe('client', () => {
+    const connect = () => {
+      const jobEvents = new JobEventSource({ serverUrl: 'http://localhost:3030' })
+      jobEvents.connect('team1')
+      const [source] = FakeEventSource.instances
+      source.emit('open')
+      return { jobEvents, source }
+    }
+
+    test('should resolve with the status fetched once the job is reported done', async () => {
+      const { jobEvents, source } = connect()
+      expect(source.url).toBe('http://localhost:3030/api/sessions/team1/events')
+      expect(jobEvents.isConnected()).toBe(true)
+
+      const fetchStatus = vi.fn()
+        .mockResolvedValueOnce({ status: 'processing' })
+        .mockResolvedValueOnce({ status: 'completed', result: 'ok' })
+      const onEvent = vi.fn()
+      const done = jobEvents.waitFor('job-1', fetchStatus, { onEvent })
+      await vi.waitFor(() => expect(fetchStatus).toHaveBeenCalledTimes(1))
+
+      source.emit('job', { type: 'queued', jobId: 'job-2', position: 1 })
+      source.emit('job', { type: 'progress', jobId: 'job-1', progress: { percent: 10 } })
+      expect(fetchStatus).toHaveBeenCalledTimes(1)
+      source.emit('job', { type: 'completed', jobId: 'job-1' })
+
+      expect(await done).toEqual({ status: 'completed', result: 'ok' })
+      expect(onEvent).toHaveBeenCalledTimes(2)
+      expect(jobEvents.waiters.size).toBe(0)
+
+      // Already finished before we listened
+      expect(await jobEvents.waitFor('job-3', async () => ({ status: 'failed' }))).toEqual({ status: 'failed' })
+    })
+
+    test('should reject waiting jobs when the stream drops so callers can poll', async () => {
+      const { jobEvents, source } = connect()
+      const done = jobEvents.waitFor('job-1', async () => ({ status: 'processing' }))
+
+      source.emit('error')
+      await expect(done).rejects.toMatchObject({ code: 'STREAM_CLOSED' })
+      expect(jobEvents.isConnected()).toBe(false)
+      await expect(jobEvents.waitFor('job-2', vi.fn())).rejects.toMatchObject({ code: 'STREAM_CLOSED' })
+
+      jobEvents.disconnect()
+      expect(source.closed).toBe(true)
+
+      vi.stubGlobal('EventSource', undefined)
+      jobEvents.connect('team1')
+      expect(FakeEventSource.instances).toHaveLength(1)
+    })
+
+    test('should wait for image jobs on the stream and poll when it drops', async () => {
+      const { jobEvents, source } = connect()
+      const client = new ServerApiClient({ serverUrl: 'http://localhost:3030', pollInterval: 5, maxPollTime: 5000, jobEvents })
+      const statuses = [{ status: 'processing' }, { status: 'completed', result: { processedData: 'AAAA', mimeType: 'image/png' } }]
+      fetch.mockImplementation(() => jsonResponse(statuses.length > 1 ? statuses.shift() : statuses[0]))
+
+      const pushed = client.waitForJob('job-1', 'crest.png')
+      await vi.waitFor(() => expect(fetch).toHaveBeenCalledTimes(1))
+      source.emit('job', { type: 'completed', jobId: 'job-1' })
+      expect((await pushed).processedImageData).toBe('data:image/png;base64,AAAA')
+      expect(fetch).toHaveBeenCalledTimes(2)
+
+      const formData = new FormData()
+      client.appendEventSession(formData)
+      expect(formData.get('sessionId')).toBe('team1')
+
+      statuses.unshift({ status: 'processing' })
+      const polled = client.waitForJob('job-2', 'crest.png')
+      await vi.waitFor(() => expect(fetch).toHaveBeenCalledTimes(3))
+      source.emit('error')
+      expect((await polled).processedImageData).toBe('data:image/png;base64,AAAA')
+    })
+
+    test('should add layers from finished layer jobs', async () => {
+      const sessionManager = new SessionManager({ serverUrl: 'http://localhost:3030' })
+      sessionManager.currentSessionId = 'team1'
+      sessionManager.sessionData = { layers: [] }
+      sessionManager.jobEvents.connect('team1')
+      FakeEventSource.instances[0].emit('open')
+
+      fetch.mockImplementationOnce(() => jsonResponse({ status: 'completed', layer: { id: 'layer_1' } }))
+      expect(await sessionManager.pollJobCompletion('job-1')).toEqual({ id: 'layer_1' })
+      expect(sessionManager.sessionData.layers).toEqual([{ id: 'layer_1' }])
+      expect(fetch).toHaveBeenCalledWith('http://localhost:3030/api/sessions/team1/layers/job/job-1')
+
+      fetch.mockImplementationOnce(() => jsonResponse({ status: 'failed', error: 'Bad image' }, false))
+      await expect(sessionManager.pollJobCompletion('job-2')).rejects.toThrow('Bad image')
+
+      sessionManager.destroy()
+      expect(FakeEventSource.instances[0].closed).toBe(true)
+    })
+  })
+})
@@ -0,0 +1,197 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import JobQueue from '../../lib/jobQueue.js'
+import { mockConsole } from '@tests/utils/test-helpers.js'
+
+describe('JobQueue', () => {
+  let tempDir
+  let queues
+  let restoreConsole
+
+  beforeEach(() => {
+    restoreConsole = mockConsole()
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-test-'))
+    queues = []
+  })
+
+  afterEach(() => {
+    // Stop timers without waiting for jobs that never finish
+    queues.forEach(queue => {
+      clearInterval(queue.cleanupInterval)
+      clearTimeout(queue.wakeTimer)
+      queue.processing.forEach(info => clearTimeout(info.timeout))
+    })
+    fs.rmSync(tempDir, { recursive: true, force: true })
+    restoreConsole()
+  })
+
+  const createQueue = (options = {}) => {
+    const queue = new JobQueue({ maxConcurrentJobs: 1, storeDir: tempDir, retryDelayMs: 20, ...options })
+    queues.push(queue)
+    return queue
+  }
+
+  const settled = (queue, jobId) => new Promise(resolve => {
+    const onDone = job => job.id === jobId && resolve(queue.getJobStatus(jobId))
+    queue.on('jobCompleted', onDone)
+    queue.on('jobFailed', onDone)
+  })
+
+  const storedJob = jobId => JSON.parse(fs.readFileSync(path.join(tempDir, `${jobId}.json`), 'utf8'))
+
+  test('should run higher priorities first and keep order within a priority', async () => {
+    const queue = createQueue({ storeDir: null })
+    const order = []
+    let release
+    queue.registerProcessor('record', async data => {
+      order.push(data.name)
+      if (data.name === 'blocker') await new Promise(resolve => { release = resolve })
+      return data.name
+    })
+
+    queue.addJob('record', { name: 'blocker' })
+    queue.addJob('record', { name: 'batch' }, { priority: -1 })
+    queue.addJob('record', { name: 'first' })
+    const last = queue.addJob('record', { name: 'second' })
+    queue.addJob('record', { name: 'urgent' }, { priority: '2' })
+
+    expect(queue.getJobStatus(last)).toMatchObject({ status: 'queued', position: 3 })
+    const done = settled(queue, queue.queue.at(-1).id)
+    release()
+    await done
+
+    expect(order).toEqual(['blocker', 'urgent', 'first', 'second', 'batch'])
+    expect(() => queue.addJob('missing', {})).toThrow('Unknown job type: missing')
+  })
+
+  test('should retry with exponential backoff without holding a slot', async () => {
+    const queue = createQueue({ retryDelayMs: 100 })
+    const attempts = []
+    queue.registerProcessor('flaky', async () => {
+      attempts.push(Date.now())
+      if (attempts.length < 3) throw new Error('Temporary failure')
+      return { ok: true }
+    })
+    queue.registerProcessor('quick', async () => 'done')
+
+    const jobId = queue.addJob('flaky', {}, { maxRetries: 2 })
+    const done = settled(queue, jobId)
+    await new Promise(resolve => setTimeout(resolve))
+
+    // Waiting for the retry: other work can run meanwhile
+    expect(queue.getJobStatus(jobId).status).toBe('queued')
+    await queue.store.flush()
+    expect(storedJob(jobId)).toMatchObject({ status: 'retrying', options: { retryCount: 1 } })
+    const quick = queue.addJob('quick', {})
+    expect(queue.getJobStatus(quick).status).toBe('processing')
+
+    expect(await done).toMatchObject({ status: 'completed', result: { ok: true }, options: { retryCount: 2 } })
+    expect(attempts[1] - attempts[0]).toBeGreaterThanOrEqual(90)
+    expect(attempts[2] - attempts[1]).toBeGreaterThanOrEqual(190)
+
+    attempts.length = 0
+    const failing = queue.addJob('flaky', {}, { maxRetries: 0 })
+    expect(await settled(queue, failing)).toMatchObject({ status: 'failed', error: { message: 'Temporary failure' } })
+  })
+
+  test('should pick up persisted jobs after a restart', async () => {
+    const before = createQueue()
+    before.registerProcessor('process-image', () => new Promise(() => {}))
+    before.registerProcessor('echo', async data => ({ size: data.buffer.length }))
+
+    const finished = before.addJob('echo', { buffer: Buffer.from('abc') })
+    await settled(before, finished)
+    const upload = Buffer.from([1, 2, 3])
+    const running = before.addJob('process-image', { buffer: upload, originalname: 'crest.png' }, {
+      priority: 1,
+      metadata: { originalBuffer: upload }
+    })
+    const waiting = before.addJob('process-image', { buffer: Buffer.from([4]) })
+    // Jobs added with a plain function can't run again and are not stored
+    before.addJob(async () => 'inline', {})
+    await before.store.flush()
+
+    expect(before.getJobStatus(running).status).toBe('processing')
+    expect(fs.readdirSync(tempDir).filter(file => file.endsWith('.json'))).toHaveLength(3)
+    // Uploads are written once next to the record, which only names the file
+    expect(fs.readdirSync(tempDir).filter(file => file.startsWith(running))).toEqual([`${running}.0.bin`, `${running}.json`])
+    expect(storedJob(running)).toMatchObject({
+      data: { buffer: { $file: `${running}.0.bin` } },
+      options: { metadata: { originalBuffer: { $file: `${running}.0.bin` } } }
+    })
+
+    const after = createQueue()
+    const received = []
+    after.registerProcessor('process-image', async (data, jobId) => {
+      received.push({ jobId, data })
+      return { processedData: data.buffer.toString('base64') }
+    })
+
+    const done = settled(after, waiting)
+    expect(await after.recover()).toBe(2)
+    await done
+
+    expect(received.map(item => item.jobId)).toEqual([running, waiting])
+    expect(received[0].data).toEqual({ buffer: Buffer.from([1, 2, 3]), originalname: 'crest.png' })
+    expect(after.getJobStatus(running)).toMatchObject({
+      status: 'completed',
+      result: { processedData: 'AQID' },
+      options: { priority: 1, metadata: { originalBuffer: Buffer.from([1, 2, 3]) } }
+    })
+    // Finished before the restart and not registered here: still pollable
+    expect(after.getJobStatus(finished)).toMatchObject({ status: 'completed', result: { size: 3 } })
+    await after.store.flush()
+    expect(storedJob(waiting).status).toBe('completed')
+    expect(fs.readdirSync(tempDir).filter(file => file.startsWith(running))).toEqual([`${running}.0.bin`, `${running}.json`])
+
+    after.store.remove(running)
+    await after.store.flush()
+    expect(fs.readdirSync(tempDir).some(file => file.startsWith(running))).toBe(false)
+  })
+
+  test('should fail jobs that keep getting interrupted or have no processor', async () => {
+    const before = createQueue({ maxConcurrentJobs: 2 })
+    before.registerProcessor('hang', () => new Promise(() => {}))
+    before.registerProcessor('gone', () => new Promise(() => {}))
+    const hanging = before.addJob('hang', {})
+    const orphan = before.addJob('gone', {})
+    await before.store.flush()
+
+    // Each restart while it runs counts against maxRecoveries
+    let queue
+    for (let restart = 0; restart < 2; restart++) {
+      queue = createQueue({ maxConcurrentJobs: 2, maxRecoveries: 1 })
+      queue.registerProcessor('hang', () => new Promise(() => {}))
+      await queue.recover()
+      await queue.store.flush()
+    }
+
+    expect(queue.getJobStatus(hanging)).toMatchObject({ status: 'failed', error: { message: 'Job was interrupted by 2 restarts' } })
+    expect(queue.getJobStatus(orphan)).toMatchObject({ status: 'failed', error: { message: 'Unknown job type: gone' } })
+
+    // Expired jobs are removed from disk
+    queue.failed.get(orphan).expiresAt = 0
+    queue.cleanup()
+    await queue.store.flush()
+    expect(fs.existsSync(path.join(tempDir, `${orphan}.json`))).toBe(false)
+    expect(fs.existsSync(path.join(tempDir, `${hanging}.json`))).toBe(true)
+  })
+
+  test('should only hand a job to the session it was added for', async () => {
+    const queue = createQueue({ storeDir: null })
+    queue.registerProcessor('print-export', async data => ({ files: [`/api/sessions/${data.sessionId}/exports/x/front.png`] }))
+
+    const blocked = queue.addJob('print-export', { sessionId: 'session-a' }, { sessionId: 'session-a' })
+    const queued = queue.addJob('print-export', { sessionId: 'session-a' }, { sessionId: 'session-a' })
+    expect(queue.getSessionJob(queued, 'session-a')).toMatchObject({ id: queued, type: 'print-export' })
+    expect(queue.getSessionJob(queued, 'session-b')).toBeNull()
+
+    await settled(queue, queued)
+    expect(queue.getSessionJob(blocked, 'session-a')).toMatchObject({ status: 'completed' })
+    expect(queue.getSessionJob(blocked, 'session-b')).toBeNull()
+    expect(queue.getSessionJob(blocked, undefined)).toBeNull()
+    expect(queue.getSessionJob('missing', 'session-a')).toBeNull()
+  })
+})
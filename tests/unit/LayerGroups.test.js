@@ -0,0 +1,229 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest'
+import { LayerManager } from '@client/LayerManager.js'
+import { HistoryManager } from '@client/HistoryManager.js'
+import { InteractionManager } from '@client/InteractionManager.js'
+import { TransformGizmo } from '@client/TransformGizmo.js'
+import { mockConsole } from '@tests/utils/test-helpers.js'
+
+describe('Layer groups and arranging', () => {
+  let layerManager
+  let history
+  let restoreConsole
+
+  beforeEach(() => {
+    restoreConsole = mockConsole()
+    layerManager = new LayerManager()
+    history = new HistoryManager()
+    layerManager.setHistoryManager(history)
+    layerManager.initializeTexture(1000, 1000)
+  })
+
+  afterEach(() => {
+    layerManager.dispose()
+    restoreConsole()
+  })
+
+  // 100×50 px logos (0.1 × 0.05 in UV units) at the given centers
+  const addLogos = (...positions) => positions.map((position, index) => {
+    const layer = layerManager.addLogoLayer({ width: 100, height: 50 }, `Logo ${index + 1}`)
+    layerManager.updateLayer(layer.id, { position })
+    return layer
+  })
+  const ids = layers => layers.map(layer => layer.id)
+
+  test('should extend the selection with Ctrl-click and Shift-click', () => {
+    const [a, b, c, d] = addLogos({ x: 0.1, y: 0.1 }, { x: 0.2, y: 0.2 }, { x: 0.3, y: 0.3 }, { x: 0.4, y: 0.4 })
+
+    layerManager.selectLayer(b.id)
+    layerManager.selectLayer(d.id, 'toggle')
+    expect(layerManager.getSelectedLayers()).toEqual([b, d])
+    expect(layerManager.getSelectedLayer()).toBe(d)
+
+    layerManager.selectLayer(d.id, 'toggle')
+    expect(layerManager.getSelectedLayers()).toEqual([b])
+    expect(layerManager.getSelectedLayer()).toBe(b)
+
+    layerManager.selectLayer(d.id, 'range')
+    expect(layerManager.getSelectedLayers()).toEqual([b, c, d])
+
+    layerManager.removeLayer(c.id)
+    expect(layerManager.getSelectedLayers()).toEqual([b, d])
+
+    layerManager.selectLayer(a.id)
+    expect(layerManager.getSelectedLayers()).toEqual([a])
+    layerManager.selectLayer(null)
+    expect(layerManager.getSelectedLayers()).toEqual([])
+  })
+
+  test('should group layers next to each other and undo it in one step', () => {
+    const [a, b, c] = addLogos({ x: 0.1, y: 0.1 }, { x: 0.2, y: 0.2 }, { x: 0.3, y: 0.3 })
+
+    const group = layerManager.groupLayers([a.id, c.id], 'Sponsors')
+    expect(group).toMatchObject({ name: 'Sponsors' })
+    expect(ids(layerManager.getLayers())).toEqual(ids([b, a, c]))
+    expect(layerManager.getGroupMembers(group.id)).toEqual([a, c])
+    expect(layerManager.getGroups()).toEqual([group])
+
+    layerManager.selectGroup(group.id, a.id)
+    expect(layerManager.getSelectedLayers()).toEqual([a, c])
+    expect(layerManager.getSelectedLayer()).toBe(a)
+
+    history.undo()
+    expect(ids(layerManager.getLayers())).toEqual(ids([a, b, c]))
+    expect(a.group).toBeUndefined()
+
+    history.redo()
+    expect(layerManager.getGroupMembers(group.id)).toHaveLength(2)
+    expect(layerManager.ungroupLayers(group.id)).toBe(true)
+    expect(layerManager.getGroups()).toEqual([])
+    expect(layerManager.groupLayers([a.id])).toBeNull()
+  })
+
+  test('should align to the selection bounds or a single layer to its garment piece', () => {
+    const [a, b] = addLogos({ x: 0.1, y: 0.1 }, { x: 0.2, y: 0.3 })
+
+    layerManager.alignLayers(ids([a, b]), 'left')
+    expect(b.position.x).toBeCloseTo(0.1)
+
+    layerManager.alignLayers(ids([a, b]), 'bottom')
+    expect(a.position.y).toBeCloseTo(0.3)
+    expect(b.position.y).toBeCloseTo(0.3)
+
+    // One undo step per alignment
+    history.undo()
+    expect(a.position.y).toBeCloseTo(0.1)
+
+    const front = layerManager.uvIslands.getIsland('front')
+    layerManager.alignLayers([a.id], 'center')
+    expect(a.position.x).toBeCloseTo((front.bounds.left + front.bounds.right) / 2)
+    layerManager.alignLayers([a.id], 'top')
+    expect(a.position.y).toBeCloseTo(front.bounds.top + 0.025)
+
+    // Off the garment there is nothing to align a single layer to
+    layerManager.updateLayer(b.id, { position: { x: 0.99, y: 0.99 } })
+    expect(layerManager.alignLayers([b.id], 'left')).toBe(false)
+    expect(layerManager.alignLayers(ids([a, b]), 'diagonal')).toBe(false)
+  })
+
+  test('should distribute boxes with equal gaps', () => {
+    const [a, b, c] = addLogos({ x: 0.1, y: 0.5 }, { x: 0.15, y: 0.6 }, { x: 0.5, y: 0.7 })
+    layerManager.updateLayer(c.id, { scale: 2 })
+
+    expect(layerManager.distributeLayers(ids([a, b, c]), 'x')).toBe(true)
+    // Boxes span 0.05 to 0.6: 0.1 + 0.1 + 0.2 wide leaves two gaps of 0.075
+    expect(a.position.x).toBeCloseTo(0.1)
+    expect(b.position.x).toBeCloseTo(0.275)
+    expect(c.position.x).toBeCloseTo(0.5)
+    expect(b.position.y).toBe(0.6)
+
+    expect(layerManager.distributeLayers(ids([a, b]), 'x')).toBe(false)
+  })
+
+  test('should duplicate layers with new groups and mirror links', () => {
+    const [a, b, c] = addLogos({ x: 0.1, y: 0.1 }, { x: 0.2, y: 0.2 }, { x: 0.6, y: 0.7 })
+    const group = layerManager.groupLayers(ids([a, b]), 'Crest')
+    layerManager.anchorLayer(c.id, 'arms')
+    const clone = layerManager.setLayerMirror(c.id, true)
+
+    const copies = layerManager.duplicateLayers(ids([a, b]))
+    expect(copies.map(copy => copy.name)).toEqual(['Logo 1 copy', 'Logo 2 copy'])
+    expect(ids(layerManager.getLayers()).slice(0, 4)).toEqual([a.id, b.id, ...ids(copies)])
+    expect(copies[0].position).toEqual({ x: expect.closeTo(0.12), y: expect.closeTo(0.12) })
+    expect(copies[0].group).toMatchObject({ name: 'Crest' })
+    expect(copies[0].group.id).not.toBe(group.id)
+    expect(copies[1].group).toBe(copies[0].group)
+    expect(layerManager.getSelectedLayers()).toEqual(copies)
+
+    // Part of a group stays in it
+    const [single] = layerManager.duplicateLayers([a.id])
+    expect(single.group.id).toBe(group.id)
+
+    // A mirrored pair copied together stays linked; a lone copy is independent
+    const [source, mirrored] = layerManager.duplicateLayers(ids([c, clone]))
+    expect(source.mirror).toEqual({ linkedId: mirrored.id, isClone: false })
+    expect(mirrored.mirror).toEqual({ linkedId: source.id, isClone: true })
+    expect(source.anchor).toMatchObject({ piece: 'arms' })
+    expect(layerManager.duplicateLayers([clone.id])[0].mirror).toBeNull()
+
+    const count = layerManager.getLayers().length
+    history.undo()
+    expect(layerManager.getLayers()).toHaveLength(count - 1)
+  })
+
+  test('should copy layers to another session through clipboard text', () => {
+    const toDataURL = vi.spyOn(HTMLCanvasElement.prototype, 'toDataURL').mockReturnValue('data:image/png;base64,AAAA')
+    const [logo] = addLogos({ x: 0.3, y: 0.3 })
+    layerManager.updateLayer(logo.id, { color: '#ff0000', scale: 1.5 })
+    const text = layerManager.addTextLayer('ACES', 'Arial', 40, '#00ff00')
+    layerManager.groupLayers(ids([logo, text]), 'Team')
+
+    const clipboard = layerManager.copyLayers(ids([logo, text]))
+    toDataURL.mockRestore()
+
+    const other = new LayerManager()
+    other.initializeTexture(1000, 1000)
+    const pasted = other.pasteLayers(clipboard)
+    expect(pasted).toHaveLength(2)
+    expect(pasted[0]).toMatchObject({ type: 'logo', color: '#ff0000', scale: 1.5, position: { x: 0.3, y: 0.3 }, imageUrl: 'data:image/png;base64,AAAA' })
+    expect(pasted[1]).toMatchObject({ type: 'text', text: 'ACES', color: '#00ff00', fontSize: 40 })
+    expect(pasted[0].id).not.toBe(logo.id)
+    expect(pasted[0].group.id).not.toBe(logo.group.id)
+    expect(pasted[1].group).toBe(pasted[0].group)
+    other.dispose()
+
+    // Pasting back into the same design offsets the copy
+    const [again] = layerManager.pasteLayers(clipboard)
+    expect(again.position).toEqual({ x: expect.closeTo(0.32), y: expect.closeTo(0.32) })
+
+    expect(layerManager.pasteLayers('hello')).toEqual([])
+    expect(layerManager.pasteLayers(JSON.stringify({ layers: [] }))).toEqual([])
+  })
+
+  test('should keep groups through session data', () => {
+    const [a, b] = addLogos({ x: 0.1, y: 0.1 }, { x: 0.2, y: 0.2 })
+    const group = layerManager.groupLayers(ids([a, b]), 'Sponsors')
+    layerManager.updateLayer(a.id, { color: '#123456' })
+
+    const sessionData = layerManager.getLayerSessionData()
+    expect(sessionData[0].properties).toMatchObject({ x: 0.1, y: 0.1, group, color: '#123456' })
+
+    const restored = new LayerManager()
+    const layers = sessionData.map(data => restored.createLayerFromSessionData(data))
+    expect(restored.getGroups()).toEqual([group])
+    expect(restored.getGroupMembers(group.id)).toEqual(layers)
+    expect(layers[0]).toMatchObject({ position: { x: 0.1, y: 0.1 }, color: '#123456' })
+    restored.dispose()
+  })
+
+  test('should move, scale and turn the rest of the selection with the dragged layer', () => {
+    expect(TransformGizmo.transformAround({ position: { x: 0.6, y: 0.5 }, scale: 1, rotation: 10 }, { x: 0.5, y: 0.5 }, 2, 90))
+      .toEqual({ position: { x: 0.5, y: expect.closeTo(0.7) }, scale: 2, rotation: 100 })
+
+    const [a, b] = addLogos({ x: 0.4, y: 0.4 }, { x: 0.6, y: 0.5 })
+    layerManager.groupLayers(ids([a, b]))
+    const uvs = []
+    const sceneManager = {
+      renderer: { domElement: document.createElement('canvas') },
+      getIntersection: () => ({ uv: uvs.shift() }),
+      setControlsEnabled: vi.fn(),
+      requestRender: vi.fn()
+    }
+    const interaction = new InteractionManager(sceneManager, layerManager)
+    interaction.moveLayerEnabled = true
+    interaction.snapEnabled = false
+
+    // Clicking one member selects and drags the whole group
+    uvs.push({ x: 0.4, y: 0.4 }, { x: 0.45, y: 0.3 })
+    interaction.handlePointerDown({ x: 0, y: 0 })
+    expect(layerManager.getSelectedLayers()).toEqual([a, b])
+    expect(layerManager.getSelectedLayer()).toBe(a)
+    interaction.handlePointerMove({ x: 0, y: 0 })
+    interaction.endDrag()
+    expect(b.position.x).toBeCloseTo(0.65)
+    expect(b.position.y).toBeCloseTo(0.4)
+
+    history.undo()
+    expect(a.position).toEqual({ x: 0.4, y: 0.4 })
+    expect(b.position).toEqual({ x: 0.6, y: 0.5 })
+  })
+})
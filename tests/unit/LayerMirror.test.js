@@ -0,0 +1,134 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest'
+import { UvIslands } from '@client/UvIslands.js'
+import { LayerManager } from '@client/LayerManager.js'
+import { HistoryManager } from '@client/HistoryManager.js'
+import { mockConsole } from '@tests/utils/test-helpers.js'
+
+describe('Mirrored layers', () => {
+  let layerManager
+  let history
+  let restoreConsole
+
+  beforeEach(() => {
+    restoreConsole = mockConsole()
+    layerManager = new LayerManager()
+    history = new HistoryManager()
+    layerManager.setHistoryManager(history)
+    layerManager.initializeTexture(1000, 1000)
+  })
+
+  afterEach(() => {
+    layerManager.dispose()
+    restoreConsole()
+  })
+
+  const addSleevePatch = () => {
+    const layer = layerManager.addLogoLayer({ width: 100, height: 50 }, 'Patch')
+    layerManager.applyPlacementPreset(layer.id, 'right-sleeve')
+    layerManager.updateLayer(layer.id, { rotation: 30 })
+    return layer
+  }
+
+  test('should mirror anchors onto the paired island or the other side of a single one', () => {
+    const islands = UvIslands.fromRegions()
+
+    expect(islands.getMirrorAnchor({ piece: 'arms', island: 0, x: 0.2, y: 0.6 })).toEqual({ piece: 'arms', island: 1, x: 0.8, y: 0.6 })
+    expect(islands.getMirrorAnchor({ piece: 'arms', island: -1, x: 0.5, y: 0.6 })).toMatchObject({ island: 0 })
+    expect(islands.getMirrorAnchor({ piece: 'front', island: 0, x: 0.7, y: 0.32 })).toEqual({ piece: 'front', island: 0, x: 0.3, y: 0.32 })
+    expect(new UvIslands().getMirrorAnchor({ piece: 'arms', island: 0, x: 0.5, y: 0.5 })).toBeNull()
+  })
+
+  test('should add a linked clone on the other sleeve as one undo step', () => {
+    const layer = addSleevePatch()
+    const clone = layerManager.setLayerMirror(layer.id, true)
+
+    expect(layerManager.getLayers()).toEqual([layer, clone])
+    expect(clone).toMatchObject({
+      name: 'Patch (mirror)',
+      anchor: { piece: 'arms', island: 1, y: layer.anchor.y },
+      rotation: 330,
+      scale: layer.scale,
+      mirror: { linkedId: layer.id, isClone: true }
+    })
+    expect(clone.position).toEqual(layerManager.uvIslands.fromAnchor(clone.anchor))
+    expect(layer.mirror).toEqual({ linkedId: clone.id, isClone: false })
+
+    // Enabling again keeps the existing clone
+    expect(layerManager.setLayerMirror(layer.id, true)).toBe(clone)
+
+    history.undo()
+    expect(layerManager.getLayers()).toEqual([layer])
+    expect(layer.mirror).toBeFalsy()
+
+    history.redo()
+    expect(layerManager.getLayers().map(item => item.id)).toEqual([layer.id, clone.id])
+    expect(layer.mirror).toEqual({ linkedId: clone.id, isClone: false })
+  })
+
+  test('should keep transforms, color and visibility in sync both ways', () => {
+    const layer = addSleevePatch()
+    const clone = layerManager.setLayerMirror(layer.id, true)
+    const sleeve = layerManager.uvIslands.getIsland('arms', 0)
+
+    layerManager.updateLayer(layer.id, { position: { x: sleeve.bounds.left + 0.05, y: 0.7 }, scale: 1.5, color: '#ff0000' })
+    expect(clone.anchor.x).toBeCloseTo(1 - layer.anchor.x)
+    expect(clone).toMatchObject({ scale: 1.5, color: '#ff0000' })
+
+    layerManager.setLayerVisibility(clone.id, false)
+    expect(layer.visible).toBe(false)
+    layerManager.updateLayer(clone.id, { rotation: 90 })
+    expect(layer.rotation).toBe(270)
+
+    // The partner is derived, so undoing an edit brings it back too
+    history.undo()
+    expect(layer.rotation).toBe(30)
+    expect(clone.rotation).toBe(330)
+    history.undo()
+    expect(clone.visible).toBe(true)
+    expect(layer.visible).toBe(true)
+  })
+
+  test('should delete clones with their source and unlink the source when a clone is deleted', () => {
+    const layer = addSleevePatch()
+    const clone = layerManager.setLayerMirror(layer.id, true)
+
+    layerManager.removeLayer(layer.id)
+    expect(layerManager.getLayers()).toEqual([])
+
+    history.undo()
+    const [source, restoredClone] = layerManager.getLayers()
+    expect([source.id, restoredClone.id]).toEqual([layer.id, clone.id])
+    expect(layerManager.getMirrorPartner(source)).toBe(restoredClone)
+
+    layerManager.removeLayer(restoredClone.id)
+    expect(layerManager.getLayers()).toEqual([source])
+    expect(source.mirror).toBeNull()
+    history.undo()
+    expect(layerManager.getMirrorPartner(source).id).toBe(clone.id)
+
+    // Turning symmetry off from the source removes the clone
+    expect(layerManager.setLayerMirror(source.id, false)).toBeNull()
+    expect(layerManager.getLayers()).toEqual([source])
+  })
+
+  test('should only mirror layers on a garment piece and restore links from session data', () => {
+    const layer = layerManager.addLogoLayer({ width: 100, height: 50 }, 'Free')
+    layerManager.updateLayer(layer.id, { position: { x: 0.99, y: 0.99 } })
+    expect(layerManager.setLayerMirror(layer.id, true)).toBeNull()
+
+    // A free layer on a piece is anchored first
+    layerManager.updateLayer(layer.id, { position: { x: 0.2, y: 0.2 } })
+    const clone = layerManager.setLayerMirror(layer.id, true)
+    expect(layer.anchor).toMatchObject({ piece: 'front', island: 0 })
+    expect(clone.position.x).toBeCloseTo(0.006 + (1 - layer.anchor.x) * 0.28, 3)
+
+    const restored = layerManager.createLayerFromSessionData({
+      id: clone.id,
+      type: 'logo',
+      name: clone.name,
+      visible: true,
+      properties: { x: clone.position.x, y: clone.position.y, anchor: clone.anchor, mirror: clone.mirror }
+    })
+    expect(restored.mirror).toEqual({ linkedId: layer.id, isClone: true })
+  })
+})
@@ -0,0 +1,84 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import sharp from 'sharp'
+import OrderParser from '../../lib/OrderParser.js'
+import { mockConsole, createMockOrder } from '@tests/utils/test-helpers.js'
+
+describe('OrderParser admin features', () => {
+  let tempDir
+  let parser
+  let restoreConsole
+
+  beforeEach(() => {
+    restoreConsole = mockConsole()
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'order-admin-test-'))
+    parser = new OrderParser({ sessionsDir: tempDir })
+  })
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true })
+    restoreConsole()
+  })
+
+  test('should start new orders as received', async () => {
+    const { parsedData } = await parser.saveToSession(createMockOrder(), 'session-a')
+
+    expect(parsedData.status).toBe('received')
+    expect(parsedData.statusHistory).toHaveLength(1)
+  })
+
+  test('should list orders from every session, newest first', async () => {
+    await parser.saveToSession(createMockOrder(), 'session-a')
+    await parser.saveToSession(createMockOrder({ orderNumber: 'ORD251019002', teamName: '부산 유나이티드', timestamp: '2025-10-19T09:00:00.000Z' }), 'session-b')
+    fs.writeFileSync(path.join(tempDir, 'stray-file.txt'), 'not a session')
+
+    const orders = await parser.listAllOrders()
+
+    expect(orders.map(o => o.orderNumber)).toEqual(['ORD251019002', 'ORD251018001'])
+    expect(orders[0]).toMatchObject({ sessionId: 'session-b', status: 'received', xlsxFile: '주문서_ORD251019002.xlsx', snapshotFile: null })
+  })
+
+  test('should filter by search term, team, customer, status and date', () => {
+    const orders = [
+      { orderNumber: 'A1', customerName: '김민수', customerPhone: '010-1111-2222', teamName: 'FC 서울', sessionId: 's1', status: 'received', timestamp: '2025-10-01T10:00:00' },
+      { orderNumber: 'B2', customerName: '이영희', customerPhone: '010-3333-4444', teamName: 'Busan United', sessionId: 's2', status: 'shipped', timestamp: '2025-10-15T10:00:00' }
+    ]
+
+    expect(parser.filterOrders(orders, { q: 'b2' }).map(o => o.orderNumber)).toEqual(['B2'])
+    expect(parser.filterOrders(orders, { team: 'busan' }).map(o => o.orderNumber)).toEqual(['B2'])
+    expect(parser.filterOrders(orders, { customer: '1111' }).map(o => o.orderNumber)).toEqual(['A1'])
+    expect(parser.filterOrders(orders, { status: 'shipped' }).map(o => o.orderNumber)).toEqual(['B2'])
+    expect(parser.filterOrders(orders, { from: '2025-10-01', to: '2025-10-01' }).map(o => o.orderNumber)).toEqual(['A1'])
+  })
+
+  test('should record status changes and reject unknown statuses', async () => {
+    await parser.saveToSession(createMockOrder(), 'session-a')
+
+    const updated = await parser.updateOrderStatus('session-a', 'ORD251018001', 'in_production', '원단 입고')
+    expect(updated.status).toBe('in_production')
+    expect(updated.statusHistory.map(entry => entry.status)).toEqual(['received', 'in_production'])
+    expect(updated.statusHistory[1].note).toBe('원단 입고')
+
+    const [listed] = await parser.listSessionOrders('session-a')
+    expect(listed.status).toBe('in_production')
+
+    await expect(parser.updateOrderStatus('session-a', 'ORD251018001', 'lost')).rejects.toThrow('Invalid order status')
+    await expect(parser.updateOrderStatus('session-a', 'ORD000', 'shipped')).rejects.toThrow('Order file not found')
+  })
+
+  test('should save a PNG snapshot and ignore anything else', async () => {
+    const png = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#ff0000' } }).png().toBuffer()
+
+    const saved = await parser.saveToSession(createMockOrder({ snapshot: `data:image/png;base64,${png.toString('base64')}` }), 'session-a')
+    expect(fs.readFileSync(saved.snapshotPath).equals(png)).toBe(true)
+    expect(fs.readFileSync(saved.jsonPath, 'utf8')).not.toContain('base64')
+
+    const rejected = await parser.saveToSession(createMockOrder({ orderNumber: 'ORD2', snapshot: 'data:image/png;base64,PHN2Zz4=' }), 'session-a')
+    expect(rejected.snapshotPath).toBeNull()
+
+    const orders = await parser.listSessionOrders('session-a')
+    expect(orders.find(o => o.orderNumber === 'ORD251018001').snapshotFile).toBe('주문스냅샷_ORD251018001.png')
+  })
+})
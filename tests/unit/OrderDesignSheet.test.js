@@ -0,0 +1,151 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import sharp from 'sharp'
+import * as XLSX from 'xlsx'
+import OrderParser from '../../lib/OrderParser.js'
+import RosterImporter from '../../lib/rosterImporter.js'
+import EmailService from '../../lib/emailService.js'
+import { mockConsole, createMockOrder } from '@tests/utils/test-helpers.js'
+
+const png = (color, width = 64, height = 48) => sharp({ create: { width, height, channels: 4, background: color } }).png().toBuffer()
+
+// Parts of the written xlsx zip, by path
+const readParts = buffer => {
+  const zip = XLSX.CFB.read(buffer, { type: 'buffer' })
+  return Object.fromEntries(zip.FullPaths
+    .map((fullPath, index) => [fullPath.replace(/^Root Entry\//, ''), zip.FileIndex[index]])
+    .filter(([, entry]) => entry.type === 2)
+    .map(([name, entry]) => [name, Buffer.from(entry.content)]))
+}
+
+describe('Order design sheet', () => {
+  let tempDir
+  let restoreConsole
+  let parser
+
+  // Two players and the jersey and number colors their previews are drawn in
+  const order = (overrides = {}) => createMockOrder({
+    orderNumber: 'ORD251019001',
+    players: [
+      { name: '김민수', number: '7', type: 'set', sleeveType: 'short', topSize: 'L', bottomSize: 'L' },
+      { name: 'PARK <J>', number: '10', type: 'top', sleeveType: 'long', topSize: 'M' }
+    ],
+    colors: [
+      { zone: 'pattern-color-1', hex: '#00205b' },
+      { zone: 'numbers-texture-color', hex: '#ffcc00' }
+    ],
+    ...overrides
+  })
+
+
+  const still = async (preset, color) => {
+    const stillPath = path.join(tempDir, `${preset}.png`)
+    fs.writeFileSync(stillPath, await png(color, 720, 480))
+    return { preset, filename: `${preset}.png`, path: stillPath }
+  }
+
+  beforeEach(() => {
+    restoreConsole = mockConsole()
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'order-design-test-'))
+    parser = new OrderParser({ sessionsDir: tempDir })
+  })
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true })
+    restoreConsole()
+  })
+
+  test('should place the front and back renders on a 디자인 sheet', async () => {
+    const renders = [await still('front', '#ff0000'), await still('back', '#0000ff'), await still('sleeve', '#00ff00')]
+    const { buffer } = await parser.generateXLSX(order(), null, { renders })
+
+    const workbook = XLSX.read(buffer)
+    expect(workbook.SheetNames).toEqual(['주문정보', '선수정보', '주문요약', '색상정보', '디자인'])
+    expect(XLSX.utils.sheet_to_json(workbook.Sheets['디자인'], { header: 1 })[2]).toEqual(['앞면', '', '', '', '', '', '뒷면'])
+
+    const parts = readParts(buffer)
+    expect(parts['xl/worksheets/sheet5.xml'].toString()).toContain('<drawing r:id="rIdDrawing1"/>')
+    expect(parts['[Content_Types].xml'].toString()).toContain('/xl/drawings/drawing2.xml')
+    const drawing = parts['xl/drawings/drawing2.xml'].toString()
+    expect(drawing.match(/<xdr:pic>/g)).toHaveLength(2)
+    // 720x480 scaled to 360 px wide, in EMU
+    expect(drawing).toContain(`<xdr:ext cx="${360 * 9525}" cy="${240 * 9525}"/>`)
+    expect(drawing).toContain('<xdr:col>6</xdr:col>')
+
+    const rels = parts['xl/drawings/_rels/drawing2.xml.rels'].toString()
+    const [front, back] = [...rels.matchAll(/Target="\.\.\/(media\/image\d+\.png)"/g)].map(([, target]) => `xl/${target}`)
+    expect(await sharp(parts[front]).metadata()).toMatchObject({ width: 720, height: 480 })
+    const { dominant } = await sharp(parts[back]).stats()
+    expect(dominant).toEqual({ r: 8, g: 8, b: 248 })
+  })
+
+  test('should fall back to the order snapshot and skip the sheet without images', async () => {
+    const snapshot = `data:image/png;base64,${(await png('#ff0000')).toString('base64')}`
+    const { buffer } = await parser.generateXLSX(order({ snapshot }), null, { renders: [] })
+
+    expect(XLSX.read(buffer).SheetNames).toContain('디자인')
+    expect(XLSX.utils.sheet_to_json(XLSX.read(buffer).Sheets['디자인'], { header: 1 })[2]).toEqual(['3D 미리보기'])
+    expect(readParts(buffer)['xl/drawings/drawing2.xml'].toString()).toContain(`<xdr:ext cx="${64 * 9525}" cy="${48 * 9525}"/>`)
+
+    const missing = { preset: 'front', filename: 'front.png', path: path.join(tempDir, 'gone.png') }
+    const { buffer: plain } = await parser.generateXLSX(order(), null, { renders: [missing] })
+    expect(XLSX.read(plain).SheetNames).not.toContain('디자인')
+  })
+
+  test('should show each player name and number preview beside their row', async () => {
+    const { buffer } = await parser.generateXLSX(order())
+    const sheet = XLSX.read(buffer).Sheets['선수정보']
+    const rows = XLSX.utils.sheet_to_json(sheet, { header: 1 })
+    expect(rows[2]).toEqual([...OrderParser.PLAYER_COLUMNS, '가격', '미리보기'])
+
+    const parts = readParts(buffer)
+    expect(parts['xl/worksheets/_rels/sheet2.xml.rels'].toString()).toContain('Target="../drawings/drawing1.xml"')
+    const drawing = parts['xl/drawings/drawing1.xml'].toString()
+    const anchors = [...drawing.matchAll(/<xdr:col>(\d+)<\/xdr:col>.*?<xdr:row>(\d+)<\/xdr:row>.*?name="([^"]*)"/g)]
+    expect(anchors.map(([, col, row, name]) => [Number(col), Number(row), name])).toEqual([
+      [7, 3, '7 김민수'],
+      [7, 4, '10 PARK &lt;J&gt;']
+    ])
+
+    // Jersey color background, order's number color
+    const { data, info } = await sharp(parts['xl/media/image1.png']).raw().toBuffer({ resolveWithObject: true })
+    const pixels = Array.from({ length: data.length / info.channels }, (_, index) => data.subarray(index * info.channels, index * info.channels + 3).join(','))
+    expect(pixels[0]).toBe('0,32,91')
+    expect(pixels.filter(pixel => pixel === '255,204,0').length).toBeGreaterThan(100)
+
+    // The export still imports as a roster
+    const imported = new RosterImporter().parse(buffer, 'order.xlsx')
+    expect(imported.errors).toEqual([])
+    expect(imported.players.map(player => player.name)).toEqual(['김민수', 'PARK <J>'])
+  })
+
+  test('should refuse rosters over the player limit before rendering previews', async () => {
+    const limited = new OrderParser({ sessionsDir: tempDir, maxPlayers: 1 })
+    const preview = vi.spyOn(limited, 'createPlayerPreview')
+
+    await expect(limited.generateXLSX(order())).rejects.toThrow('Orders are limited to 1 players')
+    expect(preview).not.toHaveBeenCalled()
+  })
+
+  test('should inline the front and back renders in the session email', async () => {
+    const emailService = new EmailService()
+    const zipPath = path.join(tempDir, 'session.zip')
+    fs.writeFileSync(zipPath, 'zip')
+    vi.spyOn(emailService, 'createSessionZip').mockResolvedValue(zipPath)
+    const sendEmail = vi.spyOn(emailService, 'sendEmail').mockResolvedValue({ messageId: 'm1' })
+
+    const renders = [await still('front', '#ff0000'), await still('back', '#0000ff'), await still('threeQuarter', '#00ff00')]
+    await emailService.sendSessionFiles('abcdefabcdef', { layers: [] }, 'studio@example.com', renders)
+
+    const [, , html, , attachments] = sendEmail.mock.calls[0]
+    expect(html).toContain('<img src="cid:render-front"')
+    expect(html).toContain('<img src="cid:render-back"')
+    expect(html).not.toContain('cid:render-threeQuarter')
+    expect(attachments.map(attachment => attachment.cid || attachment.filename)).toEqual(['session_abcdefabcdef.zip', 'render-front', 'render-back'])
+
+    await emailService.sendSessionFiles('abcdefabcdef', { layers: [] }, 'studio@example.com')
+    expect(sendEmail.mock.calls[1][2]).not.toContain('🖼️ Design')
+  })
+})
@@ -0,0 +1,134 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import OrderParser from '../../lib/OrderParser.js'
+import EmailService from '../../lib/emailService.js'
+import { mockConsole, createMockOrder } from '@tests/utils/test-helpers.js'
+import { startSmtpStandIn } from '@tests/utils/smtp-stand-in.js'
+
+describe('Order status workflow', () => {
+  let tempDir
+  let parser
+  let restoreConsole
+
+  beforeEach(() => {
+    restoreConsole = mockConsole()
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'order-status-test-'))
+    parser = new OrderParser({ sessionsDir: tempDir })
+  })
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true })
+    restoreConsole()
+  })
+
+  describe('Lifecycle', () => {
+    test('should keep valid customer emails and drop invalid ones', () => {
+      expect(parser.parseOrderData(createMockOrder()).customerEmail).toBe('minsu@example.com')
+      expect(parser.parseOrderData(createMockOrder({ customerEmail: 'not-an-email' })).customerEmail).toBe('')
+    })
+
+    test('should only move orders forward and keep an audit trail', async () => {
+      await parser.saveToSession(createMockOrder(), 'session-a')
+
+      await parser.updateOrderStatus('session-a', 'ORD251018001', 'approved', '', 'designer')
+      const printed = await parser.updateOrderStatus('session-a', 'ORD251018001', 'printed', '2차 검수 완료')
+
+      expect(printed.status).toBe('printed')
+      expect(printed.statusUpdatedAt).toBe(printed.statusHistory[2].changedAt)
+      expect(printed.statusHistory.map(({ status, from, changedBy }) => ({ status, from, changedBy }))).toEqual([
+        { status: 'received', from: null, changedBy: 'customer' },
+        { status: 'approved', from: 'received', changedBy: 'designer' },
+        { status: 'printed', from: 'approved', changedBy: 'staff' }
+      ])
+
+      await expect(parser.updateOrderStatus('session-a', 'ORD251018001', 'approved'))
+        .rejects.toThrow('Invalid status transition: printed → approved')
+      await expect(parser.updateOrderStatus('session-a', 'ORD251018001', 'printed'))
+        .rejects.toThrow('Invalid status transition')
+    })
+
+    test('should record notification attempts on the order', async () => {
+      await parser.saveToSession(createMockOrder(), 'session-a')
+      await parser.recordNotification('session-a', 'ORD251018001', { channel: 'email', status: 'received', sentAt: '2025-10-18T09:00:00.000Z' })
+
+      const stored = await parser.getOrder('session-a', 'ORD251018001')
+      expect(stored.notifications).toEqual([{ channel: 'email', status: 'received', sentAt: '2025-10-18T09:00:00.000Z' }])
+    })
+
+    test('should apply concurrent updates to the same order one after another', async () => {
+      await parser.saveToSession(createMockOrder(), 'session-a')
+
+      const results = await Promise.allSettled([
+        parser.updateOrderStatus('session-a', 'ORD251018001', 'approved'),
+        parser.recordNotification('session-a', 'ORD251018001', { channel: 'email', status: 'approved' }),
+        parser.updateOrderStatus('session-a', 'ORD251018001', 'approved'),
+        parser.updateOrderStatus('session-a', 'ORD251018001', 'in_production'),
+        parser.recordNotification('session-a', 'ORD251018001', { channel: 'email', status: 'in_production' })
+      ])
+
+      expect(results.map(result => result.status)).toEqual(['fulfilled', 'fulfilled', 'rejected', 'fulfilled', 'fulfilled'])
+      const stored = await parser.getOrder('session-a', 'ORD251018001')
+      expect(stored.statusHistory.map(entry => entry.status)).toEqual(['received', 'approved', 'in_production'])
+      expect(stored.notifications.map(entry => entry.status)).toEqual(['approved', 'in_production'])
+    })
+
+    test('should keep staff notes, actors and notifications out of the customer view', async () => {
+      await parser.saveToSession(createMockOrder(), 'session-a')
+      await parser.updateOrderStatus('session-a', 'ORD251018001', 'approved', '원단 재고 확인', 'designer')
+      const stored = await parser.recordNotification('session-a', 'ORD251018001', { channel: 'email', status: 'approved' })
+
+      const view = parser.toCustomerView(stored)
+      expect(view.notifications).toBeUndefined()
+      expect(view.statusHistory).toEqual(stored.statusHistory.map(({ status, changedAt }) => ({ status, changedAt })))
+      expect(view.customerName).toBe('김민수')
+      expect(stored.statusHistory[1].note).toBe('원단 재고 확인')
+    })
+  })
+
+  describe('Customer emails', () => {
+    let smtp
+    let emailService
+
+    beforeEach(async () => {
+      smtp = await startSmtpStandIn()
+      emailService = new EmailService()
+      emailService.updateConfiguration({ host: smtp.host, port: smtp.port, secure: false, user: 'orders@example.com', pass: 'unused' })
+    })
+
+    afterEach(async () => {
+      await smtp.close()
+    })
+
+    test('should send a templated email for each status', async () => {
+      for (const status of OrderParser.STATUSES) {
+        await emailService.sendOrderStatusUpdate('minsu@example.com', { ...createMockOrder(), status }, 'http://localhost:3030/abcdefabcdef')
+      }
+
+      expect(smtp.messages).toHaveLength(OrderParser.STATUSES.length)
+      expect(smtp.messages[0].to).toEqual(['minsu@example.com'])
+      expect(smtp.messages.map(message => message.subject)).toEqual([
+        '[ST Configurator] 주문이 접수되었습니다 (ORD251018001)',
+        '[ST Configurator] 디자인이 승인되었습니다 (ORD251018001)',
+        '[ST Configurator] 제작이 시작되었습니다 (ORD251018001)',
+        '[ST Configurator] 인쇄가 완료되었습니다 (ORD251018001)',
+        '[ST Configurator] 주문이 발송되었습니다 (ORD251018001)'
+      ])
+      expect(smtp.messages[4].raw).toContain('http://localhost:3030/abcdefabcdef')
+    })
+
+    test('should escape customer input in the template', () => {
+      const html = emailService.createOrderStatusTemplate({ ...createMockOrder({ teamName: '<script>x</script>' }), status: 'shipped' })
+
+      expect(html).not.toContain('<script>x')
+      expect(html).toContain('&lt;script&gt;x&lt;/script&gt;')
+    })
+
+    test('should reject statuses without a template', async () => {
+      await expect(emailService.sendOrderStatusUpdate('minsu@example.com', { ...createMockOrder(), status: 'lost' }))
+        .rejects.toThrow('No email template for order status')
+      expect(smtp.messages).toHaveLength(0)
+    })
+  })
+})
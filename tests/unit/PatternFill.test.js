@@ -0,0 +1,117 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import sharp from 'sharp'
+import PatternFill from '../../lib/patternFill.js'
+import PatternLibrary from '../../lib/patternLibrary.js'
+import PrintExporter from '../../lib/printExporter.js'
+import { PatternFill as ClientPatternFill } from '../../lib/client/PatternFill.js'
+import { PatternManager } from '../../lib/client/PatternManager.js'
+import { mockConsole } from '@tests/utils/test-helpers.js'
+
+const stops = [{ offset: 0, color: '#000000' }, { offset: 1, color: '#ffffff' }]
+
+describe('Pattern fills', () => {
+  let tempDir
+  let restoreConsole
+
+  beforeEach(() => {
+    restoreConsole = mockConsole()
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pattern-fill-test-'))
+  })
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true })
+    restoreConsole()
+  })
+
+  test('should normalize fills and reject invalid ones', () => {
+    expect(PatternFill.normalize('#ff0000')).toEqual({ type: 'solid', color: '#ff0000' })
+    expect(PatternFill.normalize({ type: 'radial', stops: [stops[1], { offset: 2, color: '#000000' }] })).toEqual({
+      type: 'radial',
+      center: { x: 0.5, y: 0.5 },
+      radius: 0.5,
+      stops: [{ offset: 1, color: '#ffffff' }, { offset: 1, color: '#000000' }]
+    })
+    expect(PatternFill.normalize({ type: 'texture', texture: 'fabric-noise' })).toEqual({
+      type: 'texture', texture: 'fabric-noise', scale: 1, rotation: 0
+    })
+
+    expect(() => PatternFill.normalize({ type: 'plaid' })).toThrow('Invalid fill: type')
+    expect(() => PatternFill.normalize({ type: 'linear', stops: [stops[0]] })).toThrow('2-8 stops')
+    expect(() => PatternFill.normalize({ type: 'linear', stops: [stops[0], { color: 'red' }] })).toThrow('stop color')
+    expect(() => PatternFill.normalize({ type: 'texture', texture: '../secret' })).toThrow('texture id')
+  })
+
+  test('should sample gradients across the atlas', () => {
+    const horizontal = PatternFill.createSampler(PatternFill.normalize({ type: 'linear', angle: 0, stops }), 100)
+    expect(horizontal(0, 50)[0]).toBeLessThan(5)
+    expect(horizontal(49, 0)[0]).toBeCloseTo(128, -1)
+    expect(horizontal(99, 50)[0]).toBeGreaterThan(250)
+
+    const radial = PatternFill.createSampler(PatternFill.normalize({ type: 'radial', radius: 0.25, stops }), 100)
+    expect(radial(49, 49)[0]).toBeLessThan(10)
+    expect(radial(0, 0)).toEqual([255, 255, 255])
+  })
+
+  test('should tile, rotate and tint textures like the canvas pattern', () => {
+    // 2x1 tile: white, black
+    const texture = { data: Buffer.from([255, 255, 255, 0, 0, 0]), width: 2, height: 1, channels: 3 }
+    const fill = PatternFill.normalize({ type: 'texture', texture: 'stripes', color: '#ff0000' })
+
+    const sampler = PatternFill.createSampler(fill, PatternFill.REFERENCE_SIZE, texture)
+    expect([0, 1, 2, 3].map(x => sampler(x, 0)[0])).toEqual([255, 0, 255, 0])
+    expect(sampler(0, 0)).toEqual([255, 0, 0])
+
+    const rotated = PatternFill.createSampler({ ...fill, rotation: 90 }, PatternFill.REFERENCE_SIZE, texture)
+    expect([0, 1, 2, 3].map(y => rotated(0, y)[0])).toEqual([255, 0, 255, 0])
+  })
+
+  test('should print gradient fills through the pattern mask', async () => {
+    fs.mkdirSync(path.join(tempDir, 'patterns', 'solid'), { recursive: true })
+    await sharp({ create: { width: 8, height: 8, channels: 3, background: '#ff0000' } })
+      .png()
+      .toFile(path.join(tempDir, 'patterns', 'solid', 'mask.png'))
+    fs.writeFileSync(path.join(tempDir, 'patterns.json'), JSON.stringify({
+      version: 1,
+      basePath: 'patterns',
+      patterns: [{ id: 'solid', designTypes: ['regulan'], names: { en: 'Solid' }, masks: [{ file: 'mask.png', channels: 1 }], defaultColors: ['#ffffff'] }]
+    }))
+    const exporter = new PrintExporter({
+      patternLibrary: new PatternLibrary({ manifestPath: path.join(tempDir, 'patterns.json'), rootDir: tempDir })
+    })
+
+    const { design } = exporter.normalizeRequest({
+      pattern: 'solid',
+      patternColors: ['#000000'],
+      patternFills: [{ type: 'linear', angle: 90, stops }]
+    }, {})
+    const pixels = await exporter.renderBaseAtlas(design, 8)
+
+    // Top row dark, bottom row light
+    expect(pixels[0]).toBeLessThan(40)
+    expect(pixels[7 * 8 * 4]).toBeGreaterThan(215)
+    await expect(exporter.renderBaseAtlas({ ...design, patternFills: [{ type: 'texture', texture: 'missing', scale: 1, rotation: 0 }] }, 8))
+      .rejects.toThrow('Unknown fill texture: missing')
+  })
+
+  test('should keep zone fills on the color pickers for saving and restore', () => {
+    document.body.innerHTML = '<div class="color-group"><div class="color-pickers"></div></div>'
+    const manager = new PatternManager(null, { language: 'en' })
+    manager.manifest = { basePath: 'patterns', fillTextures: [{ id: 'fabric-noise', file: 'noise.jpg', names: { en: 'Noise' } }], patterns: [] }
+    manager.currentPattern = { name: 'test', layerCount: 2, defaultColors: ['#ffffff', '#000000'] }
+    manager.updateColorPickers()
+
+    const gradient = ClientPatternFill.create('linear', '#ff0000')
+    manager.setLayerFill('pattern-color-2', gradient)
+
+    expect(document.getElementById('pattern-color-2').value).toBe('#ff0000')
+    expect(document.querySelector('#pattern-color-2 + .pattern-fill-type').value).toBe('linear')
+    expect(manager.getLayerFills()).toEqual({ 'pattern-color-2': gradient })
+    expect(ClientPatternFill.withBaseColor(gradient, '#00ff00').stops.map(stop => stop.color)).toEqual(['#00ff00', '#000000'])
+
+    manager.setLayerFill('pattern-color-2', '#123456')
+    expect(manager.getLayerFills()).toEqual({})
+  })
+})
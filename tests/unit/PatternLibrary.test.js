@@ -0,0 +1,111 @@
+import { describe, test, expect, beforeEach } from 'vitest'
+import fs from 'fs'
+import path from 'path'
+import sharp from 'sharp'
+import PatternLibrary from '../../lib/patternLibrary.js'
+import PrintExporter from '../../lib/printExporter.js'
+import { PatternManager } from '../../lib/client/PatternManager.js'
+import { useTempDir } from '@tests/utils/temp-dir.js'
+
+const pattern = (overrides = {}) => ({
+  id: 'stripes',
+  designTypes: ['regulan', 'setin'],
+  names: { ko: '스트라이프', en: 'Stripes' },
+  masks: [{ file: 'mask.png', channels: 4 }],
+  defaultColors: ['#ffffff', '#000000', '#ff0000', '#0000ff'],
+  ...overrides
+})
+
+describe('PatternLibrary', () => {
+  const tempDir = useTempDir('pattern-library-test')
+
+  const writeManifest = (patterns, extra = {}) => {
+    const manifestPath = path.join(tempDir(), 'patterns.json')
+    fs.writeFileSync(manifestPath, JSON.stringify({ version: 1, basePath: 'patterns', patterns, ...extra }))
+    return manifestPath
+  }
+
+  const createLibrary = (patterns, extra) => new PatternLibrary({
+    manifestPath: writeManifest(patterns, extra),
+    rootDir: tempDir()
+  })
+
+  beforeEach(async () => {
+    fs.mkdirSync(path.join(tempDir(), 'patterns', 'stripes'), { recursive: true })
+
+    // Left half: red channel (layer 1), right half: transparent (layer 4)
+    const row = [255, 0, 0, 255, 255, 0, 0, 255, 0, 0, 0, 0, 0, 0, 0, 0]
+    await sharp(Buffer.from([...row, ...row, ...row, ...row]), { raw: { width: 4, height: 4, channels: 4 } })
+      .png()
+      .toFile(path.join(tempDir(), 'patterns', 'stripes', 'mask.png'))
+  })
+
+  test('should load the bundled manifest with 4K masks first', () => {
+    const library = new PatternLibrary()
+
+    const ids = library.getManifest().patterns.map(entry => entry.id)
+    expect(ids).toEqual(expect.arrayContaining(['reg_custom-1-2', 'setin_custom-1-1', 'setin_custom-1-3']))
+
+    const [mask] = library.getMaskFiles('reg_custom-1-2')
+    expect(mask.candidates.map(file => path.basename(file))).toEqual(['1_2_3.4k.png', '1_2_3.png'])
+    expect(mask.channels).toEqual(['r', 'g', 'b'])
+    expect(library.getMaskFiles('missing')).toBeNull()
+  })
+
+  test('should reject invalid manifests', () => {
+    expect(() => createLibrary([pattern({ designTypes: ['raglan'] })])).toThrow('designTypes')
+    expect(() => createLibrary([pattern({ masks: [{ file: 'mask.png', channels: 5 }] })])).toThrow('channels must be 1-4')
+    expect(() => createLibrary([pattern({ masks: [{ file: '../mask.png', channels: 4 }] })])).toThrow('invalid mask filename')
+    expect(() => createLibrary([pattern({ masks: [{ file: 'other.png', channels: 4 }] })])).toThrow('mask not found: other.png')
+    expect(() => createLibrary([pattern({ defaultColors: ['#ffffff'] })])).toThrow('needs 4 #rrggbb defaultColors')
+    expect(() => createLibrary([pattern(), pattern()])).toThrow('defined twice')
+    expect(() => createLibrary([pattern({ designTypes: ['setin'] })], { defaults: { regulan: 'stripes' } }))
+      .toThrow('Default pattern for regulan')
+  })
+
+  test('should render an alpha-channel layer where the mask is transparent', async () => {
+    const exporter = new PrintExporter({ patternLibrary: createLibrary([pattern()]) })
+
+    const pixels = await exporter.renderBaseAtlas({
+      pattern: 'stripes',
+      patternColors: ['#ff0000', '#00ff00', '#0000ff', '#ffff00'],
+      pantsColors: [],
+      neckColors: []
+    }, 4)
+
+    // Top row: layer 1 (red) on the left, layer 4 (yellow) on the right
+    expect([...pixels.subarray(0, 4)]).toEqual([255, 0, 0, 255])
+    expect([...pixels.subarray(12, 16)]).toEqual([255, 255, 0, 255])
+    expect(() => exporter.normalizeRequest({ pattern: 'reg_custom-1-2', patternColors: ['#ffffff'] }, {}))
+      .toThrow('Unknown pattern: reg_custom-1-2')
+  })
+
+  test('should build client pattern data and buttons from the manifest', () => {
+    document.body.innerHTML = '<div class="custom-pattern-buttons"><button class="custom-pattern-btn">Old</button></div>'
+    const manager = new PatternManager(null, { language: 'en' })
+    manager.manifest = {
+      basePath: 'patterns',
+      defaults: {},
+      patterns: [pattern({
+        masks: [{ file: 'mask.png', channels: 4 }, { file: 'extra.png', channels: 1 }],
+        defaultColors: ['#ffffff', '#000000', '#ff0000', '#0000ff', '#00ff00'],
+        thumbnail: 'thumb.png'
+      })]
+    }
+
+    manager.registerPatterns()
+    manager.setupPatternButtons()
+
+    const data = manager.getPatternInfo('stripes')
+    expect(data).toMatchObject({ displayName: 'Stripes', layerCount: 5, texturePath: 'patterns/stripes/', thumbnail: 'patterns/stripes/thumb.png' })
+    expect(data.files.map(file => file.channels)).toEqual([{ 1: 'r', 2: 'g', 3: 'b', 4: 'a' }, { 5: 'r' }])
+    expect(manager.getDefaultPattern('setin')).toBe('stripes')
+
+    const buttons = document.querySelectorAll('.custom-pattern-btn')
+    expect(buttons).toHaveLength(1)
+    expect(buttons[0].dataset).toMatchObject({ pattern: 'stripes', designTypes: 'regulan setin' })
+
+    manager.setLanguage('ko')
+    expect(buttons[0].textContent).toBe('스트라이프')
+  })
+})
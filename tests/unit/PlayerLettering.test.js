@@ -0,0 +1,80 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest'
+import { PlayerLettering, LETTERING_STYLES, DEFAULT_LETTERING_STYLE } from '@client/PlayerLettering.js'
+import { mockConsole } from '@tests/utils/test-helpers.js'
+
+describe('PlayerLettering', () => {
+  let lettering
+  let restoreConsole
+
+  const lastContext = () => HTMLCanvasElement.prototype.getContext.mock.results.at(-1).value
+
+  beforeEach(() => {
+    restoreConsole = mockConsole()
+    lettering = new PlayerLettering()
+  })
+
+  afterEach(() => {
+    lettering.clearCache()
+    restoreConsole()
+  })
+
+  describe('Text normalization', () => {
+    test('should uppercase names', () => {
+      expect(PlayerLettering.normalizeText('name', '  kim min ')).toBe('KIM MIN')
+    })
+
+    test('should keep only up to three digits for numbers', () => {
+      expect(PlayerLettering.normalizeText('number', '#07')).toBe('07')
+      expect(PlayerLettering.normalizeText('number', '12345')).toBe('123')
+    })
+  })
+
+  describe('Styles', () => {
+    test('should fall back to the default style for unknown ids', () => {
+      expect(PlayerLettering.getStyle('missing')).toBe(LETTERING_STYLES[DEFAULT_LETTERING_STYLE])
+    })
+  })
+
+  describe('Rendering', () => {
+    test('should return null when there is nothing to print', () => {
+      expect(lettering.render({ kind: 'number', text: 'ab' })).toBeNull()
+      expect(lettering.render({ kind: 'name', text: '   ' })).toBeNull()
+    })
+
+    test('should size the canvas to the text plus outline and padding', () => {
+      const canvas = lettering.render({ kind: 'number', text: '10', styleId: 'plain' })
+
+      // Two glyphs at the mocked 50px width each, no outline, 16px padding per side
+      expect(canvas.width).toBe(132)
+      expect(canvas.height).toBe(Math.ceil(360 * 1.2 + 32))
+    })
+
+    test('should stroke the outline before filling', () => {
+      lettering.render({ kind: 'number', text: '7', styleId: 'block-outline', outlineColor: '#ff0000' })
+      const ctx = lastContext()
+
+      expect(ctx.strokeText).toHaveBeenCalledTimes(1)
+      expect(ctx.fillText).toHaveBeenCalledTimes(1)
+      expect(ctx.strokeText.mock.invocationCallOrder[0]).toBeLessThan(ctx.fillText.mock.invocationCallOrder[0])
+    })
+
+    test('should draw two stroke passes for double outlines', () => {
+      lettering.render({ kind: 'name', text: 'LEE', styleId: 'block-double' })
+
+      expect(lastContext().strokeText).toHaveBeenCalledTimes(6)
+    })
+
+    test('should skip strokes for plain lettering', () => {
+      lettering.render({ kind: 'name', text: 'PARK', styleId: 'plain' })
+
+      expect(lastContext().strokeText).not.toHaveBeenCalled()
+    })
+
+    test('should reuse cached canvases for identical requests', () => {
+      const options = { kind: 'number', text: '23', fillColor: '#ffffff', outlineColor: '#000000' }
+
+      expect(lettering.render(options)).toBe(lettering.render(options))
+      expect(lettering.render({ ...options, fillColor: '#ff0000' })).not.toBe(lettering.render(options))
+    })
+  })
+})
@@ -0,0 +1,129 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import fs from 'fs'
+import path from 'path'
+import sharp from 'sharp'
+import PrintExporter from '../../lib/printExporter.js'
+import { useTempDir } from '@tests/utils/temp-dir.js'
+
+const design = (overrides = {}) => ({
+  pattern: 'reg_custom-1-2',
+  patternColors: ['#ff0000', '#00ff00', '#0000ff'],
+  pantsColors: ['#ffffff', '#000000'],
+  neckColors: ['#ffffff', '#000000'],
+  setOption: 'short-shirt-set',
+  neckType: 'std_a',
+  textureSize: 2048,
+  layers: [],
+  ...overrides
+})
+
+describe('PrintExporter', () => {
+  const tempDir = useTempDir('print-export-test')
+  let exporter
+
+  beforeEach(() => {
+    exporter = new PrintExporter({
+      sessionsDir: tempDir(),
+      sessionManager: {
+        getLayerImage: async () => null,
+        getLayerOriginalImage: async () => null
+      }
+    })
+  })
+
+  describe('Request validation', () => {
+    test('should fill in defaults and pick pieces from the set option', () => {
+      const request = exporter.normalizeRequest(design(), {})
+
+      expect(request.options).toMatchObject({ resolution: 4096, format: 'png', dpi: 150, bleedMm: 0 })
+      expect(request.options.pieces).toEqual(['front', 'back', 'arms', 'neck', 'pants'])
+    })
+
+    test('should only export pants for the pants-only option', () => {
+      expect(exporter.getPiecesForSet('pants')).toEqual(['pants'])
+      expect(exporter.getPiecesForSet('long-shirt')).toEqual(['front', 'back', 'arms', 'neck'])
+    })
+
+    test('should reject invalid patterns, colors and options', () => {
+      expect(() => exporter.normalizeRequest(design({ pattern: '../etc' }), {})).toThrow('Invalid pattern name')
+      expect(() => exporter.normalizeRequest(design({ patternColors: ['red'] }), {})).toThrow('patternColors')
+      expect(() => exporter.normalizeRequest(design(), { resolution: 16384 })).toThrow('resolution')
+      expect(() => exporter.normalizeRequest(design(), { format: 'jpg' })).toThrow('format')
+      expect(() => exporter.normalizeRequest(design(), { bleedMm: 50 })).toThrow('bleedMm')
+      expect(() => exporter.normalizeRequest(design(), { pieces: ['collar'] })).toThrow('Unknown garment piece')
+    })
+
+    test('should drop hidden layers and reject unsafe logo IDs', () => {
+      const layers = [
+        { id: 'text-1', type: 'text', text: 'TEAM', visible: false },
+        { id: 'text-2', type: 'text', text: 'FC', visible: true }
+      ]
+      expect(exporter.normalizeRequest(design({ layers }), {}).design.layers).toHaveLength(1)
+
+      const unsafe = [{ id: '../../secret', type: 'logo' }]
+      expect(() => exporter.normalizeRequest(design({ layers: unsafe }), {})).toThrow('Invalid layer ID')
+    })
+
+    test('should clamp the texture size, layer scale and font size', async () => {
+      const layers = [
+        { id: 'text-1', type: 'text', text: 'HUGE', scale: 1e6, fontSize: 1e9 },
+        { id: 'text-2', type: 'text', text: 'tiny', scale: -3, fontSize: 'big' }
+      ]
+      const request = exporter.normalizeRequest(design({ textureSize: 1, layers }), { resolution: 1024 })
+
+      expect(request.design.textureSize).toBe(256)
+      expect(request.design.layers.map(({ scale, fontSize }) => ({ scale, fontSize }))).toEqual([
+        { scale: 5, fontSize: 512 },
+        { scale: 0.1, fontSize: 24 }
+      ])
+      expect(exporter.normalizeRequest(design({ textureSize: 1e9 }), {}).design.textureSize).toBe(4096)
+
+      // Even clamped, a layer bigger than the print area is refused before sharp allocates it
+      const [huge] = request.design.layers
+      await expect(exporter.renderTextLayer(huge, 1024 / 256, 1024)).rejects.toThrow('larger than the print area')
+    })
+  })
+
+  describe('Export', () => {
+    test('should write one file per piece with bleed and DPI', async () => {
+      const request = exporter.normalizeRequest(
+        design({ layers: [{ id: 'text-1', type: 'text', text: '10', position: { x: 0.15, y: 0.25 }, fontSize: 64 }] }),
+        { resolution: 1024, dpi: 300, bleedMm: 3, pieces: ['front', 'pants'] }
+      )
+
+      const manifest = await exporter.exportDesign({ sessionId: 'session-1', ...request }, 'job-1')
+
+      expect(manifest.files.map(file => file.piece)).toEqual(['front', 'pants'])
+      expect(manifest.skippedLayers).toEqual([])
+
+      const front = manifest.files[0]
+      const bleedPx = Math.round(3 / 25.4 * 300)
+      const metadata = await sharp(path.join(tempDir(), 'session-1', 'exports', 'job-1', front.filename)).metadata()
+
+      expect(front.url).toBe(`/api/sessions/session-1/exports/job-1/${front.filename}`)
+      expect(metadata.width).toBe(front.width)
+      expect(metadata.width).toBe(Math.round((0.286 - 0.006) * 1024) + bleedPx * 2)
+      expect(metadata.density).toBe(300)
+      expect(fs.existsSync(path.join(tempDir(), 'session-1', 'exports', 'job-1', 'manifest.json'))).toBe(true)
+    })
+
+    test('should stop between layers once the job is cancelled', async () => {
+      const controller = new AbortController()
+      const getLayerImage = vi.fn(async () => {
+        controller.abort(new Error('Job timed out after 100ms'))
+        throw new Error('Layer image missing')
+      })
+      const blendPasses = vi.fn((size, passes) => PrintExporter.blendPasses(size, passes))
+      const cancellable = new PrintExporter({ sessionsDir: tempDir(), sessionManager: { getLayerImage }, blendPasses })
+      const layers = ['logo-1', 'logo-2'].map(id => ({ id, type: 'logo', position: { x: 0.5, y: 0.5 } }))
+      const request = cancellable.normalizeRequest(design({ layers }), { resolution: 1024, pieces: ['front'] })
+
+      await expect(cancellable.exportDesign({ sessionId: 'session-1', ...request }, 'job-2', () => {}, controller.signal))
+        .rejects.toThrow('Job timed out after 100ms')
+
+      expect(blendPasses).toHaveBeenCalledWith(1024, expect.any(Array), controller.signal)
+      expect(getLayerImage).toHaveBeenCalledTimes(1)
+      expect(fs.existsSync(path.join(tempDir(), 'session-1', 'exports', 'job-2'))).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,237 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import sharp from 'sharp'
+import * as THREE from 'three'
+import RenderStore from '../../lib/renderStore.js'
+import EmailService from '../../lib/emailService.js'
+import { SceneManager, CAMERA_PRESETS } from '@client/SceneManager.js'
+import { SessionManager } from '@client/SessionManager.js'
+import { mockConsole, createMockOrder } from '@tests/utils/test-helpers.js'
+import { startSmtpStandIn } from '@tests/utils/smtp-stand-in.js'
+
+// The capture math needs the real vectors and bounding boxes (three is mocked in the test setup)
+vi.mock('three', async () => vi.importActual('three'))
+
+const png = (color, size = 32) => sharp({ create: { width: size, height: size, channels: 4, background: color } }).png().toBuffer()
+const upload = async (...colors) => Promise.all(colors.map(async color => ({ buffer: await png(color) })))
+
+describe('Product renders', () => {
+  let restoreConsole
+
+  beforeEach(() => {
+    restoreConsole = mockConsole()
+  })
+
+  afterEach(() => {
+    restoreConsole()
+  })
+
+  describe('render store', () => {
+    let tempDir
+    let store
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'render-store-test-'))
+      store = new RenderStore({ sessionsDir: tempDir, maxFrames: 4, maxDimension: 64 })
+    })
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    test('should validate uploads', async () => {
+      const frames = await upload('#ff0000', '#00ff00')
+
+      expect(() => store.normalizeRequest({ preset: 'top' }, frames)).toThrow('preset must be one of')
+      expect(() => store.normalizeRequest({ kind: 'video', preset: 'front' }, frames)).toThrow('kind must be one of')
+      expect(() => store.normalizeRequest({ preset: 'front' }, frames)).toThrow('exactly one image')
+      expect(() => store.normalizeRequest({ preset: 'front' }, [{ buffer: Buffer.from('GIF89a') }])).toThrow('must be PNG')
+      expect(() => store.normalizeRequest({ kind: 'turntable', preset: 'front', format: 'mp4' }, frames)).toThrow('format must be one of')
+      expect(() => store.normalizeRequest({ kind: 'turntable', preset: 'front' }, [...frames, ...frames, ...frames])).toThrow('2 to 4 frames')
+
+      expect(store.normalizeRequest({ kind: 'turntable', preset: 'back', frameDelayMs: '5' }, frames))
+        .toMatchObject({ kind: 'turntable', preset: 'back', format: 'webp', frameDelayMs: 20 })
+
+      const mixed = [...frames, { buffer: await png('#0000ff', 16) }]
+      await expect(store.saveRender('team1', store.normalizeRequest({ kind: 'turntable', preset: 'front' }, mixed)))
+        .rejects.toThrow('same size')
+      const large = [{ buffer: await png('#0000ff', 80) }]
+      await expect(store.saveRender('team1', store.normalizeRequest({ preset: 'front' }, large))).rejects.toThrow('limited to 64x64')
+      const budget = new RenderStore({ sessionsDir: tempDir, maxTotalPixels: 32 * 32 * 3 })
+      await expect(budget.saveRender('team1', budget.normalizeRequest({ kind: 'turntable', preset: 'front' }, [...frames, ...frames])))
+        .rejects.toThrow('3072 pixels across all frames')
+      expect(await store.listRenders('team1')).toEqual([])
+    })
+
+    test('should store stills and list the latest one per preset', async () => {
+      const older = await store.saveRender('team1', store.normalizeRequest({ preset: 'back' }, await upload('#ff0000')))
+      await new Promise(resolve => setTimeout(resolve, 5))
+      const front = await store.saveRender('team1', store.normalizeRequest({ preset: 'front' }, await upload('#00ff00')))
+      await new Promise(resolve => setTimeout(resolve, 5))
+      const back = await store.saveRender('team1', store.normalizeRequest({ preset: 'back' }, await upload('#0000ff')))
+
+      expect(front).toMatchObject({ kind: 'still', preset: 'front', format: 'png', width: 32, height: 32, files: [{ filename: 'front.png' }] })
+      expect((await store.listRenders('team1')).map(render => render.renderId)).toEqual([back.renderId, front.renderId, older.renderId])
+
+      const stills = await store.getLatestStills('team1')
+      expect(stills.map(still => [still.preset, still.renderId])).toEqual([['front', front.renderId], ['back', back.renderId]])
+      expect(fs.readFileSync(stills[1].path)).toEqual(await png('#0000ff'))
+    })
+
+    test('should store turntables as animations or frame sequences', async () => {
+      const frames = await upload('#ff0000', '#00ff00', '#0000ff')
+
+      const webp = await store.saveRender('team1', store.normalizeRequest({ kind: 'turntable', preset: 'threeQuarter', frameDelayMs: '100' }, frames))
+      expect(webp).toMatchObject({ format: 'webp', frameCount: 3, frameDelayMs: 100, files: [{ filename: 'turntable.webp' }] })
+      const animation = await sharp(store.getRenderFilePath('team1', webp.renderId, 'turntable.webp'), { animated: true }).metadata()
+      expect(animation).toMatchObject({ format: 'webp', pages: 3, pageHeight: 32, delay: [100, 100, 100] })
+
+      const encodeAnimation = vi.fn(async () => Buffer.from('GIF89a'))
+      const pooled = new RenderStore({ sessionsDir: tempDir, encodeAnimation })
+      await pooled.saveRender('team1', pooled.normalizeRequest({ kind: 'turntable', preset: 'front', format: 'gif' }, frames))
+      expect(encodeAnimation).toHaveBeenCalledWith({ frames: frames.map(frame => frame.buffer), format: 'gif', delayMs: 80, limitInputPixels: 4096 * 4096 })
+
+      const sequence = await store.saveRender('team1', store.normalizeRequest({ kind: 'turntable', preset: 'front', format: 'sequence' }, frames))
+      expect(sequence.files.map(file => file.filename)).toEqual(['frame_001.png', 'frame_002.png', 'frame_003.png'])
+    })
+  })
+
+  test('should show the stills in order status emails', async () => {
+    const smtp = await startSmtpStandIn()
+    const emailService = new EmailService()
+    emailService.updateConfiguration({ host: smtp.host, port: smtp.port, secure: false })
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'render-email-test-'))
+    const stillPath = path.join(tempDir, 'front.png')
+    fs.writeFileSync(stillPath, await png('#ff0000'))
+
+    try {
+      const order = createMockOrder({ status: 'received' })
+      await emailService.sendOrderStatusUpdate('minsu@example.com', order, null, [{ preset: 'front', filename: 'front.png', path: stillPath }])
+
+      expect(smtp.messages[0].raw).toContain('cid:render-front')
+      expect(smtp.messages[0].raw).toMatch(/Content-ID: <render-front>/i)
+    } finally {
+      await smtp.close()
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    }
+  })
+
+  describe('scene capture', () => {
+    // SceneManager without WebGL: a real model and camera, a renderer that records frames
+    const createScene = () => {
+      const sceneManager = Object.create(SceneManager.prototype)
+      sceneManager.scene = new THREE.Scene()
+      sceneManager.scene.background = new THREE.Color(0xffffff)
+      sceneManager.camera = new THREE.PerspectiveCamera(35, 1, 0.1, 1000)
+      sceneManager.controls = { target: new THREE.Vector3() }
+      sceneManager.model = new THREE.Mesh(new THREE.BoxGeometry(2, 1, 0.5))
+      sceneManager.model.position.set(3, 0, 0)
+      sceneManager.scene.add(sceneManager.model)
+
+      const frames = []
+      let size = new THREE.Vector2(800, 600)
+      sceneManager.renderer = {
+        capabilities: { maxTextureSize: 2048 },
+        domElement: { toDataURL: () => `data:image/png;base64,frame${frames.length}` },
+        getSize: target => target.copy(size),
+        setSize: (width, height) => { size = new THREE.Vector2(width, height) },
+        getPixelRatio: () => 2,
+        setPixelRatio: vi.fn(),
+        getClearColor: target => target.set(0xffffff),
+        getClearAlpha: () => 1,
+        setClearColor: vi.fn(),
+        render: (scene, camera) => frames.push({
+          size: size.clone(),
+          background: scene.background,
+          camera: camera.position.clone(),
+          modelCenter: new THREE.Box3().setFromObject(sceneManager.model).getCenter(new THREE.Vector3()),
+          facing: new THREE.Vector3(1, 0, 0).applyQuaternion(sceneManager.model.quaternion)
+        })
+      }
+      return { sceneManager, frames }
+    }
+
+    test('should frame the model from each preset', () => {
+      const { sceneManager } = createScene()
+      const front = sceneManager.getPresetView('front')
+      const back = sceneManager.getPresetView('back')
+
+      expect(front.target.toArray()).toEqual([3, 0, 0])
+      expect(front.position.z).toBeGreaterThan(0)
+      expect(back.position.z).toBeLessThan(0)
+      expect(front.position.distanceTo(front.target)).toBeCloseTo(back.position.distanceTo(back.target))
+      // Close-ups are nearer and aim off center
+      const sleeve = sceneManager.getPresetView('sleeve')
+      expect(sleeve.position.distanceTo(sleeve.target)).toBeLessThan(front.position.distanceTo(front.target))
+      expect(sleeve.target.x).toBeCloseTo(3 + 2 * CAMERA_PRESETS.sleeve.focus.x)
+      expect(() => sceneManager.getPresetView('top')).toThrow('Unknown camera preset: top')
+    })
+
+    test('should capture at the requested size and restore the live view', () => {
+      const { sceneManager, frames } = createScene()
+
+      expect(sceneManager.captureView({ preset: 'back', width: 4000, height: 300, background: '#112233' })).toBe('data:image/png;base64,frame1')
+      expect(frames[0].size.toArray()).toEqual([2048, 300])
+      expect(frames[0].background.getHexString()).toBe('112233')
+      expect(frames[0].camera.z).toBeLessThan(0)
+
+      // The live view is painted again right away
+      expect(frames[1].size.toArray()).toEqual([800, 600])
+      expect(frames[1].background.getHexString()).toBe('ffffff')
+      expect(sceneManager.renderer.setPixelRatio).toHaveBeenLastCalledWith(2)
+
+      sceneManager.captureView()
+      expect(frames[2].background).toBeNull()
+      expect(sceneManager.renderer.setClearColor).toHaveBeenCalledWith(0x000000, 0)
+      expect(() => sceneManager.captureView({ background: 'red' })).toThrow('Invalid capture background')
+    })
+
+    test('should turn the model around its center for a turntable', () => {
+      const { sceneManager, frames } = createScene()
+
+      const images = sceneManager.captureTurntable({ frames: 4, width: 64, height: 64 })
+      expect(images).toEqual([1, 2, 3, 4].map(frame => `data:image/png;base64,frame${frame}`))
+
+      const turntable = frames.slice(0, 4)
+      turntable.forEach(frame => {
+        expect(frame.modelCenter.x).toBeCloseTo(3)
+        expect(frame.modelCenter.z).toBeCloseTo(0)
+        expect(frame.camera.toArray()).toEqual(turntable[0].camera.toArray())
+      })
+      // A quarter turn per frame
+      expect(turntable.map(frame => frame.facing.toArray().map(value => Math.round(value) + 0))).toEqual([[1, 0, 0], [0, 0, -1], [-1, 0, 0], [0, 0, 1]])
+      expect(sceneManager.model.position.toArray()).toEqual([3, 0, 0])
+      expect(sceneManager.model.rotation.y).toBe(0)
+    })
+  })
+
+  test('should upload captured images into the session', async () => {
+    const sessionManager = new SessionManager({ serverUrl: 'http://localhost:3030' })
+    sessionManager.currentSessionId = 'team1'
+    fetch.mockImplementationOnce(() => Promise.resolve({ ok: true, json: () => Promise.resolve({ render: { renderId: 'r1', files: [{ filename: 'turntable.gif' }] } }) }))
+
+    const render = await sessionManager.uploadRender({
+      kind: 'turntable',
+      preset: 'front',
+      format: 'gif',
+      frameDelayMs: 100,
+      images: ['data:image/png;base64,iVBORw0K', 'data:image/png;base64,iVBORw0K']
+    })
+
+    const [url, request] = fetch.mock.calls[0]
+    expect(url).toBe('http://localhost:3030/api/sessions/team1/renders')
+    expect(request.body.get('format')).toBe('gif')
+    expect(request.body.get('frameDelayMs')).toBe('100')
+    const images = request.body.getAll('images')
+    expect(images).toHaveLength(2)
+    expect(images[0].type).toBe('image/png')
+    expect(images[0].size).toBe(6)
+    expect(sessionManager.getRenderUrl(render)).toBe('http://localhost:3030/api/sessions/team1/renders/r1/turntable.gif')
+
+    fetch.mockImplementationOnce(() => Promise.resolve({ ok: false, json: () => Promise.resolve({ error: 'Invalid render upload', details: 'Renders must be PNG images' }) }))
+    await expect(sessionManager.uploadRender({ preset: 'front', images: ['data:image/png;base64,AAAA'] })).rejects.toThrow('Renders must be PNG images')
+    sessionManager.destroy()
+  })
+})
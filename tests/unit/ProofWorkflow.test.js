@@ -0,0 +1,105 @@
+import { describe, test, expect, beforeEach } from 'vitest'
+import fs from 'fs'
+import path from 'path'
+import SessionManager from '../../lib/sessionManager.js'
+import { ProofManager } from '../../lib/client/ProofManager.js'
+import { useTempDir } from '@tests/utils/temp-dir.js'
+
+const comment = (overrides = {}) => ({
+  uv: { u: 0.25, v: 0.75 },
+  position: { x: 0.1, y: 1.2, z: 0.3 },
+  meshName: 'front',
+  text: '로고를 조금 더 크게 해주세요',
+  author: '김민수',
+  ...overrides
+})
+
+describe('Design proof workflow', () => {
+  const tempDir = useTempDir('proof-test')
+  let sessionManager
+  let sessionId
+
+  beforeEach(async () => {
+    sessionManager = new SessionManager({ sessionsDir: tempDir() })
+    sessionId = await sessionManager.createSession('127.0.0.1')
+    await sessionManager.updateSession(sessionId, { configuration: { baseColor: '#ff0000' } })
+  })
+
+  test('should lock a frozen copy of the design', async () => {
+    const proof = await sessionManager.lockProof(sessionId, { lockedBy: 'designer', note: '1차 시안' })
+
+    expect(proof).toMatchObject({ version: 1, locked: true, status: 'pending', lockedBy: 'designer', note: '1차 시안', comments: [] })
+    expect(proof.design.configuration).toEqual({ baseColor: '#ff0000' })
+
+    const session = await sessionManager.getSession(sessionId)
+    expect(sessionManager.isProofLocked(session)).toBe(true)
+    expect(sessionManager.getPublicProof(session)).not.toHaveProperty('design')
+    await expect(sessionManager.lockProof(sessionId)).rejects.toThrow('Proof is already locked')
+  })
+
+  test('should store pinned comments and mark the proof for changes', async () => {
+    await sessionManager.lockProof(sessionId)
+
+    const { comment: added, proof } = await sessionManager.addProofComment(sessionId, comment())
+
+    expect(added).toMatchObject({ uv: { u: 0.25, v: 0.75 }, meshName: 'front', author: '김민수' })
+    expect(proof.status).toBe('changes_requested')
+
+    const stored = JSON.parse(fs.readFileSync(path.join(tempDir(), sessionId, 'session.json'), 'utf8'))
+    expect(stored.proof.comments).toHaveLength(1)
+  })
+
+  test('should reject invalid comments', async () => {
+    await sessionManager.lockProof(sessionId)
+
+    await expect(sessionManager.addProofComment(sessionId, comment({ uv: { u: 1.5, v: 0 } }))).rejects.toThrow('Invalid comment: uv')
+    await expect(sessionManager.addProofComment(sessionId, comment({ text: '   ' }))).rejects.toThrow('Invalid comment: text')
+    await expect(sessionManager.addProofComment(sessionId, comment({ position: { x: 'a' } }))).rejects.toThrow('Invalid comment: position')
+  })
+
+  test('should close the proof once approved', async () => {
+    await expect(sessionManager.approveProof(sessionId)).rejects.toThrow('Proof is not locked')
+    await sessionManager.lockProof(sessionId)
+
+    const approved = await sessionManager.approveProof(sessionId, { approvedBy: '김민수' })
+
+    expect(approved).toMatchObject({ status: 'approved', approvedBy: '김민수' })
+    await expect(sessionManager.addProofComment(sessionId, comment())).rejects.toThrow('Proof is already approved')
+    await expect(sessionManager.approveProof(sessionId)).rejects.toThrow('Proof is already approved')
+  })
+
+  test('should keep earlier rounds when a new version is locked', async () => {
+    await sessionManager.lockProof(sessionId)
+    await sessionManager.addProofComment(sessionId, comment())
+    await sessionManager.unlockProof(sessionId)
+
+    const proof = await sessionManager.lockProof(sessionId)
+
+    expect(proof.version).toBe(2)
+    const session = await sessionManager.getSession(sessionId)
+    expect(session.proofHistory.map(round => round.comments.length)).toEqual([1])
+    expect(await sessionManager.getProofSummary(sessionId)).toEqual({ version: 2, locked: true, status: 'pending', commentCount: 0 })
+  })
+
+  test('should not let session updates change the proof', async () => {
+    await sessionManager.lockProof(sessionId)
+
+    await sessionManager.updateSession(sessionId, { proof: { locked: false, status: 'approved' } })
+
+    const session = await sessionManager.getSession(sessionId)
+    expect(session.proof).toMatchObject({ locked: true, status: 'pending' })
+  })
+
+  test('should build comment payloads from model intersections', () => {
+    const intersection = { uv: { x: 1.2, y: 0.4 }, point: { x: 1, y: 2, z: 3 }, object: { name: 'back' } }
+
+    expect(ProofManager.createCommentPayload(intersection, ' 번호 색상 변경 ', '')).toEqual({
+      uv: { u: 1, v: 0.4 },
+      position: { x: 1, y: 2, z: 3 },
+      meshName: 'back',
+      text: '번호 색상 변경',
+      author: ''
+    })
+    expect(ProofManager.createCommentPayload({ point: { x: 0, y: 0, z: 0 } }, 'text')).toBeNull()
+  })
+})
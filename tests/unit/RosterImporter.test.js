@@ -0,0 +1,104 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest'
+import * as XLSX from 'xlsx'
+import RosterImporter from '../../lib/rosterImporter.js'
+import OrderParser from '../../lib/OrderParser.js'
+import { mockConsole, createMockOrder } from '@tests/utils/test-helpers.js'
+
+const toXlsx = rows => {
+  const workbook = XLSX.utils.book_new()
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Sheet1')
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' })
+}
+
+describe('RosterImporter', () => {
+  let importer
+  let restoreConsole
+
+  beforeEach(() => {
+    restoreConsole = mockConsole()
+    importer = new RosterImporter({ catalogPath: './config/catalog.json' })
+  })
+
+  afterEach(() => {
+    restoreConsole()
+  })
+
+  test('should parse a UTF-8 CSV with catalog names and short forms', () => {
+    const csv = '\uFEFF번호,선수명,구성,소매타입,상의사이즈,하의사이즈\n10,김민수,상하의 세트,반소매,l,L\n7,이영희,상의,긴팔,M,\n\n'
+
+    const result = importer.parse(Buffer.from(csv, 'utf8'), 'roster.csv')
+
+    expect(result.errors).toEqual([])
+    expect(result.totalRows).toBe(2)
+    expect(result.players).toEqual([
+      { number: '10', name: '김민수', type: 'set', sleeveType: 'short', topSize: 'L', bottomSize: 'L' },
+      { number: '7', name: '이영희', type: 'top', sleeveType: 'long', topSize: 'M', bottomSize: '' }
+    ])
+  })
+
+  test('should report validation errors per spreadsheet row', () => {
+    const buffer = toXlsx([
+      ['No', 'Name', 'Type', 'Top', 'Bottom'],
+      ['10', 'KIM', 'set', 'L', 'L'],
+      ['10', 'LEE', 'set', 'M', 'M'],
+      ['abc', '', 'jacket', 'XXXL', ''],
+      ['9', 'PARK', 'bottom', '', '']
+    ])
+
+    const result = importer.parse(buffer, 'roster.xlsx')
+
+    expect(result.players.map(player => player.name)).toEqual(['KIM'])
+    expect(result.errors.map(({ row, field }) => `${row}:${field}`)).toEqual([
+      '3:number',
+      '4:number', '4:name', '4:type', '4:topSize',
+      '5:bottomSize'
+    ])
+    expect(result.errors[0].message).toContain('2행과 중복')
+  })
+
+  test('should use an explicit column mapping', () => {
+    const buffer = toXlsx([
+      ['백넘버', '선수', '비고', 'Size'],
+      ['23', 'CHOI', '주장', 'xl']
+    ])
+
+    const detected = importer.parse(buffer, 'roster.xlsx')
+    expect(detected.mapping).toMatchObject({ number: '백넘버', name: '선수', topSize: null })
+    expect(detected.errors.map(error => error.field)).toEqual(['topSize', 'bottomSize'])
+
+    const mapped = importer.parse(buffer, 'roster.xlsx', { topSize: 'Size', bottomSize: 'Size' })
+    expect(mapped.players).toEqual([
+      { number: '23', name: 'CHOI', type: 'set', sleeveType: 'short', topSize: 'XL', bottomSize: 'XL' }
+    ])
+
+    expect(() => importer.parse(buffer, 'roster.xlsx', { name: 'Missing' })).toThrow('column "Missing" not found')
+  })
+
+  test('should read back an exported order XLSX', async () => {
+    const parser = new OrderParser({ catalogService: importer.catalogService })
+    const { buffer } = await parser.generateXLSX(createMockOrder({
+      players: [{ number: '10', name: 'KIM', type: 'bottom', sleeveType: 'long', topSize: '', bottomSize: 'S' }]
+    }), 'order.xlsx')
+
+    const result = importer.parse(buffer, 'order.xlsx')
+
+    expect(result.errors).toEqual([])
+    expect(result.players).toEqual([
+      { number: '10', name: 'KIM', type: 'bottom', sleeveType: 'long', topSize: '', bottomSize: 'S' }
+    ])
+  })
+
+  test('should generate a template that imports cleanly', () => {
+    const template = importer.generateTemplate()
+    const workbook = XLSX.read(template, { type: 'buffer' })
+
+    expect(workbook.SheetNames).toEqual(['선수정보', '입력안내'])
+    expect(XLSX.utils.sheet_to_json(workbook.Sheets['선수정보'], { header: 1 })[0]).toEqual(OrderParser.PLAYER_COLUMNS)
+    expect(importer.parse(template, 'template.xlsx').errors).toEqual([])
+  })
+
+  test('should reject unsupported files', () => {
+    expect(() => importer.parse(Buffer.from('hello'), 'roster.txt')).toThrow('Invalid roster: supported formats')
+    expect(() => importer.parse(Buffer.from('a,b\n1,2'), 'roster.csv')).toThrow('Invalid roster: no header row found')
+  })
+})
@@ -0,0 +1,112 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import SessionManager from '../../lib/sessionManager.js'
+import { mockConsole, createMockImageLayer } from '@tests/utils/test-helpers.js'
+
+describe('Session version history', () => {
+  let tempDir
+  let sessionManager
+  let sessionId
+  let restoreConsole
+
+  const readLayerImage = id => fs.readFileSync(path.join(tempDir, sessionId, `${id}.png`), 'utf8')
+
+  beforeEach(async () => {
+    restoreConsole = mockConsole()
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-versions-test-'))
+    sessionManager = new SessionManager({ sessionsDir: tempDir })
+    sessionId = await sessionManager.createSession('127.0.0.1')
+    await sessionManager.updateSession(sessionId, { configuration: { baseColor: '#ff0000' } })
+    await sessionManager.addLayer(sessionId, createMockImageLayer({
+      id: 'layer_logo',
+      type: 'logo',
+      name: 'Team logo',
+      properties: { x: 0.5, y: 0.3, scale: 1 }
+    }), Buffer.from('first logo'))
+  })
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true })
+    restoreConsole()
+  })
+
+  test('should number immutable snapshots and keep images by reference', async () => {
+    const first = await sessionManager.createVersion(sessionId, { label: '1차 제출' })
+    const second = await sessionManager.createVersion(sessionId)
+
+    expect(first).toMatchObject({ version: 1, label: '1차 제출', source: 'submit', layerCount: 1 })
+    expect(second.version).toBe(2)
+
+    const snapshot = await sessionManager.getVersion(sessionId, 1)
+    const [layer] = snapshot.layers
+    expect(layer.imageRef).toMatch(/^versions\/images\/[a-f0-9]{64}\.png$/)
+    expect(fs.readFileSync(path.join(tempDir, sessionId, layer.imageRef), 'utf8')).toBe('first logo')
+
+    // Identical images are stored once
+    expect(fs.readdirSync(path.join(tempDir, sessionId, 'versions', 'images'))).toHaveLength(1)
+    expect((await sessionManager.listVersions(sessionId)).map(v => v.version)).toEqual([1, 2])
+  })
+
+  test('should diff configuration and layers between versions', async () => {
+    await sessionManager.createVersion(sessionId)
+    await sessionManager.updateSession(sessionId, { configuration: { baseColor: '#0000ff', neckType: 'v' } })
+    await sessionManager.updateLayer(sessionId, 'layer_logo', { properties: { x: 0.6, y: 0.3, scale: 1 } })
+    await sessionManager.addLayer(sessionId, createMockImageLayer({ id: 'layer_number', type: 'logo', name: 'Number' }), Buffer.from('10'))
+    await sessionManager.createVersion(sessionId)
+
+    const diff = await sessionManager.diffVersions(sessionId, 1, 2)
+
+    expect(diff.configuration).toEqual([
+      { path: 'baseColor', from: '#ff0000', to: '#0000ff' },
+      { path: 'neckType', from: null, to: 'v' }
+    ])
+    expect(diff.layers.added).toEqual([{ id: 'layer_number', name: 'Number' }])
+    expect(diff.layers.removed).toEqual([])
+    expect(diff.layers.changed).toEqual([
+      { id: 'layer_logo', name: 'Team logo', changes: [{ path: 'properties.x', from: 0.5, to: 0.6 }] }
+    ])
+  })
+
+  test('should restore an earlier version, including its layer images, as a new version', async () => {
+    await sessionManager.createVersion(sessionId)
+    await sessionManager.writeLayerImage(sessionId, 'layer_logo', Buffer.from('second logo'))
+    await sessionManager.updateSession(sessionId, { configuration: { baseColor: '#0000ff' }, history: { undo: [], redo: [] } })
+    await sessionManager.createVersion(sessionId)
+
+    const restored = await sessionManager.restoreVersion(sessionId, 1)
+
+    expect(restored).toMatchObject({ version: 3, source: 'restore', restoredFrom: 1 })
+    const session = await sessionManager.getSession(sessionId)
+    expect(session.configuration.baseColor).toBe('#ff0000')
+    expect(session.history).toBeUndefined()
+    expect(readLayerImage('layer_logo')).toBe('first logo')
+
+    // Version 2 is untouched
+    const second = await sessionManager.getVersion(sessionId, 2)
+    expect(second.configuration.baseColor).toBe('#0000ff')
+  })
+
+  test('should fork a version into a new session', async () => {
+    await sessionManager.createVersion(sessionId)
+    await sessionManager.removeLayer(sessionId, 'layer_logo')
+
+    const { sessionId: forkedId, version } = await sessionManager.forkVersion(sessionId, 1)
+
+    expect(forkedId).not.toBe(sessionId)
+    expect(version).toMatchObject({ version: 1, source: 'fork', forkedFrom: { sessionId, version: 1 } })
+
+    const forked = await sessionManager.getSession(forkedId)
+    expect(forked.forkedFrom).toEqual({ sessionId, version: 1 })
+    expect(forked.layers.map(layer => layer.id)).toEqual(['layer_logo'])
+    expect(fs.readFileSync(path.join(tempDir, forkedId, 'layer_logo.png'), 'utf8')).toBe('first logo')
+    expect((await sessionManager.getSession(sessionId)).layers).toEqual([])
+  })
+
+  test('should report missing versions', async () => {
+    await expect(sessionManager.getVersion(sessionId, 7)).rejects.toThrow('Version not found')
+    await expect(sessionManager.restoreVersion(sessionId, 7)).rejects.toThrow('Version not found')
+    await expect(sessionManager.listVersions('missingsession')).rejects.toThrow('Session not found')
+  })
+})
@@ -0,0 +1,128 @@
+import { describe, test, expect, beforeEach } from 'vitest'
+import SvgSanitizer from '../../lib/svgSanitizer.js'
+import FileValidator from '../../lib/fileValidator.js'
+
+const svgFile = (markup, overrides = {}) => {
+  const buffer = Buffer.from(markup)
+  return { originalname: 'crest.svg', mimetype: 'image/svg+xml', buffer, size: buffer.length, ...overrides }
+}
+
+describe('SvgSanitizer', () => {
+  let sanitizer
+
+  beforeEach(() => {
+    sanitizer = new SvgSanitizer()
+  })
+
+  describe('Detection', () => {
+    test('should detect SVG after an XML prolog, comments and BOM', () => {
+      expect(sanitizer.isSvg(Buffer.from('﻿<?xml version="1.0"?>\n<!-- crest -->\n<svg viewBox="0 0 1 1"/>'))).toBe(true)
+      expect(sanitizer.isSvg('<html><svg/></html>')).toBe(false)
+    })
+  })
+
+  describe('Sanitizing', () => {
+    test('should strip scripts, foreign objects and event handlers', () => {
+      const { svg, removed } = sanitizer.sanitize(
+        '<svg viewBox="0 0 10 10" onload="alert(1)"><script>alert(1)</script>' +
+        '<foreignObject><div xmlns="http://www.w3.org/1999/xhtml">x</div></foreignObject>' +
+        '<circle r="5" onclick="steal()"/></svg>'
+      )
+
+      expect(svg).toBe('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10"><circle r="5"/></svg>')
+      expect(removed).toEqual(expect.arrayContaining(['<script> element', '<foreignObject> element']))
+    })
+
+    test('should keep internal references and drop external ones', () => {
+      const { svg } = sanitizer.sanitize(
+        '<svg xmlns:xlink="http://www.w3.org/1999/xlink">' +
+        '<defs><linearGradient id="g"/></defs>' +
+        '<rect fill="url(#g)"/><rect fill="url(http://evil.test/x)"/>' +
+        '<use xlink:href="#g"/><use href="https://evil.test/a.svg#b"/>' +
+        '<image href="data:image/png;base64,AAAA"/><image href="data:image/svg+xml;base64,AAAA"/>' +
+        '</svg>'
+      )
+
+      expect(svg).toContain('<rect fill="url(#g)"/><rect/>')
+      expect(svg).toContain('<use xlink:href="#g"/><use/>')
+      expect(svg).toContain('<image href="data:image/png;base64,AAAA"/><image/>')
+    })
+
+    test('should sanitize stylesheets', () => {
+      const { svg } = sanitizer.sanitize(
+        '<svg><style>@import url(https://evil.test/a.css); .a { fill: url(#g); background: url(https://evil.test/b.png) }</style></svg>'
+      )
+
+      expect(svg).not.toContain('@import')
+      expect(svg).not.toContain('evil.test')
+      expect(svg).toContain('fill: url(#g)')
+    })
+
+    test('should resolve CSS escapes before looking for external URLs', () => {
+      const { svg, removed } = sanitizer.sanitize(
+        '<svg><style>.a { background: \\75rl(https://evil.test/a.png) }</style>' +
+        '<rect style="fill: u\\rl(https://evil.test/b.png)"/><rect fill="\\75 rl(https://evil.test/c.png)" width="5"/></svg>'
+      )
+
+      expect(svg).not.toContain('evil.test')
+      expect(svg).toContain('<rect width="5"/>')
+      expect(removed).toContain('external reference')
+    })
+
+    test('should catch entity-encoded javascript URLs', () => {
+      const { svg } = sanitizer.sanitize('<svg><rect fill="&#106;avascript:alert(1)" width="5"/></svg>')
+
+      expect(svg).toBe('<svg xmlns="http://www.w3.org/2000/svg"><rect width="5"/></svg>')
+    })
+
+    test('should expand plain doctype entities and drop the doctype', () => {
+      const { svg } = sanitizer.sanitize(
+        '<!DOCTYPE svg [<!ENTITY ns_svg "http://www.w3.org/2000/svg">]><svg xmlns="&ns_svg;"><text>A &amp; B</text></svg>'
+      )
+
+      expect(svg).toBe('<svg xmlns="http://www.w3.org/2000/svg"><text>A &amp; B</text></svg>')
+    })
+
+    test('should reject malformed markup and non-SVG documents', () => {
+      expect(() => sanitizer.sanitize('<svg><rect></svg>')).toThrow('Malformed SVG markup')
+      expect(() => sanitizer.sanitize('<html><body/></html>')).toThrow('Not an SVG document')
+    })
+  })
+
+  describe('FileValidator integration', () => {
+    let validator
+
+    beforeEach(() => {
+      validator = new FileValidator()
+    })
+
+    test('should accept SVG uploads and replace the buffer with sanitized markup', () => {
+      const file = svgFile('<svg viewBox="0 0 10 10"><script>alert(1)</script><circle r="5"/></svg>')
+      const result = validator.validateFile(file)
+
+      expect(result.isValid).toBe(true)
+      expect(result.fileInfo.detectedType).toBe('image/svg+xml')
+      expect(file.buffer.toString()).not.toContain('<script')
+      expect(result.warnings[0]).toContain('SVG sanitized')
+    })
+
+    test('should reject SVG content uploaded under a raster MIME type', () => {
+      const result = validator.validateFile(svgFile('<svg><circle r="5"/></svg>', { originalname: 'crest.png', mimetype: 'image/png' }))
+
+      expect(result.isValid).toBe(false)
+      expect(result.errors[0]).toContain('Content is image/svg+xml')
+    })
+
+    test('should flag unsafe SVG content in the content scan', () => {
+      const scan = validator.scanContent(Buffer.from('<svg><foreignObject/></svg>'), { detectedType: 'image/svg+xml' })
+
+      expect(scan.safe).toBe(false)
+    })
+
+    test('should flag escaped url() references in the content scan', () => {
+      const scan = validator.scanContent(Buffer.from('<svg><rect style="fill: \\75rl(https://evil.test/x.png)"/></svg>'), { detectedType: 'image/svg+xml' })
+
+      expect(scan.safe).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,112 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest'
+import { TeamPaletteManager, PALETTE_PRESETS } from '../../lib/client/TeamPaletteManager.js'
+import { HistoryManager } from '../../lib/client/HistoryManager.js'
+import { mockConsole } from '@tests/utils/test-helpers.js'
+
+const palette = { id: 'test', name: 'Test', colors: ['#1b2a4a', '#ffffff', '#c8102e'] }
+
+const controlIds = [
+  'pattern-color-1', 'pattern-color-2', 'pattern-color-3', 'pattern-color-4',
+  'neck-color-1', 'neck-color-2', 'pants-color-1', 'pants-color-2',
+  'names-texture-color', 'names-outline-color', 'numbers-texture-color', 'numbers-outline-color'
+]
+
+describe('TeamPaletteManager', () => {
+  let restoreConsole
+
+  beforeEach(() => {
+    restoreConsole = mockConsole()
+    document.body.innerHTML = `
+      <select id="team-palette-select"></select>
+      <div id="team-palette-swatches"></div>
+      <button id="team-palette-delete-btn"></button>
+      <input type="text" id="team-palette-name">
+      ${controlIds.map(id => `<input type="color" id="${id}" value="#808080">`).join('')}
+    `
+  })
+
+  afterEach(() => {
+    restoreConsole()
+  })
+
+  test('should assign palette colors across every zone', () => {
+    const assignments = TeamPaletteManager.getAssignments(palette, 4)
+
+    expect(assignments).toMatchObject({
+      'pattern-color-1': '#1b2a4a',
+      'pattern-color-3': '#c8102e',
+      'pattern-color-4': '#1b2a4a',
+      'neck-color-1': '#ffffff',
+      'neck-color-2': '#c8102e',
+      'pants-color-1': '#1b2a4a',
+      'pants-color-2': '#ffffff',
+      // White reads best on navy, outlined in the palette color that contrasts with white
+      'names-texture-color': '#ffffff',
+      'names-outline-color': '#1b2a4a',
+      'numbers-texture-color': '#ffffff'
+    })
+
+    // Single-color palettes fall back to black or white lettering
+    expect(TeamPaletteManager.getAssignments({ colors: ['#ffff00'] }, 1)['names-texture-color']).toBe('#000000')
+  })
+
+  test('should extract distinct dominant colors from logo pixels', () => {
+    const pixel = (rgba, count) => Array.from({ length: count }, () => rgba).flat()
+    const data = new Uint8ClampedArray([
+      ...pixel([200, 16, 46, 255], 50),
+      ...pixel([0, 0, 0, 0], 100),
+      // Anti-aliased shade of the red
+      ...pixel([205, 20, 50, 255], 5),
+      ...pixel([27, 42, 74, 255], 20),
+      ...pixel([255, 255, 255, 255], 10)
+    ])
+
+    expect(TeamPaletteManager.extractDominantColors({ data, width: 185, height: 1 }))
+      .toEqual(['#c8102e', '#1b2a4a', '#ffffff'])
+    expect(TeamPaletteManager.extractDominantColors({ data, width: 185, height: 1 }, 1)).toEqual(['#c8102e'])
+  })
+
+  test('should apply a palette as one undoable history step', () => {
+    const historyManager = new HistoryManager()
+    historyManager.registerHandler('control', {
+      applyHistoryCommand: (command, direction) => {
+        document.getElementById(command.controlId).value = direction === 'undo' ? command.before : command.after
+      }
+    })
+    const manager = new TeamPaletteManager({ historyManager, getPatternLayerCount: () => 3 })
+    let changeEvents = 0
+    document.getElementById('pants-color-1').addEventListener('change', () => changeEvents++)
+
+    expect(manager.applyPalette(palette)).toBe(11)
+    expect(document.getElementById('pants-color-1').value).toBe('#1b2a4a')
+    expect(document.getElementById('pattern-color-4').value).toBe('#808080')
+    expect(changeEvents).toBe(1)
+
+    historyManager.undo()
+    expect(controlIds.map(id => document.getElementById(id).value).every(value => value === '#808080')).toBe(true)
+    expect(historyManager.canUndo()).toBe(false)
+  })
+
+  test('should save current colors for the session and restore them', () => {
+    const manager = new TeamPaletteManager({ getPatternLayerCount: () => 2 })
+    manager.initialize()
+    expect(manager.elements.select.options).toHaveLength(PALETTE_PRESETS.length)
+
+    document.getElementById('pattern-color-1').value = '#112233'
+    document.getElementById('team-palette-name').value = 'Home Kit'
+    const saved = manager.saveCurrentColors()
+
+    expect(saved.colors).toEqual(['#112233', '#808080'])
+    expect(manager.elements.select.value).toBe(saved.id)
+    expect(document.querySelectorAll('.team-palette-swatch')).toHaveLength(2)
+    expect(manager.elements.deleteButton.disabled).toBe(false)
+
+    const restored = new TeamPaletteManager()
+    restored.setSavedPalettes([...manager.getSavedPalettes(), { name: 'Broken', colors: ['red'] }, null])
+    expect(restored.getSavedPalettes()).toEqual([saved])
+
+    restored.elements.select.value = saved.id
+    restored.deleteSelectedPalette()
+    expect(restored.getSavedPalettes()).toEqual([])
+  })
+})
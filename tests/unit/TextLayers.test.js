@@ -0,0 +1,158 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest'
+import sharp from 'sharp'
+import PrintExporter from '../../lib/printExporter.js'
+import { TextRenderer, MAX_TEXT_OUTLINES } from '@client/TextRenderer.js'
+import { UIManager } from '@client/UIManager.js'
+import { mockConsole } from '@tests/utils/test-helpers.js'
+
+describe('Rich text layers', () => {
+  let renderer
+  let restoreConsole
+
+  const lastContext = () => HTMLCanvasElement.prototype.getContext.mock.results.at(-1).value
+
+  beforeEach(() => {
+    restoreConsole = mockConsole()
+    renderer = new TextRenderer()
+  })
+
+  afterEach(() => {
+    renderer.clearCache()
+    restoreConsole()
+  })
+
+  test('should clamp the style and drop invalid outlines, shadows and warps', () => {
+    const style = TextRenderer.normalizeStyle({
+      text: 'TIGERS\r\nFC',
+      color: '#FF0000',
+      fontSize: 40,
+      fontFamily: 'Comic Sans',
+      letterSpacing: 5,
+      outlines: [
+        { color: '#000000', width: 3 },
+        { color: 'red', width: 2 },
+        { color: '#ffffff', width: 0 },
+        { color: '#111111', width: 99 },
+        { color: '#222222', width: 1 },
+        { color: '#333333', width: 1 }
+      ],
+      shadow: { color: 'black', offsetX: 2 },
+      warp: { type: 'twist', amount: 50 }
+    })
+
+    expect(style.text).toBe('TIGERS\nFC')
+    expect(style.color).toBe('#ff0000')
+    expect(style.fontFamily).toBe('Comic Sans')
+    expect(style.letterSpacing).toBe(1)
+    expect(style.outlines).toHaveLength(MAX_TEXT_OUTLINES)
+    expect(style.outlines[1]).toEqual({ color: '#111111', width: 40 })
+    expect(style.shadow).toBeNull()
+    expect(style.warp).toEqual({ type: 'none', amount: 0 })
+  })
+
+  test('should size the canvas to spaced lines plus stacked outlines', () => {
+    // Mocked glyphs are 50px wide; 0.1em spacing at 40px adds 4px between them
+    const canvas = renderer.render({
+      text: 'AB\nC',
+      fontSize: 40,
+      letterSpacing: 0.1,
+      outlines: [{ color: '#000000', width: 3 }, { color: '#ffffff', width: 2 }]
+    })
+
+    expect(canvas.width).toBe(104 + 5 * 2 + 4 * 2)
+    expect(canvas.height).toBe(Math.ceil(48 + 24 * 2 + 5 * 2 + 4 * 2))
+
+    // Outlines and fill are drawn per glyph, both outline passes before the fill pass
+    const ctx = lastContext()
+    expect(ctx.strokeText).toHaveBeenCalledTimes(3 * 2)
+    expect(ctx.fillText).toHaveBeenCalledTimes(3 * 3)
+    expect(ctx.strokeText.mock.invocationCallOrder.at(-1))
+      .toBeLessThan(ctx.fillText.mock.invocationCallOrder.at(-1))
+
+    expect(renderer.render({ text: 'AB\nC', fontSize: 40, letterSpacing: 0.1, outlines: [{ color: '#000000', width: 3 }, { color: '#ffffff', width: 2 }] }))
+      .toBe(canvas)
+  })
+
+  test('should bend arcs symmetrically up or down and rotate the glyphs along them', () => {
+    const lines = [{ chars: ['A', 'B', 'C'], widths: [50, 50, 50], offsets: [0, 50, 100], width: 150 }]
+    const style = (amount) => TextRenderer.normalizeStyle({ fontSize: 40, warp: { type: 'arc', amount } })
+
+    const up = TextRenderer.placeGlyphs(lines, style(50))
+    expect(up[1]).toMatchObject({ x: 0, y: 0, angle: 0 })
+    expect(up[0].x).toBeCloseTo(-up[2].x)
+    expect(up[0].y).toBeGreaterThan(0)
+    expect(up[2].angle).toBeGreaterThan(0)
+    expect(up[0].angle).toBeCloseTo(-up[2].angle)
+
+    const down = TextRenderer.placeGlyphs(lines, style(-50))
+    expect(down[0].y).toBeLessThan(0)
+    expect(down[2].angle).toBeLessThan(0)
+
+    const flat = TextRenderer.placeGlyphs(lines, style(0))
+    expect(flat.map(glyph => glyph.x)).toEqual([-50, 0, 50])
+  })
+
+  test('should warp bridge and vertical arch text column by column', () => {
+    const source = document.createElement('canvas')
+    source.width = 40
+    source.height = 20
+
+    const arched = TextRenderer.warpColumns(source, { type: 'vertical-arch', amount: 100 })
+    expect(arched.height).toBe(30)
+    const ctx = lastContext()
+    expect(ctx.drawImage).toHaveBeenCalledTimes(40)
+    // Columns keep their height; the middle column is lifted to the top
+    expect(ctx.drawImage.mock.calls[20][8]).toBe(20)
+    expect(ctx.drawImage.mock.calls[20][6]).toBeLessThan(ctx.drawImage.mock.calls[0][6])
+
+    TextRenderer.warpColumns(source, { type: 'bridge', amount: 100 })
+    const bridgeCalls = lastContext().drawImage.mock.calls
+    // Bridge columns all reach the baseline
+    bridgeCalls.forEach(call => expect(call[6] + call[8]).toBeCloseTo(30))
+
+    expect(TextRenderer.warpColumns(source, { type: 'bridge', amount: 0 })).toBe(source)
+  })
+
+  test('should round-trip outline, shadow and warp controls in the layer panel', () => {
+    const ui = Object.create(UIManager.prototype)
+    const container = document.createElement('div')
+    const layer = {
+      outlines: [{ color: '#000000', width: 4 }],
+      shadow: { color: '#333333', offsetX: 2, offsetY: 3, blur: 1 },
+      warp: { type: 'arc', amount: 40 }
+    }
+
+    ui.renderTextStyleControls(container, layer)
+    expect(ui.readTextStyleControls(container)).toEqual(layer)
+
+    ui.renderTextStyleControls(container, { outlines: [{}, {}, {}].map(() => ({ color: '#ffffff', width: 1 })), locked: true })
+    expect(container.querySelector('.text-outline-add').disabled).toBe(true)
+    expect(ui.readTextStyleControls(container).shadow).toBeNull()
+    expect(container.querySelector('select').disabled).toBe(true)
+  })
+
+  test('should print outlined, arched text in the print export', async () => {
+    const exporter = new PrintExporter({ sessionsDir: '/tmp', sessionManager: {} })
+    const layer = exporter.normalizeLayer({
+      type: 'text',
+      text: 'TIGERS',
+      fontSize: 48,
+      color: '#ff0000',
+      outlines: [{ color: '#000000', width: 3 }, { color: 'nope', width: 3 }],
+      shadow: { color: '#000000', offsetX: 4, offsetY: 4, blur: 2 },
+      warp: { type: 'arc', amount: 60 }
+    })
+
+    expect(layer.outlines).toEqual([{ color: '#000000', width: 3 }])
+    expect(layer.warp).toEqual({ type: 'arc', amount: 60 })
+
+    const glyphs = exporter.placeTextGlyphs(layer, 48)
+    expect(glyphs).toHaveLength(6)
+    expect(glyphs[0].angle).toBeCloseTo(-glyphs[5].angle)
+    expect(glyphs[0].y).toBeGreaterThan(glyphs[2].y)
+
+    const image = await exporter.renderTextLayer(layer, 1)
+    const { channels } = await sharp(image).stats()
+    expect(channels[3].max).toBe(255)
+  })
+})
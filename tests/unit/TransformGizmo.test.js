@@ -0,0 +1,171 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest'
+import { TransformGizmo, SNAP_PIECES, MAX_LAYER_SCALE } from '@client/TransformGizmo.js'
+import { InteractionManager } from '@client/InteractionManager.js'
+import { LayerManager } from '@client/LayerManager.js'
+import { mockConsole } from '@tests/utils/test-helpers.js'
+
+const TEXTURE_SIZE = 1000
+
+describe('Transform gizmo', () => {
+  let gizmo
+  let restoreConsole
+
+  // 200×100 layer centered at (500, 500), unrotated
+  const frame = TransformGizmo.getFrame({ position: { x: 0.5, y: 0.5 }, rotation: 0 }, { width: 200, height: 100 }, TEXTURE_SIZE)
+
+  beforeEach(() => {
+    restoreConsole = mockConsole()
+    gizmo = new TransformGizmo()
+  })
+
+  afterEach(() => {
+    restoreConsole()
+  })
+
+  test('should hit corners, the rotate knob and the body of a rotated frame', () => {
+    expect(gizmo.hitTest(frame, { x: 400, y: 450 }, TEXTURE_SIZE)).toBe('nw')
+    expect(gizmo.hitTest(frame, { x: 603, y: 552 }, TEXTURE_SIZE)).toBe('se')
+    expect(gizmo.hitTest(frame, { x: 500, y: 450 - gizmo.getHandleSize(TEXTURE_SIZE) * 4 }, TEXTURE_SIZE)).toBe('rotate')
+    expect(gizmo.hitTest(frame, { x: 520, y: 510 }, TEXTURE_SIZE)).toBe('move')
+    expect(gizmo.hitTest(frame, { x: 700, y: 500 }, TEXTURE_SIZE)).toBeNull()
+
+    // A quarter turn puts the top-left corner at the top-right of the texture box
+    const rotated = { ...frame, angle: Math.PI / 2 }
+    expect(gizmo.hitTest(rotated, { x: 550, y: 400 }, TEXTURE_SIZE)).toBe('nw')
+    expect(gizmo.hitTest(rotated, { x: 500, y: 590 }, TEXTURE_SIZE)).toBe('move')
+
+    // Touch uses a wider radius
+    expect(gizmo.hitTest(frame, { x: 388, y: 450 }, TEXTURE_SIZE)).toBeNull()
+    expect(gizmo.hitTest(frame, { x: 388, y: 450 }, TEXTURE_SIZE, 2)).toBe('nw')
+  })
+
+  test('should scale uniformly when locked and stretch width separately when unlocked', () => {
+    const start = { scale: 1, aspect: 1, local: { x: 100, y: 50 } }
+
+    expect(TransformGizmo.scaleFromDrag(start, { x: 200, y: 100 }, true)).toEqual({ scale: 2, aspect: 1 })
+    expect(TransformGizmo.scaleFromDrag(start, { x: 10000, y: 5000 }, true).scale).toBe(MAX_LAYER_SCALE)
+
+    const stretched = TransformGizmo.scaleFromDrag(start, { x: 150, y: 50 }, false)
+    expect(stretched).toEqual({ scale: 1, aspect: 1.5 })
+
+    // Dragging the opposite corner works the same way
+    expect(TransformGizmo.scaleFromDrag({ ...start, local: { x: -100, y: -50 } }, { x: -100, y: -100 }, false))
+      .toEqual({ scale: 2, aspect: 0.5 })
+  })
+
+  test('should snap rotation to 45° and to 15° steps with the modifier', () => {
+    const center = { x: 500, y: 500 }
+
+    expect(TransformGizmo.rotationFromDrag(center, { x: 500, y: 400 })).toBe(0)
+    expect(TransformGizmo.rotationFromDrag(center, { x: 600, y: 500 })).toBe(90)
+    expect(TransformGizmo.rotationFromDrag(center, { x: 400, y: 500 })).toBe(270)
+
+    // 47° is close enough to snap to 45°, 30° is not
+    const at = degrees => ({ x: 500 + Math.sin(degrees * Math.PI / 180) * 100, y: 500 - Math.cos(degrees * Math.PI / 180) * 100 })
+    expect(TransformGizmo.rotationFromDrag(center, at(47))).toBe(45)
+    expect(TransformGizmo.rotationFromDrag(center, at(30))).toBe(30)
+    expect(TransformGizmo.rotationFromDrag(center, at(37), true)).toBe(30)
+  })
+
+  test('should snap to piece centerlines and other layers and report guides', () => {
+    const frontCenter = (SNAP_PIECES.front[0] + SNAP_PIECES.front[2]) / 2
+    const targets = TransformGizmo.getSnapTargets([{ left: 0.6, right: 0.7, top: 0.3, bottom: 0.35 }])
+    const boundsAt = position => ({ left: position.x - 0.05, right: position.x + 0.05, top: position.y - 0.02, bottom: position.y + 0.02 })
+
+    const position = { x: frontCenter + 0.004, y: 0.8 }
+    const snapped = gizmo.snapPosition(position, boundsAt(position), targets)
+    expect(snapped.position.x).toBeCloseTo(frontCenter)
+    expect(snapped.position.y).toBe(0.8)
+    expect(snapped.guides).toEqual([{ axis: 'x', value: frontCenter }])
+
+    // Edges line up with another layer's edges
+    const beside = { x: 0.549, y: 0.323 }
+    const aligned = gizmo.snapPosition(beside, boundsAt(beside), targets)
+    expect(aligned.position.x).toBeCloseTo(0.55)
+    expect(aligned.position.y).toBeCloseTo(0.325)
+    expect(aligned.guides.map(guide => guide.axis)).toEqual(['x', 'y'])
+  })
+
+  test('should rotate and scale the selected layer from its handles as one undo step', () => {
+    const layer = { id: 'logo', name: 'Logo', visible: true, locked: false, position: { x: 0.5, y: 0.5 }, scale: 1, aspect: 1, rotation: 0 }
+    const uvs = []
+    const layerManager = {
+      selectionGizmo: gizmo,
+      textureCanvas: { width: TEXTURE_SIZE },
+      history: { beginGroup: vi.fn(), endGroup: vi.fn() },
+      getSelectedLayer: () => layer,
+      getSelectedLayers: () => [layer],
+      getLayerFrame: target => TransformGizmo.getFrame(target, { width: 200 * target.scale * target.aspect, height: 100 * target.scale }, TEXTURE_SIZE),
+      getLayerAtPosition: vi.fn(() => layer),
+      updateLayer: vi.fn((id, update) => Object.assign(layer, update)),
+      updateTexture: vi.fn()
+    }
+    const sceneManager = {
+      renderer: { domElement: document.createElement('canvas') },
+      getIntersection: () => ({ uv: uvs.shift() }),
+      setControlsEnabled: vi.fn()
+    }
+    const interaction = new InteractionManager(sceneManager, layerManager)
+    interaction.moveLayerEnabled = true
+
+    // Drag the rotate knob a quarter turn
+    uvs.push({ x: 0.5, y: (450 - gizmo.getHandleSize(TEXTURE_SIZE) * 4) / TEXTURE_SIZE }, { x: 0.7, y: 0.5 })
+    interaction.handlePointerDown({ x: 0, y: 0 })
+    expect(interaction.dragHandle).toBe('rotate')
+    interaction.handlePointerMove({ x: 0, y: 0 })
+    interaction.endDrag()
+    expect(layer.rotation).toBe(90)
+    expect(layerManager.history.beginGroup).toHaveBeenCalledWith('Rotate Logo')
+    expect(layerManager.history.endGroup).toHaveBeenCalledTimes(1)
+    expect(layerManager.getLayerAtPosition).not.toHaveBeenCalled()
+
+    // Unlocked corner drag stretches the width only; Shift flips the lock back on
+    layer.rotation = 0
+    interaction.aspectLocked = false
+    uvs.push({ x: 0.6, y: 0.55 }, { x: 0.65, y: 0.55 })
+    interaction.handlePointerDown({ x: 0, y: 0 })
+    interaction.handlePointerMove({ x: 0, y: 0 })
+    interaction.endDrag()
+    expect(layer).toMatchObject({ scale: 1, aspect: 1.5 })
+
+    uvs.push({ x: 0.65, y: 0.55 }, { x: 0.8, y: 0.6 })
+    interaction.handlePointerDown({ x: 0, y: 0 })
+    interaction.handlePointerMove({ x: 0, y: 0 }, { shiftKey: true })
+    interaction.endDrag()
+    expect(layer).toMatchObject({ scale: 2, aspect: 1.5 })
+  })
+
+  test('should hide the handles while a snapshot is captured', () => {
+    const layerManager = Object.create(LayerManager.prototype)
+    layerManager.selectionGizmo = gizmo
+    layerManager.textureCanvas = document.createElement('canvas')
+    layerManager.textureCanvas.width = TEXTURE_SIZE
+    layerManager.textureCanvas.height = TEXTURE_SIZE
+    layerManager.textureContext = layerManager.textureCanvas.getContext('2d')
+    layerManager.texture = { needsUpdate: false }
+    layerManager.selectedLayer = { id: 'logo', visible: true, locked: false, position: { x: 0.5, y: 0.5 }, scale: 1, rotation: 0, image: { width: 200, height: 100 } }
+
+    layerManager.drawSelectionGizmo()
+    expect(layerManager.gizmoBackup).toMatchObject({ x: expect.any(Number), y: expect.any(Number) })
+    const ctx = layerManager.textureContext
+    ctx.putImageData.mockClear()
+    ctx.fillRect.mockClear()
+
+    const snapshot = layerManager.withoutSelectionGizmo(() => {
+      expect(ctx.putImageData).toHaveBeenCalledTimes(1)
+      expect(ctx.fillRect).not.toHaveBeenCalled()
+      return 'snapshot'
+    })
+
+    expect(snapshot).toBe('snapshot')
+    // Handles are drawn again afterwards
+    expect(ctx.fillRect).toHaveBeenCalledTimes(4)
+    expect(layerManager.texture.needsUpdate).toBe(true)
+
+    // Locked layers show no handles and snapshots run untouched
+    layerManager.selectedLayer.locked = true
+    layerManager.drawSelectionGizmo()
+    expect(layerManager.gizmoBackup).toBeNull()
+    expect(layerManager.withoutSelectionGizmo(() => 'plain')).toBe('plain')
+  })
+})
@@ -0,0 +1,168 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest'
+import { UvIslands, PLACEMENT_PRESETS } from '@client/UvIslands.js'
+import { LayerManager } from '@client/LayerManager.js'
+import { HistoryManager } from '@client/HistoryManager.js'
+import { mockConsole } from '@tests/utils/test-helpers.js'
+
+// Quad as two triangles with their own vertices
+const quad = (left, top, right, bottom) => [left, top, right, top, right, bottom, left, top, right, bottom, left, bottom]
+
+// Minimal stand-ins for three.js meshes (three is mocked in the test setup)
+const meshWithUvs = (name, uvs) => ({
+  isMesh: true,
+  visible: true,
+  name,
+  geometry: {
+    index: null,
+    attributes: {
+      uv: { count: uvs.length / 2, getX: i => uvs[i * 2], getY: i => uvs[i * 2 + 1] }
+    }
+  }
+})
+
+const modelOf = (...meshes) => ({
+  children: meshes,
+  traverse (callback) {
+    meshes.forEach(callback)
+  }
+})
+
+describe('UV islands', () => {
+  let restoreConsole
+
+  beforeEach(() => {
+    restoreConsole = mockConsole()
+  })
+
+  afterEach(() => {
+    restoreConsole()
+  })
+
+  test('should split visible garment meshes into islands per piece', () => {
+    const hidden = meshWithUvs('reg_long_arms', quad(0.0, 0.5, 0.5, 0.9))
+    hidden.visible = false
+    const model = modelOf(
+      // Two sleeves plus an unwelded fragment inside the first one
+      meshWithUvs('reg_short_arms', [...quad(0.7, 0.6, 0.8, 0.8), ...quad(0.5, 0.6, 0.6, 0.8), ...quad(0.55, 0.65, 0.58, 0.7)]),
+      meshWithUvs('reg_u_body', quad(0.0, 0.1, 0.3, 0.45)),
+      hidden
+    )
+
+    const islands = UvIslands.fromModel(model)
+
+    expect(islands.islands.map(island => [island.piece, island.index])).toEqual([['front', 0], ['arms', 0], ['arms', 1]])
+    expect(islands.getIsland('arms', 0).bounds).toMatchObject({ left: 0.5, right: 0.6 })
+    expect(islands.getIsland('arms', 0).triangles).toHaveLength(24)
+    expect(islands.getIsland('arms', -1).bounds.left).toBeCloseTo(0.7)
+
+    expect(UvIslands.getMeshPiece('setin_back_body')).toBe('back')
+    expect(UvIslands.getMeshPiece('reg_u_v_body')).toBe('front')
+    expect(UvIslands.getMeshPiece('reg_cft_d')).toBe('neck')
+    expect(UvIslands.getMeshPiece('pants_1')).toBe('pants')
+    expect(UvIslands.getMeshPiece('Scene')).toBeNull()
+
+    // Nothing visible: the default layout
+    model.children.forEach(child => { child.visible = false })
+    expect(UvIslands.fromModel(model).getPieceIslands('arms')).toHaveLength(2)
+  })
+
+  test('should hit-test triangles and round-trip anchors', () => {
+    // Right triangle covering the lower-left half of its bounds
+    const islands = new UvIslands([{ piece: 'back', bounds: { left: 0, top: 0, right: 0.4, bottom: 0.4 }, triangles: [0, 0, 0, 0.4, 0.4, 0.4] }])
+    const island = islands.getIsland('back')
+
+    expect(islands.islandAt({ x: 0.1, y: 0.3 })).toBe(island)
+    expect(islands.islandAt({ x: 0.3, y: 0.1 })).toBeNull()
+    expect(islands.islandAt({ x: 0.1, y: 0.3 }, 'front')).toBeNull()
+
+    const anchor = islands.toAnchor(island, { x: 0.1, y: 0.3 })
+    expect(anchor).toEqual({ piece: 'back', island: 0, x: 0.25, y: 0.75 })
+    expect(islands.fromAnchor(anchor)).toEqual({ x: 0.1, y: expect.closeTo(0.3) })
+    expect(islands.fromAnchor({ ...anchor, piece: 'pants' })).toBeNull()
+  })
+
+  describe('LayerManager', () => {
+    let layerManager
+    let history
+
+    beforeEach(() => {
+      layerManager = new LayerManager()
+      history = new HistoryManager()
+      layerManager.setHistoryManager(history)
+      layerManager.initializeTexture(1000, 1000)
+    })
+
+    afterEach(() => {
+      layerManager.dispose()
+    })
+
+    const addLogo = () => layerManager.addLogoLayer({ width: 100, height: 50 }, 'Crest')
+
+    test('should place, size and anchor layers with presets', () => {
+      const layer = addLogo()
+      const front = layerManager.uvIslands.getIsland('front')
+      const preset = PLACEMENT_PRESETS['left-chest']
+
+      expect(layerManager.applyPlacementPreset(layer.id, 'left-chest')).toBe(true)
+
+      expect(layer.anchor).toEqual({ piece: 'front', island: 0, x: preset.x, y: preset.y })
+      expect(layer.position.x).toBeCloseTo(front.bounds.left + preset.x * (front.bounds.right - front.bounds.left))
+      expect(layer.scale).toBeCloseTo((front.bounds.right - front.bounds.left) * preset.width * 1000 / 100, 2)
+      expect(layerManager.crossesSeam(layer)).toBe(false)
+
+      // One undo step restores the free layer
+      history.undo()
+      expect(layer.anchor).toBeUndefined()
+      expect(layer.position).toEqual({ x: 0, y: 0 })
+
+      expect(layerManager.applyPlacementPreset(layer.id, 'nowhere')).toBe(false)
+    })
+
+    test('should re-anchor moved layers and follow their piece to new islands', () => {
+      const layer = addLogo()
+      layerManager.anchorLayer(layer.id, 'arms')
+      const sleeve = layerManager.uvIslands.getIsland('arms', 0)
+      expect(layer.position.x).toBeCloseTo((sleeve.bounds.left + sleeve.bounds.right) / 2)
+
+      // Dragging onto the other sleeve switches islands
+      layerManager.updateLayer(layer.id, { position: { x: 0.87, y: 0.7 } })
+      expect(layer.anchor).toMatchObject({ piece: 'arms', island: 1 })
+
+      // Long sleeves sit elsewhere in UV space; the layer keeps its spot on the sleeve
+      const anchor = { ...layer.anchor }
+      layerManager.setUvIslands(UvIslands.fromRegions([
+        { piece: 'arms', bounds: [0.03, 0.49, 0.26, 0.9] },
+        { piece: 'arms', bounds: [0.27, 0.49, 0.5, 0.9] }
+      ]))
+      expect(layer.position.x).toBeCloseTo(0.27 + anchor.x * 0.23)
+      expect(layer.position.y).toBeCloseTo(0.49 + anchor.y * 0.41)
+
+      layerManager.anchorLayer(layer.id, null)
+      expect(layer.anchor).toBeNull()
+    })
+
+    test('should clip anchored layers to their island and flag seam crossings', () => {
+      const layer = addLogo()
+      layerManager.applyPlacementPreset(layer.id, 'center-back')
+      expect(layerManager.crossesSeam(layer)).toBe(false)
+
+      layerManager.updateLayer(layer.id, { scale: 3 })
+      expect(layerManager.crossesSeam(layer)).toBe(true)
+
+      const mask = layerManager.uvIslands.getMask(layerManager.getLayerIsland(layer), 1000, 1000)
+      layerManager.drawLayer(layer)
+      const clipContext = HTMLCanvasElement.prototype.getContext.mock.results.at(-1).value
+      // The layer is drawn into the scratch canvas, masked, then copied onto the texture
+      expect(clipContext.globalCompositeOperation).toBe('destination-in')
+      expect(clipContext.drawImage.mock.calls.at(-1)[0]).toBe(mask)
+      expect(layerManager.textureContext.drawImage.mock.calls.at(-1)[0]).toBe(layerManager.clipCanvas)
+
+      // Free layers are drawn straight onto the texture and only flagged when on an island
+      layerManager.anchorLayer(layer.id, null)
+      expect(layerManager.getLayerIsland(layer)).toBeNull()
+      expect(layerManager.crossesSeam(layer)).toBe(true)
+      layerManager.updateLayer(layer.id, { position: { x: 0.99, y: 0.99 } })
+      expect(layerManager.crossesSeam(layer)).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,144 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import sharp from 'sharp'
+import WorkerPool from '../../lib/workerPool.js'
+import JobQueue from '../../lib/jobQueue.js'
+import PrintExporter from '../../lib/printExporter.js'
+import { mockConsole } from '@tests/utils/test-helpers.js'
+
+const IMAGE_WORKER = path.resolve(__dirname, '../../lib/imageWorker.js')
+
+// Echoes its message after `delay` ms; `crash` exhausts the worker's heap
+const TEST_WORKER = `
+const { parentPort } = require('worker_threads')
+parentPort.on('message', ({ taskId, message }) => {
+  if (message.crash) {
+    const hog = []
+    for (;;) hog.push(new Array(100000).fill(Math.random()))
+  }
+  if (message.fail) return parentPort.postMessage({ taskId, error: { message: message.fail } })
+  setTimeout(() => parentPort.postMessage({ taskId, result: message }), message.delay || 0)
+})
+`
+
+describe('WorkerPool', () => {
+  let tempDir
+  let pools
+  let restoreConsole
+
+  beforeEach(() => {
+    restoreConsole = mockConsole()
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worker-pool-test-'))
+    fs.writeFileSync(path.join(tempDir, 'worker.js'), TEST_WORKER)
+    pools = []
+  })
+
+  afterEach(async () => {
+    await Promise.all(pools.map(pool => pool.close()))
+    fs.rmSync(tempDir, { recursive: true, force: true })
+    restoreConsole()
+  })
+
+  const createPool = (options = {}) => {
+    const pool = new WorkerPool({ script: path.join(tempDir, 'worker.js'), size: 2, ...options })
+    pools.push(pool)
+    return pool
+  }
+
+  test('should run at most size tasks at once and report utilization', async () => {
+    const pool = createPool()
+    const tasks = [1, 2, 3].map(id => pool.run({ id, delay: 100 }))
+
+    expect(pool.getStats()).toMatchObject({ size: 2, workers: 2, busy: 2, queued: 1, utilization: 1 })
+    expect(await Promise.all(tasks)).toEqual([1, 2, 3].map(id => ({ id, delay: 100 })))
+
+    await expect(pool.run({ fail: 'Bad image' })).rejects.toThrow('Bad image')
+    const stats = pool.getStats()
+    expect(stats).toMatchObject({ workers: 2, busy: 0, idle: 2, queued: 0, utilization: 0, completedTasks: 3, failedTasks: 1 })
+    expect(stats.averageUtilization).toBeGreaterThan(0)
+  })
+
+  test('should stop the worker of a cancelled task and replace it', async () => {
+    const pool = createPool({ size: 1 })
+    const running = new AbortController()
+    const queued = new AbortController()
+
+    const slow = pool.run({ delay: 60000 }, { signal: running.signal })
+    const waiting = pool.run({ id: 'waiting' }, { signal: queued.signal })
+    const next = pool.run({ id: 'next' })
+    const [first] = pool.workers
+
+    queued.abort()
+    await expect(waiting).rejects.toMatchObject({ name: 'AbortError' })
+    running.abort(new Error('Job timed out after 100ms'))
+    await expect(slow).rejects.toThrow('Job timed out after 100ms')
+
+    expect(await next).toEqual({ id: 'next' })
+    expect(pool.workers).toHaveLength(1)
+    expect(pool.workers[0]).not.toBe(first)
+    expect(pool.getStats().cancelledTasks).toBe(2)
+  })
+
+  test('should fail the task of a worker that runs out of memory', async () => {
+    const pool = createPool({ size: 1, resourceLimits: { maxOldGenerationSizeMb: 16 } })
+
+    await expect(pool.run({ crash: true })).rejects.toMatchObject({ code: 'ERR_WORKER_OUT_OF_MEMORY' })
+    expect(pool.getStats()).toMatchObject({ workers: 0, crashedWorkers: 1 })
+    expect(await pool.run({ id: 'after' })).toEqual({ id: 'after' })
+  }, 20000)
+
+  test('should cancel timed out jobs through the job queue', async () => {
+    const pool = createPool({ size: 1 })
+    const queue = new JobQueue({ maxConcurrentJobs: 1, jobTimeoutMs: 100 })
+    queue.registerProcessor('slow', (data, id, onProgress, signal) => pool.run(data, { signal }))
+
+    const failed = new Promise(resolve => queue.on('jobFailed', resolve))
+    queue.addJob('slow', { delay: 60000 }, { maxRetries: 0 })
+
+    expect((await failed).error.message).toBe('Job timed out after 100ms')
+    expect(pool.getStats()).toMatchObject({ busy: 0, cancelledTasks: 1 })
+    clearInterval(queue.cleanupInterval)
+  })
+
+  test('should process images on the image worker within the pixel limit', async () => {
+    const pool = createPool({
+      script: IMAGE_WORKER,
+      size: 1,
+      workerData: { imageProcessor: { processedDir: tempDir, maxInputPixels: 1000 } }
+    })
+    const logo = size => sharp({ create: { width: size, height: size, channels: 3, background: '#ffffff' } })
+      .composite([{ input: { create: { width: size / 2, height: size / 2, channels: 3, background: '#dc1414' } }, gravity: 'center' }])
+      .png()
+      .toBuffer()
+    const fileData = async size => ({ buffer: await logo(size), originalname: 'crest.png', cleanup: { removeBackground: true } })
+
+    const result = await pool.run({ method: 'cleanupImage', args: [await fileData(20), 'job-1'] })
+    expect(result).toMatchObject({ success: true, mimeType: 'image/png', background: '#ffffff' })
+
+    await expect(pool.run({ method: 'cleanupImage', args: [await fileData(40), 'job-2'] })).rejects.toThrow('pixel limit')
+    await expect(pool.run({ method: 'deleteEverything', args: [{}] })).rejects.toThrow('Unknown image worker method')
+
+    // Buffers nested in the arguments survive postMessage
+    const frames = [await logo(20), await sharp(await logo(20)).negate().png().toBuffer()]
+    const animation = await pool.run({ method: 'encodeAnimation', args: [{ frames, format: 'gif', delayMs: 50 }] })
+    expect(await sharp(Buffer.from(animation), { animated: true }).metadata()).toMatchObject({ format: 'gif', pages: 2 })
+  })
+
+  test('should blend print export masks on the image worker', async () => {
+    const pool = createPool({ script: IMAGE_WORKER, size: 1 })
+    // Left half of a 4x4 mask in the red channel, a gradient fill over the right half (green channel)
+    const mask = { data: Buffer.from(Array.from({ length: 16 }, (_, i) => (i % 4 < 2 ? [255, 0, 0] : [0, 255, 0])).flat()), channels: 3 }
+    const fill = { type: 'linear', angle: 90, stops: [{ offset: 0, color: '#000000' }, { offset: 1, color: '#ffffff' }] }
+    const passes = [
+      { mask, channel: 0, color: '#ff0000', invert: false, fill: null, texture: null },
+      { mask, channel: 1, color: '#000000', invert: false, fill, texture: null }
+    ]
+
+    const pixels = Buffer.from(await pool.run({ method: 'blendMaskPasses', args: [4, passes] }))
+    expect(pixels.equals(PrintExporter.blendPasses(4, passes))).toBe(true)
+    expect([...pixels.subarray(0, 4)]).toEqual([255, 0, 0, 255])
+    expect(pixels[3 * 4]).toBeLessThan(pixels[15 * 4])
+  })
+})
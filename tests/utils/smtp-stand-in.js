@@ -0,0 +1,85 @@
+import net from 'net'
+
+// Decode RFC 2047 encoded words (=?UTF-8?Q?...?= / =?UTF-8?B?...?=) in a header value
+function decodeHeader(value) {
+  return value
+    .replace(/\?=\s+=\?/g, '?==?')
+    .replace(/=\?UTF-8\?([QB])\?([^?]*)\?=/gi, (match, encoding, text) => {
+      if (encoding.toUpperCase() === 'B') {
+        return Buffer.from(text, 'base64').toString('utf8')
+      }
+      const bytes = text.replace(/_/g, ' ').replace(/=([0-9A-F]{2})/gi, (hex, code) => String.fromCharCode(parseInt(code, 16)))
+      return Buffer.from(bytes, 'latin1').toString('utf8')
+    })
+}
+
+/**
+ * Minimal local SMTP server for tests: accepts every message and keeps it in memory.
+ * Supports just enough of the protocol for nodemailer (EHLO, MAIL, RCPT, DATA, RSET, QUIT).
+ */
+export async function startSmtpStandIn() {
+  const messages = []
+
+  const server = net.createServer(socket => {
+    let envelope = { from: null, to: [] }
+    let buffer = ''
+    let readingData = false
+
+    const reply = line => socket.write(`${line}\r\n`)
+    reply('220 localhost SMTP stand-in')
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8')
+
+      while (buffer.length > 0) {
+        if (readingData) {
+          const end = buffer.indexOf('\r\n.\r\n')
+          if (end === -1) return
+
+          const raw = buffer.slice(0, end).replace(/^\.\./gm, '.')
+          buffer = buffer.slice(end + 5)
+          readingData = false
+          const subject = (raw.match(/^Subject: (.*(?:\r\n[ \t].*)*)/m) || [])[1] || ''
+          messages.push({ ...envelope, subject: decodeHeader(subject), raw })
+          envelope = { from: null, to: [] }
+          reply('250 OK: queued')
+          continue
+        }
+
+        const lineEnd = buffer.indexOf('\r\n')
+        if (lineEnd === -1) return
+
+        const line = buffer.slice(0, lineEnd)
+        buffer = buffer.slice(lineEnd + 2)
+        const command = line.slice(0, 4).toUpperCase()
+
+        if (command === 'EHLO' || command === 'HELO') {
+          reply('250 localhost')
+        } else if (command === 'MAIL') {
+          envelope.from = (line.match(/<([^>]*)>/) || [])[1]
+          reply('250 OK')
+        } else if (command === 'RCPT') {
+          envelope.to.push((line.match(/<([^>]*)>/) || [])[1])
+          reply('250 OK')
+        } else if (command === 'DATA') {
+          readingData = true
+          reply('354 End data with <CR><LF>.<CR><LF>')
+        } else if (command === 'QUIT') {
+          reply('221 Bye')
+          socket.end()
+        } else {
+          reply('250 OK')
+        }
+      }
+    })
+  })
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+
+  return {
+    host: '127.0.0.1',
+    port: server.address().port,
+    messages,
+    close: () => new Promise(resolve => server.close(resolve))
+  }
+}
@@ -0,0 +1,27 @@
+import { beforeEach, afterEach } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { mockConsole } from './test-helpers.js'
+
+/**
+ * Give each test of the enclosing describe a fresh temp directory, with the console muted,
+ * and remove it afterwards. Call it before the describe's own hooks so they can use the directory.
+ * @returns {() => string} - Path of the current test's directory
+ */
+export function useTempDir(prefix) {
+  let tempDir
+  let restoreConsole
+
+  beforeEach(() => {
+    restoreConsole = mockConsole()
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), `${prefix}-`))
+  })
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true })
+    restoreConsole()
+  })
+
+  return () => tempDir
+}
@@ -93,6 +93,23 @@ export function createMockSession(overrides = {}) {
   }
 }
 
+/**
+ * Create mock order form data, as the client submits it
+ */
+export function createMockOrder(overrides = {}) {
+  return {
+    orderNumber: 'ORD251018001',
+    customerName: '김민수',
+    customerPhone: '010-1234-5678',
+    customerEmail: 'minsu@example.com',
+    teamName: 'FC 서울',
+    selectedOptions: {},
+    players: [{ number: '10', name: 'KIM', type: 'set', sleeveType: 'short', topSize: 'L', bottomSize: 'L' }],
+    timestamp: '2025-10-18T09:00:00.000Z',
+    ...overrides
+  }
+}
+
 /**
  * Create mock file for upload testing
  */
@@ -32,6 +32,10 @@ export default defineConfig(({ mode }) => {
         }
       },
       rollupOptions: {
+        input: {
+          main: 'index.html',
+          admin: 'admin.html'
+        },
         output: {
           manualChunks: {
             // Three.js as separate chunk (largest dependency)